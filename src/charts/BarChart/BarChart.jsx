@@ -3,14 +3,22 @@ import * as d3 from 'd3';
 import { comparisonPalettes } from '../../shared/design-system/colorPalettes';
 import { getContrastTextColor, generateColorGradient } from '../../shared/utils/colorUtils';
 import { debug } from '../../shared/utils/debug';
+import { getErrorBounds } from '../../shared/utils/errorBars';
+import { resolveReferences, getReferenceExtent, renderReferences } from '../../shared/utils/referenceLines';
+import { renderAnnotations } from '../../shared/utils/annotations';
+import { buildWaterfallSteps, buildDivergingStacks, getDivergingColors } from './barChartDefaults';
 
 /**
  * BarChart Component
  * Displays data as rectangular bars with lengths proportional to values
- * Supports vertical/horizontal orientation and grouped/stacked modes
+ * Supports vertical/horizontal orientation and grouped/stacked/waterfall/diverging modes
  * Data format: { Category: "East", "Jan": 41427, "Feb": 52341, ... }
+ * Diverging mode also accepts grouped rows: { Group: "All Voters", Period: "Nov '18", "Very Well": 21, ... }
+ * Grouped mode can draw error bars from bound columns next to each period (see resolveErrorBars)
+ * Reference lines and bands mark targets or ranges on the value axis (see resolveReferences)
+ * Annotations call out a category and value with text, arrows or circles (see renderAnnotations)
  */
-const BarChart = ({ data, periodNames, styleSettings = {}, onBarClick, onClearEmphasis }) => {
+const BarChart = ({ data, periodNames, styleSettings = {}, onBarClick, onClearEmphasis, onAnnotationDrag }) => {
   const svgRef = useRef();
   const [dimensions, setDimensions] = useState({ width: 0, height: 0 });
   const [selectedBarsForComparison, setSelectedBarsForComparison] = useState([]);
@@ -108,6 +116,21 @@ const BarChart = ({ data, periodNames, styleSettings = {}, onBarClick, onClearEm
     backgroundColor = '#ffffff',
     showTotalLabels = true,
     boldTotal = false,
+    increaseColor = '#10b981',
+    decreaseColor = '#ef4444',
+    waterfallSubtotals = [],
+    showWaterfallTotal = true,
+    waterfallTotalLabel = 'Total',
+    showWaterfallConnectors = true,
+    divergingNegativeColumns = [],
+    divergingNeutralColumns = [],
+    divergingNeutralPosition = 'center',
+    divergingNeutralColor = '#9ca3af',
+    showErrorBars = false,
+    errorBars = {}, // Map of period to { lower, upper } or { margin } bound columns, from resolveErrorBars
+    errorBarColor = '#374151',
+    referenceLines = [], // Lines and bands on the value axis, see resolveReferences
+    annotations = [], // Callouts anchored to a category and value, see renderAnnotations
   } = styleSettings;
 
   // Convert axis color brightness (0-100) to hex color
@@ -134,6 +157,8 @@ const BarChart = ({ data, periodNames, styleSettings = {}, onBarClick, onClearEm
     legendTextColor: darkMode ? '#e5e7eb' : '#374151',
     // Emphasis color for brackets and highlights - theme-aware
     emphasisColor: darkMode ? '#ffffff' : '#000000', // white in dark mode, black in light mode
+    // Waterfall connector lines
+    connectorColor: darkMode ? '#6b7280' : '#9ca3af',
   }), [darkMode, computedAxisColor]);
 
   // Determine if we're in comparison mode (multiple periods) or single-color mode
@@ -238,10 +263,64 @@ const BarChart = ({ data, periodNames, styleSettings = {}, onBarClick, onClearEm
     // Set background color
     svg.style('background-color', backgroundColor);
 
-    // Extract categories from data (simple format: Category + Value columns)
-    const categories = data.map(d => d.Category || d.category || d.Stage || '');
     const periods = periodNames;
 
+    // Waterfall mode plots the first value column as a running total
+    const isWaterfall = barMode === 'waterfall';
+    const waterfallSteps = isWaterfall
+      ? buildWaterfallSteps(data, periods[0], {
+        subtotals: waterfallSubtotals,
+        showTotal: showWaterfallTotal,
+        totalLabel: waterfallTotalLabel,
+      })
+      : [];
+    if (isWaterfall && periods.length > 1) {
+      debug.warn('BarChart', `Waterfall mode only plots the first value column ("${periods[0]}")`);
+    }
+
+    // Diverging mode stacks negative and positive responses away from a neutral midpoint at zero
+    const isDiverging = barMode === 'diverging';
+    const diverging = isDiverging
+      ? buildDivergingStacks(data, periods, {
+        negativeColumns: divergingNegativeColumns,
+        neutralColumns: divergingNeutralColumns,
+        neutralPosition: divergingNeutralPosition,
+      })
+      : null;
+    const divergingColors = isDiverging
+      ? getDivergingColors(diverging.roles, {
+        negativeColor: decreaseColor,
+        neutralColor: divergingNeutralColor,
+        positiveColor: increaseColor,
+      })
+      : {};
+    const hasSideNeutral = isDiverging && divergingNeutralPosition === 'side' && diverging.roles.neutral.length > 0;
+
+    // Error bars sit on grouped bars only - a stacked segment or bridge step has no interval of its own
+    const hasErrorBars = showErrorBars && barMode === 'grouped' && Object.keys(errorBars || {}).length > 0;
+    if (showErrorBars && barMode !== 'grouped') {
+      debug.warn('BarChart', 'Error bars are only drawn on grouped bars');
+    }
+    const getBarBounds = (d, period) => (hasErrorBars ? getErrorBounds(d, errorBars[period], d[period] || 0) : null);
+
+    // Extract categories from data (simple format: Category + Value columns)
+    const categories = isWaterfall
+      ? waterfallSteps.map(step => step.category)
+      : isDiverging
+        ? diverging.rows.map(stack => stack.category)
+        : data.map(d => d.Category || d.category || d.Stage || '');
+
+    // Legend entries: one per period, the step types of a waterfall, or the response columns of a diverging chart
+    const legendItems = isWaterfall
+      ? [
+        { label: 'Increase', color: increaseColor },
+        { label: 'Decrease', color: decreaseColor },
+        { label: 'Total', color: barColor },
+      ]
+      : isDiverging
+        ? diverging.columns.map(column => ({ label: column, color: divergingColors[column] }))
+        : periods.map((period, i) => ({ label: period, color: colorScheme[i % colorScheme.length] }));
+
     // Calculate title and subtitle heights
     const titleHeight = title ? titleFontSize : 0;
     const subtitleHeight = subtitle ? subtitleFontSize : 0;
@@ -295,12 +374,11 @@ const BarChart = ({ data, periodNames, styleSettings = {}, onBarClick, onClearEm
       const legendY = 30 + titleHeight + titleToSubtitleGap + subtitleHeight + (title || subtitle ? 20 : 0);
       const legendItemWidth = 120;
       const legendItemSpacing = 20;
-      const totalLegendWidth = periods.length * legendItemWidth + (periods.length - 1) * legendItemSpacing;
+      const totalLegendWidth = legendItems.length * legendItemWidth + (legendItems.length - 1) * legendItemSpacing;
       const legendStartX = (width - totalLegendWidth) / 2;
 
-      periods.forEach((period, i) => {
+      legendItems.forEach(({ label, color }, i) => {
         const x = legendStartX + i * (legendItemWidth + legendItemSpacing);
-        const color = colorScheme[i % colorScheme.length];
 
         // Color swatch
         svg
@@ -322,7 +400,7 @@ const BarChart = ({ data, periodNames, styleSettings = {}, onBarClick, onClearEm
           .attr('font-size', '14px')
           .attr('font-weight', '500')
           .attr('fill', themeColors.legendTextColor)
-          .text(period);
+          .text(label);
       });
     }
 
@@ -513,7 +591,19 @@ const BarChart = ({ data, periodNames, styleSettings = {}, onBarClick, onClearEm
     let maxValue = 0;
     let minValue = 0;
 
-    if (barMode === 'stacked') {
+    if (isWaterfall) {
+      // For waterfall, each step spans from its start to its end running total
+      maxValue = d3.max(waterfallSteps, step => Math.max(step.start, step.end));
+      minValue = d3.min(waterfallSteps, step => Math.min(step.start, step.end));
+    } else if (isDiverging) {
+      // Keep the midpoint centered by giving both sides the same extent
+      const extent = d3.max(diverging.rows, stack => d3.max(
+        stack.segments.filter(segment => !segment.side),
+        segment => Math.max(Math.abs(segment.start), Math.abs(segment.end))
+      )) || 0;
+      maxValue = extent;
+      minValue = -extent;
+    } else if (barMode === 'stacked') {
       // For stacked, sum all periods for each category
       maxValue = d3.max(data, d => {
         return periods.reduce((sum, period) => sum + (d[period] || 0), 0);
@@ -531,11 +621,50 @@ const BarChart = ({ data, periodNames, styleSettings = {}, onBarClick, onClearEm
       });
     }
 
+    // Keep whole error bars inside the value axis
+    if (hasErrorBars) {
+      data.forEach(d => periods.forEach(period => {
+        const bounds = getBarBounds(d, period);
+        if (!bounds) return;
+        maxValue = Math.max(maxValue, bounds.upper);
+        minValue = Math.min(minValue, bounds.lower);
+      }));
+    }
+
+    // Reference statistics are computed from what each bar shows: running totals for
+    // waterfalls, category totals for stacks and every bar for groups
+    const referenceValues = isWaterfall
+      ? waterfallSteps.map(step => step.end)
+      : isDiverging
+        ? []
+        : barMode === 'stacked'
+          ? data.map(d => periods.reduce((sum, period) => sum + (d[period] || 0), 0))
+          : data.flatMap(d => periods.map(period => d[period]).filter(value => value != null && !isNaN(value)).map(Number));
+    const references = resolveReferences(referenceLines, { axis: 'value', values: referenceValues });
+
+    // Keep references such as a target above every bar inside the value axis
+    getReferenceExtent(references).forEach(value => {
+      maxValue = Math.max(maxValue, value);
+      minValue = Math.min(minValue, value);
+    });
+
     // Determine axis minimum and maximum
     // When auto, use calculated min (which could be negative), but default to 0 if all values are positive
     const calculatedMinValue = axisMinimumAuto ? (minValue < 0 ? minValue * 1.1 : 0) : axisMinimum;
     const calculatedMaxValue = axisMaximumAuto ? (maxValue * 1.1) : axisMaximum;
 
+    // Diverging axes count responses away from the midpoint on both sides
+    const formatValueTick = isDiverging ? (value) => formatAxisValue(Math.abs(value)) : formatAxisValue;
+
+    // A side panel for neutral responses takes space from the end of the value axis,
+    // sized so its bars use the same scale as the main stacks
+    const divergingSideGap = 24;
+    const maxNeutralTotal = hasSideNeutral ? (d3.max(diverging.rows, stack => stack.neutralTotal) || 0) : 0;
+    const valueAxisLength = orientation === 'vertical' ? innerHeight : innerWidth;
+    const divergingSideSpace = maxNeutralTotal > 0
+      ? valueAxisLength * maxNeutralTotal / (calculatedMaxValue - calculatedMinValue + maxNeutralTotal) + divergingSideGap
+      : 0;
+
     // Create scales based on orientation
     let xScale, yScale, xAxis, yAxis;
     let yTicks, xTicks;
@@ -551,7 +680,7 @@ const BarChart = ({ data, periodNames, styleSettings = {}, onBarClick, onClearEm
 
       yScale = d3.scaleLinear()
         .domain([calculatedMinValue, calculatedMaxValue])
-        .range([innerHeight, 0]);
+        .range([innerHeight, divergingSideSpace]);
 
       if (axisMaximumAuto) {
         yScale.nice();
@@ -622,7 +751,7 @@ const BarChart = ({ data, periodNames, styleSettings = {}, onBarClick, onClearEm
       const minorTickSize = getMinorTickSize(axisMinorTickType);
 
       xAxis = d3.axisBottom(xScale).tickSize(majorTickSize);
-      yAxis = d3.axisLeft(yScale).tickValues(yTicks).tickSize(majorTickSize).tickFormat(formatAxisValue);
+      yAxis = d3.axisLeft(yScale).tickValues(yTicks).tickSize(majorTickSize).tickFormat(formatValueTick);
     } else {
       // Horizontal bars: categories on Y, values on X
       yScale = d3.scaleBand()
@@ -632,7 +761,7 @@ const BarChart = ({ data, periodNames, styleSettings = {}, onBarClick, onClearEm
 
       xScale = d3.scaleLinear()
         .domain([calculatedMinValue, calculatedMaxValue])
-        .range([0, innerWidth]);
+        .range([0, innerWidth - divergingSideSpace]);
 
       if (axisMaximumAuto) {
         xScale.nice();
@@ -702,7 +831,7 @@ const BarChart = ({ data, periodNames, styleSettings = {}, onBarClick, onClearEm
       const majorTickSize = getMajorTickSize(axisMajorTickType);
       const minorTickSize = getMinorTickSize(axisMinorTickType);
 
-      xAxis = d3.axisBottom(xScale).tickValues(xTicks).tickSize(majorTickSize).tickFormat(formatAxisValue);
+      xAxis = d3.axisBottom(xScale).tickValues(xTicks).tickSize(majorTickSize).tickFormat(formatValueTick);
       yAxis = d3.axisLeft(yScale).tickSize(majorTickSize);
     }
 
@@ -777,10 +906,303 @@ const BarChart = ({ data, periodNames, styleSettings = {}, onBarClick, onClearEm
       }
     }
 
+    // Reference bands sit behind the bars, reference lines on top of them
+    const valueScale = orientation === 'vertical' ? yScale : xScale;
+    const referenceOptions = {
+      scale: valueScale,
+      direction: orientation === 'vertical' ? 'horizontal' : 'vertical',
+      length: orientation === 'vertical' ? innerWidth : innerHeight,
+      formatValue,
+      fontFamily,
+      defaultColor: themeColors.emphasisColor,
+    };
+    renderReferences(g, references.filter(reference => reference.type === 'band'), referenceOptions);
+
     // Note: Axes rendering moved to after bars to ensure axes are always on top
 
     // Draw bars
-    if (barMode === 'grouped') {
+    if (isWaterfall) {
+      // Waterfall bars float between running totals; total bars grow from zero
+      const period = periods[0];
+      const bandWidth = orientation === 'vertical' ? xScale.bandwidth() : yScale.bandwidth();
+      const barWidth = bandWidth * (barWidthPercent / 100);
+      const barInset = (bandWidth - barWidth) / 2;
+      const hasEmphasizedBars = emphasizedBars && emphasizedBars.length > 0;
+
+      const getStepColor = (step) => {
+        if (step.type === 'increase') return increaseColor;
+        if (step.type === 'decrease') return decreaseColor;
+        return barColor;
+      };
+
+      // Connector lines from the end of each step to the start of the next (behind bars)
+      if (showWaterfallConnectors) {
+        const connectorGroup = g.append('g')
+          .attr('class', 'waterfall-connectors');
+
+        waterfallSteps.slice(0, -1).forEach((step, stepIndex) => {
+          const nextStep = waterfallSteps[stepIndex + 1];
+          const line = connectorGroup.append('line')
+            .attr('class', 'waterfall-connector')
+            .attr('stroke', themeColors.connectorColor)
+            .attr('stroke-width', 1)
+            .attr('stroke-dasharray', '3,3');
+
+          if (orientation === 'vertical') {
+            line
+              .attr('x1', xScale(step.category) + barInset + barWidth)
+              .attr('x2', xScale(nextStep.category) + barInset)
+              .attr('y1', yScale(step.end))
+              .attr('y2', yScale(step.end));
+          } else {
+            line
+              .attr('x1', xScale(step.end))
+              .attr('x2', xScale(step.end))
+              .attr('y1', yScale(step.category) + barInset + barWidth)
+              .attr('y2', yScale(nextStep.category) + barInset);
+          }
+        });
+      }
+
+      waterfallSteps.forEach((step) => {
+        const { category, value, row } = step;
+        const color = getStepColor(step);
+
+        // Calculate bar emphasis
+        const barId = `${category}-${period}`;
+        const isEmphasized = hasEmphasizedBars && emphasizedBars.includes(barId);
+        const effectiveColor = hasEmphasizedBars && !isEmphasized ? desaturateColor(color) : color;
+        const isSelected = selectedBarsForComparison.some(bar => bar.barId === barId);
+        const isTotal = step.type === 'total';
+        const labelWeight = (isSelected || isEmphasized || (isTotal && boldTotal)) ? 700 : valueWeight;
+        // Changes are signed so gains read as "+1.2M"; totals show the plain running total
+        const labelText = step.type === 'increase' ? `+${formatValue(value)}` : formatValue(value);
+        const showLabel = (showValueLabels && showMetricLabels) || isEmphasized;
+
+        const barGroup = g.append('g')
+          .attr('class', `bar-group waterfall-${step.type}`);
+
+        let barData;
+
+        if (orientation === 'vertical') {
+          const x = xScale(category) + barInset;
+          const y = yScale(Math.max(step.start, step.end));
+          const height = Math.abs(yScale(step.start) - yScale(step.end));
+          // Labels sit above the bar, except totals below zero which are labeled underneath
+          const labelY = isTotal && step.end < 0 ? y + height + valueFontSize + 5 : y - 5;
+
+          barData = {
+            category,
+            period,
+            value,
+            barId,
+            x,
+            y,
+            barWidth,
+            height,
+            labelX: x + barWidth / 2,
+            labelY,
+            orientation: 'vertical'
+          };
+
+          barGroup.append('rect')
+            .attr('x', x)
+            .attr('y', y)
+            .attr('width', barWidth)
+            .attr('height', height);
+
+          if (showLabel) {
+            barGroup.append('text')
+              .attr('x', x + barWidth / 2)
+              .attr('y', labelY)
+              .attr('text-anchor', 'middle')
+              .attr('font-family', valueFont)
+              .attr('font-size', valueFontSize)
+              .attr('font-weight', labelWeight)
+              .attr('fill', themeColors.categoryLabelColor)
+              .text(labelText);
+          }
+        } else {
+          const x = xScale(Math.min(step.start, step.end));
+          const y = yScale(category) + barInset;
+          const width = Math.abs(xScale(step.end) - xScale(step.start));
+          // Labels sit past the end of the bar, except totals below zero which are labeled to the left
+          const labelsLeft = isTotal && step.end < 0;
+          const labelX = labelsLeft ? x - 5 : x + width + 5;
+
+          barData = {
+            category,
+            period,
+            value,
+            barId,
+            x,
+            y,
+            width,
+            barWidth,
+            labelX,
+            labelY: y + barWidth / 2,
+            orientation: 'horizontal'
+          };
+
+          barGroup.append('rect')
+            .attr('x', x)
+            .attr('y', y)
+            .attr('width', width)
+            .attr('height', barWidth);
+
+          if (showLabel) {
+            barGroup.append('text')
+              .attr('x', labelX)
+              .attr('y', y + barWidth / 2)
+              .attr('dy', '0.35em')
+              .attr('text-anchor', labelsLeft ? 'end' : 'start')
+              .attr('font-family', valueFont)
+              .attr('font-size', valueFontSize)
+              .attr('font-weight', labelWeight)
+              .attr('fill', themeColors.categoryLabelColor)
+              .text(labelText);
+          }
+        }
+
+        barGroup.select('rect')
+          .attr('fill', effectiveColor)
+          .attr('opacity', barOpacity)
+          .attr('stroke', barBorderColor)
+          .attr('stroke-width', barBorderWidth)
+          .style('cursor', 'pointer')
+          .on('click', () => {
+            if (onBarClick) onBarClick(row, period, barId);
+            handleBarClickForComparison(barData);
+          });
+
+        // Store bar data for auto-population (after rendering)
+        renderedBarsDataRef.current[barId] = barData;
+      });
+    } else if (isDiverging) {
+      // Diverging stacks: segments run between their start and end offsets from the midpoint
+      const hasEmphasizedBars = emphasizedBars && emphasizedBars.length > 0;
+      // Side-panel neutral bars start after the gap and use the main scale's units
+      const unitLength = orientation === 'vertical'
+        ? Math.abs(yScale(0) - yScale(1))
+        : Math.abs(xScale(1) - xScale(0));
+      const sideStart = orientation === 'vertical'
+        ? divergingSideSpace - divergingSideGap
+        : innerWidth - divergingSideSpace + divergingSideGap;
+
+      diverging.rows.forEach(({ category, row, segments, negativeTotal, positiveTotal }) => {
+        segments.forEach((segment) => {
+          const { column, value } = segment;
+          const color = divergingColors[column];
+
+          // Calculate bar emphasis
+          const barId = `${category}-${column}`;
+          const isEmphasized = hasEmphasizedBars && emphasizedBars.includes(barId);
+          const effectiveColor = hasEmphasizedBars && !isEmphasized ? desaturateColor(color) : color;
+          const isSelected = selectedBarsForComparison.some(bar => bar.barId === barId);
+          const labelWeight = (isSelected || isEmphasized) ? 700 : valueWeight;
+          const low = Math.min(segment.start, segment.end);
+          const high = Math.max(segment.start, segment.end);
+
+          let x, y, width, height;
+          if (orientation === 'vertical') {
+            x = xScale(category);
+            width = xScale.bandwidth();
+            y = segment.side ? sideStart - high * unitLength : yScale(high);
+            height = (high - low) * unitLength;
+          } else {
+            y = yScale(category);
+            height = yScale.bandwidth();
+            x = segment.side ? sideStart + low * unitLength : xScale(low);
+            width = (high - low) * unitLength;
+          }
+
+          const barData = {
+            category,
+            period: column,
+            value,
+            barId,
+            x,
+            y,
+            width,
+            barWidth: orientation === 'vertical' ? width : height,
+            height,
+            labelX: x + width / 2,
+            labelY: y + height / 2,
+            orientation,
+          };
+
+          const barGroup = g.append('g')
+            .attr('class', `bar-group diverging-${segment.role}`);
+
+          barGroup.append('rect')
+            .attr('x', x)
+            .attr('y', y)
+            .attr('width', width)
+            .attr('height', height)
+            .attr('fill', effectiveColor)
+            .attr('opacity', barOpacity)
+            .attr('stroke', barBorderColor)
+            .attr('stroke-width', barBorderWidth)
+            .style('cursor', 'pointer')
+            .on('click', () => {
+              if (onBarClick) onBarClick(row, column, barId);
+              handleBarClickForComparison(barData);
+            });
+
+          // Labels sit in the center of the segment, when it is large enough to hold one
+          const segmentLength = orientation === 'vertical' ? height : width;
+          const minLength = orientation === 'vertical' ? 20 : 40;
+          if (((showValueLabels && showMetricLabels) || isEmphasized) && segmentLength > minLength) {
+            barGroup.append('text')
+              .attr('x', x + width / 2)
+              .attr('y', y + height / 2)
+              .attr('dy', '0.35em')
+              .attr('text-anchor', 'middle')
+              .attr('font-family', valueFont)
+              .attr('font-size', valueFontSize)
+              .attr('font-weight', labelWeight)
+              .attr('fill', getContrastTextColor(effectiveColor))
+              .text(formatValue(value));
+          }
+
+          // Store bar data for auto-population (after rendering)
+          renderedBarsDataRef.current[barId] = barData;
+        });
+
+        // Net negative and positive totals at the outer ends of each stack
+        if (showTotalLabels) {
+          const totalWeight = boldTotal ? 700 : 400;
+          const outerEnds = [
+            { total: negativeTotal, end: d3.min(segments.filter(s => s.role === 'negative'), s => s.end), isNegativeEnd: true },
+            { total: positiveTotal, end: d3.max(segments.filter(s => s.role === 'positive'), s => s.end), isNegativeEnd: false },
+          ];
+
+          outerEnds.forEach(({ total, end, isNegativeEnd }) => {
+            if (end === undefined) return;
+            const label = g.append('text')
+              .attr('class', 'diverging-total')
+              .attr('font-family', valueFont)
+              .attr('font-size', valueFontSize)
+              .attr('font-weight', totalWeight)
+              .attr('fill', themeColors.categoryLabelColor)
+              .text(formatValue(total));
+
+            if (orientation === 'vertical') {
+              label
+                .attr('x', xScale(category) + xScale.bandwidth() / 2)
+                .attr('y', isNegativeEnd ? yScale(end) + valueFontSize + 5 : yScale(end) - 5)
+                .attr('text-anchor', 'middle');
+            } else {
+              label
+                .attr('x', isNegativeEnd ? xScale(end) - 5 : xScale(end) + 5)
+                .attr('y', yScale(category) + yScale.bandwidth() / 2)
+                .attr('dy', '0.35em')
+                .attr('text-anchor', isNegativeEnd ? 'end' : 'start');
+            }
+          });
+        }
+      });
+    } else if (barMode === 'grouped') {
       // Grouped bars
       const groupWidth = orientation === 'vertical' ? xScale.bandwidth() : yScale.bandwidth();
       // Calculate bar width based on barWidthPercent
@@ -788,6 +1210,31 @@ const BarChart = ({ data, periodNames, styleSettings = {}, onBarClick, onClearEm
       const barSpace = groupWidth / periods.length; // Space allocated per bar
       const barWidth = barSpace * (barWidthPercent / 100);
       const barOffset = barSpace;
+      const errorBarStroke = darkMode ? '#e5e7eb' : errorBarColor;
+
+      // Whisker from the lower to the upper bound, with a cap at each end
+      const drawErrorBar = (barGroup, bounds, center, valueScale, isVertical) => {
+        const capHalf = Math.min(barWidth * 0.2, 8);
+        const from = valueScale(bounds.lower);
+        const to = valueScale(bounds.upper);
+        const errorBar = barGroup.append('g')
+          .attr('class', 'error-bar')
+          .style('pointer-events', 'none');
+        const lines = [
+          [from, to, 0],
+          [from, from, capHalf],
+          [to, to, capHalf],
+        ];
+        lines.forEach(([start, end, half]) => {
+          errorBar.append('line')
+            .attr('x1', isVertical ? center - half : start)
+            .attr('x2', isVertical ? center + half : end)
+            .attr('y1', isVertical ? start : center - half)
+            .attr('y2', isVertical ? end : center + half)
+            .attr('stroke', errorBarStroke)
+            .attr('stroke-width', 1.5);
+        });
+      };
 
       data.forEach((d, categoryIndex) => {
         const categoryValue = categories[categoryIndex];
@@ -811,6 +1258,10 @@ const BarChart = ({ data, periodNames, styleSettings = {}, onBarClick, onClearEm
             const valueY = yScale(value);
             const y = value >= 0 ? valueY : zeroY;
             const height = Math.abs(valueY - zeroY);
+            const bounds = getBarBounds(d, period);
+            // Labels outside the bar clear the far end of its error bar
+            const outerTop = bounds && value >= 0 ? Math.min(y, yScale(bounds.upper)) : y;
+            const outerBottom = bounds && value < 0 ? Math.max(y + height, yScale(bounds.lower)) : y + height;
 
             barGroup = g.append('g')
               .attr('class', 'bar-group');
@@ -870,6 +1321,10 @@ const BarChart = ({ data, periodNames, styleSettings = {}, onBarClick, onClearEm
                 orientation: 'vertical'
               };
 
+            if (bounds) {
+              drawErrorBar(barGroup, bounds, x + barWidth / 2, yScale, true);
+            }
+
             // Labels (direct or value)
             // Show label if: (1) showValueLabels is on and labelMode is direct, OR (2) bar is emphasized (clicked)
             const showLabel = (showValueLabels && labelMode === 'direct') || isEmphasized;
@@ -894,12 +1349,12 @@ const BarChart = ({ data, periodNames, styleSettings = {}, onBarClick, onClearEm
                   // For negative values, position at the bottom (end) of the bar
                   metricY = metricLabelPosition === 'inside'
                     ? y + height - 5 // Inside: near the bottom edge
-                    : y + height + valueFontSize + 5; // Outside: below the bar
+                    : outerBottom + valueFontSize + 5; // Outside: below the bar
                 } else {
                   // For positive values, position at the top (end) of the bar
                   metricY = metricLabelPosition === 'inside'
                     ? y + valueFontSize + 5 // Inside: below the top edge, accounting for font size
-                    : y - 5; // Outside: above the bar
+                    : outerTop - 5; // Outside: above the bar
                 }
 
                 barGroup.append('text')
@@ -934,8 +1389,8 @@ const BarChart = ({ data, periodNames, styleSettings = {}, onBarClick, onClearEm
               // Traditional value label (when labelMode is 'legend')
               // This label is OUTSIDE the bar, so it uses axisColor for background contrast
               const legendLabelY = value < 0
-                ? y + height + valueFontSize + 5 // Negative: below the bar
-                : y - 5; // Positive: above the bar
+                ? outerBottom + valueFontSize + 5 // Negative: below the bar
+                : outerTop - 5; // Positive: above the bar
 
               barGroup.append('text')
                 .attr('x', x + barWidth / 2)
@@ -955,6 +1410,10 @@ const BarChart = ({ data, periodNames, styleSettings = {}, onBarClick, onClearEm
             const valueX = xScale(value);
             const x = value >= 0 ? zeroX : valueX;
             const width = Math.abs(valueX - zeroX);
+            const bounds = getBarBounds(d, period);
+            // Labels outside the bar clear the far end of its error bar
+            const outerLeft = bounds && value < 0 ? Math.min(x, xScale(bounds.lower)) : x;
+            const outerRight = bounds && value >= 0 ? Math.max(x + width, xScale(bounds.upper)) : x + width;
 
             barGroup = g.append('g')
               .attr('class', 'bar-group');
@@ -1014,6 +1473,10 @@ const BarChart = ({ data, periodNames, styleSettings = {}, onBarClick, onClearEm
                 orientation: 'horizontal'
               };
 
+            if (bounds) {
+              drawErrorBar(barGroup, bounds, y + barWidth / 2, xScale, false);
+            }
+
             // Labels (direct or value)
             // Show label if: (1) showValueLabels is on and labelMode is direct, OR (2) bar is emphasized (clicked)
             const showLabel = (showValueLabels && labelMode === 'direct') || isEmphasized;
@@ -1040,7 +1503,7 @@ const BarChart = ({ data, periodNames, styleSettings = {}, onBarClick, onClearEm
                     metricX = x + 15; // Inside: inset from the left edge
                     textAnchor = 'start';
                   } else {
-                    metricX = x - 5; // Outside: to the left of the bar
+                    metricX = outerLeft - 5; // Outside: to the left of the bar
                     textAnchor = 'end';
                   }
                 } else {
@@ -1049,7 +1512,7 @@ const BarChart = ({ data, periodNames, styleSettings = {}, onBarClick, onClearEm
                     metricX = x + width - 15; // Inside: inset from the right edge
                     textAnchor = 'end';
                   } else {
-                    metricX = x + width + 5; // Outside: to the right of the bar
+                    metricX = outerRight + 5; // Outside: to the right of the bar
                     textAnchor = 'start';
                   }
                 }
@@ -1086,8 +1549,8 @@ const BarChart = ({ data, periodNames, styleSettings = {}, onBarClick, onClearEm
               // Traditional value label (when labelMode is 'legend')
               // Label is OUTSIDE the bar, use axisColor for background contrast
               const legendLabelX = value < 0
-                ? x - 5 // Negative: to the left of the bar
-                : x + width + 5; // Positive: to the right of the bar
+                ? outerLeft - 5 // Negative: to the left of the bar
+                : outerRight + 5; // Positive: to the right of the bar
               const textAnchor = value < 0 ? 'end' : 'start';
 
               barGroup.append('text')
@@ -1429,10 +1892,34 @@ const BarChart = ({ data, periodNames, styleSettings = {}, onBarClick, onClearEm
       });
     }
 
+    // Midpoint line for diverging stacks (the axes sit at the chart edges instead of at zero)
+    if (isDiverging) {
+      const midline = g.append('line')
+        .attr('class', 'diverging-midline')
+        .attr('stroke', themeColors.emphasisColor)
+        .attr('stroke-width', 1);
+
+      if (orientation === 'vertical') {
+        midline
+          .attr('x1', 0)
+          .attr('x2', innerWidth)
+          .attr('y1', yScale(0))
+          .attr('y2', yScale(0));
+      } else {
+        midline
+          .attr('x1', xScale(0))
+          .attr('x2', xScale(0))
+          .attr('y1', 0)
+          .attr('y2', innerHeight);
+      }
+    }
+
+    renderReferences(g, references.filter(reference => reference.type === 'line'), referenceOptions);
+
     // Draw axes (after bars to ensure axes are always on top)
     if (showXAxis) {
       // For vertical orientation with negative values, position X-axis at y=0
-      const xAxisPosition = orientation === 'vertical' ? yScale(0) : innerHeight;
+      const xAxisPosition = orientation === 'vertical' && !isDiverging ? yScale(0) : innerHeight;
       const xAxisGroup = g.append('g')
         .attr('class', 'x-axis')
         .attr('transform', `translate(0,${xAxisPosition})`)
@@ -1490,7 +1977,8 @@ const BarChart = ({ data, periodNames, styleSettings = {}, onBarClick, onClearEm
         }
 
         // For categories with all negative values, move labels below the bars
-        if (calculatedMinValue < 0) {
+        // (waterfall steps float and diverging stacks straddle zero, so their labels stay on the axis)
+        if (calculatedMinValue < 0 && !isWaterfall && !isDiverging) {
           categories.forEach((category) => {
             const categoryData = data.find(d => d.Category === category);
             if (!categoryData) return;
@@ -1542,7 +2030,7 @@ const BarChart = ({ data, periodNames, styleSettings = {}, onBarClick, onClearEm
 
     if (showYAxis) {
       // For horizontal orientation with negative values, position Y-axis at x=0
-      const yAxisPosition = orientation === 'horizontal' ? xScale(0) : 0;
+      const yAxisPosition = orientation === 'horizontal' && !isDiverging ? xScale(0) : 0;
       const yAxisGroup = g.append('g')
         .attr('class', 'y-axis')
         .attr('transform', `translate(${yAxisPosition},0)`)
@@ -1897,12 +2385,11 @@ const BarChart = ({ data, periodNames, styleSettings = {}, onBarClick, onClearEm
       const legendY = marginTop + headerHeight + innerHeight + 50;
       const legendItemWidth = 120;
       const legendItemSpacing = 20;
-      const totalLegendWidth = periods.length * legendItemWidth + (periods.length - 1) * legendItemSpacing;
+      const totalLegendWidth = legendItems.length * legendItemWidth + (legendItems.length - 1) * legendItemSpacing;
       const legendStartX = (width - totalLegendWidth) / 2;
 
-      periods.forEach((period, i) => {
+      legendItems.forEach(({ label, color }, i) => {
         const x = legendStartX + i * (legendItemWidth + legendItemSpacing);
-        const color = colorScheme[i % colorScheme.length];
 
         // Color swatch
         svg
@@ -1924,10 +2411,28 @@ const BarChart = ({ data, periodNames, styleSettings = {}, onBarClick, onClearEm
           .attr('font-size', '14px')
           .attr('font-weight', '500')
           .attr('fill', themeColors.legendTextColor)
-          .text(period);
+          .text(label);
       });
     }
 
+    // Annotations go on top of everything so callouts stay readable
+    const categoryScale = orientation === 'vertical' ? xScale : yScale;
+    renderAnnotations(g, annotations, {
+      getPosition: annotation => {
+        const category = categories.find(c => String(c) === String(annotation.x));
+        if (category === undefined || annotation.y === '' || annotation.y == null) return null;
+        const categoryPosition = categoryScale(category) + categoryScale.bandwidth() / 2;
+        const valuePosition = valueScale(Number(annotation.y));
+        return orientation === 'vertical'
+          ? { x: categoryPosition, y: valuePosition }
+          : { x: valuePosition, y: categoryPosition };
+      },
+      onDrag: onAnnotationDrag,
+      fontFamily,
+      defaultColor: themeColors.emphasisColor,
+      backgroundColor,
+    });
+
     // Add watermark/attribution for free tier users
     if (styleSettings.userTier !== 'pro') {
       const watermarkText = 'Made with Find&Tell | Charts for Data Stories™ | FindandTell.co';
@@ -1991,7 +2496,7 @@ const BarChart = ({ data, periodNames, styleSettings = {}, onBarClick, onClearEm
       }
     }
 
-  }, [data, periodNames, dimensions, orientation, barMode, colorScheme, styleSettings, selectedBarsForComparison, percentChangeEnabled, percentChangeLabelFormat, percentChangeBracketDistance, emphasizedBars]);
+  }, [data, periodNames, dimensions, orientation, barMode, colorScheme, styleSettings, selectedBarsForComparison, percentChangeEnabled, percentChangeLabelFormat, percentChangeBracketDistance, emphasizedBars, onAnnotationDrag]);
 
   return (
     <div style={{ width: '100%', height: '100%' }}>
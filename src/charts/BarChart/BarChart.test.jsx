@@ -0,0 +1,350 @@
+/**
+ * Tests for BarChart Component (waterfall, diverging and error bar modes)
+ */
+
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest';
+import { render, fireEvent } from '@testing-library/react';
+import BarChart from './BarChart';
+import {
+  buildWaterfallSteps,
+  getDivergingColumnRoles,
+  buildDivergingStacks,
+  getDivergingColors,
+} from './barChartDefaults';
+
+describe('BarChart', () => {
+  const bridgeData = [
+    { Category: 'FY2023', Change: 100 },
+    { Category: 'New Customers', Change: 30 },
+    { Category: 'Churn', Change: -20 },
+    { Category: 'Subtotal', Change: 0 },
+    { Category: 'Pricing', Change: 5 },
+  ];
+
+  describe('buildWaterfallSteps', () => {
+    it('should float changes between running totals and append an end total', () => {
+      const steps = buildWaterfallSteps(bridgeData, 'Change');
+
+      expect(steps.map(s => s.type)).toEqual(['total', 'increase', 'decrease', 'increase', 'increase', 'total']);
+      expect(steps[1]).toMatchObject({ start: 100, end: 130 });
+      expect(steps[2]).toMatchObject({ start: 130, end: 110 });
+      expect(steps[5]).toMatchObject({ category: 'Total', value: 115, start: 0, end: 115 });
+    });
+
+    it('should draw subtotal rows as the running total', () => {
+      const steps = buildWaterfallSteps(bridgeData, 'Change', { subtotals: ['Subtotal'] });
+
+      expect(steps[3]).toMatchObject({ type: 'total', value: 110, start: 0, end: 110 });
+      expect(steps[4]).toMatchObject({ start: 110, end: 115 });
+    });
+
+    it('should skip the end total when disabled or already present', () => {
+      expect(buildWaterfallSteps(bridgeData, 'Change', { showTotal: false })).toHaveLength(5);
+      expect(buildWaterfallSteps(bridgeData, 'Change', { totalLabel: 'Subtotal' })).toHaveLength(5);
+    });
+  });
+
+  describe('Waterfall mode', () => {
+    const styleSettings = {
+      barMode: 'waterfall',
+      increaseColor: '#00ff00',
+      decreaseColor: '#ff0000',
+      barColor: '#0000ff',
+      waterfallSubtotals: ['Subtotal'],
+    };
+
+    it('should color bars by step type', () => {
+      const { container } = render(
+        <BarChart data={bridgeData} periodNames={['Change']} styleSettings={styleSettings} />
+      );
+
+      const fills = Array.from(container.querySelectorAll('.bar-group rect')).map(r => r.getAttribute('fill'));
+      expect(fills).toEqual(['#0000ff', '#00ff00', '#ff0000', '#0000ff', '#00ff00', '#0000ff']);
+    });
+
+    it('should draw a connector between each pair of steps', () => {
+      const { container } = render(
+        <BarChart data={bridgeData} periodNames={['Change']} styleSettings={styleSettings} />
+      );
+
+      expect(container.querySelectorAll('.waterfall-connector')).toHaveLength(5);
+    });
+
+    it('should label changes with a sign and totals with the running total', () => {
+      const { container } = render(
+        <BarChart data={bridgeData} periodNames={['Change']} styleSettings={styleSettings} />
+      );
+
+      const labels = Array.from(container.querySelectorAll('.bar-group text')).map(t => t.textContent);
+      expect(labels).toEqual(['100', '+30', '-20', '110', '+5', '115']);
+    });
+
+    it('should call onBarClick with the step row', () => {
+      const handleClick = vi.fn();
+      const { container } = render(
+        <BarChart data={bridgeData} periodNames={['Change']} styleSettings={styleSettings} onBarClick={handleClick} />
+      );
+
+      fireEvent.click(container.querySelectorAll('.bar-group rect')[2]);
+
+      expect(handleClick).toHaveBeenCalledWith(bridgeData[2], 'Change', 'Churn-Change');
+    });
+  });
+
+  const likertColumns = ['Strongly disagree', 'Disagree', 'Neutral', 'Agree', 'Strongly agree'];
+  const likertData = [
+    { Category: 'Pricing', 'Strongly disagree': 10, Disagree: 20, Neutral: 30, Agree: 25, 'Strongly agree': 15 },
+    { Category: 'Support', 'Strongly disagree': 5, Disagree: 10, Neutral: 20, Agree: 40, 'Strongly agree': 25 },
+  ];
+
+  describe('getDivergingColumnRoles', () => {
+    it('should split an odd scale around its middle column', () => {
+      expect(getDivergingColumnRoles(likertColumns)).toEqual({
+        negative: ['Strongly disagree', 'Disagree'],
+        neutral: ['Neutral'],
+        positive: ['Agree', 'Strongly agree'],
+      });
+      expect(getDivergingColumnRoles(['No', 'Yes'])).toEqual({ negative: ['No'], neutral: [], positive: ['Yes'] });
+    });
+
+    it('should use the columns the user picked', () => {
+      const roles = getDivergingColumnRoles(likertColumns, {
+        negativeColumns: ['Strongly disagree'],
+        neutralColumns: ['Disagree', 'Neutral'],
+      });
+
+      expect(roles.negative).toEqual(['Strongly disagree']);
+      expect(roles.neutral).toEqual(['Disagree', 'Neutral']);
+      expect(roles.positive).toEqual(['Agree', 'Strongly agree']);
+    });
+  });
+
+  describe('buildDivergingStacks', () => {
+    it('should center the neutral segment on zero and stack outwards from it', () => {
+      const { rows } = buildDivergingStacks(likertData, likertColumns);
+      const segment = (column) => rows[0].segments.find(s => s.column === column);
+
+      expect(segment('Neutral')).toMatchObject({ start: -15, end: 15, side: false });
+      expect(segment('Disagree')).toMatchObject({ start: -15, end: -35, role: 'negative' });
+      expect(segment('Strongly disagree')).toMatchObject({ start: -35, end: -45 });
+      expect(segment('Strongly agree')).toMatchObject({ start: 40, end: 55, role: 'positive' });
+      expect(rows[0]).toMatchObject({ negativeTotal: 30, neutralTotal: 30, positiveTotal: 40 });
+    });
+
+    it('should stack neutral responses from zero in a side panel', () => {
+      const { rows } = buildDivergingStacks(likertData, likertColumns, { neutralPosition: 'side' });
+      const segment = (column) => rows[0].segments.find(s => s.column === column);
+
+      expect(segment('Neutral')).toMatchObject({ start: 0, end: 30, side: true });
+      expect(segment('Disagree')).toMatchObject({ start: 0, end: -20 });
+      expect(segment('Agree')).toMatchObject({ start: 0, end: 25 });
+    });
+
+    it('should read value columns and labels from grouped Group/Period rows', () => {
+      const grouped = [{ Group: 'All Voters', Period: "Nov '18", 'Not Well': 25, 'Very Well': 21 }];
+      const { columns, rows } = buildDivergingStacks(grouped, ["Nov '18"]);
+
+      expect(columns).toEqual(['Not Well', 'Very Well']);
+      expect(rows[0].category).toBe("All Voters (Nov '18)");
+    });
+  });
+
+  describe('getDivergingColors', () => {
+    it('should use the full color at the ends of the scale and lighter shades near the middle', () => {
+      const colors = getDivergingColors(getDivergingColumnRoles(likertColumns), {
+        negativeColor: '#ff0000',
+        neutralColor: '#888888',
+        positiveColor: '#0000ff',
+      });
+
+      expect(colors['Strongly disagree']).toBe('#ff0000');
+      expect(colors['Strongly agree']).toBe('#0000ff');
+      expect(colors.Neutral).toBe('#888888');
+      expect(colors.Disagree).not.toBe('#ff0000');
+    });
+  });
+
+  describe('Diverging mode', () => {
+    const styleSettings = { barMode: 'diverging', orientation: 'horizontal' };
+
+    // jsdom has no layout engine, and horizontal bars measure their category labels
+    beforeAll(() => {
+      SVGElement.prototype.getBBox = () => ({ x: 0, y: 0, width: 60, height: 16 });
+    });
+
+    afterAll(() => {
+      delete SVGElement.prototype.getBBox;
+    });
+
+    it('should draw one segment per response with negatives left of the midpoint', () => {
+      const { container } = render(
+        <BarChart data={likertData} periodNames={likertColumns} styleSettings={styleSettings} />
+      );
+
+      const midX = Number(container.querySelector('.diverging-midline').getAttribute('x1'));
+      const negatives = Array.from(container.querySelectorAll('.diverging-negative rect'));
+      const positives = Array.from(container.querySelectorAll('.diverging-positive rect'));
+
+      expect(container.querySelectorAll('.bar-group rect')).toHaveLength(10);
+      negatives.forEach(rect => {
+        expect(Number(rect.getAttribute('x')) + Number(rect.getAttribute('width'))).toBeLessThanOrEqual(midX + 0.001);
+      });
+      positives.forEach(rect => {
+        expect(Number(rect.getAttribute('x'))).toBeGreaterThanOrEqual(midX - 0.001);
+      });
+    });
+
+    it('should move neutral bars beyond the value axis in side position', () => {
+      const { container } = render(
+        <BarChart
+          data={likertData}
+          periodNames={likertColumns}
+          styleSettings={{ ...styleSettings, divergingNeutralPosition: 'side' }}
+        />
+      );
+
+      const axisEnd = Math.max(...Array.from(container.querySelectorAll('.diverging-positive rect'))
+        .map(rect => Number(rect.getAttribute('x')) + Number(rect.getAttribute('width'))));
+      const neutralX = Number(container.querySelector('.diverging-neutral rect').getAttribute('x'));
+      expect(neutralX).toBeGreaterThan(axisEnd);
+    });
+
+    it('should label the negative and positive totals of each stack', () => {
+      const { container } = render(
+        <BarChart data={likertData} periodNames={likertColumns} styleSettings={styleSettings} />
+      );
+
+      const totals = Array.from(container.querySelectorAll('.diverging-total')).map(t => t.textContent);
+      expect(totals).toEqual(['30', '40', '15', '65']);
+    });
+
+    it('should call onBarClick with the row and response column', () => {
+      const handleClick = vi.fn();
+      const { container } = render(
+        <BarChart data={likertData} periodNames={likertColumns} styleSettings={styleSettings} onBarClick={handleClick} />
+      );
+
+      fireEvent.click(container.querySelector('.diverging-neutral rect'));
+
+      expect(handleClick).toHaveBeenCalledWith(likertData[0], 'Neutral', 'Pricing-Neutral');
+    });
+  });
+
+  describe('Error bars', () => {
+    const abData = [
+      { Category: 'Control', 'Conversion Rate': 4.1, 'Conversion Rate Lower': 3.6, 'Conversion Rate Upper': 4.6 },
+      { Category: 'Variant', 'Conversion Rate': 5.2, 'Conversion Rate Lower': 4.6, 'Conversion Rate Upper': 5.8 },
+    ];
+    const styleSettings = {
+      barMode: 'grouped',
+      orientation: 'vertical',
+      showErrorBars: true,
+      errorBars: { 'Conversion Rate': { lower: 'Conversion Rate Lower', upper: 'Conversion Rate Upper' } },
+    };
+
+    it('should draw a whisker with two caps on each bar', () => {
+      const { container } = render(
+        <BarChart data={abData} periodNames={['Conversion Rate']} styleSettings={styleSettings} />
+      );
+
+      const errorBars = container.querySelectorAll('.error-bar');
+      expect(errorBars).toHaveLength(2);
+      expect(errorBars[0].querySelectorAll('line')).toHaveLength(3);
+
+      // The whisker runs past the top of the bar
+      const barTop = Number(container.querySelector('.bar-group rect').getAttribute('y'));
+      const whisker = errorBars[0].querySelector('line');
+      expect(Math.min(Number(whisker.getAttribute('y1')), Number(whisker.getAttribute('y2')))).toBeLessThan(barTop);
+    });
+
+    it('should skip error bars when turned off or on stacked bars', () => {
+      const { container: off } = render(
+        <BarChart data={abData} periodNames={['Conversion Rate']} styleSettings={{ ...styleSettings, showErrorBars: false }} />
+      );
+      const { container: stacked } = render(
+        <BarChart data={abData} periodNames={['Conversion Rate']} styleSettings={{ ...styleSettings, barMode: 'stacked' }} />
+      );
+
+      expect(off.querySelectorAll('.error-bar')).toHaveLength(0);
+      expect(stacked.querySelectorAll('.error-bar')).toHaveLength(0);
+    });
+  });
+
+  describe('Reference lines', () => {
+    const salesData = [
+      { Category: 'East', Sales: 30000 },
+      { Category: 'West', Sales: 40000 },
+    ];
+
+    it('should widen the value axis to fit a target above every bar', () => {
+      const { container } = render(
+        <BarChart
+          data={salesData}
+          periodNames={['Sales']}
+          styleSettings={{ orientation: 'vertical', referenceLines: [{ type: 'line', value: 50000, label: 'Target', style: 'dashed' }] }}
+        />
+      );
+
+      const line = container.querySelector('.reference-line');
+      expect(line.getAttribute('stroke-dasharray')).toBe('5,5');
+      expect(Number(line.getAttribute('y1'))).toBeGreaterThanOrEqual(0);
+      expect(container.querySelector('.reference-label').textContent).toBe('Target');
+    });
+
+    it('should label statistics with their value and draw bands behind the bars', () => {
+      const { container } = render(
+        <BarChart
+          data={salesData}
+          periodNames={['Sales']}
+          styleSettings={{
+            orientation: 'vertical',
+            referenceLines: [
+              { type: 'line', value: 'mean' },
+              { type: 'band', value: 0, endValue: 'median' },
+            ],
+          }}
+        />
+      );
+
+      expect(container.querySelector('.reference-label').textContent).toMatch(/^Mean: /);
+      const line = container.querySelector('.reference-line');
+      expect(line.getAttribute('y1')).toBe(line.getAttribute('y2'));
+
+      const band = container.querySelector('.reference-band');
+      const firstBar = container.querySelector('.bar-group rect');
+      expect(band.compareDocumentPosition(firstBar) & Node.DOCUMENT_POSITION_FOLLOWING).toBeTruthy();
+    });
+  });
+
+  describe('Annotations', () => {
+    const salesData = [
+      { Category: 'East', Sales: 30000 },
+      { Category: 'West', Sales: 40000 },
+    ];
+
+    it('should anchor callouts to a category and value', () => {
+      const { container } = render(
+        <BarChart
+          data={salesData}
+          periodNames={['Sales']}
+          styleSettings={{
+            orientation: 'vertical',
+            annotations: [
+              { type: 'circle', x: 'West', y: 40000, text: '' },
+              { type: 'text', x: 'North', y: 10000, text: 'Not in the data' },
+            ],
+          }}
+        />
+      );
+
+      const circles = container.querySelectorAll('.annotation-ring');
+      expect(circles).toHaveLength(1);
+
+      // Centered over the West bar, on its top edge
+      const westBar = container.querySelectorAll('.bar-group rect')[1];
+      const barCenter = Number(westBar.getAttribute('x')) + Number(westBar.getAttribute('width')) / 2;
+      expect(Number(circles[0].getAttribute('cx'))).toBeCloseTo(barCenter);
+      expect(Number(circles[0].getAttribute('cy'))).toBeCloseTo(Number(westBar.getAttribute('y')));
+    });
+  });
+});
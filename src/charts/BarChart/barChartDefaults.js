@@ -1,3 +1,5 @@
+import { lightenColor } from '../../shared/utils/colorUtils';
+
 /**
  * Default style settings for Bar Chart
  */
@@ -6,7 +8,22 @@ export const defaultStyleSettings = {
   orientation: 'vertical', // 'vertical' or 'horizontal'
 
   // Bar display mode
-  barMode: 'grouped', // 'grouped' or 'stacked'
+  barMode: 'grouped', // 'grouped', 'stacked', 'waterfall', or 'diverging'
+
+  // Waterfall settings (used when barMode is 'waterfall')
+  increaseColor: '#10b981', // Steps that add to the running total
+  decreaseColor: '#ef4444', // Steps that subtract from the running total
+  waterfallSubtotals: [], // Categories drawn as running-total bars (their own values are ignored)
+  showWaterfallTotal: true, // Append an end total bar
+  waterfallTotalLabel: 'Total',
+  showWaterfallConnectors: true, // Dashed lines joining each step to the next
+
+  // Diverging settings (used when barMode is 'diverging')
+  // Negative columns stack away from the midpoint using decreaseColor, the rest use increaseColor
+  divergingNegativeColumns: [], // Columns stacked below the midpoint (empty = first half of the columns)
+  divergingNeutralColumns: [], // Columns treated as neutral (empty = the middle column of an odd count)
+  divergingNeutralPosition: 'center', // 'center' (split across the midpoint) or 'side' (separate stack)
+  divergingNeutralColor: '#9ca3af',
 
   // Color settings
   colorPalette: 'vibrant',
@@ -77,3 +94,201 @@ export const defaultBarChartData = {
   ],
   periods: ['Unit Sales', 'Unit Returns'],
 };
+
+
+/**
+ * Build the steps of a waterfall chart from chart rows
+ * The first row is the opening total. Rows named in subtotals are drawn as running-total
+ * bars, and an end total bar is appended unless a row already uses the total label.
+ *
+ * @param {Array} data - Rows ({ Category: 'New Customers', Change: 9.6 })
+ * @param {string} valueColumn - Column holding each step's change
+ * @param {Object} options
+ * @param {Array} options.subtotals - Categories drawn as running-total bars
+ * @param {boolean} options.showTotal - Append an end total bar
+ * @param {string} options.totalLabel - Category name of the end total bar
+ * @returns {Array} [{ category, value, start, end, type: 'total' | 'increase' | 'decrease', row }]
+ */
+export const buildWaterfallSteps = (data, valueColumn, {
+  subtotals = [],
+  showTotal = true,
+  totalLabel = 'Total',
+} = {}) => {
+  if (!data || data.length === 0 || !valueColumn) return [];
+
+  // Round away floating point noise so totals of decimal changes label cleanly (49.8, not 49.800000000000004)
+  const roundTotal = (total) => Math.round(total * 1e9) / 1e9;
+
+  const steps = [];
+  let runningTotal = 0;
+
+  data.forEach((row, index) => {
+    const category = row.Category || row.category || row.Stage || '';
+    const value = Number(row[valueColumn]) || 0;
+
+    if (index === 0) {
+      runningTotal = value;
+      steps.push({ category, value, start: 0, end: value, type: 'total', row });
+    } else if (subtotals.includes(category)) {
+      steps.push({ category, value: runningTotal, start: 0, end: runningTotal, type: 'total', row });
+    } else {
+      const start = runningTotal;
+      runningTotal = roundTotal(runningTotal + value);
+      steps.push({ category, value, start, end: runningTotal, type: value < 0 ? 'decrease' : 'increase', row });
+    }
+  });
+
+  if (showTotal && !steps.some(step => step.category === totalLabel)) {
+    steps.push({
+      category: totalLabel,
+      value: runningTotal,
+      start: 0,
+      end: runningTotal,
+      type: 'total',
+      row: { Category: totalLabel, [valueColumn]: runningTotal },
+    });
+  }
+
+  return steps;
+};
+
+/**
+ * Split value columns into negative, neutral and positive responses
+ * Without any user choice, the first half of the columns are negative, the middle column of an
+ * odd count is neutral, and the rest are positive (e.g. a five-point Likert scale).
+ *
+ * @param {Array} columns - Value columns in scale order ("Strongly disagree" ... "Strongly agree")
+ * @param {Object} options
+ * @param {Array} options.negativeColumns - Columns stacked below the midpoint
+ * @param {Array} options.neutralColumns - Columns treated as neutral
+ * @returns {Object} { negative, neutral, positive } - Each in column order
+ */
+export const getDivergingColumnRoles = (columns, { negativeColumns = [], neutralColumns = [] } = {}) => {
+  if (!columns || columns.length === 0) return { negative: [], neutral: [], positive: [] };
+
+  const hasUserRoles = columns.some(column => negativeColumns.includes(column) || neutralColumns.includes(column));
+
+  if (!hasUserRoles) {
+    const half = Math.floor(columns.length / 2);
+    return {
+      negative: columns.slice(0, half),
+      neutral: columns.length % 2 === 1 ? [columns[half]] : [],
+      positive: columns.slice(columns.length - half),
+    };
+  }
+
+  // Neutral wins if a column is listed in both
+  const neutral = columns.filter(column => neutralColumns.includes(column));
+  const negative = columns.filter(column => negativeColumns.includes(column) && !neutral.includes(column));
+  const positive = columns.filter(column => !negative.includes(column) && !neutral.includes(column));
+
+  return { negative, neutral, positive };
+};
+
+/**
+ * Build diverging stacks centered on a neutral midpoint at zero
+ * Negative responses stack below zero and positive responses above it, each starting with the
+ * column closest to the middle of the scale. Neutral responses either straddle zero ('center')
+ * or stack from zero in a separate side panel ('side', segments flagged with side: true).
+ * Rows in the grouped Group/Period format are labeled "Group (Period)" and use their own value
+ * columns instead of the period names.
+ *
+ * @param {Array} data - Rows ({ Category: 'Product', 'Disagree': 12, 'Neutral': 20, 'Agree': 48 })
+ * @param {Array} columns - Value columns in scale order
+ * @param {Object} options
+ * @param {Array} options.negativeColumns - Columns stacked below the midpoint
+ * @param {Array} options.neutralColumns - Columns treated as neutral
+ * @param {string} options.neutralPosition - 'center' or 'side'
+ * @returns {Object} { columns, roles, rows: [{ category, row, segments, negativeTotal, neutralTotal, positiveTotal }] }
+ *   Segments: [{ column, value, start, end, role: 'negative' | 'neutral' | 'positive', side }]
+ */
+export const buildDivergingStacks = (data, columns, {
+  negativeColumns = [],
+  neutralColumns = [],
+  neutralPosition = 'center',
+} = {}) => {
+  if (!data || data.length === 0) {
+    return { columns: [], roles: getDivergingColumnRoles([]), rows: [] };
+  }
+
+  const isGroupPeriod = data[0].Group !== undefined && data[0].Period !== undefined;
+  const valueColumns = isGroupPeriod
+    ? Object.keys(data[0]).filter(key => key !== 'Group' && key !== 'Period' && key !== 'hidden')
+    : (columns || []);
+  const roles = getDivergingColumnRoles(valueColumns, { negativeColumns, neutralColumns });
+  const isCentered = neutralPosition !== 'side';
+
+  const rows = data.map((row) => {
+    const category = isGroupPeriod
+      ? `${row.Group} (${row.Period})`
+      : (row.Category || row.category || row.Stage || '');
+    // Response counts and shares are never negative; the role decides the direction
+    const valueOf = (column) => Math.abs(Number(row[column])) || 0;
+    const sumOf = (roleColumns) => roleColumns.reduce((sum, column) => sum + valueOf(column), 0);
+
+    const neutralTotal = sumOf(roles.neutral);
+    const offset = isCentered ? neutralTotal / 2 : 0;
+    const negativeStart = offset ? -offset : 0; // Avoid -0 when there is no neutral band
+    const segments = [];
+
+    // Neutral responses: straddle zero, or stack from zero in the side panel
+    let position = negativeStart;
+    roles.neutral.forEach((column) => {
+      const value = valueOf(column);
+      segments.push({ column, value, start: position, end: position + value, role: 'neutral', side: !isCentered });
+      position += value;
+    });
+
+    // Negative responses: the column closest to the middle of the scale sits next to zero
+    position = negativeStart;
+    [...roles.negative].reverse().forEach((column) => {
+      const value = valueOf(column);
+      segments.push({ column, value, start: position, end: position - value, role: 'negative', side: false });
+      position -= value;
+    });
+
+    position = offset;
+    roles.positive.forEach((column) => {
+      const value = valueOf(column);
+      segments.push({ column, value, start: position, end: position + value, role: 'positive', side: false });
+      position += value;
+    });
+
+    return {
+      category,
+      row,
+      segments,
+      negativeTotal: sumOf(roles.negative),
+      neutralTotal,
+      positiveTotal: sumOf(roles.positive),
+    };
+  });
+
+  return { columns: valueColumns, roles, rows };
+};
+
+/**
+ * Pick a color for each diverging column
+ * The column at the far end of each side gets the full color and columns closer to the
+ * middle of the scale get progressively lighter shades.
+ *
+ * @param {Object} roles - { negative, neutral, positive } from getDivergingColumnRoles
+ * @param {Object} colors - { negativeColor, neutralColor, positiveColor }
+ * @returns {Object} Column name to hex color
+ */
+export const getDivergingColors = (roles, { negativeColor, neutralColor, positiveColor }) => {
+  const shade = (color, stepsFromEnd, count) => lightenColor(color, count > 1 ? (stepsFromEnd / count) * 60 : 0);
+  const colors = {};
+
+  roles.negative.forEach((column, i) => {
+    colors[column] = shade(negativeColor, i, roles.negative.length);
+  });
+  roles.neutral.forEach((column, i) => {
+    colors[column] = shade(neutralColor, i, roles.neutral.length);
+  });
+  roles.positive.forEach((column, i) => {
+    colors[column] = shade(positiveColor, roles.positive.length - 1 - i, roles.positive.length);
+  });
+
+  return colors;
+};
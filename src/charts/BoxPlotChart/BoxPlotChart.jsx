@@ -0,0 +1,337 @@
+import React, { useRef, useEffect } from 'react';
+import * as d3 from 'd3';
+import { getPaletteColors } from '../../shared/design-system/colorPalettes';
+import { formatValueLabel } from '../../shared/utils/dataFormatters';
+import { getMetricColumns } from '../../shared/utils/columnSchema';
+import {
+  WATERMARK_MARGIN_HEIGHT,
+  getThemeColors,
+  estimateTextWidth,
+  renderChartHeader,
+  renderWatermark,
+} from '../../shared/utils/chartDecorations';
+import { resolveValueColumn, getDistributionGroups } from '../HistogramChart/histogramChartDefaults';
+import { defaultStyleSettings, buildBoxPlotStats } from './boxPlotChartDefaults';
+import { debug } from '../../shared/utils/debug';
+
+/**
+ * BoxPlotChart Component
+ *
+ * Box-and-whisker chart: each group's raw values are summarized as quartiles,
+ * whiskers and outliers, one vertical box per group
+ *
+ * Features:
+ * - Quartiles with linear interpolation, whiskers to the last value inside 1.5 × IQR
+ * - Outlier dots and an optional mean marker
+ * - Grouping by any text column, or one box for all rows
+ *
+ * Data format: one row per observation, e.g. { Category: "North", "Delivery Days": 3.8 }
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.data - Chart data
+ * @param {Array} props.periodNames - Value columns (the first numeric one is plotted unless valueColumn is set)
+ * @param {Object} props.columnSchema - Column types from useChartData; only numeric types are plotted
+ * @param {Object} props.styleSettings - Style settings object
+ */
+const BoxPlotChart = ({ data, periodNames, columnSchema, styleSettings = {} }) => {
+  const svgRef = useRef(null);
+
+  /**
+   * Main chart rendering effect
+   */
+  useEffect(() => {
+    if (!data || data.length === 0 || !svgRef.current) return;
+
+    // Clear previous render
+    d3.select(svgRef.current).selectAll('*').remove();
+
+    // Merge provided settings with defaults
+    const settings = { ...defaultStyleSettings, ...styleSettings };
+
+    const {
+      width,
+      height,
+      marginTop,
+      marginRight,
+      marginBottom,
+      marginLeft,
+      valueColumn,
+      groupColumn,
+      showOutliers,
+      showMean,
+      boxWidthRatio,
+      comparisonPalette,
+      userCustomColors,
+      barOpacity,
+      axisValuePrefix,
+      axisValueSuffix,
+      axisValueDecimalPlaces,
+      compactAxisNumbers,
+      xAxisTitle,
+      showGridLines,
+      gridLineColor,
+      gridLineOpacity,
+      showValueLabels,
+      fontFamily,
+      axisFontSize,
+      axisTitleFontSize,
+      valueFontSize,
+      backgroundColor,
+      darkMode,
+    } = settings;
+
+    const themeColors = getThemeColors(darkMode);
+
+    const column = resolveValueColumn(data, getMetricColumns(periodNames, columnSchema), valueColumn);
+    if (!column) {
+      debug.warn('BoxPlotChart', 'Box plots need a column of numbers');
+      return;
+    }
+
+    const { groups, skipped } = getDistributionGroups(data, column, groupColumn);
+    if (skipped > 0) {
+      debug.warn('BoxPlotChart', `Skipped ${skipped} row(s) without a number in "${column}"`);
+    }
+
+    const stats = buildBoxPlotStats(groups);
+    if (stats.length === 0) {
+      debug.warn('BoxPlotChart', 'No values to plot');
+      return;
+    }
+
+    const palette = getPaletteColors(comparisonPalette, userCustomColors);
+    const getGroupColor = (groupIndex) => palette[groupIndex % palette.length];
+
+    const formatValue = (value) => formatValueLabel(value, {
+      prefix: axisValuePrefix,
+      suffix: axisValueSuffix,
+      decimalPlaces: axisValueDecimalPlaces,
+      compact: compactAxisNumbers,
+    });
+
+    // Add extra canvas height for watermark margin area if user is on free tier
+    const watermarkMarginHeight = settings.userTier !== 'pro' ? WATERMARK_MARGIN_HEIGHT : 0;
+
+    const svg = d3
+      .select(svgRef.current)
+      .attr('width', width)
+      .attr('height', height + watermarkMarginHeight)
+      .style('background-color', backgroundColor);
+
+    const headerHeight = renderChartHeader(svg, {
+      title: settings.title,
+      subtitle: settings.subtitle,
+      titleFontSize: settings.titleFontSize,
+      subtitleFontSize: settings.subtitleFontSize,
+      titleAlignment: settings.titleAlignment,
+      fontFamily,
+      width,
+      marginLeft,
+      darkMode,
+    });
+
+    // Value axis covers every point that is drawn
+    const lowest = d3.min(stats, s => (showOutliers ? s.min : s.whiskerLow));
+    const highest = d3.max(stats, s => (showOutliers ? s.max : s.whiskerHigh));
+    const padding = lowest === highest ? Math.abs(lowest) * 0.1 || 1 : 0;
+    const yScaleDomain = d3.scaleLinear().domain([lowest - padding, highest + padding]).nice();
+    const valueTicks = yScaleDomain.ticks(6);
+
+    const valueTitle = xAxisTitle || column;
+    const valueAxisWidth = (d3.max(valueTicks, tick => estimateTextWidth(formatValue(tick), axisFontSize)) || 0) +
+      10 + (valueTitle ? axisTitleFontSize + 12 : 0);
+
+    const plotLeft = marginLeft + valueAxisWidth;
+    const plotRight = width - marginRight;
+    const plotTop = marginTop + headerHeight + axisFontSize / 2;
+    const plotBottom = height - marginBottom - (axisFontSize + 12);
+
+    // Scales
+    const xScale = d3
+      .scaleBand()
+      .domain(stats.map(s => s.key))
+      .range([plotLeft, plotRight])
+      .padding(0);
+    const yScale = yScaleDomain.copy().range([plotBottom, plotTop]);
+    const boxWidth = Math.max(4, xScale.bandwidth() * boxWidthRatio);
+
+    const chartGroup = svg.append('g').attr('class', 'boxplot-chart');
+
+    if (showGridLines) {
+      const grid = chartGroup.append('g').attr('class', 'boxplot-grid');
+      valueTicks.forEach(tick => {
+        grid.append('line')
+          .attr('x1', plotLeft)
+          .attr('x2', plotRight)
+          .attr('y1', yScale(tick))
+          .attr('y2', yScale(tick))
+          .attr('stroke', darkMode ? themeColors.gridlineColor : gridLineColor)
+          .attr('stroke-opacity', gridLineOpacity);
+      });
+    }
+
+    // Value axis: tick labels and a rotated title
+    const yAxisGroup = chartGroup.append('g').attr('class', 'boxplot-y-axis');
+    valueTicks.forEach(tick => {
+      yAxisGroup.append('text')
+        .attr('class', 'boxplot-axis-label')
+        .attr('x', plotLeft - 8)
+        .attr('y', yScale(tick))
+        .attr('dy', '0.35em')
+        .attr('text-anchor', 'end')
+        .attr('font-family', fontFamily)
+        .attr('font-size', axisFontSize + 'px')
+        .attr('fill', themeColors.mutedLabelColor)
+        .text(formatValue(tick));
+    });
+    if (valueTitle) {
+      yAxisGroup.append('text')
+        .attr('class', 'boxplot-axis-title')
+        .attr('transform', `translate(${marginLeft + axisTitleFontSize / 2},${(plotTop + plotBottom) / 2}) rotate(-90)`)
+        .attr('dy', '0.35em')
+        .attr('text-anchor', 'middle')
+        .attr('font-family', fontFamily)
+        .attr('font-size', axisTitleFontSize + 'px')
+        .attr('font-weight', 600)
+        .attr('fill', themeColors.labelColor)
+        .text(valueTitle);
+    }
+
+    // Boxes
+    stats.forEach((stat, groupIndex) => {
+      const color = getGroupColor(groupIndex);
+      const cx = xScale(stat.key) + xScale.bandwidth() / 2;
+      const left = cx - boxWidth / 2;
+      const summary = [
+        `${stat.label} (n = ${stat.count})`,
+        `Max: ${formatValue(stat.max)}`,
+        `Q3: ${formatValue(stat.q3)}`,
+        `Median: ${formatValue(stat.median)}`,
+        `Q1: ${formatValue(stat.q1)}`,
+        `Min: ${formatValue(stat.min)}`,
+      ].join('\n');
+
+      const boxGroup = chartGroup.append('g').attr('class', 'boxplot-group');
+      boxGroup.append('title').text(summary);
+
+      // Whiskers with caps
+      [[stat.q3, stat.whiskerHigh], [stat.q1, stat.whiskerLow]].forEach(([from, to]) => {
+        boxGroup.append('line')
+          .attr('class', 'boxplot-whisker')
+          .attr('x1', cx)
+          .attr('x2', cx)
+          .attr('y1', yScale(from))
+          .attr('y2', yScale(to))
+          .attr('stroke', color)
+          .attr('stroke-width', 1.5);
+        boxGroup.append('line')
+          .attr('class', 'boxplot-whisker-cap')
+          .attr('x1', cx - boxWidth / 4)
+          .attr('x2', cx + boxWidth / 4)
+          .attr('y1', yScale(to))
+          .attr('y2', yScale(to))
+          .attr('stroke', color)
+          .attr('stroke-width', 1.5);
+      });
+
+      boxGroup.append('rect')
+        .attr('class', 'boxplot-box')
+        .attr('x', left)
+        .attr('y', yScale(stat.q3))
+        .attr('width', boxWidth)
+        .attr('height', Math.max(1, yScale(stat.q1) - yScale(stat.q3)))
+        .attr('fill', color)
+        .attr('fill-opacity', barOpacity)
+        .attr('stroke', color)
+        .attr('stroke-width', 1.5);
+
+      boxGroup.append('line')
+        .attr('class', 'boxplot-median')
+        .attr('x1', left)
+        .attr('x2', left + boxWidth)
+        .attr('y1', yScale(stat.median))
+        .attr('y2', yScale(stat.median))
+        .attr('stroke', color)
+        .attr('stroke-width', 3);
+
+      if (showMean) {
+        const size = 5;
+        const my = yScale(stat.mean);
+        boxGroup.append('path')
+          .attr('class', 'boxplot-mean')
+          .attr('d', `M${cx},${my - size}L${cx + size},${my}L${cx},${my + size}L${cx - size},${my}Z`)
+          .attr('fill', backgroundColor)
+          .attr('stroke', themeColors.emphasisColor)
+          .attr('stroke-width', 1.5)
+          .append('title')
+          .text(`Mean: ${formatValue(stat.mean)}`);
+      }
+
+      if (showOutliers) {
+        stat.outliers.forEach(value => {
+          boxGroup.append('circle')
+            .attr('class', 'boxplot-outlier')
+            .attr('cx', cx)
+            .attr('cy', yScale(value))
+            .attr('r', 3.5)
+            .attr('fill', 'none')
+            .attr('stroke', color)
+            .attr('stroke-width', 1.5)
+            .append('title')
+            .text(`${stat.label}: ${formatValue(value)}`);
+        });
+      }
+
+      if (showValueLabels) {
+        boxGroup.append('text')
+          .attr('class', 'boxplot-value-label')
+          .attr('x', left + boxWidth + 6)
+          .attr('y', yScale(stat.median))
+          .attr('dy', '0.35em')
+          .attr('font-family', fontFamily)
+          .attr('font-size', valueFontSize + 'px')
+          .attr('font-weight', 600)
+          .attr('fill', themeColors.labelColor)
+          .style('pointer-events', 'none')
+          .text(formatValue(stat.median));
+      }
+
+      // Group label below the plot
+      chartGroup.append('text')
+        .attr('class', 'boxplot-axis-label boxplot-group-label')
+        .attr('x', cx)
+        .attr('y', plotBottom + axisFontSize + 6)
+        .attr('text-anchor', 'middle')
+        .attr('font-family', fontFamily)
+        .attr('font-size', axisFontSize + 'px')
+        .attr('fill', themeColors.labelColor)
+        .text(stat.label);
+    });
+
+    // Baseline
+    chartGroup.append('line')
+      .attr('class', 'boxplot-baseline')
+      .attr('x1', plotLeft)
+      .attr('x2', plotRight)
+      .attr('y1', plotBottom)
+      .attr('y2', plotBottom)
+      .attr('stroke', themeColors.axisLineColor)
+      .attr('stroke-width', 1);
+
+    renderWatermark(svg, {
+      userTier: settings.userTier,
+      width,
+      chartBottom: height,
+      fontFamily,
+      darkMode,
+    });
+  }, [data, periodNames, columnSchema, styleSettings]);
+
+  return (
+    <div className="boxplot-chart-container">
+      <svg ref={svgRef}></svg>
+    </div>
+  );
+};
+
+export default React.memo(BoxPlotChart);
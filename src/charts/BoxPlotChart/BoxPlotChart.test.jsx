@@ -0,0 +1,73 @@
+/**
+ * Tests for BoxPlotChart Component
+ */
+
+import { describe, it, expect } from 'vitest';
+import { render } from '@testing-library/react';
+import BoxPlotChart from './BoxPlotChart';
+import { defaultData, defaultPeriodNames, buildBoxPlotStats } from './boxPlotChartDefaults';
+import { calculateQuartiles, findOutliers } from '../../shared/utils/calculations';
+
+describe('BoxPlotChart', () => {
+  describe('calculateQuartiles', () => {
+    it('should interpolate between values', () => {
+      expect(calculateQuartiles([1, 2, 3, 4])).toEqual({ q1: 1.75, median: 2.5, q3: 3.25 });
+      expect(calculateQuartiles([5, 1, 3])).toEqual({ q1: 2, median: 3, q3: 4 });
+    });
+
+    it('should flag values beyond 1.5 × IQR as outliers', () => {
+      expect(findOutliers([1, 2, 3, 4, 5, 100]).map(o => o.value)).toEqual([100]);
+    });
+  });
+
+  describe('buildBoxPlotStats', () => {
+    it('should stop whiskers at the last value inside the fences', () => {
+      const [stat] = buildBoxPlotStats([{ key: 'A', label: 'A', values: [1, 2, 3, 4, 5, 100] }]);
+
+      expect(stat.median).toBe(3.5);
+      expect(stat.whiskerLow).toBe(1);
+      expect(stat.whiskerHigh).toBe(5);
+      expect(stat.outliers).toEqual([100]);
+      expect(stat.max).toBe(100);
+    });
+  });
+
+  describe('Rendering', () => {
+    it('should draw one box per group', () => {
+      const { container } = render(
+        <BoxPlotChart data={defaultData} periodNames={defaultPeriodNames} />
+      );
+
+      expect(container.querySelectorAll('.boxplot-box')).toHaveLength(2);
+      expect(container.querySelectorAll('.boxplot-median')).toHaveLength(2);
+      const labels = Array.from(container.querySelectorAll('.boxplot-group-label')).map(t => t.textContent);
+      expect(labels).toEqual(['Online', 'In Store']);
+    });
+
+    it('should draw outliers unless hidden', () => {
+      const { container, rerender } = render(
+        <BoxPlotChart data={defaultData} periodNames={defaultPeriodNames} />
+      );
+      // In Store has two slow deliveries (7.2 and 7.9 days)
+      expect(container.querySelectorAll('.boxplot-outlier')).toHaveLength(2);
+
+      rerender(
+        <BoxPlotChart data={defaultData} periodNames={defaultPeriodNames} styleSettings={{ showOutliers: false }} />
+      );
+      expect(container.querySelectorAll('.boxplot-outlier')).toHaveLength(0);
+    });
+
+    it('should draw a single box without a group column and mark the mean when asked to', () => {
+      const { container } = render(
+        <BoxPlotChart
+          data={defaultData}
+          periodNames={defaultPeriodNames}
+          styleSettings={{ groupColumn: '', showMean: true }}
+        />
+      );
+
+      expect(container.querySelectorAll('.boxplot-box')).toHaveLength(1);
+      expect(container.querySelectorAll('.boxplot-mean')).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Default data and settings for Box Plot Chart
+ */
+
+import { calculateAverage, calculateQuartiles, findOutliers } from '../../shared/utils/calculations';
+
+/**
+ * Default sample data - one row per observation, the first column is the group
+ */
+export const defaultData = [
+  ...[2.2, 3.4, 3.8, 2.7, 2.2, 3.1, 3.4, 3.9, 2.2, 2.2, 3.6, 3.4, 4.2, 3.8, 3.0, 2.9, 4.9, 2.9, 2.6, 2.3]
+    .map(value => ({ Category: 'Online', 'Delivery Days': value })),
+  ...[4.3, 4.3, 3.9, 7.9, 4.4, 4.8, 5.2, 4.4, 2.6, 4.8, 2.9, 4.0, 2.9, 4.2, 3.5, 4.4, 7.2, 4.2, 5.0, 3.0]
+    .map(value => ({ Category: 'In Store', 'Delivery Days': value })),
+];
+
+/**
+ * Default period names
+ */
+export const defaultPeriodNames = ['Delivery Days'];
+
+/**
+ * Default style settings for Box Plot Chart
+ * Data mapping, color and axis settings use the histogram names so styling carries over between the two
+ */
+export const defaultStyleSettings = {
+  // Title and Subtitle
+  title: '',
+  subtitle: '',
+  fontFamily: 'Inter',
+  titleFontSize: 28,
+  subtitleFontSize: 20,
+  titleAlignment: 'left',
+
+  // Data mapping
+  valueColumn: '', // '' = first numeric column
+  groupColumn: 'Category', // '' = one box for all rows
+
+  // Box elements
+  showOutliers: true, // Dots for values beyond 1.5 × IQR; whiskers stop at the last value inside
+  showMean: false, // Diamond at the mean
+  boxWidthRatio: 0.5, // Box width as a share of the space per group
+
+  // Colors
+  comparisonPalette: 'observable10',
+  userCustomColors: [],
+  barOpacity: 0.35, // Box fill opacity - the outline and median stay solid
+
+  // Value axis
+  axisValuePrefix: '',
+  axisValueSuffix: '',
+  axisValueDecimalPlaces: 0,
+  compactAxisNumbers: true,
+  xAxisTitle: '', // Title on the value axis ('' = value column name)
+
+  // Gridlines
+  showGridLines: true,
+  gridLineColor: '#e5e7eb',
+  gridLineOpacity: 0.5,
+
+  // Labels
+  showValueLabels: false, // Median next to each box
+
+  // Typography
+  axisFontSize: 14,
+  axisTitleFontSize: 15,
+  valueFontSize: 12,
+
+  // Layout
+  width: 900,
+  height: 560,
+  marginTop: 40,
+  marginRight: 40,
+  marginBottom: 40,
+  marginLeft: 40,
+
+  // Theme
+  backgroundColor: '#ffffff',
+  darkMode: false,
+};
+
+/**
+ * Summarize each group for drawing as a box
+ * Whiskers reach the most extreme values inside the 1.5 × IQR fences, so they always sit on real data points.
+ *
+ * @param {Array} groups - Groups from getDistributionGroups
+ * @returns {Array} [{ key, label, count, min, max, q1, median, q3, mean, whiskerLow, whiskerHigh, outliers }]
+ */
+export const buildBoxPlotStats = (groups) => {
+  if (!groups) return [];
+
+  return groups
+    .filter(group => group.values.length > 0)
+    .map(group => {
+      const { values } = group;
+      const { q1, median, q3 } = calculateQuartiles(values);
+      const outliers = findOutliers(values).map(item => item.value);
+      const inside = values.filter(value => !outliers.includes(value));
+
+      return {
+        key: group.key,
+        label: group.label,
+        count: values.length,
+        min: Math.min(...values),
+        max: Math.max(...values),
+        q1,
+        median,
+        q3,
+        mean: calculateAverage(values),
+        whiskerLow: Math.min(...inside),
+        whiskerHigh: Math.max(...inside),
+        outliers,
+      };
+    });
+};
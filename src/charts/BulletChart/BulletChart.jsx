@@ -0,0 +1,317 @@
+import React, { useRef, useEffect } from 'react';
+import * as d3 from 'd3';
+import { formatValueLabel } from '../../shared/utils/dataFormatters';
+import {
+  WATERMARK_MARGIN_HEIGHT,
+  getThemeColors,
+  estimateTextWidth,
+  renderChartHeader,
+  renderWatermark,
+} from '../../shared/utils/chartDecorations';
+import {
+  defaultStyleSettings,
+  MAX_RANGES,
+  resolveBulletColumns,
+  buildBulletRows,
+} from './bulletChartDefaults';
+import { debug } from '../../shared/utils/debug';
+
+// Range bands on dark backgrounds, lowest band first
+const DARK_RANGE_COLORS = ['#6b7280', '#4b5563', '#374151'];
+
+// Bullets stop growing past this thickness so a few metrics don't turn into blocks
+const MAX_BULLET_THICKNESS = 56;
+
+/**
+ * BulletChart Component
+ *
+ * Stephen Few's bullet graph: each metric's actual value as a bar, its target as a
+ * marker and up to three qualitative ranges as shaded bands behind them
+ *
+ * Features:
+ * - Horizontal (one bullet per row) or vertical (one bullet per column) orientation
+ * - One scale per metric, or a shared scale when every metric uses the same units
+ * - Value labels formatted like bar chart value labels (prefix, suffix, decimals, compact)
+ *
+ * Data format: { Category: "Revenue", Actual: 275, Target: 250, Poor: 150, Satisfactory: 225, Good: 300 }
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.data - Chart data
+ * @param {Array} props.periodNames - Value columns (actual, target, then ranges unless mapped in settings)
+ * @param {Object} props.styleSettings - Style settings object
+ */
+const BulletChart = ({ data, periodNames, styleSettings = {} }) => {
+  const svgRef = useRef(null);
+
+  /**
+   * Main chart rendering effect
+   */
+  useEffect(() => {
+    if (!data || data.length === 0 || !svgRef.current) return;
+
+    // Clear previous render
+    d3.select(svgRef.current).selectAll('*').remove();
+
+    // Merge provided settings with defaults
+    const settings = { ...defaultStyleSettings, ...styleSettings };
+
+    const {
+      width,
+      height,
+      marginTop,
+      marginRight,
+      marginBottom,
+      marginLeft,
+      orientation,
+      actualColumn,
+      targetColumn,
+      rangeColumns,
+      sharedScale,
+      actualColor,
+      targetColor,
+      rangeColors,
+      bulletThickness,
+      actualThickness,
+      targetThickness,
+      targetLength,
+      valuePrefix,
+      valueSuffix,
+      valueDecimalPlaces,
+      compactNumbers,
+      showValueLabels,
+      showTargetLabels,
+      showAxis,
+      fontFamily,
+      categoryFontSize,
+      categoryFontWeight,
+      valueFontSize,
+      axisFontSize,
+      backgroundColor,
+      darkMode,
+    } = settings;
+
+    const themeColors = getThemeColors(darkMode);
+
+    const columns = resolveBulletColumns(periodNames || [], { actualColumn, targetColumn, rangeColumns });
+    const { rows, skipped } = buildBulletRows(data, columns);
+    if (skipped > 0) {
+      debug.warn('BulletChart', `Skipped ${skipped} row(s) without an actual value in "${columns.actual}"`);
+    }
+    if (rows.length === 0) {
+      debug.warn('BulletChart', 'No metrics to plot');
+      return;
+    }
+
+    const formatValue = (value) => formatValueLabel(value, {
+      prefix: valuePrefix,
+      suffix: valueSuffix,
+      decimalPlaces: valueDecimalPlaces,
+      compact: compactNumbers,
+    });
+
+    // Shared scale covers every metric; otherwise each bullet uses its own range
+    const sharedDomain = [d3.min(rows, row => row.min), d3.max(rows, row => row.max)];
+    const getDomain = (row) => (sharedScale ? sharedDomain : [row.min, row.max]);
+
+    const bandColors = darkMode ? DARK_RANGE_COLORS : rangeColors;
+    const actualFill = darkMode ? themeColors.labelColor : actualColor;
+    const targetStroke = darkMode ? themeColors.emphasisColor : targetColor;
+
+    const valueLabelText = (row) => (
+      showTargetLabels && row.target !== null
+        ? `${formatValue(row.actual)} / ${formatValue(row.target)}`
+        : formatValue(row.actual)
+    );
+
+    // Add extra canvas height for watermark margin area if user is on free tier
+    const watermarkMarginHeight = settings.userTier !== 'pro' ? WATERMARK_MARGIN_HEIGHT : 0;
+
+    const svg = d3
+      .select(svgRef.current)
+      .attr('width', width)
+      .attr('height', height + watermarkMarginHeight)
+      .style('background-color', backgroundColor);
+
+    const headerHeight = renderChartHeader(svg, {
+      title: settings.title,
+      subtitle: settings.subtitle,
+      titleFontSize: settings.titleFontSize,
+      subtitleFontSize: settings.subtitleFontSize,
+      titleAlignment: settings.titleAlignment,
+      fontFamily,
+      width,
+      marginLeft,
+      darkMode,
+    });
+
+    const isVertical = orientation === 'vertical';
+    const chartGroup = svg.append('g').attr('class', 'bullet-chart');
+
+    // Lay out the value axis of each bullet, then the band each bullet sits in
+    let bandScale;
+    let valueRange;
+    let bulletSize;
+    let tickAreaWidth = 0;
+
+    if (isVertical) {
+      const plotTop = marginTop + headerHeight + (showValueLabels ? valueFontSize + 12 : axisFontSize / 2);
+      const plotBottom = height - marginBottom - categoryFontSize - 12;
+      valueRange = [plotBottom, plotTop];
+      bandScale = d3.scaleBand()
+        .domain(rows.map(row => row.index))
+        .range([marginLeft, width - marginRight]);
+
+      if (showAxis) {
+        tickAreaWidth = (d3.max(rows, row =>
+          d3.max(d3.scaleLinear().domain(getDomain(row)).ticks(5), tick => estimateTextWidth(formatValue(tick), axisFontSize))
+        ) || 0) + 10;
+      }
+      bulletSize = Math.min(MAX_BULLET_THICKNESS, (bandScale.bandwidth() - tickAreaWidth) * bulletThickness);
+    } else {
+      const labelWidth = d3.max(rows, row => estimateTextWidth(row.label, categoryFontSize)) + 16;
+      const valueLabelWidth = showValueLabels
+        ? d3.max(rows, row => estimateTextWidth(valueLabelText(row), valueFontSize)) + 12
+        : 0;
+      const plotTop = marginTop + headerHeight;
+      const plotBottom = height - marginBottom;
+      valueRange = [marginLeft + labelWidth, width - marginRight - valueLabelWidth];
+      bandScale = d3.scaleBand()
+        .domain(rows.map(row => row.index))
+        .range([plotTop, plotBottom]);
+
+      const axisHeight = showAxis ? axisFontSize + 8 : 0;
+      bulletSize = Math.min(MAX_BULLET_THICKNESS, (bandScale.bandwidth() - axisHeight) * bulletThickness);
+    }
+    bulletSize = Math.max(4, bulletSize);
+
+    rows.forEach(row => {
+      const scale = d3.scaleLinear().domain(getDomain(row)).range(valueRange);
+      const [domainMin, domainMax] = scale.domain();
+
+      // Cross-axis position of the bullet's near edge and its center line
+      const bandStart = bandScale(row.index);
+      const bulletStart = isVertical
+        ? bandStart + tickAreaWidth + (bandScale.bandwidth() - tickAreaWidth - bulletSize) / 2
+        : bandStart + (bandScale.bandwidth() - bulletSize - (showAxis ? axisFontSize + 8 : 0)) / 2;
+      const center = bulletStart + bulletSize / 2;
+
+      // Rectangle spanning two values along the value axis and `size` across it, centered on the bullet
+      const span = (from, to, size) => {
+        const a = scale(from);
+        const b = scale(to);
+        return isVertical
+          ? { x: center - size / 2, y: Math.min(a, b), width: size, height: Math.abs(b - a) }
+          : { x: Math.min(a, b), y: center - size / 2, width: Math.abs(b - a), height: size };
+      };
+
+      const rowGroup = chartGroup.append('g').attr('class', 'bullet-row');
+      rowGroup.append('title').text([
+        `${row.label}: ${formatValue(row.actual)}`,
+        ...(row.target !== null ? [`Target: ${formatValue(row.target)}`] : []),
+        ...row.ranges.map(range => `${range.column}: up to ${formatValue(range.value)}`),
+      ].join('\n'));
+
+      // Qualitative bands - lowest first and darkest; fewer ranges use the lighter colors
+      const bands = row.ranges.length > 0 ? row.ranges.map(range => range.value) : [domainMax];
+      let previous = domainMin;
+      bands.forEach((threshold, i) => {
+        const rect = span(previous, threshold, bulletSize);
+        rowGroup.append('rect')
+          .attr('class', 'bullet-range')
+          .attr('x', rect.x)
+          .attr('y', rect.y)
+          .attr('width', rect.width)
+          .attr('height', rect.height)
+          .attr('fill', bandColors[MAX_RANGES - bands.length + i] ?? bandColors[bandColors.length - 1]);
+        previous = threshold;
+      });
+
+      // Actual value bar, from zero
+      const bar = span(0, row.actual, bulletSize * actualThickness);
+      rowGroup.append('rect')
+        .attr('class', 'bullet-actual')
+        .attr('x', bar.x)
+        .attr('y', bar.y)
+        .attr('width', bar.width)
+        .attr('height', bar.height)
+        .attr('fill', actualFill);
+
+      // Target marker across the bullet
+      if (row.target !== null) {
+        const position = scale(row.target);
+        const half = (bulletSize * targetLength) / 2;
+        rowGroup.append('line')
+          .attr('class', 'bullet-target')
+          .attr('x1', isVertical ? center - half : position)
+          .attr('x2', isVertical ? center + half : position)
+          .attr('y1', isVertical ? position : center - half)
+          .attr('y2', isVertical ? position : center + half)
+          .attr('stroke', targetStroke)
+          .attr('stroke-width', targetThickness);
+      }
+
+      // Tick labels along the bullet
+      if (showAxis) {
+        const length = Math.abs(valueRange[1] - valueRange[0]);
+        const ticks = scale.ticks(Math.max(2, Math.min(6, Math.floor(length / (isVertical ? 50 : 90)))));
+        ticks.forEach(tick => {
+          const position = scale(tick);
+          rowGroup.append('text')
+            .attr('class', 'bullet-axis-label')
+            .attr('x', isVertical ? bulletStart - 6 : position)
+            .attr('y', isVertical ? position : bulletStart + bulletSize + axisFontSize + 4)
+            .attr('dy', isVertical ? '0.35em' : null)
+            .attr('text-anchor', isVertical ? 'end' : 'middle')
+            .attr('font-family', fontFamily)
+            .attr('font-size', axisFontSize + 'px')
+            .attr('fill', themeColors.mutedLabelColor)
+            .text(formatValue(tick));
+        });
+      }
+
+      // Metric name
+      rowGroup.append('text')
+        .attr('class', 'bullet-category-label')
+        .attr('x', isVertical ? center : valueRange[0] - 12)
+        .attr('y', isVertical ? valueRange[0] + categoryFontSize + 8 : center)
+        .attr('dy', isVertical ? null : '0.35em')
+        .attr('text-anchor', isVertical ? 'middle' : 'end')
+        .attr('font-family', fontFamily)
+        .attr('font-size', categoryFontSize + 'px')
+        .attr('font-weight', categoryFontWeight)
+        .attr('fill', themeColors.labelColor)
+        .text(row.label);
+
+      // Actual value (and target) past the end of the bullet
+      if (showValueLabels) {
+        rowGroup.append('text')
+          .attr('class', 'bullet-value-label')
+          .attr('x', isVertical ? center : valueRange[1] + 12)
+          .attr('y', isVertical ? valueRange[1] - 10 : center)
+          .attr('dy', isVertical ? null : '0.35em')
+          .attr('text-anchor', isVertical ? 'middle' : 'start')
+          .attr('font-family', fontFamily)
+          .attr('font-size', valueFontSize + 'px')
+          .attr('font-weight', 600)
+          .attr('fill', themeColors.labelColor)
+          .text(valueLabelText(row));
+      }
+    });
+
+    renderWatermark(svg, {
+      userTier: settings.userTier,
+      width,
+      chartBottom: height,
+      fontFamily,
+      darkMode,
+    });
+  }, [data, periodNames, styleSettings]);
+
+  return (
+    <div className="bullet-chart-container">
+      <svg ref={svgRef}></svg>
+    </div>
+  );
+};
+
+export default React.memo(BulletChart);
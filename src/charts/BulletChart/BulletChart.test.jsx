@@ -0,0 +1,113 @@
+/**
+ * Tests for BulletChart Component
+ */
+
+import { describe, it, expect } from 'vitest';
+import { render } from '@testing-library/react';
+import BulletChart from './BulletChart';
+import { defaultData, defaultPeriodNames, resolveBulletColumns, buildBulletRows } from './bulletChartDefaults';
+
+describe('BulletChart', () => {
+  const getLabels = (container, className) =>
+    Array.from(container.querySelectorAll(`.${className}`)).map(t => t.textContent);
+
+  describe('resolveBulletColumns', () => {
+    it('should find actual and target by name and use the remaining columns as ranges', () => {
+      expect(resolveBulletColumns(['Low', 'Target', 'Mid', 'Actual', 'High', 'Stretch'])).toEqual({
+        actual: 'Actual',
+        target: 'Target',
+        ranges: ['Low', 'Mid', 'High'],
+      });
+    });
+
+    it('should fall back to column order and honor chosen columns', () => {
+      expect(resolveBulletColumns(['A', 'B', 'C'])).toEqual({ actual: 'A', target: 'B', ranges: ['C'] });
+      expect(resolveBulletColumns(['A', 'B', 'C'], { actualColumn: 'C', targetColumn: 'A', rangeColumns: ['B'] }))
+        .toEqual({ actual: 'C', target: 'A', ranges: ['B'] });
+    });
+  });
+
+  describe('buildBulletRows', () => {
+    it('should sort ranges, cover every value in the domain and skip rows without an actual value', () => {
+      const data = [
+        { Category: 'A', Actual: 120, Target: 90, R1: 100, R2: 50 },
+        { Category: 'B', Actual: -10, Target: '', R1: 20, R2: '' },
+        { Category: 'C', Actual: '', Target: 5, R1: 1, R2: 2 },
+      ];
+      const { rows, skipped } = buildBulletRows(data, { actual: 'Actual', target: 'Target', ranges: ['R1', 'R2'] });
+
+      expect(rows[0].ranges).toEqual([{ column: 'R2', value: 50 }, { column: 'R1', value: 100 }]);
+      expect([rows[0].min, rows[0].max]).toEqual([0, 120]);
+      expect(rows[1].target).toBe(null);
+      expect([rows[1].min, rows[1].max]).toEqual([-10, 20]);
+      expect(skipped).toBe(1);
+    });
+  });
+
+  describe('Rendering', () => {
+    it('should draw ranges, an actual bar and a target marker per metric', () => {
+      const { container } = render(
+        <BulletChart data={defaultData} periodNames={defaultPeriodNames} />
+      );
+
+      expect(container.querySelectorAll('.bullet-row')).toHaveLength(5);
+      expect(container.querySelectorAll('.bullet-range')).toHaveLength(15);
+      expect(container.querySelectorAll('.bullet-actual')).toHaveLength(5);
+      expect(container.querySelectorAll('.bullet-target')).toHaveLength(5);
+      expect(getLabels(container, 'bullet-category-label')[0]).toBe('Revenue ($K)');
+    });
+
+    it('should format value labels with the bar chart number settings', () => {
+      const { container } = render(
+        <BulletChart
+          data={defaultData.slice(0, 1)}
+          periodNames={defaultPeriodNames}
+          styleSettings={{ valuePrefix: '$', valueSuffix: 'K', valueDecimalPlaces: 1, showTargetLabels: true }}
+        />
+      );
+
+      expect(getLabels(container, 'bullet-value-label')).toEqual(['$275.0K / $250.0K']);
+    });
+
+    it('should give the highest band the lightest color when there are fewer ranges', () => {
+      const { container } = render(
+        <BulletChart
+          data={defaultData}
+          periodNames={defaultPeriodNames}
+          styleSettings={{ rangeColumns: ['Good'], rangeColors: ['#111111', '#222222', '#333333'] }}
+        />
+      );
+
+      const fills = Array.from(container.querySelectorAll('.bullet-range')).map(r => r.getAttribute('fill'));
+      expect(fills).toHaveLength(5);
+      expect(new Set(fills)).toEqual(new Set(['#333333']));
+    });
+
+    it('should lay bullets out side by side in vertical orientation', () => {
+      const { container } = render(
+        <BulletChart data={defaultData} periodNames={defaultPeriodNames} styleSettings={{ orientation: 'vertical' }} />
+      );
+
+      const bars = Array.from(container.querySelectorAll('.bullet-actual'));
+      const xs = bars.map(bar => Number(bar.getAttribute('x')));
+      expect(xs).toEqual([...xs].sort((a, b) => a - b));
+      // Vertical bars grow upward from zero, so they are taller than they are wide
+      expect(Number(bars[0].getAttribute('height'))).toBeGreaterThan(Number(bars[0].getAttribute('width')));
+    });
+
+    it('should place every target on one scale when the scale is shared', () => {
+      const data = [
+        { Category: 'A', Actual: 50, Target: 100 },
+        { Category: 'B', Actual: 25, Target: 100 },
+      ];
+      const { container } = render(
+        <BulletChart data={data} periodNames={['Actual', 'Target']} styleSettings={{ sharedScale: true }} />
+      );
+
+      const targets = Array.from(container.querySelectorAll('.bullet-target')).map(t => t.getAttribute('x1'));
+      const bars = Array.from(container.querySelectorAll('.bullet-actual')).map(b => Number(b.getAttribute('width')));
+      expect(targets[0]).toBe(targets[1]);
+      expect(bars[0]).toBeCloseTo(bars[1] * 2);
+    });
+  });
+});
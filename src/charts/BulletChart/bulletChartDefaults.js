@@ -0,0 +1,171 @@
+/**
+ * Default data and settings for Bullet Chart
+ */
+
+/**
+ * Default sample data - one row per metric with the actual value, the target and up to three range thresholds
+ * Each range column is the upper end of a qualitative band (poor, satisfactory, good)
+ */
+export const defaultData = [
+  { Category: 'Revenue ($K)', Actual: 275, Target: 250, Poor: 150, Satisfactory: 225, Good: 300 },
+  { Category: 'Profit (%)', Actual: 22.5, Target: 26, Poor: 20, Satisfactory: 25, Good: 30 },
+  { Category: 'Avg. Order ($)', Actual: 320, Target: 550, Poor: 350, Satisfactory: 500, Good: 600 },
+  { Category: 'New Customers', Actual: 1650, Target: 2100, Poor: 1400, Satisfactory: 2000, Good: 2500 },
+  { Category: 'Satisfaction (1-5)', Actual: 4.5, Target: 4.2, Poor: 3.5, Satisfactory: 4.25, Good: 5 },
+];
+
+/**
+ * Default period names
+ */
+export const defaultPeriodNames = ['Actual', 'Target', 'Poor', 'Satisfactory', 'Good'];
+
+/**
+ * Most qualitative bands per bullet
+ */
+export const MAX_RANGES = 3;
+
+/**
+ * Default style settings for Bullet Chart
+ */
+export const defaultStyleSettings = {
+  // Title and Subtitle
+  title: '',
+  subtitle: '',
+  fontFamily: 'Inter',
+  titleFontSize: 28,
+  subtitleFontSize: 20,
+  titleAlignment: 'left',
+
+  // Chart orientation
+  orientation: 'horizontal', // 'horizontal' (one bullet per row) or 'vertical' (one bullet per column)
+
+  // Data mapping - '' or [] picks columns by name ('Actual', 'Target') or position
+  actualColumn: '',
+  targetColumn: '',
+  rangeColumns: [],
+  sharedScale: false, // One scale for every bullet instead of one per metric
+
+  // Colors
+  actualColor: '#1f2937',
+  targetColor: '#000000',
+  rangeColors: ['#c7cbd1', '#dcdfe3', '#eef0f2'], // Lowest band first - darker bands read as worse
+
+  // Shapes
+  bulletThickness: 0.6, // Band thickness as a share of the space per metric
+  actualThickness: 0.35, // Actual bar thickness as a share of the band
+  targetThickness: 3, // Target marker width in px
+  targetLength: 0.75, // Target marker length as a share of the band
+
+  // Number format (same settings as bar chart value labels)
+  valuePrefix: '',
+  valueSuffix: '',
+  valueDecimalPlaces: 0,
+  compactNumbers: true,
+
+  // Labels
+  showValueLabels: true, // Actual value at the end of each bullet
+  showTargetLabels: false, // Target value next to the value label
+  showAxis: true, // Tick labels along each bullet
+
+  // Typography
+  categoryFontSize: 15,
+  categoryFontWeight: 600,
+  valueFontSize: 14,
+  axisFontSize: 12,
+
+  // Layout
+  width: 900,
+  height: 560,
+  marginTop: 40,
+  marginRight: 40,
+  marginBottom: 40,
+  marginLeft: 40,
+
+  // Theme
+  backgroundColor: '#ffffff',
+  darkMode: false,
+};
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const num = Number(value);
+  return isNaN(num) ? null : num;
+};
+
+/**
+ * Work out which columns hold the actual value, the target and the range thresholds
+ * Chosen columns win; otherwise columns named 'Actual' and 'Target' are used, then columns in order.
+ *
+ * @param {Array} columns - Available value columns
+ * @param {Object} mapping - { actualColumn, targetColumn, rangeColumns }
+ * @returns {Object} { actual, target, ranges } - target is null when there is no column left for it
+ */
+export const resolveBulletColumns = (columns, { actualColumn = '', targetColumn = '', rangeColumns = [] } = {}) => {
+  if (!columns || columns.length === 0) return { actual: null, target: null, ranges: [] };
+
+  const pick = (chosen, name, taken) => {
+    if (chosen && columns.includes(chosen) && !taken.includes(chosen)) return chosen;
+    const named = columns.find(column => column.trim().toLowerCase() === name && !taken.includes(column));
+    return named ?? columns.find(column => !taken.includes(column)) ?? null;
+  };
+
+  const actual = pick(actualColumn, 'actual', []);
+  const target = pick(targetColumn, 'target', [actual]);
+  const taken = [actual, target];
+
+  const chosenRanges = (rangeColumns || []).filter(column => columns.includes(column) && !taken.includes(column));
+  const ranges = (chosenRanges.length > 0 ? chosenRanges : columns.filter(column => !taken.includes(column)))
+    .slice(0, MAX_RANGES);
+
+  return { actual, target, ranges };
+};
+
+/**
+ * Read each row's actual value, target and range thresholds
+ * Ranges are sorted ascending so band order doesn't depend on column order.
+ *
+ * @param {Array} data - Chart data rows, one per metric
+ * @param {Object} columns - Columns from resolveBulletColumns
+ * @returns {Object} { rows: [{ index, label, actual, target, ranges: [{ column, value }], min, max }], skipped }
+ */
+export const buildBulletRows = (data, { actual, target, ranges = [] } = {}) => {
+  if (!data || data.length === 0 || !actual) return { rows: [], skipped: 0 };
+
+  const rows = [];
+  let skipped = 0;
+
+  data.forEach((row, index) => {
+    const actualValue = toNumber(row[actual]);
+    if (actualValue === null) {
+      skipped += 1;
+      return;
+    }
+
+    const targetValue = target ? toNumber(row[target]) : null;
+    const rangeValues = ranges
+      .map(column => ({ column, value: toNumber(row[column]) }))
+      .filter(range => range.value !== null)
+      .sort((a, b) => a.value - b.value);
+
+    const values = [
+      actualValue,
+      ...rangeValues.map(range => range.value),
+      ...(targetValue !== null ? [targetValue] : []),
+    ];
+    const min = Math.min(0, ...values);
+    let max = Math.max(0, ...values);
+    if (max === min) max = min + 1;
+
+    rows.push({
+      index,
+      label: String(row.Category ?? row.Stage ?? row.category ?? `Row ${index + 1}`),
+      actual: actualValue,
+      target: targetValue,
+      ranges: rangeValues,
+      min,
+      max,
+    });
+  });
+
+  return { rows, skipped };
+};
@@ -0,0 +1,359 @@
+import React, { useRef, useEffect } from 'react';
+import * as d3 from 'd3';
+import { comparisonPalettes } from '../../shared/design-system/colorPalettes';
+import { applySaturation } from '../../shared/utils/colorUtils';
+import {
+  WATERMARK_MARGIN_HEIGHT,
+  getThemeColors,
+  estimateTextWidth,
+  renderChartHeader,
+  renderWatermark,
+} from '../../shared/utils/chartDecorations';
+import { getLineColor } from '../SlopeChart/slopeChartDefaults';
+import { defaultStyleSettings, buildBumpRanks } from './bumpChartDefaults';
+import { debug } from '../../shared/utils/debug';
+
+/**
+ * BumpChart Component
+ *
+ * Shows how rankings change over many periods: values are ranked within each period
+ * and each series is drawn as a line through its ranks, with rank 1 at the top
+ *
+ * Features:
+ * - Ranks computed from raw values (highest or lowest value first), ties share a rank
+ * - Smoothed or straight lines, with gaps where a period has no value
+ * - Series labels at the left, right or both ends
+ * - Same color modes as the slope chart (category, trend, custom, gradient)
+ * - Line emphasis (click to toggle) with de-emphasized colors for the other series
+ *
+ * Data format: { Stage: "Harbor City", "2019": 71, "2020": 68, ... }
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.data - Chart data
+ * @param {Array} props.periodNames - Period/column names, in plotting order
+ * @param {Object} props.styleSettings - Style settings object
+ * @param {Function} props.onLineClick - Optional callback when a line is clicked (rowIndex, rowData)
+ */
+const BumpChart = ({ data, periodNames, styleSettings = {}, onLineClick }) => {
+  const svgRef = useRef(null);
+
+  /**
+   * Main chart rendering effect
+   */
+  useEffect(() => {
+    if (!data || data.length === 0 || !svgRef.current) return;
+
+    // Clear previous render
+    d3.select(svgRef.current).selectAll('*').remove();
+
+    // Merge provided settings with defaults
+    const settings = { ...defaultStyleSettings, ...styleSettings };
+
+    const {
+      width,
+      height,
+      marginTop,
+      marginRight,
+      marginBottom,
+      marginLeft,
+      colorMode,
+      startColor,
+      endColor,
+      rankOrder,
+      lineThickness,
+      lineOpacity,
+      lineSaturation,
+      smoothLines,
+      endpointSize,
+      labelPosition,
+      showCategoryLabels,
+      showValueLabels,
+      fontFamily,
+      categoryFont,
+      categoryFontSize,
+      categoryFontWeight,
+      valueFont,
+      valueFontSize,
+      valueFontWeight,
+      periodFont,
+      periodFontSize,
+      periodLabelPosition,
+      emphasizedLines,
+      emphasizedLineThickness,
+      emphasizedLabelWeight,
+      backgroundColor,
+      darkMode,
+    } = settings;
+
+    const themeColors = getThemeColors(darkMode);
+
+    const periods = periodNames || [];
+    if (periods.length < 2) {
+      debug.warn('BumpChart', 'Bump charts need at least two period columns');
+      return;
+    }
+
+    const { series, maxRank, skipped } = buildBumpRanks(data, periods, rankOrder);
+    if (skipped > 0) {
+      debug.warn('BumpChart', `Skipped ${skipped} row(s) without any values`);
+    }
+    if (series.length === 0) {
+      debug.warn('BumpChart', 'No rows to plot');
+      return;
+    }
+
+    const hasEmphasizedLines = emphasizedLines.length > 0;
+    const isEmphasized = (item) => emphasizedLines.includes(item.index);
+
+    // First and last periods each series has a rank for - labels and trend colors use these
+    const getEnds = (item) => {
+      const ranked = item.ranks.map((rank, i) => (rank === null ? null : i)).filter(i => i !== null);
+      return { first: ranked[0], last: ranked[ranked.length - 1] };
+    };
+
+    // Add extra canvas height for watermark margin area if user is on free tier
+    const watermarkMarginHeight = settings.userTier !== 'pro' ? WATERMARK_MARGIN_HEIGHT : 0;
+
+    const svg = d3
+      .select(svgRef.current)
+      .attr('width', width)
+      .attr('height', height + watermarkMarginHeight)
+      .style('background-color', backgroundColor);
+
+    const headerHeight = renderChartHeader(svg, {
+      title: settings.title,
+      subtitle: settings.subtitle,
+      titleFontSize: settings.titleFontSize,
+      subtitleFontSize: settings.subtitleFontSize,
+      titleAlignment: settings.titleAlignment,
+      fontFamily,
+      width,
+      marginLeft,
+      darkMode,
+    });
+
+    // Rank numbers inside the points need a point big enough to hold them
+    const pointRadius = showValueLabels ? Math.max(endpointSize, valueFontSize * 0.8) : endpointSize;
+
+    // Reserve room for the rank axis and the series labels beside the first and last points
+    const rankAxisWidth = estimateTextWidth(String(maxRank), valueFontSize, valueFontWeight) + 16;
+    const labelWidth = showCategoryLabels
+      ? d3.max(series, item => estimateTextWidth(
+        item.label,
+        categoryFontSize,
+        isEmphasized(item) ? emphasizedLabelWeight : categoryFontWeight
+      )) + 10
+      : 0;
+    const showLeftLabels = labelPosition === 'left' || labelPosition === 'both';
+    const showRightLabels = labelPosition === 'right' || labelPosition === 'both';
+
+    const periodLabelHeight = periodFontSize + 16;
+    const periodsAbove = periodLabelPosition !== 'below';
+    const plotLeft = marginLeft + rankAxisWidth + pointRadius + (showLeftLabels ? labelWidth : 0);
+    const plotRight = width - marginRight - pointRadius - (showRightLabels ? labelWidth : 0);
+    const plotTop = marginTop + headerHeight + (periodsAbove ? periodLabelHeight : 0) + pointRadius;
+    const plotBottom = height - marginBottom - (periodsAbove ? 0 : periodLabelHeight) - pointRadius;
+
+    // Scales - rank 1 at the top
+    const xScale = d3
+      .scalePoint()
+      .domain(periods)
+      .range([plotLeft, Math.max(plotLeft + 1, plotRight)]);
+    const yScale = d3
+      .scaleLinear()
+      .domain([1, Math.max(2, maxRank)])
+      .range([plotTop, Math.max(plotTop + 1, plotBottom)]);
+
+    const chartGroup = svg.append('g').attr('class', 'bump-chart');
+
+    // Rank axis
+    const rankAxis = chartGroup.append('g').attr('class', 'bump-rank-axis');
+    d3.range(1, maxRank + 1).forEach(rank => {
+      rankAxis.append('text')
+        .attr('class', 'bump-rank-label')
+        .attr('x', marginLeft)
+        .attr('y', yScale(rank))
+        .attr('dy', '0.35em')
+        .attr('font-family', valueFont)
+        .attr('font-size', valueFontSize + 'px')
+        .attr('font-weight', valueFontWeight)
+        .attr('fill', themeColors.mutedLabelColor)
+        .text(rank);
+    });
+
+    // Period labels
+    const periodY = periodsAbove
+      ? plotTop - pointRadius - periodLabelHeight / 2
+      : plotBottom + pointRadius + periodLabelHeight / 2;
+    const periodAxis = chartGroup.append('g').attr('class', 'bump-period-axis');
+    periods.forEach(period => {
+      periodAxis.append('text')
+        .attr('class', 'bump-period-label')
+        .attr('x', xScale(period))
+        .attr('y', periodY)
+        .attr('dy', '0.35em')
+        .attr('text-anchor', 'middle')
+        .attr('font-family', periodFont)
+        .attr('font-size', periodFontSize + 'px')
+        .attr('font-weight', 600)
+        .attr('fill', themeColors.labelColor)
+        .text(period);
+    });
+
+    const effectiveSaturation = lineSaturation !== undefined ? lineSaturation : 100;
+    const adjustColor = (color, item) => {
+      let adjusted = color;
+      if (effectiveSaturation < 100) adjusted = applySaturation(adjusted, effectiveSaturation);
+      // Convert to a pastel/desaturated version for non-emphasized lines
+      if (hasEmphasizedLines && !isEmphasized(item)) adjusted = applySaturation(adjusted, 30);
+      return adjusted;
+    };
+
+    // Gradient mode draws each line from the start color to the end color
+    const defs = colorMode === 'gradient' ? svg.append('defs') : null;
+
+    const line = d3
+      .line()
+      .defined(d => d.rank !== null)
+      .x(d => xScale(d.period))
+      .y(d => yScale(d.rank))
+      .curve(smoothLines ? d3.curveBumpX : d3.curveLinear);
+
+    const formatValue = d3.format(',');
+
+    // Emphasized lines are drawn last so they sit on top of the others
+    const drawOrder = [...series].sort((a, b) => Number(isEmphasized(a)) - Number(isEmphasized(b)));
+
+    drawOrder.forEach(item => {
+      const emphasized = isEmphasized(item);
+      const { first, last } = getEnds(item);
+      const points = periods.map((period, i) => ({ period, rank: item.ranks[i], value: item.values[i] }));
+
+      // Trend mode compares the first and last ranks - a smaller rank number is an improvement
+      const lineColor = adjustColor(getLineColor(
+        { start: -item.ranks[first], end: -item.ranks[last] },
+        item.index,
+        settings,
+        comparisonPalettes
+      ), item);
+      const firstColor = colorMode === 'gradient' ? adjustColor(startColor, item) : lineColor;
+      const lastColor = colorMode === 'gradient' ? adjustColor(endColor, item) : lineColor;
+      const pointColor = (i) => {
+        if (colorMode !== 'gradient' || first === last) return lineColor;
+        return d3.interpolateRgb(firstColor, lastColor)((i - first) / (last - first));
+      };
+
+      let lineStroke = lineColor;
+      if (defs && first !== last) {
+        const gradientId = `bump-gradient-${item.index}`;
+        const gradient = defs
+          .append('linearGradient')
+          .attr('id', gradientId)
+          .attr('x1', xScale(periods[first]))
+          .attr('y1', 0)
+          .attr('x2', xScale(periods[last]))
+          .attr('y2', 0)
+          .attr('gradientUnits', 'userSpaceOnUse');
+        gradient.append('stop').attr('offset', '0%').attr('stop-color', firstColor);
+        gradient.append('stop').attr('offset', '100%').attr('stop-color', lastColor);
+        lineStroke = `url(#${gradientId})`;
+      }
+
+      const seriesGroup = chartGroup
+        .append('g')
+        .attr('class', 'bump-series')
+        .style('cursor', 'pointer')
+        .on('click', () => {
+          if (onLineClick) {
+            onLineClick(item.index, data[item.index]);
+          }
+        });
+
+      // Wide invisible stroke so thin lines are easy to click
+      seriesGroup.append('path')
+        .attr('d', line(points))
+        .attr('fill', 'none')
+        .attr('stroke', 'transparent')
+        .attr('stroke-width', Math.max(12, lineThickness + 8));
+
+      seriesGroup.append('path')
+        .attr('class', 'bump-line')
+        .attr('d', line(points))
+        .attr('fill', 'none')
+        .attr('stroke', lineStroke)
+        .attr('stroke-width', emphasized ? emphasizedLineThickness : lineThickness)
+        .attr('stroke-linecap', 'round')
+        .attr('stroke-linejoin', 'round')
+        .attr('opacity', lineOpacity);
+
+      if (pointRadius > 0) {
+        points.forEach((point, i) => {
+          if (point.rank === null) return;
+          const cx = xScale(point.period);
+          const cy = yScale(point.rank);
+
+          seriesGroup.append('circle')
+            .attr('class', 'bump-point')
+            .attr('cx', cx)
+            .attr('cy', cy)
+            .attr('r', pointRadius)
+            .attr('fill', pointColor(i))
+            .append('title')
+            .text(`${item.label}, ${point.period}: #${point.rank} (${formatValue(point.value)})`);
+
+          if (showValueLabels) {
+            seriesGroup.append('text')
+              .attr('class', 'bump-rank-value')
+              .attr('x', cx)
+              .attr('y', cy)
+              .attr('dy', '0.35em')
+              .attr('text-anchor', 'middle')
+              .attr('font-family', valueFont)
+              .attr('font-size', valueFontSize + 'px')
+              .attr('font-weight', valueFontWeight)
+              .attr('fill', '#ffffff')
+              .style('pointer-events', 'none')
+              .text(point.rank);
+          }
+        });
+      }
+
+      if (showCategoryLabels) {
+        const labelEnds = [
+          showLeftLabels && { i: first, anchor: 'end', offset: -(pointRadius + 6) },
+          showRightLabels && { i: last, anchor: 'start', offset: pointRadius + 6 },
+        ].filter(Boolean);
+
+        labelEnds.forEach(end => {
+          seriesGroup.append('text')
+            .attr('class', 'bump-category-label')
+            .attr('x', xScale(periods[end.i]) + end.offset)
+            .attr('y', yScale(item.ranks[end.i]))
+            .attr('dy', '0.35em')
+            .attr('text-anchor', end.anchor)
+            .attr('font-family', categoryFont)
+            .attr('font-size', categoryFontSize + 'px')
+            .attr('font-weight', emphasized ? emphasizedLabelWeight : categoryFontWeight)
+            .attr('fill', pointColor(end.i))
+            .text(item.label);
+        });
+      }
+    });
+
+    renderWatermark(svg, {
+      userTier: settings.userTier,
+      width,
+      chartBottom: height,
+      fontFamily,
+      darkMode,
+    });
+  }, [data, periodNames, styleSettings, onLineClick]);
+
+  return (
+    <div className="bump-chart-container">
+      <svg ref={svgRef}></svg>
+    </div>
+  );
+};
+
+export default React.memo(BumpChart);
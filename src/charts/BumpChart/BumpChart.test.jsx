@@ -0,0 +1,135 @@
+/**
+ * Tests for BumpChart Component
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, fireEvent } from '@testing-library/react';
+import BumpChart from './BumpChart';
+import { defaultData, defaultPeriodNames, buildBumpRanks } from './bumpChartDefaults';
+
+describe('BumpChart', () => {
+  const getCategoryLabels = (container) =>
+    Array.from(container.querySelectorAll('.bump-category-label')).map(t => t.textContent);
+
+  describe('buildBumpRanks', () => {
+    const data = [
+      { Stage: 'A', Q1: 10, Q2: 30, Q3: 5 },
+      { Stage: 'B', Q1: 20, Q2: 30, Q3: '' },
+      { Stage: 'C', Q1: 15, Q2: 10, Q3: 25 },
+      { Stage: 'D', Q1: 'n/a', Q2: '', Q3: '' },
+    ];
+
+    it('should rank the highest value first, share ranks on ties and skip empty rows', () => {
+      const { series, maxRank, skipped } = buildBumpRanks(data, ['Q1', 'Q2', 'Q3']);
+
+      expect(series.map(s => s.ranks)).toEqual([[3, 1, 2], [1, 1, null], [2, 3, 1]]);
+      expect(maxRank).toBe(3);
+      expect(skipped).toBe(1);
+    });
+
+    it('should rank the lowest value first when the data already holds ranks', () => {
+      const { series } = buildBumpRanks(data, ['Q1'], 'lowest');
+
+      expect(series.map(s => s.ranks[0])).toEqual([1, 3, 2]);
+    });
+  });
+
+  describe('Rendering', () => {
+    it('should draw a line and a point per period for every series', () => {
+      const { container } = render(
+        <BumpChart data={defaultData} periodNames={defaultPeriodNames} />
+      );
+
+      expect(container.querySelectorAll('.bump-line')).toHaveLength(8);
+      expect(container.querySelectorAll('.bump-point')).toHaveLength(48);
+      expect(container.querySelectorAll('.bump-period-label')).toHaveLength(6);
+      expect(container.querySelectorAll('.bump-rank-label')).toHaveLength(8);
+    });
+
+    it('should label the right end by default and both ends when asked to', () => {
+      const { container, rerender } = render(
+        <BumpChart data={defaultData} periodNames={defaultPeriodNames} />
+      );
+      expect(getCategoryLabels(container)).toHaveLength(8);
+
+      rerender(
+        <BumpChart data={defaultData} periodNames={defaultPeriodNames} styleSettings={{ labelPosition: 'both' }} />
+      );
+      expect(getCategoryLabels(container)).toHaveLength(16);
+    });
+
+    it('should put rank 1 at the top of each period', () => {
+      const { container } = render(
+        <BumpChart
+          data={defaultData}
+          periodNames={defaultPeriodNames}
+          styleSettings={{ showValueLabels: true, labelPosition: 'right' }}
+        />
+      );
+
+      // Harbor City finishes first in 2024
+      const points = Array.from(container.querySelectorAll('.bump-point'));
+      const harborLast = points.find(p => p.querySelector('title').textContent === 'Harbor City, 2024: #1 (83)');
+      const minY = Math.min(...points.map(p => Number(p.getAttribute('cy'))));
+      expect(Number(harborLast.getAttribute('cy'))).toBe(minY);
+      expect(container.querySelectorAll('.bump-rank-value')).toHaveLength(48);
+    });
+
+    it('should leave a gap in the line at a missing value', () => {
+      const data = defaultData.map((row, i) => (i === 0 ? { ...row, '2021': '' } : row));
+      const { container } = render(
+        <BumpChart data={data} periodNames={defaultPeriodNames} styleSettings={{ smoothLines: false }} />
+      );
+
+      const harborLine = container.querySelectorAll('.bump-series')[0].querySelector('.bump-line');
+      expect(harborLine.getAttribute('d').match(/M/g)).toHaveLength(2);
+      expect(container.querySelectorAll('.bump-point')).toHaveLength(47);
+    });
+
+    it('should color lines by rank improvement in trend mode', () => {
+      const { container } = render(
+        <BumpChart
+          data={defaultData.slice(0, 2)}
+          periodNames={defaultPeriodNames}
+          styleSettings={{ colorMode: 'trend', increaseColor: '#00ff00', decreaseColor: '#ff0000' }}
+        />
+      );
+
+      // Harbor City goes from 2nd to 1st, Northfield from 1st to 2nd
+      const strokes = Array.from(container.querySelectorAll('.bump-line')).map(l => l.getAttribute('stroke'));
+      expect(strokes).toEqual(['#00ff00', '#ff0000']);
+    });
+
+    it('should desaturate and draw emphasized lines on top', () => {
+      const { container } = render(
+        <BumpChart
+          data={defaultData}
+          periodNames={defaultPeriodNames}
+          styleSettings={{ colorMode: 'custom', userCustomColors: ['#ff0000'], emphasizedLines: [0] }}
+        />
+      );
+
+      const lines = Array.from(container.querySelectorAll('.bump-line'));
+      expect(lines[lines.length - 1].getAttribute('stroke')).toBe('#ff0000');
+      expect(lines[lines.length - 1].getAttribute('stroke-width')).toBe('5');
+      expect(lines[0].getAttribute('stroke')).not.toBe('#ff0000');
+    });
+
+    it('should call onLineClick with the data row index', () => {
+      const handleClick = vi.fn();
+      const { container } = render(
+        <BumpChart data={defaultData} periodNames={defaultPeriodNames} onLineClick={handleClick} />
+      );
+
+      fireEvent.click(container.querySelectorAll('.bump-series')[2]);
+
+      expect(handleClick).toHaveBeenCalledWith(2, defaultData[2]);
+    });
+
+    it('should render nothing with fewer than two periods', () => {
+      const { container } = render(<BumpChart data={defaultData} periodNames={['2019']} />);
+
+      expect(container.querySelectorAll('.bump-series')).toHaveLength(0);
+    });
+  });
+});
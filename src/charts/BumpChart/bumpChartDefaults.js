@@ -0,0 +1,159 @@
+/**
+ * Default data and settings for Bump Chart
+ */
+
+/**
+ * Default sample data - one row per series, one column per period
+ * Values are converted to ranks per period, so raw scores or points work as-is
+ */
+export const defaultData = [
+  { Stage: 'Harbor City', '2019': 71, '2020': 68, '2021': 74, '2022': 80, '2023': 77, '2024': 83 },
+  { Stage: 'Northfield', '2019': 76, '2020': 79, '2021': 70, '2022': 66, '2023': 61, '2024': 58 },
+  { Stage: 'Riverton', '2019': 58, '2020': 63, '2021': 69, '2022': 72, '2023': 81, '2024': 79 },
+  { Stage: 'Ashford', '2019': 64, '2020': 60, '2021': 57, '2022': 61, '2023': 66, '2024': 70 },
+  { Stage: 'Kingsport', '2019': 69, '2020': 72, '2021': 76, '2022': 69, '2023': 64, '2024': 62 },
+  { Stage: 'Westbrook', '2019': 52, '2020': 55, '2021': 61, '2022': 64, '2023': 59, '2024': 66 },
+  { Stage: 'Milton', '2019': 61, '2020': 57, '2021': 52, '2022': 55, '2023': 57, '2024': 51 },
+  { Stage: 'Eastvale', '2019': 47, '2020': 51, '2021': 55, '2022': 50, '2023': 53, '2024': 55 },
+];
+
+/**
+ * Default period names
+ */
+export const defaultPeriodNames = ['2019', '2020', '2021', '2022', '2023', '2024'];
+
+/**
+ * Default style settings for Bump Chart
+ * Color, line, label and emphasis settings use the slope chart names so styling carries over between the two
+ */
+export const defaultStyleSettings = {
+  // Title and Subtitle
+  title: '',
+  subtitle: '',
+  fontFamily: 'Inter',
+  titleFontSize: 28,
+  subtitleFontSize: 20,
+  titleAlignment: 'left',
+
+  // Color Mode Options
+  colorMode: 'category', // 'category', 'trend', 'custom', 'gradient'
+  comparisonPalette: 'professional',
+  userCustomColors: ['#1e40af', '#0d9488', '#991b1b', '#d97706', '#475569', '#7c3aed', '#059669', '#dc2626'],
+
+  // Trend-based colors (first vs. last rank)
+  increaseColor: '#10b981',
+  decreaseColor: '#ef4444',
+  noChangeColor: '#6b7280',
+
+  // Gradient colors (first period to last period)
+  startColor: '#1e40af',
+  endColor: '#10b981',
+
+  // Ranking
+  rankOrder: 'highest', // 'highest' = largest value ranks 1st, 'lowest' = smallest value ranks 1st (data already holds ranks)
+
+  // Line and point styling
+  lineThickness: 3,
+  lineOpacity: 1.0,
+  lineSaturation: 100, // 0-100%, where 0% = grey
+  smoothLines: true, // Curve between periods instead of straight segments
+  endpointSize: 6, // Point radius in px
+
+  // Labels
+  labelPosition: 'right', // Series labels at the 'left', 'right' or 'both' ends
+  showCategoryLabels: true,
+  showValueLabels: false, // Rank number inside each point
+
+  // Typography
+  categoryFont: 'Inter',
+  categoryFontSize: 15,
+  categoryFontWeight: 500,
+  valueFont: 'Inter',
+  valueFontSize: 12,
+  valueFontWeight: 600,
+  periodFont: 'Inter',
+  periodFontSize: 14,
+  periodLabelPosition: 'above', // Period labels 'above' or 'below' the lines
+
+  // Emphasis/Selection
+  emphasizedLines: [], // Data row indices to emphasize
+  emphasizedLineThickness: 5,
+  emphasizedLabelWeight: 700,
+
+  // Layout
+  width: 900,
+  height: 560,
+  marginTop: 30,
+  marginRight: 40,
+  marginBottom: 40,
+  marginLeft: 40,
+
+  // Theme
+  backgroundColor: '#ffffff',
+  darkMode: false,
+};
+
+/**
+ * Convert each row's values to a rank per period
+ * Ties share a rank and the next rank is skipped (1, 2, 2, 4). Missing values get no rank,
+ * so the line breaks there instead of dropping to the bottom.
+ *
+ * @param {Array} data - Rows ({ Stage: 'Harbor City', '2019': 71, '2020': 68, ... })
+ * @param {Array} periods - Period columns, in plotting order
+ * @param {string} rankOrder - 'highest' (largest value ranks 1st) or 'lowest' (smallest value ranks 1st)
+ * @returns {Object} { series: [{ index, label, values, ranks }], maxRank, skipped }
+ */
+export const buildBumpRanks = (data, periods, rankOrder = 'highest') => {
+  if (!data || data.length === 0 || !periods || periods.length === 0) {
+    return { series: [], maxRank: 0, skipped: 0 };
+  }
+
+  const toNumber = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    const num = Number(value);
+    return isNaN(num) ? null : num;
+  };
+
+  const series = [];
+  let skipped = 0;
+
+  data.forEach((row, index) => {
+    const values = periods.map(period => toNumber(row[period]));
+
+    if (values.every(value => value === null)) {
+      skipped += 1;
+      return;
+    }
+
+    series.push({
+      index,
+      label: String(row.Stage ?? row.category ?? row.Category ?? `Row ${index + 1}`),
+      values,
+      ranks: [],
+    });
+  });
+
+  const ranksAbove = rankOrder === 'lowest'
+    ? (value, other) => other < value
+    : (value, other) => other > value;
+
+  let maxRank = 0;
+  periods.forEach((period, periodIndex) => {
+    const periodValues = series
+      .map(item => item.values[periodIndex])
+      .filter(value => value !== null);
+
+    series.forEach(item => {
+      const value = item.values[periodIndex];
+      if (value === null) {
+        item.ranks.push(null);
+        return;
+      }
+      const rank = 1 + periodValues.filter(other => ranksAbove(value, other)).length;
+      item.ranks.push(rank);
+      maxRank = Math.max(maxRank, rank);
+    });
+  });
+
+  return { series, maxRank, skipped };
+};
@@ -0,0 +1,455 @@
+import React, { useRef, useEffect } from 'react';
+import * as d3 from 'd3';
+import { getPaletteColors } from '../../shared/design-system/colorPalettes';
+import { formatValueLabel } from '../../shared/utils/dataFormatters';
+import {
+  WATERMARK_MARGIN_HEIGHT,
+  getThemeColors,
+  estimateTextWidth,
+  renderChartHeader,
+  renderWatermark,
+} from '../../shared/utils/chartDecorations';
+import { defaultStyleSettings, getComboSeries, getComboAxis } from './comboChartDefaults';
+import { debug } from '../../shared/utils/debug';
+
+/**
+ * ComboChart Component
+ *
+ * Draws bars and lines on a shared category axis, with an optional secondary value axis
+ * on the right for series measured in different units (e.g. revenue in $ and growth in %)
+ *
+ * Features:
+ * - Each column drawn as a bar or a line, on the left or right axis
+ * - Independent bounds, major unit, prefix, suffix and decimals per value axis
+ * - Grouped bars, straight or smooth lines with optional points
+ * - Legend marks which series use the right axis
+ *
+ * Data format: { Category: "Jan", Revenue: 420, Profit: 58, "% Change": 3.2 }
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.data - Chart data
+ * @param {Array} props.periodNames - Value columns to plot
+ * @param {Object} props.styleSettings - Style settings object
+ */
+const ComboChart = ({ data, periodNames, styleSettings = {} }) => {
+  const svgRef = useRef(null);
+
+  /**
+   * Main chart rendering effect
+   */
+  useEffect(() => {
+    if (!data || data.length === 0 || !svgRef.current) return;
+
+    // Clear previous render
+    d3.select(svgRef.current).selectAll('*').remove();
+
+    // Merge provided settings with defaults
+    const settings = { ...defaultStyleSettings, ...styleSettings };
+
+    const {
+      width,
+      height,
+      marginTop,
+      marginRight,
+      marginBottom,
+      marginLeft,
+      seriesTypes,
+      seriesAxes,
+      comparisonPalette,
+      userCustomColors,
+      barPadding,
+      barOpacity,
+      lineThickness,
+      showPoints,
+      pointSize,
+      smoothLines,
+      compactAxisNumbers,
+      showXAxisLabels,
+      showGridLines,
+      gridLineColor,
+      gridLineOpacity,
+      showValueLabels,
+      showLegend,
+      fontFamily,
+      axisFontSize,
+      axisTitleFontSize,
+      valueFontSize,
+      legendFontSize,
+      backgroundColor,
+      darkMode,
+    } = settings;
+
+    const themeColors = getThemeColors(darkMode);
+
+    const series = getComboSeries(periodNames || [], seriesTypes, seriesAxes);
+    if (series.length === 0) {
+      debug.warn('ComboChart', 'Combo charts need at least one value column');
+      return;
+    }
+
+    const toNumber = (value) => {
+      if (value === null || value === undefined || value === '') return null;
+      const num = Number(value);
+      return isNaN(num) ? null : num;
+    };
+    const categories = data.map((row, index) => String(row.Category ?? row.Stage ?? row.date ?? `Row ${index + 1}`));
+    const palette = getPaletteColors(comparisonPalette, userCustomColors);
+    const getSeriesColor = (s) => palette[s.index % palette.length];
+
+    // One value axis per side, each with its own bounds and number format
+    const axisConfigs = {
+      left: {
+        minimum: settings.axisMinimum,
+        minimumAuto: settings.axisMinimumAuto,
+        maximum: settings.axisMaximum,
+        maximumAuto: settings.axisMaximumAuto,
+        majorUnit: settings.axisMajorUnit,
+        majorUnitAuto: settings.axisMajorUnitAuto,
+        prefix: settings.axisValuePrefix,
+        suffix: settings.axisValueSuffix,
+        decimalPlaces: settings.axisValueDecimalPlaces,
+        title: settings.leftAxisTitle,
+      },
+      right: {
+        minimum: settings.secondaryAxisMinimum,
+        minimumAuto: settings.secondaryAxisMinimumAuto,
+        maximum: settings.secondaryAxisMaximum,
+        maximumAuto: settings.secondaryAxisMaximumAuto,
+        majorUnit: settings.secondaryAxisMajorUnit,
+        majorUnitAuto: settings.secondaryAxisMajorUnitAuto,
+        prefix: settings.secondaryAxisValuePrefix,
+        suffix: settings.secondaryAxisValueSuffix,
+        decimalPlaces: settings.secondaryAxisValueDecimalPlaces,
+        title: settings.rightAxisTitle,
+      },
+    };
+
+    const axes = {};
+    ['left', 'right'].forEach(side => {
+      const sideSeries = series.filter(s => s.axis === side);
+      if (sideSeries.length === 0) return;
+      const config = axisConfigs[side];
+      const values = sideSeries.flatMap(s => data.map(row => toNumber(row[s.column])));
+      const { domain, ticks } = getComboAxis(values, {
+        ...config,
+        includeZero: sideSeries.some(s => s.type === 'bar'),
+      });
+      axes[side] = {
+        side,
+        series: sideSeries,
+        domain,
+        ticks,
+        title: config.title || sideSeries.map(s => s.column).join(', '),
+        format: (value) => formatValueLabel(value, {
+          prefix: config.prefix,
+          suffix: config.suffix,
+          decimalPlaces: config.decimalPlaces,
+          compact: compactAxisNumbers,
+        }),
+      };
+    });
+    const hasBothAxes = Boolean(axes.left && axes.right);
+
+    const skippedValues = series.reduce(
+      (count, s) => count + data.filter(row => toNumber(row[s.column]) === null).length,
+      0
+    );
+    if (skippedValues > 0) {
+      debug.warn('ComboChart', `Skipped ${skippedValues} empty or non-numeric value(s)`);
+    }
+
+    // Add extra canvas height for watermark margin area if user is on free tier
+    const watermarkMarginHeight = settings.userTier !== 'pro' ? WATERMARK_MARGIN_HEIGHT : 0;
+
+    const svg = d3
+      .select(svgRef.current)
+      .attr('width', width)
+      .attr('height', height + watermarkMarginHeight)
+      .style('background-color', backgroundColor);
+
+    const headerHeight = renderChartHeader(svg, {
+      title: settings.title,
+      subtitle: settings.subtitle,
+      titleFontSize: settings.titleFontSize,
+      subtitleFontSize: settings.subtitleFontSize,
+      titleAlignment: settings.titleAlignment,
+      fontFamily,
+      width,
+      marginLeft,
+      darkMode,
+    });
+
+    // Legend row between header and plot: a swatch for bars, a line segment for lines
+    const legendHeight = showLegend ? legendFontSize + 20 : 0;
+    if (showLegend) {
+      const legend = svg.append('g').attr('class', 'combo-legend');
+      const legendY = marginTop + headerHeight + legendFontSize / 2;
+      let legendX = marginLeft;
+
+      series.forEach(s => {
+        const color = getSeriesColor(s);
+        const label = hasBothAxes && s.axis === 'right' ? `${s.column} (right axis)` : s.column;
+        if (s.type === 'bar') {
+          legend.append('rect')
+            .attr('x', legendX)
+            .attr('y', legendY - 6)
+            .attr('width', 12)
+            .attr('height', 12)
+            .attr('rx', 2)
+            .attr('fill', color)
+            .attr('fill-opacity', barOpacity);
+        } else {
+          legend.append('line')
+            .attr('x1', legendX - 2)
+            .attr('x2', legendX + 14)
+            .attr('y1', legendY)
+            .attr('y2', legendY)
+            .attr('stroke', color)
+            .attr('stroke-width', lineThickness)
+            .attr('stroke-linecap', 'round');
+          if (showPoints) {
+            legend.append('circle')
+              .attr('cx', legendX + 6)
+              .attr('cy', legendY)
+              .attr('r', pointSize)
+              .attr('fill', color);
+          }
+        }
+        legend.append('text')
+          .attr('class', 'combo-legend-label')
+          .attr('x', legendX + 20)
+          .attr('y', legendY)
+          .attr('dy', '0.35em')
+          .attr('font-family', fontFamily)
+          .attr('font-size', legendFontSize + 'px')
+          .attr('fill', themeColors.labelColor)
+          .text(label);
+        legendX += 20 + estimateTextWidth(label, legendFontSize) + 24;
+      });
+    }
+
+    // Reserve room for tick labels and the rotated axis title on each side
+    const getAxisWidth = (axis) => {
+      if (!axis) return 0;
+      const tickWidth = d3.max(axis.ticks, tick => estimateTextWidth(axis.format(tick), axisFontSize)) || 0;
+      return tickWidth + 10 + (axis.title ? axisTitleFontSize + 12 : 0);
+    };
+    const plotLeft = marginLeft + getAxisWidth(axes.left);
+    const plotRight = width - marginRight - getAxisWidth(axes.right);
+    const plotTop = marginTop + headerHeight + legendHeight + (valueFontSize / 2);
+
+    // Category labels turn 45 degrees when they would overlap
+    const categoryStep = (plotRight - plotLeft) / categories.length;
+    const widestCategory = d3.max(categories, c => estimateTextWidth(c, axisFontSize)) || 0;
+    const rotateLabels = showXAxisLabels && widestCategory + 8 > categoryStep;
+    const xLabelHeight = !showXAxisLabels
+      ? 0
+      : rotateLabels ? widestCategory * Math.SQRT1_2 + axisFontSize + 8 : axisFontSize + 12;
+    const plotBottom = height - marginBottom - xLabelHeight;
+
+    // Scales
+    const xScale = d3.scaleBand()
+      .domain(categories)
+      .range([plotLeft, plotRight])
+      .padding(barPadding);
+    const barSeries = series.filter(s => s.type === 'bar');
+    const barScale = d3.scaleBand()
+      .domain(barSeries.map(s => s.column))
+      .range([0, xScale.bandwidth()])
+      .padding(barSeries.length > 1 ? 0.05 : 0);
+    Object.values(axes).forEach(axis => {
+      axis.scale = d3.scaleLinear().domain(axis.domain).range([plotBottom, plotTop]);
+    });
+    const getCenterX = (category) => xScale(category) + xScale.bandwidth() / 2;
+
+    const chartGroup = svg.append('g').attr('class', 'combo-chart');
+
+    // Gridlines follow the left axis, or the right axis when nothing uses the left
+    const gridAxis = axes.left || axes.right;
+    if (showGridLines) {
+      const grid = chartGroup.append('g').attr('class', 'combo-grid');
+      gridAxis.ticks.forEach(tick => {
+        grid.append('line')
+          .attr('x1', plotLeft)
+          .attr('x2', plotRight)
+          .attr('y1', gridAxis.scale(tick))
+          .attr('y2', gridAxis.scale(tick))
+          .attr('stroke', darkMode ? themeColors.gridlineColor : gridLineColor)
+          .attr('stroke-opacity', gridLineOpacity);
+      });
+    }
+
+    // Value axes: tick labels and a rotated title on the outer edge
+    Object.values(axes).forEach(axis => {
+      const isLeft = axis.side === 'left';
+      const axisGroup = chartGroup.append('g').attr('class', `combo-${axis.side}-axis`);
+      axis.ticks.forEach(tick => {
+        axisGroup.append('text')
+          .attr('class', 'combo-axis-label')
+          .attr('x', isLeft ? plotLeft - 8 : plotRight + 8)
+          .attr('y', axis.scale(tick))
+          .attr('dy', '0.35em')
+          .attr('text-anchor', isLeft ? 'end' : 'start')
+          .attr('font-family', fontFamily)
+          .attr('font-size', axisFontSize + 'px')
+          .attr('fill', themeColors.mutedLabelColor)
+          .text(axis.format(tick));
+      });
+
+      if (axis.title) {
+        const titleX = isLeft ? marginLeft + axisTitleFontSize / 2 : width - marginRight - axisTitleFontSize / 2;
+        axisGroup.append('text')
+          .attr('class', 'combo-axis-title')
+          .attr('transform', `translate(${titleX},${(plotTop + plotBottom) / 2}) rotate(${isLeft ? -90 : 90})`)
+          .attr('dy', '0.35em')
+          .attr('text-anchor', 'middle')
+          .attr('font-family', fontFamily)
+          .attr('font-size', axisTitleFontSize + 'px')
+          .attr('font-weight', 600)
+          .attr('fill', themeColors.labelColor)
+          .text(axis.title);
+      }
+    });
+
+    // Category axis
+    if (showXAxisLabels) {
+      const xAxisGroup = chartGroup.append('g').attr('class', 'combo-x-axis');
+      categories.forEach(category => {
+        const x = getCenterX(category);
+        const y = plotBottom + axisFontSize + 6;
+        xAxisGroup.append('text')
+          .attr('class', 'combo-category-label')
+          .attr('x', x)
+          .attr('y', y)
+          .attr('text-anchor', rotateLabels ? 'end' : 'middle')
+          .attr('transform', rotateLabels ? `rotate(-45,${x},${y - axisFontSize / 2})` : null)
+          .attr('font-family', fontFamily)
+          .attr('font-size', axisFontSize + 'px')
+          .attr('fill', themeColors.labelColor)
+          .text(category);
+      });
+    }
+
+    const appendValueLabel = (group, x, y, text, color, below = false) => {
+      group.append('text')
+        .attr('class', 'combo-value-label')
+        .attr('x', x)
+        .attr('y', below ? y + valueFontSize + 4 : y - 6)
+        .attr('text-anchor', 'middle')
+        .attr('font-family', fontFamily)
+        .attr('font-size', valueFontSize + 'px')
+        .attr('font-weight', 600)
+        .attr('fill', color)
+        .style('pointer-events', 'none')
+        .text(text);
+    };
+
+    // Bars, grouped within each category and measured from zero on their own axis
+    const barsGroup = chartGroup.append('g').attr('class', 'combo-bars');
+    barSeries.forEach(s => {
+      const axis = axes[s.axis];
+      const [domainMin, domainMax] = axis.domain;
+      const baselineY = axis.scale(Math.max(domainMin, Math.min(domainMax, 0)));
+      const color = getSeriesColor(s);
+
+      data.forEach((row, rowIndex) => {
+        const value = toNumber(row[s.column]);
+        if (value === null) return;
+        const category = categories[rowIndex];
+        const valueY = axis.scale(Math.max(domainMin, Math.min(domainMax, value)));
+        const x = xScale(category) + barScale(s.column);
+
+        barsGroup.append('rect')
+          .attr('class', 'combo-bar')
+          .attr('x', x)
+          .attr('y', Math.min(valueY, baselineY))
+          .attr('width', barScale.bandwidth())
+          .attr('height', Math.abs(baselineY - valueY))
+          .attr('fill', color)
+          .attr('fill-opacity', barOpacity)
+          .append('title')
+          .text(`${category} · ${s.column}: ${axis.format(value)}`);
+
+        if (showValueLabels) {
+          appendValueLabel(barsGroup, x + barScale.bandwidth() / 2, valueY, axis.format(value), themeColors.labelColor, value < 0);
+        }
+      });
+    });
+
+    // Zero baseline on the axis that carries bars
+    const baselineAxis = barSeries.length > 0 ? axes[barSeries[0].axis] : null;
+    if (baselineAxis && baselineAxis.domain[0] <= 0 && baselineAxis.domain[1] >= 0) {
+      chartGroup.append('line')
+        .attr('class', 'combo-baseline')
+        .attr('x1', plotLeft)
+        .attr('x2', plotRight)
+        .attr('y1', baselineAxis.scale(0))
+        .attr('y2', baselineAxis.scale(0))
+        .attr('stroke', themeColors.axisLineColor)
+        .attr('stroke-width', 1);
+    }
+
+    // Lines drawn over the bars, with gaps at missing values
+    const linesGroup = chartGroup.append('g').attr('class', 'combo-lines');
+    series.filter(s => s.type === 'line').forEach(s => {
+      const axis = axes[s.axis];
+      const color = getSeriesColor(s);
+      const points = data.map((row, rowIndex) => ({
+        category: categories[rowIndex],
+        value: toNumber(row[s.column]),
+      }));
+
+      const line = d3.line()
+        .defined(p => p.value !== null)
+        .x(p => getCenterX(p.category))
+        .y(p => axis.scale(p.value))
+        .curve(smoothLines ? d3.curveMonotoneX : d3.curveLinear);
+
+      linesGroup.append('path')
+        .datum(points)
+        .attr('class', 'combo-line')
+        .attr('d', line)
+        .attr('fill', 'none')
+        .attr('stroke', color)
+        .attr('stroke-width', lineThickness)
+        .attr('stroke-linejoin', 'round')
+        .attr('stroke-linecap', 'round');
+
+      points.filter(p => p.value !== null).forEach(p => {
+        const x = getCenterX(p.category);
+        const y = axis.scale(p.value);
+        if (showPoints) {
+          linesGroup.append('circle')
+            .attr('class', 'combo-point')
+            .attr('cx', x)
+            .attr('cy', y)
+            .attr('r', pointSize)
+            .attr('fill', color)
+            .attr('stroke', backgroundColor)
+            .attr('stroke-width', 1.5)
+            .append('title')
+            .text(`${p.category} · ${s.column}: ${axis.format(p.value)}`);
+        }
+        if (showValueLabels) {
+          appendValueLabel(linesGroup, x, y - (showPoints ? pointSize : 0), axis.format(p.value), color);
+        }
+      });
+    });
+
+    renderWatermark(svg, {
+      userTier: settings.userTier,
+      width,
+      chartBottom: height,
+      fontFamily,
+      darkMode,
+    });
+  }, [data, periodNames, styleSettings]);
+
+  return (
+    <div className="combo-chart-container">
+      <svg ref={svgRef}></svg>
+    </div>
+  );
+};
+
+export default React.memo(ComboChart);
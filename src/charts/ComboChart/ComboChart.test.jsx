@@ -0,0 +1,119 @@
+/**
+ * Tests for ComboChart Component
+ */
+
+import { describe, it, expect } from 'vitest';
+import { render } from '@testing-library/react';
+import ComboChart from './ComboChart';
+import {
+  defaultData,
+  defaultPeriodNames,
+  getComboSeries,
+  getComboAxis,
+} from './comboChartDefaults';
+
+describe('ComboChart', () => {
+  describe('getComboSeries', () => {
+    it('should draw the last of several columns as a line on the right axis', () => {
+      expect(getComboSeries(defaultPeriodNames)).toEqual([
+        { column: 'Revenue', index: 0, type: 'bar', axis: 'left' },
+        { column: 'Profit', index: 1, type: 'bar', axis: 'left' },
+        { column: '% Change', index: 2, type: 'line', axis: 'right' },
+      ]);
+      expect(getComboSeries(['Sales'])).toEqual([{ column: 'Sales', index: 0, type: 'bar', axis: 'left' }]);
+    });
+
+    it('should apply per-column type and axis overrides', () => {
+      const series = getComboSeries(defaultPeriodNames, { Profit: 'line', '% Change': 'bar' }, { Profit: 'right' });
+
+      expect(series[1]).toMatchObject({ type: 'line', axis: 'right' });
+      expect(series[2]).toMatchObject({ type: 'bar', axis: 'right' });
+    });
+  });
+
+  describe('getComboAxis', () => {
+    it('should keep zero in the range of bar axes and fit line axes to the data', () => {
+      expect(getComboAxis([420, 556], { includeZero: true }).domain).toEqual([0, 600]);
+      expect(getComboAxis([-5.2, 11.9]).domain).toEqual([-6, 12]);
+    });
+
+    it('should use fixed bounds and a fixed major unit when not automatic', () => {
+      const { domain, ticks } = getComboAxis([3, 9], {
+        minimum: -10,
+        minimumAuto: false,
+        maximum: 15,
+        maximumAuto: false,
+        majorUnit: 5,
+        majorUnitAuto: false,
+      });
+
+      expect(domain).toEqual([-10, 15]);
+      expect(ticks).toEqual([-10, -5, 0, 5, 10, 15]);
+    });
+
+    it('should fall back to the data range when fixed bounds cross over', () => {
+      expect(getComboAxis([0, 50], { minimum: 80, minimumAuto: false, maximum: 20, maximumAuto: false }).domain)
+        .toEqual([0, 50]);
+    });
+  });
+
+  describe('Rendering', () => {
+    it('should draw bars for bar series and a line with points for line series', () => {
+      const { container } = render(
+        <ComboChart data={defaultData} periodNames={defaultPeriodNames} />
+      );
+
+      expect(container.querySelectorAll('.combo-bar')).toHaveLength(12);
+      expect(container.querySelectorAll('.combo-line')).toHaveLength(1);
+      expect(container.querySelectorAll('.combo-point')).toHaveLength(6);
+    });
+
+    it('should format each value axis with its own prefix and suffix', () => {
+      const { container } = render(
+        <ComboChart
+          data={defaultData}
+          periodNames={defaultPeriodNames}
+          styleSettings={{ axisValuePrefix: '$', axisValueSuffix: 'K', secondaryAxisValueSuffix: '%' }}
+        />
+      );
+
+      const leftLabels = Array.from(container.querySelectorAll('.combo-left-axis .combo-axis-label')).map(t => t.textContent);
+      const rightLabels = Array.from(container.querySelectorAll('.combo-right-axis .combo-axis-label')).map(t => t.textContent);
+      expect(leftLabels).toContain('$600K');
+      expect(rightLabels).toContain('-6%');
+      expect(rightLabels).toContain('12%');
+    });
+
+    it('should skip the right axis when every series is on the left', () => {
+      const { container } = render(
+        <ComboChart
+          data={defaultData}
+          periodNames={defaultPeriodNames}
+          styleSettings={{ seriesAxes: { '% Change': 'left' } }}
+        />
+      );
+
+      expect(container.querySelector('.combo-right-axis')).toBeNull();
+      expect(container.querySelector('.combo-left-axis .combo-axis-title').textContent).toBe('Revenue, Profit, % Change');
+    });
+
+    it('should mark right axis series in the legend', () => {
+      const { container } = render(
+        <ComboChart data={defaultData} periodNames={defaultPeriodNames} />
+      );
+
+      const labels = Array.from(container.querySelectorAll('.combo-legend-label')).map(t => t.textContent);
+      expect(labels).toEqual(['Revenue', 'Profit', '% Change (right axis)']);
+    });
+
+    it('should leave a gap in lines at missing values', () => {
+      const data = defaultData.map((row, i) => (i === 2 ? { ...row, '% Change': '' } : row));
+      const { container } = render(
+        <ComboChart data={data} periodNames={defaultPeriodNames} />
+      );
+
+      expect(container.querySelectorAll('.combo-point')).toHaveLength(5);
+      expect(container.querySelector('.combo-line').getAttribute('d').match(/M/g)).toHaveLength(2);
+    });
+  });
+});
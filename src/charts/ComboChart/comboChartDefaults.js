@@ -0,0 +1,192 @@
+/**
+ * Default data and settings for Combo Chart
+ */
+
+import * as d3 from 'd3';
+
+/**
+ * Default sample data - revenue and profit in $K, with month-over-month revenue change in %
+ */
+export const defaultData = [
+  { Category: 'Jan', Revenue: 420, Profit: 58, '% Change': 3.2 },
+  { Category: 'Feb', Revenue: 445, Profit: 64, '% Change': 6.0 },
+  { Category: 'Mar', Revenue: 498, Profit: 77, '% Change': 11.9 },
+  { Category: 'Apr', Revenue: 472, Profit: 69, '% Change': -5.2 },
+  { Category: 'May', Revenue: 510, Profit: 79, '% Change': 8.1 },
+  { Category: 'Jun', Revenue: 556, Profit: 91, '% Change': 9.0 },
+];
+
+/**
+ * Default period names
+ */
+export const defaultPeriodNames = ['Revenue', 'Profit', '% Change'];
+
+/**
+ * Default style settings for Combo Chart
+ */
+export const defaultStyleSettings = {
+  // Title and Subtitle
+  title: '',
+  subtitle: '',
+  fontFamily: 'Inter',
+  titleFontSize: 28,
+  subtitleFontSize: 20,
+  titleAlignment: 'left',
+
+  // Series - columns not listed fall back to getComboSeries defaults
+  seriesTypes: {}, // { column: 'bar' | 'line' }
+  seriesAxes: {}, // { column: 'left' | 'right' }
+
+  // Colors
+  comparisonPalette: 'observable10',
+  userCustomColors: [],
+
+  // Bars
+  barPadding: 0.25, // Gap between categories as a fraction of the band
+  barOpacity: 1,
+
+  // Lines
+  lineThickness: 3,
+  showPoints: true,
+  pointSize: 4,
+  smoothLines: false,
+
+  // Left axis
+  axisMinimum: 0,
+  axisMinimumAuto: true,
+  axisMaximum: 100,
+  axisMaximumAuto: true,
+  axisMajorUnit: 10,
+  axisMajorUnitAuto: true,
+  axisValuePrefix: '',
+  axisValueSuffix: '',
+  axisValueDecimalPlaces: 0,
+  leftAxisTitle: '', // '' = names of the series on the left axis
+
+  // Right axis
+  secondaryAxisMinimum: 0,
+  secondaryAxisMinimumAuto: true,
+  secondaryAxisMaximum: 100,
+  secondaryAxisMaximumAuto: true,
+  secondaryAxisMajorUnit: 10,
+  secondaryAxisMajorUnitAuto: true,
+  secondaryAxisValuePrefix: '',
+  secondaryAxisValueSuffix: '',
+  secondaryAxisValueDecimalPlaces: 0,
+  rightAxisTitle: '', // '' = names of the series on the right axis
+
+  // Shared axis styling
+  compactAxisNumbers: true,
+  showXAxisLabels: true,
+  showGridLines: true,
+  gridLineColor: '#e5e7eb',
+  gridLineOpacity: 0.5,
+
+  // Labels
+  showValueLabels: false,
+  showLegend: true,
+
+  // Typography
+  axisFontSize: 14,
+  axisTitleFontSize: 15,
+  valueFontSize: 12,
+  legendFontSize: 14,
+
+  // Layout
+  width: 900,
+  height: 560,
+  marginTop: 40,
+  marginRight: 40,
+  marginBottom: 50,
+  marginLeft: 40,
+
+  // Theme
+  backgroundColor: '#ffffff',
+  darkMode: false,
+};
+
+/**
+ * Resolve how each column is drawn
+ * With more than one column the last one defaults to a line on the right axis and the rest
+ * to bars on the left, the usual "amounts as bars, rate as a line" layout.
+ *
+ * @param {Array} columns - Value columns in display order
+ * @param {Object} seriesTypes - { column: 'bar' | 'line' } overrides
+ * @param {Object} seriesAxes - { column: 'left' | 'right' } overrides
+ * @returns {Array} [{ column, index, type, axis }]
+ */
+export const getComboSeries = (columns, seriesTypes = {}, seriesAxes = {}) => {
+  if (!columns || columns.length === 0) return [];
+
+  return columns.map((column, index) => {
+    const isLastOfMany = columns.length > 1 && index === columns.length - 1;
+    const type = seriesTypes?.[column] === 'bar' || seriesTypes?.[column] === 'line'
+      ? seriesTypes[column]
+      : (isLastOfMany ? 'line' : 'bar');
+    const axis = seriesAxes?.[column] === 'left' || seriesAxes?.[column] === 'right'
+      ? seriesAxes[column]
+      : (isLastOfMany ? 'right' : 'left');
+    return { column, index, type, axis };
+  });
+};
+
+/**
+ * Build the domain and tick values for one value axis
+ * Automatic bounds are rounded outwards to nice numbers. Axes that carry bars always include
+ * zero so bar lengths stay honest; line-only axes fit the data range.
+ *
+ * @param {Array} values - Values plotted on the axis (nulls ignored)
+ * @param {Object} options - Bounds and major unit, in the axisMinimum/axisMinimumAuto style
+ * @param {number} options.minimum - Fixed minimum (used when minimumAuto is false)
+ * @param {boolean} options.minimumAuto - Derive the minimum from the data
+ * @param {number} options.maximum - Fixed maximum (used when maximumAuto is false)
+ * @param {boolean} options.maximumAuto - Derive the maximum from the data
+ * @param {number} options.majorUnit - Tick spacing (used when majorUnitAuto is false)
+ * @param {boolean} options.majorUnitAuto - Let d3 pick the tick spacing
+ * @param {boolean} options.includeZero - Keep zero inside the automatic range
+ * @returns {Object} { domain: [min, max], ticks: [value] }
+ */
+export const getComboAxis = (values, {
+  minimum = 0,
+  minimumAuto = true,
+  maximum = 100,
+  maximumAuto = true,
+  majorUnit = 10,
+  majorUnitAuto = true,
+  includeZero = false,
+} = {}) => {
+  const numbers = (values || []).filter(value => value !== null && value !== undefined && !isNaN(value));
+  let dataMin = numbers.length > 0 ? Math.min(...numbers) : 0;
+  let dataMax = numbers.length > 0 ? Math.max(...numbers) : 1;
+  if (includeZero) {
+    dataMin = Math.min(0, dataMin);
+    dataMax = Math.max(0, dataMax);
+  }
+  if (dataMin === dataMax) {
+    dataMin -= 1;
+    dataMax += 1;
+  }
+
+  const [niceMin, niceMax] = d3.nice(dataMin, dataMax, 6);
+  let min = minimumAuto ? niceMin : Number(minimum);
+  let max = maximumAuto ? niceMax : Number(maximum);
+  if (!(max > min)) {
+    // Fixed bounds that cross over would collapse the axis; fall back to the data range
+    min = niceMin;
+    max = niceMax;
+  }
+
+  let ticks;
+  const unit = Number(majorUnit);
+  if (!majorUnitAuto && unit > 0 && (max - min) / unit <= 100) {
+    ticks = [];
+    for (let tick = Math.ceil(min / unit) * unit; tick <= max + unit * 1e-9; tick += unit) {
+      // Round away floating point drift (0.1 + 0.2)
+      ticks.push(Number(tick.toFixed(10)));
+    }
+  } else {
+    ticks = d3.ticks(min, max, 6);
+  }
+
+  return { domain: [min, max], ticks };
+};
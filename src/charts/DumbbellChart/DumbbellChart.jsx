@@ -0,0 +1,396 @@
+import React, { useRef, useEffect } from 'react';
+import * as d3 from 'd3';
+import { comparisonPalettes } from '../../shared/design-system/colorPalettes';
+import { applySaturation } from '../../shared/utils/colorUtils';
+import { formatValueLabel } from '../../shared/utils/dataFormatters';
+import {
+  WATERMARK_MARGIN_HEIGHT,
+  getThemeColors,
+  estimateTextWidth,
+  renderChartHeader,
+  renderWatermark,
+} from '../../shared/utils/chartDecorations';
+import { getLineColor, calculatePercentageChange } from '../SlopeChart/slopeChartDefaults';
+import { defaultStyleSettings, buildDumbbellRows } from './dumbbellChartDefaults';
+import { debug } from '../../shared/utils/debug';
+
+/**
+ * DumbbellChart Component
+ *
+ * Compares two periods across many categories: one row per category, with a dot
+ * for each period joined by a line
+ *
+ * Features:
+ * - Same data shape and color modes as the slope chart (category, trend, custom, gradient)
+ * - Rows sorted by gap, change or end value
+ * - Outlined dot for the first period, filled dot for the second
+ * - Row emphasis (click to toggle)
+ *
+ * Data format: { Stage: "Norway", "2015": 68, "2024": 91 }
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.data - Chart data
+ * @param {Array} props.periodNames - Period/column names (the first two are plotted)
+ * @param {Object} props.styleSettings - Style settings object
+ * @param {Function} props.onLineClick - Optional callback when a row is clicked (rowIndex, rowData)
+ */
+const DumbbellChart = ({ data, periodNames, styleSettings = {}, onLineClick }) => {
+  const svgRef = useRef(null);
+
+  /**
+   * Main chart rendering effect
+   */
+  useEffect(() => {
+    if (!data || data.length === 0 || !svgRef.current) return;
+
+    // Clear previous render
+    d3.select(svgRef.current).selectAll('*').remove();
+
+    // Merge provided settings with defaults
+    const settings = { ...defaultStyleSettings, ...styleSettings };
+
+    const {
+      width,
+      height,
+      marginTop,
+      marginRight,
+      marginBottom,
+      marginLeft,
+      colorMode,
+      startColor,
+      endColor,
+      sortBy,
+      lineThickness,
+      lineOpacity,
+      lineSaturation,
+      endpointSize,
+      endpointBorderWidth,
+      showCategoryLabels,
+      showValueLabels,
+      labelFormat,
+      compactNumbers,
+      fontFamily,
+      categoryFont,
+      categoryFontSize,
+      categoryFontWeight,
+      valueFont,
+      valueFontSize,
+      valueFontWeight,
+      periodFont,
+      periodFontSize,
+      periodLabelPosition,
+      emphasizedLines,
+      emphasizedLineThickness,
+      emphasizedLabelWeight,
+      showGridLines,
+      gridLineColor,
+      backgroundColor,
+      darkMode,
+    } = settings;
+
+    const themeColors = getThemeColors(darkMode);
+
+    const periods = (periodNames || []).slice(0, 2);
+    if (periods.length < 2) {
+      debug.warn('DumbbellChart', 'Dumbbell charts need two period columns');
+      return;
+    }
+
+    const { rows, skipped } = buildDumbbellRows(data, periods, sortBy);
+    if (skipped > 0) {
+      debug.warn('DumbbellChart', `Skipped ${skipped} row(s) without values for both periods`);
+    }
+    if (rows.length === 0) {
+      debug.warn('DumbbellChart', 'No rows to plot');
+      return;
+    }
+
+    // Match the decimal places used in the data (e.g. 4.2 -> 1 decimal)
+    const decimalPlaces = rows.reduce((max, row) => Math.max(
+      max,
+      ...[row.start, row.end].map(value => (String(value).split('.')[1] || '').length)
+    ), 0);
+    const formatValue = (value) => formatValueLabel(value, {
+      decimalPlaces: compactNumbers ? Math.max(decimalPlaces, 1) : decimalPlaces,
+      compact: compactNumbers,
+    });
+    const formatChange = (row) => {
+      const percentChange = calculatePercentageChange(row.start, row.end);
+      return `${percentChange > 0 ? '+' : ''}${percentChange}%`;
+    };
+
+    const hasEmphasizedLines = emphasizedLines.length > 0;
+    const isEmphasized = (row) => emphasizedLines.includes(row.index);
+    const showsValueLabels = (row) => showValueLabels || isEmphasized(row);
+
+    // Value labels sit outside the dots: the first period's value on one side, the second's on the other
+    const getValueLabels = (row) => {
+      if (!showsValueLabels(row)) return { startLabel: '', endLabel: '' };
+      if (labelFormat === 'percentage') return { startLabel: '', endLabel: formatChange(row) };
+      if (labelFormat === 'both') {
+        return { startLabel: formatValue(row.start), endLabel: `${formatValue(row.end)} (${formatChange(row)})` };
+      }
+      return { startLabel: formatValue(row.start), endLabel: formatValue(row.end) };
+    };
+
+    // Add extra canvas height for watermark margin area if user is on free tier
+    const watermarkMarginHeight = settings.userTier !== 'pro' ? WATERMARK_MARGIN_HEIGHT : 0;
+
+    const svg = d3
+      .select(svgRef.current)
+      .attr('width', width)
+      .attr('height', height + watermarkMarginHeight)
+      .style('background-color', backgroundColor);
+
+    const headerHeight = renderChartHeader(svg, {
+      title: settings.title,
+      subtitle: settings.subtitle,
+      titleFontSize: settings.titleFontSize,
+      subtitleFontSize: settings.subtitleFontSize,
+      titleAlignment: settings.titleAlignment,
+      fontFamily,
+      width,
+      marginLeft,
+      darkMode,
+    });
+
+    // Reserve room for category labels on the left and value labels beside the outermost dots
+    const categoryLabelWidth = showCategoryLabels
+      ? d3.max(rows, row => estimateTextWidth(
+        row.label,
+        categoryFontSize,
+        isEmphasized(row) ? emphasizedLabelWeight : categoryFontWeight
+      )) + 16
+      : 0;
+    const valueLabelWidth = d3.max(rows, row => {
+      const { startLabel, endLabel } = getValueLabels(row);
+      const weight = isEmphasized(row) ? emphasizedLabelWeight : valueFontWeight;
+      return Math.max(estimateTextWidth(startLabel, valueFontSize, weight), estimateTextWidth(endLabel, valueFontSize, weight));
+    });
+    const dotInset = endpointSize + (valueLabelWidth > 0 ? valueLabelWidth + 8 : 4);
+
+    const legendHeight = periodFontSize + 20;
+    const axisHeight = valueFontSize + 16;
+    const legendAbove = periodLabelPosition !== 'below';
+    const plotLeft = marginLeft + categoryLabelWidth;
+    const plotRight = width - marginRight;
+    const plotTop = marginTop + headerHeight + (legendAbove ? legendHeight : 0);
+    const plotBottom = height - marginBottom - axisHeight - (legendAbove ? 0 : legendHeight);
+
+    // Scales
+    let [minValue, maxValue] = d3.extent(rows.flatMap(row => [row.start, row.end]));
+    if (minValue === maxValue) {
+      minValue -= 1;
+      maxValue += 1;
+    }
+    const xScale = d3
+      .scaleLinear()
+      .domain([minValue, maxValue])
+      .range([plotLeft + dotInset, Math.max(plotLeft + dotInset + 1, plotRight - dotInset)])
+      .nice();
+    const yScale = d3
+      .scaleBand()
+      .domain(rows.map(row => row.index))
+      .range([plotTop, plotBottom]);
+    const getRowY = (row) => yScale(row.index) + yScale.bandwidth() / 2;
+
+    const chartGroup = svg.append('g').attr('class', 'dumbbell-chart');
+
+    // Gridlines and value axis labels
+    const ticks = xScale.ticks(6).filter(tick => xScale(tick) >= plotLeft && xScale(tick) <= plotRight);
+    if (showGridLines) {
+      const grid = chartGroup.append('g').attr('class', 'dumbbell-grid');
+      ticks.forEach(tick => {
+        grid.append('line')
+          .attr('x1', xScale(tick))
+          .attr('x2', xScale(tick))
+          .attr('y1', plotTop)
+          .attr('y2', plotBottom)
+          .attr('stroke', darkMode ? themeColors.gridlineColor : gridLineColor);
+      });
+    }
+    const axis = chartGroup.append('g').attr('class', 'dumbbell-axis');
+    ticks.forEach(tick => {
+      axis.append('text')
+        .attr('x', xScale(tick))
+        .attr('y', plotBottom + axisHeight - 2)
+        .attr('text-anchor', 'middle')
+        .attr('font-family', valueFont)
+        .attr('font-size', valueFontSize + 'px')
+        .attr('fill', themeColors.mutedLabelColor)
+        .text(formatValue(tick));
+    });
+
+    // Period legend: outlined dot = first period, filled dot = second period
+    const legendY = legendAbove ? plotTop - legendHeight / 2 : plotBottom + axisHeight + legendHeight / 2 + 4;
+    const legendColors = colorMode === 'gradient'
+      ? [startColor, endColor]
+      : [themeColors.labelColor, themeColors.labelColor];
+    const legend = svg.append('g').attr('class', 'dumbbell-legend');
+    let legendX = plotLeft;
+    periods.forEach((period, i) => {
+      legend.append('circle')
+        .attr('cx', legendX + 6)
+        .attr('cy', legendY)
+        .attr('r', 6)
+        .attr('fill', i === 0 ? backgroundColor : legendColors[i])
+        .attr('stroke', legendColors[i])
+        .attr('stroke-width', 2);
+      legend.append('text')
+        .attr('x', legendX + 18)
+        .attr('y', legendY)
+        .attr('dy', '0.35em')
+        .attr('font-family', periodFont)
+        .attr('font-size', periodFontSize + 'px')
+        .attr('font-weight', 600)
+        .attr('fill', themeColors.labelColor)
+        .text(period);
+      legendX += 18 + estimateTextWidth(period, periodFontSize, 600) + 24;
+    });
+
+    const effectiveSaturation = lineSaturation !== undefined ? lineSaturation : 100;
+    const adjustColor = (color, row) => {
+      let adjusted = color;
+      if (effectiveSaturation < 100) adjusted = applySaturation(adjusted, effectiveSaturation);
+      // Convert to a pastel/desaturated version for non-emphasized rows
+      if (hasEmphasizedLines && !isEmphasized(row)) adjusted = applySaturation(adjusted, 30);
+      return adjusted;
+    };
+
+    // Gradient mode draws each line from the start color to the end color
+    const defs = colorMode === 'gradient' ? svg.append('defs') : null;
+
+    rows.forEach(row => {
+      const emphasized = isEmphasized(row);
+      const y = getRowY(row);
+      const xStart = xScale(row.start);
+      const xEnd = xScale(row.end);
+
+      // Trend mode compares the two plotted periods, not whichever columns come first in the row
+      const lineColor = adjustColor(getLineColor(
+        { start: row.start, end: row.end },
+        row.index,
+        settings,
+        comparisonPalettes
+      ), row);
+      const startDotColor = colorMode === 'gradient' ? adjustColor(startColor, row) : lineColor;
+      const endDotColor = colorMode === 'gradient' ? adjustColor(endColor, row) : lineColor;
+
+      let lineStroke = lineColor;
+      if (defs && xStart !== xEnd) {
+        const gradientId = `dumbbell-gradient-${row.index}`;
+        const gradient = defs
+          .append('linearGradient')
+          .attr('id', gradientId)
+          .attr('x1', xStart)
+          .attr('y1', y)
+          .attr('x2', xEnd)
+          .attr('y2', y)
+          .attr('gradientUnits', 'userSpaceOnUse');
+        gradient.append('stop').attr('offset', '0%').attr('stop-color', startDotColor);
+        gradient.append('stop').attr('offset', '100%').attr('stop-color', endDotColor);
+        lineStroke = `url(#${gradientId})`;
+      }
+
+      const rowGroup = chartGroup
+        .append('g')
+        .attr('class', 'dumbbell-row')
+        .style('cursor', 'pointer')
+        .on('click', () => {
+          if (onLineClick) {
+            onLineClick(row.index, data[row.index]);
+          }
+        });
+
+      // Invisible hit area so the whole row is clickable
+      rowGroup.append('rect')
+        .attr('x', plotLeft - categoryLabelWidth)
+        .attr('y', yScale(row.index))
+        .attr('width', plotRight - plotLeft + categoryLabelWidth)
+        .attr('height', yScale.bandwidth())
+        .attr('fill', 'transparent');
+
+      rowGroup.append('line')
+        .attr('class', 'dumbbell-line')
+        .attr('x1', xStart)
+        .attr('x2', xEnd)
+        .attr('y1', y)
+        .attr('y2', y)
+        .attr('stroke', lineStroke)
+        .attr('stroke-width', emphasized ? emphasizedLineThickness : lineThickness)
+        .attr('stroke-linecap', 'round')
+        .attr('opacity', lineOpacity);
+
+      if (endpointSize > 0) {
+        rowGroup.append('circle')
+          .attr('class', 'dumbbell-start')
+          .attr('cx', xStart)
+          .attr('cy', y)
+          .attr('r', endpointSize)
+          .attr('fill', backgroundColor)
+          .attr('stroke', startDotColor)
+          .attr('stroke-width', endpointBorderWidth);
+
+        rowGroup.append('circle')
+          .attr('class', 'dumbbell-end')
+          .attr('cx', xEnd)
+          .attr('cy', y)
+          .attr('r', endpointSize)
+          .attr('fill', endDotColor);
+      }
+
+      // Value labels on the outer side of each dot
+      const { startLabel, endLabel } = getValueLabels(row);
+      const endOnRight = row.end >= row.start;
+      const labelOffset = endpointSize + 6;
+      const valueLabelWeight = emphasized ? emphasizedLabelWeight : valueFontWeight;
+      [
+        { text: startLabel, x: xStart, onRight: !endOnRight, color: startDotColor },
+        { text: endLabel, x: xEnd, onRight: endOnRight, color: endDotColor },
+      ].forEach(label => {
+        if (!label.text) return;
+        rowGroup.append('text')
+          .attr('class', 'dumbbell-value-label')
+          .attr('x', label.onRight ? label.x + labelOffset : label.x - labelOffset)
+          .attr('y', y)
+          .attr('dy', '0.35em')
+          .attr('text-anchor', label.onRight ? 'start' : 'end')
+          .attr('font-family', valueFont)
+          .attr('font-size', valueFontSize + 'px')
+          .attr('font-weight', valueLabelWeight)
+          .attr('fill', label.color)
+          .text(label.text);
+      });
+
+      if (showCategoryLabels) {
+        rowGroup.append('text')
+          .attr('class', 'dumbbell-category-label')
+          .attr('x', plotLeft - 8)
+          .attr('y', y)
+          .attr('dy', '0.35em')
+          .attr('text-anchor', 'end')
+          .attr('font-family', categoryFont)
+          .attr('font-size', categoryFontSize + 'px')
+          .attr('font-weight', emphasized ? emphasizedLabelWeight : categoryFontWeight)
+          .attr('fill', emphasized ? themeColors.emphasisColor : themeColors.labelColor)
+          .text(row.label);
+      }
+    });
+
+    renderWatermark(svg, {
+      userTier: settings.userTier,
+      width,
+      chartBottom: height,
+      fontFamily,
+      darkMode,
+    });
+  }, [data, periodNames, styleSettings, onLineClick]);
+
+  return (
+    <div className="dumbbell-chart-container">
+      <svg ref={svgRef}></svg>
+    </div>
+  );
+};
+
+export default React.memo(DumbbellChart);
@@ -0,0 +1,123 @@
+/**
+ * Tests for DumbbellChart Component
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, fireEvent } from '@testing-library/react';
+import DumbbellChart from './DumbbellChart';
+import { defaultData, defaultPeriodNames, buildDumbbellRows } from './dumbbellChartDefaults';
+
+describe('DumbbellChart', () => {
+  const getCategoryLabels = (container) =>
+    Array.from(container.querySelectorAll('.dumbbell-category-label')).map(t => t.textContent);
+
+  describe('buildDumbbellRows', () => {
+    const data = [
+      { Stage: 'A', Before: 10, After: 12 },
+      { Stage: 'B', Before: 10, After: 30 },
+      { Stage: 'C', Before: 40, After: 15 },
+      { Stage: 'D', Before: 'n/a', After: 5 },
+    ];
+
+    it('should sort rows by the size of the gap and skip incomplete rows', () => {
+      const { rows, skipped } = buildDumbbellRows(data, ['Before', 'After']);
+
+      expect(rows.map(r => r.label)).toEqual(['C', 'B', 'A']);
+      expect(rows[0]).toMatchObject({ index: 2, start: 40, end: 15, change: -25 });
+      expect(skipped).toBe(1);
+    });
+
+    it('should support change, end value and data order', () => {
+      const labels = (sortBy) => buildDumbbellRows(data, ['Before', 'After'], sortBy).rows.map(r => r.label);
+
+      expect(labels('change')).toEqual(['B', 'A', 'C']);
+      expect(labels('end')).toEqual(['B', 'C', 'A']);
+      expect(labels('none')).toEqual(['A', 'B', 'C']);
+    });
+  });
+
+  describe('Rendering', () => {
+    it('should render a line and two dots per row, sorted by gap', () => {
+      const { container } = render(
+        <DumbbellChart data={defaultData} periodNames={defaultPeriodNames} />
+      );
+
+      expect(container.querySelectorAll('.dumbbell-line')).toHaveLength(8);
+      expect(container.querySelectorAll('.dumbbell-start')).toHaveLength(8);
+      expect(container.querySelectorAll('.dumbbell-end')).toHaveLength(8);
+      expect(getCategoryLabels(container).slice(0, 2)).toEqual(['Norway', 'Netherlands']);
+    });
+
+    it('should color rows by direction in trend mode', () => {
+      const { container } = render(
+        <DumbbellChart
+          data={defaultData}
+          periodNames={defaultPeriodNames}
+          styleSettings={{ colorMode: 'trend', increaseColor: '#00ff00', decreaseColor: '#ff0000', sortBy: 'none' }}
+        />
+      );
+
+      const fills = Array.from(container.querySelectorAll('.dumbbell-end')).map(c => c.getAttribute('fill'));
+      expect(fills[0]).toBe('#00ff00');
+      expect(fills[5]).toBe('#ff0000');
+    });
+
+    it('should draw gradient lines from the start color to the end color', () => {
+      const { container } = render(
+        <DumbbellChart
+          data={defaultData}
+          periodNames={defaultPeriodNames}
+          styleSettings={{ colorMode: 'gradient', startColor: '#111111', endColor: '#eeeeee' }}
+        />
+      );
+
+      const stops = Array.from(container.querySelector('linearGradient').querySelectorAll('stop'));
+      expect(stops.map(s => s.getAttribute('stop-color'))).toEqual(['#111111', '#eeeeee']);
+      expect(container.querySelector('.dumbbell-line').getAttribute('stroke')).toMatch(/^url\(#dumbbell-gradient-/);
+    });
+
+    it('should label the percentage change only when asked to', () => {
+      const { container } = render(
+        <DumbbellChart
+          data={defaultData.slice(0, 1)}
+          periodNames={defaultPeriodNames}
+          styleSettings={{ labelFormat: 'percentage' }}
+        />
+      );
+
+      const labels = Array.from(container.querySelectorAll('.dumbbell-value-label')).map(t => t.textContent);
+      expect(labels).toEqual(['+33.8%']);
+    });
+
+    it('should desaturate rows that are not emphasized', () => {
+      const { container } = render(
+        <DumbbellChart
+          data={defaultData}
+          periodNames={defaultPeriodNames}
+          styleSettings={{ colorMode: 'custom', userCustomColors: ['#ff0000'], emphasizedLines: [0], sortBy: 'none' }}
+        />
+      );
+
+      const fills = Array.from(container.querySelectorAll('.dumbbell-end')).map(c => c.getAttribute('fill'));
+      expect(fills[0]).toBe('#ff0000');
+      expect(fills[1]).not.toBe('#ff0000');
+    });
+
+    it('should call onLineClick with the data row index', () => {
+      const handleClick = vi.fn();
+      const { container } = render(
+        <DumbbellChart data={defaultData} periodNames={defaultPeriodNames} onLineClick={handleClick} />
+      );
+
+      fireEvent.click(container.querySelectorAll('.dumbbell-row')[0]);
+
+      expect(handleClick).toHaveBeenCalledWith(0, defaultData[0]);
+    });
+
+    it('should render nothing with fewer than two periods', () => {
+      const { container } = render(<DumbbellChart data={defaultData} periodNames={['2015']} />);
+
+      expect(container.querySelectorAll('.dumbbell-row')).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Default data and settings for Dumbbell Chart
+ */
+
+/**
+ * Default sample data - same shape as the slope chart (label + two period columns)
+ */
+export const defaultData = [
+  { Stage: 'Norway', '2015': 68, '2024': 91 },
+  { Stage: 'Netherlands', '2015': 61, '2024': 79 },
+  { Stage: 'Sweden', '2015': 57, '2024': 71 },
+  { Stage: 'Germany', '2015': 44, '2024': 52 },
+  { Stage: 'France', '2015': 38, '2024': 47 },
+  { Stage: 'Spain', '2015': 41, '2024': 39 },
+  { Stage: 'Italy', '2015': 35, '2024': 33 },
+  { Stage: 'Poland', '2015': 22, '2024': 31 },
+];
+
+/**
+ * Default period names
+ */
+export const defaultPeriodNames = ['2015', '2024'];
+
+/**
+ * Default style settings for Dumbbell Chart
+ * Color, line and label settings use the slope chart names so styling carries over between the two
+ */
+export const defaultStyleSettings = {
+  // Title and Subtitle
+  title: '',
+  subtitle: '',
+  fontFamily: 'Inter',
+  titleFontSize: 28,
+  subtitleFontSize: 20,
+  titleAlignment: 'left',
+
+  // Color Mode Options
+  colorMode: 'category', // 'category', 'trend', 'custom', 'gradient'
+  comparisonPalette: 'professional',
+  userCustomColors: ['#1e40af', '#0d9488', '#991b1b', '#d97706', '#475569', '#7c3aed', '#059669', '#dc2626'],
+
+  // Trend-based colors
+  increaseColor: '#10b981',
+  decreaseColor: '#ef4444',
+  noChangeColor: '#6b7280',
+
+  // Gradient colors (start dot to end dot)
+  startColor: '#1e40af',
+  endColor: '#10b981',
+
+  // Row ordering
+  sortBy: 'gap', // 'gap', 'change', 'end', or 'none'
+
+  // Line and dot styling
+  lineThickness: 3,
+  lineOpacity: 1.0,
+  lineSaturation: 100, // 0-100%, where 0% = grey
+  endpointSize: 7, // Dot radius in px
+  endpointBorderWidth: 2, // Outline width of the period A dot
+
+  // Labels
+  showCategoryLabels: true,
+  showValueLabels: true,
+  labelFormat: 'value', // 'value', 'percentage', 'both'
+  compactNumbers: false,
+
+  // Typography
+  categoryFont: 'Inter',
+  categoryFontSize: 16,
+  categoryFontWeight: 500,
+  valueFont: 'Inter',
+  valueFontSize: 13,
+  valueFontWeight: 400,
+  periodFont: 'Inter',
+  periodFontSize: 15, // Period legend
+  periodLabelPosition: 'above', // Period legend 'above' or 'below' the rows
+
+  // Emphasis/Selection
+  emphasizedLines: [], // Data row indices to emphasize
+  emphasizedLineThickness: 5,
+  emphasizedLabelWeight: 700,
+
+  // Value axis
+  showGridLines: true,
+  gridLineColor: '#e5e7eb',
+
+  // Layout
+  width: 900,
+  height: 640,
+  marginTop: 40,
+  marginRight: 40,
+  marginBottom: 50,
+  marginLeft: 40,
+
+  // Theme
+  backgroundColor: '#ffffff',
+  darkMode: false,
+};
+
+/**
+ * Build the dumbbell rows to plot from chart data
+ * Rows without numeric values for both periods are skipped.
+ *
+ * @param {Array} data - Rows ({ Stage: 'Norway', '2015': 68, '2024': 91 })
+ * @param {Array} periods - The two period columns [start, end]
+ * @param {string} sortBy - 'gap', 'change', 'end', or 'none'
+ * @returns {Object} { rows: [{ index, label, start, end, change }], skipped }
+ */
+export const buildDumbbellRows = (data, periods, sortBy = 'gap') => {
+  if (!data || data.length === 0 || !periods || periods.length < 2) {
+    return { rows: [], skipped: 0 };
+  }
+
+  const toNumber = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    const num = Number(value);
+    return isNaN(num) ? null : num;
+  };
+
+  const rows = [];
+  let skipped = 0;
+
+  data.forEach((row, index) => {
+    const start = toNumber(row[periods[0]]);
+    const end = toNumber(row[periods[1]]);
+
+    if (start === null || end === null) {
+      skipped += 1;
+      return;
+    }
+
+    rows.push({
+      index,
+      label: String(row.Stage ?? row.category ?? row.Category ?? `Row ${index + 1}`),
+      start,
+      end,
+      change: end - start,
+    });
+  });
+
+  // Array.prototype.sort is stable, so ties keep their data order
+  switch (sortBy) {
+    case 'gap':
+      rows.sort((a, b) => Math.abs(b.change) - Math.abs(a.change));
+      break;
+    case 'change':
+      rows.sort((a, b) => b.change - a.change);
+      break;
+    case 'end':
+      rows.sort((a, b) => b.end - a.end);
+      break;
+    default:
+      break;
+  }
+
+  return { rows, skipped };
+};
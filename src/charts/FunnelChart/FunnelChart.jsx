@@ -9,6 +9,11 @@ import {
   getContrastTextColor,
   generateColorGradient,
 } from "../../shared/utils/colorUtils";
+import {
+  calculateStageSignificance,
+  getSignificanceMarker,
+  formatPValue,
+} from "../../shared/utils/calculations";
 
 /**
  * FunnelChart Component
@@ -19,6 +24,7 @@ import {
  * - Throughput and fallout emphasis modes
  * - Sparklines for trend visualization
  * - Interactive stage selection and conversion rate calculation
+ * - Significance tests on conversion brackets in comparison mode
  * - Customizable styling and colors
  *
  * @param {Object} props - Component props
@@ -1772,17 +1778,36 @@ function renderVerticalConversionBracket(
     conversionRate = (((val1 - val2) / val1) * 100).toFixed(2);
   }
 
-  svg
+  const significance = getBracketSignificance(chartData, idx1, idx2, periods, selectedPeriod, styleSettings);
+
+  const label = svg
     .append("text")
     .attr("x", bracketX + 10)
     .attr("y", (y1 + y2) / 2)
     .attr("text-anchor", "start")
-    .attr("dy", "0.35em")
+    .attr("dy", significance ? "-0.4em" : "0.35em")
     .attr("font-family", styleSettings.fontFamily)
     .attr("font-size", styleSettings.conversionLabelFontSize + "px")
     .attr("font-weight", "700")
     .attr("fill", themeColors.bracketColor)
     .text(conversionRate + "%");
+
+  // Significance stacks under the rate: marker and p-value, then the period it was tested against
+  if (significance) {
+    const fontSize = Math.max(10, Math.round(styleSettings.conversionLabelFontSize * 0.6));
+    const color = significance.isSignificant ? themeColors.bracketColor : themeColors.secondaryTextColor;
+    [significance.result, significance.comparison].forEach((line, i) => {
+      label
+        .append("tspan")
+        .attr("class", "significance-label")
+        .attr("x", bracketX + 10)
+        .attr("dy", i === 0 ? "1.5em" : "1.2em")
+        .attr("font-size", fontSize + "px")
+        .attr("font-weight", i === 0 && significance.isSignificant ? "700" : "400")
+        .attr("fill", color)
+        .text(line);
+    });
+  }
 }
 
 /**
@@ -1860,7 +1885,9 @@ function renderHorizontalConversionBracket(
     conversionRate = (((val1 - val2) / val1) * 100).toFixed(2);
   }
 
-  svg
+  const significance = getBracketSignificance(chartData, idx1, idx2, periods, selectedPeriod, styleSettings);
+
+  const label = svg
     .append("text")
     .attr("x", (x1 + x2) / 2)
     .attr("y", bracketY - 5)
@@ -1870,6 +1897,44 @@ function renderHorizontalConversionBracket(
     .attr("font-weight", "700")
     .attr("fill", themeColors.bracketColor)
     .text(conversionRate + "%");
+
+  // Significance follows the rate on the same line, there's no room above the bracket for more
+  if (significance) {
+    const fontSize = Math.max(10, Math.round(styleSettings.conversionLabelFontSize * 0.6));
+    label
+      .append("tspan")
+      .attr("class", "significance-label")
+      .attr("font-size", fontSize + "px")
+      .attr("font-weight", significance.isSignificant ? "700" : "400")
+      .attr("fill", significance.isSignificant ? themeColors.bracketColor : themeColors.secondaryTextColor)
+      .text(`  ${significance.result} ${significance.comparison}`);
+  }
+}
+
+/**
+ * Two-proportion z-test of a bracket's conversion in the selected period against another period
+ * The first period is the baseline; when it is the one selected, it is tested against the second.
+ * Returns null outside comparison mode or when significance is turned off.
+ */
+function getBracketSignificance(chartData, idx1, idx2, periods, selectedPeriod, styleSettings) {
+  if (!styleSettings.showSignificance || periods.length < 2) return null;
+
+  const baselinePeriod = selectedPeriod === 0 ? 1 : 0;
+  const test = calculateStageSignificance(
+    chartData.map((d) => d.periods),
+    idx1,
+    idx2,
+    baselinePeriod,
+    selectedPeriod
+  );
+  if (!test) return null;
+
+  const significanceLevel = styleSettings.significanceLevel ?? 0.05;
+  return {
+    isSignificant: test.pValue < significanceLevel,
+    result: `${getSignificanceMarker(test.pValue, significanceLevel)} ${formatPValue(test.pValue)}`,
+    comparison: `vs ${periods[baselinePeriod]}`,
+  };
 }
 
 /**
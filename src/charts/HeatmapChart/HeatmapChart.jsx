@@ -0,0 +1,428 @@
+import React, { useRef, useEffect } from 'react';
+import * as d3 from 'd3';
+import { getContrastTextColor } from '../../shared/utils/colorUtils';
+import { formatValueLabel } from '../../shared/utils/dataFormatters';
+import {
+  WATERMARK_MARGIN_HEIGHT,
+  getThemeColors,
+  estimateTextWidth,
+  renderChartHeader,
+  renderWatermark,
+} from '../../shared/utils/chartDecorations';
+import {
+  defaultStyleSettings,
+  buildHeatmapMatrix,
+  buildCalendarCells,
+  getHeatmapColorScale,
+} from './heatmapChartDefaults';
+import { debug } from '../../shared/utils/debug';
+
+const WEEKDAY_LABELS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+/**
+ * HeatmapChart Component
+ *
+ * Colors a grid of cells by value
+ *
+ * Features:
+ * - Matrix mode: one row per category, one column per period
+ * - Calendar mode: GitHub-style grid of daily values (ISO weeks x weekdays, one panel per year)
+ * - Sequential or diverging color scale with a color legend
+ * - Cell values where they fit, with text colored for contrast
+ *
+ * Data format:
+ * - Matrix: { Category: "Mon", "00-04": 12, "04-08": 38 }
+ * - Calendar: { date: "2024-10-01", Requests: 1200, Errors: 14 }
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.data - Chart data
+ * @param {Array} props.periodNames - Period/metric columns
+ * @param {Object} props.styleSettings - Style settings object
+ * @param {Function} props.onCellClick - Optional callback when a cell is clicked (cell, rowData)
+ */
+const HeatmapChart = ({ data, periodNames, styleSettings = {}, onCellClick }) => {
+  const svgRef = useRef(null);
+
+  /**
+   * Main chart rendering effect
+   */
+  useEffect(() => {
+    if (!data || data.length === 0 || !svgRef.current) return;
+
+    // Clear previous render
+    d3.select(svgRef.current).selectAll('*').remove();
+
+    // Merge provided settings with defaults
+    const settings = { ...defaultStyleSettings, ...styleSettings };
+
+    const {
+      width,
+      height,
+      marginTop,
+      marginRight,
+      marginBottom,
+      marginLeft,
+      mode,
+      valueColumn,
+      colorScale,
+      emptyCellColor,
+      cellGap,
+      cellRadius,
+      showRowLabels,
+      showColumnLabels,
+      showCellValues,
+      compactNumbers,
+      valuePrefix,
+      valueSuffix,
+      showLegend,
+      legendTitle,
+      fontFamily,
+      labelFont,
+      labelFontSize,
+      labelFontWeight,
+      valueFont,
+      valueFontSize,
+      valueFontWeight,
+      backgroundColor,
+      darkMode,
+    } = settings;
+
+    const themeColors = getThemeColors(darkMode);
+    const isCalendar = mode === 'calendar';
+    const columns = periodNames || [];
+
+    if (columns.length === 0) {
+      debug.warn('HeatmapChart', 'Heatmaps need at least one value column');
+      return;
+    }
+
+    // Build the cells for the chosen mode
+    let matrix = null;
+    let calendar = null;
+    let plottedColumn = null;
+    if (isCalendar) {
+      plottedColumn = columns.includes(valueColumn) ? valueColumn : columns[0];
+      calendar = buildCalendarCells(data, plottedColumn);
+      if (calendar.skipped > 0) {
+        debug.warn('HeatmapChart', `Skipped ${calendar.skipped} row(s) without a date or a value for "${plottedColumn}"`);
+      }
+      if (calendar.panels.length === 0) {
+        debug.warn('HeatmapChart', 'No dated rows to plot - calendar mode needs a date in the first column');
+        return;
+      }
+    } else {
+      matrix = buildHeatmapMatrix(data, columns);
+    }
+
+    const cells = isCalendar ? calendar.panels.flatMap(panel => panel.cells) : matrix.cells;
+    const values = cells.map(cell => cell.value).filter(value => value !== null);
+    if (values.length === 0) {
+      debug.warn('HeatmapChart', 'No numeric values to plot');
+      return;
+    }
+
+    const scale = getHeatmapColorScale(values, settings);
+    const getCellColor = (value) => (value === null ? emptyCellColor : scale.getColor(value));
+
+    // Match the decimal places used in the data (e.g. 4.2 -> 1 decimal)
+    const decimalPlaces = Math.min(2, values.reduce(
+      (max, value) => Math.max(max, (String(value).split('.')[1] || '').length),
+      0
+    ));
+    const formatValue = (value) => formatValueLabel(value, {
+      prefix: valuePrefix,
+      suffix: valueSuffix,
+      decimalPlaces: compactNumbers ? Math.max(decimalPlaces, 1) : decimalPlaces,
+      compact: compactNumbers,
+    });
+
+    // Add extra canvas height for watermark margin area if user is on free tier
+    const watermarkMarginHeight = settings.userTier !== 'pro' ? WATERMARK_MARGIN_HEIGHT : 0;
+
+    const svg = d3
+      .select(svgRef.current)
+      .attr('width', width)
+      .attr('height', height + watermarkMarginHeight)
+      .style('background-color', backgroundColor);
+
+    const headerHeight = renderChartHeader(svg, {
+      title: settings.title,
+      subtitle: settings.subtitle,
+      titleFontSize: settings.titleFontSize,
+      subtitleFontSize: settings.subtitleFontSize,
+      titleAlignment: settings.titleAlignment,
+      fontFamily,
+      width,
+      marginLeft,
+      darkMode,
+    });
+
+    // Color legend: [title] min [gradient] max, with the midpoint marked under diverging scales
+    const isDiverging = colorScale === 'diverging';
+    const legendHeight = showLegend ? valueFontSize + 20 + (isDiverging ? valueFontSize + 4 : 0) : 0;
+    if (showLegend) {
+      const legendY = marginTop + headerHeight + valueFontSize / 2;
+      const legend = svg.append('g').attr('class', 'heatmap-legend');
+      const gradientId = `heatmap-legend-gradient-${Math.random().toString(36).slice(2, 9)}`;
+      const gradient = svg.append('defs')
+        .append('linearGradient')
+        .attr('id', gradientId);
+      scale.stops.forEach((color, i) => {
+        gradient.append('stop')
+          .attr('offset', `${(i / (scale.stops.length - 1)) * 100}%`)
+          .attr('stop-color', color);
+      });
+
+      const appendLegendText = (text, x, anchor = 'start', y = legendY, weight = 400) => legend.append('text')
+        .attr('x', x)
+        .attr('y', y)
+        .attr('dy', '0.35em')
+        .attr('text-anchor', anchor)
+        .attr('font-family', valueFont)
+        .attr('font-size', valueFontSize + 'px')
+        .attr('font-weight', weight)
+        .attr('fill', weight > 400 ? themeColors.labelColor : themeColors.mutedLabelColor)
+        .text(text);
+
+      let legendX = marginLeft;
+      const legendLabel = legendTitle || plottedColumn;
+      if (legendLabel) {
+        appendLegendText(legendLabel, legendX, 'start', legendY, 600);
+        legendX += estimateTextWidth(legendLabel, valueFontSize, 600) + 16;
+      }
+
+      const minLabel = formatValue(scale.min);
+      appendLegendText(minLabel, legendX);
+      legendX += estimateTextWidth(minLabel, valueFontSize) + 6;
+
+      const barWidth = 160;
+      legend.append('rect')
+        .attr('class', 'heatmap-legend-bar')
+        .attr('x', legendX)
+        .attr('y', legendY - 6)
+        .attr('width', barWidth)
+        .attr('height', 12)
+        .attr('rx', 2)
+        .attr('fill', `url(#${gradientId})`);
+      if (isDiverging) {
+        legend.append('line')
+          .attr('x1', legendX + barWidth / 2)
+          .attr('x2', legendX + barWidth / 2)
+          .attr('y1', legendY + 6)
+          .attr('y2', legendY + 10)
+          .attr('stroke', themeColors.mutedLabelColor);
+        appendLegendText(formatValue(scale.mid), legendX + barWidth / 2, 'middle', legendY + 12 + valueFontSize / 2);
+      }
+      legendX += barWidth + 6;
+
+      appendLegendText(formatValue(scale.max), legendX);
+    }
+
+    const plotTop = marginTop + headerHeight + legendHeight;
+    const plotBottom = height - marginBottom;
+    const plotRight = width - marginRight;
+
+    const chartGroup = svg.append('g').attr('class', 'heatmap-chart');
+
+    // Draws one cell with its tooltip and, where it fits, its value
+    const drawCell = (group, cell, x, y, cellWidth, cellHeight, tooltip) => {
+      const fill = getCellColor(cell.value);
+      const cellGroup = group.append('g')
+        .attr('class', 'heatmap-cell-group')
+        .style('cursor', onCellClick && cell.value !== null ? 'pointer' : 'default')
+        .on('click', () => {
+          if (onCellClick && cell.value !== null) {
+            onCellClick(cell, data[isCalendar ? cell.index : cell.rowIndex]);
+          }
+        });
+
+      cellGroup.append('rect')
+        .attr('class', cell.value === null ? 'heatmap-cell heatmap-cell-empty' : 'heatmap-cell')
+        .attr('x', x + cellGap / 2)
+        .attr('y', y + cellGap / 2)
+        .attr('width', Math.max(1, cellWidth - cellGap))
+        .attr('height', Math.max(1, cellHeight - cellGap))
+        .attr('rx', cellRadius)
+        .attr('fill', fill)
+        .append('title')
+        .text(tooltip);
+
+      if (showCellValues && cell.value !== null) {
+        const label = formatValue(cell.value);
+        const fits = estimateTextWidth(label, valueFontSize, valueFontWeight) <= cellWidth - cellGap - 6
+          && valueFontSize + 4 <= cellHeight - cellGap;
+        if (fits) {
+          cellGroup.append('text')
+            .attr('class', 'heatmap-cell-value')
+            .attr('x', x + cellWidth / 2)
+            .attr('y', y + cellHeight / 2)
+            .attr('dy', '0.35em')
+            .attr('text-anchor', 'middle')
+            .attr('font-family', valueFont)
+            .attr('font-size', valueFontSize + 'px')
+            .attr('font-weight', valueFontWeight)
+            .attr('fill', getContrastTextColor(fill))
+            .attr('pointer-events', 'none')
+            .text(label);
+        }
+      }
+    };
+
+    const appendLabel = (group, className, text, x, y, anchor) => group.append('text')
+      .attr('class', className)
+      .attr('x', x)
+      .attr('y', y)
+      .attr('dy', '0.35em')
+      .attr('text-anchor', anchor)
+      .attr('font-family', labelFont)
+      .attr('font-size', labelFontSize + 'px')
+      .attr('font-weight', labelFontWeight)
+      .attr('fill', themeColors.labelColor)
+      .text(text);
+
+    if (isCalendar) {
+      const { panels } = calendar;
+      const panelGap = 16;
+      const yearLabelHeight = panels.length > 1 ? labelFontSize + 10 : 0;
+      const monthLabelHeight = showColumnLabels ? labelFontSize + 8 : 0;
+      const weekdayLabelWidth = showRowLabels
+        ? d3.max(WEEKDAY_LABELS, label => estimateTextWidth(label, labelFontSize, labelFontWeight)) + 10
+        : 0;
+
+      // Square cells, sized to fit both the widest year and the stacked panels
+      const maxWeeks = d3.max(panels, panel => panel.weekCount);
+      const availableWidth = plotRight - marginLeft - weekdayLabelWidth;
+      const availableHeight = plotBottom - plotTop
+        - panels.length * (yearLabelHeight + monthLabelHeight)
+        - (panels.length - 1) * panelGap;
+      const cellSize = Math.max(4, Math.min(availableWidth / maxWeeks, availableHeight / (7 * panels.length)));
+      const gridLeft = marginLeft + weekdayLabelWidth;
+      const panelHeight = yearLabelHeight + monthLabelHeight + 7 * cellSize;
+
+      // Label every weekday when cells are tall enough, otherwise Mon/Wed/Fri like GitHub
+      const labeledWeekdays = cellSize >= labelFontSize * 1.6 ? [0, 1, 2, 3, 4, 5, 6] : [0, 2, 4];
+
+      panels.forEach((panel, panelIndex) => {
+        const panelTop = plotTop + panelIndex * (panelHeight + panelGap);
+        const gridTop = panelTop + yearLabelHeight + monthLabelHeight;
+        const panelGroup = chartGroup.append('g').attr('class', 'heatmap-panel');
+
+        if (yearLabelHeight > 0) {
+          appendLabel(panelGroup, 'heatmap-year-label', String(panel.year), marginLeft, panelTop + labelFontSize / 2, 'start')
+            .attr('font-weight', 600);
+        }
+
+        if (showColumnLabels) {
+          let lastLabelEnd = -Infinity;
+          panel.months.forEach(month => {
+            const x = gridLeft + month.week * cellSize + cellGap / 2;
+            if (x < lastLabelEnd) return;
+            appendLabel(panelGroup, 'heatmap-column-label', month.label, x, gridTop - monthLabelHeight / 2, 'start');
+            lastLabelEnd = x + estimateTextWidth(month.label, labelFontSize, labelFontWeight) + 6;
+          });
+        }
+
+        if (showRowLabels) {
+          labeledWeekdays.forEach(weekday => {
+            appendLabel(
+              panelGroup,
+              'heatmap-row-label',
+              WEEKDAY_LABELS[weekday],
+              gridLeft - 8,
+              gridTop + weekday * cellSize + cellSize / 2,
+              'end'
+            );
+          });
+        }
+
+        panel.cells.forEach(cell => {
+          const tooltip = cell.value === null
+            ? `${WEEKDAY_LABELS[cell.weekday]} ${cell.dateKey} (${cell.weekKey}): no data`
+            : `${WEEKDAY_LABELS[cell.weekday]} ${cell.dateKey} (${cell.weekKey})\n${plottedColumn}: ${formatValue(cell.value)}`;
+          drawCell(
+            panelGroup,
+            cell,
+            gridLeft + cell.week * cellSize,
+            gridTop + cell.weekday * cellSize,
+            cellSize,
+            cellSize,
+            tooltip
+          );
+        });
+      });
+    } else {
+      const { rows } = matrix;
+
+      const rowLabelWidth = showRowLabels
+        ? d3.max(rows, row => estimateTextWidth(row, labelFontSize, labelFontWeight)) + 12
+        : 0;
+      const gridLeft = marginLeft + rowLabelWidth;
+      const cellWidth = (plotRight - gridLeft) / columns.length;
+
+      // Tilt column labels when they are wider than their cells
+      const columnLabelWidth = d3.max(columns, column => estimateTextWidth(column, labelFontSize, labelFontWeight));
+      const tiltColumnLabels = columnLabelWidth > cellWidth - 6;
+      let columnLabelHeight = 0;
+      if (showColumnLabels) {
+        columnLabelHeight = tiltColumnLabels
+          ? (columnLabelWidth + labelFontSize) * Math.SQRT1_2 + 8
+          : labelFontSize + 10;
+      }
+
+      const gridTop = plotTop + columnLabelHeight;
+      const cellHeight = Math.max(4, (plotBottom - gridTop) / rows.length);
+
+      if (showColumnLabels) {
+        columns.forEach((column, columnIndex) => {
+          const x = gridLeft + columnIndex * cellWidth + cellWidth / 2;
+          const label = appendLabel(
+            chartGroup,
+            'heatmap-column-label',
+            column,
+            x,
+            gridTop - (tiltColumnLabels ? 8 : columnLabelHeight / 2),
+            tiltColumnLabels ? 'start' : 'middle'
+          );
+          if (tiltColumnLabels) {
+            label.attr('transform', `rotate(-45, ${x}, ${gridTop - 8})`);
+          }
+        });
+      }
+
+      if (showRowLabels) {
+        rows.forEach((row, rowIndex) => {
+          appendLabel(chartGroup, 'heatmap-row-label', row, gridLeft - 8, gridTop + rowIndex * cellHeight + cellHeight / 2, 'end');
+        });
+      }
+
+      matrix.cells.forEach(cell => {
+        const tooltip = `${cell.row} · ${cell.column}: ${cell.value === null ? 'no data' : formatValue(cell.value)}`;
+        drawCell(
+          chartGroup,
+          cell,
+          gridLeft + cell.columnIndex * cellWidth,
+          gridTop + cell.rowIndex * cellHeight,
+          cellWidth,
+          cellHeight,
+          tooltip
+        );
+      });
+    }
+
+    renderWatermark(svg, {
+      userTier: settings.userTier,
+      width,
+      chartBottom: height,
+      fontFamily,
+      darkMode,
+    });
+  }, [data, periodNames, styleSettings, onCellClick]);
+
+  return (
+    <div className="heatmap-chart-container">
+      <svg ref={svgRef}></svg>
+    </div>
+  );
+};
+
+export default React.memo(HeatmapChart);
@@ -0,0 +1,165 @@
+/**
+ * Tests for HeatmapChart Component
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, fireEvent } from '@testing-library/react';
+import HeatmapChart from './HeatmapChart';
+import {
+  defaultData,
+  defaultPeriodNames,
+  buildHeatmapMatrix,
+  buildCalendarCells,
+  getHeatmapColorScale,
+} from './heatmapChartDefaults';
+
+describe('HeatmapChart', () => {
+  const dailyData = [
+    { date: '2024-12-30', Visits: 5 },
+    { date: '2024-12-31', Visits: 8 },
+    { date: '2025-01-01', Visits: 2 },
+    { date: '2025-01-03', Visits: 9 },
+    { date: '2025-01-03', Visits: 1 },
+    { date: 'not a date', Visits: 4 },
+  ];
+
+  describe('buildHeatmapMatrix', () => {
+    it('should build one cell per row and column', () => {
+      const { rows, cells } = buildHeatmapMatrix(defaultData, defaultPeriodNames);
+
+      expect(rows).toEqual(['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun']);
+      expect(cells).toHaveLength(42);
+      expect(cells[1]).toMatchObject({ row: 'Mon', column: '04-08', rowIndex: 0, columnIndex: 1, value: 38 });
+    });
+
+    it('should keep missing values as null', () => {
+      const { cells } = buildHeatmapMatrix([{ Category: 'A', X: '', Y: 3 }], ['X', 'Y']);
+
+      expect(cells.map(c => c.value)).toEqual([null, 3]);
+    });
+  });
+
+  describe('buildCalendarCells', () => {
+    it('should split dates into calendar-year panels of ISO weeks and weekdays', () => {
+      const { panels, skipped } = buildCalendarCells(dailyData, 'Visits');
+
+      expect(skipped).toBe(1);
+      expect(panels.map(p => p.year)).toEqual([2024, 2025]);
+
+      // Dec 30 2024 is a Monday in ISO week 2025-W01
+      expect(panels[0].cells[0]).toMatchObject({ dateKey: '2024-12-30', weekday: 0, week: 0, weekKey: '2025-W01' });
+      expect(panels[0].months).toEqual([{ label: 'Dec', monthKey: '2024-12', week: 0 }]);
+    });
+
+    it('should sum repeated dates and leave gaps as empty cells', () => {
+      const { panels } = buildCalendarCells(dailyData, 'Visits');
+      const cells = panels[1].cells;
+
+      expect(cells.map(c => c.dateKey)).toEqual(['2025-01-01', '2025-01-02', '2025-01-03']);
+      expect(cells.map(c => c.value)).toEqual([2, null, 10]);
+      expect(cells[2]).toMatchObject({ weekday: 4, index: 3 });
+    });
+  });
+
+  describe('getHeatmapColorScale', () => {
+    it('should run a sequential scale from the low to the high color', () => {
+      const scale = getHeatmapColorScale([0, 50, 100], { lowColor: '#000000', highColor: '#ffffff' });
+
+      expect(scale.getColor(0)).toBe('#000000');
+      expect(scale.getColor(100)).toBe('#ffffff');
+      expect(scale.getColor(50)).toBe('#808080');
+    });
+
+    it('should center a diverging scale on zero when the data crosses it', () => {
+      const scale = getHeatmapColorScale([-5, 20], {
+        colorScale: 'diverging',
+        divergingLowColor: '#ff0000',
+        midColor: '#ffffff',
+        highColor: '#0000ff',
+      });
+
+      expect(scale).toMatchObject({ min: -20, mid: 0, max: 20 });
+      expect(scale.getColor(0)).toBe('#ffffff');
+      expect(scale.getColor(20)).toBe('#0000ff');
+      expect(scale.getColor(-20)).toBe('#ff0000');
+    });
+
+    it('should use the mean or a custom midpoint otherwise', () => {
+      expect(getHeatmapColorScale([10, 20, 60], { colorScale: 'diverging' }).mid).toBe(30);
+      expect(getHeatmapColorScale([10, 20, 60], { colorScale: 'diverging', midpoint: 15 }).mid).toBe(15);
+    });
+  });
+
+  describe('Rendering', () => {
+    it('should render a cell per value with row and column labels in matrix mode', () => {
+      const { container } = render(
+        <HeatmapChart data={defaultData} periodNames={defaultPeriodNames} />
+      );
+
+      expect(container.querySelectorAll('.heatmap-cell')).toHaveLength(42);
+      expect(container.querySelectorAll('.heatmap-row-label')).toHaveLength(7);
+      expect(container.querySelectorAll('.heatmap-column-label')).toHaveLength(6);
+      expect(container.querySelector('.heatmap-cell title').textContent).toBe('Mon · 00-04: 12');
+    });
+
+    it('should color value text for contrast with the cell', () => {
+      const { container } = render(
+        <HeatmapChart
+          data={defaultData}
+          periodNames={defaultPeriodNames}
+          styleSettings={{ lowColor: '#ffffff', highColor: '#000000' }}
+        />
+      );
+
+      const labels = Array.from(container.querySelectorAll('.heatmap-cell-value'));
+      const lowest = labels.find(t => t.textContent === '10');
+      const highest = labels.find(t => t.textContent === '176');
+      expect(lowest.getAttribute('fill')).toBe('#000000');
+      expect(highest.getAttribute('fill')).toBe('#ffffff');
+    });
+
+    it('should draw a calendar grid for the chosen value column', () => {
+      const { container } = render(
+        <HeatmapChart
+          data={dailyData}
+          periodNames={['Visits']}
+          styleSettings={{ mode: 'calendar', showCellValues: false }}
+        />
+      );
+
+      expect(container.querySelectorAll('.heatmap-panel')).toHaveLength(2);
+      expect(container.querySelectorAll('.heatmap-cell')).toHaveLength(5);
+      expect(container.querySelectorAll('.heatmap-cell-empty')).toHaveLength(1);
+      expect(Array.from(container.querySelectorAll('.heatmap-year-label')).map(t => t.textContent)).toEqual(['2024', '2025']);
+    });
+
+    it('should draw a legend with a midpoint marker for diverging scales', () => {
+      const { container } = render(
+        <HeatmapChart
+          data={defaultData}
+          periodNames={defaultPeriodNames}
+          styleSettings={{ colorScale: 'diverging', midpoint: 100 }}
+        />
+      );
+
+      const stops = container.querySelector('linearGradient').querySelectorAll('stop');
+      const labels = Array.from(container.querySelectorAll('.heatmap-legend text')).map(t => t.textContent);
+      expect(stops).toHaveLength(3);
+      expect(labels).toContain('100');
+    });
+
+    it('should call onCellClick with the cell and its data row', () => {
+      const handleClick = vi.fn();
+      const { container } = render(
+        <HeatmapChart data={defaultData} periodNames={defaultPeriodNames} onCellClick={handleClick} />
+      );
+
+      fireEvent.click(container.querySelectorAll('.heatmap-cell-group')[7]);
+
+      expect(handleClick).toHaveBeenCalledWith(
+        expect.objectContaining({ row: 'Tue', column: '04-08', value: 41 }),
+        defaultData[1]
+      );
+    });
+  });
+});
@@ -0,0 +1,289 @@
+/**
+ * Default data and settings for Heatmap Chart
+ */
+
+import { interpolateColor } from '../../shared/utils/colorUtils';
+import { getISOWeek, getMonth } from '../../shared/utils/timeAggregation';
+
+/**
+ * Default sample data - one row per category, one column per period
+ */
+export const defaultData = [
+  { Category: 'Mon', '00-04': 12, '04-08': 38, '08-12': 142, '12-16': 168, '16-20': 121, '20-24': 54 },
+  { Category: 'Tue', '00-04': 10, '04-08': 41, '08-12': 151, '12-16': 172, '16-20': 126, '20-24': 58 },
+  { Category: 'Wed', '00-04': 11, '04-08': 40, '08-12': 148, '12-16': 176, '16-20': 131, '20-24': 61 },
+  { Category: 'Thu', '00-04': 13, '04-08': 39, '08-12': 139, '12-16': 165, '16-20': 134, '20-24': 72 },
+  { Category: 'Fri', '00-04': 15, '04-08': 35, '08-12': 128, '12-16': 149, '16-20': 118, '20-24': 96 },
+  { Category: 'Sat', '00-04': 31, '04-08': 18, '08-12': 74, '12-16': 112, '16-20': 104, '20-24': 109 },
+  { Category: 'Sun', '00-04': 28, '04-08': 16, '08-12': 66, '12-16': 98, '16-20': 87, '20-24': 63 },
+];
+
+/**
+ * Default period names
+ */
+export const defaultPeriodNames = ['00-04', '04-08', '08-12', '12-16', '16-20', '20-24'];
+
+/**
+ * Default style settings for Heatmap Chart
+ */
+export const defaultStyleSettings = {
+  // Title and Subtitle
+  title: '',
+  subtitle: '',
+  fontFamily: 'Inter',
+  titleFontSize: 28,
+  subtitleFontSize: 20,
+  titleAlignment: 'left',
+
+  // Layout mode
+  mode: 'matrix', // 'matrix' (rows x columns) or 'calendar' (weeks x weekdays)
+  valueColumn: '', // Column to plot in calendar mode ('' = first column)
+
+  // Color scale
+  colorScale: 'sequential', // 'sequential' or 'diverging'
+  lowColor: '#eff6ff', // Sequential low end
+  highColor: '#1e3a8a', // High end for both scales
+  midColor: '#f9fafb', // Diverging midpoint
+  divergingLowColor: '#b91c1c', // Diverging low end
+  midpoint: null, // Diverging midpoint value (null = 0 if the data crosses zero, otherwise the mean)
+  emptyCellColor: '#f3f4f6', // Cells without a value
+
+  // Cells
+  cellGap: 2,
+  cellRadius: 2,
+
+  // Labels
+  showRowLabels: true,
+  showColumnLabels: true,
+  showCellValues: true, // Only drawn where the value fits inside the cell
+  compactNumbers: false,
+  valuePrefix: '',
+  valueSuffix: '',
+
+  // Legend
+  showLegend: true,
+  legendTitle: '', // '' = no title
+
+  // Typography
+  labelFont: 'Inter',
+  labelFontSize: 14,
+  labelFontWeight: 500,
+  valueFont: 'Inter',
+  valueFontSize: 12,
+  valueFontWeight: 400,
+
+  // Layout
+  width: 900,
+  height: 560,
+  marginTop: 40,
+  marginRight: 40,
+  marginBottom: 40,
+  marginLeft: 40,
+
+  // Theme
+  backgroundColor: '#ffffff',
+  darkMode: false,
+};
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const num = Number(value);
+  return isNaN(num) ? null : num;
+};
+
+const getRowLabel = (row, index) =>
+  String(row.date ?? row.Category ?? row.Stage ?? `Row ${index + 1}`);
+
+/**
+ * Parse a date label, reading 'YYYY-MM-DD' as a local date so it lands on the right weekday
+ *
+ * @param {string|Date} value - Date label
+ * @returns {Date|null} Parsed date, or null if it is not a date
+ */
+export const parseHeatmapDate = (value) => {
+  if (value instanceof Date) return isNaN(value) ? null : value;
+  if (value === null || value === undefined || value === '') return null;
+  const text = String(value).trim();
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(text) ? new Date(`${text}T00:00:00`) : new Date(text);
+  return isNaN(date) ? null : date;
+};
+
+/**
+ * Build the matrix cells: one row per data row, one column per period
+ *
+ * @param {Array} data - Rows ({ Category: 'Mon', '00-04': 12, ... })
+ * @param {Array} columns - Period columns to plot
+ * @returns {Object} { rows: [label], columns, cells: [{ row, column, rowIndex, columnIndex, value }] }
+ */
+export const buildHeatmapMatrix = (data, columns) => {
+  if (!data || data.length === 0 || !columns || columns.length === 0) {
+    return { rows: [], columns: [], cells: [] };
+  }
+
+  const rows = data.map(getRowLabel);
+  const cells = [];
+  data.forEach((row, rowIndex) => {
+    columns.forEach((column, columnIndex) => {
+      cells.push({
+        row: rows[rowIndex],
+        column,
+        rowIndex,
+        columnIndex,
+        value: toNumber(row[column]),
+      });
+    });
+  });
+
+  return { rows, columns: [...columns], cells };
+};
+
+/**
+ * Build calendar cells: one panel per year, one column per ISO week (Monday to Sunday),
+ * one row per weekday. Values for repeated dates are summed, and days between the first
+ * and last date of a year that have no data get an empty cell (value null).
+ *
+ * @param {Array} data - Daily rows ({ date: '2024-10-01', Requests: 1200, ... })
+ * @param {string} valueColumn - Column to plot
+ * @returns {Object} { panels: [{ year, weekCount, months: [{ label, monthKey, week }], cells }], skipped }
+ *   Cells are { date, dateKey, weekday (0 = Monday), week (column index in the panel), weekKey, value, index }
+ *   where index is the data row of the first entry for that date (null for empty cells)
+ */
+export const buildCalendarCells = (data, valueColumn) => {
+  if (!data || data.length === 0 || !valueColumn) return { panels: [], skipped: 0 };
+
+  const getDateKey = (date) =>
+    `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+  const byDate = new Map();
+  let skipped = 0;
+
+  data.forEach((row, index) => {
+    const date = parseHeatmapDate(row.date ?? row.Category ?? row.Stage);
+    const value = toNumber(row[valueColumn]);
+    if (!date || value === null) {
+      skipped += 1;
+      return;
+    }
+    const dateKey = getDateKey(date);
+    const existing = byDate.get(dateKey);
+    if (existing) {
+      existing.value += value;
+    } else {
+      byDate.set(dateKey, { date, value, index });
+    }
+  });
+
+  // Panels follow the calendar year so a year never starts with a stray ISO week from the year before
+  const datesByYear = new Map();
+  [...byDate.values()]
+    .sort((a, b) => a.date - b.date)
+    .forEach(entry => {
+      const { year } = getMonth(entry.date);
+      if (!datesByYear.has(year)) datesByYear.set(year, []);
+      datesByYear.get(year).push(entry.date);
+    });
+
+  const getMonday = (date) => {
+    const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    monday.setDate(monday.getDate() - ((date.getDay() + 6) % 7));
+    return monday;
+  };
+
+  const panels = [...datesByYear.entries()].map(([year, dates]) => {
+    const first = dates[0];
+    const last = dates[dates.length - 1];
+    const firstMonday = getMonday(first);
+    const months = [];
+    const cells = [];
+
+    for (
+      let day = new Date(first.getFullYear(), first.getMonth(), first.getDate());
+      day <= last;
+      day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1)
+    ) {
+      const dateKey = getDateKey(day);
+      const entry = byDate.get(dateKey);
+      // Round to absorb daylight saving shifts between Mondays
+      const week = Math.round((getMonday(day) - firstMonday) / (7 * 86400000));
+      const { monthKey, monthLabel } = getMonth(day);
+      if (months.length === 0 || months[months.length - 1].monthKey !== monthKey) {
+        months.push({ label: monthLabel, monthKey, week });
+      }
+      cells.push({
+        date: day,
+        dateKey,
+        weekday: (day.getDay() + 6) % 7,
+        week,
+        weekKey: getISOWeek(day).weekKey,
+        value: entry ? entry.value : null,
+        index: entry ? entry.index : null,
+      });
+    }
+
+    return {
+      year,
+      weekCount: cells[cells.length - 1].week + 1,
+      months,
+      cells,
+    };
+  });
+
+  return { panels, skipped };
+};
+
+/**
+ * Build the color scale for a set of values
+ * Sequential scales run from lowColor to highColor across the data range. Diverging scales run
+ * divergingLowColor -> midColor -> highColor, symmetric around the midpoint so equal distances
+ * get equal color weight.
+ *
+ * @param {Array} values - Numeric values (nulls ignored)
+ * @param {Object} options - colorScale, lowColor, highColor, midColor, divergingLowColor, midpoint
+ * @returns {Object} { getColor(value), min, mid, max, stops: [color] }
+ */
+export const getHeatmapColorScale = (values, options = {}) => {
+  const {
+    colorScale = defaultStyleSettings.colorScale,
+    lowColor = defaultStyleSettings.lowColor,
+    highColor = defaultStyleSettings.highColor,
+    midColor = defaultStyleSettings.midColor,
+    divergingLowColor = defaultStyleSettings.divergingLowColor,
+    midpoint = null,
+  } = options;
+
+  const numbers = (values || []).filter(value => value !== null && value !== undefined && !isNaN(value));
+  const dataMin = numbers.length > 0 ? Math.min(...numbers) : 0;
+  const dataMax = numbers.length > 0 ? Math.max(...numbers) : 0;
+
+  if (colorScale === 'diverging') {
+    let mid = toNumber(midpoint);
+    if (mid === null) {
+      mid = dataMin < 0 && dataMax > 0
+        ? 0
+        : numbers.reduce((sum, value) => sum + value, 0) / (numbers.length || 1);
+    }
+    const spread = Math.max(Math.abs(dataMax - mid), Math.abs(mid - dataMin)) || 1;
+
+    return {
+      min: mid - spread,
+      mid,
+      max: mid + spread,
+      stops: [divergingLowColor, midColor, highColor],
+      getColor: (value) => {
+        const t = Math.max(-1, Math.min(1, (value - mid) / spread));
+        return t < 0
+          ? interpolateColor(midColor, divergingLowColor, -t)
+          : interpolateColor(midColor, highColor, t);
+      },
+    };
+  }
+
+  const range = dataMax - dataMin;
+  return {
+    min: dataMin,
+    mid: (dataMin + dataMax) / 2,
+    max: dataMax,
+    stops: [lowColor, highColor],
+    getColor: (value) => interpolateColor(lowColor, highColor, range === 0 ? 1 : (value - dataMin) / range),
+  };
+};
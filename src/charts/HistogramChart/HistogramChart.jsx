@@ -0,0 +1,338 @@
+import React, { useRef, useEffect } from 'react';
+import * as d3 from 'd3';
+import { getPaletteColors } from '../../shared/design-system/colorPalettes';
+import { formatValueLabel } from '../../shared/utils/dataFormatters';
+import { getMetricColumns } from '../../shared/utils/columnSchema';
+import {
+  WATERMARK_MARGIN_HEIGHT,
+  getThemeColors,
+  estimateTextWidth,
+  renderChartHeader,
+  renderWatermark,
+} from '../../shared/utils/chartDecorations';
+import {
+  defaultStyleSettings,
+  MAX_BINS,
+  resolveValueColumn,
+  getDistributionGroups,
+  buildHistogramBins,
+} from './histogramChartDefaults';
+import { debug } from '../../shared/utils/debug';
+
+/**
+ * HistogramChart Component
+ *
+ * Shows how the values of one column are distributed: raw rows are counted into
+ * bins along the value axis and drawn as touching bars
+ *
+ * Features:
+ * - Fixed number of equal bins, or a fixed bin width with round-number edges
+ * - Optional grouping by a text column, drawn as stacked bars with a legend
+ * - Count labels above the bars
+ *
+ * Data format: one row per observation, e.g. { Category: "North", "Delivery Days": 3.8 }
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.data - Chart data
+ * @param {Array} props.periodNames - Value columns (the first numeric one is plotted unless valueColumn is set)
+ * @param {Object} props.columnSchema - Column types from useChartData; only numeric types are plotted
+ * @param {Object} props.styleSettings - Style settings object
+ */
+const HistogramChart = ({ data, periodNames, columnSchema, styleSettings = {} }) => {
+  const svgRef = useRef(null);
+
+  /**
+   * Main chart rendering effect
+   */
+  useEffect(() => {
+    if (!data || data.length === 0 || !svgRef.current) return;
+
+    // Clear previous render
+    d3.select(svgRef.current).selectAll('*').remove();
+
+    // Merge provided settings with defaults
+    const settings = { ...defaultStyleSettings, ...styleSettings };
+
+    const {
+      width,
+      height,
+      marginTop,
+      marginRight,
+      marginBottom,
+      marginLeft,
+      valueColumn,
+      groupColumn,
+      binMode,
+      binCount,
+      binWidth,
+      comparisonPalette,
+      userCustomColors,
+      barOpacity,
+      barGap,
+      axisValuePrefix,
+      axisValueSuffix,
+      axisValueDecimalPlaces,
+      compactAxisNumbers,
+      xAxisTitle,
+      showGridLines,
+      gridLineColor,
+      gridLineOpacity,
+      showValueLabels,
+      showLegend,
+      fontFamily,
+      axisFontSize,
+      axisTitleFontSize,
+      valueFontSize,
+      legendFontSize,
+      backgroundColor,
+      darkMode,
+    } = settings;
+
+    const themeColors = getThemeColors(darkMode);
+
+    const column = resolveValueColumn(data, getMetricColumns(periodNames, columnSchema), valueColumn);
+    if (!column) {
+      debug.warn('HistogramChart', 'Histograms need a column of numbers');
+      return;
+    }
+
+    const { groups, skipped } = getDistributionGroups(data, column, groupColumn);
+    if (skipped > 0) {
+      debug.warn('HistogramChart', `Skipped ${skipped} row(s) without a number in "${column}"`);
+    }
+    if (groups.length === 0) {
+      debug.warn('HistogramChart', 'No values to plot');
+      return;
+    }
+
+    const bins = buildHistogramBins(groups, { binMode, binCount, binWidth });
+    if (bins.length === MAX_BINS) {
+      debug.warn('HistogramChart', `Showing at most ${MAX_BINS} bins - increase the bin width`);
+    }
+
+    const palette = getPaletteColors(comparisonPalette, userCustomColors);
+    const getGroupColor = (groupIndex) => palette[groupIndex % palette.length];
+    const isGrouped = groups.length > 1;
+
+    // Show enough decimals to tell bin edges apart (0.5-wide bins need one even when the axis is set to none)
+    const binStep = Number((bins[0].x1 - bins[0].x0).toPrecision(6));
+    const edgeDecimals = Math.min(3, (String(binStep).split('.')[1] || '').length);
+    const formatEdge = (value) => formatValueLabel(value, {
+      prefix: axisValuePrefix,
+      suffix: axisValueSuffix,
+      decimalPlaces: Math.max(axisValueDecimalPlaces, edgeDecimals),
+      compact: compactAxisNumbers,
+    });
+
+    // Add extra canvas height for watermark margin area if user is on free tier
+    const watermarkMarginHeight = settings.userTier !== 'pro' ? WATERMARK_MARGIN_HEIGHT : 0;
+
+    const svg = d3
+      .select(svgRef.current)
+      .attr('width', width)
+      .attr('height', height + watermarkMarginHeight)
+      .style('background-color', backgroundColor);
+
+    const headerHeight = renderChartHeader(svg, {
+      title: settings.title,
+      subtitle: settings.subtitle,
+      titleFontSize: settings.titleFontSize,
+      subtitleFontSize: settings.subtitleFontSize,
+      titleAlignment: settings.titleAlignment,
+      fontFamily,
+      width,
+      marginLeft,
+      darkMode,
+    });
+
+    // Legend row between header and plot, only when there is more than one group
+    const drawLegend = showLegend && isGrouped;
+    const legendHeight = drawLegend ? legendFontSize + 20 : 0;
+    if (drawLegend) {
+      const legend = svg.append('g').attr('class', 'histogram-legend');
+      const legendY = marginTop + headerHeight + legendFontSize / 2;
+      let legendX = marginLeft;
+
+      groups.forEach((group, groupIndex) => {
+        legend.append('rect')
+          .attr('x', legendX)
+          .attr('y', legendY - 6)
+          .attr('width', 12)
+          .attr('height', 12)
+          .attr('rx', 2)
+          .attr('fill', getGroupColor(groupIndex))
+          .attr('fill-opacity', barOpacity);
+        legend.append('text')
+          .attr('class', 'histogram-legend-label')
+          .attr('x', legendX + 20)
+          .attr('y', legendY)
+          .attr('dy', '0.35em')
+          .attr('font-family', fontFamily)
+          .attr('font-size', legendFontSize + 'px')
+          .attr('fill', themeColors.labelColor)
+          .text(group.label);
+        legendX += 20 + estimateTextWidth(group.label, legendFontSize) + 24;
+      });
+    }
+
+    // Count axis
+    const maxCount = d3.max(bins, bin => bin.total) || 1;
+    const yScaleDomain = d3.scaleLinear().domain([0, maxCount]).nice();
+    const countTicks = yScaleDomain.ticks(6).filter(tick => Number.isInteger(tick));
+    const countTitle = 'Count';
+    const countAxisWidth = (d3.max(countTicks, tick => estimateTextWidth(String(tick), axisFontSize)) || 0) +
+      10 + axisTitleFontSize + 12;
+
+    const plotLeft = marginLeft + countAxisWidth;
+    const plotRight = width - marginRight;
+    const plotTop = marginTop + headerHeight + legendHeight + (showValueLabels ? valueFontSize + 6 : valueFontSize / 2);
+    const valueTitle = xAxisTitle || column;
+    const plotBottom = height - marginBottom - (axisFontSize + 12) - (valueTitle ? axisTitleFontSize + 12 : 0);
+
+    // Scales
+    const xScale = d3
+      .scaleLinear()
+      .domain([bins[0].x0, bins[bins.length - 1].x1])
+      .range([plotLeft, plotRight]);
+    const yScale = yScaleDomain.copy().range([plotBottom, plotTop]);
+
+    const chartGroup = svg.append('g').attr('class', 'histogram-chart');
+
+    if (showGridLines) {
+      const grid = chartGroup.append('g').attr('class', 'histogram-grid');
+      countTicks.forEach(tick => {
+        grid.append('line')
+          .attr('x1', plotLeft)
+          .attr('x2', plotRight)
+          .attr('y1', yScale(tick))
+          .attr('y2', yScale(tick))
+          .attr('stroke', darkMode ? themeColors.gridlineColor : gridLineColor)
+          .attr('stroke-opacity', gridLineOpacity);
+      });
+    }
+
+    // Count axis: tick labels and a rotated title
+    const yAxisGroup = chartGroup.append('g').attr('class', 'histogram-y-axis');
+    countTicks.forEach(tick => {
+      yAxisGroup.append('text')
+        .attr('class', 'histogram-axis-label')
+        .attr('x', plotLeft - 8)
+        .attr('y', yScale(tick))
+        .attr('dy', '0.35em')
+        .attr('text-anchor', 'end')
+        .attr('font-family', fontFamily)
+        .attr('font-size', axisFontSize + 'px')
+        .attr('fill', themeColors.mutedLabelColor)
+        .text(tick);
+    });
+    yAxisGroup.append('text')
+      .attr('class', 'histogram-axis-title')
+      .attr('transform', `translate(${marginLeft + axisTitleFontSize / 2},${(plotTop + plotBottom) / 2}) rotate(-90)`)
+      .attr('dy', '0.35em')
+      .attr('text-anchor', 'middle')
+      .attr('font-family', fontFamily)
+      .attr('font-size', axisTitleFontSize + 'px')
+      .attr('font-weight', 600)
+      .attr('fill', themeColors.labelColor)
+      .text(countTitle);
+
+    // Value axis: label bin edges, skipping some when they would overlap
+    const edges = [bins[0].x0, ...bins.map(bin => bin.x1)];
+    const widestEdge = d3.max(edges, edge => estimateTextWidth(formatEdge(edge), axisFontSize)) || 0;
+    const edgeStep = (plotRight - plotLeft) / bins.length;
+    const labelEvery = Math.max(1, Math.ceil((widestEdge + 8) / edgeStep));
+    const valueTicks = edges.filter((edge, i) => i % labelEvery === 0);
+
+    const xAxisGroup = chartGroup.append('g').attr('class', 'histogram-x-axis');
+    valueTicks.forEach(tick => {
+      xAxisGroup.append('text')
+        .attr('class', 'histogram-axis-label')
+        .attr('x', xScale(tick))
+        .attr('y', plotBottom + axisFontSize + 6)
+        .attr('text-anchor', 'middle')
+        .attr('font-family', fontFamily)
+        .attr('font-size', axisFontSize + 'px')
+        .attr('fill', themeColors.mutedLabelColor)
+        .text(formatEdge(tick));
+    });
+    if (valueTitle) {
+      xAxisGroup.append('text')
+        .attr('class', 'histogram-axis-title')
+        .attr('x', (plotLeft + plotRight) / 2)
+        .attr('y', plotBottom + axisFontSize + 12 + axisTitleFontSize)
+        .attr('text-anchor', 'middle')
+        .attr('font-family', fontFamily)
+        .attr('font-size', axisTitleFontSize + 'px')
+        .attr('font-weight', 600)
+        .attr('fill', themeColors.labelColor)
+        .text(valueTitle);
+    }
+
+    // Bars, stacked by group in legend order
+    const barsGroup = chartGroup.append('g').attr('class', 'histogram-bars');
+    bins.forEach(bin => {
+      const x = xScale(bin.x0) + barGap / 2;
+      const barWidth = Math.max(1, xScale(bin.x1) - xScale(bin.x0) - barGap);
+      const range = `${formatEdge(bin.x0)} – ${formatEdge(bin.x1)}`;
+      let stackedCount = 0;
+
+      bin.counts.forEach((count, groupIndex) => {
+        if (count === 0) return;
+        const y0 = yScale(stackedCount);
+        stackedCount += count;
+        const y1 = yScale(stackedCount);
+
+        barsGroup.append('rect')
+          .attr('class', 'histogram-bar')
+          .attr('x', x)
+          .attr('y', y1)
+          .attr('width', barWidth)
+          .attr('height', y0 - y1)
+          .attr('fill', getGroupColor(groupIndex))
+          .attr('fill-opacity', barOpacity)
+          .append('title')
+          .text(isGrouped ? `${groups[groupIndex].label} · ${range}: ${count}` : `${range}: ${count}`);
+      });
+
+      if (showValueLabels && bin.total > 0) {
+        barsGroup.append('text')
+          .attr('class', 'histogram-value-label')
+          .attr('x', x + barWidth / 2)
+          .attr('y', yScale(bin.total) - 6)
+          .attr('text-anchor', 'middle')
+          .attr('font-family', fontFamily)
+          .attr('font-size', valueFontSize + 'px')
+          .attr('font-weight', 600)
+          .attr('fill', themeColors.labelColor)
+          .style('pointer-events', 'none')
+          .text(bin.total);
+      }
+    });
+
+    // Baseline
+    chartGroup.append('line')
+      .attr('class', 'histogram-baseline')
+      .attr('x1', plotLeft)
+      .attr('x2', plotRight)
+      .attr('y1', plotBottom)
+      .attr('y2', plotBottom)
+      .attr('stroke', themeColors.axisLineColor)
+      .attr('stroke-width', 1);
+
+    renderWatermark(svg, {
+      userTier: settings.userTier,
+      width,
+      chartBottom: height,
+      fontFamily,
+      darkMode,
+    });
+  }, [data, periodNames, columnSchema, styleSettings]);
+
+  return (
+    <div className="histogram-chart-container">
+      <svg ref={svgRef}></svg>
+    </div>
+  );
+};
+
+export default React.memo(HistogramChart);
@@ -0,0 +1,119 @@
+/**
+ * Tests for HistogramChart Component
+ */
+
+import { describe, it, expect } from 'vitest';
+import { render } from '@testing-library/react';
+import HistogramChart from './HistogramChart';
+import {
+  defaultData,
+  defaultPeriodNames,
+  MAX_BINS,
+  resolveValueColumn,
+  getDistributionGroups,
+  getBinEdges,
+  buildHistogramBins,
+} from './histogramChartDefaults';
+
+describe('HistogramChart', () => {
+  describe('getDistributionGroups', () => {
+    const data = [
+      { Category: 'A', Value: 1 },
+      { Category: 'B', Value: '2' },
+      { Category: 'A', Value: 3 },
+      { Category: 'B', Value: 'n/a' },
+      { Category: '', Value: 4 },
+    ];
+
+    it('should split values by the group column in order of appearance and skip non-numbers', () => {
+      const { groups, skipped } = getDistributionGroups(data, 'Value', 'Category');
+
+      expect(groups.map(g => g.label)).toEqual(['A', 'B', '(blank)']);
+      expect(groups.map(g => g.values)).toEqual([[1, 3], [2], [4]]);
+      expect(skipped).toBe(1);
+    });
+
+    it('should keep every value in one group without a group column', () => {
+      const { groups } = getDistributionGroups(data, 'Value');
+
+      expect(groups).toHaveLength(1);
+      expect(groups[0].label).toBe('Value');
+      expect(groups[0].values).toEqual([1, 2, 3, 4]);
+    });
+
+    it('should fall back to the first numeric column', () => {
+      expect(resolveValueColumn([{ Notes: 'x' }], ['Notes'])).toBe(null);
+      expect(resolveValueColumn([{ Notes: 'x', Value: 1 }], ['Notes', 'Value'])).toBe('Value');
+      expect(resolveValueColumn([{ A: 1, B: 2 }], ['A', 'B'], 'B')).toBe('B');
+    });
+  });
+
+  describe('getBinEdges', () => {
+    it('should split the range into equal bins in count mode', () => {
+      expect(getBinEdges([0, 10], { binMode: 'count', binCount: 4 })).toEqual([0, 2.5, 5, 7.5, 10]);
+    });
+
+    it('should start at a multiple of the bin width in width mode', () => {
+      expect(getBinEdges([0.7, 2.1], { binMode: 'width', binWidth: 0.5 })).toEqual([0.5, 1, 1.5, 2, 2.5]);
+    });
+
+    it('should cap the number of bins', () => {
+      expect(getBinEdges([0, 1000], { binMode: 'width', binWidth: 0.1 })).toHaveLength(MAX_BINS + 1);
+    });
+  });
+
+  describe('buildHistogramBins', () => {
+    it('should count the maximum in the last bin and keep counts per group', () => {
+      const groups = [
+        { key: 'A', label: 'A', values: [0, 1, 5] },
+        { key: 'B', label: 'B', values: [4, 10] },
+      ];
+      const bins = buildHistogramBins(groups, { binMode: 'width', binWidth: 5 });
+
+      expect(bins.map(b => [b.x0, b.x1])).toEqual([[0, 5], [5, 10]]);
+      expect(bins.map(b => b.counts)).toEqual([[2, 1], [1, 1]]);
+      expect(bins.map(b => b.total)).toEqual([3, 2]);
+    });
+  });
+
+  describe('Rendering', () => {
+    it('should draw one bar per non-empty bin without grouping', () => {
+      const { container } = render(
+        <HistogramChart
+          data={defaultData}
+          periodNames={defaultPeriodNames}
+          styleSettings={{ binMode: 'width', binWidth: 1, showValueLabels: true }}
+        />
+      );
+
+      // 2.2 to 7.9 in whole-day bins: 2, 3, 4, 5, 7 have values, 6 is empty
+      expect(container.querySelectorAll('.histogram-bar')).toHaveLength(5);
+      const labels = Array.from(container.querySelectorAll('.histogram-value-label')).map(t => Number(t.textContent));
+      expect(labels.reduce((sum, n) => sum + n, 0)).toBe(40);
+      expect(container.querySelectorAll('.histogram-legend-label')).toHaveLength(0);
+    });
+
+    it('should stack groups and show a legend when grouped', () => {
+      const { container } = render(
+        <HistogramChart
+          data={defaultData}
+          periodNames={defaultPeriodNames}
+          styleSettings={{ groupColumn: 'Category', binMode: 'count', binCount: 5 }}
+        />
+      );
+
+      const legend = Array.from(container.querySelectorAll('.histogram-legend-label')).map(t => t.textContent);
+      expect(legend).toEqual(['Online', 'In Store']);
+      const fills = new Set(Array.from(container.querySelectorAll('.histogram-bar')).map(b => b.getAttribute('fill')));
+      expect(fills.size).toBe(2);
+    });
+
+    it('should render nothing without a numeric column', () => {
+      const { container } = render(
+        <HistogramChart data={[{ Category: 'A', Notes: 'x' }]} periodNames={['Notes']} />
+      );
+
+      expect(container.querySelectorAll('.histogram-bar')).toHaveLength(0);
+    });
+  });
+});
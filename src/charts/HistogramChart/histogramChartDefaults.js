@@ -0,0 +1,215 @@
+/**
+ * Default data and settings for Histogram Chart
+ * Also home to the value grouping shared with the box plot
+ */
+
+import * as d3 from 'd3';
+
+/**
+ * Default sample data - one row per observation, the first column is the group
+ */
+export const defaultData = [
+  ...[2.2, 3.4, 3.8, 2.7, 2.2, 3.1, 3.4, 3.9, 2.2, 2.2, 3.6, 3.4, 4.2, 3.8, 3.0, 2.9, 4.9, 2.9, 2.6, 2.3]
+    .map(value => ({ Category: 'Online', 'Delivery Days': value })),
+  ...[4.3, 4.3, 3.9, 7.9, 4.4, 4.8, 5.2, 4.4, 2.6, 4.8, 2.9, 4.0, 2.9, 4.2, 3.5, 4.4, 7.2, 4.2, 5.0, 3.0]
+    .map(value => ({ Category: 'In Store', 'Delivery Days': value })),
+];
+
+/**
+ * Default period names
+ */
+export const defaultPeriodNames = ['Delivery Days'];
+
+/**
+ * Most bins drawn - narrow bin widths on wide data would otherwise draw thousands of slivers
+ */
+export const MAX_BINS = 200;
+
+/**
+ * Default style settings for Histogram Chart
+ */
+export const defaultStyleSettings = {
+  // Title and Subtitle
+  title: '',
+  subtitle: '',
+  fontFamily: 'Inter',
+  titleFontSize: 28,
+  subtitleFontSize: 20,
+  titleAlignment: 'left',
+
+  // Data mapping
+  valueColumn: '', // '' = first numeric column
+  groupColumn: '', // '' = no grouping, otherwise a column whose values split the rows (e.g. 'Category')
+
+  // Bins
+  binMode: 'count', // 'count' = fixed number of equal bins, 'width' = fixed bin width
+  binCount: 10,
+  binWidth: 1,
+
+  // Colors
+  comparisonPalette: 'observable10',
+  userCustomColors: [],
+  barOpacity: 1,
+  barGap: 1, // Space between bars in px
+
+  // Value axis (bin edges)
+  axisValuePrefix: '',
+  axisValueSuffix: '',
+  axisValueDecimalPlaces: 0,
+  compactAxisNumbers: true,
+  xAxisTitle: '', // '' = value column name
+
+  // Gridlines
+  showGridLines: true,
+  gridLineColor: '#e5e7eb',
+  gridLineOpacity: 0.5,
+
+  // Labels
+  showValueLabels: false, // Count above each bar
+  showLegend: true, // Only drawn when rows are grouped
+
+  // Typography
+  axisFontSize: 14,
+  axisTitleFontSize: 15,
+  valueFontSize: 12,
+  legendFontSize: 14,
+
+  // Layout
+  width: 900,
+  height: 560,
+  marginTop: 40,
+  marginRight: 40,
+  marginBottom: 40,
+  marginLeft: 40,
+
+  // Theme
+  backgroundColor: '#ffffff',
+  darkMode: false,
+};
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const num = Number(value);
+  return isNaN(num) ? null : num;
+};
+
+/**
+ * Pick the column whose values are plotted
+ * Falls back to the first column that holds numbers when the chosen one is missing
+ *
+ * @param {Array} data - Chart data rows
+ * @param {Array} columns - Available value columns
+ * @param {string} valueColumn - Preferred column ('' = automatic)
+ * @returns {string|null} Column name, or null when no column holds numbers
+ */
+export const resolveValueColumn = (data, columns, valueColumn = '') => {
+  if (!data || !columns || columns.length === 0) return null;
+  if (valueColumn && columns.includes(valueColumn)) return valueColumn;
+  return columns.find(column => data.some(row => toNumber(row[column]) !== null)) ?? null;
+};
+
+/**
+ * Collect a column's values from raw rows, split by the values of a group column
+ * Groups follow the order their values first appear in, like category order everywhere else.
+ *
+ * @param {Array} data - Chart data rows, one per observation
+ * @param {string} valueColumn - Column holding the numbers
+ * @param {string} groupColumn - Column to split by ('' = one group for all rows)
+ * @returns {Object} { groups: [{ key, label, values }], skipped }
+ */
+export const getDistributionGroups = (data, valueColumn, groupColumn = '') => {
+  if (!data || data.length === 0 || !valueColumn) return { groups: [], skipped: 0 };
+
+  let skipped = 0;
+  const rows = data.filter(row => {
+    if (toNumber(row[valueColumn]) !== null) return true;
+    skipped += 1;
+    return false;
+  });
+
+  if (!groupColumn) {
+    return {
+      groups: rows.length > 0
+        ? [{ key: valueColumn, label: valueColumn, values: rows.map(row => toNumber(row[valueColumn])) }]
+        : [],
+      skipped,
+    };
+  }
+
+  const grouped = d3.group(rows, row => String(row[groupColumn] ?? '').trim());
+  return {
+    groups: Array.from(grouped, ([key, groupRows]) => ({
+      key,
+      label: key || '(blank)',
+      values: groupRows.map(row => toNumber(row[valueColumn])),
+    })),
+    skipped,
+  };
+};
+
+/**
+ * Work out the bin edges for a set of values
+ * 'count' splits the range into binCount equal bins; 'width' starts at a multiple of binWidth
+ * so edges land on round numbers (0, 0.5, 1, ...).
+ *
+ * @param {Array} values - All values being binned
+ * @param {Object} options - Bin options
+ * @param {string} options.binMode - 'count' or 'width'
+ * @param {number} options.binCount - Number of bins in 'count' mode
+ * @param {number} options.binWidth - Bin width in 'width' mode
+ * @returns {Array} Bin edges, one more than the number of bins
+ */
+export const getBinEdges = (values, { binMode = 'count', binCount = 10, binWidth = 1 } = {}) => {
+  if (!values || values.length === 0) return [];
+
+  let [min, max] = d3.extent(values);
+  // A single repeated value still gets one bin around it
+  if (min === max) {
+    min -= 0.5;
+    max += 0.5;
+  }
+
+  // Rounding keeps edges like 0.1 * 3 from turning into 0.30000000000000004
+  const edge = (value) => Number(value.toPrecision(12));
+
+  if (binMode === 'width' && binWidth > 0) {
+    const start = Math.floor(min / binWidth) * binWidth;
+    const count = Math.min(MAX_BINS, Math.max(1, Math.ceil(edge((max - start) / binWidth))));
+    return d3.range(count + 1).map(i => edge(start + i * binWidth));
+  }
+
+  const count = Math.min(MAX_BINS, Math.max(1, Math.round(binCount) || 1));
+  const step = (max - min) / count;
+  return d3.range(count + 1).map(i => (i === count ? max : edge(min + i * step)));
+};
+
+/**
+ * Count each group's values per bin
+ * Bins include their lower edge; the last bin also includes its upper edge so the maximum is counted.
+ *
+ * @param {Array} groups - Groups from getDistributionGroups
+ * @param {Object} options - Bin options (see getBinEdges)
+ * @returns {Array} [{ x0, x1, counts: [count per group], total }]
+ */
+export const buildHistogramBins = (groups, options = {}) => {
+  const edges = getBinEdges(groups.flatMap(group => group.values), options);
+  if (edges.length < 2) return [];
+
+  const bins = d3.range(edges.length - 1).map(i => ({
+    x0: edges[i],
+    x1: edges[i + 1],
+    counts: groups.map(() => 0),
+    total: 0,
+  }));
+
+  groups.forEach((group, groupIndex) => {
+    group.values.forEach(value => {
+      // Values past the last edge only happen when the bin count was capped
+      const binIndex = Math.min(bins.length - 1, Math.max(0, d3.bisectRight(edges, value) - 1));
+      bins[binIndex].counts[groupIndex] += 1;
+      bins[binIndex].total += 1;
+    });
+  });
+
+  return bins;
+};
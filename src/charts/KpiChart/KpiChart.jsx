@@ -0,0 +1,297 @@
+import React, { useRef, useEffect } from 'react';
+import * as d3 from 'd3';
+import { formatValueLabel } from '../../shared/utils/dataFormatters';
+import {
+  WATERMARK_MARGIN_HEIGHT,
+  getThemeColors,
+  estimateTextWidth,
+  renderChartHeader,
+  renderWatermark,
+} from '../../shared/utils/chartDecorations';
+import { defaultStyleSettings, MAX_AUTO_TILES_PER_ROW, buildKpiMetrics } from './kpiChartDefaults';
+import { debug } from '../../shared/utils/debug';
+
+// Space between the tile border and its contents
+const TILE_PADDING = 20;
+
+// Sparklines shorter than this are dropped rather than squashed flat
+const MIN_SPARKLINE_HEIGHT = 16;
+
+/**
+ * KpiChart Component
+ *
+ * Headline metric tiles: the latest value in large type, the change from the
+ * previous period and a sparkline of the whole series, one tile per metric
+ *
+ * Features:
+ * - Change as a percent, an absolute difference or both, colored by direction
+ * - Lower-is-better metrics (costs, churn) swap the increase and decrease colors
+ * - Values formatted like bar chart value labels (prefix, suffix, decimals, compact)
+ *
+ * Data format: one row per period, oldest first, e.g. { Category: "Dec", Revenue: 1392000, "Active Users": 52100 }
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.data - Chart data
+ * @param {Array} props.periodNames - Metric columns, one tile each
+ * @param {Object} props.styleSettings - Style settings object
+ */
+const KpiChart = ({ data, periodNames, styleSettings = {} }) => {
+  const svgRef = useRef(null);
+
+  /**
+   * Main chart rendering effect
+   */
+  useEffect(() => {
+    if (!data || data.length === 0 || !svgRef.current) return;
+
+    // Clear previous render
+    d3.select(svgRef.current).selectAll('*').remove();
+
+    // Merge provided settings with defaults
+    const settings = { ...defaultStyleSettings, ...styleSettings };
+
+    const {
+      width,
+      height,
+      marginTop,
+      marginRight,
+      marginBottom,
+      marginLeft,
+      tilesPerRow,
+      tileGap,
+      showTileBorders,
+      tileBorderColor,
+      showChange,
+      changeFormat,
+      changeDecimalPlaces,
+      increaseColor,
+      decreaseColor,
+      noChangeColor,
+      lowerIsBetterColumns,
+      showSparklines,
+      sparklineColor,
+      sparklineFill,
+      valuePrefix,
+      valueSuffix,
+      valueDecimalPlaces,
+      compactNumbers,
+      showPeriodLabel,
+      fontFamily,
+      labelFontSize,
+      valueFontSize,
+      changeFontSize,
+      backgroundColor,
+      darkMode,
+    } = settings;
+
+    const themeColors = getThemeColors(darkMode);
+
+    const metrics = buildKpiMetrics(data, periodNames || [], { lowerIsBetterColumns })
+      .filter(metric => metric.latest !== null);
+    if (metrics.length === 0) {
+      debug.warn('KpiChart', 'No metric has a value to show');
+      return;
+    }
+
+    const formatValue = (value) => formatValueLabel(value, {
+      prefix: valuePrefix,
+      suffix: valueSuffix,
+      decimalPlaces: valueDecimalPlaces,
+      compact: compactNumbers,
+    });
+
+    const getChangeColor = (metric) => {
+      if (metric.isGood === null) return noChangeColor;
+      return metric.isGood ? increaseColor : decreaseColor;
+    };
+
+    const getChangeText = (metric) => {
+      const arrow = metric.direction === 'up' ? '▲' : metric.direction === 'down' ? '▼' : '–';
+      const percent = metric.percentChange !== null ? `${metric.percentChange.toFixed(changeDecimalPlaces)}%` : null;
+      const absolute = formatValue(Math.abs(metric.change));
+      // Percent change is undefined from zero, so fall back to the absolute difference
+      if (changeFormat === 'absolute' || percent === null) return `${arrow} ${absolute}`;
+      if (changeFormat === 'both') return `${arrow} ${absolute} (${percent})`;
+      return `${arrow} ${percent}`;
+    };
+
+    const borderColor = darkMode ? themeColors.gridlineColor : tileBorderColor;
+    const lineColor = darkMode ? themeColors.mutedLabelColor : sparklineColor;
+
+    // Add extra canvas height for watermark margin area if user is on free tier
+    const watermarkMarginHeight = settings.userTier !== 'pro' ? WATERMARK_MARGIN_HEIGHT : 0;
+
+    const svg = d3
+      .select(svgRef.current)
+      .attr('width', width)
+      .attr('height', height + watermarkMarginHeight)
+      .style('background-color', backgroundColor);
+
+    const headerHeight = renderChartHeader(svg, {
+      title: settings.title,
+      subtitle: settings.subtitle,
+      titleFontSize: settings.titleFontSize,
+      subtitleFontSize: settings.subtitleFontSize,
+      titleAlignment: settings.titleAlignment,
+      fontFamily,
+      width,
+      marginLeft,
+      darkMode,
+    });
+
+    // Tile grid
+    const columnCount = tilesPerRow > 0
+      ? Math.min(tilesPerRow, metrics.length)
+      : Math.min(MAX_AUTO_TILES_PER_ROW, metrics.length);
+    const rowCount = Math.ceil(metrics.length / columnCount);
+    const areaTop = marginTop + headerHeight;
+    const areaWidth = width - marginLeft - marginRight;
+    const areaHeight = height - marginBottom - areaTop;
+    const tileWidth = (areaWidth - tileGap * (columnCount - 1)) / columnCount;
+    const tileHeight = (areaHeight - tileGap * (rowCount - 1)) / rowCount;
+    const innerWidth = tileWidth - TILE_PADDING * 2;
+
+    const chartGroup = svg.append('g').attr('class', 'kpi-chart');
+
+    metrics.forEach((metric, index) => {
+      const x = marginLeft + (index % columnCount) * (tileWidth + tileGap);
+      const y = areaTop + Math.floor(index / columnCount) * (tileHeight + tileGap);
+      const changeColor = getChangeColor(metric);
+
+      const tile = chartGroup.append('g')
+        .attr('class', 'kpi-tile')
+        .attr('transform', `translate(${x},${y})`);
+
+      tile.append('title').text([
+        `${metric.column} (${metric.latestLabel}): ${formatValue(metric.latest)}`,
+        ...(metric.previous !== null ? [`${metric.previousLabel}: ${formatValue(metric.previous)}`] : []),
+      ].join('\n'));
+
+      tile.append('rect')
+        .attr('class', 'kpi-tile-background')
+        .attr('width', tileWidth)
+        .attr('height', tileHeight)
+        .attr('rx', 8)
+        .attr('fill', backgroundColor)
+        .attr('stroke', showTileBorders ? borderColor : 'none')
+        .attr('stroke-width', 1);
+
+      // Metric name, with the latest period in muted text
+      let cursorY = TILE_PADDING + labelFontSize;
+      const label = tile.append('text')
+        .attr('class', 'kpi-label')
+        .attr('x', TILE_PADDING)
+        .attr('y', cursorY)
+        .attr('font-family', fontFamily)
+        .attr('font-size', labelFontSize + 'px')
+        .attr('font-weight', 600)
+        .attr('fill', themeColors.labelColor)
+        .text(metric.column);
+      if (showPeriodLabel) {
+        label.append('tspan')
+          .attr('class', 'kpi-period-label')
+          .attr('font-weight', 400)
+          .attr('fill', themeColors.mutedLabelColor)
+          .text(` · ${metric.latestLabel}`);
+      }
+
+      // Latest value, shrunk to fit narrow tiles
+      const valueText = formatValue(metric.latest);
+      const fittedFontSize = Math.min(valueFontSize, valueFontSize * innerWidth / estimateTextWidth(valueText, valueFontSize, 700));
+      cursorY += 10 + fittedFontSize * 0.9;
+      tile.append('text')
+        .attr('class', 'kpi-value')
+        .attr('x', TILE_PADDING)
+        .attr('y', cursorY)
+        .attr('font-family', fontFamily)
+        .attr('font-size', fittedFontSize + 'px')
+        .attr('font-weight', 700)
+        .attr('fill', themeColors.labelColor)
+        .text(valueText);
+
+      // Change from the previous period
+      if (showChange && metric.change !== null) {
+        cursorY += 10 + changeFontSize;
+        const change = tile.append('text')
+          .attr('class', 'kpi-change')
+          .attr('x', TILE_PADDING)
+          .attr('y', cursorY)
+          .attr('font-family', fontFamily)
+          .attr('font-size', changeFontSize + 'px');
+        change.append('tspan')
+          .attr('font-weight', 600)
+          .attr('fill', changeColor)
+          .text(getChangeText(metric));
+        change.append('tspan')
+          .attr('fill', themeColors.mutedLabelColor)
+          .text(` vs. ${metric.previousLabel}`);
+      }
+
+      // Sparkline fills the rest of the tile
+      const sparkTop = cursorY + 16;
+      const sparkBottom = tileHeight - TILE_PADDING;
+      if (showSparklines && metric.series.length > 1 && sparkBottom - sparkTop >= MIN_SPARKLINE_HEIGHT) {
+        const [low, high] = d3.extent(metric.series, point => point.value);
+        const padding = low === high ? Math.abs(low) * 0.1 || 1 : 0;
+        const sparkX = d3.scaleLinear()
+          .domain([0, metric.series.length - 1])
+          .range([TILE_PADDING, tileWidth - TILE_PADDING]);
+        const sparkY = d3.scaleLinear()
+          .domain([low - padding, high + padding])
+          .range([sparkBottom, sparkTop]);
+
+        if (sparklineFill) {
+          const area = d3.area()
+            .x((point, i) => sparkX(i))
+            .y0(sparkBottom)
+            .y1(point => sparkY(point.value))
+            .curve(d3.curveMonotoneX);
+          tile.append('path')
+            .datum(metric.series)
+            .attr('class', 'kpi-sparkline-area')
+            .attr('d', area)
+            .attr('fill', lineColor)
+            .attr('fill-opacity', 0.12);
+        }
+
+        const line = d3.line()
+          .x((point, i) => sparkX(i))
+          .y(point => sparkY(point.value))
+          .curve(d3.curveMonotoneX);
+        tile.append('path')
+          .datum(metric.series)
+          .attr('class', 'kpi-sparkline')
+          .attr('d', line)
+          .attr('fill', 'none')
+          .attr('stroke', lineColor)
+          .attr('stroke-width', 2);
+
+        // Latest point, in the change color so it ties back to the number above
+        tile.append('circle')
+          .attr('class', 'kpi-sparkline-point')
+          .attr('cx', sparkX(metric.series.length - 1))
+          .attr('cy', sparkY(metric.latest))
+          .attr('r', 4)
+          .attr('fill', showChange ? changeColor : lineColor)
+          .attr('stroke', backgroundColor)
+          .attr('stroke-width', 1.5);
+      }
+    });
+
+    renderWatermark(svg, {
+      userTier: settings.userTier,
+      width,
+      chartBottom: height,
+      fontFamily,
+      darkMode,
+    });
+  }, [data, periodNames, styleSettings]);
+
+  return (
+    <div className="kpi-chart-container">
+      <svg ref={svgRef}></svg>
+    </div>
+  );
+};
+
+export default React.memo(KpiChart);
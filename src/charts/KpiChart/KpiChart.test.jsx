@@ -0,0 +1,113 @@
+/**
+ * Tests for KpiChart Component
+ */
+
+import { describe, it, expect } from 'vitest';
+import { render } from '@testing-library/react';
+import KpiChart from './KpiChart';
+import { defaultData, defaultPeriodNames, buildKpiMetrics } from './kpiChartDefaults';
+
+describe('KpiChart', () => {
+  const getLabels = (container, className) =>
+    Array.from(container.querySelectorAll(`.${className}`)).map(t => t.textContent);
+
+  describe('buildKpiMetrics', () => {
+    it('should compare the last two periods with a value and skip blank cells', () => {
+      const data = [
+        { Category: 'Q1', Sales: 80 },
+        { Category: 'Q2', Sales: 100 },
+        { Category: 'Q3', Sales: 120 },
+        { Category: 'Q4', Sales: '' },
+      ];
+      const [metric] = buildKpiMetrics(data, ['Sales']);
+
+      expect(metric.latest).toBe(120);
+      expect(metric.latestLabel).toBe('Q3');
+      expect(metric.previousLabel).toBe('Q2');
+      expect(metric.change).toBe(20);
+      expect(metric.percentChange).toBe(20);
+      expect(metric.direction).toBe('up');
+      expect(metric.isGood).toBe(true);
+      expect(metric.series).toHaveLength(3);
+    });
+
+    it('should treat a drop as good for lower-is-better metrics', () => {
+      const [churn] = buildKpiMetrics(defaultData, ['Churn Rate (%)'], { lowerIsBetterColumns: ['Churn Rate (%)'] });
+
+      expect(churn.direction).toBe('down');
+      expect(churn.isGood).toBe(true);
+    });
+
+    it('should leave percent change empty when it is undefined', () => {
+      const [fromZero] = buildKpiMetrics([{ Category: 'A', X: 0 }, { Category: 'B', X: 5 }], ['X']);
+      const [single] = buildKpiMetrics([{ Category: 'A', X: 5 }], ['X']);
+
+      expect(fromZero.percentChange).toBe(null);
+      expect(fromZero.change).toBe(5);
+      expect(single.change).toBe(null);
+      expect(single.direction).toBe(null);
+    });
+  });
+
+  describe('Rendering', () => {
+    it('should draw one tile with a value, change and sparkline per metric', () => {
+      const { container } = render(
+        <KpiChart data={defaultData} periodNames={defaultPeriodNames} />
+      );
+
+      expect(container.querySelectorAll('.kpi-tile')).toHaveLength(3);
+      expect(getLabels(container, 'kpi-value')).toEqual(['1.4M', '52.1K', '2.6']);
+      expect(container.querySelectorAll('.kpi-sparkline')).toHaveLength(3);
+      expect(getLabels(container, 'kpi-label')[0]).toBe('Revenue · Dec');
+    });
+
+    it('should show the change vs. the previous period with the increase and decrease colors', () => {
+      const { container } = render(
+        <KpiChart
+          data={defaultData}
+          periodNames={['Revenue', 'Active Users']}
+          styleSettings={{ increaseColor: '#00ff00', decreaseColor: '#ff0000' }}
+        />
+      );
+
+      const changes = container.querySelectorAll('.kpi-change');
+      expect(changes[0].textContent).toBe('▲ 6.3% vs. Nov');
+      expect(changes[0].querySelector('tspan').getAttribute('fill')).toBe('#00ff00');
+      expect(changes[1].textContent).toBe('▼ 1.0% vs. Nov');
+      expect(changes[1].querySelector('tspan').getAttribute('fill')).toBe('#ff0000');
+    });
+
+    it('should format absolute changes with the value number settings', () => {
+      const { container } = render(
+        <KpiChart
+          data={defaultData}
+          periodNames={['Revenue']}
+          styleSettings={{ changeFormat: 'both', valuePrefix: '$', valueDecimalPlaces: 0 }}
+        />
+      );
+
+      expect(getLabels(container, 'kpi-value')).toEqual(['$1M']);
+      expect(getLabels(container, 'kpi-change')).toEqual(['▲ $82K (6.3%) vs. Nov']);
+    });
+
+    it('should hide sparklines and wrap tiles onto rows when asked', () => {
+      const { container } = render(
+        <KpiChart
+          data={defaultData}
+          periodNames={defaultPeriodNames}
+          styleSettings={{ showSparklines: false, tilesPerRow: 2 }}
+        />
+      );
+
+      const tiles = Array.from(container.querySelectorAll('.kpi-tile'));
+      expect(container.querySelectorAll('.kpi-sparkline')).toHaveLength(0);
+      expect(tiles[2].getAttribute('transform')).not.toBe(tiles[0].getAttribute('transform'));
+      expect(tiles[2].getAttribute('transform').split(',')[0]).toBe(tiles[0].getAttribute('transform').split(',')[0]);
+    });
+
+    it('should render nothing without data', () => {
+      const { container } = render(<KpiChart data={[]} periodNames={[]} />);
+      expect(container.querySelectorAll('.kpi-tile')).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Default data and settings for KPI Chart
+ */
+
+import { calculatePercentageChange } from '../../shared/utils/calculations';
+
+/**
+ * Default sample data - one row per period, oldest first, one column per metric
+ */
+export const defaultData = [
+  { Category: 'Jul', Revenue: 1184000, 'Active Users': 48200, 'Churn Rate (%)': 3.1 },
+  { Category: 'Aug', Revenue: 1221000, 'Active Users': 49100, 'Churn Rate (%)': 3.0 },
+  { Category: 'Sep', Revenue: 1198000, 'Active Users': 50400, 'Churn Rate (%)': 3.2 },
+  { Category: 'Oct', Revenue: 1263000, 'Active Users': 51800, 'Churn Rate (%)': 2.9 },
+  { Category: 'Nov', Revenue: 1310000, 'Active Users': 52600, 'Churn Rate (%)': 2.8 },
+  { Category: 'Dec', Revenue: 1392000, 'Active Users': 52100, 'Churn Rate (%)': 2.6 },
+];
+
+/**
+ * Default period names
+ */
+export const defaultPeriodNames = ['Revenue', 'Active Users', 'Churn Rate (%)'];
+
+/**
+ * Tiles per row when tilesPerRow is automatic
+ */
+export const MAX_AUTO_TILES_PER_ROW = 4;
+
+/**
+ * Default style settings for KPI Chart
+ */
+export const defaultStyleSettings = {
+  // Title and Subtitle
+  title: '',
+  subtitle: '',
+  fontFamily: 'Inter',
+  titleFontSize: 28,
+  subtitleFontSize: 20,
+  titleAlignment: 'left',
+
+  // Tiles
+  tilesPerRow: 0, // 0 = all tiles in one row, up to MAX_AUTO_TILES_PER_ROW
+  tileGap: 24,
+  showTileBorders: true,
+  tileBorderColor: '#e5e7eb',
+
+  // Change vs. previous period
+  showChange: true,
+  changeFormat: 'percent', // 'percent', 'absolute' or 'both'
+  changeDecimalPlaces: 1, // Decimal places for the percent change
+  increaseColor: '#10b981',
+  decreaseColor: '#ef4444',
+  noChangeColor: '#6b7280',
+  lowerIsBetterColumns: [], // Metrics where a drop is good (costs, churn) swap the increase and decrease colors
+
+  // Sparkline
+  showSparklines: true,
+  sparklineColor: '#64748b',
+  sparklineFill: true, // Shade the area under the sparkline
+
+  // Number format (same settings as bar chart value labels)
+  valuePrefix: '',
+  valueSuffix: '',
+  valueDecimalPlaces: 1,
+  compactNumbers: true,
+
+  // Labels
+  showPeriodLabel: true, // Latest period next to the metric name
+
+  // Typography
+  labelFontSize: 16,
+  valueFontSize: 56,
+  changeFontSize: 16,
+
+  // Layout
+  width: 900,
+  height: 360,
+  marginTop: 40,
+  marginRight: 40,
+  marginBottom: 40,
+  marginLeft: 40,
+
+  // Theme
+  backgroundColor: '#ffffff',
+  darkMode: false,
+};
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const num = Number(value);
+  return isNaN(num) ? null : num;
+};
+
+/**
+ * Work out the latest value, the change from the previous period and the series for each metric
+ * Rows are periods in order, oldest first. Blank cells are skipped, so "latest" is the last period with a value.
+ *
+ * @param {Array} data - Chart data rows, one per period
+ * @param {Array} columns - Metric columns, one tile each
+ * @param {Object} options - { lowerIsBetterColumns }
+ * @returns {Array} [{ column, latest, latestLabel, previous, previousLabel, change, percentChange, direction, isGood, series }]
+ *   previous, change and percentChange are null with fewer than two values; percentChange is also null when previous is 0
+ */
+export const buildKpiMetrics = (data, columns, { lowerIsBetterColumns = [] } = {}) => {
+  if (!data || data.length === 0 || !columns) return [];
+
+  return columns.map(column => {
+    const series = data
+      .map((row, index) => ({
+        label: String(row.Category ?? row.date ?? row.Stage ?? `Period ${index + 1}`),
+        value: toNumber(row[column]),
+      }))
+      .filter(point => point.value !== null);
+
+    const latestPoint = series[series.length - 1] ?? null;
+    const previousPoint = series.length > 1 ? series[series.length - 2] : null;
+    const change = latestPoint && previousPoint ? latestPoint.value - previousPoint.value : null;
+
+    let direction = null;
+    if (change !== null) direction = change > 0 ? 'up' : change < 0 ? 'down' : 'flat';
+
+    const lowerIsBetter = lowerIsBetterColumns.includes(column);
+    const isGood = direction === 'up' || direction === 'down'
+      ? (direction === 'up') !== lowerIsBetter
+      : null;
+
+    return {
+      column,
+      latest: latestPoint?.value ?? null,
+      latestLabel: latestPoint?.label ?? null,
+      previous: previousPoint?.value ?? null,
+      previousLabel: previousPoint?.label ?? null,
+      change,
+      // Size of the change only - the arrow shows its direction, so a negative previous value can't flip the sign
+      percentChange: previousPoint && previousPoint.value !== 0
+        ? Math.abs(calculatePercentageChange(latestPoint.value, previousPoint.value))
+        : null,
+      direction,
+      isGood,
+      series,
+    };
+  });
+};
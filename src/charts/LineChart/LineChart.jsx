@@ -2,9 +2,21 @@ import React, { useRef, useEffect, useState, useMemo, useCallback } from 'react'
 import * as d3 from 'd3';
 import { format as formatDate } from 'date-fns';
 import { comparisonPalettes } from '../../shared/design-system/colorPalettes';
-import { getLineColor, formatNumber, defaultStyleSettings, timeScaleFormats } from './lineChartDefaults';
+import {
+  getLineColor,
+  formatNumber,
+  defaultStyleSettings,
+  timeScaleFormats,
+  calculateMovingAverage,
+  calculateLinearTrend,
+  calculateForecast,
+  getProjectedDates,
+} from './lineChartDefaults';
 import { aggregateData, getHierarchicalLabels, getISOWeek, getQuarter } from '../../shared/utils/timeAggregation';
 import { debug } from '../../shared/utils/debug';
+import { getErrorBounds } from '../../shared/utils/errorBars';
+import { resolveReferences, getReferenceExtent, renderReferences } from '../../shared/utils/referenceLines';
+import { renderAnnotations } from '../../shared/utils/annotations';
 
 /**
  * LineChart Component
@@ -17,13 +29,16 @@ import { debug } from '../../shared/utils/debug';
  * - Line styling (thickness, style, smoothing)
  * - Point markers with customization
  * - Area fill with gradient options
+ * - Shaded error bands from bound columns (see resolveErrorBars)
  * - Grid lines and axes
  * - Interactive tooltips and emphasis
  * - Direct labels and legends
- * - Moving averages and baselines
+ * - Trendlines, moving averages and naive/seasonal forecasts per series
+ * - Reference lines and bands on the value and time axes (see resolveReferences)
+ * - Text, arrow and circle annotations anchored to a date and value (see renderAnnotations)
  * - Percent change brackets
  */
-const LineChart = ({ data, metricNames, styleSettings = {}, onLineClick, onPointClick, onMetricClick, onLabelDrag }) => {
+const LineChart = ({ data, metricNames, styleSettings = {}, onLineClick, onPointClick, onMetricClick, onLabelDrag, onAnnotationDrag }) => {
   const svgRef = useRef(null);
   const [hoveredMetric, setHoveredMetric] = useState(null);
   const [hoveredPoint, setHoveredPoint] = useState(null);
@@ -90,11 +105,16 @@ const LineChart = ({ data, metricNames, styleSettings = {}, onLineClick, onPoint
       return data;
     }
 
+    // Bound columns are aggregated alongside their metrics so error bands survive grouping
+    const boundColumns = debouncedStyleSettings?.showErrorBars
+      ? Object.values(debouncedStyleSettings?.errorBars || {}).flatMap(spec => Object.values(spec))
+      : [];
+
     try {
       return aggregateData(
         data,
         debouncedStyleSettings?.dateField || 'date',
-        metricNames,
+        [...metricNames, ...boundColumns],
         aggregationLevel,
         debouncedStyleSettings?.aggregationMethod || 'sum',
         debouncedStyleSettings?.fiscalYearStartMonth || 1
@@ -110,6 +130,8 @@ const LineChart = ({ data, metricNames, styleSettings = {}, onLineClick, onPoint
     debouncedStyleSettings?.aggregationMethod,
     debouncedStyleSettings?.fiscalYearStartMonth,
     debouncedStyleSettings?.dateField,
+    debouncedStyleSettings?.showErrorBars,
+    debouncedStyleSettings?.errorBars,
   ]);
 
   // Convert axis color brightness (0-100) to hex color at component level
@@ -186,6 +208,23 @@ const LineChart = ({ data, metricNames, styleSettings = {}, onLineClick, onPoint
       areaOpacity,
       areaGradient,
       stackAreas,
+      // Error bands
+      showErrorBars,
+      errorBars,
+      errorBandOpacity,
+      // Trends and forecast
+      showTrendline,
+      showMovingAverage,
+      movingAveragePeriod,
+      showForecast,
+      forecastMethod,
+      forecastPeriods,
+      forecastSeasonLength,
+      showForecastBand,
+      // Reference lines and bands
+      referenceLines,
+      // Annotations
+      annotations,
       chartMode,
       // Emphasis
       emphasizedLines,
@@ -367,6 +406,26 @@ const LineChart = ({ data, metricNames, styleSettings = {}, onLineClick, onPoint
     const formatTime = d3.timeFormat(timeFormat.format);
 
     // Use the detected date format for efficient parsing
+    // Shared by data rows and time-axis reference lines, which are written in the same format
+    const parseDateValue = (dateValue) => {
+      // Use the detected parser for fast parsing
+      let parsed = null;
+      if (detectedDateFormat) {
+        parsed = detectedDateFormat.parser(dateValue);
+      }
+
+      // Fallback: handle edge cases
+      if (!parsed || isNaN(parsed.getTime())) {
+        // For YYYY-MM-DD format, append time to avoid timezone issues
+        if (/^\d{4}-\d{2}-\d{2}$/.test(dateValue)) {
+          parsed = new Date(dateValue + 'T00:00:00');
+        } else {
+          parsed = new Date(dateValue);
+        }
+      }
+      return parsed;
+    };
+
     const parsedData = processedData
       .map(d => {
         const dateValue = d[dateField] || d.date;
@@ -376,21 +435,7 @@ const LineChart = ({ data, metricNames, styleSettings = {}, onLineClick, onPoint
           return null;
         }
 
-        // Use the detected parser for fast parsing
-        let parsed = null;
-        if (detectedDateFormat) {
-          parsed = detectedDateFormat.parser(dateValue);
-        }
-
-        // Fallback: handle edge cases
-        if (!parsed || isNaN(parsed.getTime())) {
-          // For YYYY-MM-DD format, append time to avoid timezone issues
-          if (/^\d{4}-\d{2}-\d{2}$/.test(dateValue)) {
-            parsed = new Date(dateValue + 'T00:00:00');
-          } else {
-            parsed = new Date(dateValue);
-          }
-        }
+        const parsed = parseDateValue(dateValue);
 
         // Validate the parsed date
         if (!parsed || isNaN(parsed.getTime())) {
@@ -425,21 +470,84 @@ const LineChart = ({ data, metricNames, styleSettings = {}, onLineClick, onPoint
       return sums;
     }, {}) : {};
 
+    // Error bands follow each line, so they have nothing to wrap on stacked areas
+    const isStacked = stackAreas && showAreaFill;
+    const hasErrorBars = showErrorBars && !isStacked && Object.keys(errorBars || {}).length > 0;
+    if (showErrorBars && isStacked) {
+      debug.warn('LineChart', 'Error bands are not drawn on stacked areas');
+    }
+    const getPointBounds = (d, metric) => (
+      hasErrorBars && d[metric] != null ? getErrorBounds(d, errorBars[metric], d[metric]) : null
+    );
+
+    // Trend overlays and forecasts follow each line too
+    if ((showTrendline || showMovingAverage || showForecast) && isStacked) {
+      debug.warn('LineChart', 'Trendlines, moving averages and forecasts are not drawn on stacked areas');
+    }
+    const getSeriesData = (metric) => filteredData
+      .filter(d => d[metric] != null && !(excludeZeroValues && d[metric] === 0))
+      .sort((a, b) => a.parsedDate - b.parsedDate);
+
+    // Forecasts extend both scales, so they're worked out before them
+    const forecastDates = showForecast && !isStacked
+      ? getProjectedDates([...filteredData].sort((a, b) => a.parsedDate - b.parsedDate).map(d => d.parsedDate), forecastPeriods)
+      : [];
+    if (showForecast && forecastMethod === 'seasonal' && filteredData.length <= forecastSeasonLength) {
+      debug.warn('LineChart', 'Seasonal forecasts need more than one season of data, repeating the last value instead');
+    }
+    const forecasts = {};
+    if (forecastDates.length > 0) {
+      metricNames.forEach(metric => {
+        const seriesData = getSeriesData(metric);
+        if (seriesData.length === 0) return;
+        const projection = calculateForecast(seriesData.map(d => d[metric]), {
+          method: forecastMethod,
+          periods: forecastDates.length,
+          seasonLength: forecastSeasonLength,
+        });
+        forecasts[metric] = {
+          start: seriesData[seriesData.length - 1],
+          points: projection.map((point, i) => ({ ...point, parsedDate: forecastDates[i] })),
+        };
+      });
+    }
+    const forecastValues = Object.values(forecasts).flatMap(({ points }) => points.flatMap(point => (
+      showForecastBand ? [point.value, point.lower, point.upper] : [point.value]
+    )));
+
     // Get all values for Y scale
     // For stacked areas, we need to use cumulative sums instead of individual values
-    const allValues = (stackAreas && showAreaFill)
+    const allValues = isStacked
       ? filteredData.map(d => {
           // Sum all metric values at this data point
           return metricNames.reduce((sum, metric) => sum + (d[metric] || 0), 0);
         })
       : metricNames.flatMap(metric =>
-          filteredData.map(d => d[metric]).filter(v => v != null)
-        );
+          filteredData.flatMap(d => {
+            if (d[metric] == null) return [];
+            // Keep whole error bands inside the value axis
+            const bounds = getPointBounds(d, metric);
+            return bounds ? [d[metric], bounds.lower, bounds.upper] : [d[metric]];
+          })
+        ).concat(forecastValues);
+
+    // Value-axis statistics come from every plotted value, time-axis ones from the dates;
+    // a value-axis reference such as a target stays inside the value axis
+    const valueReferences = resolveReferences(referenceLines, {
+      axis: 'value',
+      values: metricNames.flatMap(metric => filteredData.map(d => d[metric]).filter(value => value != null)),
+    });
+    const timeReferences = resolveReferences(referenceLines, {
+      axis: 'time',
+      values: filteredData.map(d => d.parsedDate.getTime()),
+      parse: value => (value ? parseDateValue(String(value))?.getTime() : null),
+    });
+    allValues.push(...getReferenceExtent(valueReferences));
 
     // Create scales
     const xScale = d3
       .scaleTime()
-      .domain(d3.extent(filteredData, d => d.parsedDate))
+      .domain(d3.extent([...filteredData.map(d => d.parsedDate), ...forecastDates]))
       .range([0, chartWidth])
       .nice();
 
@@ -555,7 +663,7 @@ const LineChart = ({ data, metricNames, styleSettings = {}, onLineClick, onPoint
     let xAxisTicks;
     if (effectivePrimaryLabel === 'date' || effectivePrimaryLabel === 'day' || effectivePrimaryLabel === 'week' || effectivePrimaryLabel === 'month') {
       // For date/day/week/month, generate ticks for every point in the dataset
-      xAxisTicks = filteredData.map(d => d.parsedDate);
+      xAxisTicks = filteredData.map(d => d.parsedDate).concat(forecastDates);
     } else {
       // Use D3's automatic tick generation for quarter/year
       xAxisTicks = xScale.ticks(6);
@@ -1032,6 +1140,23 @@ const LineChart = ({ data, metricNames, styleSettings = {}, onLineClick, onPoint
       return stackedPoint;
     }) : null;
 
+    // Reference bands and lines sit behind the series
+    const referenceOptions = { fontFamily, defaultColor: themeColors.categoryLabelColor };
+    renderReferences(chartGroup, valueReferences, {
+      ...referenceOptions,
+      scale: yScale,
+      direction: 'horizontal',
+      length: chartWidth,
+      formatValue: formatValueNumber,
+    });
+    renderReferences(chartGroup, timeReferences, {
+      ...referenceOptions,
+      scale: xScale,
+      direction: 'vertical',
+      length: chartHeight,
+      formatValue: value => formatTime(new Date(value)),
+    });
+
     // Draw lines and points for each metric
     metricNames.forEach((metric, i) => {
       const isEmphasized = emphasizedLines.includes(metric);
@@ -1113,6 +1238,28 @@ const LineChart = ({ data, metricNames, styleSettings = {}, onLineClick, onPoint
         }
       }
 
+      // Shade the error band behind the line, breaking it wherever a point has no bounds
+      if (hasErrorBars && errorBars[metric]) {
+        const bandGenerator = d3.area()
+          .defined(d => getPointBounds(d, metric) !== null)
+          .x(d => xScale(d.parsedDate))
+          .y0(d => yScale(getPointBounds(d, metric).lower))
+          .y1(d => yScale(getPointBounds(d, metric).upper));
+
+        if (shouldSmooth) {
+          bandGenerator.curve(d3.curveCatmullRom.alpha(0.5));
+        }
+
+        chartGroup
+          .append('path')
+          .datum(metricData)
+          .attr('class', `error-band error-band-${i}`)
+          .attr('d', bandGenerator)
+          .attr('fill', lineColor)
+          .attr('opacity', errorBandOpacity)
+          .style('pointer-events', 'none');
+      }
+
       // Draw line
       // For stacked areas, lines follow the top of each stacked area
       const lineGen = stackAreas && showAreaFill
@@ -1145,6 +1292,84 @@ const LineChart = ({ data, metricNames, styleSettings = {}, onLineClick, onPoint
         .on('mouseleave', () => setHoveredMetric(null))
         .on('click', () => onLineClick && onLineClick(metric, i));
 
+      // Trend overlays in the series color: dotted regression line, faded moving average,
+      // dashed forecast from the last point with its prediction interval behind it
+      if (!isStacked) {
+        const seriesData = getSeriesData(metric);
+        const overlayWidth = Math.max(1.5, currentLineWidth * 0.6);
+        const overlayGroup = chartGroup
+          .append('g')
+          .attr('class', `trend-overlays trend-overlays-${i}`)
+          .style('pointer-events', 'none');
+
+        if (showTrendline) {
+          const trend = calculateLinearTrend(seriesData.map(d => ({ x: d.parsedDate.getTime(), y: d[metric] })));
+          if (trend) {
+            const ends = [seriesData[0].parsedDate, seriesData[seriesData.length - 1].parsedDate];
+            overlayGroup
+              .append('line')
+              .attr('class', 'trendline')
+              .attr('x1', xScale(ends[0]))
+              .attr('y1', yScale(trend.intercept + trend.slope * ends[0].getTime()))
+              .attr('x2', xScale(ends[1]))
+              .attr('y2', yScale(trend.intercept + trend.slope * ends[1].getTime()))
+              .attr('stroke', lineColor)
+              .attr('stroke-width', overlayWidth)
+              .attr('stroke-dasharray', '2,4')
+              .attr('stroke-linecap', 'round');
+          }
+        }
+
+        // The average only starts once a full window of periods is in
+        if (showMovingAverage && seriesData.length >= movingAveragePeriod) {
+          const averages = calculateMovingAverage(seriesData, metric, movingAveragePeriod);
+          const averageData = seriesData
+            .map((d, index) => ({ parsedDate: d.parsedDate, value: averages[index] }))
+            .slice(movingAveragePeriod - 1);
+          overlayGroup
+            .append('path')
+            .datum(averageData)
+            .attr('class', 'moving-average')
+            .attr('d', d3.line().x(d => xScale(d.parsedDate)).y(d => yScale(d.value)))
+            .attr('fill', 'none')
+            .attr('stroke', lineColor)
+            .attr('stroke-width', currentLineWidth)
+            .attr('stroke-linejoin', 'round')
+            .attr('opacity', 0.45);
+        }
+
+        const forecast = forecasts[metric];
+        if (forecast) {
+          const start = { parsedDate: forecast.start.parsedDate, value: forecast.start[metric] };
+          const floor = yScale.domain()[0];
+
+          if (showForecastBand) {
+            const bandData = [{ ...start, lower: start.value, upper: start.value }, ...forecast.points];
+            overlayGroup
+              .append('path')
+              .datum(bandData)
+              .attr('class', 'forecast-band')
+              .attr('d', d3.area()
+                .x(d => xScale(d.parsedDate))
+                .y0(d => yScale(Math.max(d.lower, floor)))
+                .y1(d => yScale(d.upper)))
+              .attr('fill', lineColor)
+              .attr('opacity', 0.15);
+          }
+
+          overlayGroup
+            .append('path')
+            .datum([start, ...forecast.points])
+            .attr('class', 'forecast')
+            .attr('d', d3.line().x(d => xScale(d.parsedDate)).y(d => yScale(d.value)))
+            .attr('fill', 'none')
+            .attr('stroke', lineColor)
+            .attr('stroke-width', currentLineWidth)
+            .attr('stroke-dasharray', '6,4')
+            .attr('stroke-linejoin', 'round');
+        }
+      }
+
       // Draw vertical lines for emphasized points (appears above lines, below points)
       if (showEmphasisVerticalLine && emphasizedPoints && emphasizedPoints.length > 0) {
         emphasizedPoints.forEach(emphPoint => {
@@ -1443,11 +1668,13 @@ const LineChart = ({ data, metricNames, styleSettings = {}, onLineClick, onPoint
         // For stacked areas, use the stacked data for label positioning
         const dataForLabels = (stackAreas && showAreaFill) ? stackedData : metricData;
         const lastPoint = dataForLabels[dataForLabels.length - 1];
-        const x = xScale(lastPoint.parsedDate);
+        // Forecasts move the label to the end of the projection
+        const lastForecast = forecasts[metric]?.points[forecasts[metric].points.length - 1];
+        const x = xScale(lastForecast ? lastForecast.parsedDate : lastPoint.parsedDate);
         // For stacked areas, position label at the top (y1) of the stacked segment
         const y = (stackAreas && showAreaFill)
           ? yScale(lastPoint[`${metric}_y1`])
-          : yScale(lastPoint[metric]);
+          : yScale(lastForecast ? lastForecast.value : lastPoint[metric]);
 
         // Prepare label text - metric name plus optional sum
         let labelText = metric;
@@ -1580,6 +1807,19 @@ const LineChart = ({ data, metricNames, styleSettings = {}, onLineClick, onPoint
       });
     }
 
+    // Annotations go on top of everything so callouts stay readable
+    renderAnnotations(chartGroup, annotations, {
+      getPosition: annotation => {
+        const date = annotation.x ? parseDateValue(String(annotation.x)) : null;
+        if (!date || isNaN(date.getTime()) || annotation.y === '' || annotation.y == null) return null;
+        return { x: xScale(date), y: yScale(Number(annotation.y)) };
+      },
+      onDrag: onAnnotationDrag,
+      fontFamily,
+      defaultColor: themeColors.titleColor,
+      backgroundColor,
+    });
+
     // Add watermark/attribution for free tier users
     if (settings.userTier !== 'pro') {
       const watermarkText = 'Made with Find&Tell | Charts for Data Stories™ | FindandTell.co';
@@ -1625,7 +1865,7 @@ const LineChart = ({ data, metricNames, styleSettings = {}, onLineClick, onPoint
           .on('mouseleave', null);
       }
     };
-  }, [processedData, metricNames, debouncedStyleSettings, onLineClick, onPointClick, onMetricClick, onLabelDrag]);
+  }, [processedData, metricNames, debouncedStyleSettings, onLineClick, onPointClick, onMetricClick, onLabelDrag, onAnnotationDrag]);
 
   return (
     <div className="line-chart-container">
@@ -0,0 +1,173 @@
+/**
+ * Tests for LineChart trend overlays
+ */
+
+import { describe, it, expect } from 'vitest';
+import { render, waitFor } from '@testing-library/react';
+import LineChart from './LineChart';
+import {
+  defaultData,
+  calculateLinearTrend,
+  getProjectedDates,
+  calculateForecast,
+} from './lineChartDefaults';
+
+describe('LineChart', () => {
+  describe('calculateLinearTrend', () => {
+    it('should recover an exact line', () => {
+      const trend = calculateLinearTrend([{ x: 0, y: 1 }, { x: 1, y: 3 }, { x: 2, y: 5 }]);
+      expect(trend.slope).toBeCloseTo(2);
+      expect(trend.intercept).toBeCloseTo(1);
+    });
+
+    it('should return null without two distinct x values', () => {
+      expect(calculateLinearTrend([{ x: 0, y: 1 }])).toBeNull();
+      expect(calculateLinearTrend([{ x: 3, y: 1 }, { x: 3, y: 2 }])).toBeNull();
+    });
+  });
+
+  describe('getProjectedDates', () => {
+    it('should step monthly series by calendar month', () => {
+      const dates = [new Date(2024, 10, 1), new Date(2024, 11, 1)];
+      const projected = getProjectedDates(dates, 3);
+
+      expect(projected.map(d => [d.getFullYear(), d.getMonth(), d.getDate()])).toEqual([
+        [2025, 0, 1],
+        [2025, 1, 1],
+        [2025, 2, 1],
+      ]);
+    });
+
+    it('should step other series by the median gap', () => {
+      const dates = [new Date(2024, 0, 1), new Date(2024, 0, 8), new Date(2024, 0, 15)];
+      const [next] = getProjectedDates(dates, 1);
+      expect(next.getTime()).toBe(new Date(2024, 0, 22).getTime());
+    });
+  });
+
+  describe('calculateForecast', () => {
+    it('should repeat the last value with a band that widens with the horizon', () => {
+      const forecast = calculateForecast([10, 12, 11, 13], { method: 'naive', periods: 3 });
+
+      expect(forecast.map(p => p.value)).toEqual([13, 13, 13]);
+      const widths = forecast.map(p => p.upper - p.lower);
+      expect(widths[0]).toBeGreaterThan(0);
+      expect(widths[1]).toBeGreaterThan(widths[0]);
+      expect(widths[2]).toBeGreaterThan(widths[1]);
+    });
+
+    it('should repeat the last season for seasonal forecasts', () => {
+      const values = [1, 5, 9, 2, 6, 10];
+      const forecast = calculateForecast(values, { method: 'seasonal', periods: 4, seasonLength: 3 });
+      expect(forecast.map(p => p.value)).toEqual([2, 6, 10, 2]);
+    });
+
+    it('should fall back to naive until the series covers more than one season', () => {
+      const forecast = calculateForecast([4, 7, 5], { method: 'seasonal', periods: 2, seasonLength: 12 });
+      expect(forecast.map(p => p.value)).toEqual([5, 5]);
+    });
+  });
+
+  describe('Trend overlays', () => {
+    const metrics = ['Revenue', 'Profit'];
+    const baseSettings = { axisMinimumAuto: true, axisMaximumAuto: true };
+
+    it('should draw no overlays by default', async () => {
+      const { container } = render(
+        <LineChart data={defaultData} metricNames={metrics} styleSettings={baseSettings} />
+      );
+
+      await waitFor(() => expect(container.querySelector('path.line-0')).not.toBeNull());
+      expect(container.querySelectorAll('.trendline, .moving-average, .forecast')).toHaveLength(0);
+    });
+
+    it('should draw each enabled overlay once per series', async () => {
+      const { container } = render(
+        <LineChart
+          data={defaultData}
+          metricNames={metrics}
+          styleSettings={{
+            ...baseSettings,
+            showTrendline: true,
+            showMovingAverage: true,
+            showForecast: true,
+            forecastPeriods: 4,
+          }}
+        />
+      );
+
+      await waitFor(() => expect(container.querySelectorAll('.forecast')).toHaveLength(2));
+      expect(container.querySelectorAll('.trendline')).toHaveLength(2);
+      expect(container.querySelectorAll('.moving-average')).toHaveLength(2);
+      expect(container.querySelectorAll('.forecast-band')).toHaveLength(2);
+      expect(container.querySelector('.forecast').getAttribute('d')).not.toContain('NaN');
+    });
+
+    it('should leave out the band when it is turned off', async () => {
+      const { container } = render(
+        <LineChart
+          data={defaultData}
+          metricNames={metrics}
+          styleSettings={{ ...baseSettings, showForecast: true, showForecastBand: false }}
+        />
+      );
+
+      await waitFor(() => expect(container.querySelectorAll('.forecast')).toHaveLength(2));
+      expect(container.querySelectorAll('.forecast-band')).toHaveLength(0);
+    });
+  });
+
+  describe('Reference lines', () => {
+    it('should shade a date range on the time axis and mark a value on the value axis', async () => {
+      const { container } = render(
+        <LineChart
+          data={defaultData}
+          metricNames={['Revenue']}
+          styleSettings={{
+            axisMinimumAuto: true,
+            axisMaximumAuto: true,
+            referenceLines: [
+              { type: 'band', axis: 'time', value: '2024-03', endValue: '2024-05', label: 'Promo' },
+              { type: 'line', value: 100000, label: 'Target' },
+            ],
+          }}
+        />
+      );
+
+      await waitFor(() => expect(container.querySelector('.reference-band')).not.toBeNull());
+      const band = container.querySelector('.reference-band');
+      expect(Number(band.getAttribute('x'))).toBeGreaterThan(0);
+      expect(Number(band.getAttribute('width'))).toBeGreaterThan(0);
+
+      // The target sits above every point, so the value axis grows to fit it
+      const line = container.querySelector('.reference-line');
+      expect(line.getAttribute('y1')).toBe(line.getAttribute('y2'));
+      expect(Number(line.getAttribute('y1'))).toBeGreaterThanOrEqual(0);
+      expect(Array.from(container.querySelectorAll('.reference-label')).map(t => t.textContent)).toEqual(['Target', 'Promo']);
+    });
+  });
+
+  describe('Annotations', () => {
+    it('should anchor callouts to a date and value', async () => {
+      const { container } = render(
+        <LineChart
+          data={defaultData}
+          metricNames={['Revenue']}
+          styleSettings={{
+            axisMinimumAuto: true,
+            axisMaximumAuto: true,
+            annotations: [
+              { type: 'arrow', x: '2024-06', y: 67000, text: 'Summer promo', dx: 0, dy: -40 },
+              { type: 'text', x: 'not a date', y: 67000, text: 'Skipped' },
+            ],
+          }}
+        />
+      );
+
+      await waitFor(() => expect(container.querySelector('.annotation')).not.toBeNull());
+      expect(container.querySelectorAll('.annotation')).toHaveLength(1);
+      expect(container.querySelector('.annotation-text').textContent).toBe('Summer promo');
+      expect(container.querySelector('.annotation-text').getAttribute('font-family')).toBe('Inter');
+    });
+  });
+});
@@ -2,6 +2,8 @@
  * Default data and settings for Line Chart
  */
 
+import * as d3 from 'd3';
+
 /**
  * Default sample data - Monthly revenue trend
  */
@@ -75,6 +77,11 @@ export const defaultStyleSettings = {
   areaOpacity: 0.2,
   areaGradient: false, // Gradient from line color to transparent
 
+  // Error bands
+  showErrorBars: false, // Shade each metric's lower-upper range behind its line
+  errorBars: {}, // Map of metric to { lower, upper } or { margin } bound columns, from resolveErrorBars
+  errorBandOpacity: 0.15,
+
   // Emphasis/Selection
   emphasizedLines: [], // Array of metric names to emphasize
   emphasizedLineThickness: 4,
@@ -118,11 +125,21 @@ export const defaultStyleSettings = {
   legendPosition: 'top', // 'top', 'bottom', 'left', 'right'
   legendFontSize: 12,
 
-  // Baselines and references
-  baselines: [], // Array of { value, label, color, style }
+  // Reference lines and bands
+  referenceLines: [], // Array of { type, axis, value, endValue, label, color, style }, see resolveReferences
+
+  // Annotations
+  annotations: [], // Array of { type, x, y, text, dx, dy, color, radius }, see renderAnnotations
+
+  // Trends and forecast - drawn per series in the series color, skipped on stacked areas
+  showTrendline: false, // Least-squares line through each series
   showMovingAverage: false,
   movingAveragePeriod: 3,
-  movingAverageColor: '#6b7280',
+  showForecast: false, // Dashed projection past the last date
+  forecastMethod: 'naive', // 'naive' (repeat the last value) or 'seasonal' (repeat the value one season earlier)
+  forecastPeriods: 6,
+  forecastSeasonLength: 12, // Periods per season, e.g. 12 for monthly data with a yearly cycle
+  showForecastBand: true, // 95% prediction interval around the projection
 
   // Percent change brackets
   showPercentChangeBrackets: false,
@@ -225,6 +242,76 @@ export const calculateMovingAverage = (data, metricName, period) => {
   return result;
 };
 
+/**
+ * Fit a least-squares line through a series
+ * @param {Array} points - [{ x, y }] with numeric x, e.g. timestamps
+ * @returns {Object|null} { slope, intercept }, or null without two distinct x values
+ */
+export const calculateLinearTrend = (points) => {
+  if (!points || points.length < 2) return null;
+
+  const meanX = d3.mean(points, p => p.x);
+  const meanY = d3.mean(points, p => p.y);
+  const sxx = d3.sum(points, p => (p.x - meanX) ** 2);
+  if (sxx === 0) return null;
+
+  const slope = d3.sum(points, p => (p.x - meanX) * (p.y - meanY)) / sxx;
+  return { slope, intercept: meanY - slope * meanX };
+};
+
+/**
+ * Continue a series of dates at its own spacing
+ * Series on the same day of each month (monthly, quarterly, yearly) step by calendar months so
+ * projections stay on that day; anything else steps by the median gap between dates
+ * @param {Array} dates - Date objects in order
+ * @param {number} count - Number of dates to add
+ * @returns {Array} Date objects after the last date
+ */
+export const getProjectedDates = (dates, count) => {
+  if (!dates || dates.length < 2 || count < 1) return [];
+
+  const last = dates[dates.length - 1];
+  const previous = dates[dates.length - 2];
+  const monthGap = (last.getFullYear() - previous.getFullYear()) * 12 + last.getMonth() - previous.getMonth();
+  if (monthGap > 0 && last.getDate() === previous.getDate()) {
+    return d3.range(1, count + 1).map(i => d3.timeMonth.offset(last, monthGap * i));
+  }
+
+  const step = d3.median(dates.slice(1), (date, i) => date - dates[i]);
+  if (!(step > 0)) return [];
+  return d3.range(1, count + 1).map(i => new Date(last.getTime() + step * i));
+};
+
+// z-score of the 95% prediction interval
+const FORECAST_INTERVAL_Z = 1.96;
+
+/**
+ * Naive or seasonal naive forecast with a 95% prediction interval
+ * Naive repeats the last value; seasonal repeats the value one season earlier, falling back to
+ * naive until the series covers more than one season. The interval comes from the spread of the
+ * series' own one-step (or one-season) changes and widens with the horizon.
+ *
+ * @param {Array} values - Series values in date order
+ * @param {Object} options - { method, periods, seasonLength }
+ * @returns {Array} [{ value, lower, upper }] per projected period
+ */
+export const calculateForecast = (values, { method = 'naive', periods = 6, seasonLength = 12 } = {}) => {
+  if (!values || values.length === 0 || periods < 1) return [];
+
+  const n = values.length;
+  const lag = method === 'seasonal' && seasonLength > 1 && n > seasonLength ? seasonLength : 1;
+  const changes = values.slice(lag).map((value, i) => value - values[i]);
+  const sigma = changes.length > 0 ? Math.sqrt(d3.mean(changes, change => change * change)) : 0;
+
+  return d3.range(1, periods + 1).map(h => {
+    // Whole seasons (or steps, for naive) between the last observation and this period
+    const seasonsAhead = Math.floor((h - 1) / lag);
+    const value = lag === 1 ? values[n - 1] : values[n - lag + ((h - 1) % lag)];
+    const margin = FORECAST_INTERVAL_Z * sigma * Math.sqrt(lag === 1 ? h : seasonsAhead + 1);
+    return { value, lower: value - margin, upper: value + margin };
+  });
+};
+
 /**
  * Parse date based on time scale
  */
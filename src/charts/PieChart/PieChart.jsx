@@ -0,0 +1,408 @@
+import React, { useRef, useEffect } from 'react';
+import * as d3 from 'd3';
+import { getPaletteColors } from '../../shared/design-system/colorPalettes';
+import { getContrastTextColor, desaturateColor } from '../../shared/utils/colorUtils';
+import { formatValueLabel, formatPercentage } from '../../shared/utils/dataFormatters';
+import {
+  WATERMARK_MARGIN_HEIGHT,
+  getThemeColors,
+  estimateTextWidth,
+  renderChartHeader,
+  renderWatermark,
+} from '../../shared/utils/chartDecorations';
+import { buildPieSlices, defaultStyleSettings } from './pieChartDefaults';
+import { debug } from '../../shared/utils/debug';
+
+/**
+ * PieChart Component
+ *
+ * Shows each category's share of a total as a pie or donut
+ *
+ * Features:
+ * - Pie and donut modes (with optional total in the donut hole)
+ * - Direct labels inside or outside the slices, with leader lines
+ * - Percentage, value, or combined label formats
+ * - Small slices grouped into a single "Other" slice below a threshold
+ * - Slice emphasis via clicks
+ *
+ * Data format: { Category: "East", "Revenue": 41427, ... } - the first column in periodNames is plotted
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.data - Chart data
+ * @param {Array} props.periodNames - Period/column names
+ * @param {Object} props.styleSettings - Style settings object
+ * @param {Function} props.onSliceClick - Optional callback when a slice is clicked (slice, sliceId)
+ */
+const PieChart = ({ data, periodNames, styleSettings = {}, onSliceClick }) => {
+  const svgRef = useRef(null);
+
+  /**
+   * Main chart rendering effect
+   */
+  useEffect(() => {
+    if (!data || data.length === 0 || !svgRef.current) return;
+
+    // Clear previous render
+    d3.select(svgRef.current).selectAll('*').remove();
+
+    // Merge provided settings with defaults
+    const settings = { ...defaultStyleSettings, ...styleSettings };
+
+    const {
+      width,
+      height,
+      marginTop,
+      marginRight,
+      marginBottom,
+      marginLeft,
+      donutMode,
+      donutThickness,
+      showDonutTotal,
+      startAngle,
+      sortSlices,
+      otherThreshold,
+      otherLabel,
+      otherColor,
+      comparisonPalette,
+      userCustomColors,
+      sliceBorderWidth,
+      showLabels,
+      labelPosition,
+      labelFormat,
+      showCategoryLabels,
+      valuePrefix,
+      valueSuffix,
+      valueDecimalPlaces,
+      compactNumbers,
+      categoryFont,
+      categoryFontSize,
+      categoryWeight,
+      valueFont,
+      valueFontSize,
+      valueWeight,
+      emphasizedSlices,
+      emphasisOffset,
+      backgroundColor,
+      darkMode,
+    } = settings;
+
+    const themeColors = getThemeColors(darkMode);
+
+    // Plot the first visible column
+    const valueColumn = periodNames?.[0];
+    if (!valueColumn) {
+      debug.warn('PieChart', 'No value column available to plot');
+      return;
+    }
+
+    const slices = buildPieSlices(data, valueColumn, { otherThreshold, otherLabel, sortSlices });
+    if (slices.length === 0) {
+      debug.warn('PieChart', `No positive values found in column "${valueColumn}"`);
+      return;
+    }
+
+    const total = d3.sum(slices, d => d.value);
+    const palette = getPaletteColors(comparisonPalette, userCustomColors);
+    const hasEmphasis = emphasizedSlices && emphasizedSlices.length > 0;
+
+    const getSliceColor = (slice) => {
+      const color = slice.isOther ? otherColor : palette[slice.colorIndex % palette.length];
+      const isEmphasized = hasEmphasis && emphasizedSlices.includes(slice.id);
+      return hasEmphasis && !isEmphasized ? desaturateColor(color) : color;
+    };
+
+    /**
+     * Format the value part of a slice label according to labelFormat
+     */
+    const formatSliceValue = (slice) => {
+      const percentText = formatPercentage(slice.percentage, slice.percentage < 1 ? 1 : 0);
+      const valueText = formatValueLabel(slice.value, {
+        prefix: valuePrefix,
+        suffix: valueSuffix,
+        decimalPlaces: valueDecimalPlaces,
+        compact: compactNumbers,
+      });
+
+      if (labelFormat === 'value') return valueText;
+      if (labelFormat === 'both') return `${valueText} (${percentText})`;
+      return percentText;
+    };
+
+    // Add extra canvas height for watermark margin area if user is on free tier
+    const watermarkMarginHeight = settings.userTier !== 'pro' ? WATERMARK_MARGIN_HEIGHT : 0;
+
+    const svg = d3
+      .select(svgRef.current)
+      .attr('width', width)
+      .attr('height', height + watermarkMarginHeight)
+      .style('background-color', backgroundColor);
+
+    const headerHeight = renderChartHeader(svg, {
+      title: settings.title,
+      subtitle: settings.subtitle,
+      titleFontSize: settings.titleFontSize,
+      subtitleFontSize: settings.subtitleFontSize,
+      titleAlignment: settings.titleAlignment,
+      fontFamily: settings.fontFamily,
+      width,
+      marginLeft,
+      darkMode,
+    });
+
+    const labelsVisible = showLabels && labelPosition !== 'none';
+    const outsideLabels = labelsVisible && labelPosition === 'outside';
+
+    // Reserve horizontal room for outside labels so they don't run off the canvas
+    const maxLabelWidth = outsideLabels
+      ? d3.max(slices, slice => Math.max(
+        showCategoryLabels ? estimateTextWidth(slice.label, categoryFontSize, categoryWeight) : 0,
+        estimateTextWidth(formatSliceValue(slice), valueFontSize, valueWeight)
+      ))
+      : 0;
+    const labelRoom = outsideLabels ? maxLabelWidth + 40 : 0;
+
+    const plotTop = marginTop + headerHeight;
+    const plotWidth = width - marginLeft - marginRight;
+    const plotHeight = height - plotTop - marginBottom;
+    const verticalLabelRoom = outsideLabels ? categoryFontSize + valueFontSize : 0;
+
+    const radius = Math.max(
+      30,
+      Math.min((plotWidth - labelRoom * 2) / 2, plotHeight / 2 - verticalLabelRoom)
+    );
+    const innerRadius = donutMode ? radius * (1 - donutThickness / 100) : 0;
+
+    const centerX = marginLeft + plotWidth / 2;
+    const centerY = plotTop + plotHeight / 2;
+
+    const chartGroup = svg
+      .append('g')
+      .attr('class', 'pie-chart')
+      .attr('transform', `translate(${centerX},${centerY})`);
+
+    const startRadians = (startAngle * Math.PI) / 180;
+    const pie = d3.pie()
+      .value(d => d.value)
+      .sort(null)
+      .startAngle(startRadians)
+      .endAngle(startRadians + Math.PI * 2);
+
+    const arcs = pie(slices);
+
+    const arc = d3.arc()
+      .innerRadius(innerRadius)
+      .outerRadius(radius);
+
+    // Offset emphasized slices outward along their bisector
+    const getSliceOffset = (d) => {
+      if (!hasEmphasis || !emphasizedSlices.includes(d.data.id)) return [0, 0];
+      const midAngle = (d.startAngle + d.endAngle) / 2;
+      return [Math.sin(midAngle) * emphasisOffset, -Math.cos(midAngle) * emphasisOffset];
+    };
+
+    // Draw slices
+    chartGroup
+      .selectAll('.pie-slice')
+      .data(arcs)
+      .enter()
+      .append('path')
+      .attr('class', 'pie-slice')
+      .attr('d', arc)
+      .attr('transform', d => `translate(${getSliceOffset(d).join(',')})`)
+      .attr('fill', d => getSliceColor(d.data))
+      .attr('stroke', backgroundColor)
+      .attr('stroke-width', sliceBorderWidth)
+      .style('cursor', onSliceClick ? 'pointer' : 'default')
+      .on('click', (event, d) => {
+        if (onSliceClick) onSliceClick(d.data, d.data.id);
+      })
+      .append('title')
+      .text(d => {
+        const members = d.data.isOther ? `\n${d.data.members.join(', ')}` : '';
+        return `${d.data.label}: ${formatSliceValue(d.data)}${members}`;
+      });
+
+    // Donut center total
+    if (donutMode && showDonutTotal && innerRadius > 30) {
+      chartGroup
+        .append('text')
+        .attr('class', 'donut-total')
+        .attr('text-anchor', 'middle')
+        .attr('dy', '0.1em')
+        .attr('font-family', valueFont)
+        .attr('font-size', Math.min(innerRadius / 2.5, valueFontSize * 2) + 'px')
+        .attr('font-weight', 700)
+        .attr('fill', themeColors.titleColor)
+        .text(formatValueLabel(total, {
+          prefix: valuePrefix,
+          suffix: valueSuffix,
+          decimalPlaces: valueDecimalPlaces,
+          compact: compactNumbers,
+        }));
+
+      chartGroup
+        .append('text')
+        .attr('class', 'donut-total-label')
+        .attr('text-anchor', 'middle')
+        .attr('dy', '1.6em')
+        .attr('font-family', categoryFont)
+        .attr('font-size', categoryFontSize * 0.8 + 'px')
+        .attr('fill', themeColors.mutedLabelColor)
+        .text('Total');
+    }
+
+    if (labelsVisible) {
+      const isEmphasizedSlice = (d) => hasEmphasis && emphasizedSlices.includes(d.data.id);
+
+      if (labelPosition === 'inside') {
+        // Inside labels sit at the middle of each slice (middle of the ring for donuts)
+        const labelRadius = donutMode ? (innerRadius + radius) / 2 : radius * 0.62;
+        const labelArc = d3.arc().innerRadius(labelRadius).outerRadius(labelRadius);
+
+        arcs.forEach(d => {
+          const valueText = formatSliceValue(d.data);
+          const categoryText = showCategoryLabels ? d.data.label : '';
+          const textWidth = Math.max(
+            estimateTextWidth(categoryText, categoryFontSize, categoryWeight),
+            estimateTextWidth(valueText, valueFontSize, valueWeight)
+          );
+
+          // Auto-hide labels that don't fit inside the slice
+          const angle = d.endAngle - d.startAngle;
+          const availableWidth = 2 * labelRadius * Math.sin(Math.min(angle, Math.PI) / 2);
+          if (textWidth > availableWidth * 0.95 || angle < 0.3) return;
+
+          const [x, y] = labelArc.centroid(d);
+          const [offsetX, offsetY] = getSliceOffset(d);
+          const textColor = getContrastTextColor(getSliceColor(d.data));
+          const fontWeightBoost = isEmphasizedSlice(d) ? 700 : null;
+
+          const label = chartGroup
+            .append('text')
+            .attr('class', 'pie-label')
+            .attr('x', x + offsetX)
+            .attr('y', y + offsetY)
+            .attr('text-anchor', 'middle')
+            .style('pointer-events', 'none');
+
+          if (categoryText) {
+            label.append('tspan')
+              .attr('x', x + offsetX)
+              .attr('dy', '-0.2em')
+              .attr('font-family', categoryFont)
+              .attr('font-size', categoryFontSize + 'px')
+              .attr('font-weight', fontWeightBoost || categoryWeight)
+              .attr('fill', textColor)
+              .text(categoryText);
+          }
+
+          label.append('tspan')
+            .attr('x', x + offsetX)
+            .attr('dy', categoryText ? '1.2em' : '0.35em')
+            .attr('font-family', valueFont)
+            .attr('font-size', valueFontSize + 'px')
+            .attr('font-weight', fontWeightBoost || valueWeight)
+            .attr('fill', textColor)
+            .text(valueText);
+        });
+      } else {
+        // Outside labels with leader lines, stacked per side to avoid overlaps
+        const lineHeight = (showCategoryLabels ? categoryFontSize : 0) + valueFontSize + 6;
+        const elbowArc = d3.arc().innerRadius(radius * 1.08).outerRadius(radius * 1.08);
+        const labelX = radius + 24;
+
+        const labels = arcs.map(d => {
+          const midAngle = (d.startAngle + d.endAngle) / 2;
+          const normalized = ((midAngle % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2);
+          const side = normalized < Math.PI ? 1 : -1;
+          const [elbowX, elbowY] = elbowArc.centroid(d);
+          return { d, side, elbowX, elbowY, y: elbowY };
+        });
+
+        // Push overlapping labels apart on each side
+        [1, -1].forEach(side => {
+          const sideLabels = labels.filter(l => l.side === side).sort((a, b) => a.y - b.y);
+          for (let i = 1; i < sideLabels.length; i++) {
+            const minY = sideLabels[i - 1].y + lineHeight;
+            if (sideLabels[i].y < minY) sideLabels[i].y = minY;
+          }
+          // If the stack ran past the bottom, shift it back up
+          const maxY = plotHeight / 2 + verticalLabelRoom;
+          const overflow = sideLabels.length > 0 ? sideLabels[sideLabels.length - 1].y - maxY : 0;
+          if (overflow > 0) {
+            sideLabels.forEach(l => { l.y -= overflow; });
+            for (let i = sideLabels.length - 2; i >= 0; i--) {
+              const maxAllowed = sideLabels[i + 1].y - lineHeight;
+              if (sideLabels[i].y > maxAllowed) sideLabels[i].y = maxAllowed;
+            }
+          }
+        });
+
+        labels.forEach(({ d, side, elbowX, elbowY, y }) => {
+          const [offsetX, offsetY] = getSliceOffset(d);
+          const [startX, startY] = arc.centroid(d);
+          const edgeRatio = radius / Math.max(1, Math.hypot(startX, startY));
+          const edgeX = startX * edgeRatio + offsetX;
+          const edgeY = startY * edgeRatio + offsetY;
+          const textX = side * labelX;
+          const emphasized = isEmphasizedSlice(d);
+
+          chartGroup
+            .append('polyline')
+            .attr('class', 'pie-leader-line')
+            .attr('points', [[edgeX, edgeY], [elbowX + offsetX, elbowY + offsetY], [textX - side * 4, y]].map(p => p.join(',')).join(' '))
+            .attr('fill', 'none')
+            .attr('stroke', themeColors.mutedLabelColor)
+            .attr('stroke-width', 1);
+
+          const label = chartGroup
+            .append('text')
+            .attr('class', 'pie-label')
+            .attr('x', textX)
+            .attr('y', y)
+            .attr('text-anchor', side === 1 ? 'start' : 'end')
+            .style('cursor', onSliceClick ? 'pointer' : 'default')
+            .on('click', () => {
+              if (onSliceClick) onSliceClick(d.data, d.data.id);
+            });
+
+          if (showCategoryLabels) {
+            label.append('tspan')
+              .attr('x', textX)
+              .attr('dy', '-0.15em')
+              .attr('font-family', categoryFont)
+              .attr('font-size', categoryFontSize + 'px')
+              .attr('font-weight', emphasized ? 700 : categoryWeight)
+              .attr('fill', themeColors.labelColor)
+              .text(d.data.label);
+          }
+
+          label.append('tspan')
+            .attr('x', textX)
+            .attr('dy', showCategoryLabels ? '1.2em' : '0.35em')
+            .attr('font-family', valueFont)
+            .attr('font-size', valueFontSize + 'px')
+            .attr('font-weight', emphasized ? 700 : valueWeight)
+            .attr('fill', emphasized ? themeColors.emphasisColor : themeColors.mutedLabelColor)
+            .text(formatSliceValue(d.data));
+        });
+      }
+    }
+
+    renderWatermark(svg, {
+      userTier: settings.userTier,
+      width,
+      chartBottom: height,
+      fontFamily: settings.fontFamily,
+      darkMode,
+    });
+  }, [data, periodNames, styleSettings, onSliceClick]);
+
+  return (
+    <div className="pie-chart-container">
+      <svg ref={svgRef}></svg>
+    </div>
+  );
+};
+
+export default React.memo(PieChart);
@@ -0,0 +1,110 @@
+/**
+ * Tests for PieChart Component
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, fireEvent } from '@testing-library/react';
+import PieChart from './PieChart';
+import { buildPieSlices } from './pieChartDefaults';
+
+describe('PieChart', () => {
+  const mockData = [
+    { Category: 'Direct', Revenue: 500 },
+    { Category: 'Email', Revenue: 300 },
+    { Category: 'Social', Revenue: 150 },
+    { Category: 'Referral', Revenue: 30 },
+    { Category: 'Display', Revenue: 20 },
+  ];
+
+  const mockPeriodNames = ['Revenue'];
+
+  describe('buildPieSlices', () => {
+    it('should sort slices largest first and calculate percentages', () => {
+      const slices = buildPieSlices(mockData, 'Revenue');
+
+      expect(slices.map(s => s.label)).toEqual(['Direct', 'Email', 'Social', 'Referral', 'Display']);
+      expect(slices[0].percentage).toBe(50);
+      expect(slices.reduce((sum, s) => sum + s.percentage, 0)).toBeCloseTo(100);
+    });
+
+    it('should keep data order when sorting is off', () => {
+      const data = [{ Category: 'A', V: 1 }, { Category: 'B', V: 5 }];
+      const slices = buildPieSlices(data, 'V', { sortSlices: false });
+
+      expect(slices.map(s => s.label)).toEqual(['A', 'B']);
+    });
+
+    it('should group slices below the threshold into Other', () => {
+      const slices = buildPieSlices(mockData, 'Revenue', { otherThreshold: 5 });
+      const other = slices[slices.length - 1];
+
+      expect(slices).toHaveLength(4);
+      expect(other.isOther).toBe(true);
+      expect(other.value).toBe(50);
+      expect(other.members).toEqual(['Referral', 'Display']);
+    });
+
+    it('should not group a single small slice', () => {
+      const slices = buildPieSlices(mockData, 'Revenue', { otherThreshold: 2.5 });
+
+      expect(slices.some(s => s.isOther)).toBe(false);
+      expect(slices).toHaveLength(5);
+    });
+
+    it('should skip zero, negative and non-numeric values', () => {
+      const data = [
+        { Category: 'A', V: 10 },
+        { Category: 'B', V: 0 },
+        { Category: 'C', V: -5 },
+        { Category: 'D', V: 'n/a' },
+      ];
+
+      expect(buildPieSlices(data, 'V')).toHaveLength(1);
+    });
+
+    it('should return an empty array for missing data', () => {
+      expect(buildPieSlices([], 'V')).toEqual([]);
+      expect(buildPieSlices(mockData, undefined)).toEqual([]);
+    });
+  });
+
+  describe('Rendering', () => {
+    it('should render one slice per category', () => {
+      const { container } = render(
+        <PieChart data={mockData} periodNames={mockPeriodNames} />
+      );
+
+      expect(container.querySelectorAll('svg')).toHaveLength(1);
+      expect(container.querySelectorAll('.pie-slice')).toHaveLength(5);
+    });
+
+    it('should show the total in donut mode', () => {
+      const { container } = render(
+        <PieChart
+          data={mockData}
+          periodNames={mockPeriodNames}
+          styleSettings={{ donutMode: true, valuePrefix: '$' }}
+        />
+      );
+
+      expect(container.querySelector('.donut-total').textContent).toBe('$1,000');
+    });
+
+    it('should call onSliceClick with the slice id', () => {
+      const handleClick = vi.fn();
+      const { container } = render(
+        <PieChart data={mockData} periodNames={mockPeriodNames} onSliceClick={handleClick} />
+      );
+
+      fireEvent.click(container.querySelector('.pie-slice'));
+
+      expect(handleClick).toHaveBeenCalledWith(expect.objectContaining({ label: 'Direct' }), 'Direct');
+    });
+
+    it('should render nothing without a value column', () => {
+      const { container } = render(<PieChart data={mockData} periodNames={[]} />);
+
+      expect(container.querySelectorAll('.pie-slice')).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Default data and settings for Pie Chart
+ */
+
+/**
+ * Default sample data
+ */
+export const defaultData = [
+  { Category: 'Direct', Revenue: 42000 },
+  { Category: 'Organic Search', Revenue: 31000 },
+  { Category: 'Paid Search', Revenue: 18500 },
+  { Category: 'Email', Revenue: 9200 },
+  { Category: 'Social', Revenue: 2100 },
+  { Category: 'Referral', Revenue: 1400 },
+];
+
+/**
+ * Default period names (the first visible column is plotted)
+ */
+export const defaultPeriodNames = ['Revenue'];
+
+/**
+ * Default style settings for Pie Chart
+ */
+export const defaultStyleSettings = {
+  // Title and Subtitle
+  title: '',
+  subtitle: '',
+  fontFamily: 'Inter',
+  titleFontSize: 28,
+  subtitleFontSize: 20,
+  titleAlignment: 'left',
+
+  // Chart mode
+  donutMode: false, // true = donut, false = pie
+  donutThickness: 40, // Ring thickness as % of radius (donut mode only)
+  showDonutTotal: true, // Show total value in the donut hole
+  startAngle: 0, // Rotation of the first slice in degrees (0 = 12 o'clock)
+  sortSlices: true, // Sort slices largest to smallest
+
+  // Small slice grouping
+  otherThreshold: 0, // Slices below this % of the total are combined into "Other" (0 = off)
+  otherLabel: 'Other',
+  otherColor: '#9ca3af',
+
+  // Colors
+  comparisonPalette: 'observable10',
+  userCustomColors: [],
+  sliceBorderWidth: 2,
+
+  // Labels
+  showLabels: true,
+  labelPosition: 'outside', // 'outside', 'inside', or 'none'
+  labelFormat: 'percentage', // 'percentage', 'value', or 'both'
+  showCategoryLabels: true,
+  valuePrefix: '',
+  valueSuffix: '',
+  valueDecimalPlaces: 0,
+  compactNumbers: false,
+
+  // Typography
+  categoryFont: 'Inter',
+  categoryFontSize: 16,
+  categoryWeight: 500,
+  valueFont: 'Inter',
+  valueFontSize: 14,
+  valueWeight: 600,
+
+  // Emphasis
+  emphasizedSlices: [], // Slice ids (category names) to emphasize
+  emphasisOffset: 10, // How far emphasized slices are pulled out (px)
+
+  // Layout
+  width: 700,
+  height: 560,
+  marginTop: 40,
+  marginRight: 40,
+  marginBottom: 30,
+  marginLeft: 40,
+
+  // Theme
+  backgroundColor: '#ffffff',
+  darkMode: false,
+};
+
+/**
+ * Get the display label for a data row
+ * Bar-style rows use Category, funnel/slope-style rows use Stage
+ */
+export const getSliceLabel = (row) => {
+  const label = row.Category ?? row.Stage ?? row.category;
+  return label != null ? String(label) : '';
+};
+
+/**
+ * Build pie slices from chart rows
+ * Non-positive values are skipped (they cannot be drawn as a slice).
+ * Slices smaller than otherThreshold (% of total) are combined into a single
+ * "Other" slice when at least two slices qualify.
+ *
+ * @param {Array} data - Chart rows ({ Category: 'East', Revenue: 120, ... })
+ * @param {string} valueColumn - Column to plot
+ * @param {Object} options - { otherThreshold, otherLabel, sortSlices }
+ * @returns {Array} Slices: { id, label, value, percentage, colorIndex, isOther, members }
+ */
+export const buildPieSlices = (data, valueColumn, {
+  otherThreshold = 0,
+  otherLabel = 'Other',
+  sortSlices = true,
+} = {}) => {
+  if (!data || data.length === 0 || !valueColumn) return [];
+
+  const slices = data
+    .map((row, index) => ({
+      id: getSliceLabel(row),
+      label: getSliceLabel(row),
+      value: Number(row[valueColumn]) || 0,
+      colorIndex: index,
+      isOther: false,
+      members: [],
+    }))
+    .filter(slice => slice.value > 0);
+
+  const total = slices.reduce((sum, slice) => sum + slice.value, 0);
+  if (total === 0) return [];
+
+  let result = slices;
+
+  if (otherThreshold > 0) {
+    const small = slices.filter(slice => (slice.value / total) * 100 < otherThreshold);
+
+    if (small.length >= 2) {
+      const otherValue = small.reduce((sum, slice) => sum + slice.value, 0);
+      result = [
+        ...slices.filter(slice => !small.includes(slice)),
+        {
+          id: otherLabel,
+          label: otherLabel,
+          value: otherValue,
+          colorIndex: -1,
+          isOther: true,
+          members: small.map(slice => slice.label),
+        },
+      ];
+    }
+  }
+
+  if (sortSlices) {
+    // Keep "Other" last regardless of its size
+    result = [...result].sort((a, b) => {
+      if (a.isOther !== b.isOther) return a.isOther ? 1 : -1;
+      return b.value - a.value;
+    });
+  }
+
+  return result.map(slice => ({
+    ...slice,
+    percentage: (slice.value / total) * 100,
+  }));
+};
@@ -0,0 +1,323 @@
+import React, { useRef, useEffect } from 'react';
+import * as d3 from 'd3';
+import { getPaletteColors } from '../../shared/design-system/colorPalettes';
+import { formatValueLabel } from '../../shared/utils/dataFormatters';
+import {
+  WATERMARK_MARGIN_HEIGHT,
+  getThemeColors,
+  estimateTextWidth,
+  renderChartHeader,
+  renderWatermark,
+} from '../../shared/utils/chartDecorations';
+import { defaultStyleSettings, MIN_AXES, getRadarDomains } from './radarChartDefaults';
+import { debug } from '../../shared/utils/debug';
+
+// Space between the outer ring and the axis labels
+const LABEL_GAP = 12;
+
+// Smallest radius worth drawing - below this the labels have taken all the room
+const MIN_RADIUS = 40;
+
+/**
+ * RadarChart Component
+ *
+ * Spider chart for multi-attribute profiles: each row is an axis radiating from the
+ * center, each column is a polygon joining its values on every axis
+ *
+ * Features:
+ * - Shared scale, or per-axis scaling for attributes measured in different units
+ * - Overlaid profiles for comparison, filled at the area opacity
+ * - Polygon or circular grid with ring values
+ *
+ * Data format: { Category: "Ease of Use", Before: 65, After: 82 }
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.data - Chart data
+ * @param {Array} props.periodNames - Columns to overlay, one polygon each
+ * @param {Object} props.styleSettings - Style settings object
+ */
+const RadarChart = ({ data, periodNames, styleSettings = {} }) => {
+  const svgRef = useRef(null);
+
+  /**
+   * Main chart rendering effect
+   */
+  useEffect(() => {
+    if (!data || data.length === 0 || !svgRef.current) return;
+
+    // Clear previous render
+    d3.select(svgRef.current).selectAll('*').remove();
+
+    // Merge provided settings with defaults
+    const settings = { ...defaultStyleSettings, ...styleSettings };
+
+    const {
+      width,
+      height,
+      marginTop,
+      marginRight,
+      marginBottom,
+      marginLeft,
+      scaleMode,
+      gridLevels,
+      gridShape,
+      showGridLabels,
+      comparisonPalette,
+      userCustomColors,
+      lineThickness,
+      areaOpacity,
+      showPoints,
+      pointSize,
+      showLegend,
+      valuePrefix,
+      valueSuffix,
+      valueDecimalPlaces,
+      compactNumbers,
+      fontFamily,
+      axisLabelFontSize,
+      gridLabelFontSize,
+      legendFontSize,
+      backgroundColor,
+      darkMode,
+    } = settings;
+
+    const themeColors = getThemeColors(darkMode);
+
+    if (data.length < MIN_AXES) {
+      debug.warn('RadarChart', `Radar charts need at least ${MIN_AXES} rows, one per axis`);
+      return;
+    }
+
+    // Columns without a single number can't be drawn
+    const series = (periodNames || []).filter(column =>
+      data.some(row => row[column] !== '' && row[column] !== null && !isNaN(Number(row[column])))
+    );
+    if (series.length === 0) {
+      debug.warn('RadarChart', 'No numeric columns to plot');
+      return;
+    }
+
+    const axes = data.map(row => String(row.Category ?? ''));
+    const domains = getRadarDomains(data, series, { scaleMode, gridLevels });
+    const palette = getPaletteColors(comparisonPalette, userCustomColors);
+
+    const formatValue = (value) => formatValueLabel(value, {
+      prefix: valuePrefix,
+      suffix: valueSuffix,
+      decimalPlaces: valueDecimalPlaces,
+      compact: compactNumbers,
+    });
+
+    // Add extra canvas height for watermark margin area if user is on free tier
+    const watermarkMarginHeight = settings.userTier !== 'pro' ? WATERMARK_MARGIN_HEIGHT : 0;
+
+    const svg = d3
+      .select(svgRef.current)
+      .attr('width', width)
+      .attr('height', height + watermarkMarginHeight)
+      .style('background-color', backgroundColor);
+
+    const headerHeight = renderChartHeader(svg, {
+      title: settings.title,
+      subtitle: settings.subtitle,
+      titleFontSize: settings.titleFontSize,
+      subtitleFontSize: settings.subtitleFontSize,
+      titleAlignment: settings.titleAlignment,
+      fontFamily,
+      width,
+      marginLeft,
+      darkMode,
+    });
+
+    // Per-axis scales show each axis's range under its label instead of ring values
+    const showAxisRanges = showGridLabels && scaleMode === 'per-axis';
+    const legendHeight = showLegend && series.length > 1 ? legendFontSize + 20 : 0;
+    const labelHeight = axisLabelFontSize * 1.2 + (showAxisRanges ? gridLabelFontSize * 1.2 : 0);
+    const labelWidth = d3.max(axes, (axis, i) => Math.max(
+      estimateTextWidth(axis, axisLabelFontSize, 600),
+      showAxisRanges ? estimateTextWidth(`${formatValue(domains[i][0])}–${formatValue(domains[i][1])}`, gridLabelFontSize) : 0
+    ));
+
+    const plotTop = marginTop + headerHeight + legendHeight;
+    const plotWidth = width - marginLeft - marginRight;
+    const plotHeight = height - marginBottom - plotTop;
+    const centerX = marginLeft + plotWidth / 2;
+    const centerY = plotTop + plotHeight / 2;
+    const radius = Math.max(MIN_RADIUS, Math.min(
+      plotWidth / 2 - labelWidth - LABEL_GAP,
+      plotHeight / 2 - labelHeight - LABEL_GAP
+    ));
+
+    // First axis points straight up, the rest follow clockwise
+    const getAngle = (index) => -Math.PI / 2 + (2 * Math.PI * index) / axes.length;
+    const getPoint = (index, distance) => [
+      centerX + distance * Math.cos(getAngle(index)),
+      centerY + distance * Math.sin(getAngle(index)),
+    ];
+    const scales = domains.map(domain => d3.scaleLinear().domain(domain).range([0, radius]).clamp(true));
+
+    const chartGroup = svg.append('g').attr('class', 'radar-chart');
+
+    // Grid rings and spokes
+    const grid = chartGroup.append('g').attr('class', 'radar-grid');
+    d3.range(1, gridLevels + 1).forEach(level => {
+      const ringRadius = (radius * level) / gridLevels;
+      const ring = gridShape === 'circle'
+        ? grid.append('circle').attr('cx', centerX).attr('cy', centerY).attr('r', ringRadius)
+        : grid.append('polygon').attr('points', axes.map((_, i) => getPoint(i, ringRadius).join(',')).join(' '));
+      ring
+        .attr('class', 'radar-grid-ring')
+        .attr('fill', 'none')
+        .attr('stroke', themeColors.gridlineColor)
+        .attr('stroke-width', 1);
+    });
+    axes.forEach((_, i) => {
+      const [x, y] = getPoint(i, radius);
+      grid.append('line')
+        .attr('class', 'radar-spoke')
+        .attr('x1', centerX)
+        .attr('y1', centerY)
+        .attr('x2', x)
+        .attr('y2', y)
+        .attr('stroke', themeColors.gridlineColor)
+        .attr('stroke-width', 1);
+    });
+
+    // Ring values up the first axis, when every axis shares them
+    if (showGridLabels && scaleMode !== 'per-axis') {
+      const [min, max] = domains[0];
+      d3.range(1, gridLevels + 1).forEach(level => {
+        grid.append('text')
+          .attr('class', 'radar-grid-label')
+          .attr('x', centerX + 4)
+          .attr('y', centerY - (radius * level) / gridLevels)
+          .attr('dy', '-0.25em')
+          .attr('font-family', fontFamily)
+          .attr('font-size', gridLabelFontSize + 'px')
+          .attr('fill', themeColors.mutedLabelColor)
+          .text(formatValue(min + ((max - min) * level) / gridLevels));
+      });
+    }
+
+    // One closed polygon per column; points are drawn after every polygon so none end up hidden
+    const seriesGroups = series.map((column, seriesIndex) => {
+      const color = palette[seriesIndex % palette.length];
+      const points = data.map((row, i) => {
+        const raw = row[column];
+        const value = raw === '' || raw === null || raw === undefined || isNaN(Number(raw)) ? null : Number(raw);
+        // Missing values sit at the bottom of the scale so the polygon stays closed
+        const [x, y] = getPoint(i, value === null ? 0 : scales[i](value));
+        return { x, y, value, axis: axes[i] };
+      });
+      return { column, color, points };
+    });
+
+    const line = d3.line().x(point => point.x).y(point => point.y).curve(d3.curveLinearClosed);
+    seriesGroups.forEach(seriesGroup => {
+      const { column, color, points } = seriesGroup;
+      seriesGroup.group = chartGroup.append('g')
+        .attr('class', 'radar-series')
+        .attr('data-series', column);
+      seriesGroup.group.append('path')
+        .attr('class', 'radar-area')
+        .attr('d', line(points))
+        .attr('fill', color)
+        .attr('fill-opacity', areaOpacity)
+        .attr('stroke', color)
+        .attr('stroke-width', lineThickness)
+        .attr('stroke-linejoin', 'round');
+    });
+
+    if (showPoints) {
+      seriesGroups.forEach(({ column, color, points, group }) => {
+        points.filter(point => point.value !== null).forEach(point => {
+          group.append('circle')
+            .attr('class', 'radar-point')
+            .attr('cx', point.x)
+            .attr('cy', point.y)
+            .attr('r', pointSize)
+            .attr('fill', color)
+            .attr('stroke', backgroundColor)
+            .attr('stroke-width', 1)
+            .append('title')
+            .text(`${column} · ${point.axis}: ${formatValue(point.value)}`);
+        });
+      });
+    }
+
+    // Axis labels just outside the outer ring, anchored away from the center
+    const labels = chartGroup.append('g').attr('class', 'radar-axis-labels');
+    axes.forEach((axis, i) => {
+      const angle = getAngle(i);
+      const cos = Math.cos(angle);
+      const sin = Math.sin(angle);
+      const [x, y] = getPoint(i, radius + LABEL_GAP);
+      const anchor = cos > 0.1 ? 'start' : cos < -0.1 ? 'end' : 'middle';
+      const blockTop = sin < -0.1 ? y - labelHeight : sin > 0.1 ? y : y - labelHeight / 2;
+
+      const label = labels.append('text')
+        .attr('class', 'radar-axis-label')
+        .attr('x', x)
+        .attr('y', blockTop + axisLabelFontSize * 0.95)
+        .attr('text-anchor', anchor)
+        .attr('font-family', fontFamily)
+        .attr('font-size', axisLabelFontSize + 'px')
+        .attr('font-weight', 600)
+        .attr('fill', themeColors.labelColor)
+        .text(axis);
+
+      if (showAxisRanges) {
+        label.append('tspan')
+          .attr('class', 'radar-axis-range')
+          .attr('x', x)
+          .attr('dy', gridLabelFontSize * 1.2)
+          .attr('font-size', gridLabelFontSize + 'px')
+          .attr('font-weight', 400)
+          .attr('fill', themeColors.mutedLabelColor)
+          .text(`${formatValue(domains[i][0])}–${formatValue(domains[i][1])}`);
+      }
+    });
+
+    // Legend row under the header, one swatch per column
+    if (legendHeight > 0) {
+      const legend = svg.append('g').attr('class', 'radar-legend');
+      const legendY = plotTop - legendHeight / 2;
+      let legendX = marginLeft;
+      seriesGroups.forEach(({ column, color }) => {
+        legend.append('rect')
+          .attr('x', legendX)
+          .attr('y', legendY - 6)
+          .attr('width', 12)
+          .attr('height', 12)
+          .attr('rx', 2)
+          .attr('fill', color);
+        legend.append('text')
+          .attr('x', legendX + 18)
+          .attr('y', legendY)
+          .attr('dy', '0.35em')
+          .attr('font-family', fontFamily)
+          .attr('font-size', legendFontSize + 'px')
+          .attr('font-weight', 600)
+          .attr('fill', themeColors.labelColor)
+          .text(column);
+        legendX += 18 + estimateTextWidth(column, legendFontSize, 600) + 24;
+      });
+    }
+
+    renderWatermark(svg, {
+      userTier: settings.userTier,
+      width,
+      chartBottom: height,
+      fontFamily,
+      darkMode,
+    });
+  }, [data, periodNames, styleSettings]);
+
+  return (
+    <div className="radar-chart-container">
+      <svg ref={svgRef}></svg>
+    </div>
+  );
+};
+
+export default React.memo(RadarChart);
@@ -0,0 +1,94 @@
+/**
+ * Tests for RadarChart Component
+ */
+
+import { describe, it, expect } from 'vitest';
+import { render } from '@testing-library/react';
+import RadarChart from './RadarChart';
+import { defaultData, defaultPeriodNames, getRadarDomains } from './radarChartDefaults';
+
+describe('RadarChart', () => {
+  const getLabels = (container, className) =>
+    Array.from(container.querySelectorAll(`.${className}`)).map(t => t.textContent);
+
+  const mixedUnits = [
+    { Category: 'Revenue ($K)', North: 240, South: 180 },
+    { Category: 'Deals Closed', North: 38, South: 52 },
+    { Category: 'Win Rate (%)', North: 31, South: 27 },
+  ];
+
+  describe('getRadarDomains', () => {
+    it('should give every axis the same range from zero with a shared scale', () => {
+      const domains = getRadarDomains(mixedUnits, ['North', 'South']);
+
+      expect(domains).toHaveLength(3);
+      expect(domains[0]).toEqual([0, 250]);
+      expect(domains[2]).toEqual(domains[0]);
+    });
+
+    it('should scale each axis to its own values with per-axis scaling', () => {
+      const domains = getRadarDomains(mixedUnits, ['North', 'South'], { scaleMode: 'per-axis' });
+
+      expect(domains[0]).toEqual([0, 250]);
+      expect(domains[1]).toEqual([0, 60]);
+      expect(domains[2]).toEqual([0, 35]);
+    });
+
+    it('should extend below zero only for negative values', () => {
+      const [domain] = getRadarDomains([{ Category: 'Margin', A: -12, B: 8 }], ['A', 'B']);
+      expect(domain[0]).toBeLessThan(0);
+      expect(domain[1]).toBeGreaterThanOrEqual(8);
+    });
+  });
+
+  describe('Rendering', () => {
+    it('should draw one axis per row and one polygon per column', () => {
+      const { container } = render(
+        <RadarChart data={defaultData} periodNames={defaultPeriodNames} />
+      );
+
+      expect(container.querySelectorAll('.radar-spoke')).toHaveLength(7);
+      expect(container.querySelectorAll('.radar-area')).toHaveLength(2);
+      expect(container.querySelectorAll('.radar-point')).toHaveLength(14);
+      expect(getLabels(container, 'radar-axis-label')[0]).toBe('Product Quality');
+      expect(container.querySelectorAll('.radar-legend text')).toHaveLength(2);
+    });
+
+    it('should fill polygons at the area opacity', () => {
+      const { container } = render(
+        <RadarChart data={defaultData} periodNames={defaultPeriodNames} styleSettings={{ areaOpacity: 0.45 }} />
+      );
+
+      const opacities = Array.from(container.querySelectorAll('.radar-area')).map(area => area.getAttribute('fill-opacity'));
+      expect(opacities).toEqual(['0.45', '0.45']);
+    });
+
+    it('should label rings on a shared scale and axis ranges on per-axis scales', () => {
+      const { container: shared } = render(
+        <RadarChart data={mixedUnits} periodNames={['North', 'South']} styleSettings={{ gridLevels: 5 }} />
+      );
+      expect(getLabels(shared, 'radar-grid-label')).toEqual(['50', '100', '150', '200', '250']);
+      expect(shared.querySelectorAll('.radar-axis-range')).toHaveLength(0);
+
+      const { container: perAxis } = render(
+        <RadarChart data={mixedUnits} periodNames={['North', 'South']} styleSettings={{ scaleMode: 'per-axis' }} />
+      );
+      expect(perAxis.querySelectorAll('.radar-grid-label')).toHaveLength(0);
+      expect(getLabels(perAxis, 'radar-axis-range')).toEqual(['0–250', '0–60', '0–35']);
+    });
+
+    it('should draw circular rings when asked', () => {
+      const { container } = render(
+        <RadarChart data={defaultData} periodNames={defaultPeriodNames} styleSettings={{ gridShape: 'circle', gridLevels: 4 }} />
+      );
+      expect(container.querySelectorAll('circle.radar-grid-ring')).toHaveLength(4);
+    });
+
+    it('should render nothing with fewer than three axes', () => {
+      const { container } = render(
+        <RadarChart data={defaultData.slice(0, 2)} periodNames={defaultPeriodNames} />
+      );
+      expect(container.querySelectorAll('.radar-area')).toHaveLength(0);
+    });
+  });
+});
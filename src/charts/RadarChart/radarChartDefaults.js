@@ -0,0 +1,117 @@
+/**
+ * Default data and settings for Radar Chart
+ */
+
+import * as d3 from 'd3';
+
+/**
+ * Default sample data - one row per axis (attribute), one column per profile
+ */
+export const defaultData = [
+  { Category: 'Product Quality', Before: 72, After: 85 },
+  { Category: 'Customer Service', Before: 68, After: 79 },
+  { Category: 'Ease of Use', Before: 65, After: 82 },
+  { Category: 'Value for Money', Before: 61, After: 74 },
+  { Category: 'Speed/Performance', Before: 58, After: 76 },
+  { Category: 'Documentation', Before: 52, After: 68 },
+  { Category: 'Onboarding', Before: 48, After: 71 },
+];
+
+/**
+ * Default period names
+ */
+export const defaultPeriodNames = ['Before', 'After'];
+
+/**
+ * A radar needs at least three axes to enclose an area
+ */
+export const MIN_AXES = 3;
+
+/**
+ * Default style settings for Radar Chart
+ */
+export const defaultStyleSettings = {
+  // Title and Subtitle
+  title: '',
+  subtitle: '',
+  fontFamily: 'Inter',
+  titleFontSize: 28,
+  subtitleFontSize: 20,
+  titleAlignment: 'left',
+
+  // Scale
+  scaleMode: 'shared', // 'shared' (one scale for every axis) or 'per-axis' (each axis scaled to its own values)
+  gridLevels: 5, // Number of rings
+  gridShape: 'polygon', // 'polygon' or 'circle'
+  showGridLabels: true, // Ring values along the top axis (shared scale) or each axis maximum (per-axis scale)
+
+  // Series - one overlay per column
+  comparisonPalette: 'observable10',
+  userCustomColors: [],
+  lineThickness: 2,
+  areaOpacity: 0.2, // Fill opacity of each polygon (0 = outline only)
+  showPoints: true,
+  pointSize: 4,
+  showLegend: true,
+
+  // Number format for ring values
+  valuePrefix: '',
+  valueSuffix: '',
+  valueDecimalPlaces: 0,
+  compactNumbers: true,
+
+  // Typography
+  axisLabelFontSize: 14,
+  gridLabelFontSize: 11,
+  legendFontSize: 14,
+
+  // Layout
+  width: 800,
+  height: 640,
+  marginTop: 40,
+  marginRight: 40,
+  marginBottom: 40,
+  marginLeft: 40,
+
+  // Theme
+  backgroundColor: '#ffffff',
+  darkMode: false,
+};
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const num = Number(value);
+  return isNaN(num) ? null : num;
+};
+
+/**
+ * Work out the value range of each axis
+ * Axes start at zero unless they hold negative values. With a shared scale every axis gets the
+ * range of all values; per-axis scaling gives each axis the range of its own row, so attributes
+ * measured in different units (revenue, counts, rates) each fill the chart.
+ *
+ * @param {Array} data - Chart data rows, one per axis
+ * @param {Array} columns - Series columns
+ * @param {Object} options - { scaleMode, gridLevels }
+ * @returns {Array} [min, max] per row, rounded to values that divide evenly into gridLevels rings
+ */
+export const getRadarDomains = (data, columns, { scaleMode = 'shared', gridLevels = 5 } = {}) => {
+  if (!data || data.length === 0) return [];
+
+  const rowValues = data.map(row => (columns || [])
+    .map(column => toNumber(row[column]))
+    .filter(value => value !== null));
+
+  const toDomain = (values) => {
+    const min = Math.min(0, d3.min(values) ?? 0);
+    const max = Math.max(0, d3.max(values) ?? 0);
+    if (min === max) return [min, min + 1];
+    const [niceMin, niceMax] = d3.scaleLinear().domain([min, max]).nice(gridLevels).domain();
+    return [niceMin, niceMax];
+  };
+
+  if (scaleMode === 'per-axis') return rowValues.map(toDomain);
+
+  const shared = toDomain(rowValues.flat());
+  return rowValues.map(() => shared);
+};
@@ -0,0 +1,284 @@
+import React, { useRef, useEffect } from 'react';
+import * as d3 from 'd3';
+import { getPaletteColors } from '../../shared/design-system/colorPalettes';
+import { calculateSegmentColor, desaturateColor } from '../../shared/utils/colorUtils';
+import { formatValueLabel, formatPercentage } from '../../shared/utils/dataFormatters';
+import {
+  WATERMARK_MARGIN_HEIGHT,
+  getThemeColors,
+  renderChartHeader,
+  renderWatermark,
+} from '../../shared/utils/chartDecorations';
+import { buildSankeyGraph, computeSankeyLayout, sankeyLinkPath } from './sankeyLayout';
+import { defaultStyleSettings } from './sankeyChartDefaults';
+import { debug } from '../../shared/utils/debug';
+
+/**
+ * SankeyChart Component
+ *
+ * Shows how quantities flow between stages - e.g. where funnel drop-offs go
+ *
+ * Features:
+ * - Reads source/target/value rows (duplicate pairs are summed)
+ * - Funnel-style depth shading via calculateSegmentColor, or a color per node
+ * - Node labels with values and/or percentages of total inflow
+ * - Node emphasis via clicks (highlights connected flows)
+ *
+ * Data format: { Source: "Visitors", Target: "Sign Ups", Value: 4200 }
+ * periodNames holds the target column followed by the value column
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.data - Chart data
+ * @param {Array} props.periodNames - [targetColumn, valueColumn]
+ * @param {Object} props.styleSettings - Style settings object
+ * @param {Function} props.onNodeClick - Optional callback when a node is clicked (node, nodeId)
+ */
+const SankeyChart = ({ data, periodNames, styleSettings = {}, onNodeClick }) => {
+  const svgRef = useRef(null);
+
+  /**
+   * Main chart rendering effect
+   */
+  useEffect(() => {
+    if (!data || data.length === 0 || !svgRef.current) return;
+
+    // Clear previous render
+    d3.select(svgRef.current).selectAll('*').remove();
+
+    // Merge provided settings with defaults
+    const settings = { ...defaultStyleSettings, ...styleSettings };
+
+    const {
+      width,
+      height,
+      marginTop,
+      marginRight,
+      marginBottom,
+      marginLeft,
+      nodeWidth,
+      nodePadding,
+      nodeAlign,
+      colorMode,
+      barColor,
+      colorTransition,
+      comparisonPalette,
+      userCustomColors,
+      linkOpacity,
+      linkColorMode,
+      showNodeLabels,
+      showNodeValues,
+      labelFormat,
+      valuePrefix,
+      valueSuffix,
+      valueDecimalPlaces,
+      compactNumbers,
+      nodeLabelFont,
+      nodeLabelFontSize,
+      nodeLabelWeight,
+      valueFontSize,
+      valueWeight,
+      emphasizedNodes,
+      backgroundColor,
+      darkMode,
+    } = settings;
+
+    const themeColors = getThemeColors(darkMode);
+
+    const [targetColumn, valueColumn] = periodNames || [];
+    if (!targetColumn || !valueColumn) {
+      debug.warn('SankeyChart', 'Sankey data needs a target column and a value column');
+      return;
+    }
+
+    const graph = buildSankeyGraph(data, targetColumn, valueColumn);
+    if (graph.droppedLinks.length > 0) {
+      debug.warn('SankeyChart', `Skipped ${graph.droppedLinks.length} link(s) that would create a cycle`);
+    }
+    if (graph.links.length === 0) {
+      debug.warn('SankeyChart', 'No flows with positive values to draw');
+      return;
+    }
+
+    // Add extra canvas height for watermark margin area if user is on free tier
+    const watermarkMarginHeight = settings.userTier !== 'pro' ? WATERMARK_MARGIN_HEIGHT : 0;
+
+    const svg = d3
+      .select(svgRef.current)
+      .attr('width', width)
+      .attr('height', height + watermarkMarginHeight)
+      .style('background-color', backgroundColor);
+
+    const headerHeight = renderChartHeader(svg, {
+      title: settings.title,
+      subtitle: settings.subtitle,
+      titleFontSize: settings.titleFontSize,
+      subtitleFontSize: settings.subtitleFontSize,
+      titleAlignment: settings.titleAlignment,
+      fontFamily: settings.fontFamily,
+      width,
+      marginLeft,
+      darkMode,
+    });
+
+    const plotWidth = width - marginLeft - marginRight;
+    const plotHeight = height - marginTop - headerHeight - marginBottom;
+
+    const layout = computeSankeyLayout(graph, {
+      width: plotWidth,
+      height: plotHeight,
+      nodeWidth,
+      nodePadding,
+      nodeAlign,
+    });
+
+    const palette = getPaletteColors(comparisonPalette, userCustomColors);
+    // calculateSegmentColor needs at least two segments to spread the shading
+    const segmentCount = Math.max(2, layout.columnCount);
+
+    const getBaseNodeColor = (node) => {
+      if (colorMode === 'palette') return palette[node.index % palette.length];
+      return calculateSegmentColor(barColor, node.column, segmentCount, colorTransition);
+    };
+
+    // Emphasis: emphasized nodes and every flow touching them keep full color
+    const hasEmphasis = emphasizedNodes && emphasizedNodes.length > 0;
+    const isNodeEmphasized = (node) => hasEmphasis && emphasizedNodes.includes(node.id);
+    const isLinkEmphasized = (link) => isNodeEmphasized(link.source) || isNodeEmphasized(link.target);
+
+    const getNodeColor = (node) => {
+      const color = getBaseNodeColor(node);
+      if (!hasEmphasis) return color;
+      const connected = isNodeEmphasized(node) ||
+        node.sourceLinks.some(isLinkEmphasized) ||
+        node.targetLinks.some(isLinkEmphasized);
+      return connected ? color : desaturateColor(color);
+    };
+
+    const getLinkColor = (link) => {
+      if (linkColorMode === 'neutral') return themeColors.mutedLabelColor;
+      const color = getBaseNodeColor(linkColorMode === 'target' ? link.target : link.source);
+      return hasEmphasis && !isLinkEmphasized(link) ? desaturateColor(color) : color;
+    };
+
+    const formatNodeValue = (node) => {
+      const valueText = formatValueLabel(node.value, {
+        prefix: valuePrefix,
+        suffix: valueSuffix,
+        decimalPlaces: valueDecimalPlaces,
+        compact: compactNumbers,
+      });
+      const percentage = layout.totalValue > 0 ? (node.value / layout.totalValue) * 100 : 0;
+      const percentText = formatPercentage(percentage, percentage < 1 ? 1 : 0);
+
+      if (labelFormat === 'value') return valueText;
+      if (labelFormat === 'percentage') return percentText;
+      return `${valueText} (${percentText})`;
+    };
+
+    const chartGroup = svg
+      .append('g')
+      .attr('class', 'sankey-chart')
+      .attr('transform', `translate(${marginLeft},${marginTop + headerHeight})`);
+
+    // Draw links first so nodes sit on top
+    chartGroup
+      .append('g')
+      .attr('class', 'sankey-links')
+      .attr('fill', 'none')
+      .selectAll('path')
+      .data(layout.links)
+      .enter()
+      .append('path')
+      .attr('class', 'sankey-link')
+      .attr('d', sankeyLinkPath)
+      .attr('stroke', getLinkColor)
+      .attr('stroke-width', d => Math.max(1, d.width))
+      .attr('stroke-opacity', d => (hasEmphasis && isLinkEmphasized(d) ? Math.min(1, linkOpacity * 1.8) : linkOpacity))
+      .append('title')
+      .text(d => `${d.source.name} → ${d.target.name}: ${formatValueLabel(d.value, {
+        prefix: valuePrefix,
+        suffix: valueSuffix,
+        decimalPlaces: valueDecimalPlaces,
+        compact: compactNumbers,
+      })}`);
+
+    // Draw nodes
+    chartGroup
+      .append('g')
+      .attr('class', 'sankey-nodes')
+      .selectAll('rect')
+      .data(layout.nodes)
+      .enter()
+      .append('rect')
+      .attr('class', 'sankey-node')
+      .attr('x', d => d.x0)
+      .attr('y', d => d.y0)
+      .attr('width', d => d.x1 - d.x0)
+      .attr('height', d => Math.max(1, d.y1 - d.y0))
+      .attr('fill', getNodeColor)
+      .style('cursor', onNodeClick ? 'pointer' : 'default')
+      .on('click', (event, d) => {
+        if (onNodeClick) onNodeClick(d, d.id);
+      })
+      .append('title')
+      .text(d => `${d.name}: ${formatNodeValue(d)}`);
+
+    // Node labels - beside each node, facing inward for the last column
+    if (showNodeLabels || showNodeValues) {
+      const lastColumn = layout.columnCount - 1;
+
+      layout.nodes.forEach(node => {
+        const labelOnLeft = layout.columnCount > 1 && node.column === lastColumn;
+        const x = labelOnLeft ? node.x0 - 8 : node.x1 + 8;
+        const centerY = (node.y0 + node.y1) / 2;
+        const emphasized = isNodeEmphasized(node);
+
+        const label = chartGroup
+          .append('text')
+          .attr('class', 'sankey-label')
+          .attr('x', x)
+          .attr('y', centerY)
+          .attr('text-anchor', labelOnLeft ? 'end' : 'start')
+          .style('pointer-events', 'none');
+
+        if (showNodeLabels) {
+          label.append('tspan')
+            .attr('x', x)
+            .attr('dy', showNodeValues ? '-0.2em' : '0.35em')
+            .attr('font-family', nodeLabelFont)
+            .attr('font-size', nodeLabelFontSize + 'px')
+            .attr('font-weight', emphasized ? 700 : nodeLabelWeight)
+            .attr('fill', themeColors.labelColor)
+            .text(node.name);
+        }
+
+        if (showNodeValues) {
+          label.append('tspan')
+            .attr('x', x)
+            .attr('dy', showNodeLabels ? '1.2em' : '0.35em')
+            .attr('font-family', nodeLabelFont)
+            .attr('font-size', valueFontSize + 'px')
+            .attr('font-weight', emphasized ? 700 : valueWeight)
+            .attr('fill', emphasized ? themeColors.emphasisColor : themeColors.mutedLabelColor)
+            .text(formatNodeValue(node));
+        }
+      });
+    }
+
+    renderWatermark(svg, {
+      userTier: settings.userTier,
+      width,
+      chartBottom: height,
+      fontFamily: settings.fontFamily,
+      darkMode,
+    });
+  }, [data, periodNames, styleSettings, onNodeClick]);
+
+  return (
+    <div className="sankey-chart-container">
+      <svg ref={svgRef}></svg>
+    </div>
+  );
+};
+
+export default React.memo(SankeyChart);
@@ -0,0 +1,135 @@
+/**
+ * Tests for SankeyChart Component
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, fireEvent } from '@testing-library/react';
+import SankeyChart from './SankeyChart';
+import { buildSankeyGraph, computeSankeyLayout } from './sankeyLayout';
+import { defaultData, defaultPeriodNames } from './sankeyChartDefaults';
+
+describe('SankeyChart', () => {
+  describe('buildSankeyGraph', () => {
+    it('should create one node per distinct name and one link per row', () => {
+      const graph = buildSankeyGraph(defaultData, 'Target', 'Value');
+
+      expect(graph.nodes.map(n => n.id)).toEqual([
+        'Visitors', 'Sign Ups', 'Bounced', 'Trial', 'Abandoned', 'Paid', 'Churned',
+      ]);
+      expect(graph.links).toHaveLength(6);
+      expect(graph.droppedLinks).toHaveLength(0);
+    });
+
+    it('should sum duplicate source/target pairs', () => {
+      const data = [
+        { Source: 'A', Target: 'B', Value: 10 },
+        { Source: 'A', Target: 'B', Value: 5 },
+      ];
+      const graph = buildSankeyGraph(data, 'Target', 'Value');
+
+      expect(graph.links).toEqual([{ source: 'A', target: 'B', value: 15 }]);
+    });
+
+    it('should skip non-positive values, self-loops and blank names', () => {
+      const data = [
+        { Source: 'A', Target: 'B', Value: 10 },
+        { Source: 'A', Target: 'C', Value: 0 },
+        { Source: 'A', Target: 'D', Value: -3 },
+        { Source: 'B', Target: 'B', Value: 4 },
+        { Source: 'B', Target: '', Value: 4 },
+      ];
+      const graph = buildSankeyGraph(data, 'Target', 'Value');
+
+      expect(graph.links).toHaveLength(1);
+      expect(graph.nodes.map(n => n.id)).toEqual(['A', 'B']);
+    });
+
+    it('should drop links that would create a cycle', () => {
+      const data = [
+        { Source: 'A', Target: 'B', Value: 10 },
+        { Source: 'B', Target: 'C', Value: 8 },
+        { Source: 'C', Target: 'A', Value: 2 },
+      ];
+      const graph = buildSankeyGraph(data, 'Target', 'Value');
+
+      expect(graph.links).toHaveLength(2);
+      expect(graph.droppedLinks).toEqual([{ source: 'C', target: 'A', value: 2 }]);
+    });
+  });
+
+  describe('computeSankeyLayout', () => {
+    const graph = buildSankeyGraph(defaultData, 'Target', 'Value');
+    const layout = computeSankeyLayout(graph, { width: 800, height: 400 });
+    const nodeById = Object.fromEntries(layout.nodes.map(n => [n.id, n]));
+
+    it('should place nodes in columns by depth', () => {
+      expect(layout.columnCount).toBe(4);
+      expect(nodeById.Visitors.column).toBe(0);
+      expect(nodeById['Sign Ups'].column).toBe(1);
+      expect(nodeById.Trial.column).toBe(2);
+    });
+
+    it('should push end nodes to the last column when justified', () => {
+      expect(nodeById.Bounced.column).toBe(3);
+      expect(nodeById.Abandoned.column).toBe(3);
+
+      const leftLayout = computeSankeyLayout(graph, { width: 800, height: 400, nodeAlign: 'left' });
+      expect(leftLayout.nodes.find(n => n.id === 'Bounced').column).toBe(1);
+    });
+
+    it('should size nodes by the larger of inflow and outflow', () => {
+      expect(nodeById.Visitors.value).toBe(10000);
+      expect(nodeById['Sign Ups'].value).toBe(4200);
+      expect(layout.totalValue).toBe(10000);
+    });
+
+    it('should keep links inside the plot and as wide as their share of the node', () => {
+      layout.nodes.forEach(node => {
+        expect(node.y0).toBeGreaterThan(-0.001);
+        expect(node.y1).toBeLessThan(400.001);
+      });
+
+      const visitors = nodeById.Visitors;
+      const outgoingWidth = visitors.sourceLinks.reduce((sum, link) => sum + link.width, 0);
+      expect(outgoingWidth).toBeCloseTo(visitors.y1 - visitors.y0);
+    });
+  });
+
+  describe('Rendering', () => {
+    it('should render one node per flow stage', () => {
+      const { container } = render(
+        <SankeyChart data={defaultData} periodNames={defaultPeriodNames} />
+      );
+
+      expect(container.querySelectorAll('svg')).toHaveLength(1);
+      expect(container.querySelectorAll('.sankey-node')).toHaveLength(7);
+      expect(container.querySelectorAll('.sankey-link')).toHaveLength(6);
+    });
+
+    it('should label nodes with values and percentages', () => {
+      const { container } = render(
+        <SankeyChart data={defaultData} periodNames={defaultPeriodNames} />
+      );
+
+      const labels = Array.from(container.querySelectorAll('.sankey-label')).map(l => l.textContent);
+      expect(labels).toContain('Sign Ups4,200 (42%)');
+    });
+
+    it('should call onNodeClick with the node id', () => {
+      const handleClick = vi.fn();
+      const { container } = render(
+        <SankeyChart data={defaultData} periodNames={defaultPeriodNames} onNodeClick={handleClick} />
+      );
+
+      fireEvent.click(container.querySelector('.sankey-node'));
+
+      expect(handleClick).toHaveBeenCalledWith(expect.objectContaining({ id: 'Visitors' }), 'Visitors');
+    });
+
+    it('should render nothing without target and value columns', () => {
+      const { container } = render(<SankeyChart data={defaultData} periodNames={['Target']} />);
+
+      expect(container.querySelectorAll('.sankey-node')).toHaveLength(0);
+    });
+  });
+});
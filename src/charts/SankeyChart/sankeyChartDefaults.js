@@ -0,0 +1,78 @@
+/**
+ * Default data and settings for Sankey Chart
+ */
+
+/**
+ * Default sample data (source, target, value)
+ */
+export const defaultData = [
+  { Source: 'Visitors', Target: 'Sign Ups', Value: 4200 },
+  { Source: 'Visitors', Target: 'Bounced', Value: 5800 },
+  { Source: 'Sign Ups', Target: 'Trial', Value: 2600 },
+  { Source: 'Sign Ups', Target: 'Abandoned', Value: 1600 },
+  { Source: 'Trial', Target: 'Paid', Value: 1100 },
+  { Source: 'Trial', Target: 'Churned', Value: 1500 },
+];
+
+/**
+ * Default period names - the target column followed by the value column
+ */
+export const defaultPeriodNames = ['Target', 'Value'];
+
+/**
+ * Default style settings for Sankey Chart
+ */
+export const defaultStyleSettings = {
+  // Title and Subtitle
+  title: '',
+  subtitle: '',
+  fontFamily: 'Inter',
+  titleFontSize: 28,
+  subtitleFontSize: 20,
+  titleAlignment: 'left',
+
+  // Nodes
+  nodeWidth: 20,
+  nodePadding: 16,
+  nodeAlign: 'justify', // 'justify' (end nodes in last column) or 'left' (by depth)
+
+  // Colors
+  colorMode: 'depth', // 'depth' (funnel-style shading by column) or 'palette' (color per node)
+  barColor: '#1e40af', // Base color for depth mode
+  colorTransition: 60, // How much darker later columns get in depth mode (0-100)
+  comparisonPalette: 'observable10',
+  userCustomColors: [],
+  linkOpacity: 0.35,
+  linkColorMode: 'source', // 'source', 'target', or 'neutral'
+
+  // Labels
+  showNodeLabels: true,
+  showNodeValues: true,
+  labelFormat: 'both', // 'value', 'percentage' (of total inflow), or 'both'
+  valuePrefix: '',
+  valueSuffix: '',
+  valueDecimalPlaces: 0,
+  compactNumbers: false,
+
+  // Typography
+  nodeLabelFont: 'Inter',
+  nodeLabelFontSize: 16,
+  nodeLabelWeight: 600,
+  valueFontSize: 14,
+  valueWeight: 400,
+
+  // Emphasis
+  emphasizedNodes: [], // Node names whose flows are highlighted
+
+  // Layout
+  width: 900,
+  height: 560,
+  marginTop: 40,
+  marginRight: 40,
+  marginBottom: 30,
+  marginLeft: 40,
+
+  // Theme
+  backgroundColor: '#ffffff',
+  darkMode: false,
+};
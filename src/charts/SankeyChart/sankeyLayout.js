@@ -0,0 +1,233 @@
+/**
+ * Sankey layout
+ * Builds a node/link graph from source/target/value rows and positions it:
+ * nodes are placed in columns by depth, stacked with padding, and every link
+ * gets a vertical offset at both ends so flows don't overlap.
+ */
+
+/**
+ * Build a flow graph from chart rows
+ * Duplicate source/target pairs are summed, non-positive values and self-loops are skipped,
+ * and links that would close a cycle are dropped (a Sankey must be acyclic).
+ *
+ * @param {Array} data - Rows ({ Source: 'Visit', Target: 'Sign Up', Value: 120 })
+ * @param {string} targetColumn - Column holding target node names
+ * @param {string} valueColumn - Column holding flow values
+ * @returns {Object} { nodes: [{ id, name, index }], links: [{ source, target, value }], droppedLinks }
+ */
+export const buildSankeyGraph = (data, targetColumn, valueColumn) => {
+  const nodes = [];
+  const nodeById = new Map();
+  const linkByKey = new Map();
+
+  const getNode = (name) => {
+    const id = String(name).trim();
+    if (!nodeById.has(id)) {
+      const node = { id, name: id, index: nodes.length };
+      nodeById.set(id, node);
+      nodes.push(node);
+    }
+    return nodeById.get(id);
+  };
+
+  (data || []).forEach(row => {
+    const sourceName = row.Source;
+    const targetName = row[targetColumn];
+    const value = Number(row[valueColumn]) || 0;
+
+    if (sourceName == null || sourceName === '' || targetName == null || targetName === '') return;
+    if (value <= 0) return;
+
+    const source = getNode(sourceName);
+    const target = getNode(targetName);
+    if (source === target) return;
+
+    const key = `${source.id}\u0000${target.id}`;
+    if (linkByKey.has(key)) {
+      linkByKey.get(key).value += value;
+    } else {
+      linkByKey.set(key, { source: source.id, target: target.id, value });
+    }
+  });
+
+  // Drop links that would create a cycle, keeping the first one seen
+  const adjacency = new Map(nodes.map(node => [node.id, []]));
+  const links = [];
+  const droppedLinks = [];
+
+  const canReach = (fromId, toId) => {
+    const stack = [fromId];
+    const visited = new Set();
+    while (stack.length > 0) {
+      const current = stack.pop();
+      if (current === toId) return true;
+      if (visited.has(current)) continue;
+      visited.add(current);
+      adjacency.get(current).forEach(next => stack.push(next));
+    }
+    return false;
+  };
+
+  linkByKey.forEach(link => {
+    if (canReach(link.target, link.source)) {
+      droppedLinks.push(link);
+      return;
+    }
+    adjacency.get(link.source).push(link.target);
+    links.push(link);
+  });
+
+  // Only keep nodes that are part of at least one link
+  const linkedIds = new Set(links.flatMap(link => [link.source, link.target]));
+  const linkedNodes = nodes
+    .filter(node => linkedIds.has(node.id))
+    .map((node, index) => ({ ...node, index }));
+
+  return { nodes: linkedNodes, links, droppedLinks };
+};
+
+/**
+ * Position nodes and links
+ *
+ * @param {Object} graph - Output of buildSankeyGraph
+ * @param {Object} options - Layout options
+ * @param {number} options.width - Plot width
+ * @param {number} options.height - Plot height
+ * @param {number} options.nodeWidth - Node bar width
+ * @param {number} options.nodePadding - Vertical gap between nodes in a column
+ * @param {string} options.nodeAlign - 'justify' (end nodes in last column) or 'left'
+ * @returns {Object} { nodes, links, columnCount, totalValue }
+ */
+export const computeSankeyLayout = (graph, {
+  width,
+  height,
+  nodeWidth = 20,
+  nodePadding = 16,
+  nodeAlign = 'justify',
+}) => {
+  const nodes = graph.nodes.map(node => ({
+    ...node,
+    sourceLinks: [],
+    targetLinks: [],
+  }));
+  const nodeById = new Map(nodes.map(node => [node.id, node]));
+
+  const links = graph.links.map((link, index) => {
+    const layoutLink = {
+      ...link,
+      index,
+      source: nodeById.get(link.source),
+      target: nodeById.get(link.target),
+    };
+    layoutLink.source.sourceLinks.push(layoutLink);
+    layoutLink.target.targetLinks.push(layoutLink);
+    return layoutLink;
+  });
+
+  if (nodes.length === 0) {
+    return { nodes, links, columnCount: 0, totalValue: 0 };
+  }
+
+  // Node value is the larger of its inflow and outflow
+  nodes.forEach(node => {
+    const inflow = node.targetLinks.reduce((sum, link) => sum + link.value, 0);
+    const outflow = node.sourceLinks.reduce((sum, link) => sum + link.value, 0);
+    node.value = Math.max(inflow, outflow);
+  });
+
+  // Depth = longest path from any start node (graph is acyclic)
+  const depthOf = new Map();
+  const getDepth = (node) => {
+    if (depthOf.has(node.id)) return depthOf.get(node.id);
+    const depth = node.targetLinks.length === 0
+      ? 0
+      : Math.max(...node.targetLinks.map(link => getDepth(link.source) + 1));
+    depthOf.set(node.id, depth);
+    return depth;
+  };
+  nodes.forEach(node => { node.depth = getDepth(node); });
+
+  const maxDepth = Math.max(...nodes.map(node => node.depth));
+  nodes.forEach(node => {
+    // Justify: push end nodes (no outgoing flow) to the last column
+    node.column = nodeAlign === 'justify' && node.sourceLinks.length === 0 ? maxDepth : node.depth;
+  });
+
+  const columnCount = maxDepth + 1;
+  const columns = Array.from({ length: columnCount }, () => []);
+  nodes.forEach(node => columns[node.column].push(node));
+
+  // Vertical scale shared by all columns so link widths match at both ends
+  const ky = Math.min(...columns
+    .filter(column => column.length > 0)
+    .map(column => {
+      const columnValue = column.reduce((sum, node) => sum + node.value, 0);
+      return (height - (column.length - 1) * nodePadding) / columnValue;
+    }));
+
+  const columnSpacing = columnCount > 1 ? (width - nodeWidth) / (columnCount - 1) : 0;
+
+  columns.forEach((column, columnIndex) => {
+    // Order nodes by the average position of their sources to reduce crossings
+    if (columnIndex > 0) {
+      column.forEach(node => {
+        const weight = node.targetLinks.reduce((sum, link) => sum + link.value, 0);
+        node.sortKey = weight > 0
+          ? node.targetLinks.reduce((sum, link) => sum + ((link.source.y0 + link.source.y1) / 2) * link.value, 0) / weight
+          : Infinity;
+      });
+      column.sort((a, b) => a.sortKey - b.sortKey);
+    }
+
+    const columnHeight = column.reduce((sum, node) => sum + node.value * ky, 0) +
+      (column.length - 1) * nodePadding;
+    let y = (height - columnHeight) / 2;
+
+    column.forEach(node => {
+      node.x0 = columnCount > 1 ? columnIndex * columnSpacing : (width - nodeWidth) / 2;
+      node.x1 = node.x0 + nodeWidth;
+      node.y0 = y;
+      node.y1 = y + node.value * ky;
+      y = node.y1 + nodePadding;
+    });
+  });
+
+  // Stack link ends along each node, ordered by the position of the other end
+  nodes.forEach(node => {
+    node.sourceLinks.sort((a, b) => a.target.y0 - b.target.y0);
+    node.targetLinks.sort((a, b) => a.source.y0 - b.source.y0);
+
+    let sy = node.y0;
+    node.sourceLinks.forEach(link => {
+      link.width = link.value * ky;
+      link.y0 = sy + link.width / 2;
+      sy += link.width;
+    });
+
+    let ty = node.y0;
+    node.targetLinks.forEach(link => {
+      link.width = link.value * ky;
+      link.y1 = ty + link.width / 2;
+      ty += link.width;
+    });
+  });
+
+  // Total flow entering the diagram (used for percentages)
+  const totalValue = nodes
+    .filter(node => node.targetLinks.length === 0)
+    .reduce((sum, node) => sum + node.value, 0);
+
+  return { nodes, links, columnCount, totalValue };
+};
+
+/**
+ * SVG path for a link, drawn as a thick horizontal bezier between node edges
+ * @param {Object} link - Positioned link
+ * @returns {string} SVG path data
+ */
+export const sankeyLinkPath = (link) => {
+  const x0 = link.source.x1;
+  const x1 = link.target.x0;
+  const midX = (x0 + x1) / 2;
+  return `M${x0},${link.y0}C${midX},${link.y0} ${midX},${link.y1} ${x1},${link.y1}`;
+};
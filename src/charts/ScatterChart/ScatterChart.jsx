@@ -0,0 +1,513 @@
+import React, { useRef, useEffect } from 'react';
+import * as d3 from 'd3';
+import { getPaletteColors } from '../../shared/design-system/colorPalettes';
+import { desaturateColor, lightenColor } from '../../shared/utils/colorUtils';
+import { formatValueLabel } from '../../shared/utils/dataFormatters';
+import { getMetricColumns } from '../../shared/utils/columnSchema';
+import {
+  WATERMARK_MARGIN_HEIGHT,
+  getThemeColors,
+  estimateTextWidth,
+  renderChartHeader,
+  renderWatermark,
+} from '../../shared/utils/chartDecorations';
+import { defaultStyleSettings, buildScatterPoints, getQuadrantDivider } from './scatterChartDefaults';
+import { debug } from '../../shared/utils/debug';
+
+/**
+ * ScatterChart Component
+ *
+ * Plots two measures against each other, with optional bubble size and color encodings
+ *
+ * Features:
+ * - x/y/size/color column mapping (size turns the scatter into a bubble chart)
+ * - Text color columns use the palette, numeric color columns a gradient
+ * - Quadrant reference lines at the mean, median or a custom value
+ * - Linear or log scale on either axis
+ * - Labels for emphasized points (click to toggle), or for every point
+ *
+ * Data format: { Category: "Widget Pro", Price: 129, "Units Sold": 4200 }
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.data - Chart data
+ * @param {Array} props.periodNames - Data columns available for mapping
+ * @param {Object} props.columnSchema - Column types from useChartData; only numeric types are placed on the axes by default
+ * @param {Object} props.styleSettings - Style settings object
+ * @param {Function} props.onPointClick - Optional callback when a point is clicked (point, pointId)
+ */
+const ScatterChart = ({ data, periodNames, columnSchema, styleSettings = {}, onPointClick }) => {
+  const svgRef = useRef(null);
+
+  /**
+   * Main chart rendering effect
+   */
+  useEffect(() => {
+    if (!data || data.length === 0 || !svgRef.current) return;
+
+    // Clear previous render
+    d3.select(svgRef.current).selectAll('*').remove();
+
+    // Merge provided settings with defaults
+    const settings = { ...defaultStyleSettings, ...styleSettings };
+
+    const {
+      width,
+      height,
+      marginTop,
+      marginRight,
+      marginBottom,
+      marginLeft,
+      pointRadius,
+      bubbleMinRadius,
+      bubbleMaxRadius,
+      pointOpacity,
+      pointStrokeWidth,
+      barColor,
+      comparisonPalette,
+      userCustomColors,
+      xScaleType,
+      yScaleType,
+      xAxisPrefix,
+      xAxisSuffix,
+      yAxisPrefix,
+      yAxisSuffix,
+      axisDecimalPlaces,
+      compactAxisNumbers,
+      showGridLines,
+      gridLineColor,
+      gridLineOpacity,
+      showQuadrants,
+      quadrantXMode,
+      quadrantXValue,
+      quadrantYMode,
+      quadrantYValue,
+      quadrantLabels,
+      pointLabelMode,
+      showLegend,
+      fontFamily,
+      axisFontSize,
+      axisTitleFontSize,
+      pointLabelFontSize,
+      legendFontSize,
+      emphasizedScatterPoints,
+      backgroundColor,
+      darkMode,
+    } = settings;
+
+    const themeColors = getThemeColors(darkMode);
+
+    // Ignore mappings to columns that are not in the data (e.g. after loading a new dataset)
+    // and fall back to the first two numeric columns for x/y
+    const columns = periodNames || [];
+    const numericColumns = getMetricColumns(columns, columnSchema).filter(col => data.some(row => typeof row[col] === 'number'));
+    const getMappedColumn = (column) => (column && columns.includes(column) ? column : '');
+    const xColumn = getMappedColumn(settings.xColumn) || numericColumns[0];
+    const yColumn = getMappedColumn(settings.yColumn) || numericColumns.find(col => col !== xColumn);
+    const sizeColumn = getMappedColumn(settings.sizeColumn);
+    const colorColumn = getMappedColumn(settings.colorColumn);
+    if (!xColumn || !yColumn) {
+      debug.warn('ScatterChart', 'Scatter charts need at least two data columns');
+      return;
+    }
+
+    const { points, skipped } = buildScatterPoints(data, {
+      xColumn,
+      yColumn,
+      sizeColumn,
+      colorColumn,
+      xScaleType,
+      yScaleType,
+    });
+    if (skipped > 0) {
+      debug.warn('ScatterChart', `Skipped ${skipped} row(s) without plottable x/y values`);
+    }
+    if (points.length === 0) {
+      debug.warn('ScatterChart', 'No points to plot');
+      return;
+    }
+
+    // Add extra canvas height for watermark margin area if user is on free tier
+    const watermarkMarginHeight = settings.userTier !== 'pro' ? WATERMARK_MARGIN_HEIGHT : 0;
+
+    const svg = d3
+      .select(svgRef.current)
+      .attr('width', width)
+      .attr('height', height + watermarkMarginHeight)
+      .style('background-color', backgroundColor);
+
+    const headerHeight = renderChartHeader(svg, {
+      title: settings.title,
+      subtitle: settings.subtitle,
+      titleFontSize: settings.titleFontSize,
+      subtitleFontSize: settings.subtitleFontSize,
+      titleAlignment: settings.titleAlignment,
+      fontFamily,
+      width,
+      marginLeft,
+      darkMode,
+    });
+
+    // Color encoding: text columns are categorical, all-numeric columns get a gradient
+    const colorValues = points.map(p => p.color).filter(c => c !== null && c !== undefined && c !== '');
+    const isNumericColor = colorValues.length > 0 && colorValues.every(c => !isNaN(Number(c)));
+    const palette = getPaletteColors(comparisonPalette, userCustomColors);
+    const colorGroups = colorColumn && !isNumericColor ? [...new Set(colorValues.map(String))] : [];
+    const colorExtent = isNumericColor ? d3.extent(colorValues, Number) : null;
+    const numericColorScale = isNumericColor
+      ? d3.scaleLinear()
+        .domain(colorExtent[0] === colorExtent[1] ? [colorExtent[0] - 1, colorExtent[1]] : colorExtent)
+        .range([lightenColor(barColor, 75), barColor])
+        .interpolate(d3.interpolateRgb)
+      : null;
+
+    const getBasePointColor = (point) => {
+      if (numericColorScale && point.color !== null && point.color !== '') {
+        return numericColorScale(Number(point.color));
+      }
+      if (colorGroups.length > 0) {
+        const groupIndex = colorGroups.indexOf(String(point.color));
+        return groupIndex >= 0 ? palette[groupIndex % palette.length] : themeColors.mutedLabelColor;
+      }
+      return barColor;
+    };
+
+    const axisFormat = (prefix, suffix) => (value) => formatValueLabel(value, {
+      prefix,
+      suffix,
+      decimalPlaces: axisDecimalPlaces,
+      compact: compactAxisNumbers,
+    });
+    const formatX = axisFormat(xAxisPrefix, xAxisSuffix);
+    const formatY = axisFormat(yAxisPrefix, yAxisSuffix);
+
+    // Legend row between header and plot
+    const hasLegend = showLegend && (colorGroups.length > 0 || isNumericColor);
+    const legendHeight = hasLegend ? legendFontSize + 20 : 0;
+    const legendY = marginTop + headerHeight;
+
+    if (hasLegend) {
+      const legend = svg.append('g').attr('class', 'scatter-legend');
+      let legendX = marginLeft;
+
+      legend.append('text')
+        .attr('x', legendX)
+        .attr('y', legendY + legendFontSize / 2)
+        .attr('dy', '0.35em')
+        .attr('font-family', fontFamily)
+        .attr('font-size', legendFontSize + 'px')
+        .attr('font-weight', 600)
+        .attr('fill', themeColors.labelColor)
+        .text(colorColumn);
+      legendX += estimateTextWidth(colorColumn, legendFontSize, 600) + 16;
+
+      if (isNumericColor) {
+        const gradientId = `scatter-color-gradient-${Math.random().toString(36).slice(2, 9)}`;
+        const gradient = svg.append('defs')
+          .append('linearGradient')
+          .attr('id', gradientId);
+        gradient.append('stop').attr('offset', '0%').attr('stop-color', numericColorScale.range()[0]);
+        gradient.append('stop').attr('offset', '100%').attr('stop-color', numericColorScale.range()[1]);
+
+        const minLabel = formatValueLabel(colorExtent[0], { compact: true, decimalPlaces: axisDecimalPlaces });
+        const maxLabel = formatValueLabel(colorExtent[1], { compact: true, decimalPlaces: axisDecimalPlaces });
+
+        legend.append('text')
+          .attr('x', legendX)
+          .attr('y', legendY + legendFontSize / 2)
+          .attr('dy', '0.35em')
+          .attr('font-family', fontFamily)
+          .attr('font-size', legendFontSize + 'px')
+          .attr('fill', themeColors.mutedLabelColor)
+          .text(minLabel);
+        legendX += estimateTextWidth(minLabel, legendFontSize) + 6;
+
+        legend.append('rect')
+          .attr('x', legendX)
+          .attr('y', legendY + legendFontSize / 2 - 6)
+          .attr('width', 120)
+          .attr('height', 12)
+          .attr('rx', 2)
+          .attr('fill', `url(#${gradientId})`);
+        legendX += 126;
+
+        legend.append('text')
+          .attr('x', legendX)
+          .attr('y', legendY + legendFontSize / 2)
+          .attr('dy', '0.35em')
+          .attr('font-family', fontFamily)
+          .attr('font-size', legendFontSize + 'px')
+          .attr('fill', themeColors.mutedLabelColor)
+          .text(maxLabel);
+      } else {
+        colorGroups.forEach((group, index) => {
+          legend.append('circle')
+            .attr('cx', legendX + 6)
+            .attr('cy', legendY + legendFontSize / 2)
+            .attr('r', 6)
+            .attr('fill', palette[index % palette.length])
+            .attr('fill-opacity', pointOpacity);
+          legend.append('text')
+            .attr('x', legendX + 16)
+            .attr('y', legendY + legendFontSize / 2)
+            .attr('dy', '0.35em')
+            .attr('font-family', fontFamily)
+            .attr('font-size', legendFontSize + 'px')
+            .attr('fill', themeColors.labelColor)
+            .text(group);
+          legendX += 16 + estimateTextWidth(group, legendFontSize) + 20;
+        });
+      }
+    }
+
+    const plotTop = marginTop + headerHeight + legendHeight;
+    const plotBottom = height - marginBottom;
+    const plotLeft = marginLeft;
+    const plotRight = width - marginRight;
+
+    // Scales - pad the data range so points on the edge are not cut in half
+    const buildScale = (values, scaleType, range) => {
+      let [min, max] = d3.extent(values);
+      if (scaleType === 'log') {
+        return d3.scaleLog().domain([min / 1.25, max * 1.25]).range(range);
+      }
+      if (min === max) {
+        min -= 1;
+        max += 1;
+      }
+      const padding = (max - min) * 0.05;
+      return d3.scaleLinear().domain([min - padding, max + padding]).range(range).nice();
+    };
+
+    const xScale = buildScale(points.map(p => p.x), xScaleType, [plotLeft, plotRight]);
+    const yScale = buildScale(points.map(p => p.y), yScaleType, [plotBottom, plotTop]);
+
+    // Log axes label powers of ten (plus 2x and 5x steps on short ranges) to avoid crowding
+    const getTicks = (scale, scaleType, count) => {
+      if (scaleType !== 'log') return scale.ticks(count);
+      const getMantissa = (t) => Math.round(t / Math.pow(10, Math.floor(Math.log10(t) + 1e-9)) * 1e6) / 1e6;
+      const ticks = scale.ticks();
+      const powers = ticks.filter(t => getMantissa(t) === 1);
+      if (powers.length >= 3) return powers;
+      const steps = ticks.filter(t => [1, 2, 5].includes(getMantissa(t)));
+      return steps.length >= 2 ? steps : scale.ticks(count);
+    };
+    const xTicks = getTicks(xScale, xScaleType, 6);
+    const yTicks = getTicks(yScale, yScaleType, 6);
+
+    const sizeScale = sizeColumn
+      ? d3.scaleSqrt()
+        .domain([0, d3.max(points, p => p.size) || 1])
+        .range([bubbleMinRadius, bubbleMaxRadius])
+      : null;
+    const getRadius = (point) => (sizeScale ? sizeScale(point.size) : pointRadius);
+
+    const chartGroup = svg.append('g').attr('class', 'scatter-chart');
+
+    // Gridlines
+    if (showGridLines) {
+      const grid = chartGroup.append('g').attr('class', 'scatter-grid');
+      xTicks.forEach(tick => {
+        grid.append('line')
+          .attr('x1', xScale(tick))
+          .attr('x2', xScale(tick))
+          .attr('y1', plotTop)
+          .attr('y2', plotBottom)
+          .attr('stroke', darkMode ? themeColors.gridlineColor : gridLineColor)
+          .attr('stroke-opacity', gridLineOpacity);
+      });
+      yTicks.forEach(tick => {
+        grid.append('line')
+          .attr('x1', plotLeft)
+          .attr('x2', plotRight)
+          .attr('y1', yScale(tick))
+          .attr('y2', yScale(tick))
+          .attr('stroke', darkMode ? themeColors.gridlineColor : gridLineColor)
+          .attr('stroke-opacity', gridLineOpacity);
+      });
+    }
+
+    // Axes
+    const styleAxis = (axisGroup) => {
+      axisGroup.select('.domain').attr('stroke', themeColors.axisLineColor);
+      axisGroup.selectAll('.tick line').attr('stroke', themeColors.axisLineColor);
+      axisGroup.selectAll('.tick text')
+        .attr('font-family', fontFamily)
+        .attr('font-size', axisFontSize + 'px')
+        .attr('fill', themeColors.labelColor);
+    };
+
+    chartGroup.append('g')
+      .attr('class', 'scatter-x-axis')
+      .attr('transform', `translate(0,${plotBottom})`)
+      .call(d3.axisBottom(xScale).tickValues(xTicks).tickFormat(formatX).tickSizeOuter(0))
+      .call(styleAxis);
+
+    chartGroup.append('g')
+      .attr('class', 'scatter-y-axis')
+      .attr('transform', `translate(${plotLeft},0)`)
+      .call(d3.axisLeft(yScale).tickValues(yTicks).tickFormat(formatY).tickSizeOuter(0))
+      .call(styleAxis);
+
+    // Axis titles
+    const xTitle = settings.xAxisTitle || xColumn;
+    const yTitle = settings.yAxisTitle || yColumn;
+
+    chartGroup.append('text')
+      .attr('class', 'scatter-x-title')
+      .attr('x', (plotLeft + plotRight) / 2)
+      .attr('y', plotBottom + axisFontSize + axisTitleFontSize + 22)
+      .attr('text-anchor', 'middle')
+      .attr('font-family', fontFamily)
+      .attr('font-size', axisTitleFontSize + 'px')
+      .attr('font-weight', 600)
+      .attr('fill', themeColors.labelColor)
+      .text(xScaleType === 'log' ? `${xTitle} (log scale)` : xTitle);
+
+    chartGroup.append('text')
+      .attr('class', 'scatter-y-title')
+      .attr('transform', `translate(${axisTitleFontSize},${(plotTop + plotBottom) / 2}) rotate(-90)`)
+      .attr('text-anchor', 'middle')
+      .attr('font-family', fontFamily)
+      .attr('font-size', axisTitleFontSize + 'px')
+      .attr('font-weight', 600)
+      .attr('fill', themeColors.labelColor)
+      .text(yScaleType === 'log' ? `${yTitle} (log scale)` : yTitle);
+
+    // Quadrant reference lines
+    if (showQuadrants) {
+      const dividerX = getQuadrantDivider(points.map(p => p.x), quadrantXMode, quadrantXValue);
+      const dividerY = getQuadrantDivider(points.map(p => p.y), quadrantYMode, quadrantYValue);
+      const [xMin, xMax] = xScale.domain();
+      const [yMin, yMax] = yScale.domain();
+      const quadrantGroup = chartGroup.append('g').attr('class', 'scatter-quadrants');
+
+      if (dividerX > xMin && dividerX < xMax) {
+        quadrantGroup.append('line')
+          .attr('class', 'scatter-quadrant-line')
+          .attr('x1', xScale(dividerX))
+          .attr('x2', xScale(dividerX))
+          .attr('y1', plotTop)
+          .attr('y2', plotBottom)
+          .attr('stroke', themeColors.mutedLabelColor)
+          .attr('stroke-width', 1.5)
+          .attr('stroke-dasharray', '6,4');
+      }
+
+      if (dividerY > yMin && dividerY < yMax) {
+        quadrantGroup.append('line')
+          .attr('class', 'scatter-quadrant-line')
+          .attr('x1', plotLeft)
+          .attr('x2', plotRight)
+          .attr('y1', yScale(dividerY))
+          .attr('y2', yScale(dividerY))
+          .attr('stroke', themeColors.mutedLabelColor)
+          .attr('stroke-width', 1.5)
+          .attr('stroke-dasharray', '6,4');
+      }
+
+      // Quadrant labels sit in the outer corner of each quadrant
+      const corners = [
+        { x: plotRight - 8, y: plotTop + 8, anchor: 'end', baseline: 'hanging' },
+        { x: plotLeft + 8, y: plotTop + 8, anchor: 'start', baseline: 'hanging' },
+        { x: plotLeft + 8, y: plotBottom - 8, anchor: 'start', baseline: 'auto' },
+        { x: plotRight - 8, y: plotBottom - 8, anchor: 'end', baseline: 'auto' },
+      ];
+      (quadrantLabels || []).forEach((label, index) => {
+        if (!label || !corners[index]) return;
+        quadrantGroup.append('text')
+          .attr('class', 'scatter-quadrant-label')
+          .attr('x', corners[index].x)
+          .attr('y', corners[index].y)
+          .attr('text-anchor', corners[index].anchor)
+          .attr('dominant-baseline', corners[index].baseline)
+          .attr('font-family', fontFamily)
+          .attr('font-size', pointLabelFontSize + 'px')
+          .attr('font-weight', 600)
+          .attr('fill', themeColors.mutedLabelColor)
+          .text(label);
+      });
+    }
+
+    // Emphasis: emphasized points keep full color and get labels
+    const hasEmphasis = emphasizedScatterPoints && emphasizedScatterPoints.length > 0;
+    const isPointEmphasized = (point) => hasEmphasis && emphasizedScatterPoints.includes(point.id);
+
+    const getPointColor = (point) => {
+      const color = getBasePointColor(point);
+      return hasEmphasis && !isPointEmphasized(point) ? desaturateColor(color) : color;
+    };
+
+    // Draw larger bubbles first so small ones stay clickable
+    const sortedPoints = [...points].sort((a, b) => getRadius(b) - getRadius(a));
+
+    chartGroup
+      .append('g')
+      .attr('class', 'scatter-points')
+      .selectAll('circle')
+      .data(sortedPoints)
+      .enter()
+      .append('circle')
+      .attr('class', 'scatter-point')
+      .attr('cx', d => xScale(d.x))
+      .attr('cy', d => yScale(d.y))
+      .attr('r', getRadius)
+      .attr('fill', getPointColor)
+      .attr('fill-opacity', d => (isPointEmphasized(d) ? 1 : pointOpacity))
+      .attr('stroke', backgroundColor)
+      .attr('stroke-width', pointStrokeWidth)
+      .style('cursor', onPointClick ? 'pointer' : 'default')
+      .on('click', (event, d) => {
+        if (onPointClick) onPointClick(d, d.id);
+      })
+      .append('title')
+      .text(d => {
+        const lines = [d.id, `${xColumn}: ${formatX(d.x)}`, `${yColumn}: ${formatY(d.y)}`];
+        if (sizeColumn) lines.push(`${sizeColumn}: ${formatValueLabel(d.size, { compact: compactAxisNumbers })}`);
+        if (colorColumn && d.color !== null) lines.push(`${colorColumn}: ${d.color}`);
+        return lines.join('\n');
+      });
+
+    // Point labels
+    const labeledPoints = pointLabelMode === 'all'
+      ? points
+      : pointLabelMode === 'emphasized' ? points.filter(isPointEmphasized) : [];
+
+    labeledPoints.forEach(point => {
+      const cx = xScale(point.x);
+      const cy = yScale(point.y);
+      const radius = getRadius(point);
+      const labelWidth = estimateTextWidth(point.id, pointLabelFontSize, 600);
+      // Flip labels to the left of the point near the right edge
+      const labelOnLeft = cx + radius + 4 + labelWidth > plotRight;
+
+      chartGroup.append('text')
+        .attr('class', 'scatter-label')
+        .attr('x', labelOnLeft ? cx - radius - 4 : cx + radius + 4)
+        .attr('y', cy)
+        .attr('dy', '0.35em')
+        .attr('text-anchor', labelOnLeft ? 'end' : 'start')
+        .attr('font-family', fontFamily)
+        .attr('font-size', pointLabelFontSize + 'px')
+        .attr('font-weight', isPointEmphasized(point) ? 700 : 500)
+        .attr('fill', isPointEmphasized(point) ? themeColors.emphasisColor : themeColors.labelColor)
+        .style('pointer-events', 'none')
+        .text(point.id);
+    });
+
+    renderWatermark(svg, {
+      userTier: settings.userTier,
+      width,
+      chartBottom: height,
+      fontFamily,
+      darkMode,
+    });
+  }, [data, periodNames, columnSchema, styleSettings, onPointClick]);
+
+  return (
+    <div className="scatter-chart-container">
+      <svg ref={svgRef}></svg>
+    </div>
+  );
+};
+
+export default React.memo(ScatterChart);
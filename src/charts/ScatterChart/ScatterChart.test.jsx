@@ -0,0 +1,159 @@
+/**
+ * Tests for ScatterChart Component
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, fireEvent } from '@testing-library/react';
+import ScatterChart from './ScatterChart';
+import { defaultData, buildScatterPoints, getQuadrantDivider } from './scatterChartDefaults';
+
+describe('ScatterChart', () => {
+  const mockPeriodNames = ['Price', 'Units Sold', 'Revenue', 'Segment'];
+
+  describe('buildScatterPoints', () => {
+    it('should create one point per row with mapped values', () => {
+      const { points, skipped } = buildScatterPoints(defaultData, {
+        xColumn: 'Price',
+        yColumn: 'Units Sold',
+        sizeColumn: 'Revenue',
+        colorColumn: 'Segment',
+      });
+
+      expect(skipped).toBe(0);
+      expect(points).toHaveLength(6);
+      expect(points[0]).toEqual({ id: 'Widget Pro', x: 129, y: 4200, size: 541800, color: 'Premium' });
+    });
+
+    it('should skip rows without numeric x/y values', () => {
+      const data = [
+        { Category: 'A', X: 1, Y: 2 },
+        { Category: 'B', X: 'n/a', Y: 2 },
+        { Category: 'C', X: 3, Y: '' },
+      ];
+      const { points, skipped } = buildScatterPoints(data, { xColumn: 'X', yColumn: 'Y' });
+
+      expect(points.map(p => p.id)).toEqual(['A']);
+      expect(skipped).toBe(2);
+    });
+
+    it('should skip non-positive values on a log axis', () => {
+      const data = [
+        { Category: 'A', X: 10, Y: 2 },
+        { Category: 'B', X: 0, Y: 2 },
+        { Category: 'C', X: -5, Y: 2 },
+      ];
+      const { points } = buildScatterPoints(data, { xColumn: 'X', yColumn: 'Y', xScaleType: 'log' });
+
+      expect(points.map(p => p.id)).toEqual(['A']);
+    });
+
+    it('should return no points without an x/y mapping', () => {
+      expect(buildScatterPoints(defaultData, { xColumn: 'Price' }).points).toEqual([]);
+    });
+  });
+
+  describe('getQuadrantDivider', () => {
+    it('should use the median, mean or a custom value', () => {
+      const values = [1, 2, 3, 10];
+
+      expect(getQuadrantDivider(values, 'median')).toBe(2.5);
+      expect(getQuadrantDivider(values, 'mean')).toBe(4);
+      expect(getQuadrantDivider(values, 'custom', 7)).toBe(7);
+    });
+  });
+
+  describe('Rendering', () => {
+    it('should render one point per row', () => {
+      const { container } = render(
+        <ScatterChart data={defaultData} periodNames={mockPeriodNames} />
+      );
+
+      expect(container.querySelectorAll('svg')).toHaveLength(1);
+      expect(container.querySelectorAll('.scatter-point')).toHaveLength(6);
+      expect(container.querySelector('.scatter-x-title').textContent).toBe('Price');
+      expect(container.querySelector('.scatter-y-title').textContent).toBe('Units Sold');
+    });
+
+    it('should size bubbles by the size column', () => {
+      const { container } = render(
+        <ScatterChart
+          data={defaultData}
+          periodNames={mockPeriodNames}
+          styleSettings={{ sizeColumn: 'Revenue', bubbleMaxRadius: 30 }}
+        />
+      );
+
+      const radii = Array.from(container.querySelectorAll('.scatter-point')).map(c => Number(c.getAttribute('r')));
+      expect(Math.max(...radii)).toBeCloseTo(30);
+      expect(new Set(radii).size).toBeGreaterThan(1);
+    });
+
+    it('should show a legend entry per group for text color columns', () => {
+      const { container } = render(
+        <ScatterChart
+          data={defaultData}
+          periodNames={mockPeriodNames}
+          styleSettings={{ colorColumn: 'Segment' }}
+        />
+      );
+
+      expect(container.querySelectorAll('.scatter-legend circle')).toHaveLength(3);
+    });
+
+    it('should draw quadrant lines and labels', () => {
+      const { container } = render(
+        <ScatterChart
+          data={defaultData}
+          periodNames={mockPeriodNames}
+          styleSettings={{ showQuadrants: true, quadrantLabels: ['Stars', '', '', ''] }}
+        />
+      );
+
+      expect(container.querySelectorAll('.scatter-quadrant-line')).toHaveLength(2);
+      expect(container.querySelector('.scatter-quadrant-label').textContent).toBe('Stars');
+    });
+
+    it('should only label emphasized points by default', () => {
+      const { container } = render(
+        <ScatterChart
+          data={defaultData}
+          periodNames={mockPeriodNames}
+          styleSettings={{ emphasizedScatterPoints: ['Tool Kit'] }}
+        />
+      );
+
+      const labels = Array.from(container.querySelectorAll('.scatter-label')).map(l => l.textContent);
+      expect(labels).toEqual(['Tool Kit']);
+    });
+
+    it('should fall back to numeric columns when the mapping is missing', () => {
+      const { container } = render(
+        <ScatterChart
+          data={defaultData}
+          periodNames={['Segment', 'Price', 'Units Sold']}
+          styleSettings={{ xColumn: 'Missing Column' }}
+        />
+      );
+
+      expect(container.querySelector('.scatter-x-title').textContent).toBe('Price');
+      expect(container.querySelectorAll('.scatter-point')).toHaveLength(6);
+    });
+
+    it('should call onPointClick with the point id', () => {
+      const handleClick = vi.fn();
+      const { container } = render(
+        <ScatterChart data={defaultData} periodNames={mockPeriodNames} onPointClick={handleClick} />
+      );
+
+      fireEvent.click(container.querySelector('.scatter-point'));
+
+      expect(handleClick).toHaveBeenCalledWith(expect.objectContaining({ id: expect.any(String) }), expect.any(String));
+    });
+
+    it('should render nothing with fewer than two numeric columns', () => {
+      const { container } = render(<ScatterChart data={defaultData} periodNames={['Price']} />);
+
+      expect(container.querySelectorAll('.scatter-point')).toHaveLength(0);
+    });
+  });
+});
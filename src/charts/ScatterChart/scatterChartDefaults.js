@@ -0,0 +1,167 @@
+/**
+ * Default data and settings for Scatter Chart
+ */
+
+import { calculateAverage, calculateMedian } from '../../shared/utils/calculations';
+
+/**
+ * Default sample data (one row per point)
+ */
+export const defaultData = [
+  { Category: 'Widget Pro', Price: 129, 'Units Sold': 4200, Revenue: 541800, Segment: 'Premium' },
+  { Category: 'Widget Lite', Price: 49, 'Units Sold': 9800, Revenue: 480200, Segment: 'Budget' },
+  { Category: 'Gadget Max', Price: 199, 'Units Sold': 1900, Revenue: 378100, Segment: 'Premium' },
+  { Category: 'Gadget Mini', Price: 79, 'Units Sold': 6100, Revenue: 481900, Segment: 'Core' },
+  { Category: 'Tool Kit', Price: 99, 'Units Sold': 3500, Revenue: 346500, Segment: 'Core' },
+  { Category: 'Starter Pack', Price: 29, 'Units Sold': 12400, Revenue: 359600, Segment: 'Budget' },
+];
+
+/**
+ * Default style settings for Scatter Chart
+ */
+export const defaultStyleSettings = {
+  // Title and Subtitle
+  title: '',
+  subtitle: '',
+  fontFamily: 'Inter',
+  titleFontSize: 28,
+  subtitleFontSize: 20,
+  titleAlignment: 'left',
+
+  // Column mapping - empty x/y fall back to the first two numeric columns
+  xColumn: '',
+  yColumn: '',
+  sizeColumn: '', // Empty = fixed point size (scatter), otherwise bubble chart
+  colorColumn: '', // Empty = single color; text columns use the palette, numeric columns a gradient
+
+  // Points
+  pointRadius: 6, // Radius when no size column is mapped
+  bubbleMinRadius: 4,
+  bubbleMaxRadius: 32,
+  pointOpacity: 0.75,
+  pointStrokeWidth: 1,
+
+  // Colors
+  barColor: '#1e40af', // Single point color, and the dark end of numeric color gradients
+  comparisonPalette: 'observable10',
+  userCustomColors: [],
+
+  // Axes
+  xScaleType: 'linear', // 'linear' or 'log'
+  yScaleType: 'linear',
+  xAxisTitle: '', // Empty = x column name
+  yAxisTitle: '', // Empty = y column name
+  xAxisPrefix: '',
+  xAxisSuffix: '',
+  yAxisPrefix: '',
+  yAxisSuffix: '',
+  axisDecimalPlaces: 0,
+  compactAxisNumbers: true,
+  showGridLines: true,
+  gridLineColor: '#e5e7eb',
+  gridLineOpacity: 0.5,
+
+  // Quadrants
+  showQuadrants: false,
+  quadrantXMode: 'median', // 'mean', 'median', or 'custom'
+  quadrantXValue: 0, // Used when quadrantXMode is 'custom'
+  quadrantYMode: 'median',
+  quadrantYValue: 0,
+  quadrantLabels: ['', '', '', ''], // Top right, top left, bottom left, bottom right
+
+  // Labels
+  pointLabelMode: 'emphasized', // 'emphasized', 'all', or 'none'
+  showLegend: true,
+
+  // Typography
+  axisFontSize: 14,
+  axisTitleFontSize: 15,
+  pointLabelFontSize: 13,
+  legendFontSize: 14,
+
+  // Emphasis
+  emphasizedScatterPoints: [], // Point names that get labels and full color
+
+  // Layout
+  width: 900,
+  height: 600,
+  marginTop: 40,
+  marginRight: 40,
+  marginBottom: 70,
+  marginLeft: 80,
+
+  // Theme
+  backgroundColor: '#ffffff',
+  darkMode: false,
+};
+
+/**
+ * Build the list of points to plot from chart rows
+ * Rows without numeric x/y values are skipped, as are non-positive values on a log axis.
+ *
+ * @param {Array} data - Rows ({ Category: 'Widget', Price: 129, 'Units Sold': 4200 })
+ * @param {Object} mapping - Column mapping and scale types
+ * @param {string} mapping.xColumn - Column for the x position
+ * @param {string} mapping.yColumn - Column for the y position
+ * @param {string} mapping.sizeColumn - Optional column for bubble size
+ * @param {string} mapping.colorColumn - Optional column for point color
+ * @param {string} mapping.xScaleType - 'linear' or 'log'
+ * @param {string} mapping.yScaleType - 'linear' or 'log'
+ * @returns {Object} { points: [{ id, x, y, size, color }], skipped }
+ */
+export const buildScatterPoints = (data, {
+  xColumn,
+  yColumn,
+  sizeColumn = '',
+  colorColumn = '',
+  xScaleType = 'linear',
+  yScaleType = 'linear',
+} = {}) => {
+  if (!data || data.length === 0 || !xColumn || !yColumn) {
+    return { points: [], skipped: 0 };
+  }
+
+  const toNumber = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    const num = Number(value);
+    return isNaN(num) ? null : num;
+  };
+
+  const points = [];
+  let skipped = 0;
+
+  data.forEach((row, index) => {
+    const x = toNumber(row[xColumn]);
+    const y = toNumber(row[yColumn]);
+
+    if (x === null || y === null ||
+      (xScaleType === 'log' && x <= 0) ||
+      (yScaleType === 'log' && y <= 0)) {
+      skipped += 1;
+      return;
+    }
+
+    points.push({
+      id: String(row.Category ?? `Point ${index + 1}`),
+      x,
+      y,
+      size: sizeColumn ? Math.max(0, toNumber(row[sizeColumn]) || 0) : null,
+      color: colorColumn ? row[colorColumn] : null,
+    });
+  });
+
+  return { points, skipped };
+};
+
+/**
+ * Position of a quadrant divider
+ * @param {Array} values - Values along the axis
+ * @param {string} mode - 'mean', 'median', or 'custom'
+ * @param {number} customValue - Divider position when mode is 'custom'
+ * @returns {number} Divider position
+ */
+export const getQuadrantDivider = (values, mode, customValue) => {
+  if (mode === 'custom') return Number(customValue) || 0;
+  if (mode === 'mean') return calculateAverage(values);
+  return calculateMedian(values);
+};
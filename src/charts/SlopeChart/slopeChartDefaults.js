@@ -124,17 +124,16 @@ export const labelFormatOptions = [
 
 /**
  * Get color for a line based on color mode
+ * @param {Object} dataPoint - The line's plotted values, { start, end }
  */
 export const getLineColor = (dataPoint, index, styleSettings, palettes) => {
   const { colorMode } = styleSettings;
 
   switch (colorMode) {
     case 'trend': {
-      const keys = Object.keys(dataPoint).filter(k => k !== 'category' && k !== 'Stage');
-      if (keys.length < 2) return styleSettings.noChangeColor;
+      const { start, end } = dataPoint;
+      if (start == null || end == null) return styleSettings.noChangeColor;
 
-      const start = dataPoint[keys[0]];
-      const end = dataPoint[keys[1]];
       const change = end - start;
 
       if (change > 0) return styleSettings.increaseColor;
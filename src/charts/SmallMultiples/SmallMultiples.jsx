@@ -0,0 +1,273 @@
+import React, { useRef, useEffect, useMemo } from 'react';
+import * as d3 from 'd3';
+import { getChart } from '../registry';
+import {
+  WATERMARK_MARGIN_HEIGHT,
+  renderChartHeader,
+  renderWatermark,
+} from '../../shared/utils/chartDecorations';
+import {
+  defaultStyleSettings,
+  MAX_PANELS,
+  supportsSharedScale,
+  getSmallMultiplePanels,
+  getSharedValueDomain,
+  getSmallMultiplesLayout,
+} from './smallMultiplesDefaults';
+import { debug } from '../../shared/utils/debug';
+
+/**
+ * Give every id in a cloned panel a unique suffix and point url(#id) / href="#id" references at it
+ * Panels are copies of the same chart, so gradients and clip paths would otherwise collide
+ */
+const suffixPanelIds = (node, suffix) => {
+  const idNodes = node.querySelectorAll('[id]');
+  if (idNodes.length === 0) return;
+
+  const renamed = new Map();
+  idNodes.forEach(element => {
+    const id = element.getAttribute('id');
+    renamed.set(id, `${id}${suffix}`);
+    element.setAttribute('id', `${id}${suffix}`);
+  });
+
+  node.querySelectorAll('*').forEach(element => {
+    Array.from(element.attributes).forEach(attribute => {
+      const value = attribute.value;
+      if (value.includes('url(#')) {
+        element.setAttribute(attribute.name, value.replace(/url\(#([^)]+)\)/g, (match, id) =>
+          renamed.has(id) ? `url(#${renamed.get(id)})` : match
+        ));
+      } else if ((attribute.name === 'href' || attribute.name === 'xlink:href') && value.startsWith('#')) {
+        const id = value.slice(1);
+        if (renamed.has(id)) element.setAttribute(attribute.name, `#${renamed.get(id)}`);
+      }
+    });
+  });
+};
+
+/**
+ * SmallMultiples Component
+ *
+ * Splits a dataset into panels and draws the registered chart for the current chart type
+ * once per panel, laid out as a grid in a single SVG so the whole grid exports as one file
+ *
+ * Features:
+ * - One panel per value column, or one panel per value of a text column (e.g. Region)
+ * - Shared or independent value scale (bar, line and area charts)
+ * - One title, subtitle and watermark for the whole grid
+ *
+ * The panel charts are drawn off-screen and copied into the grid whenever they redraw,
+ * so panels look exactly like the full-size chart with the same settings.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.chartType - Registry key of the chart drawn in each panel
+ * @param {Array} props.data - Chart data
+ * @param {Array} props.periodNames - Value columns to plot
+ * @param {Object} props.columnSchema - Column types from useChartData
+ * @param {Object} props.styleSettings - Style settings object
+ */
+const SmallMultiples = ({ chartType, data, periodNames, columnSchema, styleSettings = {} }) => {
+  const svgRef = useRef(null);
+  const stagingRef = useRef(null);
+  const composeRef = useRef(null);
+
+  // Merge provided settings with defaults
+  const settings = { ...defaultStyleSettings, ...styleSettings };
+  const {
+    smallMultiplesMode,
+    smallMultiplesColumn,
+    smallMultiplesGridColumns,
+    smallMultiplesSharedScale,
+    panelGap,
+    gridPadding,
+    canvasWidth,
+    canvasHeight,
+    title,
+    subtitle,
+    titleFontSize,
+    subtitleFontSize,
+  } = settings;
+
+  const chart = getChart(chartType);
+
+  const panels = useMemo(() => {
+    const allPanels = getSmallMultiplePanels(data, periodNames, {
+      mode: smallMultiplesMode,
+      column: smallMultiplesColumn,
+      columnSchema,
+    });
+    if (allPanels.length > MAX_PANELS) {
+      debug.warn('SmallMultiples', `Showing the first ${MAX_PANELS} of ${allPanels.length} panels`);
+    }
+    return allPanels.slice(0, MAX_PANELS);
+  }, [data, periodNames, columnSchema, smallMultiplesMode, smallMultiplesColumn]);
+
+  // Same arithmetic as renderChartHeader, needed before drawing to size the panels
+  const headerHeight = (title ? titleFontSize : 0) + (subtitle ? subtitleFontSize : 0) +
+    (title && subtitle ? 5 : 0) + (title || subtitle ? 20 : 0);
+  const gridTop = gridPadding + headerHeight;
+
+  const layout = useMemo(() => getSmallMultiplesLayout(panels.length, {
+    width: canvasWidth - gridPadding * 2,
+    height: canvasHeight - gridTop - gridPadding,
+    columns: smallMultiplesGridColumns,
+    gap: panelGap,
+  }), [panels.length, canvasWidth, canvasHeight, gridTop, gridPadding, smallMultiplesGridColumns, panelGap]);
+
+  const panelSettings = useMemo(() => {
+    const { panelWidth, panelHeight } = layout;
+    const sharedDomain = smallMultiplesSharedScale && supportsSharedScale(chartType)
+      ? getSharedValueDomain(panels, {
+        stacked: styleSettings.barMode === 'stacked' || Boolean(styleSettings.stackAreas && styleSettings.showAreaFill),
+      })
+      : null;
+
+    const baseSettings = {
+      ...styleSettings,
+      title: '',
+      subtitle: '',
+      titleFontSize: subtitleFontSize,
+      // The grid draws one watermark for all panels
+      userTier: 'pro',
+      width: panelWidth,
+      height: panelHeight,
+      canvasWidth: panelWidth,
+      canvasHeight: panelHeight,
+      // Panels must not report their own axis bounds back to the editor
+      setCalculatedAxisMinimum: undefined,
+      setCalculatedAxisMaximum: undefined,
+      setCalculatedAxisMajorUnit: undefined,
+    };
+
+    // Bar charts size the plot area and add their margins around it
+    if (chartType?.startsWith('bar-')) {
+      baseSettings.chartWidth = Math.max(150, panelWidth - (styleSettings.marginLeft ?? 180) - (styleSettings.marginRight ?? 60));
+      baseSettings.chartHeight = Math.max(100, panelHeight - (styleSettings.marginTop ?? 60) - (styleSettings.marginBottom ?? 80));
+    }
+
+    if (sharedDomain) {
+      baseSettings.axisMinimum = sharedDomain[0];
+      baseSettings.axisMinimumAuto = false;
+      baseSettings.axisMaximum = sharedDomain[1];
+      baseSettings.axisMaximumAuto = false;
+    }
+
+    return panels.map(panel => ({ ...baseSettings, title: panel.label }));
+  }, [panels, layout, chartType, styleSettings, smallMultiplesSharedScale, subtitleFontSize]);
+
+  /**
+   * Copy the off-screen panel charts into the grid
+   */
+  composeRef.current = () => {
+    if (!svgRef.current || !stagingRef.current) return;
+
+    const svg = d3.select(svgRef.current);
+    svg.selectAll('*').remove();
+
+    const watermarkMarginHeight = settings.userTier !== 'pro' ? WATERMARK_MARGIN_HEIGHT : 0;
+    svg
+      .attr('width', canvasWidth)
+      .attr('height', canvasHeight + watermarkMarginHeight)
+      .style('background-color', settings.backgroundColor);
+
+    renderChartHeader(svg, {
+      title,
+      subtitle,
+      titleFontSize,
+      subtitleFontSize,
+      titleAlignment: settings.titleAlignment,
+      fontFamily: settings.fontFamily,
+      width: canvasWidth,
+      marginLeft: gridPadding,
+      darkMode: settings.darkMode,
+    });
+
+    const grid = svg
+      .append('g')
+      .attr('class', 'small-multiples-grid')
+      .attr('transform', `translate(${gridPadding}, ${gridTop})`);
+
+    stagingRef.current.querySelectorAll('.small-multiples-panel').forEach((panelNode, index) => {
+      const panelSvg = panelNode.querySelector('svg');
+      const position = layout.positions[index];
+      if (!panelSvg || !position) return;
+
+      // Scale each panel's own drawing into its cell, whatever size the chart chose
+      const sourceWidth = Number(panelSvg.getAttribute('width')) || layout.panelWidth;
+      const sourceHeight = Number(panelSvg.getAttribute('height')) || layout.panelHeight;
+
+      const clone = panelSvg.cloneNode(true);
+      suffixPanelIds(clone, `-panel-${index}`);
+      clone.setAttribute('class', 'small-multiples-panel-svg');
+      clone.setAttribute('x', position.x);
+      clone.setAttribute('y', position.y);
+      clone.setAttribute('width', layout.panelWidth);
+      clone.setAttribute('height', layout.panelHeight);
+      clone.setAttribute('viewBox', `0 0 ${sourceWidth} ${sourceHeight}`);
+      clone.setAttribute('preserveAspectRatio', 'xMidYMid meet');
+      grid.node().appendChild(clone);
+    });
+
+    renderWatermark(svg, {
+      userTier: settings.userTier,
+      width: canvasWidth,
+      chartBottom: canvasHeight,
+      fontFamily: settings.fontFamily,
+      darkMode: settings.darkMode,
+    });
+  };
+
+  /**
+   * Main rendering effect
+   * Runs after the panel charts' own effects, so their SVGs are already drawn
+   */
+  useEffect(() => {
+    if (!chart) {
+      debug.warn('SmallMultiples', `Unknown chart type "${chartType}"`);
+    } else if (panels.length === 0) {
+      debug.warn('SmallMultiples', smallMultiplesMode === 'column'
+        ? `No panels - column "${smallMultiplesColumn}" was not found`
+        : 'No panels - there are no numeric value columns to split by');
+    }
+    composeRef.current();
+  }, [chart, chartType, panels, panelSettings, styleSettings, smallMultiplesMode, smallMultiplesColumn]);
+
+  // Panel charts can redraw on their own (e.g. after measuring text), so copy them again when they do
+  useEffect(() => {
+    if (!stagingRef.current || typeof MutationObserver === 'undefined') return;
+    const observer = new MutationObserver(() => composeRef.current());
+    observer.observe(stagingRef.current, { childList: true, subtree: true, attributes: true, characterData: true });
+    return () => observer.disconnect();
+  }, []);
+
+  const PanelChart = chart?.component;
+  // Line and area charts take their value columns as metricNames
+  const columnsProp = chartType === 'line' || chartType === 'area' || chartType === 'area-stacked'
+    ? 'metricNames'
+    : 'periodNames';
+
+  return (
+    <div className="small-multiples-container">
+      <svg ref={svgRef}></svg>
+      <div
+        ref={stagingRef}
+        aria-hidden="true"
+        style={{ position: 'absolute', left: -100000, top: 0, visibility: 'hidden', pointerEvents: 'none' }}
+      >
+        {PanelChart && panels.map((panel, index) => (
+          <div key={panel.key} className="small-multiples-panel">
+            <PanelChart
+              data={panel.data}
+              {...{ [columnsProp]: panel.periodNames }}
+              columnSchema={columnSchema}
+              styleSettings={panelSettings[index]}
+            />
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default React.memo(SmallMultiples);
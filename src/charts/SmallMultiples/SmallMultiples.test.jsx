@@ -0,0 +1,130 @@
+/**
+ * Tests for SmallMultiples Component
+ */
+
+import { describe, it, expect } from 'vitest';
+import { render } from '@testing-library/react';
+import SmallMultiples from './SmallMultiples';
+import {
+  getSmallMultiplePanels,
+  getSharedValueDomain,
+  getSmallMultiplesLayout,
+} from './smallMultiplesDefaults';
+
+const regionData = [
+  { Category: 'Q1', Region: 'North', Sales: 120, Returns: 8 },
+  { Category: 'Q2', Region: 'North', Sales: 140, Returns: 9 },
+  { Category: 'Q1', Region: 'South', Sales: 60, Returns: 4 },
+  { Category: 'Q2', Region: 'South', Sales: 75, Returns: 6 },
+  { Category: 'Q1', Region: 'West', Sales: 90, Returns: 5 },
+  { Category: 'Q2', Region: 'West', Sales: 410, Returns: 7 },
+];
+const regionColumns = ['Region', 'Sales', 'Returns'];
+
+describe('SmallMultiples', () => {
+  describe('getSmallMultiplePanels', () => {
+    it('should make one panel per numeric value column, keeping text columns in each', () => {
+      const panels = getSmallMultiplePanels(regionData, regionColumns, { mode: 'metrics' });
+
+      expect(panels.map(p => p.label)).toEqual(['Sales', 'Returns']);
+      expect(panels[1].periodNames).toEqual(['Region', 'Returns']);
+      expect(panels[0].data).toHaveLength(6);
+    });
+
+    it('should make one panel per value of a text column, in order of appearance', () => {
+      const panels = getSmallMultiplePanels(regionData, regionColumns, { mode: 'column', column: 'Region' });
+
+      expect(panels.map(p => p.label)).toEqual(['North', 'South', 'West']);
+      expect(panels[1].data.map(row => row.Sales)).toEqual([60, 75]);
+      expect(panels[1].periodNames).toEqual(['Sales', 'Returns']);
+    });
+
+    it('should return no panels when the split column does not exist', () => {
+      expect(getSmallMultiplePanels(regionData, regionColumns, { mode: 'column', column: 'Country' })).toEqual([]);
+    });
+  });
+
+  describe('getSharedValueDomain', () => {
+    it('should cover every panel from zero to a nice maximum', () => {
+      const panels = getSmallMultiplePanels(regionData, regionColumns, { mode: 'column', column: 'Region' });
+
+      expect(getSharedValueDomain(panels)).toEqual([0, 500]);
+    });
+
+    it('should compare row totals for stacked charts', () => {
+      const panels = getSmallMultiplePanels(regionData, regionColumns, { mode: 'column', column: 'Region' });
+
+      expect(getSharedValueDomain(panels, { stacked: true })).toEqual([0, 500]);
+      expect(getSharedValueDomain([{ data: [{ A: 30, B: 45 }], periodNames: ['A', 'B'] }], { stacked: true }))
+        .toEqual([0, 80]);
+    });
+  });
+
+  describe('getSmallMultiplesLayout', () => {
+    it('should fill rows left to right and wrap', () => {
+      const layout = getSmallMultiplesLayout(5, { width: 640, height: 416, columns: 3, gap: 20 });
+
+      expect(layout.columns).toBe(3);
+      expect(layout.rows).toBe(2);
+      expect(layout.panelWidth).toBe(200);
+      expect(layout.panelHeight).toBe(198);
+      expect(layout.positions[4]).toEqual({ x: 220, y: 218 });
+    });
+
+    it('should not leave empty columns when there are fewer panels than columns', () => {
+      expect(getSmallMultiplesLayout(2, { width: 600, height: 300, columns: 4, gap: 0 }).panelWidth).toBe(300);
+    });
+  });
+
+  describe('Rendering', () => {
+    it('should draw every panel into one SVG', () => {
+      const { container } = render(
+        <SmallMultiples
+          chartType="heatmap"
+          data={regionData}
+          periodNames={regionColumns}
+          styleSettings={{
+            smallMultiplesMode: 'column',
+            smallMultiplesColumn: 'Region',
+            title: 'Sales by Region',
+            userTier: 'pro',
+          }}
+        />
+      );
+
+      const gridSvg = container.querySelector('svg');
+      expect(gridSvg.querySelector('.chart-title').textContent).toBe('Sales by Region');
+      expect(gridSvg.querySelectorAll('.small-multiples-panel-svg')).toHaveLength(3);
+    });
+
+    it('should give each copied panel its own ids', () => {
+      const { container } = render(
+        <SmallMultiples
+          chartType="heatmap"
+          data={regionData}
+          periodNames={regionColumns}
+          styleSettings={{ smallMultiplesMode: 'column', smallMultiplesColumn: 'Region', userTier: 'pro' }}
+        />
+      );
+
+      const ids = Array.from(container.querySelector('svg').querySelectorAll('[id]')).map(node => node.id);
+      expect(ids.length).toBeGreaterThan(1);
+      expect(new Set(ids).size).toBe(ids.length);
+    });
+
+    it('should draw a single watermark for the grid on the free tier', () => {
+      const { container } = render(
+        <SmallMultiples
+          chartType="heatmap"
+          data={regionData}
+          periodNames={regionColumns}
+          styleSettings={{ smallMultiplesMode: 'metrics', userTier: 'free' }}
+        />
+      );
+
+      const gridSvg = container.querySelector('svg');
+      expect(gridSvg.querySelectorAll('.small-multiples-panel-svg')).toHaveLength(2);
+      expect(Array.from(gridSvg.querySelectorAll('text')).filter(t => t.textContent.startsWith('Made with'))).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Default settings and layout helpers for Small Multiples
+ */
+
+import * as d3 from 'd3';
+import { isNumericType } from '../../shared/utils/columnSchema';
+
+/**
+ * Charts with a single value axis that follows the axisMinimum/axisMaximum bounds family
+ * Only these can share one value scale across panels
+ */
+export const SHARED_SCALE_CHART_TYPES = [
+  'bar-horizontal',
+  'bar-vertical',
+  'bar-grouped-horizontal',
+  'bar-grouped-vertical',
+  'line',
+  'area',
+  'area-stacked',
+];
+
+/**
+ * Most panels drawn in one grid - beyond this the panels get too small to read
+ */
+export const MAX_PANELS = 24;
+
+/**
+ * Default style settings for Small Multiples
+ */
+export const defaultStyleSettings = {
+  // Title and Subtitle (drawn once above the grid)
+  title: '',
+  subtitle: '',
+  fontFamily: 'Inter',
+  titleFontSize: 28,
+  subtitleFontSize: 20,
+  titleAlignment: 'left',
+
+  // Splitting
+  smallMultiplesMode: 'metrics', // 'metrics' = one panel per value column, 'column' = one panel per value of smallMultiplesColumn
+  smallMultiplesColumn: '',
+
+  // Grid
+  smallMultiplesGridColumns: 3,
+  smallMultiplesSharedScale: true,
+  panelGap: 16,
+
+  // Layout
+  canvasWidth: 1000,
+  canvasHeight: 600,
+  gridPadding: 20, // Space around the grid (and the left edge of the title)
+
+  // Theme
+  backgroundColor: '#ffffff',
+  darkMode: false,
+};
+
+/**
+ * Check whether a chart type can share one value scale across panels
+ * @param {string} chartType - Registry key
+ * @returns {boolean}
+ */
+export const supportsSharedScale = (chartType) => SHARED_SCALE_CHART_TYPES.includes(chartType);
+
+/**
+ * Find the columns that hold text rather than numbers
+ * These are the columns a chart can be split by
+ *
+ * @param {Array} data - Chart data rows
+ * @param {Array} columns - Candidate columns
+ * @param {Object} columnSchema - Column types (see columnSchema); values are checked when not given
+ * @returns {Array} Text column names, in column order
+ */
+export const getTextColumns = (data, columns, columnSchema) => {
+  if (!data || !columns) return [];
+  if (columnSchema) return columns.filter(column => !isNumericType(columnSchema[column]));
+  return columns.filter(column =>
+    data.some(row => {
+      const value = row[column];
+      return value !== null && value !== undefined && value !== '' && isNaN(Number(value));
+    })
+  );
+};
+
+/**
+ * Split a dataset into one panel per value column or per value of a text column
+ *
+ * @param {Array} data - Chart data rows
+ * @param {Array} periodNames - Value columns
+ * @param {Object} options - Split options
+ * @param {string} options.mode - 'metrics' or 'column'
+ * @param {string} options.column - Column to split by in 'column' mode
+ * @param {Object} options.columnSchema - Column types, to tell text columns from value columns
+ * @returns {Array} [{ key, label, data, periodNames }]
+ */
+export const getSmallMultiplePanels = (data, periodNames, { mode = 'metrics', column = '', columnSchema } = {}) => {
+  if (!data || data.length === 0 || !periodNames) return [];
+
+  if (mode === 'column') {
+    if (!column || !(column in data[0])) return [];
+
+    // Panels follow the order values first appear in, like category order everywhere else
+    const groups = d3.group(data, row => String(row[column] ?? '').trim());
+    return Array.from(groups, ([value, rows]) => ({
+      key: value,
+      label: value || '(blank)',
+      data: rows,
+      periodNames: periodNames.filter(name => name !== column),
+    }));
+  }
+
+  // Text columns stay in every panel - scatter charts color by them and Sankey targets live in one
+  const textColumns = getTextColumns(data, periodNames, columnSchema);
+  return periodNames
+    .filter(name => !textColumns.includes(name))
+    .map(name => ({
+      key: name,
+      label: name,
+      data,
+      periodNames: periodNames.filter(column => column === name || textColumns.includes(column)),
+    }));
+};
+
+/**
+ * Get the value range every panel should share
+ * Stacked charts compare row totals rather than single values
+ *
+ * @param {Array} panels - Panels from getSmallMultiplePanels
+ * @param {Object} options - Range options
+ * @param {boolean} options.stacked - Compare row totals
+ * @returns {Array|null} [min, max] rounded outwards, or null when there are no values
+ */
+export const getSharedValueDomain = (panels, { stacked = false } = {}) => {
+  const values = panels.flatMap(panel =>
+    panel.data.flatMap(row => {
+      const rowValues = panel.periodNames
+        .map(name => row[name])
+        .filter(value => value !== null && value !== undefined && value !== '' && !isNaN(Number(value)))
+        .map(Number);
+      if (!stacked) return rowValues;
+      return rowValues.length > 0 ? [d3.sum(rowValues)] : [];
+    })
+  );
+  if (values.length === 0) return null;
+
+  // Value axes start at zero unless the data goes negative
+  const min = Math.min(0, d3.min(values));
+  const max = Math.max(0, d3.max(values));
+  if (min === max) return [min, min + 1];
+  return d3.nice(min, max, 5);
+};
+
+/**
+ * Lay panels out in a grid that fills the canvas
+ *
+ * @param {number} count - Number of panels
+ * @param {Object} options - Layout options
+ * @param {number} options.width - Canvas width
+ * @param {number} options.height - Height available for the grid
+ * @param {number} options.columns - Panels per row
+ * @param {number} options.gap - Space between panels
+ * @returns {Object} { columns, rows, panelWidth, panelHeight, positions: [{ x, y }] }
+ */
+export const getSmallMultiplesLayout = (count, { width, height, columns = 3, gap = 16 }) => {
+  const gridColumns = Math.max(1, Math.min(columns, count));
+  const rows = Math.max(1, Math.ceil(count / gridColumns));
+  const panelWidth = Math.max(1, (width - gap * (gridColumns - 1)) / gridColumns);
+  const panelHeight = Math.max(1, (height - gap * (rows - 1)) / rows);
+
+  const positions = d3.range(count).map(index => ({
+    x: (index % gridColumns) * (panelWidth + gap),
+    y: Math.floor(index / gridColumns) * (panelHeight + gap),
+  }));
+
+  return { columns: gridColumns, rows, panelWidth, panelHeight, positions };
+};
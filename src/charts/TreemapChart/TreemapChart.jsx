@@ -0,0 +1,276 @@
+import React, { useRef, useEffect } from 'react';
+import * as d3 from 'd3';
+import { getPaletteColors } from '../../shared/design-system/colorPalettes';
+import { getContrastTextColor, darkenColor } from '../../shared/utils/colorUtils';
+import { formatValueLabel } from '../../shared/utils/dataFormatters';
+import { getMetricColumns } from '../../shared/utils/columnSchema';
+import {
+  WATERMARK_MARGIN_HEIGHT,
+  estimateTextWidth,
+  renderChartHeader,
+  renderWatermark,
+} from '../../shared/utils/chartDecorations';
+import { resolveValueColumn } from '../HistogramChart/histogramChartDefaults';
+import { defaultStyleSettings, resolveParentColumn, buildTreemapHierarchy } from './treemapChartDefaults';
+import { debug } from '../../shared/utils/debug';
+
+// Space between a tile's edge and its labels
+const LABEL_PADDING = 6;
+
+const TILING_METHODS = {
+  squarify: d3.treemapSquarify,
+  'slice-dice': d3.treemapSliceDice,
+};
+
+/**
+ * TreemapChart Component
+ *
+ * Part-to-whole chart for hierarchies: each leaf is a rectangle sized by its value,
+ * nested inside rectangles for the groups it belongs to
+ *
+ * Features:
+ * - Hierarchy from a delimited path column ("Region > Country") or parent/child columns
+ * - Squarified or slice-and-dice tiling
+ * - Labels hidden on tiles too small to hold them, in black or white for contrast with each tile
+ *
+ * Data format: { Category: "Europe > Germany", Revenue: 1650 } or { Category: "Germany", Parent: "Europe", Revenue: 1650 }
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.data - Chart data
+ * @param {Array} props.periodNames - Value columns, plus the parent column in parent/child mode
+ * @param {Object} props.columnSchema - Column types from useChartData; tiles are sized by a numeric column
+ * @param {Object} props.styleSettings - Style settings object
+ */
+const TreemapChart = ({ data, periodNames, columnSchema, styleSettings = {} }) => {
+  const svgRef = useRef(null);
+
+  /**
+   * Main chart rendering effect
+   */
+  useEffect(() => {
+    if (!data || data.length === 0 || !svgRef.current) return;
+
+    // Clear previous render
+    d3.select(svgRef.current).selectAll('*').remove();
+
+    // Merge provided settings with defaults
+    const settings = { ...defaultStyleSettings, ...styleSettings };
+
+    const {
+      width,
+      height,
+      marginTop,
+      marginRight,
+      marginBottom,
+      marginLeft,
+      hierarchyMode,
+      pathDelimiter,
+      parentColumn,
+      valueColumn,
+      tiling,
+      tilePadding,
+      comparisonPalette,
+      userCustomColors,
+      showGroupLabels,
+      showValueLabels,
+      labelFormat,
+      valuePrefix,
+      valueSuffix,
+      valueDecimalPlaces,
+      compactNumbers,
+      fontFamily,
+      labelFontSize,
+      valueFontSize,
+      groupLabelFontSize,
+      backgroundColor,
+      darkMode,
+    } = settings;
+
+    const columns = periodNames || [];
+    const parent = hierarchyMode === 'path' ? null : resolveParentColumn(columns, parentColumn);
+    const column = resolveValueColumn(data, getMetricColumns(columns.filter(name => name !== parent), columnSchema), valueColumn);
+    if (!column) {
+      debug.warn('TreemapChart', 'Treemaps need a column of numbers');
+      return;
+    }
+
+    const { root: tree, skipped } = buildTreemapHierarchy(data, {
+      mode: hierarchyMode,
+      delimiter: pathDelimiter,
+      parentColumn: parent,
+      valueColumn: column,
+    });
+    if (skipped > 0) {
+      debug.warn('TreemapChart', `Skipped ${skipped} row(s) without a positive value in "${column}" or with a parent loop`);
+    }
+    if (tree.children.length === 0) {
+      debug.warn('TreemapChart', 'No values to plot');
+      return;
+    }
+
+    const palette = getPaletteColors(comparisonPalette, userCustomColors);
+
+    const formatValue = (value) => formatValueLabel(value, {
+      prefix: valuePrefix,
+      suffix: valueSuffix,
+      decimalPlaces: valueDecimalPlaces,
+      compact: compactNumbers,
+    });
+
+    // Add extra canvas height for watermark margin area if user is on free tier
+    const watermarkMarginHeight = settings.userTier !== 'pro' ? WATERMARK_MARGIN_HEIGHT : 0;
+
+    const svg = d3
+      .select(svgRef.current)
+      .attr('width', width)
+      .attr('height', height + watermarkMarginHeight)
+      .style('background-color', backgroundColor);
+
+    const headerHeight = renderChartHeader(svg, {
+      title: settings.title,
+      subtitle: settings.subtitle,
+      titleFontSize: settings.titleFontSize,
+      subtitleFontSize: settings.subtitleFontSize,
+      titleAlignment: settings.titleAlignment,
+      fontFamily,
+      width,
+      marginLeft,
+      darkMode,
+    });
+
+    const plotTop = marginTop + headerHeight;
+    const plotWidth = Math.max(0, width - marginLeft - marginRight);
+    const plotHeight = Math.max(0, height - marginBottom - plotTop);
+
+    const hierarchy = d3.hierarchy(tree)
+      .sum(node => (node.children ? 0 : node.value))
+      .sort((a, b) => b.value - a.value);
+    const total = hierarchy.value;
+
+    const groupHeaderHeight = showGroupLabels ? groupLabelFontSize + LABEL_PADDING * 2 : 0;
+    d3.treemap()
+      .tile(TILING_METHODS[tiling] || d3.treemapSquarify)
+      .size([plotWidth, plotHeight])
+      .paddingInner(tilePadding)
+      .paddingOuter(node => (node.depth === 0 ? 0 : tilePadding))
+      .paddingTop(node => (node.depth === 0 ? 0 : Math.max(tilePadding, groupHeaderHeight)))
+      .round(true)(hierarchy);
+
+    // Each top-level branch takes the next palette color; nested groups get darker so their headers stand out
+    const topLevel = hierarchy.children || [];
+    const getBranchColor = (node) => {
+      const branch = node.ancestors().find(ancestor => ancestor.depth === 1) || node;
+      return palette[topLevel.indexOf(branch) % palette.length];
+    };
+
+    const formatTileValue = (value) => {
+      const percent = `${((value / total) * 100).toFixed(1)}%`;
+      if (labelFormat === 'percentage') return percent;
+      if (labelFormat === 'both') return `${formatValue(value)} (${percent})`;
+      return formatValue(value);
+    };
+
+    const chartGroup = svg.append('g')
+      .attr('class', 'treemap-chart')
+      .attr('transform', `translate(${marginLeft},${plotTop})`);
+
+    // Groups first, so leaves sit on top of their group's background
+    hierarchy.descendants()
+      .filter(node => node.depth > 0 && node.children)
+      .forEach(node => {
+        const fill = darkenColor(getBranchColor(node), 15 + (node.depth - 1) * 10);
+        const groupWidth = node.x1 - node.x0;
+        const group = chartGroup.append('g').attr('class', 'treemap-group');
+        group.append('title').text(`${node.ancestors().reverse().slice(1).map(n => n.data.name).join(' > ')}: ${formatTileValue(node.value)}`);
+        group.append('rect')
+          .attr('class', 'treemap-group-background')
+          .attr('x', node.x0)
+          .attr('y', node.y0)
+          .attr('width', groupWidth)
+          .attr('height', node.y1 - node.y0)
+          .attr('fill', fill);
+
+        const fitsHeader = groupHeaderHeight > 0 &&
+          estimateTextWidth(node.data.name, groupLabelFontSize, 600) + LABEL_PADDING * 2 <= groupWidth;
+        if (fitsHeader) {
+          group.append('text')
+            .attr('class', 'treemap-group-label')
+            .attr('x', node.x0 + LABEL_PADDING)
+            .attr('y', node.y0 + LABEL_PADDING + groupLabelFontSize * 0.85)
+            .attr('font-family', fontFamily)
+            .attr('font-size', groupLabelFontSize + 'px')
+            .attr('font-weight', 600)
+            .attr('fill', getContrastTextColor(fill))
+            .style('pointer-events', 'none')
+            .text(node.data.name);
+        }
+      });
+
+    hierarchy.leaves().forEach((leaf, leafIndex) => {
+      const fill = leaf.depth === 1 ? palette[leafIndex % palette.length] : getBranchColor(leaf);
+      const textColor = getContrastTextColor(fill);
+      const tileWidth = leaf.x1 - leaf.x0;
+      const tileHeight = leaf.y1 - leaf.y0;
+
+      const tile = chartGroup.append('g').attr('class', 'treemap-tile');
+      tile.append('title').text(`${leaf.ancestors().reverse().slice(1).map(n => n.data.name).join(' > ')}: ${formatTileValue(leaf.value)}`);
+      tile.append('rect')
+        .attr('class', 'treemap-leaf')
+        .attr('x', leaf.x0)
+        .attr('y', leaf.y0)
+        .attr('width', tileWidth)
+        .attr('height', tileHeight)
+        .attr('fill', fill);
+
+      // Name, then value underneath - each only when it fits inside the tile
+      const availableWidth = tileWidth - LABEL_PADDING * 2;
+      const nameFits = estimateTextWidth(leaf.data.name, labelFontSize, 600) <= availableWidth &&
+        labelFontSize + LABEL_PADDING * 2 <= tileHeight;
+      if (!nameFits) return;
+
+      tile.append('text')
+        .attr('class', 'treemap-label')
+        .attr('x', leaf.x0 + LABEL_PADDING)
+        .attr('y', leaf.y0 + LABEL_PADDING + labelFontSize * 0.85)
+        .attr('font-family', fontFamily)
+        .attr('font-size', labelFontSize + 'px')
+        .attr('font-weight', 600)
+        .attr('fill', textColor)
+        .style('pointer-events', 'none')
+        .text(leaf.data.name);
+
+      const valueText = formatTileValue(leaf.value);
+      const valueFits = showValueLabels &&
+        estimateTextWidth(valueText, valueFontSize) <= availableWidth &&
+        labelFontSize + valueFontSize + LABEL_PADDING * 2 + 4 <= tileHeight;
+      if (valueFits) {
+        tile.append('text')
+          .attr('class', 'treemap-value-label')
+          .attr('x', leaf.x0 + LABEL_PADDING)
+          .attr('y', leaf.y0 + LABEL_PADDING + labelFontSize + 4 + valueFontSize * 0.85)
+          .attr('font-family', fontFamily)
+          .attr('font-size', valueFontSize + 'px')
+          .attr('fill', textColor)
+          .attr('fill-opacity', 0.85)
+          .style('pointer-events', 'none')
+          .text(valueText);
+      }
+    });
+
+    renderWatermark(svg, {
+      userTier: settings.userTier,
+      width,
+      chartBottom: height,
+      fontFamily,
+      darkMode,
+    });
+  }, [data, periodNames, columnSchema, styleSettings]);
+
+  return (
+    <div className="treemap-chart-container">
+      <svg ref={svgRef}></svg>
+    </div>
+  );
+};
+
+export default React.memo(TreemapChart);
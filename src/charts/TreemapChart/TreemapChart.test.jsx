@@ -0,0 +1,124 @@
+/**
+ * Tests for TreemapChart Component
+ */
+
+import { describe, it, expect } from 'vitest';
+import { render } from '@testing-library/react';
+import TreemapChart from './TreemapChart';
+import { defaultData, defaultPeriodNames, resolveParentColumn, buildTreemapHierarchy } from './treemapChartDefaults';
+
+describe('TreemapChart', () => {
+  const getLabels = (container, className) =>
+    Array.from(container.querySelectorAll(`.${className}`)).map(t => t.textContent);
+
+  const parentData = [
+    { Category: 'Engineering', Parent: '', Budget: 0 },
+    { Category: 'Platform', Parent: 'Engineering', Budget: 0 },
+    { Category: 'Infrastructure', Parent: 'Platform', Budget: 1400 },
+    { Category: 'Mobile', Parent: 'Engineering', Budget: 1300 },
+    { Category: 'Field Sales', Parent: 'Sales', Budget: 2100 },
+  ];
+
+  describe('buildTreemapHierarchy', () => {
+    it('should nest delimited paths and add up repeated paths', () => {
+      const { root, mode } = buildTreemapHierarchy([
+        { Category: 'Europe > Germany', Sales: 10 },
+        { Category: 'Europe > France', Sales: 5 },
+        { Category: 'Europe > Germany', Sales: 2 },
+        { Category: 'Asia', Sales: 7 },
+      ], { valueColumn: 'Sales' });
+
+      expect(mode).toBe('path');
+      expect(root.children).toEqual([
+        { name: 'Europe', children: [{ name: 'Germany', value: 12 }, { name: 'France', value: 5 }] },
+        { name: 'Asia', value: 7 },
+      ]);
+    });
+
+    it('should link rows to their parents and create parents without rows of their own', () => {
+      const { root, mode } = buildTreemapHierarchy(parentData, { parentColumn: 'Parent', valueColumn: 'Budget' });
+
+      expect(mode).toBe('parent');
+      expect(root.children.map(node => node.name)).toEqual(['Engineering', 'Sales']);
+      expect(root.children[0].children[0]).toEqual({ name: 'Platform', children: [{ name: 'Infrastructure', value: 1400 }] });
+      expect(root.children[1].children).toEqual([{ name: 'Field Sales', value: 2100 }]);
+    });
+
+    it('should skip rows caught in a parent loop and rows without a positive value', () => {
+      const { root, skipped } = buildTreemapHierarchy([
+        { Category: 'A', Parent: 'B', Value: 1 },
+        { Category: 'B', Parent: 'A', Value: 1 },
+        { Category: 'C', Parent: '', Value: 3 },
+        { Category: 'D', Parent: '', Value: -2 },
+      ], { parentColumn: 'Parent', valueColumn: 'Value' });
+
+      expect(root.children).toEqual([{ name: 'C', value: 3 }]);
+      expect(skipped).toBe(3);
+    });
+
+    it('should find a column named Parent unless another is chosen', () => {
+      expect(resolveParentColumn(['Budget', 'parent'])).toBe('parent');
+      expect(resolveParentColumn(['Budget', 'Department'], 'Department')).toBe('Department');
+      expect(resolveParentColumn(['Budget'])).toBe(null);
+    });
+  });
+
+  describe('Rendering', () => {
+    it('should draw one tile per leaf inside one group per region', () => {
+      const { container } = render(
+        <TreemapChart data={defaultData} periodNames={defaultPeriodNames} />
+      );
+
+      expect(container.querySelectorAll('.treemap-leaf')).toHaveLength(14);
+      expect(getLabels(container, 'treemap-group-label')).toEqual(['Americas', 'Europe', 'Asia Pacific']);
+      expect(getLabels(container, 'treemap-label')).toContain('United States');
+    });
+
+    it('should pick black or white labels for contrast with each tile', () => {
+      const { container } = render(
+        <TreemapChart
+          data={[{ Category: 'Dark', Value: 60 }, { Category: 'Light', Value: 40 }]}
+          periodNames={['Value']}
+          styleSettings={{ comparisonPalette: 'user', userCustomColors: ['#111111', '#eeeeee'] }}
+        />
+      );
+
+      const fills = Array.from(container.querySelectorAll('.treemap-label')).map(label => label.getAttribute('fill'));
+      expect(fills).toEqual(['#ffffff', '#000000']);
+    });
+
+    it('should hide labels on tiles too small to hold them', () => {
+      const { container } = render(
+        <TreemapChart
+          data={[{ Category: 'Almost Everything', Value: 9990 }, { Category: 'A Sliver', Value: 10 }]}
+          periodNames={['Value']}
+        />
+      );
+
+      expect(container.querySelectorAll('.treemap-leaf')).toHaveLength(2);
+      expect(getLabels(container, 'treemap-label')).toEqual(['Almost Everything']);
+    });
+
+    it('should tile with slice-and-dice and show shares of the total', () => {
+      const { container } = render(
+        <TreemapChart
+          data={parentData}
+          periodNames={['Parent', 'Budget']}
+          styleSettings={{ tiling: 'slice-dice', labelFormat: 'percentage' }}
+        />
+      );
+
+      const groups = Array.from(container.querySelectorAll('.treemap-group-background'));
+      // Top-level groups are laid out side by side, so they share the same top edge
+      expect(groups[0].getAttribute('y')).toBe(groups[1].getAttribute('y'));
+      expect(getLabels(container, 'treemap-value-label')).toContain('43.8%');
+    });
+
+    it('should render nothing without a numeric column', () => {
+      const { container } = render(
+        <TreemapChart data={[{ Category: 'A', Note: 'text' }]} periodNames={['Note']} />
+      );
+      expect(container.querySelectorAll('.treemap-leaf')).toHaveLength(0);
+    });
+  });
+});
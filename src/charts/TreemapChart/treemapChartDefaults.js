@@ -0,0 +1,219 @@
+/**
+ * Default data and settings for Treemap Chart
+ */
+
+/**
+ * Default sample data - one row per leaf, the first column is the path from the top level down
+ */
+export const defaultData = [
+  { Category: 'Americas > United States', Revenue: 4200000 },
+  { Category: 'Americas > Canada', Revenue: 910000 },
+  { Category: 'Americas > Brazil', Revenue: 640000 },
+  { Category: 'Americas > Mexico', Revenue: 480000 },
+  { Category: 'Europe > Germany', Revenue: 1650000 },
+  { Category: 'Europe > United Kingdom', Revenue: 1420000 },
+  { Category: 'Europe > France', Revenue: 1180000 },
+  { Category: 'Europe > Italy', Revenue: 610000 },
+  { Category: 'Europe > Spain', Revenue: 520000 },
+  { Category: 'Asia Pacific > Japan', Revenue: 1390000 },
+  { Category: 'Asia Pacific > China', Revenue: 1240000 },
+  { Category: 'Asia Pacific > Australia', Revenue: 860000 },
+  { Category: 'Asia Pacific > India', Revenue: 530000 },
+  { Category: 'Asia Pacific > South Korea', Revenue: 450000 },
+];
+
+/**
+ * Default period names
+ */
+export const defaultPeriodNames = ['Revenue'];
+
+/**
+ * Default style settings for Treemap Chart
+ */
+export const defaultStyleSettings = {
+  // Title and Subtitle
+  title: '',
+  subtitle: '',
+  fontFamily: 'Inter',
+  titleFontSize: 28,
+  subtitleFontSize: 20,
+  titleAlignment: 'left',
+
+  // Data mapping
+  hierarchyMode: 'auto', // 'auto', 'path' (delimited first column) or 'parent' (parent/child columns)
+  pathDelimiter: '>',
+  parentColumn: '', // '' = a column named 'Parent'
+  valueColumn: '', // '' = first numeric column
+
+  // Layout
+  tiling: 'squarify', // 'squarify' (close to square tiles) or 'slice-dice' (alternating rows and columns by depth)
+  tilePadding: 2, // Gap between tiles in px
+
+  // Colors - each top-level group takes the next palette color
+  comparisonPalette: 'observable10',
+  userCustomColors: [],
+
+  // Labels - hidden automatically on tiles too small to hold them
+  showGroupLabels: true, // Header strip on each group
+  showValueLabels: true,
+  labelFormat: 'value', // 'value', 'percentage' (of the total) or 'both'
+  valuePrefix: '',
+  valueSuffix: '',
+  valueDecimalPlaces: 0,
+  compactNumbers: true,
+
+  // Typography
+  labelFontSize: 14,
+  valueFontSize: 12,
+  groupLabelFontSize: 13,
+
+  // Layout
+  width: 900,
+  height: 560,
+  marginTop: 40,
+  marginRight: 40,
+  marginBottom: 40,
+  marginLeft: 40,
+
+  // Theme
+  backgroundColor: '#ffffff',
+  darkMode: false,
+};
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const num = Number(value);
+  return isNaN(num) ? null : num;
+};
+
+/**
+ * Find the column holding each row's parent
+ *
+ * @param {Array} columns - Available columns
+ * @param {string} parentColumn - Chosen column ('' = a column named 'Parent')
+ * @returns {string|null} Column name, or null when there is none
+ */
+export const resolveParentColumn = (columns, parentColumn = '') => {
+  if (!columns || columns.length === 0) return null;
+  if (parentColumn && columns.includes(parentColumn)) return parentColumn;
+  return columns.find(column => column.trim().toLowerCase() === 'parent') ?? null;
+};
+
+/**
+ * Build a nested tree from flat rows
+ * Path mode splits each label on the delimiter ("Europe > Germany"); parent mode links each row to the row
+ * named in the parent column. Only leaves carry values - a row that turns out to have children is a group,
+ * sized by its children. Rows without a positive value are skipped, as are rows whose parents form a loop.
+ *
+ * @param {Array} data - Chart data rows
+ * @param {Object} options - { mode, delimiter, parentColumn, valueColumn, labelField }
+ * @returns {Object} { root: { name, children }, mode, skipped } - mode is the one actually used ('path', 'parent' or 'flat')
+ */
+export const buildTreemapHierarchy = (data, {
+  mode = 'auto',
+  delimiter = '>',
+  parentColumn = null,
+  valueColumn = null,
+  labelField = 'Category',
+} = {}) => {
+  const root = { name: 'Total', children: [] };
+  if (!data || data.length === 0 || !valueColumn) return { root, mode: 'flat', skipped: 0 };
+
+  const getLabel = (row) => String(row[labelField] ?? '').trim();
+  const splitPath = (label) => (delimiter
+    ? label.split(delimiter).map(part => part.trim()).filter(Boolean)
+    : [label]);
+
+  let resolvedMode = mode;
+  if (mode === 'auto') {
+    if (parentColumn) resolvedMode = 'parent';
+    else if (data.some(row => splitPath(getLabel(row)).length > 1)) resolvedMode = 'path';
+    else resolvedMode = 'flat';
+  }
+  if (resolvedMode === 'parent' && !parentColumn) resolvedMode = 'flat';
+
+  let skipped = 0;
+
+  if (resolvedMode === 'parent') {
+    // One node per name; parents named but never listed become groups of their own
+    const nodes = new Map();
+    const parents = new Map();
+    const getNode = (name) => {
+      if (!nodes.has(name)) nodes.set(name, { name, children: [], value: 0 });
+      return nodes.get(name);
+    };
+
+    data.forEach(row => {
+      const name = getLabel(row);
+      if (!name) {
+        skipped += 1;
+        return;
+      }
+      const node = getNode(name);
+      node.value += Math.max(0, toNumber(row[valueColumn]) ?? 0);
+      const parent = String(row[parentColumn] ?? '').trim();
+      if (parent && parent !== name) {
+        parents.set(name, parent);
+        getNode(parent);
+      }
+    });
+
+    // Walk up from each node so a loop (A → B → A) can't hang the layout
+    const leadsToRoot = (name) => {
+      const seen = new Set();
+      let current = name;
+      while (parents.has(current)) {
+        if (seen.has(current)) return false;
+        seen.add(current);
+        current = parents.get(current);
+      }
+      return true;
+    };
+
+    nodes.forEach((node, name) => {
+      if (!leadsToRoot(name)) {
+        skipped += 1;
+        return;
+      }
+      const parent = parents.has(name) ? nodes.get(parents.get(name)) : root;
+      parent.children.push(node);
+    });
+  } else {
+    data.forEach(row => {
+      const label = getLabel(row);
+      const parts = resolvedMode === 'path' ? splitPath(label) : [label];
+      if (parts.length === 0 || !parts[0]) {
+        skipped += 1;
+        return;
+      }
+
+      let parent = root;
+      parts.forEach(part => {
+        let child = parent.children.find(node => node.name === part);
+        if (!child) {
+          child = { name: part, children: [], value: 0 };
+          parent.children.push(child);
+        }
+        parent = child;
+      });
+      parent.value += Math.max(0, toNumber(row[valueColumn]) ?? 0);
+    });
+  }
+
+  // Groups are sized by their children; drop empty leaves and groups left with nothing in them
+  const prune = (node) => {
+    if (node.children.length === 0) {
+      if (node.value > 0) return { name: node.name, value: node.value };
+      if (node !== root) skipped += 1;
+      return null;
+    }
+    const children = node.children.map(prune).filter(Boolean);
+    return children.length > 0 ? { name: node.name, children } : null;
+  };
+
+  return {
+    root: prune(root) ?? { name: root.name, children: [] },
+    mode: resolvedMode,
+    skipped,
+  };
+};
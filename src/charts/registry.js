@@ -14,7 +14,19 @@ import FunnelChart from './FunnelChart/FunnelChart';
 import SlopeChart from './SlopeChart/SlopeChart';
 import BarChart from './BarChart/BarChart';
 import LineChart from './LineChart/LineChart';
-// import SankeyChart from './SankeyChart/SankeyChart';
+import PieChart from './PieChart/PieChart';
+import SankeyChart from './SankeyChart/SankeyChart';
+import ScatterChart from './ScatterChart/ScatterChart';
+import DumbbellChart from './DumbbellChart/DumbbellChart';
+import BumpChart from './BumpChart/BumpChart';
+import HeatmapChart from './HeatmapChart/HeatmapChart';
+import ComboChart from './ComboChart/ComboChart';
+import HistogramChart from './HistogramChart/HistogramChart';
+import BoxPlotChart from './BoxPlotChart/BoxPlotChart';
+import BulletChart from './BulletChart/BulletChart';
+import RadarChart from './RadarChart/RadarChart';
+import KpiChart from './KpiChart/KpiChart';
+import TreemapChart from './TreemapChart/TreemapChart';
 
 // Import Heroicons
 import {
@@ -23,6 +35,20 @@ import {
   ArrowTrendingUpIcon,
   PresentationChartLineIcon,
   FunnelIcon,
+  ChartPieIcon,
+  ArrowsRightLeftIcon,
+  ViewfinderCircleIcon,
+  PresentationChartBarIcon,
+  AdjustmentsHorizontalIcon,
+  ScaleIcon,
+  TableCellsIcon,
+  TrophyIcon,
+  SignalIcon,
+  ViewColumnsIcon,
+  FlagIcon,
+  Squares2X2Icon,
+  RectangleGroupIcon,
+  StarIcon,
 } from '@heroicons/react/24/outline';
 
 /**
@@ -96,6 +122,36 @@ export const chartRegistry = {
     defaultDataset: 'barGroupedVertical',
   },
 
+  'bar-waterfall': {
+    name: 'Waterfall Chart',
+    component: BarChart,
+    icon: PresentationChartBarIcon,
+    description: 'Bridge from a starting value to an ending value through gains and losses',
+    supportsComparison: false,
+    category: 'comparison',
+    defaultSettings: {
+      orientation: 'vertical',
+      barMode: 'waterfall',
+      showGrid: true,
+    },
+    defaultDataset: 'waterfallRevenueBridge',
+  },
+
+  'bar-diverging': {
+    name: 'Diverging Bar Chart',
+    component: BarChart,
+    icon: ScaleIcon,
+    description: 'Likert and sentiment responses stacked either side of a neutral midpoint',
+    supportsComparison: false,
+    category: 'comparison',
+    defaultSettings: {
+      orientation: 'horizontal',
+      barMode: 'diverging',
+      showGrid: true,
+    },
+    defaultDataset: 'divergingProductSurvey',
+  },
+
   line: {
     name: 'Line Chart',
     component: LineChart,
@@ -169,6 +225,16 @@ export const chartRegistry = {
     defaultDataset: 'areaStackedDefault',
   },
 
+  kpi: {
+    name: 'KPI Tiles',
+    component: KpiChart,
+    icon: Squares2X2Icon,
+    description: 'Headline numbers with the change from the previous period and a sparkline',
+    supportsComparison: false,
+    category: 'trend',
+    defaultDataset: 'kpiMonthlyMetrics',
+  },
+
   slope: {
     name: 'Slope Chart',
     component: SlopeChart,
@@ -184,6 +250,62 @@ export const chartRegistry = {
     defaultDataset: 'tufteSlope',
   },
 
+  dumbbell: {
+    name: 'Dumbbell Chart',
+    component: DumbbellChart,
+    icon: AdjustmentsHorizontalIcon,
+    description: 'Compare two periods across many categories',
+    supportsComparison: false,
+    category: 'comparison',
+    defaultSettings: {
+      dumbbellSortBy: 'gap',
+    },
+    defaultDataset: 'dumbbellFeatureSatisfaction',
+  },
+
+  bump: {
+    name: 'Bump Chart',
+    component: BumpChart,
+    icon: TrophyIcon,
+    description: 'Track how rankings change over many periods',
+    supportsComparison: false,
+    category: 'comparison',
+    defaultSettings: {
+      labelPosition: 'right',
+      lineThickness: 3,
+      showValueLabels: false,
+    },
+    defaultDataset: 'bumpLeagueStandings',
+  },
+
+  bullet: {
+    name: 'Bullet Chart',
+    component: BulletChart,
+    icon: FlagIcon,
+    description: 'Actual vs. target against qualitative ranges, one bullet per metric',
+    supportsComparison: false,
+    category: 'comparison',
+    defaultSettings: {
+      orientation: 'horizontal',
+      showValueLabels: true,
+    },
+    defaultDataset: 'bulletExecKpis',
+  },
+
+  radar: {
+    name: 'Radar Chart',
+    component: RadarChart,
+    icon: StarIcon,
+    description: 'Compare multi-attribute profiles on axes radiating from a center',
+    supportsComparison: true,
+    category: 'comparison',
+    defaultSettings: {
+      areaOpacity: 0.2,
+      showPoints: true,
+    },
+    defaultDataset: 'radarCustomerSatisfaction',
+  },
+
   funnel: {
     name: 'Funnel Chart',
     component: FunnelChart,
@@ -198,35 +320,119 @@ export const chartRegistry = {
     defaultDataset: 'abTest',
   },
 
-  // Future chart types:
-  /*
-  
+  pie: {
+    name: 'Pie Chart',
+    component: PieChart,
+    icon: ChartPieIcon,
+    description: 'Show proportional relationships',
+    supportsComparison: false,
+    category: 'distribution',
+    defaultSettings: {
+      donutMode: false,
+      showLabels: true,
+    },
+    defaultDataset: 'marketingChannelMix',
+  },
+
+  treemap: {
+    name: 'Treemap',
+    component: TreemapChart,
+    icon: RectangleGroupIcon,
+    description: 'Show part-to-whole shares of a hierarchy as nested rectangles',
+    supportsComparison: false,
+    category: 'distribution',
+    defaultSettings: {
+      treemapTiling: 'squarify',
+      showValueLabels: true,
+    },
+    defaultDataset: 'treemapRegionalRevenue',
+  },
+
   sankey: {
     name: 'Sankey Diagram',
     component: SankeyChart,
-    icon: '🌊',
+    icon: ArrowsRightLeftIcon,
     description: 'Visualize flow between stages',
     supportsComparison: false,
     category: 'flow',
     defaultSettings: {
       nodeWidth: 20,
-      nodePadding: 10,
+      nodePadding: 16,
     },
+    defaultDataset: 'sankeySignupFlow',
   },
-  
-  pie: {
-    name: 'Pie Chart',
-    component: PieChart,
-    icon: '🥧',
-    description: 'Show proportional relationships',
+
+  scatter: {
+    name: 'Scatter Plot',
+    component: ScatterChart,
+    icon: ViewfinderCircleIcon,
+    description: 'Plot two measures against each other',
+    supportsComparison: false,
+    category: 'correlation',
+    defaultSettings: {
+      showQuadrants: false,
+      xScaleType: 'linear',
+      yScaleType: 'linear',
+    },
+    defaultDataset: 'scatterProductPricing',
+  },
+
+  heatmap: {
+    name: 'Heatmap',
+    component: HeatmapChart,
+    icon: TableCellsIcon,
+    description: 'Color a grid of values, or daily values as a calendar',
     supportsComparison: false,
     category: 'distribution',
     defaultSettings: {
-      donutMode: false,
-      showLabels: true,
+      heatmapMode: 'matrix',
+      heatmapColorScale: 'sequential',
+    },
+    defaultDataset: 'heatmapWeeklyTraffic',
+  },
+
+  histogram: {
+    name: 'Histogram',
+    component: HistogramChart,
+    icon: SignalIcon,
+    description: 'Count how values spread across bins',
+    supportsComparison: false,
+    category: 'distribution',
+    defaultSettings: {
+      histogramBinMode: 'count',
+      showValueLabels: false,
+    },
+    defaultDataset: 'histogramDeliveryTimes',
+  },
+
+  boxplot: {
+    name: 'Box Plot',
+    component: BoxPlotChart,
+    icon: ViewColumnsIcon,
+    description: 'Compare medians, spread and outliers across groups',
+    supportsComparison: false,
+    category: 'distribution',
+    defaultSettings: {
+      boxPlotShowOutliers: true,
+      showValueLabels: false,
+    },
+    defaultDataset: 'boxPlotDeliveryTimes',
+  },
+
+  combo: {
+    name: 'Combo Chart',
+    component: ComboChart,
+    icon: ChartBarSquareIcon,
+    description: 'Bars and lines together, with a secondary axis',
+    supportsComparison: false,
+    category: 'comparison',
+    defaultSettings: {
+      showPoints: true,
+      showValueLabels: false,
+      smoothLines: false,
     },
+    defaultDataset: 'comboRevenueProfit',
   },
-  */
 };
 
 /**
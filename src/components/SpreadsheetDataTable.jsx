@@ -5,6 +5,7 @@ import 'ag-grid-community/styles/ag-grid.css';
 import 'ag-grid-community/styles/ag-theme-alpine.css';
 import { ConfirmDialog } from './Toast';
 import { debug } from '../shared/utils/debug';
+import { COLUMN_TYPES, isNumericType } from '../shared/utils/columnSchema';
 
 // Register all AG Grid Community modules
 ModuleRegistry.registerModules([AllCommunityModule]);
@@ -30,8 +31,10 @@ function SpreadsheetDataTable({ chartData, chartType, onClose }) {
   // Detect chart type labels
   const isBarChart = chartType?.startsWith('bar-');
   const isLineChart = chartType === 'line' || chartType === 'area' || chartType === 'area-stacked';
-  const rowLabel = isLineChart ? 'Date' : (isBarChart ? 'Category' : 'Stage');
-  const colLabel = isLineChart ? 'Metric' : (isBarChart ? 'Value' : 'Period');
+  const isSankeyChart = chartType === 'sankey';
+  const usesCategoryField = isBarChart || chartType === 'pie' || chartType === 'scatter';
+  const rowLabel = isSankeyChart ? 'Flow' : isLineChart ? 'Date' : (usesCategoryField ? 'Category' : 'Stage');
+  const colLabel = isSankeyChart ? 'Column' : isLineChart ? 'Metric' : (usesCategoryField ? 'Value' : 'Period');
 
   // Convert chartData to AG Grid format
   const rowData = useMemo(() => {
@@ -60,11 +63,8 @@ function SpreadsheetDataTable({ chartData, chartType, onClose }) {
   const columnDefs = useMemo(() => {
     if (!chartData.editableData || chartData.editableData.length === 0) return [];
 
-    const firstRow = chartData.editableData[0];
-    const allFields = Object.keys(firstRow).filter(f => f !== 'hidden');
-
-    // Build fields array: Category/Stage/date first, then use periodNames order
-    const categoryField = allFields.find(f => f === 'Category' || f === 'Stage' || f === 'date');
+    // Build fields array: label column first, then use periodNames order
+    const categoryField = chartData.labelField;
     const periodFields = chartData.periodNames || [];
 
     // Combine: category field + period fields in user's desired order
@@ -88,7 +88,8 @@ function SpreadsheetDataTable({ chartData, chartType, onClose }) {
     };
 
     const dataColumns = fields.map((field, index) => {
-      const isCategory = field === 'Category' || field === 'Stage' || field === 'date';
+      const isCategory = field === categoryField;
+      const columnType = chartData.columnSchema?.[field] || 'number';
       const isDate = field === 'date';
       const isStage = field === 'Stage';
       const columnLetter = getColumnLetter(index);
@@ -109,6 +110,9 @@ function SpreadsheetDataTable({ chartData, chartType, onClose }) {
           onDelete: allowDelete ? () => handleColumnDelete(field) : null,
           onHide: allowHide ? () => handleColumnHide(field) : null,
           onSort: allowSort ? (ascending) => handleColumnSort(field, ascending) : null,
+          // The label column has no type picker: only category and date keep it the label
+          onTypeChange: chartData.setColumnType && !isCategory ? (type) => handleColumnTypeChange(field, type) : null,
+          columnType,
           isCategory: isCategory,
           isHidden: isHidden,
           allowSort,
@@ -144,7 +148,7 @@ function SpreadsheetDataTable({ chartData, chartType, onClose }) {
             // Enable copy/paste
             valueParser: (params) => {
               // Try to parse as number for numeric columns
-              if (!isCategory && params.newValue) {
+              if (!isCategory && isNumericType(columnType) && params.newValue) {
                 const num = parseFloat(params.newValue);
                 return isNaN(num) ? params.newValue : num;
               }
@@ -211,6 +215,18 @@ function SpreadsheetDataTable({ chartData, chartType, onClose }) {
     }, 10);
   };
 
+  // Handle column type override - numeric columns are charted, others are hidden
+  const handleColumnTypeChange = (columnName, type) => {
+    chartData.setColumnType(columnName, type);
+
+    setTimeout(() => {
+      if (gridRef.current && gridRef.current.api) {
+        gridRef.current.api.redrawRows();
+        gridRef.current.api.refreshHeader();
+      }
+    }, 10);
+  };
+
   // Handle column sort
   const handleColumnSort = (columnName, ascending) => {
     chartData.sortByPeriod(columnName, ascending);
@@ -227,7 +243,7 @@ function SpreadsheetDataTable({ chartData, chartType, onClose }) {
   // Handle add new row
   const handleAddRow = () => {
     if (newRowName.trim()) {
-      const stageFieldName = isLineChart ? 'date' : (isBarChart ? 'Category' : 'Stage');
+      const stageFieldName = isSankeyChart ? 'Source' : isLineChart ? 'date' : (usesCategoryField ? 'Category' : 'Stage');
       chartData.addStage(newRowName.trim(), stageFieldName);
       setNewRowName('');
     }
@@ -271,10 +287,11 @@ function SpreadsheetDataTable({ chartData, chartType, onClose }) {
     // Get all column definitions in their new order
     const allColumns = gridRef.current.api.getAllGridColumns();
 
-    // Extract field names, filtering out checkbox column and Category/Stage/date
+    // Extract field names, filtering out checkbox column and the label column
+    const labelField = chartData.labelField;
     const newPeriodOrder = allColumns
       .map(col => col.getColDef().field)
-      .filter(field => field && field !== 'Category' && field !== 'Stage' && field !== 'date');
+      .filter(field => field && field !== labelField);
 
     // Update the period order in chartData
     if (chartData.setPeriodOrder) {
@@ -564,7 +581,7 @@ function SpreadsheetDataTable({ chartData, chartType, onClose }) {
 
 /**
  * Column Letter Header Component (Top Row: A, B, C, etc.)
- * Contains sort arrows and menu with hide/delete controls
+ * Contains the column type picker, sort arrows and menu with hide/delete controls
  */
 function ColumnLetterHeader(props) {
   const handleSort = (ascending) => {
@@ -595,7 +612,27 @@ function ColumnLetterHeader(props) {
   return (
     <div className="relative w-full h-full bg-gray-50 border-b border-gray-300" style={headerStyle}>
       <div className="flex items-center justify-between px-2 h-full gap-2">
-        <span className="text-xs font-bold text-gray-600" style={props.isHidden ? { fontStyle: 'italic' } : {}}>{props.letter}</span>
+        <div className="flex items-center gap-2 min-w-0">
+          <span className="text-xs font-bold text-gray-600" style={props.isHidden ? { fontStyle: 'italic' } : {}}>{props.letter}</span>
+
+          {/* Column type - inferred at import, numeric types are charted */}
+          {props.onTypeChange ? (
+            <select
+              value={props.columnType}
+              onChange={(e) => props.onTypeChange(e.target.value)}
+              onClick={(e) => e.stopPropagation()}
+              onMouseDown={(e) => e.stopPropagation()}
+              className="text-xs text-gray-600 bg-white border border-gray-300 rounded px-1 py-0 focus:outline-none focus:ring-2 focus:ring-cyan-500"
+              title="Column type"
+            >
+              {Object.entries(COLUMN_TYPES).map(([value, { label }]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          ) : (
+            <span className="text-xs text-gray-500">{COLUMN_TYPES[props.columnType]?.label}</span>
+          )}
+        </div>
 
         {/* Control Buttons - Only show if allowed */}
         <div className="flex items-center gap-1">
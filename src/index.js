@@ -26,7 +26,8 @@ export {
   parseNumber,
   isValidNumber,
   roundTo,
-  formatForSpace
+  formatForSpace,
+  formatValueLabel
 } from './shared/utils/dataFormatters';
 
 // Utilities - Calculations
@@ -43,8 +44,13 @@ export {
   calculateMedian,
   calculateTrend,
   calculateStdDev,
+  calculateQuartiles,
   findOutliers,
-  calculateGrowthRate
+  calculateGrowthRate,
+  calculateTwoProportionZTest,
+  calculateStageSignificance,
+  getSignificanceMarker,
+  formatPValue
 } from './shared/utils/calculations';
 
 // Utilities - Color Utils
@@ -57,6 +63,7 @@ export {
   setColorOpacity,
   generateColorGradient,
   calculateSegmentColor,
+  desaturateColor,
   getContrastTextColor,
   isValidHexColor,
   generateRandomColor,
@@ -64,6 +71,15 @@ export {
   getColorScheme
 } from './shared/utils/colorUtils';
 
+// Utilities - Chart Decorations
+export {
+  WATERMARK_MARGIN_HEIGHT,
+  getThemeColors,
+  estimateTextWidth,
+  renderChartHeader,
+  renderWatermark
+} from './shared/utils/chartDecorations';
+
 // Utilities - CSV
 export {
   parseCSV,
@@ -98,6 +114,9 @@ export {
 
 // Charts
 export { default as FunnelChart } from './charts/FunnelChart/FunnelChart';
+export { default as PieChart } from './charts/PieChart/PieChart';
+export { default as SankeyChart } from './charts/SankeyChart/SankeyChart';
+export { default as ScatterChart } from './charts/ScatterChart/ScatterChart';
 export {
   chartRegistry,
   getChart,
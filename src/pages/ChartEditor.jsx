@@ -9,14 +9,41 @@ import { getSampleDataset } from '../shared/data/sampleDatasets';
 import { getAllTemplates, applyTemplate } from '../shared/design-system/styleTemplates';
 import { throttle } from '../shared/utils/performanceUtils';
 import { loadGoogleSheetsData, isGoogleSheetsUrl, getPublicSharingInstructions } from '../shared/utils/googleSheetsLoader';
-import { serializeChartState, deserializeChartState, applyChartState, generateChartFilename } from '../shared/utils/chartStateManager';
+import { serializeChartState, deserializeChartState, applyChartState, generateChartFilename, getSavedSource } from '../shared/utils/chartStateManager';
+import { detectErrorBarColumns, resolveErrorBars } from '../shared/utils/errorBars';
+import { REFERENCE_STATISTICS } from '../shared/utils/referenceLines';
+import { ANNOTATION_TYPES, createAnnotation } from '../shared/utils/annotations';
+import { readExcelFile, rowsToCSV } from '../shared/utils/excelUtils';
+import { getClipboardTable } from '../shared/utils/htmlTableUtils';
+import { NUMBER_FORMATS, DATE_ORDERS, PLAIN_IMPORT_LOCALE } from '../shared/utils/importLocale';
+import { isNumericType } from '../shared/utils/columnSchema';
+import { parseJSONRecords, flattenRecord, getFieldPaths, suggestFieldMapping, resolveFieldMapping } from '../shared/utils/jsonUtils';
 import { useAddonMode } from '../shared/hooks/useAddonMode';
 import { useFigmaMode } from '../shared/hooks/useFigmaMode';
 import { useLicense } from '../shared/hooks/useLicense';
 import FunnelChart from '../charts/FunnelChart/FunnelChart';
 import SlopeChart from '../charts/SlopeChart/SlopeChart';
 import BarChart from '../charts/BarChart/BarChart';
+import { buildDivergingStacks } from '../charts/BarChart/barChartDefaults';
 import LineChart from '../charts/LineChart/LineChart';
+import PieChart from '../charts/PieChart/PieChart';
+import SankeyChart from '../charts/SankeyChart/SankeyChart';
+import ScatterChart from '../charts/ScatterChart/ScatterChart';
+import DumbbellChart from '../charts/DumbbellChart/DumbbellChart';
+import BumpChart from '../charts/BumpChart/BumpChart';
+import HeatmapChart from '../charts/HeatmapChart/HeatmapChart';
+import ComboChart from '../charts/ComboChart/ComboChart';
+import { getComboSeries } from '../charts/ComboChart/comboChartDefaults';
+import HistogramChart from '../charts/HistogramChart/HistogramChart';
+import BoxPlotChart from '../charts/BoxPlotChart/BoxPlotChart';
+import BulletChart from '../charts/BulletChart/BulletChart';
+import RadarChart from '../charts/RadarChart/RadarChart';
+import KpiChart from '../charts/KpiChart/KpiChart';
+import TreemapChart from '../charts/TreemapChart/TreemapChart';
+import { MAX_AUTO_TILES_PER_ROW } from '../charts/KpiChart/kpiChartDefaults';
+import { resolveBulletColumns, MAX_RANGES } from '../charts/BulletChart/bulletChartDefaults';
+import SmallMultiples from '../charts/SmallMultiples/SmallMultiples';
+import { getTextColumns, supportsSharedScale } from '../charts/SmallMultiples/smallMultiplesDefaults';
 import SnapshotGallery from '../components/SnapshotGallery';
 import SnapshotModal from '../components/SnapshotModal';
 import SpreadsheetDataTable from '../components/SpreadsheetDataTable';
@@ -62,6 +89,164 @@ const InfoTooltip = ({ text }) => (
   </span>
 );
 
+/**
+ * Apply a scatter sample dataset's column mapping and axis scales
+ * Columns the dataset doesn't map are cleared so the chart falls back to its defaults
+ */
+const applyScatterMapping = (styleSettings, settings = {}) => {
+  styleSettings.setScatterXColumn(settings.xColumn || '');
+  styleSettings.setScatterYColumn(settings.yColumn || '');
+  styleSettings.setScatterSizeColumn(settings.sizeColumn || '');
+  styleSettings.setScatterColorColumn(settings.colorColumn || '');
+  styleSettings.setScatterXScaleType(settings.xScaleType || 'linear');
+  styleSettings.setScatterYScaleType(settings.yScaleType || 'linear');
+  styleSettings.setEmphasizedScatterPoints([]);
+};
+
+/**
+ * Apply a waterfall sample dataset's subtotal rows and end total label
+ * Increase and decrease colors are shared with diverging charts, so they are reset here too
+ */
+const applyWaterfallSettings = (styleSettings, settings = {}) => {
+  styleSettings.setWaterfallSubtotals(settings.waterfallSubtotals || []);
+  styleSettings.setWaterfallTotalLabel(settings.waterfallTotalLabel || 'Total');
+  styleSettings.setIncreaseColor(settings.increaseColor || '#10b981');
+  styleSettings.setDecreaseColor(settings.decreaseColor || '#ef4444');
+};
+
+/**
+ * Apply a diverging sample dataset's column roles, neutral placement and side colors
+ */
+const applyDivergingSettings = (styleSettings, settings = {}) => {
+  styleSettings.setDivergingNegativeColumns(settings.divergingNegativeColumns || []);
+  styleSettings.setDivergingNeutralColumns(settings.divergingNeutralColumns || []);
+  styleSettings.setDivergingNeutralPosition(settings.divergingNeutralPosition || 'center');
+  styleSettings.setIncreaseColor(settings.increaseColor || '#10b981');
+  styleSettings.setDecreaseColor(settings.decreaseColor || '#ef4444');
+};
+
+/**
+ * Apply a bar or line sample dataset's error bars
+ * Samples without bound columns switch error bars off so they don't carry over from the last sample
+ */
+const applyErrorBarSettings = (styleSettings, settings = {}) => {
+  styleSettings.setShowErrorBars(settings.showErrorBars || false);
+  styleSettings.setErrorBarColumns(settings.errorBarColumns || {});
+};
+
+/**
+ * Apply a heatmap sample dataset's layout mode, plotted column and color scale
+ * Colors the dataset doesn't set go back to the heatmap defaults
+ */
+const applyHeatmapSettings = (styleSettings, settings = {}) => {
+  styleSettings.setHeatmapMode(settings.mode || 'matrix');
+  styleSettings.setHeatmapValueColumn(settings.valueColumn || '');
+  styleSettings.setHeatmapColorScale(settings.colorScale || 'sequential');
+  styleSettings.setHeatmapLowColor(settings.lowColor || '#eff6ff');
+  styleSettings.setHeatmapHighColor(settings.highColor || '#1e3a8a');
+  styleSettings.setHeatmapMidpointAuto(settings.midpoint === undefined);
+  if (settings.midpoint !== undefined) styleSettings.setHeatmapMidpoint(settings.midpoint);
+  styleSettings.setValuePrefix(settings.valuePrefix || '');
+  styleSettings.setValueSuffix(settings.valueSuffix || '');
+};
+
+/**
+ * Apply a bump sample dataset's rank order and rank labels
+ * Datasets that already hold ranks rank the lowest value first
+ */
+const applyBumpSettings = (styleSettings, settings = {}) => {
+  styleSettings.setBumpRankOrder(settings.rankOrder || 'highest');
+  styleSettings.setShowValueLabels(settings.showValueLabels ?? false);
+};
+
+/**
+ * Apply a bullet sample dataset's orientation, scale and value number format
+ * Column roles go back to automatic so they are picked by name or position in the new data
+ */
+const applyBulletSettings = (styleSettings, settings = {}) => {
+  styleSettings.setOrientation(settings.orientation || 'horizontal');
+  styleSettings.setBulletSharedScale(settings.sharedScale ?? false);
+  styleSettings.setBulletActualColumn('');
+  styleSettings.setBulletTargetColumn('');
+  styleSettings.setBulletRangeColumns([]);
+  styleSettings.setValuePrefix(settings.valuePrefix || '');
+  styleSettings.setValueSuffix(settings.valueSuffix || '');
+  styleSettings.setValueDecimalPlaces(settings.valueDecimalPlaces ?? 0);
+};
+
+/**
+ * Apply a KPI sample dataset's lower-is-better metrics, change format and value number format
+ */
+const applyKpiSettings = (styleSettings, settings = {}) => {
+  styleSettings.setKpiLowerIsBetterColumns(settings.lowerIsBetterColumns || []);
+  styleSettings.setKpiChangeFormat(settings.changeFormat || 'percent');
+  styleSettings.setKpiTilesPerRow(settings.tilesPerRow ?? 0);
+  styleSettings.setValuePrefix(settings.valuePrefix || '');
+  styleSettings.setValueSuffix(settings.valueSuffix || '');
+  styleSettings.setValueDecimalPlaces(settings.valueDecimalPlaces ?? 0);
+};
+
+/**
+ * Apply a radar sample dataset's scale mode and number format
+ */
+const applyRadarSettings = (styleSettings, settings = {}) => {
+  styleSettings.setRadarScaleMode(settings.scaleMode || 'shared');
+  styleSettings.setValuePrefix(settings.valuePrefix || '');
+  styleSettings.setValueSuffix(settings.valueSuffix || '');
+  styleSettings.setValueDecimalPlaces(settings.valueDecimalPlaces ?? 0);
+};
+
+/**
+ * Apply a treemap sample dataset's hierarchy mode, label format and value number format
+ * Columns go back to automatic so they are picked by name or position in the new data
+ */
+const applyTreemapSettings = (styleSettings, settings = {}) => {
+  styleSettings.setTreemapHierarchyMode(settings.hierarchyMode || 'auto');
+  styleSettings.setTreemapParentColumn('');
+  styleSettings.setTreemapValueColumn('');
+  styleSettings.setTreemapLabelFormat(settings.labelFormat || 'value');
+  styleSettings.setValuePrefix(settings.valuePrefix || '');
+  styleSettings.setValueSuffix(settings.valueSuffix || '');
+  styleSettings.setValueDecimalPlaces(settings.valueDecimalPlaces ?? 0);
+};
+
+/**
+ * Apply a histogram or box plot sample dataset's plotted column, grouping and bins
+ * Box options the dataset doesn't set go back to the defaults
+ */
+const applyDistributionSettings = (styleSettings, settings = {}) => {
+  styleSettings.setDistributionValueColumn(settings.valueColumn || '');
+  styleSettings.setDistributionGroupColumn(settings.groupColumn || '');
+  styleSettings.setHistogramBinMode(settings.binMode || 'count');
+  if (settings.binCount !== undefined) styleSettings.setHistogramBinCount(settings.binCount);
+  if (settings.binWidth !== undefined) styleSettings.setHistogramBinWidth(settings.binWidth);
+  styleSettings.setBoxPlotShowOutliers(settings.showOutliers ?? true);
+  styleSettings.setBoxPlotShowMean(settings.showMean ?? false);
+  styleSettings.setAxisValuePrefix(settings.axisValuePrefix || '');
+  styleSettings.setAxisValueSuffix(settings.axisValueSuffix || '');
+};
+
+/**
+ * Apply a combo sample dataset's series types and axes, and the number format of both value axes
+ * Axis bounds and units go back to automatic so one dataset's range doesn't carry over to the next
+ */
+const applyComboSettings = (styleSettings, settings = {}) => {
+  styleSettings.setComboSeriesTypes(settings.seriesTypes || {});
+  styleSettings.setComboSeriesAxes(settings.seriesAxes || {});
+  styleSettings.setComboLeftAxisTitle(settings.leftAxisTitle || '');
+  styleSettings.setComboRightAxisTitle(settings.rightAxisTitle || '');
+  styleSettings.setAxisValuePrefix(settings.axisValuePrefix || '');
+  styleSettings.setAxisValueSuffix(settings.axisValueSuffix || '');
+  styleSettings.setSecondaryAxisValuePrefix(settings.secondaryAxisValuePrefix || '');
+  styleSettings.setSecondaryAxisValueSuffix(settings.secondaryAxisValueSuffix || '');
+  styleSettings.setAxisMinimumAuto(true);
+  styleSettings.setAxisMaximumAuto(true);
+  styleSettings.setAxisMajorUnitAuto(true);
+  styleSettings.setSecondaryAxisMinimumAuto(true);
+  styleSettings.setSecondaryAxisMaximumAuto(true);
+  styleSettings.setSecondaryAxisMajorUnitAuto(true);
+};
+
 /**
  * Chart Editor Page
  * Full-featured chart editing interface with control panel
@@ -84,6 +269,7 @@ export default function ChartEditor() {
   const [showDataTable, setShowDataTable] = useState(false);
   const [showPasteCSV, setShowPasteCSV] = useState(false);
   const [pastedCSV, setPastedCSV] = useState('');
+  const [pastedTable, setPastedTable] = useState(null); // Rows of an HTML table waiting for the user to confirm the preview
   const [showGoogleSheets, setShowGoogleSheets] = useState(false);
   const [googleSheetsUrl, setGoogleSheetsUrl] = useState('');
   const [googleSheetsLoading, setGoogleSheetsLoading] = useState(false);
@@ -492,7 +678,7 @@ export default function ChartEditor() {
     }
   }, [isChartDropdownOpen]);
 
-  // Handle slope chart line clicks for emphasis
+  // Handle slope chart line (and dumbbell row, bump line) clicks for emphasis
   const handleSlopeLineClick = useCallback((lineIndex, lineData) => {
     const currentEmphasized = styleSettings.emphasizedLines || [];
 
@@ -552,6 +738,66 @@ export default function ChartEditor() {
     }
   }, [styleSettings]);
 
+  // Handle pie chart slice clicks for emphasis
+  const handlePieSliceClick = useCallback((slice, sliceId) => {
+    const currentEmphasized = styleSettings.emphasizedSlices || [];
+
+    // If this slice is already emphasized, remove it
+    if (currentEmphasized.includes(sliceId)) {
+      styleSettings.setEmphasizedSlices(
+        currentEmphasized.filter(id => id !== sliceId)
+      );
+    } else {
+      // Add this slice to emphasis (max 4 slices)
+      if (currentEmphasized.length < 4) {
+        styleSettings.setEmphasizedSlices([...currentEmphasized, sliceId]);
+      } else {
+        // If already 4 slices, replace the oldest one
+        styleSettings.setEmphasizedSlices([currentEmphasized[1], currentEmphasized[2], currentEmphasized[3], sliceId]);
+      }
+    }
+  }, [styleSettings]);
+
+  // Handle sankey node clicks for emphasis
+  const handleSankeyNodeClick = useCallback((node, nodeId) => {
+    const currentEmphasized = styleSettings.emphasizedNodes || [];
+
+    // If this node is already emphasized, remove it
+    if (currentEmphasized.includes(nodeId)) {
+      styleSettings.setEmphasizedNodes(
+        currentEmphasized.filter(id => id !== nodeId)
+      );
+    } else {
+      // Add this node to emphasis (max 4 nodes)
+      if (currentEmphasized.length < 4) {
+        styleSettings.setEmphasizedNodes([...currentEmphasized, nodeId]);
+      } else {
+        // If already 4 nodes, replace the oldest one
+        styleSettings.setEmphasizedNodes([currentEmphasized[1], currentEmphasized[2], currentEmphasized[3], nodeId]);
+      }
+    }
+  }, [styleSettings]);
+
+  // Handle scatter point clicks for emphasis (emphasized points get labels)
+  const handleScatterPointClick = useCallback((point, pointId) => {
+    const currentEmphasized = styleSettings.emphasizedScatterPoints || [];
+
+    // If this point is already emphasized, remove it
+    if (currentEmphasized.includes(pointId)) {
+      styleSettings.setEmphasizedScatterPoints(
+        currentEmphasized.filter(id => id !== pointId)
+      );
+    } else {
+      // Add this point to emphasis (max 4 points)
+      if (currentEmphasized.length < 4) {
+        styleSettings.setEmphasizedScatterPoints([...currentEmphasized, pointId]);
+      } else {
+        // If already 4 points, replace the oldest one
+        styleSettings.setEmphasizedScatterPoints([currentEmphasized[1], currentEmphasized[2], currentEmphasized[3], pointId]);
+      }
+    }
+  }, [styleSettings]);
+
   // Handle line chart point clicks for emphasis
   const handleLineChartPointClick = useCallback((metric, pointData) => {
     const currentEmphasized = styleSettings.emphasizedPoints || [];
@@ -622,6 +868,17 @@ export default function ChartEditor() {
     styleSettings.setEmphasizedPoints(updatedPoints);
   }, [styleSettings]);
 
+  /**
+   * Handle annotation callout drag on bar and line charts
+   * Stores the new offset from the annotation's anchor point
+   */
+  const handleAnnotationDrag = useCallback((index, dx, dy) => {
+    const currentAnnotations = styleSettings.annotations || [];
+    styleSettings.setAnnotations(currentAnnotations.map((annotation, i) => (
+      i === index ? { ...annotation, dx, dy } : annotation
+    )));
+  }, [styleSettings]);
+
   /**
    * Load default sample data and styles on mount
    *
@@ -715,7 +972,8 @@ export default function ChartEditor() {
 
               // Load the CSV data from the preset
               if (presetData.data?.csv) {
-                await chartData.loadCSVText(presetData.data.csv);
+                // Preset CSV holds plain numbers, whatever the user's import locale
+                await chartData.loadCSVText(presetData.data.csv, ',', 'csv-paste', PLAIN_IMPORT_LOCALE);
               }
 
               // Apply the style settings
@@ -743,10 +1001,26 @@ export default function ChartEditor() {
           // Load timeScale for line charts
           if (dataset.timeScale) styleSettings.setTimeScale(dataset.timeScale);
 
+          // Load error bars for bar and line charts
+          if (/^(bar|line|area)/.test(dataset.chartType)) applyErrorBarSettings(styleSettings, dataset.defaultSettings);
+
           // Apply default settings from dataset if available
           if (dataset.defaultSettings) {
             if (dataset.defaultSettings.orientation) styleSettings.setOrientation(dataset.defaultSettings.orientation);
             if (dataset.defaultSettings.barMode) styleSettings.setBarMode(dataset.defaultSettings.barMode);
+            if (dataset.defaultSettings.donutMode !== undefined) styleSettings.setDonutMode(dataset.defaultSettings.donutMode);
+            if (dataset.chartType === 'scatter') applyScatterMapping(styleSettings, dataset.defaultSettings);
+            if (dataset.chartType === 'bar-waterfall') applyWaterfallSettings(styleSettings, dataset.defaultSettings);
+            if (dataset.chartType === 'bar-diverging') applyDivergingSettings(styleSettings, dataset.defaultSettings);
+            if (dataset.chartType === 'heatmap') applyHeatmapSettings(styleSettings, dataset.defaultSettings);
+            if (dataset.chartType === 'combo') applyComboSettings(styleSettings, dataset.defaultSettings);
+            if (dataset.chartType === 'bump') applyBumpSettings(styleSettings, dataset.defaultSettings);
+            if (dataset.chartType === 'histogram' || dataset.chartType === 'boxplot') applyDistributionSettings(styleSettings, dataset.defaultSettings);
+            if (dataset.chartType === 'bullet') applyBulletSettings(styleSettings, dataset.defaultSettings);
+            if (dataset.chartType === 'radar') applyRadarSettings(styleSettings, dataset.defaultSettings);
+            if (dataset.chartType === 'kpi') applyKpiSettings(styleSettings, dataset.defaultSettings);
+            if (dataset.chartType === 'treemap') applyTreemapSettings(styleSettings, dataset.defaultSettings);
+            if (dataset.defaultSettings.dumbbellSortBy) styleSettings.setDumbbellSortBy(dataset.defaultSettings.dumbbellSortBy);
           }
 
           // Apply style preset if available (will override title/subtitle if present in style)
@@ -767,6 +1041,9 @@ export default function ChartEditor() {
       // This prevents settings from one chart type bleeding into another
       styleSettings.setBackgroundColor('#ffffff');
       styleSettings.setBackgroundOpacity(100);
+      styleSettings.setSmallMultiplesMode('off');
+      // Charts that hide value labels by default (combo, histogram) set this again below
+      styleSettings.setShowValueLabels(true);
 
       // Apply default settings from registry
       if (chartConfig?.defaultSettings) {
@@ -785,6 +1062,21 @@ export default function ChartEditor() {
         if (settings.xAxisPrimaryLabel) styleSettings.setXAxisPrimaryLabel(settings.xAxisPrimaryLabel);
         if (settings.xAxisSecondaryLabel) styleSettings.setXAxisSecondaryLabel(settings.xAxisSecondaryLabel);
         if (settings.dateFormatPreset) styleSettings.setDateFormatPreset(settings.dateFormatPreset);
+        if (settings.donutMode !== undefined) styleSettings.setDonutMode(settings.donutMode);
+        if (settings.nodeWidth !== undefined) styleSettings.setSankeyNodeWidth(settings.nodeWidth);
+        if (settings.nodePadding !== undefined) styleSettings.setSankeyNodePadding(settings.nodePadding);
+        if (settings.showQuadrants !== undefined) styleSettings.setShowQuadrants(settings.showQuadrants);
+        if (settings.dumbbellSortBy) styleSettings.setDumbbellSortBy(settings.dumbbellSortBy);
+        if (settings.labelPosition) styleSettings.setLabelPosition(settings.labelPosition);
+        if (settings.heatmapMode) styleSettings.setHeatmapMode(settings.heatmapMode);
+        if (settings.heatmapColorScale) styleSettings.setHeatmapColorScale(settings.heatmapColorScale);
+        if (settings.histogramBinMode) styleSettings.setHistogramBinMode(settings.histogramBinMode);
+        if (settings.boxPlotShowOutliers !== undefined) styleSettings.setBoxPlotShowOutliers(settings.boxPlotShowOutliers);
+        if (settings.treemapTiling) styleSettings.setTreemapTiling(settings.treemapTiling);
+        if (settings.showValueLabels !== undefined) styleSettings.setShowValueLabels(settings.showValueLabels);
+        if (settings.showLabels !== undefined && chartType === 'pie') {
+          styleSettings.setPieLabelPosition(settings.showLabels ? 'outside' : 'none');
+        }
       }
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
@@ -838,6 +1130,16 @@ export default function ChartEditor() {
     styleSettings.setCanvasHeight(Math.round(canvasHeight));
   }, [styleSettings.periodSpacing, styleSettings.chartHeight, chartType, styleSettings]);
 
+  // Auto-adjust canvas dimensions for Pie, Treemap, Sankey, Scatter, Dumbbell, Bump, Bullet, Radar, KPI, Heatmap, Combo and distribution Charts
+  // These charts lay out their margins, header and labels inside chartWidth/chartHeight
+  useEffect(() => {
+    const sizesFromChart = ['pie', 'treemap', 'sankey', 'scatter', 'dumbbell', 'bump', 'bullet', 'radar', 'kpi', 'heatmap', 'combo', 'histogram', 'boxplot'];
+    if (!sizesFromChart.includes(chartType)) return;
+
+    styleSettings.setCanvasWidth(styleSettings.chartWidth);
+    styleSettings.setCanvasHeight(styleSettings.chartHeight);
+  }, [styleSettings.chartWidth, styleSettings.chartHeight, chartType, styleSettings]);
+
   // Close menus when clicking outside
   useEffect(() => {
     const handleClickOutside = (event) => {
@@ -941,6 +1243,7 @@ export default function ChartEditor() {
 
   const handleExportSVG = async () => {
     // Use svgRef to get the actual chart SVG, not UI icons
+    // Small multiples render the composed grid as the first SVG, ahead of the off-screen panels
     const svgElement = svgRef.current?.querySelector('svg');
     if (svgElement) {
       await exportAsSVG(svgElement, `${styleSettings.title}.svg`);
@@ -1067,6 +1370,7 @@ export default function ChartEditor() {
         chartType: chartType,
         data: {
           csv: dataToCSVWithHidden(), // Use ALL data including hidden rows
+          source: chartData.source,
           periodNames: chartData.periodNames,
           hiddenRowIndices: getHiddenRowIndices(), // Track which rows are hidden
           hiddenPeriods: Array.from(chartData.hiddenPeriods || []), // Track hidden columns
@@ -1119,7 +1423,8 @@ export default function ChartEditor() {
 
         // Load data
         if (config.data?.csv) {
-          chartData.loadCSVText(config.data.csv);
+          // Saved CSV holds plain numbers, whatever the user's import locale
+          chartData.loadCSVText(config.data.csv, ',', getSavedSource(config.data), PLAIN_IMPORT_LOCALE);
 
           // Restore hidden row states (after data is loaded)
           setTimeout(() => {
@@ -1182,7 +1487,7 @@ export default function ChartEditor() {
           // Same chart type - load directly
           // Load data
           if (config.data?.csv) {
-            chartData.loadCSVText(config.data.csv);
+            chartData.loadCSVText(config.data.csv, ',', getSavedSource(config.data), PLAIN_IMPORT_LOCALE);
 
             // Restore hidden row states (after data is loaded)
             // Use setTimeout to ensure data is loaded first
@@ -1601,6 +1906,21 @@ export default function ChartEditor() {
     }
   };
 
+  // Handle a pasted HTML table once its preview is confirmed
+  const handlePasteTable = async () => {
+    if (!pastedTable) return;
+
+    const success = await chartData.loadCSVText(rowsToCSV(pastedTable), ',', 'html-paste', PLAIN_IMPORT_LOCALE);
+    if (success) {
+      setPastedTable(null);
+      setPastedCSV('');
+      setShowDataTable(true);
+      showToast('Table loaded successfully!', 'success');
+    } else {
+      showToast('Error loading table: ' + (chartData.error || 'Unknown error'), 'error');
+    }
+  };
+
   // Helper function to clear all emphasis
   const clearEmphasis = () => {
     // Clear percent change comparisons
@@ -2029,7 +2349,7 @@ export default function ChartEditor() {
 
         // Apply the data if present
         if (defaultConfig.data?.csv) {
-          await chartData.loadCSVText(defaultConfig.data.csv);
+          await chartData.loadCSVText(defaultConfig.data.csv, ',', 'csv-paste', PLAIN_IMPORT_LOCALE);
         }
 
         // Apply ALL the style settings with validation
@@ -2075,6 +2395,18 @@ export default function ChartEditor() {
     console.log('[Reset View] Reset complete');
   };
 
+  // Bar and line charts take error bars from bound columns among the loaded columns.
+  // Resolved over every column so hidden bound columns still supply bounds.
+  const errorBarSetup = useMemo(
+    () => resolveErrorBars(chartData.periodNames || [], styleSettings.errorBarColumns),
+    [chartData.periodNames, styleSettings.errorBarColumns]
+  );
+
+  // Series to plot on bar and line charts: bound columns are left out while error bars are on,
+  // and columns typed as text, dates or booleans in the data table are never plotted
+  const getPlottedSeries = () => (styleSettings.showErrorBars ? errorBarSetup.series : (chartData.periodNames || []))
+    .filter(period => !chartData.hiddenPeriods?.has(period) && isNumericType(chartData.columnSchema?.[period]));
+
   // Create settings object for chart component
   // PERFORMANCE OPTIMIZATION: Memoize chart style settings to prevent unnecessary re-renders
   // This is critical for large datasets - without memoization, the settings object is recreated
@@ -2113,6 +2445,10 @@ export default function ChartEditor() {
       backgroundOpacity: styleSettings.backgroundOpacity,
       darkMode: styleSettings.darkMode,
       userTier: styleSettings.userTier,
+      smallMultiplesMode: styleSettings.smallMultiplesMode,
+      smallMultiplesColumn: styleSettings.smallMultiplesColumn,
+      smallMultiplesGridColumns: styleSettings.smallMultiplesGridColumns,
+      smallMultiplesSharedScale: styleSettings.smallMultiplesSharedScale,
     };
 
   // Funnel Chart specific settings
@@ -2139,6 +2475,8 @@ export default function ChartEditor() {
     inStageLabelFontSize: styleSettings.inStageLabelFontSize,
     showSparklines: styleSettings.showSparklines,
     sparklineType: styleSettings.sparklineType,
+    showSignificance: styleSettings.showSignificance,
+    significanceLevel: styleSettings.significanceLevel,
     backgroundOpacity: styleSettings.backgroundOpacity,
     backgroundColor: styleSettings.backgroundColor,
     // Layout for Funnel Chart - uses canvas dimensions directly
@@ -2202,72 +2540,481 @@ export default function ChartEditor() {
     darkMode: styleSettings.darkMode,
   } : {};
 
-  // Bar Chart specific settings
-  const barSettings = (chartType?.startsWith('bar-')) ? {
-    barMode: styleSettings.barMode,
-    labelMode: styleSettings.labelMode,
-    legendPosition: styleSettings.legendPosition,
-    directLabelContent: styleSettings.directLabelContent,
-    emphasizedBars: styleSettings.emphasizedBars,
+  // Pie Chart specific settings
+  const pieSettings = chartType === 'pie' ? {
+    donutMode: styleSettings.donutMode,
+    donutThickness: styleSettings.donutThickness,
+    showDonutTotal: styleSettings.showDonutTotal,
+    startAngle: styleSettings.pieStartAngle,
+    sortSlices: styleSettings.sortSlices,
+    otherThreshold: styleSettings.otherThreshold,
+    otherLabel: styleSettings.otherLabel,
+    comparisonPalette: styleSettings.comparisonPalette,
+    userCustomColors: styleSettings.userCustomColors,
+    showLabels: styleSettings.pieLabelPosition !== 'none',
+    labelPosition: styleSettings.pieLabelPosition,
+    labelFormat: styleSettings.pieLabelFormat,
+    showCategoryLabels: styleSettings.showCategoryLabels,
+    valuePrefix: styleSettings.valuePrefix,
+    valueSuffix: styleSettings.valueSuffix,
+    valueDecimalPlaces: styleSettings.valueDecimalPlaces,
+    compactNumbers: styleSettings.compactNumbers,
+    emphasizedSlices: styleSettings.emphasizedSlices,
+    // Typography for Pie Chart
+    categoryFont: styleSettings.fontFamily,
+    categoryFontSize: styleSettings.segmentLabelFontSize,
+    valueFont: styleSettings.fontFamily,
+    valueFontSize: styleSettings.metricLabelFontSize,
+    // Layout for Pie Chart - canvas matches chartWidth/chartHeight
+    width: styleSettings.canvasWidth,
+    height: styleSettings.canvasHeight,
+    backgroundColor: styleSettings.backgroundColor,
+    darkMode: styleSettings.darkMode,
+  } : {};
+
+  // Treemap specific settings - palette, value labels and number format use the same settings as the pie chart
+  const treemapSettings = chartType === 'treemap' ? {
+    hierarchyMode: styleSettings.treemapHierarchyMode,
+    pathDelimiter: styleSettings.treemapPathDelimiter,
+    parentColumn: styleSettings.treemapParentColumn,
+    valueColumn: styleSettings.treemapValueColumn,
+    tiling: styleSettings.treemapTiling,
+    tilePadding: styleSettings.treemapTilePadding,
+    comparisonPalette: styleSettings.comparisonPalette,
+    userCustomColors: styleSettings.userCustomColors,
+    showGroupLabels: styleSettings.showTreemapGroupLabels,
+    showValueLabels: styleSettings.showValueLabels,
+    labelFormat: styleSettings.treemapLabelFormat,
+    valuePrefix: styleSettings.valuePrefix,
+    valueSuffix: styleSettings.valueSuffix,
+    valueDecimalPlaces: styleSettings.valueDecimalPlaces,
+    compactNumbers: styleSettings.compactNumbers,
+    // Typography for Treemap
+    labelFontSize: styleSettings.treemapLabelFontSize,
+    valueFontSize: styleSettings.treemapValueFontSize,
+    groupLabelFontSize: styleSettings.treemapGroupLabelFontSize,
+    // Layout for Treemap - canvas matches chartWidth/chartHeight
+    width: styleSettings.canvasWidth,
+    height: styleSettings.canvasHeight,
+    backgroundColor: styleSettings.backgroundColor,
+    darkMode: styleSettings.darkMode,
+  } : {};
+
+  // Sankey Chart specific settings
+  const sankeySettings = chartType === 'sankey' ? {
+    nodeWidth: styleSettings.sankeyNodeWidth,
+    nodePadding: styleSettings.sankeyNodePadding,
+    nodeAlign: styleSettings.sankeyNodeAlign,
+    colorMode: styleSettings.sankeyColorMode,
     barColor: styleSettings.barColor,
-    colorPalette: styleSettings.comparisonPalette,
-    customColors: styleSettings.userCustomColors,
-    orientation: styleSettings.orientation,
+    colorTransition: styleSettings.colorTransition,
+    comparisonPalette: styleSettings.comparisonPalette,
+    userCustomColors: styleSettings.userCustomColors,
+    linkOpacity: styleSettings.sankeyLinkOpacity,
+    linkColorMode: styleSettings.sankeyLinkColorMode,
+    showNodeLabels: styleSettings.showCategoryLabels,
+    showNodeValues: styleSettings.showNodeValues,
+    labelFormat: styleSettings.sankeyLabelFormat,
+    valuePrefix: styleSettings.valuePrefix,
+    valueSuffix: styleSettings.valueSuffix,
+    valueDecimalPlaces: styleSettings.valueDecimalPlaces,
+    compactNumbers: styleSettings.compactNumbers,
+    emphasizedNodes: styleSettings.emphasizedNodes,
+    // Typography for Sankey Chart
+    nodeLabelFont: styleSettings.fontFamily,
+    nodeLabelFontSize: styleSettings.segmentLabelFontSize,
+    valueFontSize: styleSettings.metricLabelFontSize,
+    // Layout for Sankey Chart - canvas matches chartWidth/chartHeight
+    width: styleSettings.canvasWidth,
+    height: styleSettings.canvasHeight,
+    backgroundColor: styleSettings.backgroundColor,
+    darkMode: styleSettings.darkMode,
+  } : {};
+
+  // Scatter Chart specific settings
+  const scatterSettings = chartType === 'scatter' ? {
+    xColumn: styleSettings.scatterXColumn,
+    yColumn: styleSettings.scatterYColumn,
+    sizeColumn: styleSettings.scatterSizeColumn,
+    colorColumn: styleSettings.scatterColorColumn,
+    pointRadius: styleSettings.scatterPointRadius,
+    bubbleMaxRadius: styleSettings.bubbleMaxRadius,
+    pointOpacity: styleSettings.scatterPointOpacity,
+    barColor: styleSettings.barColor,
+    comparisonPalette: styleSettings.comparisonPalette,
+    userCustomColors: styleSettings.userCustomColors,
+    xScaleType: styleSettings.scatterXScaleType,
+    yScaleType: styleSettings.scatterYScaleType,
+    xAxisTitle: styleSettings.scatterXAxisTitle,
+    yAxisTitle: styleSettings.scatterYAxisTitle,
+    xAxisPrefix: styleSettings.scatterXAxisPrefix,
+    xAxisSuffix: styleSettings.scatterXAxisSuffix,
+    yAxisPrefix: styleSettings.axisValuePrefix,
+    yAxisSuffix: styleSettings.axisValueSuffix,
+    axisDecimalPlaces: styleSettings.axisValueDecimalPlaces,
+    compactAxisNumbers: styleSettings.compactAxisNumbers,
+    showGridLines: styleSettings.showGridLines,
+    gridLineColor: styleSettings.gridLineColor,
+    gridLineOpacity: styleSettings.gridLineOpacity,
+    showQuadrants: styleSettings.showQuadrants,
+    quadrantXMode: styleSettings.quadrantXMode,
+    quadrantXValue: styleSettings.quadrantXValue,
+    quadrantYMode: styleSettings.quadrantYMode,
+    quadrantYValue: styleSettings.quadrantYValue,
+    quadrantLabels: styleSettings.quadrantLabels,
+    pointLabelMode: styleSettings.scatterLabelMode,
+    showLegend: styleSettings.showLegend,
+    emphasizedScatterPoints: styleSettings.emphasizedScatterPoints,
+    // Typography for Scatter Chart
+    axisFontSize: styleSettings.xAxisFontSize,
+    axisTitleFontSize: styleSettings.axisLabelFontSize,
+    pointLabelFontSize: styleSettings.directLabelFontSize,
+    legendFontSize: styleSettings.legendFontSize,
+    // Layout for Scatter Chart - canvas matches chartWidth/chartHeight
+    width: styleSettings.canvasWidth,
+    height: styleSettings.canvasHeight,
+    backgroundColor: styleSettings.backgroundColor,
+    darkMode: styleSettings.darkMode,
+  } : {};
+
+  // Dumbbell Chart specific settings - colors, lines and labels share the slope chart settings
+  const dumbbellSettings = chartType === 'dumbbell' ? {
+    colorMode: styleSettings.colorMode,
+    comparisonPalette: styleSettings.comparisonPalette,
+    userCustomColors: styleSettings.userCustomColors,
+    increaseColor: styleSettings.increaseColor,
+    decreaseColor: styleSettings.decreaseColor,
+    noChangeColor: styleSettings.noChangeColor,
+    startColor: styleSettings.startColor,
+    endColor: styleSettings.endColor,
+    sortBy: styleSettings.dumbbellSortBy,
+    lineThickness: styleSettings.lineThickness,
+    lineOpacity: styleSettings.lineOpacity,
+    lineSaturation: styleSettings.lineSaturation,
+    endpointSize: styleSettings.endpointSize,
+    showCategoryLabels: styleSettings.showCategoryLabels,
     showValueLabels: styleSettings.showValueLabels,
-    showMetricLabels: styleSettings.showMetricLabels,
-    showPeriodLabels: styleSettings.showPeriodLabels,
-    metricLabelPosition: styleSettings.metricLabelPosition,
-    periodLabelDisplay: styleSettings.periodLabelDisplay,
-    // Typography for Bar Chart
+    labelFormat: styleSettings.labelFormat,
+    compactNumbers: styleSettings.compactNumbers,
+    emphasizedLines: styleSettings.emphasizedLines,
+    showGridLines: styleSettings.showGridLines,
+    gridLineColor: styleSettings.gridLineColor,
+    // Typography for Dumbbell Chart (same font size settings as the slope chart)
     categoryFont: styleSettings.fontFamily,
     categoryFontSize: styleSettings.segmentLabelFontSize,
-    categoryWeight: 500,
     valueFont: styleSettings.fontFamily,
     valueFontSize: styleSettings.metricLabelFontSize,
-    valueWeight: 600,
-    axisFont: styleSettings.fontFamily,
-    xAxisFontSize: styleSettings.xAxisFontSize,
-    yAxisFontSize: styleSettings.yAxisFontSize,
-    axisLabel: styleSettings.axisLabel,
-    axisLabelFontSize: styleSettings.axisLabelFontSize,
-    xAxisLabelRotation: styleSettings.xAxisLabelRotation,
-    axisWeight: 400,
+    periodFont: styleSettings.fontFamily,
+    periodFontSize: styleSettings.periodLabelFontSize,
+    periodLabelPosition: styleSettings.periodLabelPosition,
+    // Layout for Dumbbell Chart - canvas matches chartWidth/chartHeight
+    width: styleSettings.canvasWidth,
+    height: styleSettings.canvasHeight,
+    backgroundColor: styleSettings.backgroundColor,
+    darkMode: styleSettings.darkMode,
+  } : {};
+
+  // Bump Chart specific settings - colors, lines, labels and emphasis share the slope chart settings
+  const bumpSettings = chartType === 'bump' ? {
+    colorMode: styleSettings.colorMode,
+    comparisonPalette: styleSettings.comparisonPalette,
+    userCustomColors: styleSettings.userCustomColors,
+    increaseColor: styleSettings.increaseColor,
+    decreaseColor: styleSettings.decreaseColor,
+    noChangeColor: styleSettings.noChangeColor,
+    startColor: styleSettings.startColor,
+    endColor: styleSettings.endColor,
+    rankOrder: styleSettings.bumpRankOrder,
+    lineThickness: styleSettings.lineThickness,
+    lineOpacity: styleSettings.lineOpacity,
+    lineSaturation: styleSettings.lineSaturation,
+    smoothLines: styleSettings.bumpSmoothLines,
+    endpointSize: styleSettings.endpointSize,
+    labelPosition: styleSettings.labelPosition,
+    showCategoryLabels: styleSettings.showCategoryLabels,
+    showValueLabels: styleSettings.showValueLabels,
+    emphasizedLines: styleSettings.emphasizedLines,
+    // Typography for Bump Chart (same font size settings as the slope chart)
+    categoryFont: styleSettings.fontFamily,
+    categoryFontSize: styleSettings.segmentLabelFontSize,
+    valueFont: styleSettings.fontFamily,
+    valueFontSize: styleSettings.metricLabelFontSize,
+    periodFont: styleSettings.fontFamily,
+    periodFontSize: styleSettings.periodLabelFontSize,
+    periodLabelPosition: styleSettings.periodLabelPosition,
+    // Layout for Bump Chart - canvas matches chartWidth/chartHeight
+    width: styleSettings.canvasWidth,
+    height: styleSettings.canvasHeight,
+    backgroundColor: styleSettings.backgroundColor,
+    darkMode: styleSettings.darkMode,
+  } : {};
+
+  // Heatmap Chart specific settings - row and column labels follow the axis label toggles
+  const heatmapSettings = chartType === 'heatmap' ? {
+    mode: styleSettings.heatmapMode,
+    valueColumn: styleSettings.heatmapValueColumn,
+    colorScale: styleSettings.heatmapColorScale,
+    lowColor: styleSettings.heatmapLowColor,
+    highColor: styleSettings.heatmapHighColor,
+    midColor: styleSettings.heatmapMidColor,
+    divergingLowColor: styleSettings.heatmapDivergingLowColor,
+    midpoint: styleSettings.heatmapMidpointAuto ? null : styleSettings.heatmapMidpoint,
+    emptyCellColor: styleSettings.heatmapEmptyColor,
+    cellGap: styleSettings.heatmapCellGap,
+    cellRadius: styleSettings.heatmapCellRadius,
+    showRowLabels: styleSettings.showYAxisLabels,
+    showColumnLabels: styleSettings.showXAxisLabels,
+    showCellValues: styleSettings.showHeatmapCellValues,
+    compactNumbers: styleSettings.compactNumbers,
+    valuePrefix: styleSettings.valuePrefix,
+    valueSuffix: styleSettings.valueSuffix,
+    showLegend: styleSettings.showLegend,
+    legendTitle: styleSettings.heatmapLegendTitle,
+    // Typography for Heatmap Chart
+    labelFont: styleSettings.fontFamily,
+    labelFontSize: styleSettings.xAxisFontSize,
+    valueFont: styleSettings.fontFamily,
+    valueFontSize: styleSettings.directLabelFontSize,
+    // Layout for Heatmap Chart - canvas matches chartWidth/chartHeight
+    width: styleSettings.canvasWidth,
+    height: styleSettings.canvasHeight,
+    backgroundColor: styleSettings.backgroundColor,
+    darkMode: styleSettings.darkMode,
+  } : {};
+
+  // Combo Chart specific settings - the left axis uses the same settings as bar chart value axes
+  const comboSettings = chartType === 'combo' ? {
+    seriesTypes: styleSettings.comboSeriesTypes,
+    seriesAxes: styleSettings.comboSeriesAxes,
+    comparisonPalette: styleSettings.comparisonPalette,
+    userCustomColors: styleSettings.userCustomColors,
+    lineThickness: styleSettings.lineChartLineThickness,
+    showPoints: styleSettings.showPoints,
+    pointSize: styleSettings.pointSize,
+    smoothLines: styleSettings.smoothLines,
     axisMinimum: styleSettings.axisMinimum,
     axisMinimumAuto: styleSettings.axisMinimumAuto,
     axisMaximum: styleSettings.axisMaximum,
     axisMaximumAuto: styleSettings.axisMaximumAuto,
     axisMajorUnit: styleSettings.axisMajorUnit,
     axisMajorUnitAuto: styleSettings.axisMajorUnitAuto,
-    axisMinorUnit: styleSettings.axisMinorUnit,
-    axisMinorUnitAuto: styleSettings.axisMinorUnitAuto,
-    axisMajorTickType: styleSettings.axisMajorTickType,
-    axisMinorTickType: styleSettings.axisMinorTickType,
-    showHorizontalGridlines: styleSettings.showHorizontalGridlines,
-    showVerticalGridlines: styleSettings.showVerticalGridlines,
-    xAxisLineThickness: styleSettings.xAxisLineThickness,
-    yAxisLineThickness: styleSettings.yAxisLineThickness,
-    axisColorBrightness: styleSettings.axisColorBrightness,
-    showXAxisLabels: styleSettings.showXAxisLabels,
-    showYAxisLabels: styleSettings.showYAxisLabels,
-    valuePrefix: styleSettings.valuePrefix,
-    valueSuffix: styleSettings.valueSuffix,
-    valueDecimalPlaces: styleSettings.valueDecimalPlaces,
-    valueFormat: styleSettings.valueFormat,
     axisValuePrefix: styleSettings.axisValuePrefix,
     axisValueSuffix: styleSettings.axisValueSuffix,
     axisValueDecimalPlaces: styleSettings.axisValueDecimalPlaces,
-    axisValueFormat: styleSettings.axisValueFormat,
-    periodLabelFontSize: styleSettings.periodLabelFontSize,
+    leftAxisTitle: styleSettings.comboLeftAxisTitle,
+    secondaryAxisMinimum: styleSettings.secondaryAxisMinimum,
+    secondaryAxisMinimumAuto: styleSettings.secondaryAxisMinimumAuto,
+    secondaryAxisMaximum: styleSettings.secondaryAxisMaximum,
+    secondaryAxisMaximumAuto: styleSettings.secondaryAxisMaximumAuto,
+    secondaryAxisMajorUnit: styleSettings.secondaryAxisMajorUnit,
+    secondaryAxisMajorUnitAuto: styleSettings.secondaryAxisMajorUnitAuto,
+    secondaryAxisValuePrefix: styleSettings.secondaryAxisValuePrefix,
+    secondaryAxisValueSuffix: styleSettings.secondaryAxisValueSuffix,
+    secondaryAxisValueDecimalPlaces: styleSettings.secondaryAxisValueDecimalPlaces,
+    rightAxisTitle: styleSettings.comboRightAxisTitle,
     compactAxisNumbers: styleSettings.compactAxisNumbers,
-    compactNumbers: styleSettings.compactNumbers,
-    setCalculatedAxisMinimum: styleSettings.setCalculatedAxisMinimum,
-    setCalculatedAxisMaximum: styleSettings.setCalculatedAxisMaximum,
-    setCalculatedAxisMajorUnit: styleSettings.setCalculatedAxisMajorUnit,
-    showGrid: true,
-    gridOpacity: 0.1,
-    showXAxis: true,
-    showYAxis: true,
-    axisColor: '#000000',
+    showXAxisLabels: styleSettings.showXAxisLabels,
+    showGridLines: styleSettings.showGridLines,
+    gridLineColor: styleSettings.gridLineColor,
+    gridLineOpacity: styleSettings.gridLineOpacity,
+    showValueLabels: styleSettings.showValueLabels,
+    showLegend: styleSettings.showLegend,
+    // Typography for Combo Chart
+    axisFontSize: styleSettings.xAxisFontSize,
+    axisTitleFontSize: styleSettings.axisLabelFontSize,
+    valueFontSize: styleSettings.directLabelFontSize,
+    legendFontSize: styleSettings.legendFontSize,
+    // Layout for Combo Chart - canvas matches chartWidth/chartHeight
+    width: styleSettings.canvasWidth,
+    height: styleSettings.canvasHeight,
+    backgroundColor: styleSettings.backgroundColor,
+    darkMode: styleSettings.darkMode,
+  } : {};
+
+  // Bullet Chart specific settings - orientation and value labels use the same settings as bar charts
+  const bulletSettings = chartType === 'bullet' ? {
+    orientation: styleSettings.orientation,
+    actualColumn: styleSettings.bulletActualColumn,
+    targetColumn: styleSettings.bulletTargetColumn,
+    rangeColumns: styleSettings.bulletRangeColumns,
+    sharedScale: styleSettings.bulletSharedScale,
+    actualColor: styleSettings.bulletActualColor,
+    targetColor: styleSettings.bulletTargetColor,
+    rangeColors: styleSettings.bulletRangeColors,
+    valuePrefix: styleSettings.valuePrefix,
+    valueSuffix: styleSettings.valueSuffix,
+    valueDecimalPlaces: styleSettings.valueDecimalPlaces,
+    compactNumbers: styleSettings.compactNumbers,
+    showValueLabels: styleSettings.showValueLabels,
+    showTargetLabels: styleSettings.showBulletTargetLabels,
+    showAxis: styleSettings.showXAxisLabels,
+    // Typography for Bullet Chart
+    categoryFontSize: styleSettings.yAxisFontSize,
+    valueFontSize: styleSettings.directLabelFontSize,
+    axisFontSize: styleSettings.xAxisFontSize,
+    // Layout for Bullet Chart - canvas matches chartWidth/chartHeight
+    width: styleSettings.canvasWidth,
+    height: styleSettings.canvasHeight,
+    backgroundColor: styleSettings.backgroundColor,
+    darkMode: styleSettings.darkMode,
+  } : {};
+
+  // Radar Chart specific settings - fill and points use the line chart settings, ring values the bar chart value label settings
+  const radarSettings = chartType === 'radar' ? {
+    scaleMode: styleSettings.radarScaleMode,
+    gridLevels: styleSettings.radarGridLevels,
+    gridShape: styleSettings.radarGridShape,
+    showGridLabels: styleSettings.showRadarGridLabels,
+    comparisonPalette: styleSettings.comparisonPalette,
+    userCustomColors: styleSettings.userCustomColors,
+    lineThickness: styleSettings.radarLineThickness,
+    areaOpacity: styleSettings.areaOpacity,
+    showPoints: styleSettings.showPoints,
+    pointSize: styleSettings.pointSize,
+    showLegend: styleSettings.showLegend,
+    valuePrefix: styleSettings.valuePrefix,
+    valueSuffix: styleSettings.valueSuffix,
+    valueDecimalPlaces: styleSettings.valueDecimalPlaces,
+    compactNumbers: styleSettings.compactNumbers,
+    // Typography for Radar Chart
+    axisLabelFontSize: styleSettings.radarAxisLabelFontSize,
+    gridLabelFontSize: styleSettings.radarGridLabelFontSize,
+    legendFontSize: styleSettings.legendFontSize,
+    // Layout for Radar Chart - canvas matches chartWidth/chartHeight
+    width: styleSettings.canvasWidth,
+    height: styleSettings.canvasHeight,
+    backgroundColor: styleSettings.backgroundColor,
+    darkMode: styleSettings.darkMode,
+  } : {};
+
+  // KPI Chart specific settings - change colors use the slope chart settings, values the bar chart value label settings
+  const kpiSettings = chartType === 'kpi' ? {
+    tilesPerRow: styleSettings.kpiTilesPerRow,
+    showTileBorders: styleSettings.showKpiTileBorders,
+    showChange: styleSettings.showKpiChange,
+    changeFormat: styleSettings.kpiChangeFormat,
+    increaseColor: styleSettings.increaseColor,
+    decreaseColor: styleSettings.decreaseColor,
+    noChangeColor: styleSettings.noChangeColor,
+    lowerIsBetterColumns: styleSettings.kpiLowerIsBetterColumns,
+    showSparklines: styleSettings.showKpiSparklines,
+    sparklineColor: styleSettings.kpiSparklineColor,
+    sparklineFill: styleSettings.kpiSparklineFill,
+    valuePrefix: styleSettings.valuePrefix,
+    valueSuffix: styleSettings.valueSuffix,
+    valueDecimalPlaces: styleSettings.valueDecimalPlaces,
+    compactNumbers: styleSettings.compactNumbers,
+    showPeriodLabel: styleSettings.showKpiPeriodLabel,
+    // Typography for KPI Chart
+    labelFontSize: styleSettings.kpiLabelFontSize,
+    valueFontSize: styleSettings.kpiValueFontSize,
+    changeFontSize: styleSettings.kpiChangeFontSize,
+    // Layout for KPI Chart - canvas matches chartWidth/chartHeight
+    width: styleSettings.canvasWidth,
+    height: styleSettings.canvasHeight,
+    backgroundColor: styleSettings.backgroundColor,
+    darkMode: styleSettings.darkMode,
+  } : {};
+
+  // Histogram and Box Plot specific settings - colors and the value axis use the same settings as the combo chart
+  const distributionSettings = (chartType === 'histogram' || chartType === 'boxplot') ? {
+    valueColumn: styleSettings.distributionValueColumn,
+    groupColumn: styleSettings.distributionGroupColumn,
+    binMode: styleSettings.histogramBinMode,
+    binCount: styleSettings.histogramBinCount,
+    binWidth: styleSettings.histogramBinWidth,
+    showOutliers: styleSettings.boxPlotShowOutliers,
+    showMean: styleSettings.boxPlotShowMean,
+    comparisonPalette: styleSettings.comparisonPalette,
+    userCustomColors: styleSettings.userCustomColors,
+    axisValuePrefix: styleSettings.axisValuePrefix,
+    axisValueSuffix: styleSettings.axisValueSuffix,
+    axisValueDecimalPlaces: styleSettings.axisValueDecimalPlaces,
+    compactAxisNumbers: styleSettings.compactAxisNumbers,
+    xAxisTitle: styleSettings.axisLabel,
+    showGridLines: styleSettings.showGridLines,
+    gridLineColor: styleSettings.gridLineColor,
+    gridLineOpacity: styleSettings.gridLineOpacity,
+    showValueLabels: styleSettings.showValueLabels,
+    showLegend: styleSettings.showLegend,
+    // Typography for distribution charts
+    axisFontSize: styleSettings.xAxisFontSize,
+    axisTitleFontSize: styleSettings.axisLabelFontSize,
+    valueFontSize: styleSettings.directLabelFontSize,
+    legendFontSize: styleSettings.legendFontSize,
+    // Layout for distribution charts - canvas matches chartWidth/chartHeight
+    width: styleSettings.canvasWidth,
+    height: styleSettings.canvasHeight,
+    backgroundColor: styleSettings.backgroundColor,
+    darkMode: styleSettings.darkMode,
+  } : {};
+
+  // Bar Chart specific settings
+  const barSettings = (chartType?.startsWith('bar-')) ? {
+    barMode: styleSettings.barMode,
+    labelMode: styleSettings.labelMode,
+    legendPosition: styleSettings.legendPosition,
+    directLabelContent: styleSettings.directLabelContent,
+    emphasizedBars: styleSettings.emphasizedBars,
+    barColor: styleSettings.barColor,
+    colorPalette: styleSettings.comparisonPalette,
+    customColors: styleSettings.userCustomColors,
+    orientation: styleSettings.orientation,
+    showValueLabels: styleSettings.showValueLabels,
+    showMetricLabels: styleSettings.showMetricLabels,
+    showPeriodLabels: styleSettings.showPeriodLabels,
+    metricLabelPosition: styleSettings.metricLabelPosition,
+    periodLabelDisplay: styleSettings.periodLabelDisplay,
+    // Typography for Bar Chart
+    categoryFont: styleSettings.fontFamily,
+    categoryFontSize: styleSettings.segmentLabelFontSize,
+    categoryWeight: 500,
+    valueFont: styleSettings.fontFamily,
+    valueFontSize: styleSettings.metricLabelFontSize,
+    valueWeight: 600,
+    axisFont: styleSettings.fontFamily,
+    xAxisFontSize: styleSettings.xAxisFontSize,
+    yAxisFontSize: styleSettings.yAxisFontSize,
+    axisLabel: styleSettings.axisLabel,
+    axisLabelFontSize: styleSettings.axisLabelFontSize,
+    xAxisLabelRotation: styleSettings.xAxisLabelRotation,
+    axisWeight: 400,
+    axisMinimum: styleSettings.axisMinimum,
+    axisMinimumAuto: styleSettings.axisMinimumAuto,
+    axisMaximum: styleSettings.axisMaximum,
+    axisMaximumAuto: styleSettings.axisMaximumAuto,
+    axisMajorUnit: styleSettings.axisMajorUnit,
+    axisMajorUnitAuto: styleSettings.axisMajorUnitAuto,
+    axisMinorUnit: styleSettings.axisMinorUnit,
+    axisMinorUnitAuto: styleSettings.axisMinorUnitAuto,
+    axisMajorTickType: styleSettings.axisMajorTickType,
+    axisMinorTickType: styleSettings.axisMinorTickType,
+    showHorizontalGridlines: styleSettings.showHorizontalGridlines,
+    showVerticalGridlines: styleSettings.showVerticalGridlines,
+    xAxisLineThickness: styleSettings.xAxisLineThickness,
+    yAxisLineThickness: styleSettings.yAxisLineThickness,
+    axisColorBrightness: styleSettings.axisColorBrightness,
+    showXAxisLabels: styleSettings.showXAxisLabels,
+    showYAxisLabels: styleSettings.showYAxisLabels,
+    valuePrefix: styleSettings.valuePrefix,
+    valueSuffix: styleSettings.valueSuffix,
+    valueDecimalPlaces: styleSettings.valueDecimalPlaces,
+    valueFormat: styleSettings.valueFormat,
+    axisValuePrefix: styleSettings.axisValuePrefix,
+    axisValueSuffix: styleSettings.axisValueSuffix,
+    axisValueDecimalPlaces: styleSettings.axisValueDecimalPlaces,
+    axisValueFormat: styleSettings.axisValueFormat,
+    periodLabelFontSize: styleSettings.periodLabelFontSize,
+    compactAxisNumbers: styleSettings.compactAxisNumbers,
+    compactNumbers: styleSettings.compactNumbers,
+    setCalculatedAxisMinimum: styleSettings.setCalculatedAxisMinimum,
+    setCalculatedAxisMaximum: styleSettings.setCalculatedAxisMaximum,
+    setCalculatedAxisMajorUnit: styleSettings.setCalculatedAxisMajorUnit,
+    showGrid: true,
+    gridOpacity: 0.1,
+    showXAxis: true,
+    showYAxis: true,
+    axisColor: '#000000',
     axisOpacity: 1,
     barWidthPercent: styleSettings.barWidth,
     groupPadding: styleSettings.stageGap / 100,
@@ -2283,6 +3030,24 @@ export default function ChartEditor() {
     backgroundColor: styleSettings.backgroundColor,
     showTotalLabels: styleSettings.showTotalLabels,
     boldTotal: styleSettings.boldTotal,
+    // Waterfall settings
+    increaseColor: styleSettings.increaseColor,
+    decreaseColor: styleSettings.decreaseColor,
+    waterfallSubtotals: styleSettings.waterfallSubtotals,
+    showWaterfallTotal: styleSettings.showWaterfallTotal,
+    waterfallTotalLabel: styleSettings.waterfallTotalLabel,
+    showWaterfallConnectors: styleSettings.showWaterfallConnectors,
+    // Diverging settings
+    divergingNegativeColumns: styleSettings.divergingNegativeColumns,
+    divergingNeutralColumns: styleSettings.divergingNeutralColumns,
+    divergingNeutralPosition: styleSettings.divergingNeutralPosition,
+    divergingNeutralColor: styleSettings.divergingNeutralColor,
+    // Error bars
+    showErrorBars: styleSettings.showErrorBars,
+    errorBars: errorBarSetup.errorBars,
+    // Reference lines and bands
+    referenceLines: styleSettings.referenceLines,
+    annotations: styleSettings.annotations,
   } : {};
 
   // Line Chart specific settings
@@ -2330,6 +3095,10 @@ export default function ChartEditor() {
     stackAreas: styleSettings.stackAreas || false,
     chartMode: styleSettings.chartMode || 'line',
 
+    // Error bands
+    showErrorBars: styleSettings.showErrorBars || false,
+    errorBars: errorBarSetup.errorBars,
+
     // Emphasis
     emphasizedLines: styleSettings.emphasizedLines || [],
     emphasizedLineThickness: styleSettings.emphasizedLineThickness || 4,
@@ -2418,10 +3187,16 @@ export default function ChartEditor() {
     legendFontSize: styleSettings.legendFontSize || 12,
 
     // Advanced features
-    baselines: styleSettings.baselines || [],
+    referenceLines: styleSettings.referenceLines || [],
+    annotations: styleSettings.annotations || [],
+    showTrendline: styleSettings.showTrendline || false,
     showMovingAverage: styleSettings.showMovingAverage || false,
     movingAveragePeriod: styleSettings.movingAveragePeriod || 3,
-    movingAverageColor: styleSettings.movingAverageColor || '#6b7280',
+    showForecast: styleSettings.showForecast || false,
+    forecastMethod: styleSettings.forecastMethod || 'naive',
+    forecastPeriods: styleSettings.forecastPeriods || 6,
+    forecastSeasonLength: styleSettings.forecastSeasonLength || 12,
+    showForecastBand: styleSettings.showForecastBand !== undefined ? styleSettings.showForecastBand : true,
     showPercentChangeBrackets: styleSettings.showPercentChangeBrackets || false,
     percentChangeBracketPairs: styleSettings.percentChangeBracketPairs || [],
 
@@ -2447,6 +3222,18 @@ export default function ChartEditor() {
       ...commonSettings,
       ...funnelSettings,
       ...slopeSettings,
+      ...pieSettings,
+      ...treemapSettings,
+      ...sankeySettings,
+      ...scatterSettings,
+      ...dumbbellSettings,
+      ...bumpSettings,
+      ...heatmapSettings,
+      ...comboSettings,
+      ...distributionSettings,
+      ...bulletSettings,
+      ...radarSettings,
+      ...kpiSettings,
       ...barSettings,
       ...lineSettings,
     };
@@ -2459,7 +3246,17 @@ export default function ChartEditor() {
     // so we need to explicitly list critical values to trigger memo recalculation
     styleSettings.percentChangeEnabled,
     styleSettings.emphasizedBars,
+    styleSettings.emphasizedSlices,
+    styleSettings.emphasizedNodes,
+    styleSettings.emphasizedScatterPoints,
+    styleSettings.waterfallSubtotals,
+    styleSettings.divergingNegativeColumns,
+    styleSettings.divergingNeutralColumns,
     styleSettings.percentChangeBracketDistance,
+    styleSettings.showErrorBars,
+    errorBarSetup,
+    styleSettings.referenceLines,
+    styleSettings.annotations,
   ]);
 
   // Render chart component based on type
@@ -2472,11 +3269,25 @@ export default function ChartEditor() {
     // Don't render until we have data
     if (!chartData.hasData) return null;
 
-    // Handle bar chart variants (all use BarChart component)
-    if (chartType?.startsWith('bar-')) {
-      const visibleBarPeriods = (chartData.periodNames || []).filter(
+    // Small multiples draw the selected chart once per panel
+    if (styleSettings.smallMultiplesMode !== 'off') {
+      const visiblePanelColumns = (chartData.periodNames || []).filter(
         period => !chartData.hiddenPeriods?.has(period)
       );
+      return (
+        <SmallMultiples
+          chartType={chartType}
+          data={chartData.data}
+          periodNames={visiblePanelColumns}
+          columnSchema={chartData.columnSchema}
+          styleSettings={chartStyleSettings}
+        />
+      );
+    }
+
+    // Handle bar chart variants (all use BarChart component)
+    if (chartType?.startsWith('bar-')) {
+      const visibleBarPeriods = getPlottedSeries();
       return (
         <BarChart
           data={chartData.data}
@@ -2484,15 +3295,14 @@ export default function ChartEditor() {
           styleSettings={chartStyleSettings}
           onBarClick={handleBarClick}
           onClearEmphasis={(clearFn) => { clearEmphasisRef.current = clearFn; }}
+          onAnnotationDrag={handleAnnotationDrag}
         />
       );
     }
 
     // Handle line/area chart variants (all use LineChart component)
     if (chartType === 'line' || chartType === 'area' || chartType === 'area-stacked') {
-      const visibleMetrics = (chartData.periodNames || []).filter(
-        metric => !chartData.hiddenPeriods?.has(metric)
-      );
+      const visibleMetrics = getPlottedSeries();
       return (
         <LineChart
           data={chartData.data}
@@ -2501,6 +3311,7 @@ export default function ChartEditor() {
           onPointClick={handleLineChartPointClick}
           onMetricClick={handleLineChartMetricClick}
           onLabelDrag={handleLineChartLabelDrag}
+          onAnnotationDrag={handleAnnotationDrag}
         />
       );
     }
@@ -2508,7 +3319,7 @@ export default function ChartEditor() {
     switch (chartType) {
       case 'funnel':
         // Filter out hidden periods
-        const visibleFunnelPeriods = (chartData.periodNames || []).filter(
+        const visibleFunnelPeriods = chartData.metricPeriods.filter(
           period => !chartData.hiddenPeriods?.has(period)
         );
         return (
@@ -2521,7 +3332,7 @@ export default function ChartEditor() {
         );
       case 'slope':
         // Filter out hidden periods
-        const visibleSlopePeriods = (chartData.periodNames || []).filter(
+        const visibleSlopePeriods = chartData.metricPeriods.filter(
           period => !chartData.hiddenPeriods?.has(period)
         );
         return (
@@ -2532,6 +3343,158 @@ export default function ChartEditor() {
             onLineClick={handleSlopeLineClick}
           />
         );
+      case 'pie':
+        // Filter out hidden periods (the first visible column is plotted)
+        const visiblePiePeriods = chartData.metricPeriods.filter(
+          period => !chartData.hiddenPeriods?.has(period)
+        );
+        return (
+          <PieChart
+            data={chartData.data}
+            periodNames={visiblePiePeriods}
+            styleSettings={chartStyleSettings}
+            onSliceClick={handlePieSliceClick}
+          />
+        );
+      case 'treemap':
+        // Hidden columns can't be plotted, but a hidden text column can still link rows to their parents
+        const treemapTextColumns = getTextColumns(chartData.data, chartData.periodNames, chartData.columnSchema);
+        const visibleTreemapColumns = (chartData.periodNames || []).filter(
+          period => !chartData.hiddenPeriods?.has(period) || treemapTextColumns.includes(period)
+        );
+        return (
+          <TreemapChart
+            data={chartData.data}
+            periodNames={visibleTreemapColumns}
+            columnSchema={chartData.columnSchema}
+            styleSettings={chartStyleSettings}
+          />
+        );
+      case 'sankey':
+        // Target and value columns are both required, so hidden columns are not filtered out
+        return (
+          <SankeyChart
+            data={chartData.data}
+            periodNames={chartData.periodNames}
+            styleSettings={chartStyleSettings}
+            onNodeClick={handleSankeyNodeClick}
+          />
+        );
+      case 'scatter':
+        // Filter out hidden periods (hidden columns can't be mapped)
+        const visibleScatterColumns = (chartData.periodNames || []).filter(
+          period => !chartData.hiddenPeriods?.has(period)
+        );
+        return (
+          <ScatterChart
+            data={chartData.data}
+            periodNames={visibleScatterColumns}
+            columnSchema={chartData.columnSchema}
+            styleSettings={chartStyleSettings}
+            onPointClick={handleScatterPointClick}
+          />
+        );
+      case 'dumbbell':
+        // Filter out hidden periods (the first two visible periods are plotted)
+        const visibleDumbbellPeriods = chartData.metricPeriods.filter(
+          period => !chartData.hiddenPeriods?.has(period)
+        );
+        return (
+          <DumbbellChart
+            data={chartData.data}
+            periodNames={visibleDumbbellPeriods}
+            styleSettings={chartStyleSettings}
+            onLineClick={handleSlopeLineClick}
+          />
+        );
+      case 'bump':
+        // Filter out hidden periods (hidden periods are not ranked or plotted)
+        const visibleBumpPeriods = chartData.metricPeriods.filter(
+          period => !chartData.hiddenPeriods?.has(period)
+        );
+        return (
+          <BumpChart
+            data={chartData.data}
+            periodNames={visibleBumpPeriods}
+            styleSettings={chartStyleSettings}
+            onLineClick={handleSlopeLineClick}
+          />
+        );
+      case 'heatmap':
+        // Filter out hidden periods (hidden columns are not plotted)
+        const visibleHeatmapColumns = chartData.metricPeriods.filter(
+          period => !chartData.hiddenPeriods?.has(period)
+        );
+        return (
+          <HeatmapChart
+            data={chartData.data}
+            periodNames={visibleHeatmapColumns}
+            styleSettings={chartStyleSettings}
+          />
+        );
+      case 'combo':
+        // Filter out hidden periods (hidden columns are not plotted)
+        const visibleComboColumns = chartData.metricPeriods.filter(
+          period => !chartData.hiddenPeriods?.has(period)
+        );
+        return (
+          <ComboChart
+            data={chartData.data}
+            periodNames={visibleComboColumns}
+            styleSettings={chartStyleSettings}
+          />
+        );
+      case 'bullet':
+        // Filter out hidden periods (hidden columns can't hold the actual, target or ranges)
+        const visibleBulletColumns = chartData.metricPeriods.filter(
+          period => !chartData.hiddenPeriods?.has(period)
+        );
+        return (
+          <BulletChart
+            data={chartData.data}
+            periodNames={visibleBulletColumns}
+            styleSettings={chartStyleSettings}
+          />
+        );
+      case 'radar':
+        // Filter out hidden periods (each visible column is one polygon)
+        const visibleRadarColumns = chartData.metricPeriods.filter(
+          period => !chartData.hiddenPeriods?.has(period)
+        );
+        return (
+          <RadarChart
+            data={chartData.data}
+            periodNames={visibleRadarColumns}
+            styleSettings={chartStyleSettings}
+          />
+        );
+      case 'kpi':
+        // Filter out hidden periods (each visible column is one tile)
+        const visibleKpiColumns = chartData.metricPeriods.filter(
+          period => !chartData.hiddenPeriods?.has(period)
+        );
+        return (
+          <KpiChart
+            data={chartData.data}
+            periodNames={visibleKpiColumns}
+            styleSettings={chartStyleSettings}
+          />
+        );
+      case 'histogram':
+      case 'boxplot':
+        // Hidden columns can't be plotted, but a hidden text column can still group the rows
+        const visibleDistributionColumns = (chartData.periodNames || []).filter(
+          period => !chartData.hiddenPeriods?.has(period)
+        );
+        const DistributionChart = chartType === 'histogram' ? HistogramChart : BoxPlotChart;
+        return (
+          <DistributionChart
+            data={chartData.data}
+            periodNames={visibleDistributionColumns}
+            columnSchema={chartData.columnSchema}
+            styleSettings={chartStyleSettings}
+          />
+        );
       default:
         return null;
     }
@@ -3189,6 +4152,9 @@ export default function ChartEditor() {
                   pastedCSV={pastedCSV}
                   setPastedCSV={setPastedCSV}
                   handlePasteCSV={handlePasteCSV}
+                  pastedTable={pastedTable}
+                  setPastedTable={setPastedTable}
+                  handlePasteTable={handlePasteTable}
                   showGoogleSheets={showGoogleSheets}
                   setShowGoogleSheets={setShowGoogleSheets}
                   googleSheetsUrl={googleSheetsUrl}
@@ -3377,32 +4343,461 @@ function CollapsibleSection({ title, isExpanded, onToggle, children }) {
 }
 
 /**
- * Style Tab Component
+ * Error bar settings shared by bar and line charts
+ * Each series takes its bounds from detected columns ("Conversion Lower" / "Conversion Upper",
+ * "Conversion ±") unless a pair of bound columns or a ± column is picked for it here
  */
-function StyleTabContent({ styleSettings, expandedSections, toggleSection, chartData, chartType, clearEmphasisRef, clearEmphasis, throttledSetters, license }) {
-  const isSlopeChart = chartType === 'slope';
-  const isBarChart = chartType?.startsWith('bar-');
-  const isLineChart = chartType === 'line' || chartType === 'area' || chartType === 'area-stacked';
+function ErrorBarsSection({ styleSettings, chartData, isExpanded, onToggle, isLineChart }) {
+  const columns = chartData.periodNames || [];
+  const explicit = styleSettings.errorBarColumns || {};
+  const { series, errorBars } = resolveErrorBars(columns, explicit);
+  const detected = detectErrorBarColumns(columns);
+  const label = isLineChart ? 'Error Bands' : 'Error Bars';
+
+  const getMode = (column) => {
+    const entry = explicit[column];
+    if (!entry) return 'auto';
+    if ('margin' in entry) return 'margin';
+    if ('lower' in entry) return 'bounds';
+    return 'none';
+  };
+  const setEntry = (column, entry) => {
+    const next = { ...explicit };
+    if (entry === undefined) {
+      delete next[column];
+    } else {
+      next[column] = entry;
+    }
+    styleSettings.setErrorBarColumns(next);
+  };
+  const setMode = (column, mode) => {
+    const current = detected[column] || {};
+    if (mode === 'auto') setEntry(column, undefined);
+    if (mode === 'bounds') setEntry(column, { lower: current.lower || '', upper: current.upper || '' });
+    if (mode === 'margin') setEntry(column, { margin: current.margin || '' });
+    if (mode === 'none') setEntry(column, {});
+  };
+  const describeBounds = (spec) => (spec.margin ? `± ${spec.margin}` : `${spec.lower} – ${spec.upper}`);
+
+  const selectClass = 'w-full px-2 py-1 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 text-sm';
+  const renderColumnSelect = (column, key, placeholder) => (
+    <select
+      value={explicit[column][key] || ''}
+      onChange={(e) => setEntry(column, { ...explicit[column], [key]: e.target.value })}
+      className={selectClass}
+    >
+      <option value="">{placeholder}</option>
+      {columns.filter(other => other !== column).map(other => (
+        <option key={other} value={other}>{other}</option>
+      ))}
+    </select>
+  );
 
   return (
-    <div className="space-y-3">
-      {/* 1. THEME - Only for Funnel Chart (Slope, Bar Chart, and Line Chart have their own) */}
-      {!isSlopeChart && !isBarChart && !isLineChart && (
-        <CollapsibleSection
-          title="Theme"
-          isExpanded={expandedSections.theme}
-          onToggle={() => toggleSection('theme')}
-        >
-          <div className="space-y-2">
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Chart Background
-              </label>
-              <div className="flex gap-2">
-                <button
-                  onClick={() => {
-                    styleSettings.setDarkMode(false);
-                    styleSettings.setBackgroundColor('#ffffff');
+    <CollapsibleSection title={label} isExpanded={isExpanded} onToggle={onToggle}>
+      <div className="space-y-3">
+        <label className="flex items-center gap-2 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={styleSettings.showErrorBars || false}
+            onChange={(e) => styleSettings.setShowErrorBars(e.target.checked)}
+            className="w-4 h-4 text-cyan-600 rounded"
+          />
+          <span className="text-sm text-gray-700">Show {label}</span>
+          <InfoTooltip text={isLineChart
+            ? 'Shades the range between each line\'s lower and upper bound. Bounds come from columns named after the line, like "Revenue Lower" and "Revenue Upper" or "Revenue ±".'
+            : 'Draws a whisker from each bar\'s lower to upper bound. Bounds come from columns named after the bar\'s column, like "Q1 Lower" and "Q1 Upper" or "Q1 ±".'}
+          />
+        </label>
+
+        {styleSettings.showErrorBars && !isLineChart && styleSettings.barMode !== 'grouped' && (
+          <p className="text-xs text-amber-700">Error bars are only drawn on grouped bars.</p>
+        )}
+        {styleSettings.showErrorBars && isLineChart && styleSettings.showAreaFill && styleSettings.stackAreas && (
+          <p className="text-xs text-amber-700">Error bands are not drawn on stacked areas.</p>
+        )}
+
+        {styleSettings.showErrorBars && (
+          <div className="space-y-3 max-h-72 overflow-y-auto">
+            {series.map(column => {
+              const mode = getMode(column);
+              return (
+                <div key={column}>
+                  <div className="flex items-center justify-between gap-2">
+                    <span className="text-sm font-medium text-gray-700 truncate">{column}</span>
+                    <select
+                      value={mode}
+                      onChange={(e) => setMode(column, e.target.value)}
+                      className="px-2 py-1 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 text-sm"
+                    >
+                      <option value="auto">Automatic</option>
+                      <option value="bounds">Lower &amp; Upper</option>
+                      <option value="margin">± Margin</option>
+                      <option value="none">None</option>
+                    </select>
+                  </div>
+                  {mode === 'auto' && (
+                    <p className="text-xs text-gray-500 mt-1">
+                      {errorBars[column] ? describeBounds(errorBars[column]) : 'No bound columns found'}
+                    </p>
+                  )}
+                  {mode === 'bounds' && (
+                    <div className="grid grid-cols-2 gap-2 mt-1">
+                      {renderColumnSelect(column, 'lower', 'Lower…')}
+                      {renderColumnSelect(column, 'upper', 'Upper…')}
+                    </div>
+                  )}
+                  {mode === 'margin' && (
+                    <div className="mt-1">
+                      {renderColumnSelect(column, 'margin', '± column…')}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </CollapsibleSection>
+  );
+}
+
+/**
+ * Reference line and band settings shared by bar and line charts
+ * Each end is a typed value or a statistic of the plotted data; line charts can also
+ * place references on the time axis, with dates written like the date column
+ */
+function ReferenceLinesSection({ styleSettings, isExpanded, onToggle, isLineChart }) {
+  const references = styleSettings.referenceLines || [];
+
+  const updateReference = (index, changes) => {
+    styleSettings.setReferenceLines(references.map((reference, i) => (i === index ? { ...reference, ...changes } : reference)));
+  };
+  const addReference = (type) => {
+    styleSettings.setReferenceLines([
+      ...references,
+      { type, axis: 'value', value: type === 'line' ? 'mean' : '', endValue: '', label: '', color: '#6b7280', style: 'dashed' },
+    ]);
+  };
+  const removeReference = (index) => {
+    styleSettings.setReferenceLines(references.filter((_, i) => i !== index));
+  };
+
+  const inputClass = 'w-full px-2 py-1 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 text-sm';
+  const renderEnd = (reference, index, key) => {
+    const statistic = REFERENCE_STATISTICS[reference[key]] ? reference[key] : 'value';
+    return (
+      <div className="flex gap-2">
+        <select
+          value={statistic}
+          onChange={(e) => updateReference(index, { [key]: e.target.value === 'value' ? '' : e.target.value })}
+          className={inputClass}
+        >
+          <option value="value">{reference.axis === 'time' ? 'Date' : 'Value'}</option>
+          {Object.entries(REFERENCE_STATISTICS).map(([name, { label }]) => (
+            <option key={name} value={name}>{label}</option>
+          ))}
+        </select>
+        {statistic === 'value' && (
+          <input
+            type="text"
+            value={reference[key] ?? ''}
+            onChange={(e) => updateReference(index, { [key]: e.target.value })}
+            placeholder={reference.axis === 'time' ? '2024-03' : '50000'}
+            className={inputClass}
+          />
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <CollapsibleSection title="Reference Lines" isExpanded={isExpanded} onToggle={onToggle}>
+      <div className="space-y-3">
+        {references.length === 0 && (
+          <p className="text-xs text-gray-500">
+            Mark a target or average with a line, or shade a range with a band.
+          </p>
+        )}
+
+        {references.map((reference, index) => (
+          <div key={index} className="space-y-2 p-2 border border-gray-200 rounded-lg">
+            <div className="flex items-center justify-between gap-2">
+              <span className="text-sm font-medium text-gray-700">
+                {reference.type === 'band' ? 'Band' : 'Line'} {index + 1}
+              </span>
+              <button
+                onClick={() => removeReference(index)}
+                className="text-red-600 hover:text-red-800 font-bold"
+                title="Remove reference"
+              >
+                ×
+              </button>
+            </div>
+
+            {isLineChart && (
+              <select
+                value={reference.axis || 'value'}
+                onChange={(e) => updateReference(index, { axis: e.target.value, value: '', endValue: '' })}
+                className={inputClass}
+              >
+                <option value="value">Value axis</option>
+                <option value="time">Time axis</option>
+              </select>
+            )}
+
+            {renderEnd(reference, index, 'value')}
+            {reference.type === 'band' && renderEnd(reference, index, 'endValue')}
+
+            <input
+              type="text"
+              value={reference.label || ''}
+              onChange={(e) => updateReference(index, { label: e.target.value })}
+              placeholder={reference.type === 'band' ? 'Label' : 'Label (defaults to the statistic)'}
+              className={inputClass}
+            />
+
+            <div className="flex items-center gap-2">
+              <input
+                type="color"
+                value={reference.color || '#6b7280'}
+                onChange={(e) => updateReference(index, { color: e.target.value })}
+                className="w-8 h-8 rounded-lg cursor-pointer border border-gray-300"
+              />
+              {reference.type !== 'band' && (
+                <select
+                  value={reference.style || 'solid'}
+                  onChange={(e) => updateReference(index, { style: e.target.value })}
+                  className={inputClass}
+                >
+                  <option value="solid">Solid</option>
+                  <option value="dashed">Dashed</option>
+                  <option value="dotted">Dotted</option>
+                </select>
+              )}
+            </div>
+          </div>
+        ))}
+
+        <div className="flex gap-2">
+          <button
+            onClick={() => addReference('line')}
+            className="flex-1 px-3 py-2 rounded-lg font-medium text-sm transition-all bg-gray-100 text-gray-700 hover:bg-gray-200"
+          >
+            Add Line
+          </button>
+          <button
+            onClick={() => addReference('band')}
+            className="flex-1 px-3 py-2 rounded-lg font-medium text-sm transition-all bg-gray-100 text-gray-700 hover:bg-gray-200"
+          >
+            Add Band
+          </button>
+        </div>
+      </div>
+    </CollapsibleSection>
+  );
+}
+
+/**
+ * Annotation settings shared by bar and line charts
+ * Each annotation is anchored to a date or category and a value; its callout is
+ * dragged into place on the chart itself
+ */
+function AnnotationsSection({ styleSettings, chartData, isExpanded, onToggle, isLineChart }) {
+  const annotations = styleSettings.annotations || [];
+  const rows = chartData.data || [];
+  const getAnchorX = (row) => String(isLineChart ? row.date : (row.Category || row.category || row.Stage || ''));
+  const anchorOptions = [...new Set(rows.map(getAnchorX).filter(Boolean))];
+  const firstSeries = (chartData.periodNames || [])[0];
+
+  // A new anchor starts on the first series' value there, so the callout lands on a point
+  const getValueAt = (x) => {
+    const row = rows.find(r => getAnchorX(r) === x);
+    return row && firstSeries && row[firstSeries] != null ? row[firstSeries] : '';
+  };
+  const updateAnnotation = (index, changes) => {
+    styleSettings.setAnnotations(annotations.map((annotation, i) => (i === index ? { ...annotation, ...changes } : annotation)));
+  };
+  const addAnnotation = (type) => {
+    const x = anchorOptions[anchorOptions.length - 1] || '';
+    styleSettings.setAnnotations([...annotations, { ...createAnnotation(type, { x, y: getValueAt(x) }), text: type === 'circle' ? '' : 'Note' }]);
+  };
+  const removeAnnotation = (index) => {
+    styleSettings.setAnnotations(annotations.filter((_, i) => i !== index));
+  };
+
+  const inputClass = 'w-full px-2 py-1 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 text-sm';
+
+  return (
+    <CollapsibleSection title="Annotations" isExpanded={isExpanded} onToggle={onToggle}>
+      <div className="space-y-3">
+        <p className="text-xs text-gray-500">
+          Anchor a note to a {isLineChart ? 'date' : 'category'} and value, then drag its text on the chart to place it.
+        </p>
+
+        {annotations.map((annotation, index) => (
+          <div key={index} className="space-y-2 p-2 border border-gray-200 rounded-lg">
+            <div className="flex items-center justify-between gap-2">
+              <span className="text-sm font-medium text-gray-700">
+                {(ANNOTATION_TYPES[annotation.type] || ANNOTATION_TYPES.text).label} {index + 1}
+              </span>
+              <button
+                onClick={() => removeAnnotation(index)}
+                className="text-red-600 hover:text-red-800 font-bold"
+                title="Remove annotation"
+              >
+                ×
+              </button>
+            </div>
+
+            <div className="grid grid-cols-2 gap-2">
+              <select
+                value={String(annotation.x ?? '')}
+                onChange={(e) => updateAnnotation(index, { x: e.target.value, y: getValueAt(e.target.value) })}
+                className={inputClass}
+              >
+                {!anchorOptions.includes(String(annotation.x ?? '')) && (
+                  <option value={String(annotation.x ?? '')}>{annotation.x || 'Choose…'}</option>
+                )}
+                {anchorOptions.map(option => (
+                  <option key={option} value={option}>{option}</option>
+                ))}
+              </select>
+              <input
+                type="number"
+                value={annotation.y ?? ''}
+                onChange={(e) => updateAnnotation(index, { y: e.target.value === '' ? '' : Number(e.target.value) })}
+                placeholder="Value"
+                className={inputClass}
+              />
+            </div>
+
+            <textarea
+              value={annotation.text || ''}
+              onChange={(e) => updateAnnotation(index, { text: e.target.value })}
+              placeholder={annotation.type === 'circle' ? 'Label (optional)' : 'Text'}
+              rows={2}
+              className={inputClass}
+            />
+
+            <div className="flex items-center gap-2">
+              <input
+                type="color"
+                value={annotation.color || '#111827'}
+                onChange={(e) => updateAnnotation(index, { color: e.target.value })}
+                className="w-8 h-8 rounded-lg cursor-pointer border border-gray-300"
+              />
+              {annotation.type === 'circle' && (
+                <div className="flex-1">
+                  <label className="block text-xs font-medium text-gray-600">
+                    Radius: {annotation.radius || 14}px
+                  </label>
+                  <input
+                    type="range"
+                    min="6"
+                    max="60"
+                    step="1"
+                    value={annotation.radius || 14}
+                    onChange={(e) => updateAnnotation(index, { radius: Number(e.target.value) })}
+                    className="w-full"
+                  />
+                </div>
+              )}
+            </div>
+          </div>
+        ))}
+
+        <div className="flex gap-2">
+          {Object.entries(ANNOTATION_TYPES).map(([type, { label }]) => (
+            <button
+              key={type}
+              onClick={() => addAnnotation(type)}
+              className="flex-1 px-3 py-2 rounded-lg font-medium text-sm transition-all bg-gray-100 text-gray-700 hover:bg-gray-200"
+            >
+              Add {label}
+            </button>
+          ))}
+        </div>
+      </div>
+    </CollapsibleSection>
+  );
+}
+
+/**
+ * Style Tab Component
+ */
+function StyleTabContent({ styleSettings, expandedSections, toggleSection, chartData, chartType, clearEmphasisRef, clearEmphasis, throttledSetters, license }) {
+  const isSlopeChart = chartType === 'slope';
+  const isDumbbellChart = chartType === 'dumbbell';
+  const isBumpChart = chartType === 'bump';
+  const isBarChart = chartType?.startsWith('bar-');
+  const isLineChart = chartType === 'line' || chartType === 'area' || chartType === 'area-stacked';
+  const isPieChart = chartType === 'pie';
+  const isSankeyChart = chartType === 'sankey';
+  const isScatterChart = chartType === 'scatter';
+  const isHeatmapChart = chartType === 'heatmap';
+  const isComboChart = chartType === 'combo';
+  const isHistogramChart = chartType === 'histogram';
+  const isBoxPlotChart = chartType === 'boxplot';
+  const isDistributionChart = isHistogramChart || isBoxPlotChart;
+  const isBulletChart = chartType === 'bullet';
+  const isKpiChart = chartType === 'kpi';
+  const isTreemapChart = chartType === 'treemap';
+  const isRadarChart = chartType === 'radar';
+  const isWaterfallChart = chartType === 'bar-waterfall';
+  const isDivergingChart = chartType === 'bar-diverging';
+  const isFunnelChart = chartType === 'funnel';
+
+  // Histograms and box plots group by the label column or any text column, and plot any other visible column
+  const distributionGroupColumns = isDistributionChart
+    ? [chartData.labelField, ...getTextColumns(chartData.data, chartData.periodNames, chartData.columnSchema)].filter(Boolean)
+    : [];
+  const distributionValueColumns = isDistributionChart
+    ? (chartData.periodNames || [])
+      .filter(period => !chartData.hiddenPeriods?.has(period) && !distributionGroupColumns.includes(period))
+    : [];
+
+  // Bullet charts pick actual, target and range columns from the visible columns
+  const bulletValueColumns = isBulletChart
+    ? chartData.metricPeriods.filter(period => !chartData.hiddenPeriods?.has(period))
+    : [];
+  const bulletColumns = resolveBulletColumns(bulletValueColumns, {
+    actualColumn: styleSettings.bulletActualColumn,
+    targetColumn: styleSettings.bulletTargetColumn,
+    rangeColumns: styleSettings.bulletRangeColumns,
+  });
+
+  // Treemaps link rows through a text column and are sized by any other visible column
+  const treemapParentColumns = isTreemapChart ? getTextColumns(chartData.data, chartData.periodNames, chartData.columnSchema) : [];
+  const treemapValueColumns = isTreemapChart
+    ? (chartData.periodNames || [])
+      .filter(period => !chartData.hiddenPeriods?.has(period) && !treemapParentColumns.includes(period))
+    : [];
+
+  // KPI tiles show one visible column each
+  const kpiMetricColumns = isKpiChart
+    ? chartData.metricPeriods.filter(period => !chartData.hiddenPeriods?.has(period))
+    : [];
+
+  return (
+    <div className="space-y-3">
+      {/* 1. THEME - Only for Funnel Chart (Slope, Bar Chart, and Line Chart have their own) */}
+      {isFunnelChart && (
+        <CollapsibleSection
+          title="Theme"
+          isExpanded={expandedSections.theme}
+          onToggle={() => toggleSection('theme')}
+        >
+          <div className="space-y-2">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Chart Background
+              </label>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => {
+                    styleSettings.setDarkMode(false);
+                    styleSettings.setBackgroundColor('#ffffff');
                   }}
                   className={`flex-1 px-4 py-2 rounded-lg font-medium text-sm transition-all ${
                     !styleSettings.darkMode
@@ -3465,8 +4860,8 @@ function StyleTabContent({ styleSettings, expandedSections, toggleSection, chart
         </CollapsibleSection>
       )}
 
-      {/* Slope Chart Specific Sections (relocated) */}
-      {isSlopeChart && (
+      {/* Slope Chart Specific Sections (relocated) - also used by Dumbbell and Bump Charts, which share the slope settings */}
+      {(isSlopeChart || isDumbbellChart || isBumpChart) && (
         <>
           {/* Theme Section for Slope Chart */}
           <CollapsibleSection
@@ -3592,6 +4987,54 @@ function StyleTabContent({ styleSettings, expandedSections, toggleSection, chart
                   className="w-full"
                 />
               </div>
+
+              {isDumbbellChart && (
+                <>
+                  {/* Row Order for Dumbbell Chart */}
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Sort Rows By
+                    </label>
+                    <select
+                      value={styleSettings.dumbbellSortBy}
+                      onChange={(e) => styleSettings.setDumbbellSortBy(e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                    >
+                      <option value="gap">Largest Gap First</option>
+                      <option value="change">Largest Increase First</option>
+                      <option value="end">Highest End Value First</option>
+                      <option value="none">Data Order</option>
+                    </select>
+                  </div>
+
+                  <label className="flex items-center gap-2 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={styleSettings.showGridLines}
+                      onChange={(e) => styleSettings.setShowGridLines(e.target.checked)}
+                      className="w-4 h-4 text-cyan-600 rounded"
+                    />
+                    <span className="text-sm text-gray-700">Show Gridlines</span>
+                  </label>
+                </>
+              )}
+
+              {isBumpChart && (
+                <div>
+                  <label className="flex items-center gap-1 text-sm font-medium text-gray-700 mb-2">
+                    Rank Order
+                    <InfoTooltip text="Use Lowest Value First when the data already holds ranks (1 = top)" />
+                  </label>
+                  <select
+                    value={styleSettings.bumpRankOrder}
+                    onChange={(e) => styleSettings.setBumpRankOrder(e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                  >
+                    <option value="highest">Highest Value First</option>
+                    <option value="lowest">Lowest Value First</option>
+                  </select>
+                </div>
+              )}
             </div>
           </CollapsibleSection>
 
@@ -3984,43 +5427,45 @@ function StyleTabContent({ styleSettings, expandedSections, toggleSection, chart
             onToggle={() => toggleSection('labels')}
           >
             <div className="space-y-2">
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Category Label Position
-                </label>
-                <div className="flex gap-2">
-                  <button
-                    onClick={() => styleSettings.setLabelPosition('left')}
-                    className={`flex-1 px-4 py-2 rounded-lg font-medium text-sm transition-all ${
-                      styleSettings.labelPosition === 'left'
-                        ? 'bg-cyan-600 text-white shadow-md'
-                        : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
-                    }`}
-                  >
-                    Left
-                  </button>
-                  <button
-                    onClick={() => styleSettings.setLabelPosition('right')}
-                    className={`flex-1 px-4 py-2 rounded-lg font-medium text-sm transition-all ${
-                      styleSettings.labelPosition === 'right'
-                        ? 'bg-cyan-600 text-white shadow-md'
-                        : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
-                    }`}
-                  >
-                    Right
-                  </button>
-                  <button
-                    onClick={() => styleSettings.setLabelPosition('both')}
-                    className={`flex-1 px-4 py-2 rounded-lg font-medium text-sm transition-all ${
-                      styleSettings.labelPosition === 'both'
-                        ? 'bg-cyan-600 text-white shadow-md'
-                        : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
-                    }`}
-                  >
-                    Both
-                  </button>
+              {(isSlopeChart || isBumpChart) && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Category Label Position
+                  </label>
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => styleSettings.setLabelPosition('left')}
+                      className={`flex-1 px-4 py-2 rounded-lg font-medium text-sm transition-all ${
+                        styleSettings.labelPosition === 'left'
+                          ? 'bg-cyan-600 text-white shadow-md'
+                          : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                      }`}
+                    >
+                      Left
+                    </button>
+                    <button
+                      onClick={() => styleSettings.setLabelPosition('right')}
+                      className={`flex-1 px-4 py-2 rounded-lg font-medium text-sm transition-all ${
+                        styleSettings.labelPosition === 'right'
+                          ? 'bg-cyan-600 text-white shadow-md'
+                          : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                      }`}
+                    >
+                      Right
+                    </button>
+                    <button
+                      onClick={() => styleSettings.setLabelPosition('both')}
+                      className={`flex-1 px-4 py-2 rounded-lg font-medium text-sm transition-all ${
+                        styleSettings.labelPosition === 'both'
+                          ? 'bg-cyan-600 text-white shadow-md'
+                          : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                      }`}
+                    >
+                      Both
+                    </button>
+                  </div>
                 </div>
-              </div>
+              )}
 
               <label className="flex items-center gap-2 cursor-pointer">
                 <input
@@ -4039,10 +5484,11 @@ function StyleTabContent({ styleSettings, expandedSections, toggleSection, chart
                   onChange={(e) => styleSettings.setShowValueLabels(e.target.checked)}
                   className="w-4 h-4 text-cyan-600 rounded"
                 />
-                <span className="text-sm text-gray-700">Show Value Labels</span>
+                <span className="text-sm text-gray-700">{isBumpChart ? 'Show Ranks in Points' : 'Show Value Labels'}</span>
               </label>
 
-              {styleSettings.showValueLabels && (
+              {/* Bump charts label points with their rank, so value formatting doesn't apply */}
+              {styleSettings.showValueLabels && !isBumpChart && (
                 <>
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -4193,7 +5639,7 @@ function StyleTabContent({ styleSettings, expandedSections, toggleSection, chart
 
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Endpoint Size: {styleSettings.endpointSize}px
+                  {isDumbbellChart ? 'Dot Size' : isBumpChart ? 'Point Size' : 'Endpoint Size'}: {styleSettings.endpointSize}px
                 </label>
                 <input
                   type="range"
@@ -4205,142 +5651,7052 @@ function StyleTabContent({ styleSettings, expandedSections, toggleSection, chart
                 />
               </div>
 
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Endpoint Style
+              {isBumpChart && (
+                <label className="flex items-center gap-2 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={styleSettings.bumpSmoothLines}
+                    onChange={(e) => styleSettings.setBumpSmoothLines(e.target.checked)}
+                    className="w-4 h-4 text-cyan-600 rounded"
+                  />
+                  <span className="text-sm text-gray-700">Smooth Lines</span>
                 </label>
-                <div className="flex gap-2">
+              )}
+
+              {/* Endpoint style, period spacing and axis lines only apply to the slope chart */}
+              {isSlopeChart && (
+                <>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Endpoint Style
+                    </label>
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => styleSettings.setEndpointStyle('filled')}
+                        className={`flex-1 px-4 py-2 rounded-lg font-medium text-sm transition-all ${
+                          styleSettings.endpointStyle === 'filled'
+                            ? 'bg-cyan-600 text-white shadow-md'
+                            : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                        }`}
+                      >
+                        Filled
+                      </button>
+                      <button
+                        onClick={() => styleSettings.setEndpointStyle('outlined')}
+                        className={`flex-1 px-4 py-2 rounded-lg font-medium text-sm transition-all ${
+                          styleSettings.endpointStyle === 'outlined'
+                            ? 'bg-cyan-600 text-white shadow-md'
+                            : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                        }`}
+                      >
+                        Outlined
+                      </button>
+                    </div>
+                  </div>
+
+                  <div>
+                    <label className="flex items-center gap-1 text-sm font-medium text-gray-700 mb-2">
+                      Period Spacing: {styleSettings.periodSpacing}px
+                      <InfoTooltip text="Distance between the two vertical axis lines" />
+                    </label>
+                    <input
+                      type="range"
+                      min="100"
+                      max="600"
+                      value={styleSettings.periodSpacing}
+                      onChange={(e) => throttledSetters.setPeriodSpacing(Number(e.target.value))}
+                      className="w-full"
+                    />
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Axis Line Style
+                    </label>
+                    <select
+                      value={styleSettings.slopeAxisLineStyle}
+                      onChange={(e) => styleSettings.setSlopeAxisLineStyle(e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                    >
+                      <option value="none">No Line</option>
+                      <option value="solid">Solid</option>
+                      <option value="dashed">Dashed</option>
+                      <option value="dotted">Dotted</option>
+                    </select>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Axis Line Color
+                    </label>
+                    <div className="flex gap-2">
+                      <input
+                        type="color"
+                        value={styleSettings.slopeAxisLineColor}
+                        onChange={(e) => styleSettings.setSlopeAxisLineColor(e.target.value)}
+                        className="w-10 h-10 rounded-lg cursor-pointer border border-gray-300"
+                      />
+                      <input
+                        type="text"
+                        value={styleSettings.slopeAxisLineColor}
+                        onChange={(e) => styleSettings.setSlopeAxisLineColor(e.target.value)}
+                        className="w-24 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 font-mono text-sm"
+                      />
+                    </div>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Axis Ends
+                    </label>
+                    <select
+                      value={styleSettings.axisEnds}
+                      onChange={(e) => styleSettings.setAxisEnds(e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                    >
+                      <option value="none">No Style</option>
+                      <option value="t-end">T-end</option>
+                    </select>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Axis Line Thickness: {styleSettings.slopeAxisLineWidth}px
+                    </label>
+                    <input
+                      type="range"
+                      min="1"
+                      max="5"
+                      value={styleSettings.slopeAxisLineWidth}
+                      onChange={(e) => styleSettings.setSlopeAxisLineWidth(Number(e.target.value))}
+                      className="w-full"
+                    />
+                  </div>
+                </>
+              )}
+            </div>
+          </CollapsibleSection>
+
+          {/* Emphasis Section for Slope Chart */}
+          <CollapsibleSection
+            title="Emphasis"
+            isExpanded={expandedSections.lineEmphasis}
+            onToggle={() => toggleSection('lineEmphasis')}
+          >
+            <div className="space-y-3">
+              <p className="text-sm text-gray-600">
+                Click on {isDumbbellChart ? 'rows' : 'lines'} in the chart to emphasize them (max 2)
+              </p>
+              {styleSettings.emphasizedLines.length > 0 && (
+                <div>
+                  <p className="text-sm font-medium text-gray-700 mb-2">
+                    Emphasized Lines: {styleSettings.emphasizedLines.join(', ')}
+                  </p>
+                  <button
+                    onClick={() => styleSettings.setEmphasizedLines([])}
+                    className="text-sm text-cyan-600 hover:text-cyan-700 underline"
+                  >
+                    Clear All
+                  </button>
+                </div>
+              )}
+            </div>
+          </CollapsibleSection>
+
+          {/* Watermark Section for Slope Chart - Hidden for Pro users */}
+          {!license.hasAccess && (
+            <CollapsibleSection
+              title="Watermark"
+              isExpanded={expandedSections.watermark}
+              onToggle={() => toggleSection('watermark')}
+            >
+              <div className="space-y-2">
+                <div className="px-3 py-3 bg-amber-50 border border-amber-200 rounded-lg">
+                  <div className="flex items-start gap-2">
+                    <span className="text-amber-600">💎</span>
+                    <div>
+                      <p className="text-sm font-medium text-amber-900">Upgrade to Pro</p>
+                      <p className="text-xs text-amber-700 mt-1">
+                        Remove watermarks and unlock unlimited exports with a Pro license
+                      </p>
+                      <button
+                        onClick={() => {
+                          setShowHamburgerMenu(true);
+                        }}
+                        className="mt-2 text-xs text-amber-600 hover:text-amber-700 font-medium underline"
+                      >
+                        View pricing →
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              </div>
+            </CollapsibleSection>
+          )}
+        </>
+      )}
+
+      {/* Pie Chart Specific Sections */}
+      {isPieChart && (
+        <>
+          {/* Theme Section for Pie Chart */}
+          <CollapsibleSection
+            title="Theme"
+            isExpanded={expandedSections.theme}
+            onToggle={() => toggleSection('theme')}
+          >
+            <div className="space-y-2">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Chart Background
+                </label>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => {
+                    styleSettings.setDarkMode(false);
+                    styleSettings.setBackgroundColor('#ffffff');
+                  }}
+                    className={`flex-1 px-4 py-2 rounded-lg font-medium text-sm transition-all ${
+                      !styleSettings.darkMode
+                        ? 'bg-white text-gray-900 border-2 border-gray-400 shadow-md'
+                        : 'bg-gray-100 text-gray-600 hover:bg-gray-200 border border-gray-300'
+                    }`}
+                  >
+                    Light Mode
+                  </button>
+                  <button
+                    onClick={() => {
+                    styleSettings.setDarkMode(true);
+                    styleSettings.setBackgroundColor('#1f2937');
+                  }}
+                    className={`flex-1 px-4 py-2 rounded-lg font-medium text-sm transition-all ${
+                      styleSettings.darkMode
+                        ? 'bg-gray-800 text-white border-2 border-gray-600 shadow-md'
+                        : 'bg-gray-100 text-gray-600 hover:bg-gray-200 border border-gray-300'
+                    }`}
+                  >
+                    Dark Mode
+                  </button>
+                </div>
+              </div>
+
+              {/* Background Color */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Background Color
+                </label>
+                <div className="flex gap-2">
+                  <input
+                    type="color"
+                    value={styleSettings.backgroundColor}
+                    onChange={(e) => styleSettings.setBackgroundColor(e.target.value)}
+                    className="w-10 h-10 rounded border border-gray-300 cursor-pointer"
+                  />
+                  <input
+                    type="text"
+                    value={styleSettings.backgroundColor}
+                    onChange={(e) => {
+                      const value = e.target.value;
+                      if (/^#[0-9A-Fa-f]{0,6}$/.test(value)) {
+                        styleSettings.setBackgroundColor(value);
+                      }
+                    }}
+                    placeholder="#ffffff"
+                    className="w-24 px-3 py-2 border border-gray-300 rounded-lg font-mono text-sm"
+                  />
+                </div>
+              </div>
+
+              {/* Background Opacity */}
+              <div>
+                <label className="flex items-center gap-1 text-sm font-medium text-gray-700 mb-2">
+                  Background Opacity: {styleSettings.backgroundOpacity}%
+                  <InfoTooltip text="Adjusts the transparency of the chart background" />
+                </label>
+                <input
+                  type="range"
+                  min="0"
+                  max="100"
+                  value={styleSettings.backgroundOpacity}
+                  onChange={(e) => throttledSetters.setBackgroundOpacity(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+            </div>
+          </CollapsibleSection>
+
+          {/* Canvas & Layout Section for Pie Chart */}
+          <CollapsibleSection
+            title="Canvas & Layout"
+            isExpanded={expandedSections.layoutCanvas}
+            onToggle={() => toggleSection('layoutCanvas')}
+          >
+            <div className="space-y-2">
+              {/* Chart Width */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Chart Width: {styleSettings.chartWidth}px
+                </label>
+                <input
+                  type="range"
+                  min="300"
+                  max="1500"
+                  value={styleSettings.chartWidth}
+                  onChange={(e) => throttledSetters.setChartWidth(Number(e.target.value))}
+                  onInput={(e) => styleSettings.setChartWidth(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              {/* Chart Height */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Chart Height: {styleSettings.chartHeight}px
+                </label>
+                <input
+                  type="range"
+                  min="300"
+                  max="1500"
+                  value={styleSettings.chartHeight}
+                  onChange={(e) => throttledSetters.setChartHeight(Number(e.target.value))}
+                  onInput={(e) => styleSettings.setChartHeight(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+            </div>
+          </CollapsibleSection>
+
+          {/* Chart Shape Section for Pie Chart */}
+          <CollapsibleSection
+            title="Chart Shape"
+            isExpanded={expandedSections.chartStructure}
+            onToggle={() => toggleSection('chartStructure')}
+          >
+            <div className="space-y-2">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Style
+                </label>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => styleSettings.setDonutMode(false)}
+                    className={`flex-1 px-4 py-2 rounded-lg font-medium text-sm transition-all ${
+                      !styleSettings.donutMode
+                        ? 'bg-cyan-600 text-white shadow-md'
+                        : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                    }`}
+                  >
+                    Pie
+                  </button>
+                  <button
+                    onClick={() => styleSettings.setDonutMode(true)}
+                    className={`flex-1 px-4 py-2 rounded-lg font-medium text-sm transition-all ${
+                      styleSettings.donutMode
+                        ? 'bg-cyan-600 text-white shadow-md'
+                        : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                    }`}
+                  >
+                    Donut
+                  </button>
+                </div>
+              </div>
+
+              {styleSettings.donutMode && (
+                <>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Ring Thickness: {styleSettings.donutThickness}%
+                    </label>
+                    <input
+                      type="range"
+                      min="10"
+                      max="90"
+                      value={styleSettings.donutThickness}
+                      onChange={(e) => styleSettings.setDonutThickness(Number(e.target.value))}
+                      className="w-full"
+                    />
+                  </div>
+
+                  <label className="flex items-center gap-2 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={styleSettings.showDonutTotal}
+                      onChange={(e) => styleSettings.setShowDonutTotal(e.target.checked)}
+                      className="w-4 h-4 text-cyan-600 rounded"
+                    />
+                    <span className="text-sm text-gray-700">Show Total in Center</span>
+                  </label>
+                </>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Start Angle: {styleSettings.pieStartAngle}°
+                </label>
+                <input
+                  type="range"
+                  min="0"
+                  max="355"
+                  step="5"
+                  value={styleSettings.pieStartAngle}
+                  onChange={(e) => styleSettings.setPieStartAngle(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={styleSettings.sortSlices}
+                  onChange={(e) => styleSettings.setSortSlices(e.target.checked)}
+                  className="w-4 h-4 text-cyan-600 rounded"
+                />
+                <span className="text-sm text-gray-700">Sort Slices (Largest First)</span>
+              </label>
+
+              <div>
+                <label className="flex items-center gap-1 text-sm font-medium text-gray-700 mb-2">
+                  Group Small Slices: {styleSettings.otherThreshold > 0 ? `< ${styleSettings.otherThreshold}%` : 'Off'}
+                  <InfoTooltip text="Slices smaller than this share of the total are combined into a single slice" />
+                </label>
+                <input
+                  type="range"
+                  min="0"
+                  max="15"
+                  step="0.5"
+                  value={styleSettings.otherThreshold}
+                  onChange={(e) => styleSettings.setOtherThreshold(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              {styleSettings.otherThreshold > 0 && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Grouped Slice Label
+                  </label>
+                  <input
+                    type="text"
+                    value={styleSettings.otherLabel}
+                    onChange={(e) => styleSettings.setOtherLabel(e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                  />
+                </div>
+              )}
+            </div>
+          </CollapsibleSection>
+
+          {/* Colors & Styling Section for Pie Chart */}
+          <CollapsibleSection
+            title="Colors & Styling"
+            isExpanded={expandedSections.colorsStyling}
+            onToggle={() => toggleSection('colorsStyling')}
+          >
+            <div className="space-y-2">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Palette
+                </label>
+                <select
+                  value={styleSettings.comparisonPalette}
+                  onChange={(e) => styleSettings.setComparisonPalette(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                >
+                  {Object.entries(comparisonPalettes).map(([key, palette]) => (
+                    <option key={key} value={key}>
+                      {palette.name}
+                    </option>
+                  ))}
+                </select>
+                {styleSettings.comparisonPalette !== 'user' && (
+                  <div className="mt-2">
+                    <div className="flex flex-wrap gap-2">
+                      {comparisonPalettes[styleSettings.comparisonPalette].colors.slice(0, 8).map((color, index) => (
+                        <div
+                          key={index}
+                          className="w-10 h-10 rounded border-2 border-gray-300"
+                          style={{ backgroundColor: color }}
+                          title={color}
+                        />
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </div>
+
+              {/* Custom Colors */}
+              {styleSettings.comparisonPalette === 'user' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Custom Colors (up to 8)
+                  </label>
+                  <div className="grid grid-cols-4 gap-3">
+                    {styleSettings.userCustomColors.map((color, index) => (
+                      <div key={index} className="flex flex-col gap-1">
+                        <input
+                          type="color"
+                          value={color}
+                          onChange={(e) => {
+                            const newColors = [...styleSettings.userCustomColors];
+                            newColors[index] = e.target.value;
+                            styleSettings.setUserCustomColors(newColors);
+                          }}
+                          className="w-full h-12 rounded-lg cursor-pointer border-2 border-gray-300"
+                        />
+                        <input
+                          type="text"
+                          value={color}
+                          onChange={(e) => {
+                            const newColors = [...styleSettings.userCustomColors];
+                            newColors[index] = e.target.value;
+                            styleSettings.setUserCustomColors(newColors);
+                          }}
+                          className="w-full px-2 py-1 text-xs border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-cyan-500 font-mono"
+                        />
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+            </div>
+          </CollapsibleSection>
+
+          {/* Typography Section for Pie Chart */}
+          <CollapsibleSection
+            title="Typography"
+            isExpanded={expandedSections.typography}
+            onToggle={() => toggleSection('typography')}
+          >
+            <div className="space-y-2">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Title
+                </label>
+                <input
+                  type="text"
+                  value={styleSettings.title}
+                  onChange={(e) => styleSettings.setTitle(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Subtitle
+                </label>
+                <input
+                  type="text"
+                  value={styleSettings.subtitle}
+                  onChange={(e) => styleSettings.setSubtitle(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Title Alignment
+                </label>
+                <select
+                  value={styleSettings.titleAlignment}
+                  onChange={(e) => styleSettings.setTitleAlignment(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                >
+                  <option value="left">Left</option>
+                  <option value="center">Center</option>
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Font Family
+                </label>
+                <select
+                  value={styleSettings.fontFamily}
+                  onChange={(e) => styleSettings.setFontFamily(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                >
+                  <optgroup label="Sans-Serif">
+                    <option value="Inter">Inter</option>
+                    <option value="Libre Franklin">Libre Franklin</option>
+                    <option value="Montserrat">Montserrat</option>
+                    <option value="Open Sans">Open Sans</option>
+                    <option value="Poppins">Poppins</option>
+                    <option value="Raleway">Raleway</option>
+                    <option value="Roboto">Roboto</option>
+                    <option value="Source Sans 3">Source Sans 3</option>
+                    <option value="Lato">Lato</option>
+                  </optgroup>
+                  <optgroup label="Condensed">
+                    <option value="Roboto Condensed">Roboto Condensed</option>
+                    <option value="Open Sans Condensed">Open Sans Condensed</option>
+                    <option value="Economica">Economica</option>
+                  </optgroup>
+                  <optgroup label="Serif">
+                    <option value="Merriweather">Merriweather</option>
+                    <option value="Playfair Display">Playfair Display</option>
+                    <option value="Lora">Lora</option>
+                    <option value="PT Serif">PT Serif</option>
+                    <option value="Newsreader">Newsreader</option>
+                    <option value="Georgia">Georgia</option>
+                  </optgroup>
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Title Font Size: {styleSettings.titleFontSize}px
+                </label>
+                <input
+                  type="range"
+                  min="16"
+                  max="48"
+                  value={styleSettings.titleFontSize}
+                  onChange={(e) => styleSettings.setTitleFontSize(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Subtitle Font Size: {styleSettings.subtitleFontSize}px
+                </label>
+                <input
+                  type="range"
+                  min="12"
+                  max="32"
+                  value={styleSettings.subtitleFontSize}
+                  onChange={(e) => styleSettings.setSubtitleFontSize(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Category Label Font Size: {styleSettings.segmentLabelFontSize}px
+                </label>
+                <input
+                  type="range"
+                  min="10"
+                  max="32"
+                  value={styleSettings.segmentLabelFontSize}
+                  onChange={(e) => styleSettings.setSegmentLabelFontSize(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Value Label Font Size: {styleSettings.metricLabelFontSize}px
+                </label>
+                <input
+                  type="range"
+                  min="10"
+                  max="32"
+                  value={styleSettings.metricLabelFontSize}
+                  onChange={(e) => styleSettings.setMetricLabelFontSize(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+            </div>
+          </CollapsibleSection>
+
+          {/* Labels Section for Pie Chart */}
+          <CollapsibleSection
+            title="Labels"
+            isExpanded={expandedSections.labels}
+            onToggle={() => toggleSection('labels')}
+          >
+            <div className="space-y-2">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Label Position
+                </label>
+                <div className="flex gap-2">
+                  {[
+                    { value: 'outside', label: 'Outside' },
+                    { value: 'inside', label: 'Inside' },
+                    { value: 'none', label: 'None' },
+                  ].map(option => (
+                    <button
+                      key={option.value}
+                      onClick={() => styleSettings.setPieLabelPosition(option.value)}
+                      className={`flex-1 px-4 py-2 rounded-lg font-medium text-sm transition-all ${
+                        styleSettings.pieLabelPosition === option.value
+                          ? 'bg-cyan-600 text-white shadow-md'
+                          : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                      }`}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              {styleSettings.pieLabelPosition !== 'none' && (
+                <>
+                  <label className="flex items-center gap-2 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={styleSettings.showCategoryLabels}
+                      onChange={(e) => styleSettings.setShowCategoryLabels(e.target.checked)}
+                      className="w-4 h-4 text-cyan-600 rounded"
+                    />
+                    <span className="text-sm text-gray-700">Show Category Labels</span>
+                  </label>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Label Format
+                    </label>
+                    <select
+                      value={styleSettings.pieLabelFormat}
+                      onChange={(e) => styleSettings.setPieLabelFormat(e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                    >
+                      <option value="percentage">Percentage of Total</option>
+                      <option value="value">Values Only</option>
+                      <option value="both">Values & Percentage</option>
+                    </select>
+                  </div>
+
+                  {styleSettings.pieLabelFormat !== 'percentage' && (
+                    <>
+                      {/* Compact Numbers for Pie Chart */}
+                      <div className="flex items-center gap-2">
+                        <label className="flex-1 text-sm font-medium text-gray-700">
+                          Compact label values (1.5K vs 1500)
+                        </label>
+                        <button
+                          onClick={() => styleSettings.setCompactNumbers(!styleSettings.compactNumbers)}
+                          className={`px-4 py-1 rounded text-sm font-medium ${
+                            styleSettings.compactNumbers
+                              ? 'bg-cyan-600 text-white'
+                              : 'bg-gray-200 text-gray-600'
+                          }`}
+                        >
+                          {styleSettings.compactNumbers ? 'On' : 'Off'}
+                        </button>
+                      </div>
+
+                      {/* Number Styling (Values) */}
+                      <div className="grid grid-cols-3 gap-3">
+                        <div>
+                          <label className="block text-xs font-medium text-gray-600 mb-1">
+                            Prefix
+                          </label>
+                          <input
+                            type="text"
+                            value={styleSettings.valuePrefix}
+                            onChange={(e) => styleSettings.setValuePrefix(e.target.value)}
+                            placeholder="$"
+                            maxLength={3}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 text-sm"
+                          />
+                        </div>
+                        <div>
+                          <label className="block text-xs font-medium text-gray-600 mb-1">
+                            Suffix
+                          </label>
+                          <input
+                            type="text"
+                            value={styleSettings.valueSuffix}
+                            onChange={(e) => styleSettings.setValueSuffix(e.target.value)}
+                            placeholder="%"
+                            maxLength={3}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 text-sm"
+                          />
+                        </div>
+                        <div>
+                          <label className="block text-xs font-medium text-gray-600 mb-1">
+                            Decimal places
+                          </label>
+                          <input
+                            type="number"
+                            value={styleSettings.valueDecimalPlaces}
+                            onChange={(e) => styleSettings.setValueDecimalPlaces(Math.max(0, Math.min(5, parseInt(e.target.value) || 0)))}
+                            min="0"
+                            max="5"
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 text-sm"
+                          />
+                        </div>
+                      </div>
+                    </>
+                  )}
+                </>
+              )}
+            </div>
+          </CollapsibleSection>
+
+          {/* Emphasis Section for Pie Chart */}
+          <CollapsibleSection
+            title="Emphasis"
+            isExpanded={expandedSections.sliceEmphasis}
+            onToggle={() => toggleSection('sliceEmphasis')}
+          >
+            <div className="space-y-3">
+              <p className="text-sm text-gray-600">
+                Click on slices in the chart to emphasize them (max 4)
+              </p>
+              {styleSettings.emphasizedSlices.length > 0 && (
+                <div>
+                  <p className="text-sm font-medium text-gray-700 mb-2">
+                    Emphasized Slices: {styleSettings.emphasizedSlices.join(', ')}
+                  </p>
+                  <button
+                    onClick={() => styleSettings.setEmphasizedSlices([])}
+                    className="text-sm text-cyan-600 hover:text-cyan-700 underline"
+                  >
+                    Clear All
+                  </button>
+                </div>
+              )}
+            </div>
+          </CollapsibleSection>
+
+          {/* Watermark Section for Pie Chart - Hidden for Pro users */}
+          {!license.hasAccess && (
+            <CollapsibleSection
+              title="Watermark"
+              isExpanded={expandedSections.watermark}
+              onToggle={() => toggleSection('watermark')}
+            >
+              <div className="space-y-2">
+                <div className="px-3 py-3 bg-amber-50 border border-amber-200 rounded-lg">
+                  <div className="flex items-start gap-2">
+                    <span className="text-amber-600">💎</span>
+                    <div>
+                      <p className="text-sm font-medium text-amber-900">Upgrade to Pro</p>
+                      <p className="text-xs text-amber-700 mt-1">
+                        Remove watermarks and unlock unlimited exports with a Pro license
+                      </p>
+                      <button
+                        onClick={() => {
+                          setShowHamburgerMenu(true);
+                        }}
+                        className="mt-2 text-xs text-amber-600 hover:text-amber-700 font-medium underline"
+                      >
+                        View pricing →
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              </div>
+            </CollapsibleSection>
+          )}
+        </>
+      )}
+
+      {/* Sankey Chart Specific Sections */}
+      {isSankeyChart && (
+        <>
+          {/* Theme Section for Sankey Chart */}
+          <CollapsibleSection
+            title="Theme"
+            isExpanded={expandedSections.theme}
+            onToggle={() => toggleSection('theme')}
+          >
+            <div className="space-y-2">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Chart Background
+                </label>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => {
+                    styleSettings.setDarkMode(false);
+                    styleSettings.setBackgroundColor('#ffffff');
+                  }}
+                    className={`flex-1 px-4 py-2 rounded-lg font-medium text-sm transition-all ${
+                      !styleSettings.darkMode
+                        ? 'bg-white text-gray-900 border-2 border-gray-400 shadow-md'
+                        : 'bg-gray-100 text-gray-600 hover:bg-gray-200 border border-gray-300'
+                    }`}
+                  >
+                    Light Mode
+                  </button>
+                  <button
+                    onClick={() => {
+                    styleSettings.setDarkMode(true);
+                    styleSettings.setBackgroundColor('#1f2937');
+                  }}
+                    className={`flex-1 px-4 py-2 rounded-lg font-medium text-sm transition-all ${
+                      styleSettings.darkMode
+                        ? 'bg-gray-800 text-white border-2 border-gray-600 shadow-md'
+                        : 'bg-gray-100 text-gray-600 hover:bg-gray-200 border border-gray-300'
+                    }`}
+                  >
+                    Dark Mode
+                  </button>
+                </div>
+              </div>
+
+              {/* Background Color */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Background Color
+                </label>
+                <div className="flex gap-2">
+                  <input
+                    type="color"
+                    value={styleSettings.backgroundColor}
+                    onChange={(e) => styleSettings.setBackgroundColor(e.target.value)}
+                    className="w-10 h-10 rounded border border-gray-300 cursor-pointer"
+                  />
+                  <input
+                    type="text"
+                    value={styleSettings.backgroundColor}
+                    onChange={(e) => {
+                      const value = e.target.value;
+                      if (/^#[0-9A-Fa-f]{0,6}$/.test(value)) {
+                        styleSettings.setBackgroundColor(value);
+                      }
+                    }}
+                    placeholder="#ffffff"
+                    className="w-24 px-3 py-2 border border-gray-300 rounded-lg font-mono text-sm"
+                  />
+                </div>
+              </div>
+
+              {/* Background Opacity */}
+              <div>
+                <label className="flex items-center gap-1 text-sm font-medium text-gray-700 mb-2">
+                  Background Opacity: {styleSettings.backgroundOpacity}%
+                  <InfoTooltip text="Adjusts the transparency of the chart background" />
+                </label>
+                <input
+                  type="range"
+                  min="0"
+                  max="100"
+                  value={styleSettings.backgroundOpacity}
+                  onChange={(e) => throttledSetters.setBackgroundOpacity(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+            </div>
+          </CollapsibleSection>
+
+          {/* Canvas & Layout Section for Sankey Chart */}
+          <CollapsibleSection
+            title="Canvas & Layout"
+            isExpanded={expandedSections.layoutCanvas}
+            onToggle={() => toggleSection('layoutCanvas')}
+          >
+            <div className="space-y-2">
+              {/* Chart Width */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Chart Width: {styleSettings.chartWidth}px
+                </label>
+                <input
+                  type="range"
+                  min="300"
+                  max="1500"
+                  value={styleSettings.chartWidth}
+                  onChange={(e) => throttledSetters.setChartWidth(Number(e.target.value))}
+                  onInput={(e) => styleSettings.setChartWidth(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              {/* Chart Height */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Chart Height: {styleSettings.chartHeight}px
+                </label>
+                <input
+                  type="range"
+                  min="300"
+                  max="1500"
+                  value={styleSettings.chartHeight}
+                  onChange={(e) => throttledSetters.setChartHeight(Number(e.target.value))}
+                  onInput={(e) => styleSettings.setChartHeight(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+            </div>
+          </CollapsibleSection>
+
+          {/* Nodes & Flows Section for Sankey Chart */}
+          <CollapsibleSection
+            title="Nodes & Flows"
+            isExpanded={expandedSections.chartStructure}
+            onToggle={() => toggleSection('chartStructure')}
+          >
+            <div className="space-y-2">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Node Width: {styleSettings.sankeyNodeWidth}px
+                </label>
+                <input
+                  type="range"
+                  min="4"
+                  max="60"
+                  value={styleSettings.sankeyNodeWidth}
+                  onChange={(e) => styleSettings.setSankeyNodeWidth(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Node Spacing: {styleSettings.sankeyNodePadding}px
+                </label>
+                <input
+                  type="range"
+                  min="0"
+                  max="60"
+                  value={styleSettings.sankeyNodePadding}
+                  onChange={(e) => styleSettings.setSankeyNodePadding(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              <div>
+                <label className="flex items-center gap-1 text-sm font-medium text-gray-700 mb-2">
+                  Node Alignment
+                  <InfoTooltip text="Justify moves nodes without outgoing flows to the last column" />
+                </label>
+                <div className="flex gap-2">
+                  {[
+                    { value: 'justify', label: 'Justify' },
+                    { value: 'left', label: 'Left' },
+                  ].map(option => (
+                    <button
+                      key={option.value}
+                      onClick={() => styleSettings.setSankeyNodeAlign(option.value)}
+                      className={`flex-1 px-4 py-2 rounded-lg font-medium text-sm transition-all ${
+                        styleSettings.sankeyNodeAlign === option.value
+                          ? 'bg-cyan-600 text-white shadow-md'
+                          : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                      }`}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Flow Opacity: {Math.round(styleSettings.sankeyLinkOpacity * 100)}%
+                </label>
+                <input
+                  type="range"
+                  min="5"
+                  max="100"
+                  value={Math.round(styleSettings.sankeyLinkOpacity * 100)}
+                  onChange={(e) => styleSettings.setSankeyLinkOpacity(Number(e.target.value) / 100)}
+                  className="w-full"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Flow Color
+                </label>
+                <select
+                  value={styleSettings.sankeyLinkColorMode}
+                  onChange={(e) => styleSettings.setSankeyLinkColorMode(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                >
+                  <option value="source">Match Source Node</option>
+                  <option value="target">Match Target Node</option>
+                  <option value="neutral">Neutral Gray</option>
+                </select>
+              </div>
+            </div>
+          </CollapsibleSection>
+
+          {/* Colors & Styling Section for Sankey Chart */}
+          <CollapsibleSection
+            title="Colors & Styling"
+            isExpanded={expandedSections.colorsStyling}
+            onToggle={() => toggleSection('colorsStyling')}
+          >
+            <div className="space-y-2">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Node Colors
+                </label>
+                <div className="flex gap-2">
+                  {[
+                    { value: 'depth', label: 'Shade by Stage' },
+                    { value: 'palette', label: 'Palette' },
+                  ].map(option => (
+                    <button
+                      key={option.value}
+                      onClick={() => styleSettings.setSankeyColorMode(option.value)}
+                      className={`flex-1 px-4 py-2 rounded-lg font-medium text-sm transition-all ${
+                        styleSettings.sankeyColorMode === option.value
+                          ? 'bg-cyan-600 text-white shadow-md'
+                          : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                      }`}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              {styleSettings.sankeyColorMode === 'palette' ? (
+                <>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Palette
+                    </label>
+                    <select
+                      value={styleSettings.comparisonPalette}
+                      onChange={(e) => styleSettings.setComparisonPalette(e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                    >
+                      {Object.entries(comparisonPalettes).map(([key, palette]) => (
+                        <option key={key} value={key}>
+                          {palette.name}
+                        </option>
+                      ))}
+                    </select>
+                    {styleSettings.comparisonPalette !== 'user' && (
+                      <div className="mt-2">
+                        <div className="flex flex-wrap gap-2">
+                          {comparisonPalettes[styleSettings.comparisonPalette].colors.slice(0, 8).map((color, index) => (
+                            <div
+                              key={index}
+                              className="w-10 h-10 rounded border-2 border-gray-300"
+                              style={{ backgroundColor: color }}
+                              title={color}
+                            />
+                          ))}
+                        </div>
+                      </div>
+                    )}
+                  </div>
+
+                  {/* Custom Colors */}
+                  {styleSettings.comparisonPalette === 'user' && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Custom Colors (up to 8)
+                      </label>
+                      <div className="grid grid-cols-4 gap-3">
+                        {styleSettings.userCustomColors.map((color, index) => (
+                          <div key={index} className="flex flex-col gap-1">
+                            <input
+                              type="color"
+                              value={color}
+                              onChange={(e) => {
+                                const newColors = [...styleSettings.userCustomColors];
+                                newColors[index] = e.target.value;
+                                styleSettings.setUserCustomColors(newColors);
+                              }}
+                              className="w-full h-12 rounded-lg cursor-pointer border-2 border-gray-300"
+                            />
+                            <input
+                              type="text"
+                              value={color}
+                              onChange={(e) => {
+                                const newColors = [...styleSettings.userCustomColors];
+                                newColors[index] = e.target.value;
+                                styleSettings.setUserCustomColors(newColors);
+                              }}
+                              className="w-full px-2 py-1 text-xs border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-cyan-500 font-mono"
+                            />
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+                </>
+              ) : (
+                <>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Base Color
+                    </label>
+                    <div className="flex gap-2">
+                      <input
+                        type="color"
+                        value={styleSettings.barColor}
+                        onChange={(e) => styleSettings.setBarColor(e.target.value)}
+                        className="w-10 h-10 rounded-lg cursor-pointer border border-gray-300"
+                      />
+                      <input
+                        type="text"
+                        value={styleSettings.barColor}
+                        onChange={(e) => styleSettings.setBarColor(e.target.value)}
+                        className="w-24 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 font-mono text-sm"
+                      />
+                    </div>
+                  </div>
+
+                  <div>
+                    <label className="flex items-center gap-1 text-sm font-medium text-gray-700 mb-2">
+                      Color Transition: {styleSettings.colorTransition}%
+                      <InfoTooltip text="Controls how much the node color shifts from the first stage to the last" />
+                    </label>
+                    <input
+                      type="range"
+                      min="0"
+                      max="100"
+                      value={styleSettings.colorTransition}
+                      onChange={(e) => throttledSetters.setColorTransition(Number(e.target.value))}
+                      className="w-full"
+                    />
+                  </div>
+                </>
+              )}
+            </div>
+          </CollapsibleSection>
+
+          {/* Typography Section for Sankey Chart */}
+          <CollapsibleSection
+            title="Typography"
+            isExpanded={expandedSections.typography}
+            onToggle={() => toggleSection('typography')}
+          >
+            <div className="space-y-2">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Title
+                </label>
+                <input
+                  type="text"
+                  value={styleSettings.title}
+                  onChange={(e) => styleSettings.setTitle(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Subtitle
+                </label>
+                <input
+                  type="text"
+                  value={styleSettings.subtitle}
+                  onChange={(e) => styleSettings.setSubtitle(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Title Alignment
+                </label>
+                <select
+                  value={styleSettings.titleAlignment}
+                  onChange={(e) => styleSettings.setTitleAlignment(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                >
+                  <option value="left">Left</option>
+                  <option value="center">Center</option>
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Font Family
+                </label>
+                <select
+                  value={styleSettings.fontFamily}
+                  onChange={(e) => styleSettings.setFontFamily(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                >
+                  <optgroup label="Sans-Serif">
+                    <option value="Inter">Inter</option>
+                    <option value="Libre Franklin">Libre Franklin</option>
+                    <option value="Montserrat">Montserrat</option>
+                    <option value="Open Sans">Open Sans</option>
+                    <option value="Poppins">Poppins</option>
+                    <option value="Raleway">Raleway</option>
+                    <option value="Roboto">Roboto</option>
+                    <option value="Source Sans 3">Source Sans 3</option>
+                    <option value="Lato">Lato</option>
+                  </optgroup>
+                  <optgroup label="Condensed">
+                    <option value="Roboto Condensed">Roboto Condensed</option>
+                    <option value="Open Sans Condensed">Open Sans Condensed</option>
+                    <option value="Economica">Economica</option>
+                  </optgroup>
+                  <optgroup label="Serif">
+                    <option value="Merriweather">Merriweather</option>
+                    <option value="Playfair Display">Playfair Display</option>
+                    <option value="Lora">Lora</option>
+                    <option value="PT Serif">PT Serif</option>
+                    <option value="Newsreader">Newsreader</option>
+                    <option value="Georgia">Georgia</option>
+                  </optgroup>
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Title Font Size: {styleSettings.titleFontSize}px
+                </label>
+                <input
+                  type="range"
+                  min="16"
+                  max="48"
+                  value={styleSettings.titleFontSize}
+                  onChange={(e) => styleSettings.setTitleFontSize(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Subtitle Font Size: {styleSettings.subtitleFontSize}px
+                </label>
+                <input
+                  type="range"
+                  min="12"
+                  max="32"
+                  value={styleSettings.subtitleFontSize}
+                  onChange={(e) => styleSettings.setSubtitleFontSize(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Node Label Font Size: {styleSettings.segmentLabelFontSize}px
+                </label>
+                <input
+                  type="range"
+                  min="10"
+                  max="32"
+                  value={styleSettings.segmentLabelFontSize}
+                  onChange={(e) => styleSettings.setSegmentLabelFontSize(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Value Label Font Size: {styleSettings.metricLabelFontSize}px
+                </label>
+                <input
+                  type="range"
+                  min="10"
+                  max="32"
+                  value={styleSettings.metricLabelFontSize}
+                  onChange={(e) => styleSettings.setMetricLabelFontSize(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+            </div>
+          </CollapsibleSection>
+
+          {/* Labels Section for Sankey Chart */}
+          <CollapsibleSection
+            title="Labels"
+            isExpanded={expandedSections.labels}
+            onToggle={() => toggleSection('labels')}
+          >
+            <div className="space-y-2">
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={styleSettings.showCategoryLabels}
+                  onChange={(e) => styleSettings.setShowCategoryLabels(e.target.checked)}
+                  className="w-4 h-4 text-cyan-600 rounded"
+                />
+                <span className="text-sm text-gray-700">Show Node Names</span>
+              </label>
+
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={styleSettings.showNodeValues}
+                  onChange={(e) => styleSettings.setShowNodeValues(e.target.checked)}
+                  className="w-4 h-4 text-cyan-600 rounded"
+                />
+                <span className="text-sm text-gray-700">Show Node Values</span>
+              </label>
+
+              {styleSettings.showNodeValues && (
+                <>
+                  <div>
+                    <label className="flex items-center gap-1 text-sm font-medium text-gray-700 mb-2">
+                      Value Format
+                      <InfoTooltip text="Percentages are relative to the total flow entering the diagram" />
+                    </label>
+                    <select
+                      value={styleSettings.sankeyLabelFormat}
+                      onChange={(e) => styleSettings.setSankeyLabelFormat(e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                    >
+                      <option value="both">Values & Percentage</option>
+                      <option value="value">Values Only</option>
+                      <option value="percentage">Percentage of Total</option>
+                    </select>
+                  </div>
+
+                  {styleSettings.sankeyLabelFormat !== 'percentage' && (
+                    <>
+                      {/* Compact Numbers for Sankey Chart */}
+                      <div className="flex items-center gap-2">
+                        <label className="flex-1 text-sm font-medium text-gray-700">
+                          Compact label values (1.5K vs 1500)
+                        </label>
+                        <button
+                          onClick={() => styleSettings.setCompactNumbers(!styleSettings.compactNumbers)}
+                          className={`px-4 py-1 rounded text-sm font-medium ${
+                            styleSettings.compactNumbers
+                              ? 'bg-cyan-600 text-white'
+                              : 'bg-gray-200 text-gray-600'
+                          }`}
+                        >
+                          {styleSettings.compactNumbers ? 'On' : 'Off'}
+                        </button>
+                      </div>
+
+                      {/* Number Styling (Values) */}
+                      <div className="grid grid-cols-3 gap-3">
+                        <div>
+                          <label className="block text-xs font-medium text-gray-600 mb-1">
+                            Prefix
+                          </label>
+                          <input
+                            type="text"
+                            value={styleSettings.valuePrefix}
+                            onChange={(e) => styleSettings.setValuePrefix(e.target.value)}
+                            placeholder="$"
+                            maxLength={3}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 text-sm"
+                          />
+                        </div>
+                        <div>
+                          <label className="block text-xs font-medium text-gray-600 mb-1">
+                            Suffix
+                          </label>
+                          <input
+                            type="text"
+                            value={styleSettings.valueSuffix}
+                            onChange={(e) => styleSettings.setValueSuffix(e.target.value)}
+                            placeholder="%"
+                            maxLength={3}
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 text-sm"
+                          />
+                        </div>
+                        <div>
+                          <label className="block text-xs font-medium text-gray-600 mb-1">
+                            Decimal places
+                          </label>
+                          <input
+                            type="number"
+                            value={styleSettings.valueDecimalPlaces}
+                            onChange={(e) => styleSettings.setValueDecimalPlaces(Math.max(0, Math.min(5, parseInt(e.target.value) || 0)))}
+                            min="0"
+                            max="5"
+                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 text-sm"
+                          />
+                        </div>
+                      </div>
+                    </>
+                  )}
+                </>
+              )}
+            </div>
+          </CollapsibleSection>
+
+          {/* Emphasis Section for Sankey Chart */}
+          <CollapsibleSection
+            title="Emphasis"
+            isExpanded={expandedSections.nodeEmphasis}
+            onToggle={() => toggleSection('nodeEmphasis')}
+          >
+            <div className="space-y-3">
+              <p className="text-sm text-gray-600">
+                Click on nodes in the chart to highlight their flows (max 4)
+              </p>
+              {styleSettings.emphasizedNodes.length > 0 && (
+                <div>
+                  <p className="text-sm font-medium text-gray-700 mb-2">
+                    Emphasized Nodes: {styleSettings.emphasizedNodes.join(', ')}
+                  </p>
+                  <button
+                    onClick={() => styleSettings.setEmphasizedNodes([])}
+                    className="text-sm text-cyan-600 hover:text-cyan-700 underline"
+                  >
+                    Clear All
+                  </button>
+                </div>
+              )}
+            </div>
+          </CollapsibleSection>
+
+          {/* Watermark Section for Sankey Chart - Hidden for Pro users */}
+          {!license.hasAccess && (
+            <CollapsibleSection
+              title="Watermark"
+              isExpanded={expandedSections.watermark}
+              onToggle={() => toggleSection('watermark')}
+            >
+              <div className="space-y-2">
+                <div className="px-3 py-3 bg-amber-50 border border-amber-200 rounded-lg">
+                  <div className="flex items-start gap-2">
+                    <span className="text-amber-600">💎</span>
+                    <div>
+                      <p className="text-sm font-medium text-amber-900">Upgrade to Pro</p>
+                      <p className="text-xs text-amber-700 mt-1">
+                        Remove watermarks and unlock unlimited exports with a Pro license
+                      </p>
+                      <button
+                        onClick={() => {
+                          setShowHamburgerMenu(true);
+                        }}
+                        className="mt-2 text-xs text-amber-600 hover:text-amber-700 font-medium underline"
+                      >
+                        View pricing →
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              </div>
+            </CollapsibleSection>
+          )}
+        </>
+      )}
+
+      {/* Scatter Chart Specific Sections */}
+      {isScatterChart && (
+        <>
+          {/* Theme Section for Scatter Chart */}
+          <CollapsibleSection
+            title="Theme"
+            isExpanded={expandedSections.theme}
+            onToggle={() => toggleSection('theme')}
+          >
+            <div className="space-y-2">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Chart Background
+                </label>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => {
+                    styleSettings.setDarkMode(false);
+                    styleSettings.setBackgroundColor('#ffffff');
+                  }}
+                    className={`flex-1 px-4 py-2 rounded-lg font-medium text-sm transition-all ${
+                      !styleSettings.darkMode
+                        ? 'bg-white text-gray-900 border-2 border-gray-400 shadow-md'
+                        : 'bg-gray-100 text-gray-600 hover:bg-gray-200 border border-gray-300'
+                    }`}
+                  >
+                    Light Mode
+                  </button>
+                  <button
+                    onClick={() => {
+                    styleSettings.setDarkMode(true);
+                    styleSettings.setBackgroundColor('#1f2937');
+                  }}
+                    className={`flex-1 px-4 py-2 rounded-lg font-medium text-sm transition-all ${
+                      styleSettings.darkMode
+                        ? 'bg-gray-800 text-white border-2 border-gray-600 shadow-md'
+                        : 'bg-gray-100 text-gray-600 hover:bg-gray-200 border border-gray-300'
+                    }`}
+                  >
+                    Dark Mode
+                  </button>
+                </div>
+              </div>
+
+              {/* Background Color */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Background Color
+                </label>
+                <div className="flex gap-2">
+                  <input
+                    type="color"
+                    value={styleSettings.backgroundColor}
+                    onChange={(e) => styleSettings.setBackgroundColor(e.target.value)}
+                    className="w-10 h-10 rounded border border-gray-300 cursor-pointer"
+                  />
+                  <input
+                    type="text"
+                    value={styleSettings.backgroundColor}
+                    onChange={(e) => {
+                      const value = e.target.value;
+                      if (/^#[0-9A-Fa-f]{0,6}$/.test(value)) {
+                        styleSettings.setBackgroundColor(value);
+                      }
+                    }}
+                    placeholder="#ffffff"
+                    className="w-24 px-3 py-2 border border-gray-300 rounded-lg font-mono text-sm"
+                  />
+                </div>
+              </div>
+
+              {/* Background Opacity */}
+              <div>
+                <label className="flex items-center gap-1 text-sm font-medium text-gray-700 mb-2">
+                  Background Opacity: {styleSettings.backgroundOpacity}%
+                  <InfoTooltip text="Adjusts the transparency of the chart background" />
+                </label>
+                <input
+                  type="range"
+                  min="0"
+                  max="100"
+                  value={styleSettings.backgroundOpacity}
+                  onChange={(e) => throttledSetters.setBackgroundOpacity(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+            </div>
+          </CollapsibleSection>
+
+          {/* Canvas & Layout Section for Scatter Chart */}
+          <CollapsibleSection
+            title="Canvas & Layout"
+            isExpanded={expandedSections.layoutCanvas}
+            onToggle={() => toggleSection('layoutCanvas')}
+          >
+            <div className="space-y-2">
+              {/* Chart Width */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Chart Width: {styleSettings.chartWidth}px
+                </label>
+                <input
+                  type="range"
+                  min="300"
+                  max="1500"
+                  value={styleSettings.chartWidth}
+                  onChange={(e) => throttledSetters.setChartWidth(Number(e.target.value))}
+                  onInput={(e) => styleSettings.setChartWidth(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              {/* Chart Height */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Chart Height: {styleSettings.chartHeight}px
+                </label>
+                <input
+                  type="range"
+                  min="300"
+                  max="1500"
+                  value={styleSettings.chartHeight}
+                  onChange={(e) => throttledSetters.setChartHeight(Number(e.target.value))}
+                  onInput={(e) => styleSettings.setChartHeight(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+            </div>
+          </CollapsibleSection>
+
+          {/* Data Mapping Section for Scatter Chart */}
+          <CollapsibleSection
+            title="Data Mapping"
+            isExpanded={expandedSections.chartStructure}
+            onToggle={() => toggleSection('chartStructure')}
+          >
+            <div className="space-y-2">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  X Axis Column
+                </label>
+                <select
+                  value={styleSettings.scatterXColumn}
+                  onChange={(e) => styleSettings.setScatterXColumn(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                >
+                  <option value="">Auto</option>
+                  {(chartData.periodNames || []).map(column => (
+                    <option key={column} value={column}>{column}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Y Axis Column
+                </label>
+                <select
+                  value={styleSettings.scatterYColumn}
+                  onChange={(e) => styleSettings.setScatterYColumn(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                >
+                  <option value="">Auto</option>
+                  {(chartData.periodNames || []).map(column => (
+                    <option key={column} value={column}>{column}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="flex items-center gap-1 text-sm font-medium text-gray-700 mb-2">
+                  Size Column
+                  <InfoTooltip text="Map a column to point size to turn the scatter plot into a bubble chart" />
+                </label>
+                <select
+                  value={styleSettings.scatterSizeColumn}
+                  onChange={(e) => styleSettings.setScatterSizeColumn(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                >
+                  <option value="">None</option>
+                  {(chartData.periodNames || []).map(column => (
+                    <option key={column} value={column}>{column}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="flex items-center gap-1 text-sm font-medium text-gray-700 mb-2">
+                  Color Column
+                  <InfoTooltip text="Text columns color points by group, number columns shade points from light to dark" />
+                </label>
+                <select
+                  value={styleSettings.scatterColorColumn}
+                  onChange={(e) => styleSettings.setScatterColorColumn(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                >
+                  <option value="">None</option>
+                  {(chartData.periodNames || []).map(column => (
+                    <option key={column} value={column}>{column}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="flex items-center gap-1 text-sm font-medium text-gray-700 mb-2">
+                  X Axis Scale
+                  <InfoTooltip text="Log scales spread out values that span several orders of magnitude. Zero and negative values are not plotted" />
+                </label>
+                <div className="flex gap-2">
+                  {[
+                    { value: 'linear', label: 'Linear' },
+                    { value: 'log', label: 'Log' },
+                  ].map(option => (
+                    <button
+                      key={option.value}
+                      onClick={() => styleSettings.setScatterXScaleType(option.value)}
+                      className={`flex-1 px-4 py-2 rounded-lg font-medium text-sm transition-all ${
+                        styleSettings.scatterXScaleType === option.value
+                          ? 'bg-cyan-600 text-white shadow-md'
+                          : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                      }`}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Y Axis Scale
+                </label>
+                <div className="flex gap-2">
+                  {[
+                    { value: 'linear', label: 'Linear' },
+                    { value: 'log', label: 'Log' },
+                  ].map(option => (
+                    <button
+                      key={option.value}
+                      onClick={() => styleSettings.setScatterYScaleType(option.value)}
+                      className={`flex-1 px-4 py-2 rounded-lg font-medium text-sm transition-all ${
+                        styleSettings.scatterYScaleType === option.value
+                          ? 'bg-cyan-600 text-white shadow-md'
+                          : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                      }`}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            </div>
+          </CollapsibleSection>
+
+          {/* Points Section for Scatter Chart */}
+          <CollapsibleSection
+            title="Points"
+            isExpanded={expandedSections.points}
+            onToggle={() => toggleSection('points')}
+          >
+            <div className="space-y-2">
+              {styleSettings.scatterSizeColumn ? (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Largest Bubble: {styleSettings.bubbleMaxRadius}px
+                  </label>
+                  <input
+                    type="range"
+                    min="10"
+                    max="80"
+                    value={styleSettings.bubbleMaxRadius}
+                    onChange={(e) => styleSettings.setBubbleMaxRadius(Number(e.target.value))}
+                    className="w-full"
+                  />
+                </div>
+              ) : (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Point Size: {styleSettings.scatterPointRadius}px
+                  </label>
+                  <input
+                    type="range"
+                    min="2"
+                    max="20"
+                    value={styleSettings.scatterPointRadius}
+                    onChange={(e) => styleSettings.setScatterPointRadius(Number(e.target.value))}
+                    className="w-full"
+                  />
+                </div>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Point Opacity: {Math.round(styleSettings.scatterPointOpacity * 100)}%
+                </label>
+                <input
+                  type="range"
+                  min="10"
+                  max="100"
+                  value={Math.round(styleSettings.scatterPointOpacity * 100)}
+                  onChange={(e) => styleSettings.setScatterPointOpacity(Number(e.target.value) / 100)}
+                  className="w-full"
+                />
+              </div>
+            </div>
+          </CollapsibleSection>
+
+          {/* Colors & Styling Section for Scatter Chart */}
+          <CollapsibleSection
+            title="Colors & Styling"
+            isExpanded={expandedSections.colorsStyling}
+            onToggle={() => toggleSection('colorsStyling')}
+          >
+            <div className="space-y-2">
+              <div>
+                <label className="flex items-center gap-1 text-sm font-medium text-gray-700 mb-2">
+                  Point Color
+                  <InfoTooltip text="Used for all points without a color column, and as the darkest shade for number color columns" />
+                </label>
+                <div className="flex gap-2">
+                  <input
+                    type="color"
+                    value={styleSettings.barColor}
+                    onChange={(e) => styleSettings.setBarColor(e.target.value)}
+                    className="w-10 h-10 rounded-lg cursor-pointer border border-gray-300"
+                  />
+                  <input
+                    type="text"
+                    value={styleSettings.barColor}
+                    onChange={(e) => styleSettings.setBarColor(e.target.value)}
+                    className="w-24 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 font-mono text-sm"
+                  />
+                </div>
+              </div>
+
+              {styleSettings.scatterColorColumn && (
+                <>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Palette
+                  </label>
+                  <select
+                    value={styleSettings.comparisonPalette}
+                    onChange={(e) => styleSettings.setComparisonPalette(e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                  >
+                    {Object.entries(comparisonPalettes).map(([key, palette]) => (
+                      <option key={key} value={key}>
+                        {palette.name}
+                      </option>
+                    ))}
+                  </select>
+                  {styleSettings.comparisonPalette !== 'user' && (
+                    <div className="mt-2">
+                      <div className="flex flex-wrap gap-2">
+                        {comparisonPalettes[styleSettings.comparisonPalette].colors.slice(0, 8).map((color, index) => (
+                          <div
+                            key={index}
+                            className="w-10 h-10 rounded border-2 border-gray-300"
+                            style={{ backgroundColor: color }}
+                            title={color}
+                          />
+                        ))}
+                      </div>
+                    </div>
+                  )}
+                </div>
+
+                {/* Custom Colors */}
+                {styleSettings.comparisonPalette === 'user' && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Custom Colors (up to 8)
+                    </label>
+                    <div className="grid grid-cols-4 gap-3">
+                      {styleSettings.userCustomColors.map((color, index) => (
+                        <div key={index} className="flex flex-col gap-1">
+                          <input
+                            type="color"
+                            value={color}
+                            onChange={(e) => {
+                              const newColors = [...styleSettings.userCustomColors];
+                              newColors[index] = e.target.value;
+                              styleSettings.setUserCustomColors(newColors);
+                            }}
+                            className="w-full h-12 rounded-lg cursor-pointer border-2 border-gray-300"
+                          />
+                          <input
+                            type="text"
+                            value={color}
+                            onChange={(e) => {
+                              const newColors = [...styleSettings.userCustomColors];
+                              newColors[index] = e.target.value;
+                              styleSettings.setUserCustomColors(newColors);
+                            }}
+                            className="w-full px-2 py-1 text-xs border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-cyan-500 font-mono"
+                          />
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+                </>
+              )}
+            </div>
+          </CollapsibleSection>
+
+          {/* Axes & Gridlines Section for Scatter Chart */}
+          <CollapsibleSection
+            title="Axes & Gridlines"
+            isExpanded={expandedSections.axesGridlines}
+            onToggle={() => toggleSection('axesGridlines')}
+          >
+            <div className="space-y-2">
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-xs font-medium text-gray-600 mb-1">
+                    X Axis Title
+                  </label>
+                  <input
+                    type="text"
+                    value={styleSettings.scatterXAxisTitle}
+                    onChange={(e) => styleSettings.setScatterXAxisTitle(e.target.value)}
+                    placeholder="Column name"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 text-sm"
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-600 mb-1">
+                    Y Axis Title
+                  </label>
+                  <input
+                    type="text"
+                    value={styleSettings.scatterYAxisTitle}
+                    onChange={(e) => styleSettings.setScatterYAxisTitle(e.target.value)}
+                    placeholder="Column name"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 text-sm"
+                  />
+                </div>
+              </div>
+
+              <div className="grid grid-cols-2 gap-3">
+                <div>
+                  <label className="block text-xs font-medium text-gray-600 mb-1">
+                    X Prefix
+                  </label>
+                  <input
+                    type="text"
+                    value={styleSettings.scatterXAxisPrefix}
+                    onChange={(e) => styleSettings.setScatterXAxisPrefix(e.target.value)}
+                    placeholder="$"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 text-sm"
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-600 mb-1">
+                    X Suffix
+                  </label>
+                  <input
+                    type="text"
+                    value={styleSettings.scatterXAxisSuffix}
+                    onChange={(e) => styleSettings.setScatterXAxisSuffix(e.target.value)}
+                    placeholder="%"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 text-sm"
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-600 mb-1">
+                    Y Prefix
+                  </label>
+                  <input
+                    type="text"
+                    value={styleSettings.axisValuePrefix}
+                    onChange={(e) => styleSettings.setAxisValuePrefix(e.target.value)}
+                    placeholder="$"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 text-sm"
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-600 mb-1">
+                    Y Suffix
+                  </label>
+                  <input
+                    type="text"
+                    value={styleSettings.axisValueSuffix}
+                    onChange={(e) => styleSettings.setAxisValueSuffix(e.target.value)}
+                    placeholder="%"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 text-sm"
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-xs font-medium text-gray-600 mb-1">
+                  Decimal places
+                </label>
+                <input
+                  type="number"
+                  value={styleSettings.axisValueDecimalPlaces}
+                  onChange={(e) => styleSettings.setAxisValueDecimalPlaces(Math.max(0, Math.min(5, parseInt(e.target.value) || 0)))}
+                  min="0"
+                  max="5"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 text-sm"
+                />
+              </div>
+
+              <div className="flex items-center gap-2">
+                <label className="flex-1 text-sm font-medium text-gray-700">
+                  Compact axis values (1.5K vs 1500)
+                </label>
+                <button
+                  onClick={() => styleSettings.setCompactAxisNumbers(!styleSettings.compactAxisNumbers)}
+                  className={`px-4 py-1 rounded text-sm font-medium ${
+                    styleSettings.compactAxisNumbers
+                      ? 'bg-cyan-600 text-white'
+                      : 'bg-gray-200 text-gray-600'
+                  }`}
+                >
+                  {styleSettings.compactAxisNumbers ? 'On' : 'Off'}
+                </button>
+              </div>
+
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={styleSettings.showGridLines}
+                  onChange={(e) => styleSettings.setShowGridLines(e.target.checked)}
+                  className="w-4 h-4 text-cyan-600 rounded"
+                />
+                <span className="text-sm text-gray-700">Show Gridlines</span>
+              </label>
+            </div>
+          </CollapsibleSection>
+
+          {/* Quadrants Section for Scatter Chart */}
+          <CollapsibleSection
+            title="Quadrants"
+            isExpanded={expandedSections.quadrants}
+            onToggle={() => toggleSection('quadrants')}
+          >
+            <div className="space-y-2">
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={styleSettings.showQuadrants}
+                  onChange={(e) => styleSettings.setShowQuadrants(e.target.checked)}
+                  className="w-4 h-4 text-cyan-600 rounded"
+                />
+                <span className="text-sm text-gray-700">Show Quadrant Lines</span>
+              </label>
+
+              {styleSettings.showQuadrants && (
+                <>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Vertical Line (X)
+                    </label>
+                    <div className="flex gap-2">
+                      <select
+                        value={styleSettings.quadrantXMode}
+                        onChange={(e) => styleSettings.setQuadrantXMode(e.target.value)}
+                        className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                      >
+                        <option value="median">Median</option>
+                        <option value="mean">Mean</option>
+                        <option value="custom">Custom Value</option>
+                      </select>
+                      {styleSettings.quadrantXMode === 'custom' && (
+                        <input
+                          type="number"
+                          value={styleSettings.quadrantXValue}
+                          onChange={(e) => styleSettings.setQuadrantXValue(Number(e.target.value))}
+                          className="w-28 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 text-sm"
+                        />
+                      )}
+                    </div>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Horizontal Line (Y)
+                    </label>
+                    <div className="flex gap-2">
+                      <select
+                        value={styleSettings.quadrantYMode}
+                        onChange={(e) => styleSettings.setQuadrantYMode(e.target.value)}
+                        className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                      >
+                        <option value="median">Median</option>
+                        <option value="mean">Mean</option>
+                        <option value="custom">Custom Value</option>
+                      </select>
+                      {styleSettings.quadrantYMode === 'custom' && (
+                        <input
+                          type="number"
+                          value={styleSettings.quadrantYValue}
+                          onChange={(e) => styleSettings.setQuadrantYValue(Number(e.target.value))}
+                          className="w-28 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 text-sm"
+                        />
+                      )}
+                    </div>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Quadrant Labels
+                    </label>
+                    <div className="grid grid-cols-2 gap-2">
+                      <input
+                        type="text"
+                        value={styleSettings.quadrantLabels[1]}
+                        onChange={(e) => {
+                          const newLabels = [...styleSettings.quadrantLabels];
+                          newLabels[1] = e.target.value;
+                          styleSettings.setQuadrantLabels(newLabels);
+                        }}
+                        placeholder="Top left"
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 text-sm"
+                      />
+                      <input
+                        type="text"
+                        value={styleSettings.quadrantLabels[0]}
+                        onChange={(e) => {
+                          const newLabels = [...styleSettings.quadrantLabels];
+                          newLabels[0] = e.target.value;
+                          styleSettings.setQuadrantLabels(newLabels);
+                        }}
+                        placeholder="Top right"
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 text-sm"
+                      />
+                      <input
+                        type="text"
+                        value={styleSettings.quadrantLabels[2]}
+                        onChange={(e) => {
+                          const newLabels = [...styleSettings.quadrantLabels];
+                          newLabels[2] = e.target.value;
+                          styleSettings.setQuadrantLabels(newLabels);
+                        }}
+                        placeholder="Bottom left"
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 text-sm"
+                      />
+                      <input
+                        type="text"
+                        value={styleSettings.quadrantLabels[3]}
+                        onChange={(e) => {
+                          const newLabels = [...styleSettings.quadrantLabels];
+                          newLabels[3] = e.target.value;
+                          styleSettings.setQuadrantLabels(newLabels);
+                        }}
+                        placeholder="Bottom right"
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 text-sm"
+                      />
+                    </div>
+                  </div>
+                </>
+              )}
+            </div>
+          </CollapsibleSection>
+
+          {/* Typography Section for Scatter Chart */}
+          <CollapsibleSection
+            title="Typography"
+            isExpanded={expandedSections.typography}
+            onToggle={() => toggleSection('typography')}
+          >
+            <div className="space-y-2">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Title
+                </label>
+                <input
+                  type="text"
+                  value={styleSettings.title}
+                  onChange={(e) => styleSettings.setTitle(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Subtitle
+                </label>
+                <input
+                  type="text"
+                  value={styleSettings.subtitle}
+                  onChange={(e) => styleSettings.setSubtitle(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Title Alignment
+                </label>
+                <select
+                  value={styleSettings.titleAlignment}
+                  onChange={(e) => styleSettings.setTitleAlignment(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                >
+                  <option value="left">Left</option>
+                  <option value="center">Center</option>
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Font Family
+                </label>
+                <select
+                  value={styleSettings.fontFamily}
+                  onChange={(e) => styleSettings.setFontFamily(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                >
+                  <optgroup label="Sans-Serif">
+                    <option value="Inter">Inter</option>
+                    <option value="Libre Franklin">Libre Franklin</option>
+                    <option value="Montserrat">Montserrat</option>
+                    <option value="Open Sans">Open Sans</option>
+                    <option value="Poppins">Poppins</option>
+                    <option value="Raleway">Raleway</option>
+                    <option value="Roboto">Roboto</option>
+                    <option value="Source Sans 3">Source Sans 3</option>
+                    <option value="Lato">Lato</option>
+                  </optgroup>
+                  <optgroup label="Condensed">
+                    <option value="Roboto Condensed">Roboto Condensed</option>
+                    <option value="Open Sans Condensed">Open Sans Condensed</option>
+                    <option value="Economica">Economica</option>
+                  </optgroup>
+                  <optgroup label="Serif">
+                    <option value="Merriweather">Merriweather</option>
+                    <option value="Playfair Display">Playfair Display</option>
+                    <option value="Lora">Lora</option>
+                    <option value="PT Serif">PT Serif</option>
+                    <option value="Newsreader">Newsreader</option>
+                    <option value="Georgia">Georgia</option>
+                  </optgroup>
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Title Font Size: {styleSettings.titleFontSize}px
+                </label>
+                <input
+                  type="range"
+                  min="16"
+                  max="48"
+                  value={styleSettings.titleFontSize}
+                  onChange={(e) => styleSettings.setTitleFontSize(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Subtitle Font Size: {styleSettings.subtitleFontSize}px
+                </label>
+                <input
+                  type="range"
+                  min="12"
+                  max="32"
+                  value={styleSettings.subtitleFontSize}
+                  onChange={(e) => styleSettings.setSubtitleFontSize(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Axis Value Font Size: {styleSettings.xAxisFontSize}px
+                </label>
+                <input
+                  type="range"
+                  min="10"
+                  max="24"
+                  value={styleSettings.xAxisFontSize}
+                  onChange={(e) => styleSettings.setXAxisFontSize(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Axis Title Font Size: {styleSettings.axisLabelFontSize}px
+                </label>
+                <input
+                  type="range"
+                  min="10"
+                  max="28"
+                  value={styleSettings.axisLabelFontSize}
+                  onChange={(e) => styleSettings.setAxisLabelFontSize(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Point Label Font Size: {styleSettings.directLabelFontSize}px
+                </label>
+                <input
+                  type="range"
+                  min="10"
+                  max="28"
+                  value={styleSettings.directLabelFontSize}
+                  onChange={(e) => styleSettings.setDirectLabelFontSize(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Legend Font Size: {styleSettings.legendFontSize}px
+                </label>
+                <input
+                  type="range"
+                  min="10"
+                  max="24"
+                  value={styleSettings.legendFontSize}
+                  onChange={(e) => styleSettings.setLegendFontSize(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+            </div>
+          </CollapsibleSection>
+
+          {/* Labels Section for Scatter Chart */}
+          <CollapsibleSection
+            title="Labels"
+            isExpanded={expandedSections.labels}
+            onToggle={() => toggleSection('labels')}
+          >
+            <div className="space-y-2">
+              <div>
+                <label className="flex items-center gap-1 text-sm font-medium text-gray-700 mb-2">
+                  Point Labels
+                  <InfoTooltip text="Emphasized labels only the points you click in the chart" />
+                </label>
+                <div className="flex gap-2">
+                  {[
+                    { value: 'emphasized', label: 'Emphasized' },
+                    { value: 'all', label: 'All' },
+                    { value: 'none', label: 'None' },
+                  ].map(option => (
+                    <button
+                      key={option.value}
+                      onClick={() => styleSettings.setScatterLabelMode(option.value)}
+                      className={`flex-1 px-4 py-2 rounded-lg font-medium text-sm transition-all ${
+                        styleSettings.scatterLabelMode === option.value
+                          ? 'bg-cyan-600 text-white shadow-md'
+                          : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                      }`}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={styleSettings.showLegend}
+                  onChange={(e) => styleSettings.setShowLegend(e.target.checked)}
+                  className="w-4 h-4 text-cyan-600 rounded"
+                />
+                <span className="text-sm text-gray-700">Show Color Legend</span>
+              </label>
+            </div>
+          </CollapsibleSection>
+
+          {/* Emphasis Section for Scatter Chart */}
+          <CollapsibleSection
+            title="Emphasis"
+            isExpanded={expandedSections.pointEmphasis}
+            onToggle={() => toggleSection('pointEmphasis')}
+          >
+            <div className="space-y-3">
+              <p className="text-sm text-gray-600">
+                Click on points in the chart to emphasize and label them (max 4)
+              </p>
+              {styleSettings.emphasizedScatterPoints.length > 0 && (
+                <div>
+                  <p className="text-sm font-medium text-gray-700 mb-2">
+                    Emphasized Points: {styleSettings.emphasizedScatterPoints.join(', ')}
+                  </p>
+                  <button
+                    onClick={() => styleSettings.setEmphasizedScatterPoints([])}
+                    className="text-sm text-cyan-600 hover:text-cyan-700 underline"
+                  >
+                    Clear All
+                  </button>
+                </div>
+              )}
+            </div>
+          </CollapsibleSection>
+
+          {/* Watermark Section for Scatter Chart - Hidden for Pro users */}
+          {!license.hasAccess && (
+            <CollapsibleSection
+              title="Watermark"
+              isExpanded={expandedSections.watermark}
+              onToggle={() => toggleSection('watermark')}
+            >
+              <div className="space-y-2">
+                <div className="px-3 py-3 bg-amber-50 border border-amber-200 rounded-lg">
+                  <div className="flex items-start gap-2">
+                    <span className="text-amber-600">💎</span>
+                    <div>
+                      <p className="text-sm font-medium text-amber-900">Upgrade to Pro</p>
+                      <p className="text-xs text-amber-700 mt-1">
+                        Remove watermarks and unlock unlimited exports with a Pro license
+                      </p>
+                      <button
+                        onClick={() => {
+                          setShowHamburgerMenu(true);
+                        }}
+                        className="mt-2 text-xs text-amber-600 hover:text-amber-700 font-medium underline"
+                      >
+                        View pricing →
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              </div>
+            </CollapsibleSection>
+          )}
+        </>
+      )}
+
+      {isHeatmapChart && (
+        <>
+          {/* Theme Section for Heatmap Chart */}
+          <CollapsibleSection
+            title="Theme"
+            isExpanded={expandedSections.theme}
+            onToggle={() => toggleSection('theme')}
+          >
+            <div className="space-y-2">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Chart Background
+                </label>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => {
+                      styleSettings.setDarkMode(false);
+                      styleSettings.setBackgroundColor('#ffffff');
+                    }}
+                    className={`flex-1 px-4 py-2 rounded-lg font-medium text-sm transition-all ${
+                      !styleSettings.darkMode
+                        ? 'bg-white text-gray-900 border-2 border-gray-400 shadow-md'
+                        : 'bg-gray-100 text-gray-600 hover:bg-gray-200 border border-gray-300'
+                    }`}
+                  >
+                    Light Mode
+                  </button>
+                  <button
+                    onClick={() => {
+                      styleSettings.setDarkMode(true);
+                      styleSettings.setBackgroundColor('#1f2937');
+                    }}
+                    className={`flex-1 px-4 py-2 rounded-lg font-medium text-sm transition-all ${
+                      styleSettings.darkMode
+                        ? 'bg-gray-800 text-white border-2 border-gray-600 shadow-md'
+                        : 'bg-gray-100 text-gray-600 hover:bg-gray-200 border border-gray-300'
+                    }`}
+                  >
+                    Dark Mode
+                  </button>
+                </div>
+              </div>
+
+              {/* Background Color */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Background Color
+                </label>
+                <div className="flex gap-2">
+                  <input
+                    type="color"
+                    value={styleSettings.backgroundColor}
+                    onChange={(e) => styleSettings.setBackgroundColor(e.target.value)}
+                    className="w-10 h-10 rounded border border-gray-300 cursor-pointer"
+                  />
+                  <input
+                    type="text"
+                    value={styleSettings.backgroundColor}
+                    onChange={(e) => {
+                      const value = e.target.value;
+                      if (/^#[0-9A-Fa-f]{0,6}$/.test(value)) {
+                        styleSettings.setBackgroundColor(value);
+                      }
+                    }}
+                    placeholder="#ffffff"
+                    className="w-24 px-3 py-2 border border-gray-300 rounded-lg font-mono text-sm"
+                  />
+                </div>
+              </div>
+
+              {/* Background Opacity */}
+              <div>
+                <label className="flex items-center gap-1 text-sm font-medium text-gray-700 mb-2">
+                  Background Opacity: {styleSettings.backgroundOpacity}%
+                  <InfoTooltip text="Adjusts the transparency of the chart background" />
+                </label>
+                <input
+                  type="range"
+                  min="0"
+                  max="100"
+                  value={styleSettings.backgroundOpacity}
+                  onChange={(e) => throttledSetters.setBackgroundOpacity(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+            </div>
+          </CollapsibleSection>
+
+          {/* Canvas & Layout Section for Heatmap Chart */}
+          <CollapsibleSection
+            title="Canvas & Layout"
+            isExpanded={expandedSections.layoutCanvas}
+            onToggle={() => toggleSection('layoutCanvas')}
+          >
+            <div className="space-y-2">
+              {/* Chart Width */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Chart Width: {styleSettings.chartWidth}px
+                </label>
+                <input
+                  type="range"
+                  min="300"
+                  max="1500"
+                  value={styleSettings.chartWidth}
+                  onChange={(e) => throttledSetters.setChartWidth(Number(e.target.value))}
+                  onInput={(e) => styleSettings.setChartWidth(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              {/* Chart Height */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Chart Height: {styleSettings.chartHeight}px
+                </label>
+                <input
+                  type="range"
+                  min="300"
+                  max="1500"
+                  value={styleSettings.chartHeight}
+                  onChange={(e) => throttledSetters.setChartHeight(Number(e.target.value))}
+                  onInput={(e) => styleSettings.setChartHeight(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+            </div>
+          </CollapsibleSection>
+
+          {/* Data Mapping Section for Heatmap Chart */}
+          <CollapsibleSection
+            title="Data Mapping"
+            isExpanded={expandedSections.chartStructure}
+            onToggle={() => toggleSection('chartStructure')}
+          >
+            <div className="space-y-2">
+              <div>
+                <label className="flex items-center gap-1 text-sm font-medium text-gray-700 mb-2">
+                  Layout
+                  <InfoTooltip text="Matrix draws one row per category and one column per value column. Calendar lays out daily dates as weeks and weekdays, one block per year" />
+                </label>
+                <div className="flex gap-2">
+                  {[
+                    { value: 'matrix', label: 'Matrix' },
+                    { value: 'calendar', label: 'Calendar' },
+                  ].map(option => (
+                    <button
+                      key={option.value}
+                      onClick={() => styleSettings.setHeatmapMode(option.value)}
+                      className={`flex-1 px-4 py-2 rounded-lg font-medium text-sm transition-all ${
+                        styleSettings.heatmapMode === option.value
+                          ? 'bg-cyan-600 text-white shadow-md'
+                          : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                      }`}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              {styleSettings.heatmapMode === 'calendar' && (
+                <div>
+                  <label className="flex items-center gap-1 text-sm font-medium text-gray-700 mb-2">
+                    Value Column
+                    <InfoTooltip text="The column colored in the calendar. Dates come from the first column" />
+                  </label>
+                  <select
+                    value={styleSettings.heatmapValueColumn}
+                    onChange={(e) => styleSettings.setHeatmapValueColumn(e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                  >
+                    <option value="">Auto (first column)</option>
+                    {(chartData.periodNames || []).map(column => (
+                      <option key={column} value={column}>{column}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+            </div>
+          </CollapsibleSection>
+
+          {/* Colors & Styling Section for Heatmap Chart */}
+          <CollapsibleSection
+            title="Colors & Styling"
+            isExpanded={expandedSections.colorsStyling}
+            onToggle={() => toggleSection('colorsStyling')}
+          >
+            <div className="space-y-2">
+              <div>
+                <label className="flex items-center gap-1 text-sm font-medium text-gray-700 mb-2">
+                  Color Scale
+                  <InfoTooltip text="Sequential shades from low to high. Diverging runs in two directions from a midpoint, for values above and below a target or zero" />
+                </label>
+                <div className="flex gap-2">
+                  {[
+                    { value: 'sequential', label: 'Sequential' },
+                    { value: 'diverging', label: 'Diverging' },
+                  ].map(option => (
+                    <button
+                      key={option.value}
+                      onClick={() => styleSettings.setHeatmapColorScale(option.value)}
+                      className={`flex-1 px-4 py-2 rounded-lg font-medium text-sm transition-all ${
+                        styleSettings.heatmapColorScale === option.value
+                          ? 'bg-cyan-600 text-white shadow-md'
+                          : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                      }`}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              {(styleSettings.heatmapColorScale === 'diverging'
+                ? [
+                  { label: 'Low Color', value: styleSettings.heatmapDivergingLowColor, onChange: styleSettings.setHeatmapDivergingLowColor },
+                  { label: 'Midpoint Color', value: styleSettings.heatmapMidColor, onChange: styleSettings.setHeatmapMidColor },
+                  { label: 'High Color', value: styleSettings.heatmapHighColor, onChange: styleSettings.setHeatmapHighColor },
+                ]
+                : [
+                  { label: 'Low Color', value: styleSettings.heatmapLowColor, onChange: styleSettings.setHeatmapLowColor },
+                  { label: 'High Color', value: styleSettings.heatmapHighColor, onChange: styleSettings.setHeatmapHighColor },
+                ]
+              ).map(color => (
+                <div key={color.label}>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    {color.label}
+                  </label>
+                  <div className="flex gap-2">
+                    <input
+                      type="color"
+                      value={color.value}
+                      onChange={(e) => color.onChange(e.target.value)}
+                      className="w-10 h-10 rounded-lg cursor-pointer border border-gray-300"
+                    />
+                    <input
+                      type="text"
+                      value={color.value}
+                      onChange={(e) => color.onChange(e.target.value)}
+                      className="w-24 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 font-mono text-sm"
+                    />
+                  </div>
+                </div>
+              ))}
+
+              {styleSettings.heatmapColorScale === 'diverging' && (
+                <div>
+                  <label className="flex items-center gap-2 cursor-pointer mb-2">
+                    <input
+                      type="checkbox"
+                      checked={styleSettings.heatmapMidpointAuto}
+                      onChange={(e) => styleSettings.setHeatmapMidpointAuto(e.target.checked)}
+                      className="w-4 h-4 text-cyan-600 rounded"
+                    />
+                    <span className="text-sm text-gray-700">Automatic Midpoint</span>
+                    <InfoTooltip text="Zero when the data has both negative and positive values, otherwise the average" />
+                  </label>
+                  {!styleSettings.heatmapMidpointAuto && (
+                    <input
+                      type="number"
+                      value={styleSettings.heatmapMidpoint}
+                      onChange={(e) => styleSettings.setHeatmapMidpoint(Number(e.target.value))}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                    />
+                  )}
+                </div>
+              )}
+
+              <div>
+                <label className="flex items-center gap-1 text-sm font-medium text-gray-700 mb-2">
+                  Empty Cell Color
+                  <InfoTooltip text="Used for missing values, and for days without data in calendar mode" />
+                </label>
+                <div className="flex gap-2">
+                  <input
+                    type="color"
+                    value={styleSettings.heatmapEmptyColor}
+                    onChange={(e) => styleSettings.setHeatmapEmptyColor(e.target.value)}
+                    className="w-10 h-10 rounded-lg cursor-pointer border border-gray-300"
+                  />
+                  <input
+                    type="text"
+                    value={styleSettings.heatmapEmptyColor}
+                    onChange={(e) => styleSettings.setHeatmapEmptyColor(e.target.value)}
+                    className="w-24 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 font-mono text-sm"
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Cell Gap: {styleSettings.heatmapCellGap}px
+                </label>
+                <input
+                  type="range"
+                  min="0"
+                  max="10"
+                  value={styleSettings.heatmapCellGap}
+                  onChange={(e) => styleSettings.setHeatmapCellGap(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Corner Radius: {styleSettings.heatmapCellRadius}px
+                </label>
+                <input
+                  type="range"
+                  min="0"
+                  max="12"
+                  value={styleSettings.heatmapCellRadius}
+                  onChange={(e) => styleSettings.setHeatmapCellRadius(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+            </div>
+          </CollapsibleSection>
+
+          {/* Typography Section for Heatmap Chart */}
+          <CollapsibleSection
+            title="Typography"
+            isExpanded={expandedSections.typography}
+            onToggle={() => toggleSection('typography')}
+          >
+            <div className="space-y-2">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Title
+                </label>
+                <input
+                  type="text"
+                  value={styleSettings.title}
+                  onChange={(e) => styleSettings.setTitle(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Subtitle
+                </label>
+                <input
+                  type="text"
+                  value={styleSettings.subtitle}
+                  onChange={(e) => styleSettings.setSubtitle(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Title Alignment
+                </label>
+                <select
+                  value={styleSettings.titleAlignment}
+                  onChange={(e) => styleSettings.setTitleAlignment(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                >
+                  <option value="left">Left</option>
+                  <option value="center">Center</option>
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Font Family
+                </label>
+                <select
+                  value={styleSettings.fontFamily}
+                  onChange={(e) => styleSettings.setFontFamily(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                >
+                  <optgroup label="Sans-Serif">
+                    <option value="Inter">Inter</option>
+                    <option value="Libre Franklin">Libre Franklin</option>
+                    <option value="Montserrat">Montserrat</option>
+                    <option value="Open Sans">Open Sans</option>
+                    <option value="Poppins">Poppins</option>
+                    <option value="Raleway">Raleway</option>
+                    <option value="Roboto">Roboto</option>
+                    <option value="Source Sans 3">Source Sans 3</option>
+                    <option value="Lato">Lato</option>
+                  </optgroup>
+                  <optgroup label="Condensed">
+                    <option value="Roboto Condensed">Roboto Condensed</option>
+                    <option value="Open Sans Condensed">Open Sans Condensed</option>
+                    <option value="Economica">Economica</option>
+                  </optgroup>
+                  <optgroup label="Serif">
+                    <option value="Merriweather">Merriweather</option>
+                    <option value="Playfair Display">Playfair Display</option>
+                    <option value="Lora">Lora</option>
+                    <option value="PT Serif">PT Serif</option>
+                    <option value="Newsreader">Newsreader</option>
+                    <option value="Georgia">Georgia</option>
+                  </optgroup>
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Title Font Size: {styleSettings.titleFontSize}px
+                </label>
+                <input
+                  type="range"
+                  min="16"
+                  max="48"
+                  value={styleSettings.titleFontSize}
+                  onChange={(e) => styleSettings.setTitleFontSize(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Subtitle Font Size: {styleSettings.subtitleFontSize}px
+                </label>
+                <input
+                  type="range"
+                  min="12"
+                  max="32"
+                  value={styleSettings.subtitleFontSize}
+                  onChange={(e) => styleSettings.setSubtitleFontSize(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Row & Column Label Font Size: {styleSettings.xAxisFontSize}px
+                </label>
+                <input
+                  type="range"
+                  min="10"
+                  max="24"
+                  value={styleSettings.xAxisFontSize}
+                  onChange={(e) => styleSettings.setXAxisFontSize(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Cell Value & Legend Font Size: {styleSettings.directLabelFontSize}px
+                </label>
+                <input
+                  type="range"
+                  min="8"
+                  max="24"
+                  value={styleSettings.directLabelFontSize}
+                  onChange={(e) => styleSettings.setDirectLabelFontSize(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+            </div>
+          </CollapsibleSection>
+
+          {/* Labels Section for Heatmap Chart */}
+          <CollapsibleSection
+            title="Labels"
+            isExpanded={expandedSections.labels}
+            onToggle={() => toggleSection('labels')}
+          >
+            <div className="space-y-2">
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={styleSettings.showYAxisLabels}
+                  onChange={(e) => styleSettings.setShowYAxisLabels(e.target.checked)}
+                  className="w-4 h-4 text-cyan-600 rounded"
+                />
+                <span className="text-sm text-gray-700">
+                  {styleSettings.heatmapMode === 'calendar' ? 'Show Weekday Labels' : 'Show Row Labels'}
+                </span>
+              </label>
+
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={styleSettings.showXAxisLabels}
+                  onChange={(e) => styleSettings.setShowXAxisLabels(e.target.checked)}
+                  className="w-4 h-4 text-cyan-600 rounded"
+                />
+                <span className="text-sm text-gray-700">
+                  {styleSettings.heatmapMode === 'calendar' ? 'Show Month Labels' : 'Show Column Labels'}
+                </span>
+              </label>
+
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={styleSettings.showHeatmapCellValues}
+                  onChange={(e) => styleSettings.setShowHeatmapCellValues(e.target.checked)}
+                  className="w-4 h-4 text-cyan-600 rounded"
+                />
+                <span className="text-sm text-gray-700">Show Cell Values</span>
+                <InfoTooltip text="Values are only drawn in cells large enough to hold them" />
+              </label>
+
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={styleSettings.compactNumbers}
+                  onChange={(e) => styleSettings.setCompactNumbers(e.target.checked)}
+                  className="w-4 h-4 text-cyan-600 rounded"
+                />
+                <span className="text-sm text-gray-700">Compact Numbers (K, M, B)</span>
+              </label>
+
+              <div className="grid grid-cols-2 gap-2">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Prefix
+                  </label>
+                  <input
+                    type="text"
+                    value={styleSettings.valuePrefix}
+                    onChange={(e) => styleSettings.setValuePrefix(e.target.value)}
+                    placeholder="$"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Suffix
+                  </label>
+                  <input
+                    type="text"
+                    value={styleSettings.valueSuffix}
+                    onChange={(e) => styleSettings.setValueSuffix(e.target.value)}
+                    placeholder="%"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                  />
+                </div>
+              </div>
+
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={styleSettings.showLegend}
+                  onChange={(e) => styleSettings.setShowLegend(e.target.checked)}
+                  className="w-4 h-4 text-cyan-600 rounded"
+                />
+                <span className="text-sm text-gray-700">Show Color Legend</span>
+              </label>
+
+              {styleSettings.showLegend && (
+                <div>
+                  <label className="flex items-center gap-1 text-sm font-medium text-gray-700 mb-2">
+                    Legend Title
+                    <InfoTooltip text="Leave empty to use the value column name in calendar mode and no title in matrix mode" />
+                  </label>
+                  <input
+                    type="text"
+                    value={styleSettings.heatmapLegendTitle}
+                    onChange={(e) => styleSettings.setHeatmapLegendTitle(e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                  />
+                </div>
+              )}
+            </div>
+          </CollapsibleSection>
+
+          {/* Watermark Section for Heatmap Chart - Hidden for Pro users */}
+          {!license.hasAccess && (
+            <CollapsibleSection
+              title="Watermark"
+              isExpanded={expandedSections.watermark}
+              onToggle={() => toggleSection('watermark')}
+            >
+              <div className="space-y-2">
+                <div className="px-3 py-3 bg-amber-50 border border-amber-200 rounded-lg">
+                  <div className="flex items-start gap-2">
+                    <span className="text-amber-600">💎</span>
+                    <div>
+                      <p className="text-sm font-medium text-amber-900">Upgrade to Pro</p>
+                      <p className="text-xs text-amber-700 mt-1">
+                        Remove watermarks and unlock unlimited exports with a Pro license
+                      </p>
+                      <button
+                        onClick={() => {
+                          setShowHamburgerMenu(true);
+                        }}
+                        className="mt-2 text-xs text-amber-600 hover:text-amber-700 font-medium underline"
+                      >
+                        View pricing →
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              </div>
+            </CollapsibleSection>
+          )}
+        </>
+      )}
+
+      {isComboChart && (
+        <>
+          {/* Theme Section for Combo Chart */}
+          <CollapsibleSection
+            title="Theme"
+            isExpanded={expandedSections.theme}
+            onToggle={() => toggleSection('theme')}
+          >
+            <div className="space-y-2">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Chart Background
+                </label>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => {
+                      styleSettings.setDarkMode(false);
+                      styleSettings.setBackgroundColor('#ffffff');
+                    }}
+                    className={`flex-1 px-4 py-2 rounded-lg font-medium text-sm transition-all ${
+                      !styleSettings.darkMode
+                        ? 'bg-white text-gray-900 border-2 border-gray-400 shadow-md'
+                        : 'bg-gray-100 text-gray-600 hover:bg-gray-200 border border-gray-300'
+                    }`}
+                  >
+                    Light Mode
+                  </button>
+                  <button
+                    onClick={() => {
+                      styleSettings.setDarkMode(true);
+                      styleSettings.setBackgroundColor('#1f2937');
+                    }}
+                    className={`flex-1 px-4 py-2 rounded-lg font-medium text-sm transition-all ${
+                      styleSettings.darkMode
+                        ? 'bg-gray-800 text-white border-2 border-gray-600 shadow-md'
+                        : 'bg-gray-100 text-gray-600 hover:bg-gray-200 border border-gray-300'
+                    }`}
+                  >
+                    Dark Mode
+                  </button>
+                </div>
+              </div>
+
+              {/* Background Color */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Background Color
+                </label>
+                <div className="flex gap-2">
+                  <input
+                    type="color"
+                    value={styleSettings.backgroundColor}
+                    onChange={(e) => styleSettings.setBackgroundColor(e.target.value)}
+                    className="w-10 h-10 rounded border border-gray-300 cursor-pointer"
+                  />
+                  <input
+                    type="text"
+                    value={styleSettings.backgroundColor}
+                    onChange={(e) => {
+                      const value = e.target.value;
+                      if (/^#[0-9A-Fa-f]{0,6}$/.test(value)) {
+                        styleSettings.setBackgroundColor(value);
+                      }
+                    }}
+                    placeholder="#ffffff"
+                    className="w-24 px-3 py-2 border border-gray-300 rounded-lg font-mono text-sm"
+                  />
+                </div>
+              </div>
+
+              {/* Background Opacity */}
+              <div>
+                <label className="flex items-center gap-1 text-sm font-medium text-gray-700 mb-2">
+                  Background Opacity: {styleSettings.backgroundOpacity}%
+                  <InfoTooltip text="Adjusts the transparency of the chart background" />
+                </label>
+                <input
+                  type="range"
+                  min="0"
+                  max="100"
+                  value={styleSettings.backgroundOpacity}
+                  onChange={(e) => throttledSetters.setBackgroundOpacity(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+            </div>
+          </CollapsibleSection>
+
+          {/* Canvas & Layout Section for Combo Chart */}
+          <CollapsibleSection
+            title="Canvas & Layout"
+            isExpanded={expandedSections.layoutCanvas}
+            onToggle={() => toggleSection('layoutCanvas')}
+          >
+            <div className="space-y-2">
+              {/* Chart Width */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Chart Width: {styleSettings.chartWidth}px
+                </label>
+                <input
+                  type="range"
+                  min="300"
+                  max="1500"
+                  value={styleSettings.chartWidth}
+                  onChange={(e) => throttledSetters.setChartWidth(Number(e.target.value))}
+                  onInput={(e) => styleSettings.setChartWidth(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              {/* Chart Height */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Chart Height: {styleSettings.chartHeight}px
+                </label>
+                <input
+                  type="range"
+                  min="300"
+                  max="1500"
+                  value={styleSettings.chartHeight}
+                  onChange={(e) => throttledSetters.setChartHeight(Number(e.target.value))}
+                  onInput={(e) => styleSettings.setChartHeight(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+            </div>
+          </CollapsibleSection>
+
+          {/* Series Section for Combo Chart */}
+          <CollapsibleSection
+            title="Series"
+            isExpanded={expandedSections.chartStructure}
+            onToggle={() => toggleSection('chartStructure')}
+          >
+            <div className="space-y-3">
+              <p className="text-xs text-gray-500">
+                Choose how each column is drawn and which value axis it is measured on
+              </p>
+              {getComboSeries(
+                chartData.metricPeriods.filter(period => !chartData.hiddenPeriods?.has(period)),
+                styleSettings.comboSeriesTypes,
+                styleSettings.comboSeriesAxes
+              ).map(series => (
+                <div key={series.column} className="space-y-1">
+                  <div className="text-sm font-medium text-gray-700 truncate" title={series.column}>
+                    {series.column}
+                  </div>
+                  <div className="flex gap-2">
+                    <div className="flex flex-1 gap-1">
+                      {['bar', 'line'].map(type => (
+                        <button
+                          key={type}
+                          onClick={() => styleSettings.setComboSeriesTypes({ ...styleSettings.comboSeriesTypes, [series.column]: type })}
+                          className={`flex-1 px-2 py-1 rounded text-sm font-medium transition-all ${
+                            series.type === type
+                              ? 'bg-cyan-600 text-white shadow-md'
+                              : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                          }`}
+                        >
+                          {type === 'bar' ? 'Bar' : 'Line'}
+                        </button>
+                      ))}
+                    </div>
+                    <div className="flex flex-1 gap-1">
+                      {['left', 'right'].map(axis => (
+                        <button
+                          key={axis}
+                          onClick={() => styleSettings.setComboSeriesAxes({ ...styleSettings.comboSeriesAxes, [series.column]: axis })}
+                          className={`flex-1 px-2 py-1 rounded text-sm font-medium transition-all ${
+                            series.axis === axis
+                              ? 'bg-cyan-600 text-white shadow-md'
+                              : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                          }`}
+                        >
+                          {axis === 'left' ? 'Left Axis' : 'Right Axis'}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </CollapsibleSection>
+
+          {/* Colors & Styling Section for Combo Chart */}
+          <CollapsibleSection
+            title="Colors & Styling"
+            isExpanded={expandedSections.colorsStyling}
+            onToggle={() => toggleSection('colorsStyling')}
+          >
+            <div className="space-y-2">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Palette
+                </label>
+                <select
+                  value={styleSettings.comparisonPalette}
+                  onChange={(e) => styleSettings.setComparisonPalette(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                >
+                  {Object.entries(comparisonPalettes).map(([key, palette]) => (
+                    <option key={key} value={key}>
+                      {palette.name}
+                    </option>
+                  ))}
+                </select>
+                {styleSettings.comparisonPalette !== 'user' && (
+                  <div className="mt-2">
+                    <div className="flex flex-wrap gap-2">
+                      {comparisonPalettes[styleSettings.comparisonPalette].colors.slice(0, 8).map((color, index) => (
+                        <div
+                          key={index}
+                          className="w-10 h-10 rounded border-2 border-gray-300"
+                          style={{ backgroundColor: color }}
+                          title={color}
+                        />
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </div>
+
+              {/* Custom Colors */}
+              {styleSettings.comparisonPalette === 'user' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Custom Colors (up to 8)
+                  </label>
+                  <div className="grid grid-cols-4 gap-3">
+                    {styleSettings.userCustomColors.map((color, index) => (
+                      <div key={index} className="flex flex-col gap-1">
+                        <input
+                          type="color"
+                          value={color}
+                          onChange={(e) => {
+                            const newColors = [...styleSettings.userCustomColors];
+                            newColors[index] = e.target.value;
+                            styleSettings.setUserCustomColors(newColors);
+                          }}
+                          className="w-full h-12 rounded-lg cursor-pointer border-2 border-gray-300"
+                        />
+                        <input
+                          type="text"
+                          value={color}
+                          onChange={(e) => {
+                            const newColors = [...styleSettings.userCustomColors];
+                            newColors[index] = e.target.value;
+                            styleSettings.setUserCustomColors(newColors);
+                          }}
+                          className="w-full px-2 py-1 text-xs border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-cyan-500 font-mono"
+                        />
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Line Thickness: {styleSettings.lineChartLineThickness}px
+                </label>
+                <input
+                  type="range"
+                  min="1"
+                  max="7"
+                  value={styleSettings.lineChartLineThickness}
+                  onChange={(e) => styleSettings.setLineChartLineThickness(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={styleSettings.smoothLines}
+                  onChange={(e) => styleSettings.setSmoothLines(e.target.checked)}
+                  className="w-4 h-4 text-cyan-600 rounded"
+                />
+                <span className="text-sm text-gray-700">Smooth Lines</span>
+              </label>
+
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={styleSettings.showPoints}
+                  onChange={(e) => styleSettings.setShowPoints(e.target.checked)}
+                  className="w-4 h-4 text-cyan-600 rounded"
+                />
+                <span className="text-sm text-gray-700">Show Points on Lines</span>
+              </label>
+
+              {styleSettings.showPoints && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Point Size: {styleSettings.pointSize}px
+                  </label>
+                  <input
+                    type="range"
+                    min="2"
+                    max="10"
+                    value={styleSettings.pointSize}
+                    onChange={(e) => styleSettings.setPointSize(Number(e.target.value))}
+                    className="w-full"
+                  />
+                </div>
+              )}
+            </div>
+          </CollapsibleSection>
+
+          {/* Axes & Gridlines Section for Combo Chart */}
+          <CollapsibleSection
+            title="Axes & Gridlines"
+            isExpanded={expandedSections.axesGridlines}
+            onToggle={() => toggleSection('axesGridlines')}
+          >
+            <div className="space-y-4">
+              {/* Left Axis */}
+              <div className="space-y-3">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Left Axis
+                  </label>
+                </div>
+
+                <div>
+                  <label className="block text-xs font-medium text-gray-600 mb-1">
+                    Title
+                  </label>
+                  <input
+                    type="text"
+                    value={styleSettings.comboLeftAxisTitle}
+                    onChange={(e) => styleSettings.setComboLeftAxisTitle(e.target.value)}
+                    placeholder="Series names"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 text-sm"
+                  />
+                </div>
+
+                <div className="grid grid-cols-3 gap-3">
+                  <div>
+                    <label className="block text-xs font-medium text-gray-600 mb-1">
+                      Prefix
+                    </label>
+                    <input
+                      type="text"
+                      value={styleSettings.axisValuePrefix}
+                      onChange={(e) => styleSettings.setAxisValuePrefix(e.target.value)}
+                      placeholder="$"
+                      maxLength={3}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 text-sm"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-gray-600 mb-1">
+                      Suffix
+                    </label>
+                    <input
+                      type="text"
+                      value={styleSettings.axisValueSuffix}
+                      onChange={(e) => styleSettings.setAxisValueSuffix(e.target.value)}
+                      placeholder="%"
+                      maxLength={3}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 text-sm"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-gray-600 mb-1">
+                      Decimal places
+                    </label>
+                    <input
+                      type="number"
+                      value={styleSettings.axisValueDecimalPlaces}
+                      onChange={(e) => styleSettings.setAxisValueDecimalPlaces(Math.max(0, Math.min(5, parseInt(e.target.value) || 0)))}
+                      min="0"
+                      max="5"
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 text-sm"
+                    />
+                  </div>
+                </div>
+
+                <div className="flex items-center gap-2">
+                  <label className="w-24 text-sm font-medium text-gray-700">
+                    Minimum
+                  </label>
+                  <input
+                    type="number"
+                    key={`${styleSettings.axisMinimum}-${styleSettings.axisMinimumAuto}`}
+                    defaultValue={styleSettings.axisMinimumAuto ? '' : styleSettings.axisMinimum}
+                    placeholder="Auto"
+                    onBlur={(e) => {
+                      if (e.target.value === '') return;
+                      styleSettings.setAxisMinimum(Number(e.target.value));
+                      styleSettings.setAxisMinimumAuto(false);
+                    }}
+                    className="w-24 px-2 py-1 border border-gray-300 rounded text-sm"
+                  />
+                  <label className="flex items-center gap-1 text-sm text-gray-600">
+                    <input
+                      type="checkbox"
+                      checked={styleSettings.axisMinimumAuto}
+                      onChange={(e) => styleSettings.setAxisMinimumAuto(e.target.checked)}
+                      className="rounded"
+                    />
+                    Auto
+                  </label>
+                </div>
+
+                <div className="flex items-center gap-2">
+                  <label className="w-24 text-sm font-medium text-gray-700">
+                    Maximum
+                  </label>
+                  <input
+                    type="number"
+                    key={`${styleSettings.axisMaximum}-${styleSettings.axisMaximumAuto}`}
+                    defaultValue={styleSettings.axisMaximumAuto ? '' : styleSettings.axisMaximum}
+                    placeholder="Auto"
+                    onBlur={(e) => {
+                      if (e.target.value === '') return;
+                      styleSettings.setAxisMaximum(Number(e.target.value));
+                      styleSettings.setAxisMaximumAuto(false);
+                    }}
+                    className="w-24 px-2 py-1 border border-gray-300 rounded text-sm"
+                  />
+                  <label className="flex items-center gap-1 text-sm text-gray-600">
+                    <input
+                      type="checkbox"
+                      checked={styleSettings.axisMaximumAuto}
+                      onChange={(e) => styleSettings.setAxisMaximumAuto(e.target.checked)}
+                      className="rounded"
+                    />
+                    Auto
+                  </label>
+                </div>
+
+                <div className="flex items-center gap-2">
+                  <label className="w-24 text-sm font-medium text-gray-700">
+                    Major Unit
+                  </label>
+                  <input
+                    type="number"
+                    key={`${styleSettings.axisMajorUnit}-${styleSettings.axisMajorUnitAuto}`}
+                    defaultValue={styleSettings.axisMajorUnitAuto ? '' : styleSettings.axisMajorUnit}
+                    placeholder="Auto"
+                    onBlur={(e) => {
+                      if (e.target.value === '') return;
+                      styleSettings.setAxisMajorUnit(Number(e.target.value));
+                      styleSettings.setAxisMajorUnitAuto(false);
+                    }}
+                    className="w-24 px-2 py-1 border border-gray-300 rounded text-sm"
+                  />
+                  <label className="flex items-center gap-1 text-sm text-gray-600">
+                    <input
+                      type="checkbox"
+                      checked={styleSettings.axisMajorUnitAuto}
+                      onChange={(e) => styleSettings.setAxisMajorUnitAuto(e.target.checked)}
+                      className="rounded"
+                    />
+                    Auto
+                  </label>
+                </div>
+              </div>
+
+              {/* Right Axis */}
+              <div className="space-y-3">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Right Axis
+                  </label>
+                </div>
+
+                <div>
+                  <label className="block text-xs font-medium text-gray-600 mb-1">
+                    Title
+                  </label>
+                  <input
+                    type="text"
+                    value={styleSettings.comboRightAxisTitle}
+                    onChange={(e) => styleSettings.setComboRightAxisTitle(e.target.value)}
+                    placeholder="Series names"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 text-sm"
+                  />
+                </div>
+
+                <div className="grid grid-cols-3 gap-3">
+                  <div>
+                    <label className="block text-xs font-medium text-gray-600 mb-1">
+                      Prefix
+                    </label>
+                    <input
+                      type="text"
+                      value={styleSettings.secondaryAxisValuePrefix}
+                      onChange={(e) => styleSettings.setSecondaryAxisValuePrefix(e.target.value)}
+                      placeholder="$"
+                      maxLength={3}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 text-sm"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-gray-600 mb-1">
+                      Suffix
+                    </label>
+                    <input
+                      type="text"
+                      value={styleSettings.secondaryAxisValueSuffix}
+                      onChange={(e) => styleSettings.setSecondaryAxisValueSuffix(e.target.value)}
+                      placeholder="%"
+                      maxLength={3}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 text-sm"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-gray-600 mb-1">
+                      Decimal places
+                    </label>
+                    <input
+                      type="number"
+                      value={styleSettings.secondaryAxisValueDecimalPlaces}
+                      onChange={(e) => styleSettings.setSecondaryAxisValueDecimalPlaces(Math.max(0, Math.min(5, parseInt(e.target.value) || 0)))}
+                      min="0"
+                      max="5"
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 text-sm"
+                    />
+                  </div>
+                </div>
+
+                <div className="flex items-center gap-2">
+                  <label className="w-24 text-sm font-medium text-gray-700">
+                    Minimum
+                  </label>
+                  <input
+                    type="number"
+                    key={`${styleSettings.secondaryAxisMinimum}-${styleSettings.secondaryAxisMinimumAuto}`}
+                    defaultValue={styleSettings.secondaryAxisMinimumAuto ? '' : styleSettings.secondaryAxisMinimum}
+                    placeholder="Auto"
+                    onBlur={(e) => {
+                      if (e.target.value === '') return;
+                      styleSettings.setSecondaryAxisMinimum(Number(e.target.value));
+                      styleSettings.setSecondaryAxisMinimumAuto(false);
+                    }}
+                    className="w-24 px-2 py-1 border border-gray-300 rounded text-sm"
+                  />
+                  <label className="flex items-center gap-1 text-sm text-gray-600">
+                    <input
+                      type="checkbox"
+                      checked={styleSettings.secondaryAxisMinimumAuto}
+                      onChange={(e) => styleSettings.setSecondaryAxisMinimumAuto(e.target.checked)}
+                      className="rounded"
+                    />
+                    Auto
+                  </label>
+                </div>
+
+                <div className="flex items-center gap-2">
+                  <label className="w-24 text-sm font-medium text-gray-700">
+                    Maximum
+                  </label>
+                  <input
+                    type="number"
+                    key={`${styleSettings.secondaryAxisMaximum}-${styleSettings.secondaryAxisMaximumAuto}`}
+                    defaultValue={styleSettings.secondaryAxisMaximumAuto ? '' : styleSettings.secondaryAxisMaximum}
+                    placeholder="Auto"
+                    onBlur={(e) => {
+                      if (e.target.value === '') return;
+                      styleSettings.setSecondaryAxisMaximum(Number(e.target.value));
+                      styleSettings.setSecondaryAxisMaximumAuto(false);
+                    }}
+                    className="w-24 px-2 py-1 border border-gray-300 rounded text-sm"
+                  />
+                  <label className="flex items-center gap-1 text-sm text-gray-600">
+                    <input
+                      type="checkbox"
+                      checked={styleSettings.secondaryAxisMaximumAuto}
+                      onChange={(e) => styleSettings.setSecondaryAxisMaximumAuto(e.target.checked)}
+                      className="rounded"
+                    />
+                    Auto
+                  </label>
+                </div>
+
+                <div className="flex items-center gap-2">
+                  <label className="w-24 text-sm font-medium text-gray-700">
+                    Major Unit
+                  </label>
+                  <input
+                    type="number"
+                    key={`${styleSettings.secondaryAxisMajorUnit}-${styleSettings.secondaryAxisMajorUnitAuto}`}
+                    defaultValue={styleSettings.secondaryAxisMajorUnitAuto ? '' : styleSettings.secondaryAxisMajorUnit}
+                    placeholder="Auto"
+                    onBlur={(e) => {
+                      if (e.target.value === '') return;
+                      styleSettings.setSecondaryAxisMajorUnit(Number(e.target.value));
+                      styleSettings.setSecondaryAxisMajorUnitAuto(false);
+                    }}
+                    className="w-24 px-2 py-1 border border-gray-300 rounded text-sm"
+                  />
+                  <label className="flex items-center gap-1 text-sm text-gray-600">
+                    <input
+                      type="checkbox"
+                      checked={styleSettings.secondaryAxisMajorUnitAuto}
+                      onChange={(e) => styleSettings.setSecondaryAxisMajorUnitAuto(e.target.checked)}
+                      className="rounded"
+                    />
+                    Auto
+                  </label>
+                </div>
+              </div>
+
+              <div className="flex items-center gap-2">
+                <label className="flex-1 text-sm font-medium text-gray-700">
+                  Compact axis values (1.5K vs 1500)
+                </label>
+                <button
+                  onClick={() => styleSettings.setCompactAxisNumbers(!styleSettings.compactAxisNumbers)}
+                  className={`px-4 py-1 rounded text-sm font-medium ${
+                    styleSettings.compactAxisNumbers
+                      ? 'bg-cyan-600 text-white'
+                      : 'bg-gray-200 text-gray-600'
+                  }`}
+                >
+                  {styleSettings.compactAxisNumbers ? 'On' : 'Off'}
+                </button>
+              </div>
+
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={styleSettings.showGridLines}
+                  onChange={(e) => styleSettings.setShowGridLines(e.target.checked)}
+                  className="w-4 h-4 text-cyan-600 rounded"
+                />
+                <span className="text-sm text-gray-700">Show Gridlines</span>
+                <InfoTooltip text="Gridlines follow the left axis ticks" />
+              </label>
+            </div>
+          </CollapsibleSection>
+
+          {/* Typography Section for Combo Chart */}
+          <CollapsibleSection
+            title="Typography"
+            isExpanded={expandedSections.typography}
+            onToggle={() => toggleSection('typography')}
+          >
+            <div className="space-y-2">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Title
+                </label>
+                <input
+                  type="text"
+                  value={styleSettings.title}
+                  onChange={(e) => styleSettings.setTitle(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Subtitle
+                </label>
+                <input
+                  type="text"
+                  value={styleSettings.subtitle}
+                  onChange={(e) => styleSettings.setSubtitle(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Title Alignment
+                </label>
+                <select
+                  value={styleSettings.titleAlignment}
+                  onChange={(e) => styleSettings.setTitleAlignment(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                >
+                  <option value="left">Left</option>
+                  <option value="center">Center</option>
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Font Family
+                </label>
+                <select
+                  value={styleSettings.fontFamily}
+                  onChange={(e) => styleSettings.setFontFamily(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                >
+                  <optgroup label="Sans-Serif">
+                    <option value="Inter">Inter</option>
+                    <option value="Libre Franklin">Libre Franklin</option>
+                    <option value="Montserrat">Montserrat</option>
+                    <option value="Open Sans">Open Sans</option>
+                    <option value="Poppins">Poppins</option>
+                    <option value="Raleway">Raleway</option>
+                    <option value="Roboto">Roboto</option>
+                    <option value="Source Sans 3">Source Sans 3</option>
+                    <option value="Lato">Lato</option>
+                  </optgroup>
+                  <optgroup label="Condensed">
+                    <option value="Roboto Condensed">Roboto Condensed</option>
+                    <option value="Open Sans Condensed">Open Sans Condensed</option>
+                    <option value="Economica">Economica</option>
+                  </optgroup>
+                  <optgroup label="Serif">
+                    <option value="Merriweather">Merriweather</option>
+                    <option value="Playfair Display">Playfair Display</option>
+                    <option value="Lora">Lora</option>
+                    <option value="PT Serif">PT Serif</option>
+                    <option value="Newsreader">Newsreader</option>
+                    <option value="Georgia">Georgia</option>
+                  </optgroup>
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Title Font Size: {styleSettings.titleFontSize}px
+                </label>
+                <input
+                  type="range"
+                  min="16"
+                  max="48"
+                  value={styleSettings.titleFontSize}
+                  onChange={(e) => styleSettings.setTitleFontSize(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Subtitle Font Size: {styleSettings.subtitleFontSize}px
+                </label>
+                <input
+                  type="range"
+                  min="12"
+                  max="32"
+                  value={styleSettings.subtitleFontSize}
+                  onChange={(e) => styleSettings.setSubtitleFontSize(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Axis Label Font Size: {styleSettings.xAxisFontSize}px
+                </label>
+                <input
+                  type="range"
+                  min="10"
+                  max="24"
+                  value={styleSettings.xAxisFontSize}
+                  onChange={(e) => styleSettings.setXAxisFontSize(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Axis Title Font Size: {styleSettings.axisLabelFontSize}px
+                </label>
+                <input
+                  type="range"
+                  min="10"
+                  max="24"
+                  value={styleSettings.axisLabelFontSize}
+                  onChange={(e) => styleSettings.setAxisLabelFontSize(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Value Label Font Size: {styleSettings.directLabelFontSize}px
+                </label>
+                <input
+                  type="range"
+                  min="8"
+                  max="24"
+                  value={styleSettings.directLabelFontSize}
+                  onChange={(e) => styleSettings.setDirectLabelFontSize(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Legend Font Size: {styleSettings.legendFontSize}px
+                </label>
+                <input
+                  type="range"
+                  min="10"
+                  max="24"
+                  value={styleSettings.legendFontSize}
+                  onChange={(e) => styleSettings.setLegendFontSize(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+            </div>
+          </CollapsibleSection>
+
+          {/* Labels Section for Combo Chart */}
+          <CollapsibleSection
+            title="Labels"
+            isExpanded={expandedSections.labels}
+            onToggle={() => toggleSection('labels')}
+          >
+            <div className="space-y-2">
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={styleSettings.showXAxisLabels}
+                  onChange={(e) => styleSettings.setShowXAxisLabels(e.target.checked)}
+                  className="w-4 h-4 text-cyan-600 rounded"
+                />
+                <span className="text-sm text-gray-700">Show Category Labels</span>
+              </label>
+
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={styleSettings.showValueLabels}
+                  onChange={(e) => styleSettings.setShowValueLabels(e.target.checked)}
+                  className="w-4 h-4 text-cyan-600 rounded"
+                />
+                <span className="text-sm text-gray-700">Show Value Labels</span>
+                <InfoTooltip text="Values use the prefix, suffix and decimal places of the axis each series is on" />
+              </label>
+
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={styleSettings.showLegend}
+                  onChange={(e) => styleSettings.setShowLegend(e.target.checked)}
+                  className="w-4 h-4 text-cyan-600 rounded"
+                />
+                <span className="text-sm text-gray-700">Show Legend</span>
+              </label>
+            </div>
+          </CollapsibleSection>
+
+          {/* Watermark Section for Combo Chart - Hidden for Pro users */}
+          {!license.hasAccess && (
+            <CollapsibleSection
+              title="Watermark"
+              isExpanded={expandedSections.watermark}
+              onToggle={() => toggleSection('watermark')}
+            >
+              <div className="space-y-2">
+                <div className="px-3 py-3 bg-amber-50 border border-amber-200 rounded-lg">
+                  <div className="flex items-start gap-2">
+                    <span className="text-amber-600">💎</span>
+                    <div>
+                      <p className="text-sm font-medium text-amber-900">Upgrade to Pro</p>
+                      <p className="text-xs text-amber-700 mt-1">
+                        Remove watermarks and unlock unlimited exports with a Pro license
+                      </p>
+                      <button
+                        onClick={() => {
+                          setShowHamburgerMenu(true);
+                        }}
+                        className="mt-2 text-xs text-amber-600 hover:text-amber-700 font-medium underline"
+                      >
+                        View pricing →
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              </div>
+            </CollapsibleSection>
+          )}
+        </>
+      )}
+
+      {isDistributionChart && (
+        <>
+          {/* Theme Section for Histogram and Box Plot */}
+          <CollapsibleSection
+            title="Theme"
+            isExpanded={expandedSections.theme}
+            onToggle={() => toggleSection('theme')}
+          >
+            <div className="space-y-2">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Chart Background
+                </label>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => {
+                      styleSettings.setDarkMode(false);
+                      styleSettings.setBackgroundColor('#ffffff');
+                    }}
+                    className={`flex-1 px-4 py-2 rounded-lg font-medium text-sm transition-all ${
+                      !styleSettings.darkMode
+                        ? 'bg-white text-gray-900 border-2 border-gray-400 shadow-md'
+                        : 'bg-gray-100 text-gray-600 hover:bg-gray-200 border border-gray-300'
+                    }`}
+                  >
+                    Light Mode
+                  </button>
+                  <button
+                    onClick={() => {
+                      styleSettings.setDarkMode(true);
+                      styleSettings.setBackgroundColor('#1f2937');
+                    }}
+                    className={`flex-1 px-4 py-2 rounded-lg font-medium text-sm transition-all ${
+                      styleSettings.darkMode
+                        ? 'bg-gray-800 text-white border-2 border-gray-600 shadow-md'
+                        : 'bg-gray-100 text-gray-600 hover:bg-gray-200 border border-gray-300'
+                    }`}
+                  >
+                    Dark Mode
+                  </button>
+                </div>
+              </div>
+
+              {/* Background Color */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Background Color
+                </label>
+                <div className="flex gap-2">
+                  <input
+                    type="color"
+                    value={styleSettings.backgroundColor}
+                    onChange={(e) => styleSettings.setBackgroundColor(e.target.value)}
+                    className="w-10 h-10 rounded border border-gray-300 cursor-pointer"
+                  />
+                  <input
+                    type="text"
+                    value={styleSettings.backgroundColor}
+                    onChange={(e) => {
+                      const value = e.target.value;
+                      if (/^#[0-9A-Fa-f]{0,6}$/.test(value)) {
+                        styleSettings.setBackgroundColor(value);
+                      }
+                    }}
+                    placeholder="#ffffff"
+                    className="w-24 px-3 py-2 border border-gray-300 rounded-lg font-mono text-sm"
+                  />
+                </div>
+              </div>
+
+              {/* Background Opacity */}
+              <div>
+                <label className="flex items-center gap-1 text-sm font-medium text-gray-700 mb-2">
+                  Background Opacity: {styleSettings.backgroundOpacity}%
+                  <InfoTooltip text="Adjusts the transparency of the chart background" />
+                </label>
+                <input
+                  type="range"
+                  min="0"
+                  max="100"
+                  value={styleSettings.backgroundOpacity}
+                  onChange={(e) => throttledSetters.setBackgroundOpacity(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+            </div>
+          </CollapsibleSection>
+
+          {/* Canvas & Layout Section for Histogram and Box Plot */}
+          <CollapsibleSection
+            title="Canvas & Layout"
+            isExpanded={expandedSections.layoutCanvas}
+            onToggle={() => toggleSection('layoutCanvas')}
+          >
+            <div className="space-y-2">
+              {/* Chart Width */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Chart Width: {styleSettings.chartWidth}px
+                </label>
+                <input
+                  type="range"
+                  min="300"
+                  max="1500"
+                  value={styleSettings.chartWidth}
+                  onChange={(e) => throttledSetters.setChartWidth(Number(e.target.value))}
+                  onInput={(e) => styleSettings.setChartWidth(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              {/* Chart Height */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Chart Height: {styleSettings.chartHeight}px
+                </label>
+                <input
+                  type="range"
+                  min="300"
+                  max="1500"
+                  value={styleSettings.chartHeight}
+                  onChange={(e) => throttledSetters.setChartHeight(Number(e.target.value))}
+                  onInput={(e) => styleSettings.setChartHeight(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+            </div>
+          </CollapsibleSection>
+
+          {/* Data Mapping Section for Histogram and Box Plot */}
+          <CollapsibleSection
+            title="Data Mapping"
+            isExpanded={expandedSections.chartStructure}
+            onToggle={() => toggleSection('chartStructure')}
+          >
+            <div className="space-y-3">
+              <p className="text-xs text-gray-500">
+                One row per observation. Pick the column of numbers to plot and, optionally, a column to split the rows by
+              </p>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Value Column
+                </label>
+                <select
+                  value={styleSettings.distributionValueColumn}
+                  onChange={(e) => styleSettings.setDistributionValueColumn(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                >
+                  <option value="">Automatic (first numeric column)</option>
+                  {distributionValueColumns.map(column => (
+                    <option key={column} value={column}>{column}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Group By
+                </label>
+                <select
+                  value={styleSettings.distributionGroupColumn}
+                  onChange={(e) => styleSettings.setDistributionGroupColumn(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                >
+                  <option value="">None</option>
+                  {distributionGroupColumns.map(column => (
+                    <option key={column} value={column}>{column}</option>
+                  ))}
+                </select>
+              </div>
+
+              {isHistogramChart && (
+                <>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Bins
+                    </label>
+                    <div className="flex gap-2">
+                      {[['count', 'Number of Bins'], ['width', 'Bin Width']].map(([mode, label]) => (
+                        <button
+                          key={mode}
+                          onClick={() => styleSettings.setHistogramBinMode(mode)}
+                          className={`flex-1 px-3 py-2 rounded-lg font-medium text-sm transition-all ${
+                            styleSettings.histogramBinMode === mode
+                              ? 'bg-cyan-600 text-white shadow-md'
+                              : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                          }`}
+                        >
+                          {label}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+
+                  {styleSettings.histogramBinMode === 'width' ? (
+                    <div>
+                      <label className="flex items-center gap-1 text-sm font-medium text-gray-700 mb-2">
+                        Bin Width
+                        <InfoTooltip text="Bins start at a multiple of the width, so edges land on round numbers" />
+                      </label>
+                      <input
+                        type="number"
+                        key={styleSettings.histogramBinWidth}
+                        defaultValue={styleSettings.histogramBinWidth}
+                        min="0"
+                        step="any"
+                        onBlur={(e) => {
+                          const value = Number(e.target.value);
+                          if (value > 0) styleSettings.setHistogramBinWidth(value);
+                        }}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 text-sm"
+                      />
+                    </div>
+                  ) : (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Number of Bins: {styleSettings.histogramBinCount}
+                      </label>
+                      <input
+                        type="range"
+                        min="2"
+                        max="50"
+                        value={styleSettings.histogramBinCount}
+                        onChange={(e) => styleSettings.setHistogramBinCount(Number(e.target.value))}
+                        className="w-full"
+                      />
+                    </div>
+                  )}
+                </>
+              )}
+
+              {isBoxPlotChart && (
+                <>
+                  <label className="flex items-center gap-2 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={styleSettings.boxPlotShowOutliers}
+                      onChange={(e) => styleSettings.setBoxPlotShowOutliers(e.target.checked)}
+                      className="w-4 h-4 text-cyan-600 rounded"
+                    />
+                    <span className="text-sm text-gray-700">Show Outliers</span>
+                    <InfoTooltip text="Values more than 1.5 × the interquartile range beyond the box. Whiskers stop at the last value inside" />
+                  </label>
+
+                  <label className="flex items-center gap-2 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={styleSettings.boxPlotShowMean}
+                      onChange={(e) => styleSettings.setBoxPlotShowMean(e.target.checked)}
+                      className="w-4 h-4 text-cyan-600 rounded"
+                    />
+                    <span className="text-sm text-gray-700">Show Mean</span>
+                  </label>
+                </>
+              )}
+            </div>
+          </CollapsibleSection>
+
+          {/* Colors & Styling Section for Histogram and Box Plot */}
+          <CollapsibleSection
+            title="Colors & Styling"
+            isExpanded={expandedSections.colorsStyling}
+            onToggle={() => toggleSection('colorsStyling')}
+          >
+            <div className="space-y-2">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Palette
+                </label>
+                <select
+                  value={styleSettings.comparisonPalette}
+                  onChange={(e) => styleSettings.setComparisonPalette(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                >
+                  {Object.entries(comparisonPalettes).map(([key, palette]) => (
+                    <option key={key} value={key}>
+                      {palette.name}
+                    </option>
+                  ))}
+                </select>
+                {styleSettings.comparisonPalette !== 'user' && (
+                  <div className="mt-2">
+                    <div className="flex flex-wrap gap-2">
+                      {comparisonPalettes[styleSettings.comparisonPalette].colors.slice(0, 8).map((color, index) => (
+                        <div
+                          key={index}
+                          className="w-10 h-10 rounded border-2 border-gray-300"
+                          style={{ backgroundColor: color }}
+                          title={color}
+                        />
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </div>
+
+              {/* Custom Colors */}
+              {styleSettings.comparisonPalette === 'user' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Custom Colors (up to 8)
+                  </label>
+                  <div className="grid grid-cols-4 gap-3">
+                    {styleSettings.userCustomColors.map((color, index) => (
+                      <div key={index} className="flex flex-col gap-1">
+                        <input
+                          type="color"
+                          value={color}
+                          onChange={(e) => {
+                            const newColors = [...styleSettings.userCustomColors];
+                            newColors[index] = e.target.value;
+                            styleSettings.setUserCustomColors(newColors);
+                          }}
+                          className="w-full h-12 rounded-lg cursor-pointer border-2 border-gray-300"
+                        />
+                        <input
+                          type="text"
+                          value={color}
+                          onChange={(e) => {
+                            const newColors = [...styleSettings.userCustomColors];
+                            newColors[index] = e.target.value;
+                            styleSettings.setUserCustomColors(newColors);
+                          }}
+                          className="w-full px-2 py-1 text-xs border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-cyan-500 font-mono"
+                        />
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+            </div>
+          </CollapsibleSection>
+
+          {/* Axes & Gridlines Section for Histogram and Box Plot */}
+          <CollapsibleSection
+            title="Axes & Gridlines"
+            isExpanded={expandedSections.axesGridlines}
+            onToggle={() => toggleSection('axesGridlines')}
+          >
+            <div className="space-y-4">
+              <div className="space-y-3">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Value Axis
+                  </label>
+                </div>
+
+                <div>
+                  <label className="block text-xs font-medium text-gray-600 mb-1">
+                    Title
+                  </label>
+                  <input
+                    type="text"
+                    value={styleSettings.axisLabel}
+                    onChange={(e) => styleSettings.setAxisLabel(e.target.value)}
+                    placeholder="Value column name"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 text-sm"
+                  />
+                </div>
+
+                <div className="grid grid-cols-3 gap-3">
+                  <div>
+                    <label className="block text-xs font-medium text-gray-600 mb-1">
+                      Prefix
+                    </label>
+                    <input
+                      type="text"
+                      value={styleSettings.axisValuePrefix}
+                      onChange={(e) => styleSettings.setAxisValuePrefix(e.target.value)}
+                      placeholder="$"
+                      maxLength={3}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 text-sm"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-gray-600 mb-1">
+                      Suffix
+                    </label>
+                    <input
+                      type="text"
+                      value={styleSettings.axisValueSuffix}
+                      onChange={(e) => styleSettings.setAxisValueSuffix(e.target.value)}
+                      placeholder="%"
+                      maxLength={3}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 text-sm"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-gray-600 mb-1">
+                      Decimal places
+                    </label>
+                    <input
+                      type="number"
+                      value={styleSettings.axisValueDecimalPlaces}
+                      onChange={(e) => styleSettings.setAxisValueDecimalPlaces(Math.max(0, Math.min(5, parseInt(e.target.value) || 0)))}
+                      min="0"
+                      max="5"
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 text-sm"
+                    />
+                  </div>
+                </div>
+              </div>
+
+              <div className="flex items-center gap-2">
+                <label className="flex-1 text-sm font-medium text-gray-700">
+                  Compact axis values (1.5K vs 1500)
+                </label>
+                <button
+                  onClick={() => styleSettings.setCompactAxisNumbers(!styleSettings.compactAxisNumbers)}
+                  className={`px-4 py-1 rounded text-sm font-medium ${
+                    styleSettings.compactAxisNumbers
+                      ? 'bg-cyan-600 text-white'
+                      : 'bg-gray-200 text-gray-600'
+                  }`}
+                >
+                  {styleSettings.compactAxisNumbers ? 'On' : 'Off'}
+                </button>
+              </div>
+
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={styleSettings.showGridLines}
+                  onChange={(e) => styleSettings.setShowGridLines(e.target.checked)}
+                  className="w-4 h-4 text-cyan-600 rounded"
+                />
+                <span className="text-sm text-gray-700">Show Gridlines</span>
+                <InfoTooltip text="Gridlines follow the count axis on histograms and the value axis on box plots" />
+              </label>
+            </div>
+          </CollapsibleSection>
+
+          {/* Typography Section for Histogram and Box Plot */}
+          <CollapsibleSection
+            title="Typography"
+            isExpanded={expandedSections.typography}
+            onToggle={() => toggleSection('typography')}
+          >
+            <div className="space-y-2">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Title
+                </label>
+                <input
+                  type="text"
+                  value={styleSettings.title}
+                  onChange={(e) => styleSettings.setTitle(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Subtitle
+                </label>
+                <input
+                  type="text"
+                  value={styleSettings.subtitle}
+                  onChange={(e) => styleSettings.setSubtitle(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Title Alignment
+                </label>
+                <select
+                  value={styleSettings.titleAlignment}
+                  onChange={(e) => styleSettings.setTitleAlignment(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                >
+                  <option value="left">Left</option>
+                  <option value="center">Center</option>
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Font Family
+                </label>
+                <select
+                  value={styleSettings.fontFamily}
+                  onChange={(e) => styleSettings.setFontFamily(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                >
+                  <optgroup label="Sans-Serif">
+                    <option value="Inter">Inter</option>
+                    <option value="Libre Franklin">Libre Franklin</option>
+                    <option value="Montserrat">Montserrat</option>
+                    <option value="Open Sans">Open Sans</option>
+                    <option value="Poppins">Poppins</option>
+                    <option value="Raleway">Raleway</option>
+                    <option value="Roboto">Roboto</option>
+                    <option value="Source Sans 3">Source Sans 3</option>
+                    <option value="Lato">Lato</option>
+                  </optgroup>
+                  <optgroup label="Condensed">
+                    <option value="Roboto Condensed">Roboto Condensed</option>
+                    <option value="Open Sans Condensed">Open Sans Condensed</option>
+                    <option value="Economica">Economica</option>
+                  </optgroup>
+                  <optgroup label="Serif">
+                    <option value="Merriweather">Merriweather</option>
+                    <option value="Playfair Display">Playfair Display</option>
+                    <option value="Lora">Lora</option>
+                    <option value="PT Serif">PT Serif</option>
+                    <option value="Newsreader">Newsreader</option>
+                    <option value="Georgia">Georgia</option>
+                  </optgroup>
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Title Font Size: {styleSettings.titleFontSize}px
+                </label>
+                <input
+                  type="range"
+                  min="16"
+                  max="48"
+                  value={styleSettings.titleFontSize}
+                  onChange={(e) => styleSettings.setTitleFontSize(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Subtitle Font Size: {styleSettings.subtitleFontSize}px
+                </label>
+                <input
+                  type="range"
+                  min="12"
+                  max="32"
+                  value={styleSettings.subtitleFontSize}
+                  onChange={(e) => styleSettings.setSubtitleFontSize(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Axis Label Font Size: {styleSettings.xAxisFontSize}px
+                </label>
+                <input
+                  type="range"
+                  min="10"
+                  max="24"
+                  value={styleSettings.xAxisFontSize}
+                  onChange={(e) => styleSettings.setXAxisFontSize(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Axis Title Font Size: {styleSettings.axisLabelFontSize}px
+                </label>
+                <input
+                  type="range"
+                  min="10"
+                  max="24"
+                  value={styleSettings.axisLabelFontSize}
+                  onChange={(e) => styleSettings.setAxisLabelFontSize(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Value Label Font Size: {styleSettings.directLabelFontSize}px
+                </label>
+                <input
+                  type="range"
+                  min="8"
+                  max="24"
+                  value={styleSettings.directLabelFontSize}
+                  onChange={(e) => styleSettings.setDirectLabelFontSize(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Legend Font Size: {styleSettings.legendFontSize}px
+                </label>
+                <input
+                  type="range"
+                  min="10"
+                  max="24"
+                  value={styleSettings.legendFontSize}
+                  onChange={(e) => styleSettings.setLegendFontSize(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+            </div>
+          </CollapsibleSection>
+
+          {/* Labels Section for Histogram and Box Plot */}
+          <CollapsibleSection
+            title="Labels"
+            isExpanded={expandedSections.labels}
+            onToggle={() => toggleSection('labels')}
+          >
+            <div className="space-y-2">
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={styleSettings.showValueLabels}
+                  onChange={(e) => styleSettings.setShowValueLabels(e.target.checked)}
+                  className="w-4 h-4 text-cyan-600 rounded"
+                />
+                <span className="text-sm text-gray-700">{isHistogramChart ? 'Show Counts' : 'Show Median Labels'}</span>
+              </label>
+
+              {isHistogramChart && (
+                <label className="flex items-center gap-2 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={styleSettings.showLegend}
+                    onChange={(e) => styleSettings.setShowLegend(e.target.checked)}
+                    className="w-4 h-4 text-cyan-600 rounded"
+                  />
+                  <span className="text-sm text-gray-700">Show Legend</span>
+                  <InfoTooltip text="Shown when the rows are grouped" />
+                </label>
+              )}
+            </div>
+          </CollapsibleSection>
+
+          {/* Watermark Section for Histogram and Box Plot - Hidden for Pro users */}
+          {!license.hasAccess && (
+            <CollapsibleSection
+              title="Watermark"
+              isExpanded={expandedSections.watermark}
+              onToggle={() => toggleSection('watermark')}
+            >
+              <div className="space-y-2">
+                <div className="px-3 py-3 bg-amber-50 border border-amber-200 rounded-lg">
+                  <div className="flex items-start gap-2">
+                    <span className="text-amber-600">💎</span>
+                    <div>
+                      <p className="text-sm font-medium text-amber-900">Upgrade to Pro</p>
+                      <p className="text-xs text-amber-700 mt-1">
+                        Remove watermarks and unlock unlimited exports with a Pro license
+                      </p>
+                      <button
+                        onClick={() => {
+                          setShowHamburgerMenu(true);
+                        }}
+                        className="mt-2 text-xs text-amber-600 hover:text-amber-700 font-medium underline"
+                      >
+                        View pricing →
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              </div>
+            </CollapsibleSection>
+          )}
+        </>
+      )}
+
+      {isBulletChart && (
+        <>
+          {/* Theme Section for Bullet Chart */}
+          <CollapsibleSection
+            title="Theme"
+            isExpanded={expandedSections.theme}
+            onToggle={() => toggleSection('theme')}
+          >
+            <div className="space-y-2">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Chart Background
+                </label>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => {
+                      styleSettings.setDarkMode(false);
+                      styleSettings.setBackgroundColor('#ffffff');
+                    }}
+                    className={`flex-1 px-4 py-2 rounded-lg font-medium text-sm transition-all ${
+                      !styleSettings.darkMode
+                        ? 'bg-white text-gray-900 border-2 border-gray-400 shadow-md'
+                        : 'bg-gray-100 text-gray-600 hover:bg-gray-200 border border-gray-300'
+                    }`}
+                  >
+                    Light Mode
+                  </button>
+                  <button
+                    onClick={() => {
+                      styleSettings.setDarkMode(true);
+                      styleSettings.setBackgroundColor('#1f2937');
+                    }}
+                    className={`flex-1 px-4 py-2 rounded-lg font-medium text-sm transition-all ${
+                      styleSettings.darkMode
+                        ? 'bg-gray-800 text-white border-2 border-gray-600 shadow-md'
+                        : 'bg-gray-100 text-gray-600 hover:bg-gray-200 border border-gray-300'
+                    }`}
+                  >
+                    Dark Mode
+                  </button>
+                </div>
+              </div>
+
+              {/* Background Color */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Background Color
+                </label>
+                <div className="flex gap-2">
+                  <input
+                    type="color"
+                    value={styleSettings.backgroundColor}
+                    onChange={(e) => styleSettings.setBackgroundColor(e.target.value)}
+                    className="w-10 h-10 rounded border border-gray-300 cursor-pointer"
+                  />
+                  <input
+                    type="text"
+                    value={styleSettings.backgroundColor}
+                    onChange={(e) => {
+                      const value = e.target.value;
+                      if (/^#[0-9A-Fa-f]{0,6}$/.test(value)) {
+                        styleSettings.setBackgroundColor(value);
+                      }
+                    }}
+                    placeholder="#ffffff"
+                    className="w-24 px-3 py-2 border border-gray-300 rounded-lg font-mono text-sm"
+                  />
+                </div>
+              </div>
+
+              {/* Background Opacity */}
+              <div>
+                <label className="flex items-center gap-1 text-sm font-medium text-gray-700 mb-2">
+                  Background Opacity: {styleSettings.backgroundOpacity}%
+                  <InfoTooltip text="Adjusts the transparency of the chart background" />
+                </label>
+                <input
+                  type="range"
+                  min="0"
+                  max="100"
+                  value={styleSettings.backgroundOpacity}
+                  onChange={(e) => throttledSetters.setBackgroundOpacity(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+            </div>
+          </CollapsibleSection>
+
+          {/* Canvas & Layout Section for Bullet Chart */}
+          <CollapsibleSection
+            title="Canvas & Layout"
+            isExpanded={expandedSections.layoutCanvas}
+            onToggle={() => toggleSection('layoutCanvas')}
+          >
+            <div className="space-y-2">
+              {/* Chart Width */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Chart Width: {styleSettings.chartWidth}px
+                </label>
+                <input
+                  type="range"
+                  min="300"
+                  max="1500"
+                  value={styleSettings.chartWidth}
+                  onChange={(e) => throttledSetters.setChartWidth(Number(e.target.value))}
+                  onInput={(e) => styleSettings.setChartWidth(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              {/* Chart Height */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Chart Height: {styleSettings.chartHeight}px
+                </label>
+                <input
+                  type="range"
+                  min="300"
+                  max="1500"
+                  value={styleSettings.chartHeight}
+                  onChange={(e) => throttledSetters.setChartHeight(Number(e.target.value))}
+                  onInput={(e) => styleSettings.setChartHeight(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+            </div>
+          </CollapsibleSection>
+
+          {/* Chart Structure Section for Bullet Chart */}
+          <CollapsibleSection
+            title="Chart Structure"
+            isExpanded={expandedSections.chartStructure}
+            onToggle={() => toggleSection('chartStructure')}
+          >
+            <div className="space-y-3">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Orientation
+                </label>
+                <div className="flex gap-2">
+                  {['horizontal', 'vertical'].map(orientation => (
+                    <button
+                      key={orientation}
+                      onClick={() => styleSettings.setOrientation(orientation)}
+                      className={`flex-1 px-4 py-2 rounded-lg font-medium text-sm transition-all ${
+                        styleSettings.orientation === orientation
+                          ? 'bg-cyan-600 text-white shadow-md'
+                          : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                      }`}
+                    >
+                      {orientation === 'horizontal' ? 'Horizontal' : 'Vertical'}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Actual Value
+                </label>
+                <select
+                  value={styleSettings.bulletActualColumn}
+                  onChange={(e) => styleSettings.setBulletActualColumn(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                >
+                  <option value="">Automatic ({bulletColumns.actual ?? 'none'})</option>
+                  {bulletValueColumns.map(column => (
+                    <option key={column} value={column}>{column}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Target
+                </label>
+                <select
+                  value={styleSettings.bulletTargetColumn}
+                  onChange={(e) => styleSettings.setBulletTargetColumn(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                >
+                  <option value="">Automatic ({bulletColumns.target ?? 'none'})</option>
+                  {bulletValueColumns.map(column => (
+                    <option key={column} value={column}>{column}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="flex items-center gap-1 text-sm font-medium text-gray-700 mb-2">
+                  Ranges (up to {MAX_RANGES})
+                  <InfoTooltip text="Each range column is the upper end of a band, e.g. Poor, Satisfactory, Good. With none chosen, the remaining columns are used" />
+                </label>
+                <div className="space-y-1">
+                  {bulletValueColumns
+                    .filter(column => column !== bulletColumns.actual && column !== bulletColumns.target)
+                    .map(column => {
+                      const isChecked = bulletColumns.ranges.includes(column);
+                      return (
+                        <label key={column} className="flex items-center gap-2 cursor-pointer">
+                          <input
+                            type="checkbox"
+                            checked={isChecked}
+                            disabled={!isChecked && bulletColumns.ranges.length >= MAX_RANGES}
+                            onChange={() => styleSettings.setBulletRangeColumns(
+                              isChecked
+                                ? bulletColumns.ranges.filter(range => range !== column)
+                                : [...bulletColumns.ranges, column]
+                            )}
+                            className="w-4 h-4 text-cyan-600 rounded"
+                          />
+                          <span className="text-sm text-gray-700">{column}</span>
+                        </label>
+                      );
+                    })}
+                </div>
+              </div>
+
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={styleSettings.bulletSharedScale}
+                  onChange={(e) => styleSettings.setBulletSharedScale(e.target.checked)}
+                  className="w-4 h-4 text-cyan-600 rounded"
+                />
+                <span className="text-sm text-gray-700">Use One Scale for All Metrics</span>
+                <InfoTooltip text="Turn on when every metric uses the same units so bullets can be compared by length" />
+              </label>
+            </div>
+          </CollapsibleSection>
+
+          {/* Colors & Styling Section for Bullet Chart */}
+          <CollapsibleSection
+            title="Colors & Styling"
+            isExpanded={expandedSections.colorsStyling}
+            onToggle={() => toggleSection('colorsStyling')}
+          >
+            <div className="space-y-2">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Actual Bar
+                </label>
+                <div className="flex gap-2">
+                  <input
+                    type="color"
+                    value={styleSettings.bulletActualColor}
+                    onChange={(e) => styleSettings.setBulletActualColor(e.target.value)}
+                    className="w-10 h-10 rounded border border-gray-300 cursor-pointer"
+                  />
+                  <input
+                    type="text"
+                    value={styleSettings.bulletActualColor}
+                    onChange={(e) => styleSettings.setBulletActualColor(e.target.value)}
+                    className="w-24 px-3 py-2 border border-gray-300 rounded-lg font-mono text-sm"
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Target Marker
+                </label>
+                <div className="flex gap-2">
+                  <input
+                    type="color"
+                    value={styleSettings.bulletTargetColor}
+                    onChange={(e) => styleSettings.setBulletTargetColor(e.target.value)}
+                    className="w-10 h-10 rounded border border-gray-300 cursor-pointer"
+                  />
+                  <input
+                    type="text"
+                    value={styleSettings.bulletTargetColor}
+                    onChange={(e) => styleSettings.setBulletTargetColor(e.target.value)}
+                    className="w-24 px-3 py-2 border border-gray-300 rounded-lg font-mono text-sm"
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label className="flex items-center gap-1 text-sm font-medium text-gray-700 mb-2">
+                  Range Bands
+                  <InfoTooltip text="Lowest band first. Darker bands read as worse; bullets with fewer ranges use the lighter colors" />
+                </label>
+                <div className="flex gap-2">
+                  {styleSettings.bulletRangeColors.map((color, index) => (
+                    <input
+                      key={index}
+                      type="color"
+                      value={color}
+                      onChange={(e) => {
+                        const newColors = [...styleSettings.bulletRangeColors];
+                        newColors[index] = e.target.value;
+                        styleSettings.setBulletRangeColors(newColors);
+                      }}
+                      className="w-10 h-10 rounded border border-gray-300 cursor-pointer"
+                    />
+                  ))}
+                </div>
+              </div>
+              {styleSettings.darkMode && (
+                <p className="text-xs text-gray-500">
+                  Dark mode uses light bars and markers over dark grey bands
+                </p>
+              )}
+            </div>
+          </CollapsibleSection>
+
+          {/* Number Format Section for Bullet Chart */}
+          <CollapsibleSection
+            title="Number Format"
+            isExpanded={expandedSections.axesGridlines}
+            onToggle={() => toggleSection('axesGridlines')}
+          >
+            <div className="space-y-3">
+              <p className="text-xs text-gray-500">
+                Applies to value labels and scale labels, using the same settings as bar chart value labels
+              </p>
+
+              <div className="grid grid-cols-3 gap-3">
+                <div>
+                  <label className="block text-xs font-medium text-gray-600 mb-1">
+                    Prefix
+                  </label>
+                  <input
+                    type="text"
+                    value={styleSettings.valuePrefix}
+                    onChange={(e) => styleSettings.setValuePrefix(e.target.value)}
+                    placeholder="$"
+                    maxLength={3}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 text-sm"
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-600 mb-1">
+                    Suffix
+                  </label>
+                  <input
+                    type="text"
+                    value={styleSettings.valueSuffix}
+                    onChange={(e) => styleSettings.setValueSuffix(e.target.value)}
+                    placeholder="%"
+                    maxLength={3}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 text-sm"
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-600 mb-1">
+                    Decimal places
+                  </label>
+                  <input
+                    type="number"
+                    value={styleSettings.valueDecimalPlaces}
+                    onChange={(e) => styleSettings.setValueDecimalPlaces(Math.max(0, Math.min(5, parseInt(e.target.value) || 0)))}
+                    min="0"
+                    max="5"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 text-sm"
+                  />
+                </div>
+              </div>
+
+              <div className="flex items-center gap-2">
+                <label className="flex-1 text-sm font-medium text-gray-700">
+                  Compact values (1.5K vs 1500)
+                </label>
+                <button
+                  onClick={() => styleSettings.setCompactNumbers(!styleSettings.compactNumbers)}
+                  className={`px-4 py-1 rounded text-sm font-medium ${
+                    styleSettings.compactNumbers
+                      ? 'bg-cyan-600 text-white'
+                      : 'bg-gray-200 text-gray-600'
+                  }`}
+                >
+                  {styleSettings.compactNumbers ? 'On' : 'Off'}
+                </button>
+              </div>
+            </div>
+          </CollapsibleSection>
+
+          {/* Typography Section for Bullet Chart */}
+          <CollapsibleSection
+            title="Typography"
+            isExpanded={expandedSections.typography}
+            onToggle={() => toggleSection('typography')}
+          >
+            <div className="space-y-2">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Title
+                </label>
+                <input
+                  type="text"
+                  value={styleSettings.title}
+                  onChange={(e) => styleSettings.setTitle(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Subtitle
+                </label>
+                <input
+                  type="text"
+                  value={styleSettings.subtitle}
+                  onChange={(e) => styleSettings.setSubtitle(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Title Alignment
+                </label>
+                <select
+                  value={styleSettings.titleAlignment}
+                  onChange={(e) => styleSettings.setTitleAlignment(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                >
+                  <option value="left">Left</option>
+                  <option value="center">Center</option>
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Font Family
+                </label>
+                <select
+                  value={styleSettings.fontFamily}
+                  onChange={(e) => styleSettings.setFontFamily(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                >
+                  <optgroup label="Sans-Serif">
+                    <option value="Inter">Inter</option>
+                    <option value="Libre Franklin">Libre Franklin</option>
+                    <option value="Montserrat">Montserrat</option>
+                    <option value="Open Sans">Open Sans</option>
+                    <option value="Poppins">Poppins</option>
+                    <option value="Raleway">Raleway</option>
+                    <option value="Roboto">Roboto</option>
+                    <option value="Source Sans 3">Source Sans 3</option>
+                    <option value="Lato">Lato</option>
+                  </optgroup>
+                  <optgroup label="Condensed">
+                    <option value="Roboto Condensed">Roboto Condensed</option>
+                    <option value="Open Sans Condensed">Open Sans Condensed</option>
+                    <option value="Economica">Economica</option>
+                  </optgroup>
+                  <optgroup label="Serif">
+                    <option value="Merriweather">Merriweather</option>
+                    <option value="Playfair Display">Playfair Display</option>
+                    <option value="Lora">Lora</option>
+                    <option value="PT Serif">PT Serif</option>
+                    <option value="Newsreader">Newsreader</option>
+                    <option value="Georgia">Georgia</option>
+                  </optgroup>
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Title Font Size: {styleSettings.titleFontSize}px
+                </label>
+                <input
+                  type="range"
+                  min="16"
+                  max="48"
+                  value={styleSettings.titleFontSize}
+                  onChange={(e) => styleSettings.setTitleFontSize(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Subtitle Font Size: {styleSettings.subtitleFontSize}px
+                </label>
+                <input
+                  type="range"
+                  min="12"
+                  max="32"
+                  value={styleSettings.subtitleFontSize}
+                  onChange={(e) => styleSettings.setSubtitleFontSize(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Metric Label Font Size: {styleSettings.yAxisFontSize}px
+                </label>
+                <input
+                  type="range"
+                  min="10"
+                  max="28"
+                  value={styleSettings.yAxisFontSize}
+                  onChange={(e) => styleSettings.setYAxisFontSize(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Scale Label Font Size: {styleSettings.xAxisFontSize}px
+                </label>
+                <input
+                  type="range"
+                  min="8"
+                  max="20"
+                  value={styleSettings.xAxisFontSize}
+                  onChange={(e) => styleSettings.setXAxisFontSize(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Value Label Font Size: {styleSettings.directLabelFontSize}px
+                </label>
+                <input
+                  type="range"
+                  min="8"
+                  max="24"
+                  value={styleSettings.directLabelFontSize}
+                  onChange={(e) => styleSettings.setDirectLabelFontSize(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+            </div>
+          </CollapsibleSection>
+
+          {/* Labels Section for Bullet Chart */}
+          <CollapsibleSection
+            title="Labels"
+            isExpanded={expandedSections.labels}
+            onToggle={() => toggleSection('labels')}
+          >
+            <div className="space-y-2">
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={styleSettings.showValueLabels}
+                  onChange={(e) => styleSettings.setShowValueLabels(e.target.checked)}
+                  className="w-4 h-4 text-cyan-600 rounded"
+                />
+                <span className="text-sm text-gray-700">Show Value Labels</span>
+              </label>
+
+              {styleSettings.showValueLabels && (
+                <label className="flex items-center gap-2 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={styleSettings.showBulletTargetLabels}
+                    onChange={(e) => styleSettings.setShowBulletTargetLabels(e.target.checked)}
+                    className="w-4 h-4 text-cyan-600 rounded"
+                  />
+                  <span className="text-sm text-gray-700">Include Target (e.g. 275 / 250)</span>
+                </label>
+              )}
+
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={styleSettings.showXAxisLabels}
+                  onChange={(e) => styleSettings.setShowXAxisLabels(e.target.checked)}
+                  className="w-4 h-4 text-cyan-600 rounded"
+                />
+                <span className="text-sm text-gray-700">Show Scale Labels</span>
+              </label>
+            </div>
+          </CollapsibleSection>
+
+          {/* Watermark Section for Bullet Chart - Hidden for Pro users */}
+          {!license.hasAccess && (
+            <CollapsibleSection
+              title="Watermark"
+              isExpanded={expandedSections.watermark}
+              onToggle={() => toggleSection('watermark')}
+            >
+              <div className="space-y-2">
+                <div className="px-3 py-3 bg-amber-50 border border-amber-200 rounded-lg">
+                  <div className="flex items-start gap-2">
+                    <span className="text-amber-600">💎</span>
+                    <div>
+                      <p className="text-sm font-medium text-amber-900">Upgrade to Pro</p>
+                      <p className="text-xs text-amber-700 mt-1">
+                        Remove watermarks and unlock unlimited exports with a Pro license
+                      </p>
+                      <button
+                        onClick={() => {
+                          setShowHamburgerMenu(true);
+                        }}
+                        className="mt-2 text-xs text-amber-600 hover:text-amber-700 font-medium underline"
+                      >
+                        View pricing →
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              </div>
+            </CollapsibleSection>
+          )}
+        </>
+      )}
+
+      {isKpiChart && (
+        <>
+          {/* Theme Section for KPI Chart */}
+          <CollapsibleSection
+            title="Theme"
+            isExpanded={expandedSections.theme}
+            onToggle={() => toggleSection('theme')}
+          >
+            <div className="space-y-2">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Chart Background
+                </label>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => {
+                      styleSettings.setDarkMode(false);
+                      styleSettings.setBackgroundColor('#ffffff');
+                    }}
+                    className={`flex-1 px-4 py-2 rounded-lg font-medium text-sm transition-all ${
+                      !styleSettings.darkMode
+                        ? 'bg-white text-gray-900 border-2 border-gray-400 shadow-md'
+                        : 'bg-gray-100 text-gray-600 hover:bg-gray-200 border border-gray-300'
+                    }`}
+                  >
+                    Light Mode
+                  </button>
+                  <button
+                    onClick={() => {
+                      styleSettings.setDarkMode(true);
+                      styleSettings.setBackgroundColor('#1f2937');
+                    }}
+                    className={`flex-1 px-4 py-2 rounded-lg font-medium text-sm transition-all ${
+                      styleSettings.darkMode
+                        ? 'bg-gray-800 text-white border-2 border-gray-600 shadow-md'
+                        : 'bg-gray-100 text-gray-600 hover:bg-gray-200 border border-gray-300'
+                    }`}
+                  >
+                    Dark Mode
+                  </button>
+                </div>
+              </div>
+
+              {/* Background Color */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Background Color
+                </label>
+                <div className="flex gap-2">
+                  <input
+                    type="color"
+                    value={styleSettings.backgroundColor}
+                    onChange={(e) => styleSettings.setBackgroundColor(e.target.value)}
+                    className="w-10 h-10 rounded border border-gray-300 cursor-pointer"
+                  />
+                  <input
+                    type="text"
+                    value={styleSettings.backgroundColor}
+                    onChange={(e) => {
+                      const value = e.target.value;
+                      if (/^#[0-9A-Fa-f]{0,6}$/.test(value)) {
+                        styleSettings.setBackgroundColor(value);
+                      }
+                    }}
+                    placeholder="#ffffff"
+                    className="w-24 px-3 py-2 border border-gray-300 rounded-lg font-mono text-sm"
+                  />
+                </div>
+              </div>
+
+              {/* Background Opacity */}
+              <div>
+                <label className="flex items-center gap-1 text-sm font-medium text-gray-700 mb-2">
+                  Background Opacity: {styleSettings.backgroundOpacity}%
+                  <InfoTooltip text="Adjusts the transparency of the chart background" />
+                </label>
+                <input
+                  type="range"
+                  min="0"
+                  max="100"
+                  value={styleSettings.backgroundOpacity}
+                  onChange={(e) => throttledSetters.setBackgroundOpacity(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+            </div>
+          </CollapsibleSection>
+
+          {/* Canvas & Layout Section for KPI Chart */}
+          <CollapsibleSection
+            title="Canvas & Layout"
+            isExpanded={expandedSections.layoutCanvas}
+            onToggle={() => toggleSection('layoutCanvas')}
+          >
+            <div className="space-y-2">
+              {/* Chart Width */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Chart Width: {styleSettings.chartWidth}px
+                </label>
+                <input
+                  type="range"
+                  min="300"
+                  max="1500"
+                  value={styleSettings.chartWidth}
+                  onChange={(e) => throttledSetters.setChartWidth(Number(e.target.value))}
+                  onInput={(e) => styleSettings.setChartWidth(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              {/* Chart Height */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Chart Height: {styleSettings.chartHeight}px
+                </label>
+                <input
+                  type="range"
+                  min="300"
+                  max="1500"
+                  value={styleSettings.chartHeight}
+                  onChange={(e) => throttledSetters.setChartHeight(Number(e.target.value))}
+                  onInput={(e) => styleSettings.setChartHeight(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+            </div>
+          </CollapsibleSection>
+
+          {/* Tiles Section for KPI Chart */}
+          <CollapsibleSection
+            title="Tiles"
+            isExpanded={expandedSections.chartStructure}
+            onToggle={() => toggleSection('chartStructure')}
+          >
+            <div className="space-y-3">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Tiles per Row
+                </label>
+                <select
+                  value={styleSettings.kpiTilesPerRow}
+                  onChange={(e) => styleSettings.setKpiTilesPerRow(Number(e.target.value))}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                >
+                  <option value={0}>Automatic (up to {MAX_AUTO_TILES_PER_ROW})</option>
+                  {[1, 2, 3, 4, 5, 6].map(count => (
+                    <option key={count} value={count}>{count}</option>
+                  ))}
+                </select>
+              </div>
+
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={styleSettings.showKpiTileBorders}
+                  onChange={(e) => styleSettings.setShowKpiTileBorders(e.target.checked)}
+                  className="w-4 h-4 text-cyan-600 rounded"
+                />
+                <span className="text-sm text-gray-700">Show Tile Borders</span>
+              </label>
+
+              <div>
+                <label className="flex items-center gap-1 text-sm font-medium text-gray-700 mb-2">
+                  Lower Is Better
+                  <InfoTooltip text="For metrics like costs or churn, a drop is shown in the increase color and a rise in the decrease color" />
+                </label>
+                <div className="space-y-1">
+                  {kpiMetricColumns.map(column => {
+                    const isChecked = styleSettings.kpiLowerIsBetterColumns.includes(column);
+                    return (
+                      <label key={column} className="flex items-center gap-2 cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={isChecked}
+                          onChange={() => styleSettings.setKpiLowerIsBetterColumns(
+                            isChecked
+                              ? styleSettings.kpiLowerIsBetterColumns.filter(metric => metric !== column)
+                              : [...styleSettings.kpiLowerIsBetterColumns, column]
+                          )}
+                          className="w-4 h-4 text-cyan-600 rounded"
+                        />
+                        <span className="text-sm text-gray-700">{column}</span>
+                      </label>
+                    );
+                  })}
+                </div>
+              </div>
+            </div>
+          </CollapsibleSection>
+
+          {/* Colors & Styling Section for KPI Chart */}
+          <CollapsibleSection
+            title="Colors & Styling"
+            isExpanded={expandedSections.colorsStyling}
+            onToggle={() => toggleSection('colorsStyling')}
+          >
+            <div className="space-y-2">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Increase
+                </label>
+                <div className="flex gap-2">
+                  <input
+                    type="color"
+                    value={styleSettings.increaseColor}
+                    onChange={(e) => styleSettings.setIncreaseColor(e.target.value)}
+                    className="w-10 h-10 rounded border border-gray-300 cursor-pointer"
+                  />
+                  <input
+                    type="text"
+                    value={styleSettings.increaseColor}
+                    onChange={(e) => styleSettings.setIncreaseColor(e.target.value)}
+                    className="w-24 px-3 py-2 border border-gray-300 rounded-lg font-mono text-sm"
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Decrease
+                </label>
+                <div className="flex gap-2">
+                  <input
+                    type="color"
+                    value={styleSettings.decreaseColor}
+                    onChange={(e) => styleSettings.setDecreaseColor(e.target.value)}
+                    className="w-10 h-10 rounded border border-gray-300 cursor-pointer"
+                  />
+                  <input
+                    type="text"
+                    value={styleSettings.decreaseColor}
+                    onChange={(e) => styleSettings.setDecreaseColor(e.target.value)}
+                    className="w-24 px-3 py-2 border border-gray-300 rounded-lg font-mono text-sm"
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  No Change
+                </label>
+                <div className="flex gap-2">
+                  <input
+                    type="color"
+                    value={styleSettings.noChangeColor}
+                    onChange={(e) => styleSettings.setNoChangeColor(e.target.value)}
+                    className="w-10 h-10 rounded border border-gray-300 cursor-pointer"
+                  />
+                  <input
+                    type="text"
+                    value={styleSettings.noChangeColor}
+                    onChange={(e) => styleSettings.setNoChangeColor(e.target.value)}
+                    className="w-24 px-3 py-2 border border-gray-300 rounded-lg font-mono text-sm"
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Sparkline
+                </label>
+                <div className="flex gap-2">
+                  <input
+                    type="color"
+                    value={styleSettings.kpiSparklineColor}
+                    onChange={(e) => styleSettings.setKpiSparklineColor(e.target.value)}
+                    className="w-10 h-10 rounded border border-gray-300 cursor-pointer"
+                  />
+                  <input
+                    type="text"
+                    value={styleSettings.kpiSparklineColor}
+                    onChange={(e) => styleSettings.setKpiSparklineColor(e.target.value)}
+                    className="w-24 px-3 py-2 border border-gray-300 rounded-lg font-mono text-sm"
+                  />
+                </div>
+              </div>
+
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={styleSettings.kpiSparklineFill}
+                  onChange={(e) => styleSettings.setKpiSparklineFill(e.target.checked)}
+                  className="w-4 h-4 text-cyan-600 rounded"
+                />
+                <span className="text-sm text-gray-700">Shade Under Sparkline</span>
+              </label>
+              {styleSettings.darkMode && (
+                <p className="text-xs text-gray-500">
+                  Dark mode draws sparklines and tile borders in grey
+                </p>
+              )}
+            </div>
+          </CollapsibleSection>
+
+          {/* Number Format Section for KPI Chart */}
+          <CollapsibleSection
+            title="Number Format"
+            isExpanded={expandedSections.axesGridlines}
+            onToggle={() => toggleSection('axesGridlines')}
+          >
+            <div className="space-y-3">
+              <p className="text-xs text-gray-500">
+                Applies to the headline values and absolute changes, using the same settings as bar chart value labels
+              </p>
+
+              <div className="grid grid-cols-3 gap-3">
+                <div>
+                  <label className="block text-xs font-medium text-gray-600 mb-1">
+                    Prefix
+                  </label>
+                  <input
+                    type="text"
+                    value={styleSettings.valuePrefix}
+                    onChange={(e) => styleSettings.setValuePrefix(e.target.value)}
+                    placeholder="$"
+                    maxLength={3}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 text-sm"
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-600 mb-1">
+                    Suffix
+                  </label>
+                  <input
+                    type="text"
+                    value={styleSettings.valueSuffix}
+                    onChange={(e) => styleSettings.setValueSuffix(e.target.value)}
+                    placeholder="%"
+                    maxLength={3}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 text-sm"
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-600 mb-1">
+                    Decimal places
+                  </label>
+                  <input
+                    type="number"
+                    value={styleSettings.valueDecimalPlaces}
+                    onChange={(e) => styleSettings.setValueDecimalPlaces(Math.max(0, Math.min(5, parseInt(e.target.value) || 0)))}
+                    min="0"
+                    max="5"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 text-sm"
+                  />
+                </div>
+              </div>
+
+              <div className="flex items-center gap-2">
+                <label className="flex-1 text-sm font-medium text-gray-700">
+                  Compact values (1.5K vs 1500)
+                </label>
+                <button
+                  onClick={() => styleSettings.setCompactNumbers(!styleSettings.compactNumbers)}
+                  className={`px-4 py-1 rounded text-sm font-medium ${
+                    styleSettings.compactNumbers
+                      ? 'bg-cyan-600 text-white'
+                      : 'bg-gray-200 text-gray-600'
+                  }`}
+                >
+                  {styleSettings.compactNumbers ? 'On' : 'Off'}
+                </button>
+              </div>
+            </div>
+          </CollapsibleSection>
+
+          {/* Typography Section for KPI Chart */}
+          <CollapsibleSection
+            title="Typography"
+            isExpanded={expandedSections.typography}
+            onToggle={() => toggleSection('typography')}
+          >
+            <div className="space-y-2">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Title
+                </label>
+                <input
+                  type="text"
+                  value={styleSettings.title}
+                  onChange={(e) => styleSettings.setTitle(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Subtitle
+                </label>
+                <input
+                  type="text"
+                  value={styleSettings.subtitle}
+                  onChange={(e) => styleSettings.setSubtitle(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Title Alignment
+                </label>
+                <select
+                  value={styleSettings.titleAlignment}
+                  onChange={(e) => styleSettings.setTitleAlignment(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                >
+                  <option value="left">Left</option>
+                  <option value="center">Center</option>
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Font Family
+                </label>
+                <select
+                  value={styleSettings.fontFamily}
+                  onChange={(e) => styleSettings.setFontFamily(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                >
+                  <optgroup label="Sans-Serif">
+                    <option value="Inter">Inter</option>
+                    <option value="Libre Franklin">Libre Franklin</option>
+                    <option value="Montserrat">Montserrat</option>
+                    <option value="Open Sans">Open Sans</option>
+                    <option value="Poppins">Poppins</option>
+                    <option value="Raleway">Raleway</option>
+                    <option value="Roboto">Roboto</option>
+                    <option value="Source Sans 3">Source Sans 3</option>
+                    <option value="Lato">Lato</option>
+                  </optgroup>
+                  <optgroup label="Condensed">
+                    <option value="Roboto Condensed">Roboto Condensed</option>
+                    <option value="Open Sans Condensed">Open Sans Condensed</option>
+                    <option value="Economica">Economica</option>
+                  </optgroup>
+                  <optgroup label="Serif">
+                    <option value="Merriweather">Merriweather</option>
+                    <option value="Playfair Display">Playfair Display</option>
+                    <option value="Lora">Lora</option>
+                    <option value="PT Serif">PT Serif</option>
+                    <option value="Newsreader">Newsreader</option>
+                    <option value="Georgia">Georgia</option>
+                  </optgroup>
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Title Font Size: {styleSettings.titleFontSize}px
+                </label>
+                <input
+                  type="range"
+                  min="16"
+                  max="48"
+                  value={styleSettings.titleFontSize}
+                  onChange={(e) => styleSettings.setTitleFontSize(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Subtitle Font Size: {styleSettings.subtitleFontSize}px
+                </label>
+                <input
+                  type="range"
+                  min="12"
+                  max="32"
+                  value={styleSettings.subtitleFontSize}
+                  onChange={(e) => styleSettings.setSubtitleFontSize(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Metric Label Font Size: {styleSettings.kpiLabelFontSize}px
+                </label>
+                <input
+                  type="range"
+                  min="10"
+                  max="28"
+                  value={styleSettings.kpiLabelFontSize}
+                  onChange={(e) => styleSettings.setKpiLabelFontSize(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Value Font Size: {styleSettings.kpiValueFontSize}px
+                </label>
+                <input
+                  type="range"
+                  min="24"
+                  max="96"
+                  value={styleSettings.kpiValueFontSize}
+                  onChange={(e) => styleSettings.setKpiValueFontSize(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Change Font Size: {styleSettings.kpiChangeFontSize}px
+                </label>
+                <input
+                  type="range"
+                  min="10"
+                  max="28"
+                  value={styleSettings.kpiChangeFontSize}
+                  onChange={(e) => styleSettings.setKpiChangeFontSize(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+            </div>
+          </CollapsibleSection>
+
+          {/* Labels Section for KPI Chart */}
+          <CollapsibleSection
+            title="Labels"
+            isExpanded={expandedSections.labels}
+            onToggle={() => toggleSection('labels')}
+          >
+            <div className="space-y-2">
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={styleSettings.showKpiPeriodLabel}
+                  onChange={(e) => styleSettings.setShowKpiPeriodLabel(e.target.checked)}
+                  className="w-4 h-4 text-cyan-600 rounded"
+                />
+                <span className="text-sm text-gray-700">Show Latest Period</span>
+              </label>
+
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={styleSettings.showKpiChange}
+                  onChange={(e) => styleSettings.setShowKpiChange(e.target.checked)}
+                  className="w-4 h-4 text-cyan-600 rounded"
+                />
+                <span className="text-sm text-gray-700">Show Change vs. Previous Period</span>
+              </label>
+
+              {styleSettings.showKpiChange && (
+                <div className="flex gap-2">
+                  {[
+                    { value: 'percent', label: 'Percent' },
+                    { value: 'absolute', label: 'Absolute' },
+                    { value: 'both', label: 'Both' },
+                  ].map(option => (
+                    <button
+                      key={option.value}
+                      onClick={() => styleSettings.setKpiChangeFormat(option.value)}
+                      className={`flex-1 px-3 py-2 rounded-lg font-medium text-sm transition-all ${
+                        styleSettings.kpiChangeFormat === option.value
+                          ? 'bg-cyan-600 text-white shadow-md'
+                          : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                      }`}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+              )}
+
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={styleSettings.showKpiSparklines}
+                  onChange={(e) => styleSettings.setShowKpiSparklines(e.target.checked)}
+                  className="w-4 h-4 text-cyan-600 rounded"
+                />
+                <span className="text-sm text-gray-700">Show Sparklines</span>
+              </label>
+            </div>
+          </CollapsibleSection>
+
+          {/* Watermark Section for KPI Chart - Hidden for Pro users */}
+          {!license.hasAccess && (
+            <CollapsibleSection
+              title="Watermark"
+              isExpanded={expandedSections.watermark}
+              onToggle={() => toggleSection('watermark')}
+            >
+              <div className="space-y-2">
+                <div className="px-3 py-3 bg-amber-50 border border-amber-200 rounded-lg">
+                  <div className="flex items-start gap-2">
+                    <span className="text-amber-600">💎</span>
+                    <div>
+                      <p className="text-sm font-medium text-amber-900">Upgrade to Pro</p>
+                      <p className="text-xs text-amber-700 mt-1">
+                        Remove watermarks and unlock unlimited exports with a Pro license
+                      </p>
+                      <button
+                        onClick={() => {
+                          setShowHamburgerMenu(true);
+                        }}
+                        className="mt-2 text-xs text-amber-600 hover:text-amber-700 font-medium underline"
+                      >
+                        View pricing →
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              </div>
+            </CollapsibleSection>
+          )}
+        </>
+      )}
+
+      {isRadarChart && (
+        <>
+          {/* Theme Section for Radar Chart */}
+          <CollapsibleSection
+            title="Theme"
+            isExpanded={expandedSections.theme}
+            onToggle={() => toggleSection('theme')}
+          >
+            <div className="space-y-2">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Chart Background
+                </label>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => {
+                      styleSettings.setDarkMode(false);
+                      styleSettings.setBackgroundColor('#ffffff');
+                    }}
+                    className={`flex-1 px-4 py-2 rounded-lg font-medium text-sm transition-all ${
+                      !styleSettings.darkMode
+                        ? 'bg-white text-gray-900 border-2 border-gray-400 shadow-md'
+                        : 'bg-gray-100 text-gray-600 hover:bg-gray-200 border border-gray-300'
+                    }`}
+                  >
+                    Light Mode
+                  </button>
+                  <button
+                    onClick={() => {
+                      styleSettings.setDarkMode(true);
+                      styleSettings.setBackgroundColor('#1f2937');
+                    }}
+                    className={`flex-1 px-4 py-2 rounded-lg font-medium text-sm transition-all ${
+                      styleSettings.darkMode
+                        ? 'bg-gray-800 text-white border-2 border-gray-600 shadow-md'
+                        : 'bg-gray-100 text-gray-600 hover:bg-gray-200 border border-gray-300'
+                    }`}
+                  >
+                    Dark Mode
+                  </button>
+                </div>
+              </div>
+
+              {/* Background Color */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Background Color
+                </label>
+                <div className="flex gap-2">
+                  <input
+                    type="color"
+                    value={styleSettings.backgroundColor}
+                    onChange={(e) => styleSettings.setBackgroundColor(e.target.value)}
+                    className="w-10 h-10 rounded border border-gray-300 cursor-pointer"
+                  />
+                  <input
+                    type="text"
+                    value={styleSettings.backgroundColor}
+                    onChange={(e) => {
+                      const value = e.target.value;
+                      if (/^#[0-9A-Fa-f]{0,6}$/.test(value)) {
+                        styleSettings.setBackgroundColor(value);
+                      }
+                    }}
+                    placeholder="#ffffff"
+                    className="w-24 px-3 py-2 border border-gray-300 rounded-lg font-mono text-sm"
+                  />
+                </div>
+              </div>
+
+              {/* Background Opacity */}
+              <div>
+                <label className="flex items-center gap-1 text-sm font-medium text-gray-700 mb-2">
+                  Background Opacity: {styleSettings.backgroundOpacity}%
+                  <InfoTooltip text="Adjusts the transparency of the chart background" />
+                </label>
+                <input
+                  type="range"
+                  min="0"
+                  max="100"
+                  value={styleSettings.backgroundOpacity}
+                  onChange={(e) => throttledSetters.setBackgroundOpacity(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+            </div>
+          </CollapsibleSection>
+
+          {/* Canvas & Layout Section for Radar Chart */}
+          <CollapsibleSection
+            title="Canvas & Layout"
+            isExpanded={expandedSections.layoutCanvas}
+            onToggle={() => toggleSection('layoutCanvas')}
+          >
+            <div className="space-y-2">
+              {/* Chart Width */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Chart Width: {styleSettings.chartWidth}px
+                </label>
+                <input
+                  type="range"
+                  min="300"
+                  max="1500"
+                  value={styleSettings.chartWidth}
+                  onChange={(e) => throttledSetters.setChartWidth(Number(e.target.value))}
+                  onInput={(e) => styleSettings.setChartWidth(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              {/* Chart Height */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Chart Height: {styleSettings.chartHeight}px
+                </label>
+                <input
+                  type="range"
+                  min="300"
+                  max="1500"
+                  value={styleSettings.chartHeight}
+                  onChange={(e) => throttledSetters.setChartHeight(Number(e.target.value))}
+                  onInput={(e) => styleSettings.setChartHeight(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+            </div>
+          </CollapsibleSection>
+
+          {/* Scale Section for Radar Chart */}
+          <CollapsibleSection
+            title="Scale"
+            isExpanded={expandedSections.chartStructure}
+            onToggle={() => toggleSection('chartStructure')}
+          >
+            <div className="space-y-3">
+              <div>
+                <label className="flex items-center gap-1 text-sm font-medium text-gray-700 mb-2">
+                  Axis Scale
+                  <InfoTooltip text="Shared puts every axis on one scale so values compare directly. Per axis scales each row to its own values, for attributes measured in different units" />
+                </label>
+                <div className="flex gap-2">
+                  {[
+                    { value: 'shared', label: 'Shared' },
+                    { value: 'per-axis', label: 'Per Axis' },
+                  ].map(option => (
+                    <button
+                      key={option.value}
+                      onClick={() => styleSettings.setRadarScaleMode(option.value)}
+                      className={`flex-1 px-3 py-2 rounded-lg font-medium text-sm transition-all ${
+                        styleSettings.radarScaleMode === option.value
+                          ? 'bg-cyan-600 text-white shadow-md'
+                          : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                      }`}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Rings: {styleSettings.radarGridLevels}
+                </label>
+                <input
+                  type="range"
+                  min="3"
+                  max="10"
+                  value={styleSettings.radarGridLevels}
+                  onChange={(e) => styleSettings.setRadarGridLevels(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Grid Shape
+                </label>
+                <div className="flex gap-2">
+                  {[
+                    { value: 'polygon', label: 'Polygon' },
+                    { value: 'circle', label: 'Circle' },
+                  ].map(option => (
+                    <button
+                      key={option.value}
+                      onClick={() => styleSettings.setRadarGridShape(option.value)}
+                      className={`flex-1 px-3 py-2 rounded-lg font-medium text-sm transition-all ${
+                        styleSettings.radarGridShape === option.value
+                          ? 'bg-cyan-600 text-white shadow-md'
+                          : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                      }`}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            </div>
+          </CollapsibleSection>
+
+          {/* Lines & Points Section for Radar Chart */}
+          <CollapsibleSection
+            title="Lines & Points"
+            isExpanded={expandedSections.layout}
+            onToggle={() => toggleSection('layout')}
+          >
+            <div className="space-y-3">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Line Thickness: {styleSettings.radarLineThickness}px
+                </label>
+                <input
+                  type="range"
+                  min="1"
+                  max="6"
+                  value={styleSettings.radarLineThickness}
+                  onChange={(e) => styleSettings.setRadarLineThickness(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Fill Opacity: {Math.round(styleSettings.areaOpacity * 100)}%
+                </label>
+                <input
+                  type="range"
+                  min="0"
+                  max="1"
+                  step="0.05"
+                  value={styleSettings.areaOpacity}
+                  onChange={(e) => styleSettings.setAreaOpacity(parseFloat(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={styleSettings.showPoints}
+                  onChange={(e) => styleSettings.setShowPoints(e.target.checked)}
+                  className="w-4 h-4 text-cyan-600 rounded"
+                />
+                <span className="text-sm text-gray-700">Show Points</span>
+              </label>
+
+              {styleSettings.showPoints && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Point Size: {styleSettings.pointSize}px
+                  </label>
+                  <input
+                    type="range"
+                    min="2"
+                    max="10"
+                    value={styleSettings.pointSize}
+                    onChange={(e) => styleSettings.setPointSize(Number(e.target.value))}
+                    className="w-full"
+                  />
+                </div>
+              )}
+            </div>
+          </CollapsibleSection>
+
+          {/* Colors & Styling Section for Radar Chart */}
+          <CollapsibleSection
+            title="Colors & Styling"
+            isExpanded={expandedSections.colorsStyling}
+            onToggle={() => toggleSection('colorsStyling')}
+          >
+            <div className="space-y-2">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Palette
+                </label>
+                <select
+                  value={styleSettings.comparisonPalette}
+                  onChange={(e) => styleSettings.setComparisonPalette(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                >
+                  {Object.entries(comparisonPalettes).map(([key, palette]) => (
+                    <option key={key} value={key}>
+                      {palette.name}
+                    </option>
+                  ))}
+                </select>
+                {styleSettings.comparisonPalette !== 'user' && (
+                  <div className="mt-2">
+                    <div className="flex flex-wrap gap-2">
+                      {comparisonPalettes[styleSettings.comparisonPalette].colors.slice(0, 8).map((color, index) => (
+                        <div
+                          key={index}
+                          className="w-10 h-10 rounded border-2 border-gray-300"
+                          style={{ backgroundColor: color }}
+                          title={color}
+                        />
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </div>
+
+              {/* Custom Colors */}
+              {styleSettings.comparisonPalette === 'user' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Custom Colors (up to 8)
+                  </label>
+                  <div className="grid grid-cols-4 gap-3">
+                    {styleSettings.userCustomColors.map((color, index) => (
+                      <div key={index} className="flex flex-col gap-1">
+                        <input
+                          type="color"
+                          value={color}
+                          onChange={(e) => {
+                            const newColors = [...styleSettings.userCustomColors];
+                            newColors[index] = e.target.value;
+                            styleSettings.setUserCustomColors(newColors);
+                          }}
+                          className="w-full h-12 rounded-lg cursor-pointer border-2 border-gray-300"
+                        />
+                        <input
+                          type="text"
+                          value={color}
+                          onChange={(e) => {
+                            const newColors = [...styleSettings.userCustomColors];
+                            newColors[index] = e.target.value;
+                            styleSettings.setUserCustomColors(newColors);
+                          }}
+                          className="w-full px-2 py-1 text-xs border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-cyan-500 font-mono"
+                        />
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+              <p className="text-xs text-gray-500">
+                Each column takes the next color
+              </p>
+            </div>
+          </CollapsibleSection>
+
+          {/* Number Format Section for Radar Chart */}
+          <CollapsibleSection
+            title="Number Format"
+            isExpanded={expandedSections.numberFormat}
+            onToggle={() => toggleSection('numberFormat')}
+          >
+            <div className="space-y-3">
+              <p className="text-xs text-gray-500">
+                Applies to ring values and axis ranges, using the same settings as bar chart value labels
+              </p>
+
+              <div className="grid grid-cols-3 gap-3">
+                <div>
+                  <label className="block text-xs font-medium text-gray-600 mb-1">
+                    Prefix
+                  </label>
+                  <input
+                    type="text"
+                    value={styleSettings.valuePrefix}
+                    onChange={(e) => styleSettings.setValuePrefix(e.target.value)}
+                    placeholder="$"
+                    maxLength={3}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 text-sm"
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-600 mb-1">
+                    Suffix
+                  </label>
+                  <input
+                    type="text"
+                    value={styleSettings.valueSuffix}
+                    onChange={(e) => styleSettings.setValueSuffix(e.target.value)}
+                    placeholder="%"
+                    maxLength={3}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 text-sm"
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-600 mb-1">
+                    Decimal places
+                  </label>
+                  <input
+                    type="number"
+                    value={styleSettings.valueDecimalPlaces}
+                    onChange={(e) => styleSettings.setValueDecimalPlaces(Math.max(0, Math.min(5, parseInt(e.target.value) || 0)))}
+                    min="0"
+                    max="5"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 text-sm"
+                  />
+                </div>
+              </div>
+
+              <div className="flex items-center gap-2">
+                <label className="flex-1 text-sm font-medium text-gray-700">
+                  Compact values (1.5K vs 1500)
+                </label>
+                <button
+                  onClick={() => styleSettings.setCompactNumbers(!styleSettings.compactNumbers)}
+                  className={`px-4 py-1 rounded text-sm font-medium ${
+                    styleSettings.compactNumbers
+                      ? 'bg-cyan-600 text-white'
+                      : 'bg-gray-200 text-gray-600'
+                  }`}
+                >
+                  {styleSettings.compactNumbers ? 'On' : 'Off'}
+                </button>
+              </div>
+            </div>
+          </CollapsibleSection>
+
+          {/* Typography Section for Radar Chart */}
+          <CollapsibleSection
+            title="Typography"
+            isExpanded={expandedSections.typography}
+            onToggle={() => toggleSection('typography')}
+          >
+            <div className="space-y-2">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Title
+                </label>
+                <input
+                  type="text"
+                  value={styleSettings.title}
+                  onChange={(e) => styleSettings.setTitle(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Subtitle
+                </label>
+                <input
+                  type="text"
+                  value={styleSettings.subtitle}
+                  onChange={(e) => styleSettings.setSubtitle(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Title Alignment
+                </label>
+                <select
+                  value={styleSettings.titleAlignment}
+                  onChange={(e) => styleSettings.setTitleAlignment(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                >
+                  <option value="left">Left</option>
+                  <option value="center">Center</option>
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Font Family
+                </label>
+                <select
+                  value={styleSettings.fontFamily}
+                  onChange={(e) => styleSettings.setFontFamily(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                >
+                  <optgroup label="Sans-Serif">
+                    <option value="Inter">Inter</option>
+                    <option value="Libre Franklin">Libre Franklin</option>
+                    <option value="Montserrat">Montserrat</option>
+                    <option value="Open Sans">Open Sans</option>
+                    <option value="Poppins">Poppins</option>
+                    <option value="Raleway">Raleway</option>
+                    <option value="Roboto">Roboto</option>
+                    <option value="Source Sans 3">Source Sans 3</option>
+                    <option value="Lato">Lato</option>
+                  </optgroup>
+                  <optgroup label="Condensed">
+                    <option value="Roboto Condensed">Roboto Condensed</option>
+                    <option value="Open Sans Condensed">Open Sans Condensed</option>
+                    <option value="Economica">Economica</option>
+                  </optgroup>
+                  <optgroup label="Serif">
+                    <option value="Merriweather">Merriweather</option>
+                    <option value="Playfair Display">Playfair Display</option>
+                    <option value="Lora">Lora</option>
+                    <option value="PT Serif">PT Serif</option>
+                    <option value="Newsreader">Newsreader</option>
+                    <option value="Georgia">Georgia</option>
+                  </optgroup>
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Title Font Size: {styleSettings.titleFontSize}px
+                </label>
+                <input
+                  type="range"
+                  min="16"
+                  max="48"
+                  value={styleSettings.titleFontSize}
+                  onChange={(e) => styleSettings.setTitleFontSize(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Subtitle Font Size: {styleSettings.subtitleFontSize}px
+                </label>
+                <input
+                  type="range"
+                  min="12"
+                  max="32"
+                  value={styleSettings.subtitleFontSize}
+                  onChange={(e) => styleSettings.setSubtitleFontSize(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Axis Label Font Size: {styleSettings.radarAxisLabelFontSize}px
+                </label>
+                <input
+                  type="range"
+                  min="8"
+                  max="28"
+                  value={styleSettings.radarAxisLabelFontSize}
+                  onChange={(e) => styleSettings.setRadarAxisLabelFontSize(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Ring Value Font Size: {styleSettings.radarGridLabelFontSize}px
+                </label>
+                <input
+                  type="range"
+                  min="8"
+                  max="20"
+                  value={styleSettings.radarGridLabelFontSize}
+                  onChange={(e) => styleSettings.setRadarGridLabelFontSize(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Legend Font Size: {styleSettings.legendFontSize}px
+                </label>
+                <input
+                  type="range"
+                  min="8"
+                  max="24"
+                  value={styleSettings.legendFontSize}
+                  onChange={(e) => styleSettings.setLegendFontSize(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+            </div>
+          </CollapsibleSection>
+
+          {/* Labels Section for Radar Chart */}
+          <CollapsibleSection
+            title="Labels"
+            isExpanded={expandedSections.labels}
+            onToggle={() => toggleSection('labels')}
+          >
+            <div className="space-y-2">
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={styleSettings.showRadarGridLabels}
+                  onChange={(e) => styleSettings.setShowRadarGridLabels(e.target.checked)}
+                  className="w-4 h-4 text-cyan-600 rounded"
+                />
+                <span className="text-sm text-gray-700">{styleSettings.radarScaleMode === 'per-axis' ? 'Show Axis Ranges' : 'Show Ring Values'}</span>
+              </label>
+
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={styleSettings.showLegend}
+                  onChange={(e) => styleSettings.setShowLegend(e.target.checked)}
+                  className="w-4 h-4 text-cyan-600 rounded"
+                />
+                <span className="text-sm text-gray-700">Show Legend</span>
+              </label>
+              <p className="text-xs text-gray-500">
+                The legend is hidden when only one column is shown
+              </p>
+            </div>
+          </CollapsibleSection>
+
+          {/* Watermark Section for Radar Chart - Hidden for Pro users */}
+          {!license.hasAccess && (
+            <CollapsibleSection
+              title="Watermark"
+              isExpanded={expandedSections.watermark}
+              onToggle={() => toggleSection('watermark')}
+            >
+              <div className="space-y-2">
+                <div className="px-3 py-3 bg-amber-50 border border-amber-200 rounded-lg">
+                  <div className="flex items-start gap-2">
+                    <span className="text-amber-600">💎</span>
+                    <div>
+                      <p className="text-sm font-medium text-amber-900">Upgrade to Pro</p>
+                      <p className="text-xs text-amber-700 mt-1">
+                        Remove watermarks and unlock unlimited exports with a Pro license
+                      </p>
+                      <button
+                        onClick={() => {
+                          setShowHamburgerMenu(true);
+                        }}
+                        className="mt-2 text-xs text-amber-600 hover:text-amber-700 font-medium underline"
+                      >
+                        View pricing →
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              </div>
+            </CollapsibleSection>
+          )}
+        </>
+      )}
+
+      {isTreemapChart && (
+        <>
+          {/* Theme Section for Treemap */}
+          <CollapsibleSection
+            title="Theme"
+            isExpanded={expandedSections.theme}
+            onToggle={() => toggleSection('theme')}
+          >
+            <div className="space-y-2">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Chart Background
+                </label>
+                <div className="flex gap-2">
                   <button
-                    onClick={() => styleSettings.setEndpointStyle('filled')}
+                    onClick={() => {
+                      styleSettings.setDarkMode(false);
+                      styleSettings.setBackgroundColor('#ffffff');
+                    }}
                     className={`flex-1 px-4 py-2 rounded-lg font-medium text-sm transition-all ${
-                      styleSettings.endpointStyle === 'filled'
-                        ? 'bg-cyan-600 text-white shadow-md'
-                        : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                      !styleSettings.darkMode
+                        ? 'bg-white text-gray-900 border-2 border-gray-400 shadow-md'
+                        : 'bg-gray-100 text-gray-600 hover:bg-gray-200 border border-gray-300'
                     }`}
                   >
-                    Filled
+                    Light Mode
                   </button>
                   <button
-                    onClick={() => styleSettings.setEndpointStyle('outlined')}
+                    onClick={() => {
+                      styleSettings.setDarkMode(true);
+                      styleSettings.setBackgroundColor('#1f2937');
+                    }}
                     className={`flex-1 px-4 py-2 rounded-lg font-medium text-sm transition-all ${
-                      styleSettings.endpointStyle === 'outlined'
-                        ? 'bg-cyan-600 text-white shadow-md'
-                        : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                      styleSettings.darkMode
+                        ? 'bg-gray-800 text-white border-2 border-gray-600 shadow-md'
+                        : 'bg-gray-100 text-gray-600 hover:bg-gray-200 border border-gray-300'
                     }`}
                   >
-                    Outlined
+                    Dark Mode
                   </button>
                 </div>
               </div>
 
+              {/* Background Color */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Background Color
+                </label>
+                <div className="flex gap-2">
+                  <input
+                    type="color"
+                    value={styleSettings.backgroundColor}
+                    onChange={(e) => styleSettings.setBackgroundColor(e.target.value)}
+                    className="w-10 h-10 rounded border border-gray-300 cursor-pointer"
+                  />
+                  <input
+                    type="text"
+                    value={styleSettings.backgroundColor}
+                    onChange={(e) => {
+                      const value = e.target.value;
+                      if (/^#[0-9A-Fa-f]{0,6}$/.test(value)) {
+                        styleSettings.setBackgroundColor(value);
+                      }
+                    }}
+                    placeholder="#ffffff"
+                    className="w-24 px-3 py-2 border border-gray-300 rounded-lg font-mono text-sm"
+                  />
+                </div>
+              </div>
+
+              {/* Background Opacity */}
+              <div>
+                <label className="flex items-center gap-1 text-sm font-medium text-gray-700 mb-2">
+                  Background Opacity: {styleSettings.backgroundOpacity}%
+                  <InfoTooltip text="Adjusts the transparency of the chart background" />
+                </label>
+                <input
+                  type="range"
+                  min="0"
+                  max="100"
+                  value={styleSettings.backgroundOpacity}
+                  onChange={(e) => throttledSetters.setBackgroundOpacity(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+            </div>
+          </CollapsibleSection>
+
+          {/* Canvas & Layout Section for Treemap */}
+          <CollapsibleSection
+            title="Canvas & Layout"
+            isExpanded={expandedSections.layoutCanvas}
+            onToggle={() => toggleSection('layoutCanvas')}
+          >
+            <div className="space-y-2">
+              {/* Chart Width */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Chart Width: {styleSettings.chartWidth}px
+                </label>
+                <input
+                  type="range"
+                  min="300"
+                  max="1500"
+                  value={styleSettings.chartWidth}
+                  onChange={(e) => throttledSetters.setChartWidth(Number(e.target.value))}
+                  onInput={(e) => styleSettings.setChartWidth(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              {/* Chart Height */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Chart Height: {styleSettings.chartHeight}px
+                </label>
+                <input
+                  type="range"
+                  min="300"
+                  max="1500"
+                  value={styleSettings.chartHeight}
+                  onChange={(e) => throttledSetters.setChartHeight(Number(e.target.value))}
+                  onInput={(e) => styleSettings.setChartHeight(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+            </div>
+          </CollapsibleSection>
+
+          {/* Data Mapping Section for Treemap */}
+          <CollapsibleSection
+            title="Data Mapping"
+            isExpanded={expandedSections.chartStructure}
+            onToggle={() => toggleSection('chartStructure')}
+          >
+            <div className="space-y-3">
+              <div>
+                <label className="flex items-center gap-1 text-sm font-medium text-gray-700 mb-2">
+                  Hierarchy
+                  <InfoTooltip text="Path: the first column holds the levels, e.g. Europe > Germany. Parent column: each row names its parent in another column" />
+                </label>
+                <div className="flex gap-2">
+                  {[
+                    { value: 'auto', label: 'Automatic' },
+                    { value: 'path', label: 'Path' },
+                    { value: 'parent', label: 'Parent Column' },
+                  ].map(option => (
+                    <button
+                      key={option.value}
+                      onClick={() => styleSettings.setTreemapHierarchyMode(option.value)}
+                      className={`flex-1 px-3 py-2 rounded-lg font-medium text-sm transition-all ${
+                        styleSettings.treemapHierarchyMode === option.value
+                          ? 'bg-cyan-600 text-white shadow-md'
+                          : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                      }`}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              {styleSettings.treemapHierarchyMode !== 'parent' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Path Separator
+                  </label>
+                  <input
+                    type="text"
+                    value={styleSettings.treemapPathDelimiter}
+                    onChange={(e) => styleSettings.setTreemapPathDelimiter(e.target.value)}
+                    placeholder=">"
+                    maxLength={3}
+                    className="w-24 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 font-mono text-sm"
+                  />
+                </div>
+              )}
+
+              {styleSettings.treemapHierarchyMode !== 'path' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Parent Column
+                  </label>
+                  <select
+                    value={styleSettings.treemapParentColumn}
+                    onChange={(e) => styleSettings.setTreemapParentColumn(e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                  >
+                    <option value="">Automatic (column named Parent)</option>
+                    {treemapParentColumns.map(column => (
+                      <option key={column} value={column}>{column}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Size By
+                </label>
+                <select
+                  value={styleSettings.treemapValueColumn}
+                  onChange={(e) => styleSettings.setTreemapValueColumn(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                >
+                  <option value="">Automatic (first numeric column)</option>
+                  {treemapValueColumns.map(column => (
+                    <option key={column} value={column}>{column}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+          </CollapsibleSection>
+
+          {/* Layout Section for Treemap */}
+          <CollapsibleSection
+            title="Layout"
+            isExpanded={expandedSections.layout}
+            onToggle={() => toggleSection('layout')}
+          >
+            <div className="space-y-3">
+              <div>
+                <label className="flex items-center gap-1 text-sm font-medium text-gray-700 mb-2">
+                  Tiling
+                  <InfoTooltip text="Squarified keeps tiles close to square so sizes are easy to compare. Slice and dice alternates rows and columns by level, keeping the original order readable" />
+                </label>
+                <div className="flex gap-2">
+                  {[
+                    { value: 'squarify', label: 'Squarified' },
+                    { value: 'slice-dice', label: 'Slice and Dice' },
+                  ].map(option => (
+                    <button
+                      key={option.value}
+                      onClick={() => styleSettings.setTreemapTiling(option.value)}
+                      className={`flex-1 px-3 py-2 rounded-lg font-medium text-sm transition-all ${
+                        styleSettings.treemapTiling === option.value
+                          ? 'bg-cyan-600 text-white shadow-md'
+                          : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                      }`}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Tile Gap: {styleSettings.treemapTilePadding}px
+                </label>
+                <input
+                  type="range"
+                  min="0"
+                  max="10"
+                  value={styleSettings.treemapTilePadding}
+                  onChange={(e) => styleSettings.setTreemapTilePadding(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+            </div>
+          </CollapsibleSection>
+
+          {/* Colors & Styling Section for Treemap */}
+          <CollapsibleSection
+            title="Colors & Styling"
+            isExpanded={expandedSections.colorsStyling}
+            onToggle={() => toggleSection('colorsStyling')}
+          >
+            <div className="space-y-2">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Palette
+                </label>
+                <select
+                  value={styleSettings.comparisonPalette}
+                  onChange={(e) => styleSettings.setComparisonPalette(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                >
+                  {Object.entries(comparisonPalettes).map(([key, palette]) => (
+                    <option key={key} value={key}>
+                      {palette.name}
+                    </option>
+                  ))}
+                </select>
+                {styleSettings.comparisonPalette !== 'user' && (
+                  <div className="mt-2">
+                    <div className="flex flex-wrap gap-2">
+                      {comparisonPalettes[styleSettings.comparisonPalette].colors.slice(0, 8).map((color, index) => (
+                        <div
+                          key={index}
+                          className="w-10 h-10 rounded border-2 border-gray-300"
+                          style={{ backgroundColor: color }}
+                          title={color}
+                        />
+                      ))}
+                    </div>
+                  </div>
+                )}
+              </div>
+
+              {/* Custom Colors */}
+              {styleSettings.comparisonPalette === 'user' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Custom Colors (up to 8)
+                  </label>
+                  <div className="grid grid-cols-4 gap-3">
+                    {styleSettings.userCustomColors.map((color, index) => (
+                      <div key={index} className="flex flex-col gap-1">
+                        <input
+                          type="color"
+                          value={color}
+                          onChange={(e) => {
+                            const newColors = [...styleSettings.userCustomColors];
+                            newColors[index] = e.target.value;
+                            styleSettings.setUserCustomColors(newColors);
+                          }}
+                          className="w-full h-12 rounded-lg cursor-pointer border-2 border-gray-300"
+                        />
+                        <input
+                          type="text"
+                          value={color}
+                          onChange={(e) => {
+                            const newColors = [...styleSettings.userCustomColors];
+                            newColors[index] = e.target.value;
+                            styleSettings.setUserCustomColors(newColors);
+                          }}
+                          className="w-full px-2 py-1 text-xs border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-cyan-500 font-mono"
+                        />
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+              <p className="text-xs text-gray-500">
+                Each top-level group takes the next color; labels switch between black and white for contrast
+              </p>
+            </div>
+          </CollapsibleSection>
+
+          {/* Number Format Section for Treemap */}
+          <CollapsibleSection
+            title="Number Format"
+            isExpanded={expandedSections.numberFormat}
+            onToggle={() => toggleSection('numberFormat')}
+          >
+            <div className="space-y-3">
+              <p className="text-xs text-gray-500">
+                Applies to value labels, using the same settings as pie chart value labels
+              </p>
+
+              <div className="grid grid-cols-3 gap-3">
+                <div>
+                  <label className="block text-xs font-medium text-gray-600 mb-1">
+                    Prefix
+                  </label>
+                  <input
+                    type="text"
+                    value={styleSettings.valuePrefix}
+                    onChange={(e) => styleSettings.setValuePrefix(e.target.value)}
+                    placeholder="$"
+                    maxLength={3}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 text-sm"
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-600 mb-1">
+                    Suffix
+                  </label>
+                  <input
+                    type="text"
+                    value={styleSettings.valueSuffix}
+                    onChange={(e) => styleSettings.setValueSuffix(e.target.value)}
+                    placeholder="%"
+                    maxLength={3}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 text-sm"
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-600 mb-1">
+                    Decimal places
+                  </label>
+                  <input
+                    type="number"
+                    value={styleSettings.valueDecimalPlaces}
+                    onChange={(e) => styleSettings.setValueDecimalPlaces(Math.max(0, Math.min(5, parseInt(e.target.value) || 0)))}
+                    min="0"
+                    max="5"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 text-sm"
+                  />
+                </div>
+              </div>
+
+              <div className="flex items-center gap-2">
+                <label className="flex-1 text-sm font-medium text-gray-700">
+                  Compact values (1.5K vs 1500)
+                </label>
+                <button
+                  onClick={() => styleSettings.setCompactNumbers(!styleSettings.compactNumbers)}
+                  className={`px-4 py-1 rounded text-sm font-medium ${
+                    styleSettings.compactNumbers
+                      ? 'bg-cyan-600 text-white'
+                      : 'bg-gray-200 text-gray-600'
+                  }`}
+                >
+                  {styleSettings.compactNumbers ? 'On' : 'Off'}
+                </button>
+              </div>
+            </div>
+          </CollapsibleSection>
+
+          {/* Typography Section for Treemap */}
+          <CollapsibleSection
+            title="Typography"
+            isExpanded={expandedSections.typography}
+            onToggle={() => toggleSection('typography')}
+          >
+            <div className="space-y-2">
               <div>
-                <label className="flex items-center gap-1 text-sm font-medium text-gray-700 mb-2">
-                  Period Spacing: {styleSettings.periodSpacing}px
-                  <InfoTooltip text="Distance between the two vertical axis lines" />
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Title
                 </label>
                 <input
-                  type="range"
-                  min="100"
-                  max="600"
-                  value={styleSettings.periodSpacing}
-                  onChange={(e) => throttledSetters.setPeriodSpacing(Number(e.target.value))}
-                  className="w-full"
+                  type="text"
+                  value={styleSettings.title}
+                  onChange={(e) => styleSettings.setTitle(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
                 />
               </div>
 
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Axis Line Style
+                  Subtitle
                 </label>
-                <select
-                  value={styleSettings.slopeAxisLineStyle}
-                  onChange={(e) => styleSettings.setSlopeAxisLineStyle(e.target.value)}
+                <input
+                  type="text"
+                  value={styleSettings.subtitle}
+                  onChange={(e) => styleSettings.setSubtitle(e.target.value)}
                   className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
-                >
-                  <option value="none">No Line</option>
-                  <option value="solid">Solid</option>
-                  <option value="dashed">Dashed</option>
-                  <option value="dotted">Dotted</option>
-                </select>
+                />
               </div>
 
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Axis Line Color
+                  Title Alignment
                 </label>
-                <div className="flex gap-2">
-                  <input
-                    type="color"
-                    value={styleSettings.slopeAxisLineColor}
-                    onChange={(e) => styleSettings.setSlopeAxisLineColor(e.target.value)}
-                    className="w-10 h-10 rounded-lg cursor-pointer border border-gray-300"
-                  />
-                  <input
-                    type="text"
-                    value={styleSettings.slopeAxisLineColor}
-                    onChange={(e) => styleSettings.setSlopeAxisLineColor(e.target.value)}
-                    className="w-24 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 font-mono text-sm"
-                  />
-                </div>
+                <select
+                  value={styleSettings.titleAlignment}
+                  onChange={(e) => styleSettings.setTitleAlignment(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                >
+                  <option value="left">Left</option>
+                  <option value="center">Center</option>
+                </select>
               </div>
 
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Axis Ends
+                  Font Family
                 </label>
                 <select
-                  value={styleSettings.axisEnds}
-                  onChange={(e) => styleSettings.setAxisEnds(e.target.value)}
+                  value={styleSettings.fontFamily}
+                  onChange={(e) => styleSettings.setFontFamily(e.target.value)}
                   className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
                 >
-                  <option value="none">No Style</option>
-                  <option value="t-end">T-end</option>
+                  <optgroup label="Sans-Serif">
+                    <option value="Inter">Inter</option>
+                    <option value="Libre Franklin">Libre Franklin</option>
+                    <option value="Montserrat">Montserrat</option>
+                    <option value="Open Sans">Open Sans</option>
+                    <option value="Poppins">Poppins</option>
+                    <option value="Raleway">Raleway</option>
+                    <option value="Roboto">Roboto</option>
+                    <option value="Source Sans 3">Source Sans 3</option>
+                    <option value="Lato">Lato</option>
+                  </optgroup>
+                  <optgroup label="Condensed">
+                    <option value="Roboto Condensed">Roboto Condensed</option>
+                    <option value="Open Sans Condensed">Open Sans Condensed</option>
+                    <option value="Economica">Economica</option>
+                  </optgroup>
+                  <optgroup label="Serif">
+                    <option value="Merriweather">Merriweather</option>
+                    <option value="Playfair Display">Playfair Display</option>
+                    <option value="Lora">Lora</option>
+                    <option value="PT Serif">PT Serif</option>
+                    <option value="Newsreader">Newsreader</option>
+                    <option value="Georgia">Georgia</option>
+                  </optgroup>
                 </select>
               </div>
 
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Axis Line Thickness: {styleSettings.slopeAxisLineWidth}px
+                  Title Font Size: {styleSettings.titleFontSize}px
                 </label>
                 <input
                   type="range"
-                  min="1"
-                  max="5"
-                  value={styleSettings.slopeAxisLineWidth}
-                  onChange={(e) => styleSettings.setSlopeAxisLineWidth(Number(e.target.value))}
+                  min="16"
+                  max="48"
+                  value={styleSettings.titleFontSize}
+                  onChange={(e) => styleSettings.setTitleFontSize(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Subtitle Font Size: {styleSettings.subtitleFontSize}px
+                </label>
+                <input
+                  type="range"
+                  min="12"
+                  max="32"
+                  value={styleSettings.subtitleFontSize}
+                  onChange={(e) => styleSettings.setSubtitleFontSize(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Tile Label Font Size: {styleSettings.treemapLabelFontSize}px
+                </label>
+                <input
+                  type="range"
+                  min="8"
+                  max="28"
+                  value={styleSettings.treemapLabelFontSize}
+                  onChange={(e) => styleSettings.setTreemapLabelFontSize(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Value Label Font Size: {styleSettings.treemapValueFontSize}px
+                </label>
+                <input
+                  type="range"
+                  min="8"
+                  max="24"
+                  value={styleSettings.treemapValueFontSize}
+                  onChange={(e) => styleSettings.setTreemapValueFontSize(Number(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Group Label Font Size: {styleSettings.treemapGroupLabelFontSize}px
+                </label>
+                <input
+                  type="range"
+                  min="8"
+                  max="24"
+                  value={styleSettings.treemapGroupLabelFontSize}
+                  onChange={(e) => styleSettings.setTreemapGroupLabelFontSize(Number(e.target.value))}
                   className="w-full"
                 />
               </div>
             </div>
           </CollapsibleSection>
 
-          {/* Emphasis Section for Slope Chart */}
+          {/* Labels Section for Treemap */}
           <CollapsibleSection
-            title="Emphasis"
-            isExpanded={expandedSections.lineEmphasis}
-            onToggle={() => toggleSection('lineEmphasis')}
+            title="Labels"
+            isExpanded={expandedSections.labels}
+            onToggle={() => toggleSection('labels')}
           >
-            <div className="space-y-3">
-              <p className="text-sm text-gray-600">
-                Click on lines in the chart to emphasize them (max 2)
+            <div className="space-y-2">
+              <p className="text-xs text-gray-500">
+                Labels are hidden on tiles too small to hold them
               </p>
-              {styleSettings.emphasizedLines.length > 0 && (
-                <div>
-                  <p className="text-sm font-medium text-gray-700 mb-2">
-                    Emphasized Lines: {styleSettings.emphasizedLines.join(', ')}
-                  </p>
-                  <button
-                    onClick={() => styleSettings.setEmphasizedLines([])}
-                    className="text-sm text-cyan-600 hover:text-cyan-700 underline"
-                  >
-                    Clear All
-                  </button>
+
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={styleSettings.showTreemapGroupLabels}
+                  onChange={(e) => styleSettings.setShowTreemapGroupLabels(e.target.checked)}
+                  className="w-4 h-4 text-cyan-600 rounded"
+                />
+                <span className="text-sm text-gray-700">Show Group Labels</span>
+              </label>
+
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={styleSettings.showValueLabels}
+                  onChange={(e) => styleSettings.setShowValueLabels(e.target.checked)}
+                  className="w-4 h-4 text-cyan-600 rounded"
+                />
+                <span className="text-sm text-gray-700">Show Value Labels</span>
+              </label>
+
+              {styleSettings.showValueLabels && (
+                <div className="flex gap-2">
+                  {[
+                    { value: 'value', label: 'Value' },
+                    { value: 'percentage', label: '% of Total' },
+                    { value: 'both', label: 'Both' },
+                  ].map(option => (
+                    <button
+                      key={option.value}
+                      onClick={() => styleSettings.setTreemapLabelFormat(option.value)}
+                      className={`flex-1 px-3 py-2 rounded-lg font-medium text-sm transition-all ${
+                        styleSettings.treemapLabelFormat === option.value
+                          ? 'bg-cyan-600 text-white shadow-md'
+                          : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                      }`}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
                 </div>
               )}
             </div>
           </CollapsibleSection>
 
-          {/* Watermark Section for Slope Chart - Hidden for Pro users */}
+          {/* Watermark Section for Treemap - Hidden for Pro users */}
           {!license.hasAccess && (
             <CollapsibleSection
               title="Watermark"
@@ -4517,8 +12873,8 @@ function StyleTabContent({ styleSettings, expandedSections, toggleSection, chart
                 />
               </div>
 
-              {/* Bar Width (only for Bar Chart in grouped mode) */}
-              {isBarChart && styleSettings.barMode === 'grouped' && (
+              {/* Bar Width (only for Bar Chart in grouped and waterfall modes) */}
+              {isBarChart && (styleSettings.barMode === 'grouped' || styleSettings.barMode === 'waterfall') && (
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-2">
                     Bar Width: {styleSettings.barWidth}%
@@ -4546,7 +12902,39 @@ function StyleTabContent({ styleSettings, expandedSections, toggleSection, chart
             <div className="space-y-2">
               {/* Color Strategy Selection */}
               {/* For bar charts, show palette options when there are multiple periods */}
-              {((chartType?.startsWith('bar-') && chartData.periodNames && chartData.periodNames.length > 1) || chartData.isComparisonMode) ? (
+              {/* Diverging charts color each side of the midpoint instead, shading towards the middle of the scale */}
+              {isDivergingChart ? (
+                <>
+                  {[
+                    { label: 'Negative Color', value: styleSettings.decreaseColor, onChange: styleSettings.setDecreaseColor },
+                    { label: 'Neutral Color', value: styleSettings.divergingNeutralColor, onChange: styleSettings.setDivergingNeutralColor },
+                    { label: 'Positive Color', value: styleSettings.increaseColor, onChange: styleSettings.setIncreaseColor },
+                  ].map(({ label, value, onChange }) => (
+                    <div key={label}>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        {label}
+                      </label>
+                      <div className="flex gap-2">
+                        <input
+                          type="color"
+                          value={value}
+                          onChange={(e) => onChange(e.target.value)}
+                          className="w-10 h-10 rounded-lg cursor-pointer border border-gray-300"
+                        />
+                        <input
+                          type="text"
+                          value={value}
+                          onChange={(e) => onChange(e.target.value)}
+                          className="w-24 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 font-mono text-sm"
+                        />
+                      </div>
+                    </div>
+                  ))}
+                  <p className="text-xs text-gray-500">
+                    Responses closer to the middle of the scale use lighter shades
+                  </p>
+                </>
+              ) : ((chartType?.startsWith('bar-') && !isWaterfallChart && chartData.periodNames && chartData.periodNames.length > 1) || chartData.isComparisonMode) ? (
                 <>
                   {/* Comparison Mode - Color Strategy */}
                   <div>
@@ -4643,7 +13031,7 @@ function StyleTabContent({ styleSettings, expandedSections, toggleSection, chart
                   {/* Single Color Mode */}
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-2">
-                      Bar Color
+                      {isWaterfallChart ? 'Total Bar Color' : 'Bar Color'}
                     </label>
                     <div className="flex gap-2">
                       <input
@@ -5225,47 +13613,50 @@ function StyleTabContent({ styleSettings, expandedSections, toggleSection, chart
                 </div>
               </div>
 
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Display Mode
-                </label>
-                <div className="flex gap-2">
-                  <button
-                    onClick={() => {
-                      styleSettings.setBarMode('grouped');
-                      clearEmphasis();
-                    }}
-                    className={`flex-1 px-3 py-2 rounded-lg font-medium text-sm transition-all ${
-                      styleSettings.barMode === 'grouped'
-                        ? 'bg-cyan-600 text-white shadow-md'
-                        : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
-                    }`}
-                  >
-                    Grouped
-                  </button>
-                  <button
-                    onClick={() => {
-                      styleSettings.setBarMode('stacked');
-                      clearEmphasis();
-                    }}
-                    className={`flex-1 px-3 py-2 rounded-lg font-medium text-sm transition-all ${
-                      styleSettings.barMode === 'stacked'
-                        ? 'bg-cyan-600 text-white shadow-md'
-                        : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
-                    }`}
-                  >
-                    Stacked
-                  </button>
+              {/* Display Mode - Waterfall and diverging charts have a fixed mode */}
+              {!isWaterfallChart && !isDivergingChart && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Display Mode
+                  </label>
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => {
+                        styleSettings.setBarMode('grouped');
+                        clearEmphasis();
+                      }}
+                      className={`flex-1 px-3 py-2 rounded-lg font-medium text-sm transition-all ${
+                        styleSettings.barMode === 'grouped'
+                          ? 'bg-cyan-600 text-white shadow-md'
+                          : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                      }`}
+                    >
+                      Grouped
+                    </button>
+                    <button
+                      onClick={() => {
+                        styleSettings.setBarMode('stacked');
+                        clearEmphasis();
+                      }}
+                      className={`flex-1 px-3 py-2 rounded-lg font-medium text-sm transition-all ${
+                        styleSettings.barMode === 'stacked'
+                          ? 'bg-cyan-600 text-white shadow-md'
+                          : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                      }`}
+                    >
+                      Stacked
+                    </button>
+                  </div>
+                  <p className="text-xs text-gray-500 mt-2">
+                    {styleSettings.barMode === 'grouped'
+                      ? 'Display bars side by side for each category'
+                      : 'Stack bars on top of each other for cumulative values'}
+                  </p>
                 </div>
-                <p className="text-xs text-gray-500 mt-2">
-                  {styleSettings.barMode === 'grouped'
-                    ? 'Display bars side by side for each category'
-                    : 'Stack bars on top of each other for cumulative values'}
-                </p>
-              </div>
+              )}
 
-              {/* Total Labels - Only visible in Stacked mode */}
-              {styleSettings.barMode === 'stacked' && (
+              {/* Total Labels - Only visible in Stacked mode and for Diverging charts */}
+              {(styleSettings.barMode === 'stacked' || isDivergingChart) && (
                 <>
                   <div className="flex items-center gap-2">
                     <input
@@ -5296,8 +13687,255 @@ function StyleTabContent({ styleSettings, expandedSections, toggleSection, chart
                   )}
                 </>
               )}
+
+              {/* Waterfall Settings - Only visible for Waterfall charts */}
+              {isWaterfallChart && (
+                <>
+                  <div className="grid grid-cols-2 gap-3">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Increase Color
+                      </label>
+                      <div className="flex gap-2">
+                        <input
+                          type="color"
+                          value={styleSettings.increaseColor}
+                          onChange={(e) => styleSettings.setIncreaseColor(e.target.value)}
+                          className="w-10 h-10 rounded-lg cursor-pointer border border-gray-300"
+                        />
+                        <input
+                          type="text"
+                          value={styleSettings.increaseColor}
+                          onChange={(e) => styleSettings.setIncreaseColor(e.target.value)}
+                          className="w-24 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 font-mono text-sm"
+                        />
+                      </div>
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Decrease Color
+                      </label>
+                      <div className="flex gap-2">
+                        <input
+                          type="color"
+                          value={styleSettings.decreaseColor}
+                          onChange={(e) => styleSettings.setDecreaseColor(e.target.value)}
+                          className="w-10 h-10 rounded-lg cursor-pointer border border-gray-300"
+                        />
+                        <input
+                          type="text"
+                          value={styleSettings.decreaseColor}
+                          onChange={(e) => styleSettings.setDecreaseColor(e.target.value)}
+                          className="w-24 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 font-mono text-sm"
+                        />
+                      </div>
+                    </div>
+                  </div>
+
+                  <div className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      id="showWaterfallConnectors"
+                      checked={styleSettings.showWaterfallConnectors}
+                      onChange={(e) => styleSettings.setShowWaterfallConnectors(e.target.checked)}
+                      className="w-4 h-4 text-cyan-600 border-gray-300 rounded focus:ring-cyan-500"
+                    />
+                    <label htmlFor="showWaterfallConnectors" className="text-sm font-medium text-gray-700">
+                      Show Connector Lines
+                    </label>
+                  </div>
+
+                  <div className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      id="showWaterfallTotal"
+                      checked={styleSettings.showWaterfallTotal}
+                      onChange={(e) => styleSettings.setShowWaterfallTotal(e.target.checked)}
+                      className="w-4 h-4 text-cyan-600 border-gray-300 rounded focus:ring-cyan-500"
+                    />
+                    <label htmlFor="showWaterfallTotal" className="text-sm font-medium text-gray-700">
+                      Show End Total
+                    </label>
+                  </div>
+
+                  {styleSettings.showWaterfallTotal && (
+                    <div className="ml-6">
+                      <input
+                        type="text"
+                        value={styleSettings.waterfallTotalLabel}
+                        onChange={(e) => styleSettings.setWaterfallTotalLabel(e.target.value)}
+                        placeholder="Total"
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 text-sm"
+                      />
+                    </div>
+                  )}
+
+                  <div className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      id="waterfallBoldTotal"
+                      checked={styleSettings.boldTotal}
+                      onChange={(e) => styleSettings.setBoldTotal(e.target.checked)}
+                      className="w-4 h-4 text-cyan-600 border-gray-300 rounded focus:ring-cyan-500"
+                    />
+                    <label htmlFor="waterfallBoldTotal" className="text-sm font-medium text-gray-700">
+                      Bold Total Labels
+                    </label>
+                  </div>
+
+                  {/* Subtotal rows */}
+                  {chartData.data && chartData.data.length > 1 && (
+                    <div>
+                      <label className="flex items-center gap-1 text-sm font-medium text-gray-700 mb-2">
+                        Subtotal Bars
+                        <InfoTooltip text="Checked rows show the running total instead of their own value. The first row is always the starting total." />
+                      </label>
+                      <div className="space-y-1 max-h-48 overflow-y-auto">
+                        {chartData.data.slice(1).map((row) => {
+                          const category = row.Category;
+                          const isSubtotal = styleSettings.waterfallSubtotals.includes(category);
+                          return (
+                            <label key={category} className="flex items-center gap-2 text-sm text-gray-700">
+                              <input
+                                type="checkbox"
+                                checked={isSubtotal}
+                                onChange={() => styleSettings.setWaterfallSubtotals(
+                                  isSubtotal
+                                    ? styleSettings.waterfallSubtotals.filter(name => name !== category)
+                                    : [...styleSettings.waterfallSubtotals, category]
+                                )}
+                                className="w-4 h-4 text-cyan-600 border-gray-300 rounded focus:ring-cyan-500"
+                              />
+                              {category}
+                            </label>
+                          );
+                        })}
+                      </div>
+                    </div>
+                  )}
+                </>
+              )}
+
+              {/* Diverging Settings - Only visible for Diverging charts */}
+              {isDivergingChart && chartData.data && chartData.data.length > 0 && (() => {
+                const { columns, roles } = buildDivergingStacks(chartData.data, chartData.periodNames, {
+                  negativeColumns: styleSettings.divergingNegativeColumns,
+                  neutralColumns: styleSettings.divergingNeutralColumns,
+                });
+                const getRole = (column) => {
+                  if (roles.negative.includes(column)) return 'negative';
+                  if (roles.neutral.includes(column)) return 'neutral';
+                  return 'positive';
+                };
+                // Changing one column fixes the current roles of all the others
+                const setRole = (column, role) => {
+                  const negative = roles.negative.filter(name => name !== column);
+                  const neutral = roles.neutral.filter(name => name !== column);
+                  if (role === 'negative') negative.push(column);
+                  if (role === 'neutral') neutral.push(column);
+                  styleSettings.setDivergingNegativeColumns(negative);
+                  styleSettings.setDivergingNeutralColumns(neutral);
+                  clearEmphasis();
+                };
+                const hasCustomRoles = styleSettings.divergingNegativeColumns.length > 0 ||
+                  styleSettings.divergingNeutralColumns.length > 0;
+
+                return (
+                  <>
+                    <div>
+                      <label className="flex items-center gap-1 text-sm font-medium text-gray-700 mb-2">
+                        Response Sides
+                        <InfoTooltip text="Negative responses stack to the left of the midpoint and positive responses to the right. By default the first half of the columns are negative and the middle column of an odd count is neutral." />
+                      </label>
+                      <div className="space-y-1 max-h-48 overflow-y-auto">
+                        {columns.map((column) => (
+                          <div key={column} className="flex items-center justify-between gap-2">
+                            <span className="text-sm text-gray-700 truncate">{column}</span>
+                            <select
+                              value={getRole(column)}
+                              onChange={(e) => setRole(column, e.target.value)}
+                              className="px-2 py-1 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 text-sm"
+                            >
+                              <option value="negative">Negative</option>
+                              <option value="neutral">Neutral</option>
+                              <option value="positive">Positive</option>
+                            </select>
+                          </div>
+                        ))}
+                      </div>
+                      {hasCustomRoles && (
+                        <button
+                          onClick={() => {
+                            styleSettings.setDivergingNegativeColumns([]);
+                            styleSettings.setDivergingNeutralColumns([]);
+                            clearEmphasis();
+                          }}
+                          className="mt-2 text-xs text-cyan-600 hover:text-cyan-700 font-medium"
+                        >
+                          Reset to automatic split
+                        </button>
+                      )}
+                    </div>
+
+                    {roles.neutral.length > 0 && (
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">
+                          Neutral Position
+                        </label>
+                        <div className="flex gap-2">
+                          <button
+                            onClick={() => styleSettings.setDivergingNeutralPosition('center')}
+                            className={`flex-1 px-3 py-2 rounded-lg font-medium text-sm transition-all ${
+                              styleSettings.divergingNeutralPosition === 'center'
+                                ? 'bg-cyan-600 text-white shadow-md'
+                                : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                            }`}
+                          >
+                            Centered
+                          </button>
+                          <button
+                            onClick={() => styleSettings.setDivergingNeutralPosition('side')}
+                            className={`flex-1 px-3 py-2 rounded-lg font-medium text-sm transition-all ${
+                              styleSettings.divergingNeutralPosition === 'side'
+                                ? 'bg-cyan-600 text-white shadow-md'
+                                : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                            }`}
+                          >
+                            Side
+                          </button>
+                        </div>
+                        <p className="text-xs text-gray-500 mt-2">
+                          {styleSettings.divergingNeutralPosition === 'center'
+                            ? 'Split neutral responses evenly across the midpoint'
+                            : 'Show neutral responses as a separate stack beside the chart'}
+                        </p>
+                      </div>
+                    )}
+                  </>
+                );
+              })()}
             </div>
           </CollapsibleSection>
+          {/* ERROR BARS */}
+          <ErrorBarsSection
+            styleSettings={styleSettings}
+            chartData={chartData}
+            isExpanded={expandedSections.errorBars}
+            onToggle={() => toggleSection('errorBars')}
+          />
+          {/* REFERENCE LINES */}
+          <ReferenceLinesSection
+            styleSettings={styleSettings}
+            isExpanded={expandedSections.referenceLines}
+            onToggle={() => toggleSection('referenceLines')}
+          />
+          {/* ANNOTATIONS */}
+          <AnnotationsSection
+            styleSettings={styleSettings}
+            chartData={chartData}
+            isExpanded={expandedSections.annotations}
+            onToggle={() => toggleSection('annotations')}
+          />
           {/* 7. AXES & GRIDLINES */}
           <CollapsibleSection
             title="Axes & Gridlines"
@@ -5910,7 +14548,7 @@ function StyleTabContent({ styleSettings, expandedSections, toggleSection, chart
       )}
 
       {/* 2. CANVAS & LAYOUT - For Funnel Chart only (Bar, Slope, and Line Charts have their own) */}
-      {!isBarChart && !isSlopeChart && !isLineChart && (
+      {isFunnelChart && (
         <CollapsibleSection
           title="Canvas & Layout"
           isExpanded={expandedSections.layout}
@@ -5990,7 +14628,7 @@ function StyleTabContent({ styleSettings, expandedSections, toggleSection, chart
       )}
 
       {/* 4. TYPOGRAPHY - For Funnel Chart only (Bar, Slope, and Line Charts have their own) */}
-      {!isBarChart && !isSlopeChart && !isLineChart && (
+      {isFunnelChart && (
         <CollapsibleSection
           title="Typography"
           isExpanded={expandedSections.typography}
@@ -6268,7 +14906,7 @@ function StyleTabContent({ styleSettings, expandedSections, toggleSection, chart
       )}
 
       {/* 3. COLORS & STYLING - For Funnel Chart only (Bar, Slope, and Line Charts have their own) */}
-      {!isSlopeChart && !isBarChart && !isLineChart && (
+      {isFunnelChart && (
         <CollapsibleSection
           title="Colors & Styling"
           isExpanded={expandedSections.colors}
@@ -6418,7 +15056,7 @@ function StyleTabContent({ styleSettings, expandedSections, toggleSection, chart
       )}
 
       {/* 6. CHART TYPE - Only for Funnel Chart */}
-      {!isSlopeChart && !isBarChart && !isLineChart && (
+      {isFunnelChart && (
         <CollapsibleSection
           title="Chart Type"
           isExpanded={expandedSections.chartType}
@@ -7593,11 +16231,152 @@ function StyleTabContent({ styleSettings, expandedSections, toggleSection, chart
                   <label className="flex items-center gap-2 cursor-pointer">
                     <input
                       type="checkbox"
-                      checked={styleSettings.areaGradient || false}
-                      onChange={(e) => styleSettings.setAreaGradient?.(e.target.checked)}
+                      checked={styleSettings.areaGradient || false}
+                      onChange={(e) => styleSettings.setAreaGradient?.(e.target.checked)}
+                      className="w-4 h-4 text-cyan-600 rounded"
+                    />
+                    <span className="text-sm text-gray-700">Use Gradient Fill (Color → Transparent)</span>
+                  </label>
+                </>
+              )}
+            </div>
+          </CollapsibleSection>
+
+          {/* ERROR BANDS */}
+          <ErrorBarsSection
+            styleSettings={styleSettings}
+            chartData={chartData}
+            isExpanded={expandedSections.errorBars}
+            onToggle={() => toggleSection('errorBars')}
+            isLineChart
+          />
+
+          {/* REFERENCE LINES */}
+          <ReferenceLinesSection
+            styleSettings={styleSettings}
+            isExpanded={expandedSections.referenceLines}
+            onToggle={() => toggleSection('referenceLines')}
+            isLineChart
+          />
+
+          {/* ANNOTATIONS */}
+          <AnnotationsSection
+            styleSettings={styleSettings}
+            chartData={chartData}
+            isExpanded={expandedSections.annotations}
+            onToggle={() => toggleSection('annotations')}
+            isLineChart
+          />
+
+          {/* TRENDS & FORECAST */}
+          <CollapsibleSection
+            title="Trends & Forecast"
+            isExpanded={expandedSections.trendsForecast}
+            onToggle={() => toggleSection('trendsForecast')}
+          >
+            <div className="space-y-3">
+              {styleSettings.showAreaFill && styleSettings.stackAreas && (
+                <p className="text-xs text-amber-700">Trends and forecasts are not drawn on stacked areas.</p>
+              )}
+
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={styleSettings.showTrendline || false}
+                  onChange={(e) => styleSettings.setShowTrendline(e.target.checked)}
+                  className="w-4 h-4 text-cyan-600 rounded"
+                />
+                <span className="text-sm text-gray-700">Show Trendline</span>
+                <InfoTooltip text="Dotted least-squares line through each series." />
+              </label>
+
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={styleSettings.showMovingAverage || false}
+                  onChange={(e) => styleSettings.setShowMovingAverage(e.target.checked)}
+                  className="w-4 h-4 text-cyan-600 rounded"
+                />
+                <span className="text-sm text-gray-700">Show Moving Average</span>
+              </label>
+
+              {styleSettings.showMovingAverage && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Period: {styleSettings.movingAveragePeriod || 3}
+                  </label>
+                  <input
+                    type="range"
+                    min="2"
+                    max="24"
+                    step="1"
+                    value={styleSettings.movingAveragePeriod || 3}
+                    onChange={(e) => styleSettings.setMovingAveragePeriod(Number(e.target.value))}
+                    className="w-full"
+                  />
+                </div>
+              )}
+
+              <label className="flex items-center gap-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={styleSettings.showForecast || false}
+                  onChange={(e) => styleSettings.setShowForecast(e.target.checked)}
+                  className="w-4 h-4 text-cyan-600 rounded"
+                />
+                <span className="text-sm text-gray-700">Show Forecast</span>
+                <InfoTooltip text="Dashed projection past the last date. Naive repeats the last value; seasonal repeats the value from one season earlier." />
+              </label>
+
+              {styleSettings.showForecast && (
+                <>
+                  <div>
+                    <label className="block text-xs font-medium text-gray-600 mb-1">Method</label>
+                    <select
+                      value={styleSettings.forecastMethod || 'naive'}
+                      onChange={(e) => styleSettings.setForecastMethod(e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 text-sm"
+                    >
+                      <option value="naive">Naive (last value)</option>
+                      <option value="seasonal">Seasonal naive</option>
+                    </select>
+                  </div>
+
+                  <div className="grid grid-cols-2 gap-2">
+                    <div>
+                      <label className="block text-xs font-medium text-gray-600 mb-1">Periods ahead</label>
+                      <input
+                        type="number"
+                        value={styleSettings.forecastPeriods || 6}
+                        onChange={(e) => styleSettings.setForecastPeriods(Math.max(1, Math.min(36, parseInt(e.target.value) || 1)))}
+                        min="1"
+                        max="36"
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 text-sm"
+                      />
+                    </div>
+                    {styleSettings.forecastMethod === 'seasonal' && (
+                      <div>
+                        <label className="block text-xs font-medium text-gray-600 mb-1">Season length</label>
+                        <input
+                          type="number"
+                          value={styleSettings.forecastSeasonLength || 12}
+                          onChange={(e) => styleSettings.setForecastSeasonLength(Math.max(2, Math.min(52, parseInt(e.target.value) || 2)))}
+                          min="2"
+                          max="52"
+                          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 text-sm"
+                        />
+                      </div>
+                    )}
+                  </div>
+
+                  <label className="flex items-center gap-2 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={styleSettings.showForecastBand !== false}
+                      onChange={(e) => styleSettings.setShowForecastBand(e.target.checked)}
                       className="w-4 h-4 text-cyan-600 rounded"
                     />
-                    <span className="text-sm text-gray-700">Use Gradient Fill (Color → Transparent)</span>
+                    <span className="text-sm text-gray-700">Show 95% Uncertainty Band</span>
                   </label>
                 </>
               )}
@@ -8373,8 +17152,53 @@ function StyleTabContent({ styleSettings, expandedSections, toggleSection, chart
         </CollapsibleSection>
       )}
 
+      {/* SIGNIFICANCE - Only for Funnel Chart */}
+      {chartType === 'funnel' && (
+        <CollapsibleSection
+          title="Significance"
+          isExpanded={expandedSections.significance}
+          onToggle={() => toggleSection('significance')}
+        >
+          <div className="space-y-3">
+          <label className="flex items-center gap-2 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={styleSettings.showSignificance}
+              onChange={(e) => styleSettings.setShowSignificance(e.target.checked)}
+              className="w-4 h-4 text-cyan-600 rounded"
+            />
+            <span className="text-sm text-gray-700">Test Conversion Brackets</span>
+            <InfoTooltip text="In comparison mode, a two-proportion z-test checks whether the conversion between the two clicked stages differs from the first period (or from the second, when the first is selected). * p < level, ** p < 0.01, *** p < 0.001, n.s. = not significant." />
+          </label>
+
+          {styleSettings.showSignificance && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Significance Level
+              </label>
+              <select
+                value={styleSettings.significanceLevel}
+                onChange={(e) => styleSettings.setSignificanceLevel(Number(e.target.value))}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+              >
+                <option value={0.1}>0.10 (90% confidence)</option>
+                <option value={0.05}>0.05 (95% confidence)</option>
+                <option value={0.01}>0.01 (99% confidence)</option>
+              </select>
+            </div>
+          )}
+
+          {styleSettings.showSignificance && !chartData.isComparisonMode && (
+            <p className="text-xs text-gray-500">
+              Add a second period column to compare conversion between periods.
+            </p>
+          )}
+          </div>
+        </CollapsibleSection>
+      )}
+
       {/* 9. WATERMARK - For Funnel Chart only (Bar, Slope, and Line Charts have their own) */}
-      {!isBarChart && !isSlopeChart && !isLineChart && !license.hasAccess && (
+      {isFunnelChart && !license.hasAccess && (
         <CollapsibleSection
           title="Watermark"
           isExpanded={expandedSections.watermark}
@@ -8455,6 +17279,9 @@ function DataTabContent({
   pastedCSV,
   setPastedCSV,
   handlePasteCSV,
+  pastedTable,
+  setPastedTable,
+  handlePasteTable,
   showGoogleSheets,
   setShowGoogleSheets,
   googleSheetsUrl,
@@ -8469,16 +17296,36 @@ function DataTabContent({
   setAutoRefreshInterval
 }) {
   const isSlopeChart = chartType === 'slope';
+  const isDumbbellChart = chartType === 'dumbbell';
+  const isBumpChart = chartType === 'bump';
   const isBarChart = chartType?.startsWith('bar-');
   const isLineChart = chartType === 'line' || chartType === 'area' || chartType === 'area-stacked';
+  const isPieChart = chartType === 'pie';
+  const isSankeyChart = chartType === 'sankey';
+  const isScatterChart = chartType === 'scatter';
+  const isHeatmapChart = chartType === 'heatmap';
+  const isComboChart = chartType === 'combo';
+  const isHistogramChart = chartType === 'histogram';
+  const isBoxPlotChart = chartType === 'boxplot';
+  const isBulletChart = chartType === 'bullet';
+  const isKpiChart = chartType === 'kpi';
+  const isTreemapChart = chartType === 'treemap';
+  const isRadarChart = chartType === 'radar';
+  // Calendar heatmaps are keyed by date like line charts; matrix heatmaps by category
+  const usesDateField = isLineChart || (isHeatmapChart && chartData.data?.[0]?.date !== undefined);
+  const usesCategoryField = isBarChart || isPieChart || isScatterChart || isHeatmapChart || isComboChart ||
+    isHistogramChart || isBoxPlotChart || isBulletChart || isKpiChart || isTreemapChart || isRadarChart;
   const fileInputRef = useRef(null);
 
   // Track which data sections are expanded
   const [expandedDataSections, setExpandedDataSections] = useState({
     googleSheets: false,
     uploadCSV: false,
+    importJSON: false,
     pasteCSV: false,
+    importLocale: false,
     sampleData: false,
+    smallMultiples: false,
   });
 
   const toggleDataSection = (section) => {
@@ -8489,19 +17336,140 @@ function DataTabContent({
   };
 
   // Chart-specific labels (matching EditDataTable)
-  const stageLabel = isLineChart ? 'Date' : (isBarChart ? 'Category' : 'Stage');
-  const stageLabelPlural = isLineChart ? 'Dates' : (isBarChart ? 'Categories' : 'Stages');
-  const periodLabel = isLineChart ? 'Metric' : (isBarChart ? 'Value' : 'Period');
-  const periodLabelPlural = isLineChart ? 'Metrics' : (isBarChart ? 'Values' : 'Periods');
-  const stageFieldName = isLineChart ? 'date' : (isBarChart ? 'Category' : 'Stage');
+  const stageLabel = isSankeyChart ? 'Flow' : usesDateField ? 'Date' : (usesCategoryField ? 'Category' : 'Stage');
+  const stageLabelPlural = isSankeyChart ? 'Flows' : usesDateField ? 'Dates' : (usesCategoryField ? 'Categories' : 'Stages');
+  const periodLabel = isSankeyChart ? 'Column' : usesDateField ? 'Metric' : (usesCategoryField ? 'Value' : 'Period');
+  const periodLabelPlural = isSankeyChart ? 'Columns' : usesDateField ? 'Metrics' : (usesCategoryField ? 'Values' : 'Periods');
+  const stageFieldName = isSankeyChart ? 'Source' : usesDateField ? 'date' : (usesCategoryField ? 'Category' : 'Stage');
+
+  // Excel workbook waiting for a sheet or table and range to be picked
+  const [excelWorkbook, setExcelWorkbook] = useState(null);
+  const [excelSource, setExcelSource] = useState('');
+  const [excelRange, setExcelRange] = useState('');
+  const [excelError, setExcelError] = useState('');
+
+  // excelSource is "sheet:<name>" or "table:<name>"; picking either resets the range to cover it
+  const selectExcelSource = (workbook, value) => {
+    const [kind, ...nameParts] = value.split(':');
+    const name = nameParts.join(':');
+    const item = kind === 'table'
+      ? workbook.tables.find(table => table.name === name)
+      : workbook.sheets.find(sheet => sheet.name === name);
+    setExcelSource(value);
+    setExcelRange(item?.range || '');
+    setExcelError('');
+  };
 
   const handleFileUpload = async (event) => {
     const file = event.target.files[0];
-    if (file) {
+    if (!file) return;
+
+    if (!/\.xlsx?$/i.test(file.name)) {
+      setExcelWorkbook(null);
       await chartData.loadCSVFile(file);
+      return;
+    }
+
+    try {
+      const workbook = await readExcelFile(file);
+      const firstSheet = workbook.sheets.find(sheet => sheet.range) || workbook.sheets[0];
+      if (!firstSheet) throw new Error('The workbook has no sheets');
+      setExcelWorkbook(workbook);
+      selectExcelSource(workbook, `sheet:${firstSheet.name}`);
+    } catch (err) {
+      setExcelWorkbook(null);
+      setExcelError(err.message);
+    }
+  };
+
+  // JSON records waiting for their fields to be mapped
+  const [jsonText, setJsonText] = useState('');
+  const [jsonSource, setJsonSource] = useState('json-paste');
+  const [jsonFields, setJsonFields] = useState([]);
+  const [jsonRecordCount, setJsonRecordCount] = useState(0);
+  const [jsonMapping, setJsonMapping] = useState(null);
+  const [jsonMappingReused, setJsonMappingReused] = useState(false);
+  const [jsonError, setJsonError] = useState('');
+
+  // Read the fields of pasted or uploaded JSON, reusing the chart's saved mapping when the fields still fit
+  const previewJSON = (text, source) => {
+    setJsonText(text);
+    setJsonSource(source);
+    setJsonError('');
+    if (!text.trim()) {
+      setJsonFields([]);
+      setJsonMapping(null);
+      return;
+    }
+
+    try {
+      const savedMapping = chartData.fieldMapping;
+      let parsed;
+      try {
+        parsed = parseJSONRecords(text, savedMapping?.recordsPath || undefined);
+      } catch (err) {
+        // The saved records path isn't in this file - look for the records again
+        parsed = parseJSONRecords(text);
+      }
+      const rows = parsed.records.map(record => flattenRecord(record));
+      const fields = getFieldPaths(rows);
+      const reused = resolveFieldMapping(savedMapping, fields);
+
+      setJsonFields(fields);
+      setJsonRecordCount(rows.length);
+      setJsonMapping(reused
+        ? { ...reused, recordsPath: parsed.recordsPath }
+        : suggestFieldMapping(rows, { recordsPath: parsed.recordsPath, preferDate: usesDateField }));
+      setJsonMappingReused(Boolean(reused));
+    } catch (err) {
+      setJsonFields([]);
+      setJsonMapping(null);
+      setJsonError(err.message);
+    }
+  };
+
+  const handleJSONFileUpload = async (event) => {
+    const file = event.target.files[0];
+    if (file) {
+      previewJSON(await file.text(), 'json-upload');
     }
   };
 
+  // Columns load in the order they're ticked, which matters for Sankey's target-then-value columns
+  const toggleJSONValueField = (field) => {
+    setJsonMapping(prev => ({
+      ...prev,
+      valueFields: prev.valueFields.includes(field)
+        ? prev.valueFields.filter(f => f !== field)
+        : [...prev.valueFields, field],
+    }));
+  };
+
+  const handleJSONLoad = async () => {
+    // Mapping and validation errors show with the other data errors
+    await chartData.loadJSONText(jsonText, jsonMapping, jsonSource);
+  };
+
+  const tablePreviewRows = 8;
+
+  // Spreadsheet ranges and web page tables arrive as HTML; preview them as a table instead of pasting text
+  const handleTextareaPaste = (event) => {
+    const rows = getClipboardTable(event.clipboardData, chartData.importLocale);
+    if (!rows) return;
+    event.preventDefault();
+    setPastedTable(rows);
+  };
+
+  const handleExcelLoad = async () => {
+    const [kind, ...nameParts] = excelSource.split(':');
+    const sheet = kind === 'table'
+      ? excelWorkbook.tables.find(table => table.name === nameParts.join(':'))?.sheet
+      : nameParts.join(':');
+    // Range and validation errors show with the other data errors
+    setExcelError('');
+    await chartData.loadExcelRange(excelWorkbook, { sheet, range: excelRange.trim() });
+  };
+
   const handleGoogleSheetsLoad = async () => {
     if (!googleSheetsUrl.trim()) {
       setGoogleSheetsError('Please enter a Google Sheets URL');
@@ -8581,7 +17549,7 @@ function DataTabContent({
 
             // Load the CSV data from the preset
             if (presetData.data?.csv) {
-              await chartData.loadCSVText(presetData.data.csv);
+              await chartData.loadCSVText(presetData.data.csv, ',', 'csv-paste', PLAIN_IMPORT_LOCALE);
             }
 
             // Apply the style settings
@@ -8608,6 +17576,45 @@ function DataTabContent({
           // Load timeScale for line charts
           if (dataset.timeScale) styleSettings.setTimeScale(dataset.timeScale);
 
+          // Load column mapping for scatter charts
+          if (dataset.chartType === 'scatter') applyScatterMapping(styleSettings, dataset.defaultSettings);
+
+          // Load subtotals and end total label for waterfall charts
+          if (dataset.chartType === 'bar-waterfall') applyWaterfallSettings(styleSettings, dataset.defaultSettings);
+
+          // Load column roles and neutral placement for diverging charts
+          if (dataset.chartType === 'bar-diverging') applyDivergingSettings(styleSettings, dataset.defaultSettings);
+
+          // Load error bars for bar and line charts
+          if (/^(bar|line|area)/.test(dataset.chartType)) applyErrorBarSettings(styleSettings, dataset.defaultSettings);
+
+          // Load layout mode and color scale for heatmaps
+          if (dataset.chartType === 'heatmap') applyHeatmapSettings(styleSettings, dataset.defaultSettings);
+
+          // Load series layout and axis number formats for combo charts
+          if (dataset.chartType === 'combo') applyComboSettings(styleSettings, dataset.defaultSettings);
+
+          // Load rank order for bump charts
+          if (dataset.chartType === 'bump') applyBumpSettings(styleSettings, dataset.defaultSettings);
+
+          // Load plotted column, grouping and bins for histograms and box plots
+          if (dataset.chartType === 'histogram' || dataset.chartType === 'boxplot') applyDistributionSettings(styleSettings, dataset.defaultSettings);
+
+          // Load orientation, scale and number format for bullet charts
+          if (dataset.chartType === 'bullet') applyBulletSettings(styleSettings, dataset.defaultSettings);
+
+          // Load lower-is-better metrics and change format for KPI tiles
+          if (dataset.chartType === 'kpi') applyKpiSettings(styleSettings, dataset.defaultSettings);
+
+          // Load hierarchy mode and label format for treemaps
+          if (dataset.chartType === 'treemap') applyTreemapSettings(styleSettings, dataset.defaultSettings);
+
+          // Load scale mode and number format for radar charts
+          if (dataset.chartType === 'radar') applyRadarSettings(styleSettings, dataset.defaultSettings);
+
+          // Load row order for dumbbell charts
+          if (dataset.defaultSettings?.dumbbellSortBy) styleSettings.setDumbbellSortBy(dataset.defaultSettings.dumbbellSortBy);
+
           // Apply style preset if available
           if (dataset.stylePreset) {
             applyStylePreset(dataset.stylePreset);
@@ -8751,9 +17758,9 @@ function DataTabContent({
         </div>
       </CollapsibleSection>
 
-      {/* Upload CSV Data - Collapsible */}
+      {/* Upload CSV or Excel Data - Collapsible */}
       <CollapsibleSection
-        title="Upload CSV Data"
+        title="Upload CSV or Excel Data"
         isExpanded={expandedDataSections.uploadCSV}
         onToggle={() => toggleDataSection('uploadCSV')}
       >
@@ -8761,13 +17768,158 @@ function DataTabContent({
           <input
             ref={fileInputRef}
             type="file"
-            accept=".csv"
+            accept=".csv,.xlsx,.xls"
             onChange={handleFileUpload}
             className="w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:text-sm file:font-semibold file:bg-cyan-50 file:text-cyan-700 hover:file:bg-cyan-100 cursor-pointer"
           />
           <p className="text-xs text-gray-500">
-            CSV should have a "{stageFieldName}" column and one or more {periodLabel.toLowerCase()} columns
+            The file should have a "{stageFieldName}" column and one or more {periodLabel.toLowerCase()} columns
           </p>
+
+          {excelWorkbook && (
+            <div className="p-3 bg-gray-50 rounded-lg space-y-2">
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">Sheet or table</label>
+                <select
+                  value={excelSource}
+                  onChange={(e) => selectExcelSource(excelWorkbook, e.target.value)}
+                  className="w-full text-sm px-2 py-1 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-cyan-500"
+                >
+                  <optgroup label="Sheets">
+                    {excelWorkbook.sheets.map(sheet => (
+                      <option key={sheet.name} value={`sheet:${sheet.name}`}>
+                        {sheet.name}{sheet.range ? '' : ' (empty)'}
+                      </option>
+                    ))}
+                  </optgroup>
+                  {excelWorkbook.tables.length > 0 && (
+                    <optgroup label="Tables">
+                      {excelWorkbook.tables.map(table => (
+                        <option key={table.name} value={`table:${table.name}`}>
+                          {table.name} ({table.sheet})
+                        </option>
+                      ))}
+                    </optgroup>
+                  )}
+                </select>
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">Cell range</label>
+                <input
+                  type="text"
+                  value={excelRange}
+                  onChange={(e) => setExcelRange(e.target.value)}
+                  placeholder="A1:D20"
+                  className="w-full text-sm px-2 py-1 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-cyan-500 font-mono"
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  The first row of the range is used as column headers
+                </p>
+              </div>
+              <button
+                onClick={handleExcelLoad}
+                className="w-full px-4 py-2 bg-cyan-600 text-white rounded-lg hover:bg-cyan-700 transition-colors font-medium"
+              >
+                Load Range
+              </button>
+            </div>
+          )}
+
+          {excelError && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+              <p className="text-sm text-red-700">{excelError}</p>
+            </div>
+          )}
+        </div>
+      </CollapsibleSection>
+
+      {/* Import JSON Data - Collapsible */}
+      <CollapsibleSection
+        title="Import JSON Data"
+        isExpanded={expandedDataSections.importJSON}
+        onToggle={() => toggleDataSection('importJSON')}
+      >
+        <div className="space-y-3">
+          <input
+            type="file"
+            accept=".json,.ndjson,.jsonl,application/json"
+            onChange={handleJSONFileUpload}
+            className="w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:text-sm file:font-semibold file:bg-cyan-50 file:text-cyan-700 hover:file:bg-cyan-100 cursor-pointer"
+          />
+          <textarea
+            value={jsonSource === 'json-paste' ? jsonText : ''}
+            onChange={(e) => previewJSON(e.target.value, 'json-paste')}
+            placeholder={`...or paste a JSON array, an API response or NDJSON\n\nExample:\n[\n  { "month": "2024-01", "stats": { "revenue": 28500, "orders": 142 } },\n  { "month": "2024-02", "stats": { "revenue": 29800, "orders": 151 } }\n]`}
+            className="w-full h-32 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500 font-mono text-sm"
+          />
+
+          {jsonError && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+              <p className="text-sm text-red-700">{jsonError}</p>
+            </div>
+          )}
+
+          {jsonMapping && (
+            <div className="p-3 bg-gray-50 rounded-lg space-y-2">
+              <p className="text-xs text-gray-600">
+                {jsonRecordCount} {jsonRecordCount === 1 ? 'record' : 'records'}
+                {jsonMapping.recordsPath ? ` in "${jsonMapping.recordsPath}"` : ''}
+                {jsonMappingReused ? ' - using this chart\'s saved field mapping' : ''}
+              </p>
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">{stageLabel} field</label>
+                <select
+                  value={jsonMapping.labelField}
+                  onChange={(e) => setJsonMapping(prev => ({
+                    ...prev,
+                    labelField: e.target.value,
+                    valueFields: prev.valueFields.filter(field => field !== e.target.value),
+                  }))}
+                  className="w-full text-sm px-2 py-1 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-cyan-500 font-mono"
+                >
+                  {jsonFields.map(field => (
+                    <option key={field} value={field}>{field}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">
+                  {isSankeyChart ? 'Target and value fields' : `${periodLabelPlural} fields`}
+                </label>
+                <div className="max-h-40 overflow-y-auto space-y-1">
+                  {jsonFields.filter(field => field !== jsonMapping.labelField).map(field => {
+                    const position = jsonMapping.valueFields.indexOf(field);
+                    return (
+                      <label key={field} className="flex items-center gap-2">
+                        <input
+                          type="checkbox"
+                          checked={position !== -1}
+                          onChange={() => toggleJSONValueField(field)}
+                          className="rounded border-gray-300 text-cyan-600 focus:ring-cyan-500"
+                        />
+                        <span className="text-sm text-gray-700 font-mono">{field}</span>
+                        {position !== -1 && (
+                          <span className="text-xs text-gray-400">column {position + 2}</span>
+                        )}
+                      </label>
+                    );
+                  })}
+                </div>
+                <p className="text-xs text-gray-500 mt-1">
+                  {isSankeyChart
+                    ? 'Tick the target field first, then the value field'
+                    : 'Columns are added in the order you tick them'}
+                </p>
+              </div>
+              <button
+                onClick={handleJSONLoad}
+                disabled={jsonMapping.valueFields.length === 0}
+                className="w-full px-4 py-2 bg-cyan-600 text-white rounded-lg hover:bg-cyan-700 transition-colors font-medium disabled:bg-gray-400 disabled:cursor-not-allowed"
+              >
+                Load Data
+              </button>
+            </div>
+          )}
         </div>
       </CollapsibleSection>
 
@@ -8778,15 +17930,86 @@ function DataTabContent({
         onToggle={() => toggleDataSection('pasteCSV')}
       >
         <div className="space-y-3">
+          {pastedTable && (
+            <div className="space-y-2">
+              <p className="text-sm font-medium text-gray-700">
+                Pasted table: {pastedTable.length - 1} {pastedTable.length === 2 ? 'row' : 'rows'} × {pastedTable[0].length} columns
+              </p>
+              <div className="max-h-64 overflow-auto border border-gray-200 rounded-lg">
+                <table className="w-full text-xs">
+                  <thead className="bg-gray-50 sticky top-0">
+                    <tr>
+                      {pastedTable[0].map((header, i) => (
+                        <th key={i} className="px-2 py-1 text-left font-semibold text-gray-700 whitespace-nowrap">{header}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {pastedTable.slice(1, tablePreviewRows + 1).map((row, r) => (
+                      <tr key={r} className="border-t border-gray-100">
+                        {row.map((value, c) => (
+                          <td
+                            key={c}
+                            className={`px-2 py-1 whitespace-nowrap ${typeof value === 'number' ? 'text-right font-mono text-gray-900' : 'text-gray-600'}`}
+                          >
+                            {String(value)}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <p className="text-xs text-gray-500">
+                {pastedTable.length - 1 > tablePreviewRows ? `Showing the first ${tablePreviewRows} rows. ` : ''}
+                Numbers are right-aligned, so you can check that values like "$1,234" and "(500)" were read as numbers.
+              </p>
+              <div className="flex gap-2">
+                <button
+                  onClick={handlePasteTable}
+                  className="flex-1 px-4 py-2 bg-cyan-600 text-white rounded-lg hover:bg-cyan-700 transition-colors font-medium"
+                >
+                  Load Table
+                </button>
+                <button
+                  onClick={() => setPastedTable(null)}
+                  className="px-4 py-2 bg-gray-300 text-gray-700 rounded-lg hover:bg-gray-400 transition-colors font-medium"
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          )}
           <textarea
             value={pastedCSV}
             onChange={(e) => setPastedCSV(e.target.value)}
+            onPaste={handleTextareaPaste}
             placeholder={
               isLineChart
                 ? `Paste your CSV data here...\n\nExample (with month names):\nMonth,Revenue,Orders,Customers\nJan,1900000,850,420\nFeb,2000000,920,465\nMar,2300000,1050,531\n\nExample (with dates):\ndate,Revenue,Orders\n2024-01-01,28500,142\n2024-02-01,29800,151`
-                : isSlopeChart
+                : (isSlopeChart || isDumbbellChart)
                 ? `Paste your CSV data here...\n\nExample:\nStage,2023,2024\nEast Region,85000,92000\nWest Region,78000,88000\nNorth Region,62000,71000\nSouth Region,91000,98000\nCentral Region,73000,85000`
-                : isBarChart
+                : isBumpChart
+                ? `Paste your CSV data here...\n\nExample (one row per series, values are ranked per period):\nStage,2021,2022,2023,2024\nHarbor City,74,80,77,83\nNorthfield,70,66,61,58\nRiverton,69,72,81,79\nKingsport,76,69,64,62`
+                : isScatterChart
+                ? `Paste your CSV data here...\n\nExample (one row per point, text columns can color points):\nCategory,Price,Units Sold,Revenue,Segment\nStarter Pack,29,12400,359600,Budget\nWidget Lite,49,9800,480200,Budget\nGadget Mini,79,6100,481900,Core\nWidget Pro,129,4200,541800,Premium\nGadget Max,199,1900,378100,Premium`
+                : isHeatmapChart
+                ? `Paste your CSV data here...\n\nExample (matrix):\nCategory,Morning,Afternoon,Evening\nMon,142,168,54\nTue,151,172,58\nWed,148,176,61\n\nExample (calendar, one row per day):\ndate,Requests\n2024-10-01,1240\n2024-10-02,1315\n2024-10-03,1190`
+                : isComboChart
+                ? `Paste your CSV data here...\n\nExample (the last column is drawn as a line on the right axis):\nCategory,Revenue,Profit,% Change\nJan,420,58,3.2\nFeb,445,64,6.0\nMar,498,77,11.9\nApr,472,69,-5.2`
+                : (isHistogramChart || isBoxPlotChart)
+                ? `Paste your CSV data here...\n\nExample (one row per observation, the first column groups the rows):\nCategory,Delivery Days\nNorth,2.8\nNorth,3.4\nNorth,4.1\nSouth,3.9\nSouth,5.2\nSouth,6.7`
+                : isBulletChart
+                ? `Paste your CSV data here...\n\nExample (one row per metric: actual, target, then up to three range thresholds):\nCategory,Actual,Target,Poor,Satisfactory,Good\nRevenue,275,250,150,225,300\nProfit (%),22.5,26,20,25,30\nNew Customers,1650,2100,1400,2000,2500`
+                : isKpiChart
+                ? `Paste your CSV data here...\n\nExample (one row per period, oldest first, one tile per column):\nCategory,Revenue,Active Users,Churn Rate (%)\nOct,1263000,51800,2.9\nNov,1310000,52600,2.8\nDec,1392000,52100,2.6`
+                : isRadarChart
+                ? `Paste your CSV data here...\n\nExample (one row per axis, one column per profile):\nCategory,Before,After\nProduct Quality,72,85\nCustomer Service,68,79\nEase of Use,65,82\nOnboarding,48,71`
+                : isTreemapChart
+                ? `Paste your CSV data here...\n\nExample (path):\nCategory,Revenue\nAmericas > United States,4200\nAmericas > Canada,910\nEurope > Germany,1650\nEurope > France,1180\n\nExample (parent column):\nCategory,Parent,Budget\nPlatform,Engineering,2400\nMobile,Engineering,1300\nField Sales,Sales,2100`
+                : isSankeyChart
+                ? `Paste your CSV data here...\n\nExample (Source, Target, Value):\nSource,Target,Value\nVisitors,Sign Ups,4200\nVisitors,Bounced,5800\nSign Ups,Trial,2600\nSign Ups,Abandoned,1600\nTrial,Paid,1100\nTrial,Churned,1500`
+                : usesCategoryField
                 ? `Paste your CSV data here...\n\nExample:\nCategory,Sales\nProduct A,245000\nProduct B,198000\nProduct C,312000\nProduct D,156000\nProduct E,287000`
                 : `Paste your CSV data here...\n\nExample (Funnel):\nStage,Q1 2024,Q2 2024,Q3 2024,Q4 2024\nWebsite Visitors,125000,135000,142000,138000\nSign Ups,45000,48500,51200,49800\nFree Trial Users,28000,30200,31800,30900\nPaid Customers,12500,13800,14600,14200\nActive Users,9800,10900,11700,11400`
             }
@@ -8807,7 +18030,62 @@ function DataTabContent({
             </button>
           </div>
           <p className="text-xs text-gray-500">
-            Supports comma, tab, semicolon, and space delimiters. Auto-detected automatically.
+            Supports comma, tab, semicolon, and space delimiters. Auto-detected automatically. Tables copied from Excel, Google Sheets or a web page are previewed before loading.
+          </p>
+        </div>
+      </CollapsibleSection>
+
+      {/* Import Locale - Collapsible */}
+      <CollapsibleSection
+        title="Import Locale"
+        isExpanded={expandedDataSections.importLocale}
+        onToggle={() => toggleDataSection('importLocale')}
+      >
+        <div className="space-y-3">
+          <div>
+            <label className="block text-xs font-medium text-gray-700 mb-1">Number format</label>
+            <select
+              value={chartData.importLocale.numberFormat}
+              onChange={(e) => chartData.setImportLocale(prev => ({ ...prev, numberFormat: e.target.value }))}
+              className="w-full text-sm px-2 py-1 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-cyan-500"
+            >
+              {Object.entries(NUMBER_FORMATS).map(([key, format]) => (
+                <option key={key} value={key}>{format.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-700 mb-1">Date order</label>
+            <select
+              value={chartData.importLocale.dateOrder}
+              onChange={(e) => chartData.setImportLocale(prev => ({ ...prev, dateOrder: e.target.value }))}
+              className="w-full text-sm px-2 py-1 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-cyan-500"
+            >
+              {Object.entries(DATE_ORDERS).map(([key, order]) => (
+                <option key={key} value={key}>{order.label}</option>
+              ))}
+            </select>
+          </div>
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={chartData.importLocale.percentAsFraction}
+              onChange={(e) => chartData.setImportLocale(prev => ({ ...prev, percentAsFraction: e.target.checked }))}
+              className="rounded border-gray-300 text-cyan-600 focus:ring-cyan-500"
+            />
+            <span className="text-sm text-gray-700">Read "12%" as 0.12</span>
+          </label>
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={chartData.importLocale.parenthesesNegative}
+              onChange={(e) => chartData.setImportLocale(prev => ({ ...prev, parenthesesNegative: e.target.checked }))}
+              className="rounded border-gray-300 text-cyan-600 focus:ring-cyan-500"
+            />
+            <span className="text-sm text-gray-700">Read "(500)" as -500</span>
+          </label>
+          <p className="text-xs text-gray-500">
+            Applies to uploaded, pasted and Google Sheets CSV data. Currency symbols are always ignored. Re-import the data after changing these.
           </p>
         </div>
       </CollapsibleSection>
@@ -8843,6 +18121,38 @@ function DataTabContent({
                 <option value="slopeHealthcare">Healthcare Quality Metrics</option>
               </optgroup>
             </>
+          ) : isDumbbellChart ? (
+            <>
+              <optgroup label="Dumbbell Charts">
+                <option value="dumbbellFeatureSatisfaction">Feature Satisfaction</option>
+                <option value="dumbbellStoreRevenue">Store Revenue</option>
+              </optgroup>
+              <optgroup label="Slope Chart Data">
+                <option value="slopeRevenue">Revenue by Product Line</option>
+                <option value="slopeCustomerSatisfaction">Customer Satisfaction Scores</option>
+                <option value="slopeEmployeeMetrics">Employee Engagement</option>
+                <option value="slopeMarketShare">Market Share Changes</option>
+                <option value="slopeEducation">Student Test Scores</option>
+              </optgroup>
+            </>
+          ) : isBumpChart ? (
+            <>
+              <optgroup label="Bump Charts">
+                <option value="bumpLeagueStandings">League Standings</option>
+                <option value="bumpAppRankings">App Store Rankings</option>
+              </optgroup>
+            </>
+          ) : chartType === 'bar-waterfall' ? (
+            <optgroup label="Waterfall Charts">
+              <option value="waterfallRevenueBridge">Revenue Bridge</option>
+              <option value="waterfallProfitBridge">Profit and Loss</option>
+            </optgroup>
+          ) : chartType === 'bar-diverging' ? (
+            <optgroup label="Diverging Bar Charts">
+              <option value="divergingProductSurvey">Product Survey</option>
+              <option value="divergingEmployeeEngagement">Employee Engagement</option>
+              <option value="divergingVoterConfidence">Voter Confidence (Grouped)</option>
+            </optgroup>
           ) : isBarChart ? (
             <optgroup label="Bar Charts">
               <option value="barSimple">Simple Bar Chart</option>
@@ -8852,6 +18162,64 @@ function DataTabContent({
               <option value="barTeamPerformance">Team Performance Metrics</option>
               <option value="barCustomerAcquisition">Customer Acquisition by Source</option>
               <option value="barUSAFacts">Federal Spending (USAfacts Style)</option>
+              <option value="barConversionIntervals">A/B Test Conversion (95% CI)</option>
+            </optgroup>
+          ) : isPieChart ? (
+            <optgroup label="Pie Charts">
+              <option value="marketingChannelMix">Marketing Channel Mix</option>
+              <option value="browserMarketShare">Browser Market Share</option>
+            </optgroup>
+          ) : isSankeyChart ? (
+            <optgroup label="Sankey Diagrams">
+              <option value="sankeySignupFlow">Signup Flow</option>
+              <option value="sankeyBudgetFlow">Budget Allocation</option>
+            </optgroup>
+          ) : isScatterChart ? (
+            <optgroup label="Scatter Plots">
+              <option value="scatterProductPricing">Product Pricing</option>
+              <option value="scatterCountryHealth">Wealth and Health</option>
+            </optgroup>
+          ) : isHeatmapChart ? (
+            <optgroup label="Heatmaps">
+              <option value="heatmapWeeklyTraffic">Website Sessions by Day and Time</option>
+              <option value="heatmapSalesVsTarget">Sales vs. Target (Diverging)</option>
+              <option value="heatmapServerRequests">Server Requests (Daily Calendar)</option>
+              <option value="heatmapClothingRetail">Online Clothing Retail (2 Year Calendar)</option>
+            </optgroup>
+          ) : isComboChart ? (
+            <optgroup label="Combo Charts">
+              <option value="comboRevenueProfit">Revenue, Profit and Growth</option>
+              <option value="comboClimate">Rainfall and Temperature</option>
+            </optgroup>
+          ) : isHistogramChart ? (
+            <optgroup label="Histograms">
+              <option value="histogramDeliveryTimes">Delivery Times</option>
+              <option value="histogramExamScores">Exam Scores by Class</option>
+            </optgroup>
+          ) : isBoxPlotChart ? (
+            <optgroup label="Box Plots">
+              <option value="boxPlotDeliveryTimes">Delivery Times by Region</option>
+              <option value="boxPlotExamScores">Exam Scores by Class</option>
+            </optgroup>
+          ) : isBulletChart ? (
+            <optgroup label="Bullet Charts">
+              <option value="bulletExecKpis">Executive KPIs</option>
+              <option value="bulletSalesQuota">Sales vs. Quota</option>
+            </optgroup>
+          ) : isKpiChart ? (
+            <optgroup label="KPI Tiles">
+              <option value="kpiMonthlyMetrics">Monthly Company KPIs</option>
+              <option value="kpiWeeklyTraffic">Weekly Website Traffic</option>
+            </optgroup>
+          ) : isRadarChart ? (
+            <optgroup label="Radar Charts">
+              <option value="radarCustomerSatisfaction">Customer Satisfaction Scores</option>
+              <option value="radarTeamPerformance">Team Performance Metrics</option>
+            </optgroup>
+          ) : isTreemapChart ? (
+            <optgroup label="Treemaps">
+              <option value="treemapRegionalRevenue">Revenue by Region and Country</option>
+              <option value="treemapDepartmentBudget">Department Budget</option>
             </optgroup>
           ) : (chartType === 'line' || chartType === 'area' || chartType === 'area-stacked') ? (
             <>
@@ -8862,6 +18230,7 @@ function DataTabContent({
                 <option value="marketingChannelRevenue">Marketing Channel Revenue</option>
                 <option value="salesMonthly">Online Sales (Monthly)</option>
                 <option value="patientOutcomesMonthly">Patient Outcomes (Monthly)</option>
+                <option value="surveyScoreMonthly">Survey Score with Margin of Error</option>
               </optgroup>
               <optgroup label="Line Charts - Daily">
                 <option value="clothingRetail2Years">Online Clothing Retail (2 Years Daily)</option>
@@ -8894,6 +18263,79 @@ function DataTabContent({
         </div>
       </CollapsibleSection>
 
+      {/* Small Multiples - Collapsible */}
+      {chartData.hasData && (
+        <CollapsibleSection
+          title="Small Multiples"
+          isExpanded={expandedDataSections.smallMultiples}
+          onToggle={() => toggleDataSection('smallMultiples')}
+        >
+          <div className="space-y-3">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Split Into Panels
+              </label>
+              <select
+                value={styleSettings.smallMultiplesMode === 'column'
+                  ? `column:${styleSettings.smallMultiplesColumn}`
+                  : styleSettings.smallMultiplesMode}
+                onChange={(e) => {
+                  const value = e.target.value;
+                  if (value.startsWith('column:')) {
+                    styleSettings.setSmallMultiplesMode('column');
+                    styleSettings.setSmallMultiplesColumn(value.slice('column:'.length));
+                  } else {
+                    styleSettings.setSmallMultiplesMode(value);
+                  }
+                }}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-cyan-500"
+              >
+                <option value="off">Off - one chart</option>
+                <option value="metrics">One panel per {periodLabel.toLowerCase()} column</option>
+                {getTextColumns(chartData.data, chartData.periodNames, chartData.columnSchema).map(column => (
+                  <option key={column} value={`column:${column}`}>
+                    One panel per {column}
+                  </option>
+                ))}
+              </select>
+              <p className="text-xs text-gray-500 mt-1">
+                Text columns (e.g. Region) in your data can split the chart into one panel per value
+              </p>
+            </div>
+
+            {styleSettings.smallMultiplesMode !== 'off' && (
+              <>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Panels Per Row: {styleSettings.smallMultiplesGridColumns}
+                  </label>
+                  <input
+                    type="range"
+                    min="1"
+                    max="6"
+                    value={styleSettings.smallMultiplesGridColumns}
+                    onChange={(e) => styleSettings.setSmallMultiplesGridColumns(Number(e.target.value))}
+                    className="w-full"
+                  />
+                </div>
+
+                {supportsSharedScale(chartType) && (
+                  <label className="flex items-center gap-2 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={styleSettings.smallMultiplesSharedScale}
+                      onChange={(e) => styleSettings.setSmallMultiplesSharedScale(e.target.checked)}
+                      className="w-4 h-4 text-cyan-600 rounded"
+                    />
+                    <span className="text-sm text-gray-700">Same value scale in every panel</span>
+                  </label>
+                )}
+              </>
+            )}
+          </div>
+        </CollapsibleSection>
+      )}
+
       {/* Error Display */}
       {chartData.error && (
         <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-600">
@@ -8901,6 +18343,14 @@ function DataTabContent({
         </div>
       )}
 
+      {chartData.importWarnings?.length > 0 && (
+        <div className="p-3 bg-amber-50 border border-amber-200 rounded-lg space-y-1">
+          {chartData.importWarnings.map((warning, i) => (
+            <p key={i} className="text-xs text-amber-700">{warning}</p>
+          ))}
+        </div>
+      )}
+
       {/* Separator */}
       <div className="border-t-2 border-gray-300 my-4"></div>
 
@@ -8942,7 +18392,7 @@ function DataTabContent({
               <span className="text-gray-600">{periodLabelPlural}:</span>
               <span className="font-medium">{chartData.periodCount}</span>
             </div>
-            {!isBarChart && (
+            {!usesCategoryField && !isSankeyChart && (
               <div className="flex justify-between text-sm">
                 <span className="text-gray-600">Mode:</span>
                 <span className={`font-medium ${chartData.isComparisonMode ? 'text-cyan-600' : 'text-blue-600'}`}>
@@ -9022,12 +18472,18 @@ function EditDataTable({ chartData, chartType, onClose }) {
   // Chart-specific labels
   const isBarChart = chartType?.startsWith('bar-');
   const isLineChart = chartType === 'line' || chartType === 'area' || chartType === 'area-stacked';
+  const isSankeyChart = chartType === 'sankey';
+  const isHeatmapChart = chartType === 'heatmap';
+  const usesDateField = isLineChart || (isHeatmapChart && chartData.editableData[0]?.date !== undefined);
+  const usesCategoryField = isBarChart || chartType === 'pie' || chartType === 'scatter' || isHeatmapChart || chartType === 'combo' ||
+    chartType === 'histogram' || chartType === 'boxplot' || chartType === 'bullet' || chartType === 'kpi' ||
+    chartType === 'treemap' || chartType === 'radar';
 
   // For flattened format, rows are Periods and columns are "Group - Value" combinations
-  // For regular format, rows are Stage/Category/Date and columns are period/metric names
-  const stageLabel = isFlattenedGroupedStacked ? 'Period' : (isLineChart ? 'Date' : (isBarChart ? 'Category' : 'Stage'));
-  const periodLabel = isFlattenedGroupedStacked ? 'Series' : (isLineChart ? 'Metric' : (isBarChart ? 'Value' : 'Period'));
-  const stageFieldName = isFlattenedGroupedStacked ? 'Period' : (isLineChart ? 'date' : (isBarChart ? 'Category' : 'Stage'));
+  // For regular format, rows are Stage/Category/Date/Source and columns are period/metric names
+  const stageLabel = isFlattenedGroupedStacked ? 'Period' : isSankeyChart ? 'Source' : (usesDateField ? 'Date' : (usesCategoryField ? 'Category' : 'Stage'));
+  const periodLabel = isFlattenedGroupedStacked ? 'Series' : isSankeyChart ? 'Column' : (usesDateField ? 'Metric' : (usesCategoryField ? 'Value' : 'Period'));
+  const stageFieldName = isFlattenedGroupedStacked ? 'Period' : isSankeyChart ? 'Source' : (usesDateField ? 'date' : (usesCategoryField ? 'Category' : 'Stage'));
 
   // For flattened format, "periods" are actually the Group-Value column names
   const columnNames = isFlattenedGroupedStacked
@@ -122,6 +122,18 @@ export default function Home() {
       description: 'Compare multiple series across categories vertically.',
       image: '/Examples/bar_chart_revenue_asia_latinamerica.svg',
     },
+    {
+      key: 'bar-waterfall',
+      name: 'Waterfall Chart',
+      description: 'Bridge from a starting value to an ending value through gains and losses.',
+      image: '/Examples/waterfall_revenue_bridge.svg',
+    },
+    {
+      key: 'bar-diverging',
+      name: 'Diverging Bar Chart',
+      description: 'Show Likert and sentiment responses either side of a neutral midpoint.',
+      image: '/Examples/diverging_product_survey.svg',
+    },
   ];
 
   const lineAreaCharts = [
@@ -149,6 +161,36 @@ export default function Home() {
       description: 'Show change between two points in time with connecting lines.',
       image: '/Examples/slope_chart_tufte.svg',
     },
+    {
+      key: 'dumbbell',
+      name: 'Dumbbell Chart',
+      description: 'Compare two periods across many categories with a pair of dots per row, sorted by the gap.',
+      image: '/Examples/dumbbell_feature_satisfaction.svg',
+    },
+    {
+      key: 'bump',
+      name: 'Bump Chart',
+      description: 'Follow how rankings change across many periods, with rank lines you can click to emphasize.',
+      image: '/Examples/bump_league_standings.svg',
+    },
+    {
+      key: 'bullet',
+      name: 'Bullet Chart',
+      description: 'Check each KPI against its target, with shaded bands showing poor, satisfactory and good ranges.',
+      image: '/Examples/bullet_exec_kpis.svg',
+    },
+    {
+      key: 'radar',
+      name: 'Radar Chart',
+      description: 'Overlay multi-attribute profiles, such as scores before and after a change, on axes around a center.',
+      image: '/Examples/radar_customer_satisfaction.svg',
+    },
+    {
+      key: 'kpi',
+      name: 'KPI Tiles',
+      description: 'Headline numbers with the change from the previous period and a sparkline of the trend.',
+      image: '/Examples/kpi_monthly_metrics.svg',
+    },
   ];
 
   const otherCharts = [
@@ -158,6 +200,54 @@ export default function Home() {
       description: 'Track progression through sequential stages in a process, displaying conversion rates and drop-off points.',
       image: '/Examples/funnel_chart_ab.svg',
     },
+    {
+      key: 'pie',
+      name: 'Pie Chart',
+      description: 'Show how a total splits into parts, as a pie or donut with direct labels.',
+      image: '/Examples/pie_chart_channel_mix.svg',
+    },
+    {
+      key: 'treemap',
+      name: 'Treemap',
+      description: 'Break a total down through nested groups, with each item sized by its share.',
+      image: '/Examples/treemap_regional_revenue.svg',
+    },
+    {
+      key: 'sankey',
+      name: 'Sankey Diagram',
+      description: 'Follow quantities as they split and merge between stages, such as where funnel drop-offs go.',
+      image: '/Examples/sankey_signup_flow.svg',
+    },
+    {
+      key: 'scatter',
+      name: 'Scatter Plot',
+      description: 'Compare two measures across many items, with optional bubble size, color groups and quadrants.',
+      image: '/Examples/scatter_wealth_health.svg',
+    },
+    {
+      key: 'heatmap',
+      name: 'Heatmap',
+      description: 'Spot patterns across a grid of values, or lay out daily values as a calendar by week and weekday.',
+      image: '/Examples/heatmap_weekly_traffic.svg',
+    },
+    {
+      key: 'combo',
+      name: 'Combo Chart',
+      description: 'Show amounts as bars and rates as lines on one chart, each measured on its own axis.',
+      image: '/Examples/combo_revenue_profit.svg',
+    },
+    {
+      key: 'histogram',
+      name: 'Histogram',
+      description: 'See how raw values spread out by counting them into bins, stacked by group if you like.',
+      image: '/Examples/histogram_delivery_times.svg',
+    },
+    {
+      key: 'boxplot',
+      name: 'Box Plot',
+      description: 'Compare medians, spread and outliers across groups, worked out from one row per observation.',
+      image: '/Examples/boxplot_delivery_times.svg',
+    },
   ];
 
   const handleChartSelect = (chartKey) => {
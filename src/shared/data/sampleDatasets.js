@@ -148,6 +148,70 @@ function generateClothingRetailData(startDate, days) {
   return data;
 }
 
+/**
+ * 30 days of server metrics - shared by the line chart and calendar heatmap samples
+ */
+const serverMetricsDailyData = [
+  { date: "2024-10-01", Requests: 14500, Sessions: 12300, Errors: 4500 },
+  { date: "2024-10-02", Requests: 15200, Sessions: 12800, Errors: 4800 },
+  { date: "2024-10-03", Requests: 15800, Sessions: 13200, Errors: 5200 },
+  { date: "2024-10-04", Requests: 14900, Sessions: 12900, Errors: 4900 },
+  { date: "2024-10-05", Requests: 13800, Sessions: 11800, Errors: 4300 },
+  { date: "2024-10-06", Requests: 13200, Sessions: 11500, Errors: 4100 },
+  { date: "2024-10-07", Requests: 14700, Sessions: 12400, Errors: 4700 },
+  { date: "2024-10-08", Requests: 15600, Sessions: 13100, Errors: 5100 },
+  { date: "2024-10-09", Requests: 16200, Sessions: 13700, Errors: 5400 },
+  { date: "2024-10-10", Requests: 17100, Sessions: 14200, Errors: 5800 },
+  { date: "2024-10-11", Requests: 17800, Sessions: 14800, Errors: 6200 },
+  { date: "2024-10-12", Requests: 16900, Sessions: 14300, Errors: 5900 },
+  { date: "2024-10-13", Requests: 15700, Sessions: 13500, Errors: 5300 },
+  { date: "2024-10-14", Requests: 15100, Sessions: 13000, Errors: 5000 },
+  { date: "2024-10-15", Requests: 16400, Sessions: 13800, Errors: 5500 },
+  { date: "2024-10-16", Requests: 17300, Sessions: 14500, Errors: 6000 },
+  { date: "2024-10-17", Requests: 18200, Sessions: 15100, Errors: 6300 },
+  { date: "2024-10-18", Requests: 18900, Sessions: 15600, Errors: 6700 },
+  { date: "2024-10-19", Requests: 18400, Sessions: 15300, Errors: 6500 },
+  { date: "2024-10-20", Requests: 17500, Sessions: 14700, Errors: 6100 },
+  { date: "2024-10-21", Requests: 16800, Sessions: 14100, Errors: 5800 },
+  { date: "2024-10-22", Requests: 18000, Sessions: 15000, Errors: 6400 },
+  { date: "2024-10-23", Requests: 19200, Sessions: 15800, Errors: 6800 },
+  { date: "2024-10-24", Requests: 19800, Sessions: 16200, Errors: 7100 },
+  { date: "2024-10-25", Requests: 20400, Sessions: 16700, Errors: 7300 },
+  { date: "2024-10-26", Requests: 19500, Sessions: 16100, Errors: 6900 },
+  { date: "2024-10-27", Requests: 18700, Sessions: 15500, Errors: 6600 },
+  { date: "2024-10-28", Requests: 17900, Sessions: 14900, Errors: 6300 },
+  { date: "2024-10-29", Requests: 19600, Sessions: 16300, Errors: 7000 },
+  { date: "2024-10-30", Requests: 20700, Sessions: 16900, Errors: 7400 },
+];
+
+/**
+ * Expand { group: [values] } into one row per observation, as the distribution charts expect
+ */
+function toDistributionRows(valueColumn, groups) {
+  return Object.entries(groups).flatMap(([group, values]) =>
+    values.map(value => ({ Category: group, [valueColumn]: value }))
+  );
+}
+
+/**
+ * Order delivery times by region - shared by the histogram and box plot samples
+ */
+const deliveryTimesData = toDistributionRows("Delivery Days", {
+  North: [3.8, 3.8, 3.3, 7.4, 4.6, 2.9, 2.6, 4.8, 3.4, 4.0, 3.9, 2.3, 5.1, 4.6, 3.3, 3.8, 3.3, 2.5, 3.1, 3.5, 4.1, 3.8, 3.2, 4.3, 2.6],
+  South: [5.3, 5.6, 4.1, 9.1, 3.4, 4.7, 5.0, 6.1, 3.3, 4.4, 0.6, 4.2, 1.8, 5.3, 6.9, 5.5, 3.4, 3.9, 4.6, 7.1, 5.1, 4.5, 6.1, 4.3, 6.4],
+  East: [3.2, 3.4, 4.4, 5.1, 4.4, 4.1, 2.2, 3.2, 3.3, 3.3, 4.3, 3.5, 4.5, 3.9, 3.5, 3.9, 4.2, 4.6, 3.4, 3.6, 2.6, 5.2, 5.1, 3.6, 3.4],
+  West: [1.9, 2.7, 2.7, 6.2, 2.7, 2.1, 1.1, 3.4, 2.7, 1.6, 2.7, 1.6, 4.7, 3.3, 2.9, 2.5, 1.3, 2.5, 1.7, 3.0, 1.3, 2.1, 3.3, 3.6, 1.9],
+});
+
+/**
+ * Exam scores for three classes - shared by the histogram and box plot samples
+ */
+const examScoresData = toDistributionRows("Score", {
+  "Class A": [60, 82, 82, 38, 68, 68, 63, 68, 85, 80, 93, 73, 73, 65, 73, 62, 58, 80, 87, 82, 86, 76, 68, 75],
+  "Class B": [64, 55, 48, 50, 68, 70, 62, 85, 70, 75, 83, 58, 44, 77, 60, 84, 72, 80, 77, 43, 77, 60, 59, 63],
+  "Class C": [86, 87, 88, 52, 77, 64, 80, 85, 76, 83, 83, 88, 75, 75, 76, 93, 89, 80, 83, 82, 82, 80, 79, 72],
+});
+
 export const sampleDatasets = {
   generic: {
     name: "Generic 5-Stage Flow",
@@ -1168,6 +1232,489 @@ export const sampleDatasets = {
     },
   },
 
+  barConversionIntervals: {
+    name: "A/B Test Conversion (95% CI)",
+    description: "Grouped bars with confidence intervals from lower and upper bound columns",
+    chartType: "bar-grouped-vertical",
+    title: "The Variant Only Wins Clearly on Mobile",
+    subtitle: "Checkouts per 1,000 visitors by device, with 95% confidence intervals",
+    data: [
+      { Category: "Desktop", Control: 42, Variant: 45, "Control Lower": 38, "Control Upper": 46, "Variant Lower": 41, "Variant Upper": 49 },
+      { Category: "Mobile", Control: 26, Variant: 34, "Control Lower": 23, "Control Upper": 29, "Variant Lower": 31, "Variant Upper": 37 },
+      { Category: "Tablet", Control: 31, Variant: 33, "Control Lower": 24, "Control Upper": 38, "Variant Lower": 26, "Variant Upper": 40 },
+    ],
+    defaultSettings: {
+      orientation: "vertical",
+      barMode: "grouped",
+      showErrorBars: true,
+    },
+  },
+
+  // ==================== WATERFALL CHART DATASETS ====================
+
+  waterfallRevenueBridge: {
+    name: "Revenue Bridge",
+    description: "Year-over-year revenue bridge through gains and losses",
+    chartType: "bar-waterfall",
+    title: "How Revenue Grew in FY2024",
+    subtitle: "Annual recurring revenue bridge ($M)",
+    data: [
+      { Category: "FY2023 Revenue", Change: 42.0 },
+      { Category: "New Customers", Change: 9.6 },
+      { Category: "Expansion", Change: 5.3 },
+      { Category: "Price Increase", Change: 2.1 },
+      { Category: "Churn", Change: -6.8 },
+      { Category: "Downgrades", Change: -2.4 },
+    ],
+    defaultSettings: {
+      orientation: "vertical",
+      barMode: "waterfall",
+      waterfallTotalLabel: "FY2024 Revenue",
+    },
+  },
+
+  waterfallProfitBridge: {
+    name: "Profit and Loss",
+    description: "Revenue down to net income with gross and operating subtotals",
+    chartType: "bar-waterfall",
+    title: "From Revenue to Net Income",
+    subtitle: "FY2024 income statement ($M)",
+    data: [
+      { Category: "Revenue", Amount: 120 },
+      { Category: "Cost of Sales", Amount: -48 },
+      { Category: "Gross Profit", Amount: 0 },
+      { Category: "Sales & Marketing", Amount: -22 },
+      { Category: "R&D", Amount: -18 },
+      { Category: "G&A", Amount: -9 },
+      { Category: "Operating Income", Amount: 0 },
+      { Category: "Interest", Amount: -3 },
+      { Category: "Taxes", Amount: -5 },
+    ],
+    defaultSettings: {
+      orientation: "vertical",
+      barMode: "waterfall",
+      waterfallSubtotals: ["Gross Profit", "Operating Income"],
+      waterfallTotalLabel: "Net Income",
+    },
+  },
+
+  // ==================== DUMBBELL CHART DATASETS ====================
+
+  dumbbellFeatureSatisfaction: {
+    name: "Feature Satisfaction",
+    description: "Satisfaction scores for 15 product features, year over year",
+    chartType: "dumbbell",
+    title: "Which Features Won Users Over?",
+    subtitle: "Share of users satisfied with each feature (%), 2023 vs. 2024",
+    data: [
+      { Stage: "Search", "2023": 58, "2024": 81 },
+      { Stage: "Dashboards", "2023": 64, "2024": 79 },
+      { Stage: "Mobile App", "2023": 41, "2024": 66 },
+      { Stage: "Notifications", "2023": 55, "2024": 49 },
+      { Stage: "Reporting", "2023": 62, "2024": 71 },
+      { Stage: "Integrations", "2023": 47, "2024": 68 },
+      { Stage: "Onboarding", "2023": 70, "2024": 74 },
+      { Stage: "Billing", "2023": 52, "2024": 45 },
+      { Stage: "Permissions", "2023": 44, "2024": 51 },
+      { Stage: "Data Export", "2023": 60, "2024": 63 },
+      { Stage: "Offline Mode", "2023": 33, "2024": 57 },
+      { Stage: "Templates", "2023": 68, "2024": 72 },
+      { Stage: "Comments", "2023": 73, "2024": 70 },
+      { Stage: "API", "2023": 49, "2024": 65 },
+      { Stage: "Help Center", "2023": 57, "2024": 54 },
+    ],
+    defaultSettings: {
+      dumbbellSortBy: "gap",
+    },
+  },
+
+  dumbbellStoreRevenue: {
+    name: "Store Revenue",
+    description: "Annual revenue for 16 stores, showing gains and declines",
+    chartType: "dumbbell",
+    title: "Store Revenue, 2023 vs. 2024",
+    subtitle: "Annual revenue by store ($K)",
+    data: [
+      { Stage: "Downtown", "2023": 2840, "2024": 3120 },
+      { Stage: "Airport", "2023": 2210, "2024": 2630 },
+      { Stage: "Harbor View", "2023": 1980, "2024": 1760 },
+      { Stage: "University", "2023": 1450, "2024": 1690 },
+      { Stage: "Riverside", "2023": 1720, "2024": 1810 },
+      { Stage: "Old Town", "2023": 1630, "2024": 1420 },
+      { Stage: "Northgate", "2023": 1390, "2024": 1510 },
+      { Stage: "Lakeside", "2023": 1280, "2024": 1330 },
+      { Stage: "Westfield", "2023": 1510, "2024": 1260 },
+      { Stage: "Eastside", "2023": 1120, "2024": 1380 },
+      { Stage: "Hillcrest", "2023": 980, "2024": 1040 },
+      { Stage: "Southpoint", "2023": 1060, "2024": 940 },
+      { Stage: "Market Square", "2023": 870, "2024": 1150 },
+      { Stage: "Parkway", "2023": 910, "2024": 890 },
+      { Stage: "Bayfront", "2023": 760, "2024": 980 },
+      { Stage: "Midtown", "2023": 1190, "2024": 1210 },
+    ],
+    defaultSettings: {
+      dumbbellSortBy: "end",
+    },
+  },
+
+  // ==================== BUMP CHART DATASETS ====================
+
+  bumpLeagueStandings: {
+    name: "League Standings",
+    description: "Season points for 10 clubs over 8 seasons, ranked per season",
+    chartType: "bump",
+    title: "Riverton's Climb to the Top",
+    subtitle: "League position by season, ranked by points",
+    data: [
+      { Stage: "Harbor City", "2017": 71, "2018": 74, "2019": 68, "2020": 70, "2021": 77, "2022": 73, "2023": 69, "2024": 72 },
+      { Stage: "Northfield", "2017": 78, "2018": 76, "2019": 79, "2020": 72, "2021": 66, "2022": 63, "2023": 61, "2024": 58 },
+      { Stage: "Riverton", "2017": 49, "2018": 55, "2019": 58, "2020": 64, "2021": 69, "2022": 75, "2023": 81, "2024": 84 },
+      { Stage: "Ashford", "2017": 63, "2018": 60, "2019": 64, "2020": 61, "2021": 58, "2022": 62, "2023": 66, "2024": 65 },
+      { Stage: "Kingsport", "2017": 69, "2018": 71, "2019": 75, "2020": 77, "2021": 73, "2022": 70, "2023": 64, "2024": 61 },
+      { Stage: "Westbrook", "2017": 55, "2018": 52, "2019": 57, "2020": 59, "2021": 63, "2022": 58, "2023": 62, "2024": 68 },
+      { Stage: "Milton", "2017": 60, "2018": 63, "2019": 54, "2020": 52, "2021": 55, "2022": 51, "2023": 53, "2024": 50 },
+      { Stage: "Eastvale", "2017": 52, "2018": 48, "2019": 51, "2020": 56, "2021": 52, "2022": 55, "2023": 57, "2024": 54 },
+      { Stage: "Stonebridge", "2017": 66, "2018": 65, "2019": 61, "2020": 57, "2021": 61, "2022": 66, "2023": 59, "2024": 56 },
+      { Stage: "Fairhaven", "2017": 45, "2018": 50, "2019": 47, "2020": 49, "2021": 47, "2022": 52, "2023": 50, "2024": 47 },
+    ],
+    defaultSettings: {
+      rankOrder: "highest",
+    },
+  },
+
+  bumpAppRankings: {
+    name: "App Store Rankings",
+    description: "Monthly store position for 8 apps (already ranked, 1 = top)",
+    chartType: "bump",
+    title: "Top Productivity Apps",
+    subtitle: "Store ranking by month (1 = top)",
+    data: [
+      { Stage: "NoteNest", Jan: 1, Feb: 1, Mar: 2, Apr: 3, May: 3, Jun: 4 },
+      { Stage: "TaskFlow", Jan: 2, Feb: 3, Mar: 1, Apr: 1, May: 2, Jun: 2 },
+      { Stage: "CalendarPro", Jan: 3, Feb: 2, Mar: 3, Apr: 2, May: 1, Jun: 1 },
+      { Stage: "MailDash", Jan: 4, Feb: 5, Mar: 6, Apr: 5, May: 4, Jun: 3 },
+      { Stage: "DocPilot", Jan: 5, Feb: 4, Mar: 4, Apr: 4, May: 6, Jun: 7 },
+      { Stage: "FocusTimer", Jan: 8, Feb: 7, Mar: 5, Apr: 6, May: 5, Jun: 5 },
+      { Stage: "SheetSmart", Jan: 6, Feb: 6, Mar: 7, Apr: 8, May: 8, Jun: 6 },
+      { Stage: "ScanBox", Jan: 7, Feb: 8, Mar: 8, Apr: 7, May: 7, Jun: 8 },
+    ],
+    defaultSettings: {
+      rankOrder: "lowest",
+      showValueLabels: true,
+    },
+  },
+
+  // ==================== HISTOGRAM DATASETS ====================
+
+  histogramDeliveryTimes: {
+    name: "Delivery Times",
+    description: "100 order delivery times across four regions",
+    chartType: "histogram",
+    title: "Most Orders Arrive in 3 to 5 Days",
+    subtitle: "Number of orders by delivery time (days)",
+    data: deliveryTimesData,
+    defaultSettings: {
+      binMode: "width",
+      binWidth: 0.5,
+    },
+  },
+
+  histogramExamScores: {
+    name: "Exam Scores by Class",
+    description: "Scores for three classes of 24 students, stacked by class",
+    chartType: "histogram",
+    title: "Exam Score Distribution",
+    subtitle: "Number of students by score band",
+    data: examScoresData,
+    defaultSettings: {
+      binMode: "width",
+      binWidth: 5,
+      groupColumn: "Category",
+    },
+  },
+
+  // ==================== BOX PLOT DATASETS ====================
+
+  boxPlotDeliveryTimes: {
+    name: "Delivery Times by Region",
+    description: "Order delivery times for four regions, with late and early outliers",
+    chartType: "boxplot",
+    title: "The South Has the Widest Spread of Delivery Times",
+    subtitle: "Delivery time in days by region",
+    data: deliveryTimesData,
+    defaultSettings: {
+      groupColumn: "Category",
+    },
+  },
+
+  boxPlotExamScores: {
+    name: "Exam Scores by Class",
+    description: "Scores for three classes of 24 students",
+    chartType: "boxplot",
+    title: "Class C Scored Highest and Most Consistently",
+    subtitle: "Exam scores by class",
+    data: examScoresData,
+    defaultSettings: {
+      groupColumn: "Category",
+      showMean: true,
+    },
+  },
+
+  // ==================== RADAR CHART DATASETS ====================
+
+  radarCustomerSatisfaction: {
+    name: "Customer Satisfaction Scores",
+    description: "Before and after profiles on one shared 0-100 scale",
+    chartType: "radar",
+    title: "Onboarding Improved Most After the Redesign",
+    subtitle: "CSAT score by product area, before and after (0-100)",
+    data: [
+      { Category: "Product Quality", "Before": 72, "After": 85 },
+      { Category: "Customer Service", "Before": 68, "After": 79 },
+      { Category: "Ease of Use", "Before": 65, "After": 82 },
+      { Category: "Value for Money", "Before": 61, "After": 74 },
+      { Category: "Speed/Performance", "Before": 58, "After": 76 },
+      { Category: "Documentation", "Before": 52, "After": 68 },
+      { Category: "Onboarding", "Before": 48, "After": 71 },
+    ],
+    defaultSettings: {
+      scaleMode: "shared",
+    },
+  },
+
+  radarTeamPerformance: {
+    name: "Team Performance Metrics",
+    description: "Three sales teams on metrics in different units, each axis on its own scale",
+    chartType: "radar",
+    title: "Enterprise Wins on Deal Size, SMB on Volume",
+    subtitle: "Sales team performance, Q4 2024 - each axis on its own scale",
+    data: [
+      { Category: "Revenue ($K)", "Enterprise": 189, "Mid-Market": 156, "SMB": 98 },
+      { Category: "Deals Closed", "Enterprise": 24, "Mid-Market": 52, "SMB": 118 },
+      { Category: "Win Rate (%)", "Enterprise": 31, "Mid-Market": 27, "SMB": 22 },
+      { Category: "Avg Deal Size ($)", "Enterprise": 7900, "Mid-Market": 3000, "SMB": 830 },
+      { Category: "Meetings Booked", "Enterprise": 140, "Mid-Market": 210, "SMB": 330 },
+      { Category: "Customer NPS", "Enterprise": 48, "Mid-Market": 41, "SMB": 36 },
+    ],
+    defaultSettings: {
+      scaleMode: "per-axis",
+    },
+  },
+
+  // ==================== TREEMAP DATASETS ====================
+
+  treemapRegionalRevenue: {
+    name: "Revenue by Region and Country",
+    description: "Two-level hierarchy from a delimited path column",
+    chartType: "treemap",
+    title: "The Americas Lead Revenue, Driven by the United States",
+    subtitle: "Annual revenue by region and country",
+    data: [
+      { Category: "Americas > United States", Revenue: 4200000 },
+      { Category: "Americas > Canada", Revenue: 910000 },
+      { Category: "Americas > Brazil", Revenue: 640000 },
+      { Category: "Americas > Mexico", Revenue: 480000 },
+      { Category: "Europe > Germany", Revenue: 1650000 },
+      { Category: "Europe > United Kingdom", Revenue: 1420000 },
+      { Category: "Europe > France", Revenue: 1180000 },
+      { Category: "Europe > Italy", Revenue: 610000 },
+      { Category: "Europe > Spain", Revenue: 520000 },
+      { Category: "Asia Pacific > Japan", Revenue: 1390000 },
+      { Category: "Asia Pacific > China", Revenue: 1240000 },
+      { Category: "Asia Pacific > Australia", Revenue: 860000 },
+      { Category: "Asia Pacific > India", Revenue: 530000 },
+      { Category: "Asia Pacific > South Korea", Revenue: 450000 },
+    ],
+    defaultSettings: {
+      hierarchyMode: "path",
+      valuePrefix: "$",
+      valueDecimalPlaces: 1,
+    },
+  },
+
+  treemapDepartmentBudget: {
+    name: "Department Budget",
+    description: "Three-level hierarchy from parent/child columns",
+    chartType: "treemap",
+    title: "Engineering Takes 42% of the Budget",
+    subtitle: "Annual budget by department and team",
+    data: [
+      { Category: "Engineering", Parent: "", Budget: 0 },
+      { Category: "Platform", Parent: "Engineering", Budget: 0 },
+      { Category: "Infrastructure", Parent: "Platform", Budget: 1400000 },
+      { Category: "Developer Tools", Parent: "Platform", Budget: 1000000 },
+      { Category: "Mobile", Parent: "Engineering", Budget: 1300000 },
+      { Category: "Data", Parent: "Engineering", Budget: 1100000 },
+      { Category: "Field Sales", Parent: "Sales", Budget: 2100000 },
+      { Category: "Sales Ops", Parent: "Sales", Budget: 600000 },
+      { Category: "Demand Gen", Parent: "Marketing", Budget: 1200000 },
+      { Category: "Brand", Parent: "Marketing", Budget: 700000 },
+      { Category: "Events", Parent: "Marketing", Budget: 450000 },
+      { Category: "People", Parent: "G&A", Budget: 610000 },
+      { Category: "Finance", Parent: "G&A", Budget: 520000 },
+      { Category: "Legal", Parent: "G&A", Budget: 380000 },
+    ],
+    defaultSettings: {
+      hierarchyMode: "parent",
+      labelFormat: "percentage",
+      valuePrefix: "$",
+      valueDecimalPlaces: 1,
+    },
+  },
+
+  // ==================== KPI CHART DATASETS ====================
+
+  kpiMonthlyMetrics: {
+    name: "Monthly Company KPIs",
+    description: "Three headline metrics with six months of history",
+    chartType: "kpi",
+    title: "Revenue Up 6.3% in December as Churn Falls",
+    subtitle: "Company KPIs, change vs. November",
+    data: [
+      { Category: "Jul", Revenue: 1184000, "Active Users": 48200, "Churn Rate (%)": 3.1 },
+      { Category: "Aug", Revenue: 1221000, "Active Users": 49100, "Churn Rate (%)": 3.0 },
+      { Category: "Sep", Revenue: 1198000, "Active Users": 50400, "Churn Rate (%)": 3.2 },
+      { Category: "Oct", Revenue: 1263000, "Active Users": 51800, "Churn Rate (%)": 2.9 },
+      { Category: "Nov", Revenue: 1310000, "Active Users": 52600, "Churn Rate (%)": 2.8 },
+      { Category: "Dec", Revenue: 1392000, "Active Users": 52100, "Churn Rate (%)": 2.6 },
+    ],
+    defaultSettings: {
+      lowerIsBetterColumns: ["Churn Rate (%)"],
+      valueDecimalPlaces: 1,
+    },
+  },
+
+  kpiWeeklyTraffic: {
+    name: "Weekly Website Traffic",
+    description: "Eight weeks of traffic metrics, with bounce rate where lower is better",
+    chartType: "kpi",
+    title: "Sessions and Conversion Rate Hit an Eight-Week High",
+    subtitle: "Week 8 vs. Week 7",
+    data: [
+      { Category: "Week 1", Sessions: 18400, "Conversion Rate (%)": 3.3, "Bounce Rate (%)": 47.2 },
+      { Category: "Week 2", Sessions: 19100, "Conversion Rate (%)": 3.4, "Bounce Rate (%)": 46.8 },
+      { Category: "Week 3", Sessions: 18800, "Conversion Rate (%)": 3.2, "Bounce Rate (%)": 48.1 },
+      { Category: "Week 4", Sessions: 20300, "Conversion Rate (%)": 3.5, "Bounce Rate (%)": 45.9 },
+      { Category: "Week 5", Sessions: 21000, "Conversion Rate (%)": 3.5, "Bounce Rate (%)": 45.1 },
+      { Category: "Week 6", Sessions: 20600, "Conversion Rate (%)": 3.4, "Bounce Rate (%)": 46.0 },
+      { Category: "Week 7", Sessions: 22400, "Conversion Rate (%)": 3.6, "Bounce Rate (%)": 44.3 },
+      { Category: "Week 8", Sessions: 23900, "Conversion Rate (%)": 3.8, "Bounce Rate (%)": 42.8 },
+    ],
+    defaultSettings: {
+      lowerIsBetterColumns: ["Bounce Rate (%)"],
+      changeFormat: "both",
+      valueDecimalPlaces: 1,
+    },
+  },
+
+  // ==================== BULLET CHART DATASETS ====================
+
+  bulletExecKpis: {
+    name: "Executive KPIs",
+    description: "Five metrics with different units, each on its own scale",
+    chartType: "bullet",
+    title: "Revenue and Satisfaction Beat Target",
+    subtitle: "Q3 actual vs. target, against poor, satisfactory and good ranges",
+    data: [
+      { Category: "Revenue ($K)", Actual: 275, Target: 250, Poor: 150, Satisfactory: 225, Good: 300 },
+      { Category: "Profit (%)", Actual: 22.5, Target: 26, Poor: 20, Satisfactory: 25, Good: 30 },
+      { Category: "Avg. Order ($)", Actual: 320, Target: 550, Poor: 350, Satisfactory: 500, Good: 600 },
+      { Category: "New Customers", Actual: 1650, Target: 2100, Poor: 1400, Satisfactory: 2000, Good: 2500 },
+      { Category: "Satisfaction (1-5)", Actual: 4.5, Target: 4.2, Poor: 3.5, Satisfactory: 4.25, Good: 5 },
+    ],
+    defaultSettings: {
+      orientation: "horizontal",
+      valueDecimalPlaces: 1,
+    },
+  },
+
+  bulletSalesQuota: {
+    name: "Sales vs. Quota",
+    description: "Quarterly bookings per sales rep on one shared scale",
+    chartType: "bullet",
+    title: "Three of Six Reps Reached Quota",
+    subtitle: "Q3 bookings vs. quota ($K)",
+    data: [
+      { Category: "Avery", Actual: 412, Target: 400, "Below Plan": 280, "On Plan": 400, Stretch: 480 },
+      { Category: "Jordan", Actual: 365, Target: 400, "Below Plan": 280, "On Plan": 400, Stretch: 480 },
+      { Category: "Riley", Actual: 448, Target: 400, "Below Plan": 280, "On Plan": 400, Stretch: 480 },
+      { Category: "Morgan", Actual: 251, Target: 350, "Below Plan": 245, "On Plan": 350, Stretch: 420 },
+      { Category: "Casey", Actual: 318, Target: 350, "Below Plan": 245, "On Plan": 350, Stretch: 420 },
+      { Category: "Quinn", Actual: 389, Target: 350, "Below Plan": 245, "On Plan": 350, Stretch: 420 },
+    ],
+    defaultSettings: {
+      orientation: "vertical",
+      sharedScale: true,
+      valuePrefix: "$",
+      valueSuffix: "K",
+    },
+  },
+
+  // ==================== DIVERGING BAR CHART DATASETS ====================
+
+  divergingProductSurvey: {
+    name: "Product Survey",
+    description: "Five-point agreement scale across product statements",
+    chartType: "bar-diverging",
+    title: "Customers Like the Product More Than the Price",
+    subtitle: "Share of respondents agreeing with each statement (%)",
+    data: [
+      { Category: "Easy to use", "Strongly disagree": 4, "Disagree": 8, "Neutral": 14, "Agree": 42, "Strongly agree": 32 },
+      { Category: "Reliable", "Strongly disagree": 6, "Disagree": 11, "Neutral": 18, "Agree": 38, "Strongly agree": 27 },
+      { Category: "Good support", "Strongly disagree": 9, "Disagree": 14, "Neutral": 22, "Agree": 33, "Strongly agree": 22 },
+      { Category: "Worth recommending", "Strongly disagree": 8, "Disagree": 15, "Neutral": 20, "Agree": 35, "Strongly agree": 22 },
+      { Category: "Fairly priced", "Strongly disagree": 21, "Disagree": 27, "Neutral": 19, "Agree": 22, "Strongly agree": 11 },
+    ],
+    defaultSettings: {
+      orientation: "horizontal",
+      barMode: "diverging",
+      divergingNeutralPosition: "center",
+      increaseColor: "#2563eb",
+      decreaseColor: "#dc2626",
+    },
+  },
+
+  divergingEmployeeEngagement: {
+    name: "Employee Engagement",
+    description: "Agreement by department with neutral answers shown separately",
+    chartType: "bar-diverging",
+    title: "Engineering Feels Least Heard",
+    subtitle: "\"Leadership listens to feedback\" by department (%)",
+    data: [
+      { Category: "Sales", "Strongly disagree": 7, "Disagree": 13, "Neither": 18, "Agree": 41, "Strongly agree": 21 },
+      { Category: "Marketing", "Strongly disagree": 5, "Disagree": 12, "Neither": 21, "Agree": 44, "Strongly agree": 18 },
+      { Category: "Operations", "Strongly disagree": 11, "Disagree": 19, "Neither": 24, "Agree": 32, "Strongly agree": 14 },
+      { Category: "Engineering", "Strongly disagree": 16, "Disagree": 26, "Neither": 23, "Agree": 26, "Strongly agree": 9 },
+      { Category: "Finance", "Strongly disagree": 6, "Disagree": 15, "Neither": 27, "Agree": 37, "Strongly agree": 15 },
+    ],
+    defaultSettings: {
+      orientation: "horizontal",
+      barMode: "diverging",
+      divergingNeutralColumns: ["Neither"],
+      divergingNeutralPosition: "side",
+      increaseColor: "#2563eb",
+      decreaseColor: "#dc2626",
+    },
+  },
+
+  divergingVoterConfidence: {
+    name: "Voter Confidence",
+    description: "Grouped survey responses by voter group and election",
+    chartType: "bar-diverging",
+    title: "Confidence in Elections Follows the Winner",
+    subtitle: "How well elections are run in the U.S. (%)",
+    data: [
+      { Period: "Nov '20", "All Voters - Not at all well": 17, "All Voters - Not too well": 24, "All Voters - Somewhat well": 24, "All Voters - Very well": 35, "Rep Candidate Voters - Not at all well": 31, "Rep Candidate Voters - Not too well": 16, "Rep Candidate Voters - Somewhat well": 39, "Rep Candidate Voters - Very well": 14, "Dem Candidate Voters - Not at all well": 2, "Dem Candidate Voters - Not too well": 4, "Dem Candidate Voters - Somewhat well": 30, "Dem Candidate Voters - Very well": 64 },
+      { Period: "Nov '24", "All Voters - Not at all well": 4, "All Voters - Not too well": 8, "All Voters - Somewhat well": 45, "All Voters - Very well": 43, "Rep Candidate Voters - Not at all well": 2, "Rep Candidate Voters - Not too well": 5, "Rep Candidate Voters - Somewhat well": 54, "Rep Candidate Voters - Very well": 39, "Dem Candidate Voters - Not at all well": 5, "Dem Candidate Voters - Not too well": 11, "Dem Candidate Voters - Somewhat well": 37, "Dem Candidate Voters - Very well": 47 },
+    ],
+    defaultSettings: {
+      orientation: "horizontal",
+      barMode: "diverging",
+      increaseColor: "#2563eb",
+      decreaseColor: "#dc2626",
+    },
+  },
+
   // ==================== AREA CHART DATASETS ====================
 
   areaChartDefault: {
@@ -1332,44 +1879,40 @@ export const sampleDatasets = {
     timeScale: "month",
   },
 
+  surveyScoreMonthly: {
+    name: "Survey Score with Margin of Error (Monthly)",
+    description: "Monthly survey results shaded by a ± margin of error column",
+    chartType: "line",
+    title: "Satisfaction Rose Beyond the Margin of Error",
+    subtitle: "Monthly customer satisfaction score (0-100), ± 95% margin of error",
+    data: [
+      { date: "2024-01-01", Satisfaction: 68.2, "Satisfaction ±": 3.4 },
+      { date: "2024-02-01", Satisfaction: 67.5, "Satisfaction ±": 3.6 },
+      { date: "2024-03-01", Satisfaction: 69.1, "Satisfaction ±": 3.2 },
+      { date: "2024-04-01", Satisfaction: 68.8, "Satisfaction ±": 3.5 },
+      { date: "2024-05-01", Satisfaction: 70.4, "Satisfaction ±": 3.1 },
+      { date: "2024-06-01", Satisfaction: 71.2, "Satisfaction ±": 2.9 },
+      { date: "2024-07-01", Satisfaction: 72.9, "Satisfaction ±": 3.0 },
+      { date: "2024-08-01", Satisfaction: 73.6, "Satisfaction ±": 2.8 },
+      { date: "2024-09-01", Satisfaction: 74.8, "Satisfaction ±": 2.7 },
+      { date: "2024-10-01", Satisfaction: 75.3, "Satisfaction ±": 2.9 },
+      { date: "2024-11-01", Satisfaction: 76.1, "Satisfaction ±": 2.6 },
+      { date: "2024-12-01", Satisfaction: 76.8, "Satisfaction ±": 2.5 },
+    ],
+    metricNames: ["Satisfaction", "Satisfaction ±"],
+    timeScale: "month",
+    defaultSettings: {
+      showErrorBars: true,
+    },
+  },
+
   serverMetricsDaily: {
     name: "Server Performance (Daily)",
     description: "System metrics over 30 days: requests, sessions, and errors",
     chartType: "line",
     title: "Server Performance - Last 30 Days",
     subtitle: "Daily tracking of requests, active sessions, and error count",
-    data: [
-      { date: "2024-10-01", Requests: 14500, Sessions: 12300, Errors: 4500 },
-      { date: "2024-10-02", Requests: 15200, Sessions: 12800, Errors: 4800 },
-      { date: "2024-10-03", Requests: 15800, Sessions: 13200, Errors: 5200 },
-      { date: "2024-10-04", Requests: 14900, Sessions: 12900, Errors: 4900 },
-      { date: "2024-10-05", Requests: 13800, Sessions: 11800, Errors: 4300 },
-      { date: "2024-10-06", Requests: 13200, Sessions: 11500, Errors: 4100 },
-      { date: "2024-10-07", Requests: 14700, Sessions: 12400, Errors: 4700 },
-      { date: "2024-10-08", Requests: 15600, Sessions: 13100, Errors: 5100 },
-      { date: "2024-10-09", Requests: 16200, Sessions: 13700, Errors: 5400 },
-      { date: "2024-10-10", Requests: 17100, Sessions: 14200, Errors: 5800 },
-      { date: "2024-10-11", Requests: 17800, Sessions: 14800, Errors: 6200 },
-      { date: "2024-10-12", Requests: 16900, Sessions: 14300, Errors: 5900 },
-      { date: "2024-10-13", Requests: 15700, Sessions: 13500, Errors: 5300 },
-      { date: "2024-10-14", Requests: 15100, Sessions: 13000, Errors: 5000 },
-      { date: "2024-10-15", Requests: 16400, Sessions: 13800, Errors: 5500 },
-      { date: "2024-10-16", Requests: 17300, Sessions: 14500, Errors: 6000 },
-      { date: "2024-10-17", Requests: 18200, Sessions: 15100, Errors: 6300 },
-      { date: "2024-10-18", Requests: 18900, Sessions: 15600, Errors: 6700 },
-      { date: "2024-10-19", Requests: 18400, Sessions: 15300, Errors: 6500 },
-      { date: "2024-10-20", Requests: 17500, Sessions: 14700, Errors: 6100 },
-      { date: "2024-10-21", Requests: 16800, Sessions: 14100, Errors: 5800 },
-      { date: "2024-10-22", Requests: 18000, Sessions: 15000, Errors: 6400 },
-      { date: "2024-10-23", Requests: 19200, Sessions: 15800, Errors: 6800 },
-      { date: "2024-10-24", Requests: 19800, Sessions: 16200, Errors: 7100 },
-      { date: "2024-10-25", Requests: 20400, Sessions: 16700, Errors: 7300 },
-      { date: "2024-10-26", Requests: 19500, Sessions: 16100, Errors: 6900 },
-      { date: "2024-10-27", Requests: 18700, Sessions: 15500, Errors: 6600 },
-      { date: "2024-10-28", Requests: 17900, Sessions: 14900, Errors: 6300 },
-      { date: "2024-10-29", Requests: 19600, Sessions: 16300, Errors: 7000 },
-      { date: "2024-10-30", Requests: 20700, Sessions: 16900, Errors: 7400 },
-    ],
+    data: serverMetricsDailyData,
     metricNames: ["Requests", "Sessions", "Errors"],
     timeScale: "day",
   },
@@ -1459,6 +2002,286 @@ export const sampleDatasets = {
     metricNames: ["Direct", "Paid Search", "Email", "Affiliate", "Display"],
     timeScale: "month",
   },
+
+  // ==================== PIE CHART DATASETS ====================
+
+  marketingChannelMix: {
+    name: "Marketing Channel Mix",
+    description: "Share of 2024 revenue by acquisition channel",
+    chartType: "pie",
+    title: "Where Our Revenue Comes From",
+    subtitle: "Share of 2024 revenue by acquisition channel",
+    data: [
+      { Category: "Direct", Revenue: 1284500 },
+      { Category: "Paid Search", Revenue: 962300 },
+      { Category: "Email", Revenue: 418700 },
+      { Category: "Affiliate", Revenue: 305200 },
+      { Category: "Display", Revenue: 96400 },
+      { Category: "Social", Revenue: 41800 },
+      { Category: "Referral", Revenue: 22600 },
+    ],
+    defaultSettings: {
+      donutMode: false,
+    },
+  },
+
+  browserMarketShare: {
+    name: "Browser Market Share",
+    description: "Desktop browser usage share - donut example with small slices grouped",
+    chartType: "pie",
+    title: "Desktop Browser Market Share",
+    subtitle: "Share of page views, Q3 2024",
+    data: [
+      { Category: "Chrome", Share: 65.4 },
+      { Category: "Edge", Share: 13.1 },
+      { Category: "Safari", Share: 9.2 },
+      { Category: "Firefox", Share: 6.6 },
+      { Category: "Opera", Share: 3.0 },
+      { Category: "Brave", Share: 1.2 },
+      { Category: "Vivaldi", Share: 0.8 },
+      { Category: "Yandex", Share: 0.7 },
+    ],
+    defaultSettings: {
+      donutMode: true,
+    },
+  },
+
+  // ==================== SANKEY DATASETS ====================
+
+  sankeySignupFlow: {
+    name: "Signup Flow",
+    description: "Where visitors go at each step of the signup funnel",
+    chartType: "sankey",
+    title: "Where Our Visitors Go",
+    subtitle: "Monthly visitors through signup, trial and purchase",
+    data: [
+      { Source: "Visitors", Target: "Sign Up Page", Value: 42000 },
+      { Source: "Visitors", Target: "Bounced", Value: 58000 },
+      { Source: "Sign Up Page", Target: "Account Created", Value: 18500 },
+      { Source: "Sign Up Page", Target: "Abandoned Form", Value: 23500 },
+      { Source: "Account Created", Target: "Free Trial", Value: 12400 },
+      { Source: "Account Created", Target: "Never Activated", Value: 6100 },
+      { Source: "Free Trial", Target: "Paid Plan", Value: 4300 },
+      { Source: "Free Trial", Target: "Trial Expired", Value: 8100 },
+    ],
+    metricNames: ["Target", "Value"],
+  },
+
+  sankeyBudgetFlow: {
+    name: "Budget Allocation",
+    description: "How revenue flows into cost centers and profit",
+    chartType: "sankey",
+    title: "Where Every Dollar Goes",
+    subtitle: "FY2024 revenue by source and use ($M)",
+    data: [
+      { Source: "Subscriptions", Target: "Revenue", Value: 64 },
+      { Source: "Services", Target: "Revenue", Value: 22 },
+      { Source: "Licensing", Target: "Revenue", Value: 14 },
+      { Source: "Revenue", Target: "Cost of Sales", Value: 31 },
+      { Source: "Revenue", Target: "Operating Expenses", Value: 47 },
+      { Source: "Revenue", Target: "Profit", Value: 22 },
+      { Source: "Operating Expenses", Target: "R&D", Value: 21 },
+      { Source: "Operating Expenses", Target: "Sales & Marketing", Value: 18 },
+      { Source: "Operating Expenses", Target: "G&A", Value: 8 },
+    ],
+    metricNames: ["Target", "Value"],
+  },
+
+  // ==================== SCATTER CHART DATASETS ====================
+
+  scatterProductPricing: {
+    name: "Product Pricing",
+    description: "Price vs. units sold per product, sized by revenue",
+    chartType: "scatter",
+    title: "Cheaper Products Sell More, Premium Ones Earn More",
+    subtitle: "Price vs. units sold, 2024 - bubble size shows revenue",
+    data: [
+      { Category: "Starter Pack", Price: 29, "Units Sold": 12400, Revenue: 359600, Segment: "Budget" },
+      { Category: "Widget Lite", Price: 49, "Units Sold": 9800, Revenue: 480200, Segment: "Budget" },
+      { Category: "Refill Set", Price: 19, "Units Sold": 15200, Revenue: 288800, Segment: "Budget" },
+      { Category: "Gadget Mini", Price: 79, "Units Sold": 6100, Revenue: 481900, Segment: "Core" },
+      { Category: "Tool Kit", Price: 99, "Units Sold": 3500, Revenue: 346500, Segment: "Core" },
+      { Category: "Travel Case", Price: 59, "Units Sold": 5200, Revenue: 306800, Segment: "Core" },
+      { Category: "Smart Hub", Price: 149, "Units Sold": 2900, Revenue: 432100, Segment: "Core" },
+      { Category: "Widget Pro", Price: 129, "Units Sold": 4200, Revenue: 541800, Segment: "Premium" },
+      { Category: "Gadget Max", Price: 199, "Units Sold": 1900, Revenue: 378100, Segment: "Premium" },
+      { Category: "Studio Bundle", Price: 349, "Units Sold": 800, Revenue: 279200, Segment: "Premium" },
+    ],
+    metricNames: ["Price", "Units Sold", "Revenue", "Segment"],
+    defaultSettings: {
+      xColumn: "Price",
+      yColumn: "Units Sold",
+      sizeColumn: "Revenue",
+      colorColumn: "Segment",
+      xScaleType: "linear",
+    },
+  },
+
+  scatterCountryHealth: {
+    name: "Wealth and Health",
+    description: "GDP per capita vs. life expectancy by country (log scale)",
+    chartType: "scatter",
+    title: "Richer Countries Live Longer",
+    subtitle: "GDP per capita (USD, log scale) vs. life expectancy, 2022 - bubble size shows population",
+    data: [
+      { Category: "United States", "GDP per Capita": 76300, "Life Expectancy": 77.5, "Population (M)": 333, Region: "Americas" },
+      { Category: "Brazil", "GDP per Capita": 8900, "Life Expectancy": 73.4, "Population (M)": 215, Region: "Americas" },
+      { Category: "Mexico", "GDP per Capita": 11100, "Life Expectancy": 74.8, "Population (M)": 127, Region: "Americas" },
+      { Category: "Germany", "GDP per Capita": 48700, "Life Expectancy": 80.7, "Population (M)": 84, Region: "Europe" },
+      { Category: "United Kingdom", "GDP per Capita": 45300, "Life Expectancy": 80.7, "Population (M)": 67, Region: "Europe" },
+      { Category: "Poland", "GDP per Capita": 18700, "Life Expectancy": 77.4, "Population (M)": 37, Region: "Europe" },
+      { Category: "Japan", "GDP per Capita": 34000, "Life Expectancy": 84.0, "Population (M)": 125, Region: "Asia" },
+      { Category: "China", "GDP per Capita": 12700, "Life Expectancy": 78.6, "Population (M)": 1412, Region: "Asia" },
+      { Category: "India", "GDP per Capita": 2400, "Life Expectancy": 67.7, "Population (M)": 1417, Region: "Asia" },
+      { Category: "Indonesia", "GDP per Capita": 4800, "Life Expectancy": 67.6, "Population (M)": 276, Region: "Asia" },
+      { Category: "Nigeria", "GDP per Capita": 2200, "Life Expectancy": 53.6, "Population (M)": 219, Region: "Africa" },
+      { Category: "Ethiopia", "GDP per Capita": 1000, "Life Expectancy": 65.0, "Population (M)": 123, Region: "Africa" },
+      { Category: "South Africa", "GDP per Capita": 6800, "Life Expectancy": 62.3, "Population (M)": 60, Region: "Africa" },
+      { Category: "Australia", "GDP per Capita": 65100, "Life Expectancy": 83.3, "Population (M)": 26, Region: "Oceania" },
+    ],
+    metricNames: ["GDP per Capita", "Life Expectancy", "Population (M)", "Region"],
+    defaultSettings: {
+      xColumn: "GDP per Capita",
+      yColumn: "Life Expectancy",
+      sizeColumn: "Population (M)",
+      colorColumn: "Region",
+      xScaleType: "log",
+    },
+  },
+
+  // ==================== HEATMAP DATASETS ====================
+
+  heatmapWeeklyTraffic: {
+    name: "Website Sessions by Day and Time",
+    description: "Average sessions per weekday and 4-hour block",
+    chartType: "heatmap",
+    title: "Weekday Lunchtimes Bring the Most Visitors",
+    subtitle: "Average website sessions by day of week and time of day (UTC)",
+    data: [
+      { Category: "Mon", "00-04": 12, "04-08": 38, "08-12": 142, "12-16": 168, "16-20": 121, "20-24": 54 },
+      { Category: "Tue", "00-04": 10, "04-08": 41, "08-12": 151, "12-16": 172, "16-20": 126, "20-24": 58 },
+      { Category: "Wed", "00-04": 11, "04-08": 40, "08-12": 148, "12-16": 176, "16-20": 131, "20-24": 61 },
+      { Category: "Thu", "00-04": 13, "04-08": 39, "08-12": 139, "12-16": 165, "16-20": 134, "20-24": 72 },
+      { Category: "Fri", "00-04": 15, "04-08": 35, "08-12": 128, "12-16": 149, "16-20": 118, "20-24": 96 },
+      { Category: "Sat", "00-04": 31, "04-08": 18, "08-12": 74, "12-16": 112, "16-20": 104, "20-24": 109 },
+      { Category: "Sun", "00-04": 28, "04-08": 16, "08-12": 66, "12-16": 98, "16-20": 87, "20-24": 63 },
+    ],
+    defaultSettings: {
+      mode: "matrix",
+      colorScale: "sequential",
+    },
+  },
+
+  heatmapSalesVsTarget: {
+    name: "Sales vs. Target",
+    description: "Monthly sales by region as a percentage above or below target",
+    chartType: "heatmap",
+    title: "The West Recovered in the Second Half",
+    subtitle: "Monthly sales vs. target by region, 2024 (%)",
+    data: [
+      { Category: "North", Jan: 4, Feb: 6, Mar: 3, Apr: 8, May: 5, Jun: 9, Jul: 7, Aug: 4, Sep: 6, Oct: 10, Nov: 12, Dec: 8 },
+      { Category: "South", Jan: -2, Feb: 1, Mar: 3, Apr: -1, May: 2, Jun: 4, Jul: 3, Aug: 1, Sep: -2, Oct: 0, Nov: 5, Dec: 6 },
+      { Category: "East", Jan: 7, Feb: 5, Mar: 2, Apr: -3, May: -6, Jun: -8, Jul: -5, Aug: -4, Sep: -7, Oct: -9, Nov: -4, Dec: -2 },
+      { Category: "West", Jan: -12, Feb: -10, Mar: -9, Apr: -11, May: -7, Jun: -4, Jul: 1, Aug: 3, Sep: 6, Oct: 8, Nov: 11, Dec: 14 },
+      { Category: "Central", Jan: 1, Feb: -1, Mar: 0, Apr: 2, May: 1, Jun: -2, Jul: 0, Aug: 2, Sep: 1, Oct: -1, Nov: 3, Dec: 2 },
+    ],
+    defaultSettings: {
+      mode: "matrix",
+      colorScale: "diverging",
+      valueSuffix: "%",
+    },
+  },
+
+  heatmapServerRequests: {
+    name: "Server Requests (Daily Calendar)",
+    description: "30 days of server metrics laid out as a calendar",
+    chartType: "heatmap",
+    title: "Requests Climbed Through October",
+    subtitle: "Daily server requests, October 2024",
+    data: serverMetricsDailyData,
+    metricNames: ["Requests", "Sessions", "Errors"],
+    defaultSettings: {
+      mode: "calendar",
+      valueColumn: "Requests",
+      colorScale: "sequential",
+    },
+  },
+
+  heatmapClothingRetail: {
+    name: "Online Clothing Retail (2 Year Calendar)",
+    description: "2 years of daily shoe sales with weekend, Back to School and Holiday peaks",
+    chartType: "heatmap",
+    title: "Shoe Sales Peak on Weekends and Before the Holidays",
+    subtitle: "Daily online shoe sales, 2023-2024",
+    data: generateClothingRetailData('2023-01-01', 730),
+    metricNames: ["Shoes", "Shirts", "Pants", "Socks", "Accessories"],
+    defaultSettings: {
+      mode: "calendar",
+      valueColumn: "Shoes",
+      colorScale: "sequential",
+      lowColor: "#ecfdf5",
+      highColor: "#065f46",
+    },
+  },
+
+  // ==================== COMBO CHART DATASETS ====================
+
+  comboRevenueProfit: {
+    name: "Revenue, Profit and Growth",
+    description: "Monthly revenue and profit as bars, month-over-month revenue change as a line",
+    chartType: "combo",
+    title: "Revenue Grew in Nine of Twelve Months",
+    subtitle: "Monthly revenue and profit ($K) with month-over-month revenue change (%), 2024",
+    data: [
+      { Category: "Jan", Revenue: 420, Profit: 58, "% Change": 3.2 },
+      { Category: "Feb", Revenue: 445, Profit: 64, "% Change": 6.0 },
+      { Category: "Mar", Revenue: 498, Profit: 77, "% Change": 11.9 },
+      { Category: "Apr", Revenue: 472, Profit: 69, "% Change": -5.2 },
+      { Category: "May", Revenue: 510, Profit: 79, "% Change": 8.1 },
+      { Category: "Jun", Revenue: 556, Profit: 91, "% Change": 9.0 },
+      { Category: "Jul", Revenue: 540, Profit: 85, "% Change": -2.9 },
+      { Category: "Aug", Revenue: 585, Profit: 97, "% Change": 8.3 },
+      { Category: "Sep", Revenue: 612, Profit: 104, "% Change": 4.6 },
+      { Category: "Oct", Revenue: 598, Profit: 99, "% Change": -2.3 },
+      { Category: "Nov", Revenue: 660, Profit: 116, "% Change": 10.4 },
+      { Category: "Dec", Revenue: 725, Profit: 134, "% Change": 9.8 },
+    ],
+    defaultSettings: {
+      seriesTypes: { Revenue: "bar", Profit: "bar", "% Change": "line" },
+      seriesAxes: { Revenue: "left", Profit: "left", "% Change": "right" },
+      axisValuePrefix: "$",
+      axisValueSuffix: "K",
+      secondaryAxisValueSuffix: "%",
+    },
+  },
+
+  comboClimate: {
+    name: "Rainfall and Temperature",
+    description: "Monthly rainfall as bars and average temperature as a line",
+    chartType: "combo",
+    title: "Wet Winters, Dry Summers",
+    subtitle: "Average monthly rainfall (mm) and temperature (°C) in Lisbon",
+    data: [
+      { Category: "Jan", Rainfall: 99, Temperature: 11.6 },
+      { Category: "Feb", Rainfall: 64, Temperature: 12.6 },
+      { Category: "Mar", Rainfall: 57, Temperature: 14.6 },
+      { Category: "Apr", Rainfall: 64, Temperature: 15.7 },
+      { Category: "May", Rainfall: 46, Temperature: 18.1 },
+      { Category: "Jun", Rainfall: 12, Temperature: 21.1 },
+      { Category: "Jul", Rainfall: 4, Temperature: 23.0 },
+      { Category: "Aug", Rainfall: 6, Temperature: 23.5 },
+      { Category: "Sep", Rainfall: 33, Temperature: 21.9 },
+      { Category: "Oct", Rainfall: 95, Temperature: 18.9 },
+      { Category: "Nov", Rainfall: 122, Temperature: 14.8 },
+      { Category: "Dec", Rainfall: 116, Temperature: 12.4 },
+    ],
+    defaultSettings: {
+      seriesTypes: { Rainfall: "bar", Temperature: "line" },
+      seriesAxes: { Rainfall: "left", Temperature: "right" },
+      axisValueSuffix: " mm",
+      secondaryAxisValueSuffix: "°C",
+    },
+  },
 };
 
 /**
@@ -2,6 +2,10 @@ import { useState, useCallback, useEffect } from "react";
 import Papa from "papaparse";
 import { getSampleDataset, isComparisonDataset } from "../data/sampleDatasets";
 import { parseCSV, csvToChartData, validateCSVStructure } from "../utils/csvUtils";
+import { getRangeRows, rowsToCSV } from "../utils/excelUtils";
+import { parseJSONRecords, flattenRecord, mapRecordsToRows } from "../utils/jsonUtils";
+import { applyImportLocale, DEFAULT_IMPORT_LOCALE, PLAIN_IMPORT_LOCALE } from "../utils/importLocale";
+import { inferColumnSchema, isNumericType, getLabelField, withLabelColumn, getMetricColumns, getImportedText, clearUnreadableCells, applyColumnTypes } from "../utils/columnSchema";
 import { debug } from "../utils/debug";
 
 /**
@@ -9,11 +13,89 @@ import { debug } from "../utils/debug";
  */
 const getDefaultDatasetKey = (chartType) => {
   if (chartType === 'slope') return 'slopeRevenue';
+  if (chartType === 'dumbbell') return 'dumbbellFeatureSatisfaction';
+  if (chartType === 'bump') return 'bumpLeagueStandings';
+  if (chartType === 'bullet') return 'bulletExecKpis';
+  if (chartType === 'radar') return 'radarCustomerSatisfaction';
+  if (chartType === 'kpi') return 'kpiMonthlyMetrics';
+  if (chartType === 'treemap') return 'treemapRegionalRevenue';
   if (chartType === 'bar') return 'barSimple';
+  if (chartType === 'bar-waterfall') return 'waterfallRevenueBridge';
+  if (chartType === 'bar-diverging') return 'divergingProductSurvey';
   if (chartType === 'line') return 'marketingChannelRevenue';
+  if (chartType === 'pie') return 'marketingChannelMix';
+  if (chartType === 'scatter') return 'scatterProductPricing';
+  if (chartType === 'heatmap') return 'heatmapWeeklyTraffic';
+  if (chartType === 'histogram') return 'histogramDeliveryTimes';
+  if (chartType === 'boxplot') return 'boxPlotDeliveryTimes';
+  if (chartType === 'combo') return 'comboRevenueProfit';
   return 'generic';
 };
 
+/**
+ * Get the name of the first (label) column for a chart type
+ * Line charts use 'date', bar, bullet, radar, KPI, pie, treemap, scatter, combo and distribution charts use 'Category', Sankey uses 'Source', others use 'Stage'
+ * Heatmaps use 'date' when the first column holds dates (calendar mode) and 'Category' otherwise
+ */
+const getStageFieldName = (chartType, fieldOrder, rows = []) => {
+  const isLineChart = chartType === 'line' || chartType === 'area' || chartType === 'area-stacked';
+  if (isLineChart) return 'date';
+  if (chartType === 'heatmap') {
+    const firstLabel = rows[0]?.[fieldOrder?.[0]];
+    return /^\d{4}-\d{1,2}-\d{1,2}$/.test(String(firstLabel ?? '').trim()) ? 'date' : 'Category';
+  }
+  if (chartType?.startsWith('bar-') || chartType === 'bullet' || chartType === 'radar' || chartType === 'kpi' ||
+    chartType === 'pie' || chartType === 'treemap' || chartType === 'scatter' || chartType === 'combo' || chartType === 'histogram' || chartType === 'boxplot') return 'Category';
+  if (chartType === 'sankey') return 'Source';
+  return 'Stage';
+};
+
+/**
+ * Get the columns that hold text rather than numbers for a chart type
+ * Sankey CSVs are source,target,value - the second column holds target node names
+ * Other CSVs may include text columns (e.g. Region) to color scatter points by or to split
+ * a chart into small multiples - the columns whose inferred type isn't numeric
+ */
+const getTextColumns = (chartType, fieldOrder, columnTypes = {}) => {
+  if (chartType === 'sankey' && fieldOrder?.length > 1) return [fieldOrder[1]];
+  if (fieldOrder?.length > 1) {
+    return fieldOrder.slice(1).filter(col => !isNumericType(columnTypes[col]));
+  }
+  return [];
+};
+
+/**
+ * Infer the schema of rows loaded whole (samples, snapshots), label column included
+ * The label column is the first text column, or else the first column that isn't a value column
+ */
+const inferRowsSchema = (rows, periods = []) => {
+  if (!rows || rows.length === 0) return {};
+  const fields = Object.keys(rows[0]).filter(key => key !== 'hidden' && key !== '_id');
+  const schema = inferColumnSchema(rows, rows, fields);
+  if (getLabelField(rows[0], schema, periods)) return schema;
+  const labelField = fields.find(key => !periods.includes(key));
+  return labelField ? withLabelColumn(schema, labelField, rows.map(row => row[labelField])) : schema;
+};
+
+/**
+ * Only scatter and Sankey charts plot text columns; elsewhere they start hidden and can split small multiples
+ */
+const plotsTextColumns = (chartType) => chartType === 'scatter' || chartType === 'sankey';
+
+/**
+ * Import warnings for the placeholder cells ("N/A", "-") cleared from numeric columns
+ */
+const getClearedCellWarnings = (cleared) => Object.entries(cleared).map(([column, texts]) => (
+  `Column "${column}": ${texts.length === 1 ? `"${texts[0]}" isn't a number, so that cell` : `${texts.length} cells like "${texts[0]}" aren't numbers, so they`} will be left empty.`
+));
+
+/**
+ * Import warning for a text column that starts hidden, so it doesn't just vanish from the chart
+ */
+const getHiddenColumnWarning = (column) => (
+  `Column "${column}" holds text, so it is hidden from the chart. Use it to split small multiples, or set its type to Number in the data table to plot it.`
+);
+
 /**
  * Custom hook for managing chart data
  */
@@ -22,6 +104,7 @@ export const useChartData = (chartType = 'funnel') => {
   const defaultDatasetKey = getDefaultDatasetKey(chartType);
   const defaultDataset = getSampleDataset(defaultDatasetKey);
   const defaultChartData = defaultDataset?.data || null;
+  const defaultSchema = inferRowsSchema(defaultChartData);
 
   // Extract default periods based on data structure
   let defaultPeriods = [];
@@ -30,11 +113,9 @@ export const useChartData = (chartType = 'funnel') => {
     if (isGroupedStacked) {
       defaultPeriods = [...new Set(defaultChartData.map(d => d.Period))];
     } else {
-      // For Line charts, metrics are the keys excluding 'date'
-      // For other charts, periods are the keys excluding 'Stage' or 'Category'
-      defaultPeriods = Object.keys(defaultChartData[0]).filter((key) =>
-        key !== "Stage" && key !== "Category" && key !== "date"
-      );
+      // Periods are the keys other than the label column
+      const labelField = getLabelField(defaultChartData[0], defaultSchema);
+      defaultPeriods = Object.keys(defaultChartData[0]).filter((key) => key !== labelField);
     }
   }
 
@@ -47,16 +128,31 @@ export const useChartData = (chartType = 'funnel') => {
 
   // Track raw data for Save/Load functionality
   const [rawCSV, setRawCSV] = useState('');
-  const [source, setSource] = useState('sample'); // 'sample', 'csv-upload', 'csv-paste', 'google-sheets'
+  const [source, setSource] = useState('sample'); // 'sample', 'csv-upload', 'csv-paste', 'google-sheets', 'excel-upload', 'json-upload', 'json-paste', 'html-paste'
   const [googleSheetsUrl, setGoogleSheetsUrl] = useState('');
+  // Field mapping of the last JSON import, so a fresh export of the same API maps the same way
+  const [fieldMapping, setFieldMapping] = useState(null);
+
+  // How imported files write numbers and dates, and what the last import couldn't settle
+  const [importLocale, setImportLocale] = useState(DEFAULT_IMPORT_LOCALE);
+  const [importWarnings, setImportWarnings] = useState([]);
+
+  // Column types inferred at import, and the ones the user picked in the data table
+  const [columnTypes, setColumnTypes] = useState(defaultSchema);
+  const [columnTypeOverrides, setColumnTypeOverrides] = useState({});
+  // Text the imported numbers were read from, for columns retyped as text
+  const [importedText, setImportedText] = useState({});
+  const columnSchema = { ...columnTypes, ...columnTypeOverrides };
+  const labelField = getLabelField(editableData?.[0], columnSchema, periodNames);
 
   // Automatically filter hidden rows from chart data
+  // Overridden columns are converted here, so the table keeps the values as they were typed
   useEffect(() => {
     if (editableData && editableData.length > 0) {
       const visibleData = editableData.filter(row => !row.hidden);
-      setData(structuredClone(visibleData));
+      setData(structuredClone(applyColumnTypes(visibleData, columnTypeOverrides, importedText)));
     }
-  }, [editableData]);
+  }, [editableData, columnTypeOverrides, importedText]);
 
   /**
    * Detect if data is in flattened grouped-stacked format
@@ -123,6 +219,7 @@ export const useChartData = (chartType = 'funnel') => {
 
     let chartData = dataset.data;
     let editableData = structuredClone(chartData);
+    const schema = inferRowsSchema(dataset.data);
     let periods;
 
     // For line charts, use metricNames from the dataset
@@ -142,8 +239,9 @@ export const useChartData = (chartType = 'funnel') => {
         // Keep flattened format for editing (Datawrapper style!)
         editableData = structuredClone(dataset.data);
       } else {
-        // For regular format, filter out Stage/Category columns
-        periods = Object.keys(chartData[0]).filter((key) => key !== "Stage" && key !== "Category");
+        // For regular format, filter out the label column
+        const labelField = getLabelField(chartData[0], schema);
+        periods = Object.keys(chartData[0]).filter((key) => key !== labelField);
       }
     }
 
@@ -152,6 +250,9 @@ export const useChartData = (chartType = 'funnel') => {
     setEditableData(editableData);
     setIsComparisonMode(isComparisonDataset(datasetKey));
     setError(null);
+    setColumnTypes(schema);
+    setColumnTypeOverrides({});
+    setImportedText({});
 
     // Convert sample data to CSV for Save/Load functionality
     // Use the original dataset.data structure for CSV conversion
@@ -177,6 +278,8 @@ export const useChartData = (chartType = 'funnel') => {
     }
     setRawCSV(csvRows.join('\n'));
     setSource('sample');
+    setFieldMapping(null);
+    setImportWarnings([]);
 
     return true;
   }, []);
@@ -189,7 +292,7 @@ export const useChartData = (chartType = 'funnel') => {
       // Read file content as text for storage
       const fileText = await file.text();
 
-      const results = await parseCSV(file);
+      const results = await parseCSV(file, importLocale);
 
       if (results.errors && results.errors.length > 0) {
         setError("Error parsing CSV: " + results.errors[0].message);
@@ -199,39 +302,55 @@ export const useChartData = (chartType = 'funnel') => {
       // Use meta.fields to preserve original column order (important for numeric column names)
       const fieldOrder = results.meta?.fields;
 
-      const validation = validateCSVStructure(results.data, fieldOrder);
+      const inferredTypes = inferColumnSchema(results.rawData, results.data, fieldOrder.slice(1));
+      const { rows, cleared } = clearUnreadableCells(results.data, inferredTypes);
+      const textColumns = getTextColumns(chartType, fieldOrder, inferredTypes);
+      const validation = validateCSVStructure(rows, fieldOrder, textColumns);
       if (!validation.valid) {
         setError("Invalid CSV structure: " + validation.errors.join(", "));
         return false;
       }
 
       // Determine the field name based on chart type
-      const isLineChart = chartType === 'line' || chartType === 'area' || chartType === 'area-stacked';
-      const isBarChart = chartType?.startsWith('bar-');
-      const stageFieldName = isLineChart ? 'date' : (isBarChart ? 'Category' : 'Stage');
-      const { data: chartData, periods } = csvToChartData(results.data, fieldOrder, stageFieldName);
+      const stageFieldName = getStageFieldName(chartType, fieldOrder, rows);
+      const { data: chartData, periods } = csvToChartData(rows, fieldOrder, stageFieldName, textColumns);
 
       setData(chartData);
       setPeriodNames(periods);
       setEditableData(structuredClone(chartData));
       setIsComparisonMode(false);
       setError(null);
+      setColumnTypes(withLabelColumn(inferredTypes, stageFieldName, chartData.map(row => row[stageFieldName])));
+      setColumnTypeOverrides({});
+      setImportedText(getImportedText(results.rawData, results.data, inferredTypes));
+
+      const hiddenTextColumns = plotsTextColumns(chartType) ? [] : textColumns;
+      if (hiddenTextColumns.length > 0) {
+        setHiddenPeriods((prev) => new Set([...prev, ...hiddenTextColumns]));
+      }
 
       // Track raw CSV for Save/Load
       setRawCSV(fileText);
       setSource('csv-upload');
+      setFieldMapping(null);
+      setImportWarnings([
+        ...(results.warnings || []),
+        ...getClearedCellWarnings(cleared),
+        ...hiddenTextColumns.map(getHiddenColumnWarning),
+      ]);
 
       return true;
     } catch (err) {
       setError("Failed to load CSV: " + err.message);
       return false;
     }
-  }, [chartType]);
+  }, [chartType, importLocale]);
 
   /**
    * Load CSV from text string (for copy/paste functionality)
+   * locale overrides the import locale - CSV this app builds itself passes PLAIN_IMPORT_LOCALE
    */
-  const loadCSVText = useCallback(async (csvText, delimiter = ',', source = 'csv-paste') => {
+  const loadCSVText = useCallback(async (csvText, delimiter = ',', source = 'csv-paste', locale = importLocale) => {
     try {
       const Papa = (await import('papaparse')).default;
 
@@ -244,10 +363,11 @@ export const useChartData = (chartType = 'funnel') => {
         delimiter = '\t';
       }
 
+      // Values stay text here so numbers and dates are read with the import locale below
       const results = Papa.parse(processedText, {
         header: true,
         delimiter: delimiter,
-        dynamicTyping: true,
+        dynamicTyping: false,
         skipEmptyLines: true
       });
 
@@ -263,35 +383,92 @@ export const useChartData = (chartType = 'funnel') => {
 
       // Use meta.fields to preserve original column order
       const fieldOrder = results.meta?.fields || Object.keys(results.data[0]);
+      const { data: localeRows, warnings } = applyImportLocale(results.data, fieldOrder, locale);
 
-      const validation = validateCSVStructure(results.data, fieldOrder);
+      const inferredTypes = inferColumnSchema(results.data, localeRows, fieldOrder.slice(1));
+      const { rows, cleared } = clearUnreadableCells(localeRows, inferredTypes);
+      const textColumns = getTextColumns(chartType, fieldOrder, inferredTypes);
+      const validation = validateCSVStructure(rows, fieldOrder, textColumns);
       if (!validation.valid) {
         setError("Invalid CSV structure: " + validation.errors.join(", "));
         return false;
       }
 
       // Determine the field name based on chart type
-      const isLineChart = chartType === 'line' || chartType === 'area' || chartType === 'area-stacked';
-      const isBarChart = chartType?.startsWith('bar-');
-      const stageFieldName = isLineChart ? 'date' : (isBarChart ? 'Category' : 'Stage');
-      const { data: chartData, periods } = csvToChartData(results.data, fieldOrder, stageFieldName);
+      const stageFieldName = getStageFieldName(chartType, fieldOrder, rows);
+      const { data: chartData, periods } = csvToChartData(rows, fieldOrder, stageFieldName, textColumns);
 
       setData(chartData);
       setPeriodNames(periods);
       setEditableData(structuredClone(chartData));
       setIsComparisonMode(false);
       setError(null);
+      setColumnTypes(withLabelColumn(inferredTypes, stageFieldName, chartData.map(row => row[stageFieldName])));
+      setColumnTypeOverrides({});
+      setImportedText(getImportedText(results.data, rows, inferredTypes));
+
+      const hiddenTextColumns = plotsTextColumns(chartType) ? [] : textColumns;
+      if (hiddenTextColumns.length > 0) {
+        setHiddenPeriods((prev) => new Set([...prev, ...hiddenTextColumns]));
+      }
 
       // Track raw CSV for Save/Load
       setRawCSV(csvText);
       setSource(source);
+      setFieldMapping(null);
+      setImportWarnings([...warnings, ...getClearedCellWarnings(cleared), ...hiddenTextColumns.map(getHiddenColumnWarning)]);
 
       return true;
     } catch (err) {
       setError("Failed to load CSV text: " + err.message);
       return false;
     }
-  }, [chartType]);
+  }, [chartType, importLocale]);
+
+  /**
+   * Load a sheet range or Excel table from a workbook read by readExcelFile
+   * The cells go through the CSV loader, so they are validated and converted like an uploaded CSV
+   */
+  const loadExcelRange = useCallback(async (workbook, selection) => {
+    try {
+      const rows = getRangeRows(workbook, selection);
+      if (rows.length < 2) {
+        setError("The selected range needs a header row and at least one row of data");
+        return false;
+      }
+      return await loadCSVText(rowsToCSV(rows), ',', 'excel-upload', PLAIN_IMPORT_LOCALE);
+    } catch (err) {
+      setError("Failed to load Excel data: " + err.message);
+      return false;
+    }
+  }, [loadCSVText]);
+
+  /**
+   * Load JSON or NDJSON records using a field mapping from suggestFieldMapping or the user
+   * Nested keys are flattened to dot paths, then the mapped columns go through the CSV loader
+   */
+  const loadJSONText = useCallback(async (jsonText, mapping, source = 'json-paste') => {
+    try {
+      if (!mapping?.labelField || !mapping.valueFields?.length) {
+        setError("Pick a label field and at least one column to load");
+        return false;
+      }
+
+      const { records } = parseJSONRecords(jsonText, mapping.recordsPath || undefined);
+      if (records.length === 0) {
+        setError("No records found in JSON");
+        return false;
+      }
+
+      const rows = mapRecordsToRows(records.map(record => flattenRecord(record)), mapping);
+      const success = await loadCSVText(rowsToCSV(rows), ',', source, PLAIN_IMPORT_LOCALE);
+      if (success) setFieldMapping(mapping);
+      return success;
+    } catch (err) {
+      setError("Failed to load JSON: " + err.message);
+      return false;
+    }
+  }, [loadCSVText]);
 
   /**
    * Update data value
@@ -350,6 +527,28 @@ export const useChartData = (chartType = 'funnel') => {
     });
   }, []);
 
+  /**
+   * Override the type of a column
+   * Columns switched to a numeric type are shown; columns switched away from one are hidden,
+   * except on charts that plot text columns. The label column can only be a category or a date,
+   * as a numeric label column would no longer be found as the label.
+   */
+  const setColumnType = useCallback((columnName, type) => {
+    if (columnName === labelField && isNumericType(type)) return;
+    setColumnTypeOverrides((prev) => ({ ...prev, [columnName]: type }));
+
+    if (plotsTextColumns(chartType)) return;
+    setHiddenPeriods((prev) => {
+      const updated = new Set(prev);
+      if (isNumericType(type)) {
+        updated.delete(columnName);
+      } else {
+        updated.add(columnName);
+      }
+      return updated;
+    });
+  }, [chartType, labelField]);
+
   /**
    * Update period name
    */
@@ -373,6 +572,16 @@ export const useChartData = (chartType = 'funnel') => {
       }
       return prev;
     });
+
+    // Column types follow the renamed column
+    const renameKey = (prev) => {
+      if (!(oldName in prev)) return prev;
+      const { [oldName]: type, ...rest } = prev;
+      return { ...rest, [newName]: type };
+    };
+    setColumnTypes(renameKey);
+    setColumnTypeOverrides(renameKey);
+    setImportedText(renameKey);
   }, []);
 
   /**
@@ -487,9 +696,7 @@ export const useChartData = (chartType = 'funnel') => {
     if (!editableData || editableData.length === 0) return;
 
     const firstRow = editableData[0];
-    const categoryField = Object.keys(firstRow).find(
-      key => key === 'Category' || key === 'Stage' || key === 'date'
-    );
+    const categoryField = labelField;
 
     if (!categoryField) return;
 
@@ -516,7 +723,10 @@ export const useChartData = (chartType = 'funnel') => {
     // Update both editableData and periodNames
     setEditableData(transposedData);
     setPeriodNames(newPeriodNames);
-  }, [editableData]);
+    setColumnTypes(withLabelColumn(inferColumnSchema(transposedData, transposedData, newPeriodNames), categoryField, periods));
+    setColumnTypeOverrides({});
+    setImportedText({});
+  }, [editableData, labelField]);
 
   /**
    * Apply edited data to main data (filtering out hidden rows)
@@ -524,7 +734,7 @@ export const useChartData = (chartType = 'funnel') => {
   const applyEdits = useCallback(() => {
     // Filter out rows where hidden is true
     const visibleData = editableData.filter(row => !row.hidden);
-    setData(structuredClone(visibleData));
+    setData(structuredClone(applyColumnTypes(visibleData, columnTypeOverrides, importedText)));
 
     // Regenerate CSV from current data so it's saved correctly to Figma
     // Remove internal fields like 'hidden' and '_id' before converting to CSV
@@ -537,7 +747,7 @@ export const useChartData = (chartType = 'funnel') => {
     const csvString = Papa.unparse(cleanedData);
     setRawCSV(csvString);
     debug.log('ChartData', 'Regenerated CSV from current data');
-  }, [editableData]);
+  }, [editableData, columnTypeOverrides, importedText]);
 
   /**
    * Reset edits
@@ -555,6 +765,9 @@ export const useChartData = (chartType = 'funnel') => {
     setEditableData([]);
     setIsComparisonMode(false);
     setError(null);
+    setColumnTypes({});
+    setColumnTypeOverrides({});
+    setImportedText({});
   }, []);
 
   /**
@@ -563,24 +776,24 @@ export const useChartData = (chartType = 'funnel') => {
   const getPeriodData = useCallback((periodName) => {
     if (!data) return [];
     return data.map((row) => ({
-      stage: row.Stage || row.Category,
+      stage: row[labelField],
       value: row[periodName] || 0,
     }));
-  }, [data]);
+  }, [data, labelField]);
 
   /**
    * Get data for a specific stage
    */
   const getStageData = useCallback((stageName) => {
     if (!data) return [];
-    const row = data.find((r) => r.Stage === stageName || r.Category === stageName);
+    const row = data.find((r) => r[labelField] === stageName);
     if (!row) return [];
 
     return periodNames.map((period) => ({
       period,
       value: row[period] || 0,
     }));
-  }, [data, periodNames]);
+  }, [data, periodNames, labelField]);
 
   /**
    * Sort stages by value in a specific period
@@ -622,6 +835,9 @@ export const useChartData = (chartType = 'funnel') => {
     setEditableData(structuredClone(snapshotData));
     setIsComparisonMode(snapshotIsComparison);
     setError(null);
+    setColumnTypes(inferRowsSchema(snapshotData, snapshotPeriods));
+    setColumnTypeOverrides({});
+    setImportedText({});
 
     return true;
   }, []);
@@ -640,16 +856,28 @@ export const useChartData = (chartType = 'funnel') => {
     source,
     googleSheetsUrl,
     setGoogleSheetsUrl,
+    fieldMapping,
+    setFieldMapping,
+    importLocale,
+    setImportLocale,
+    importWarnings,
+    columnSchema,
+    labelField,
+    columnTypeOverrides,
+    setColumnTypeOverrides,
 
     // Actions
     loadSampleData,
     loadCSVFile,
     loadCSVText,
+    loadExcelRange,
+    loadJSONText,
     loadSnapshotData,
     updateDataValue,
     updateStageName,
     toggleStageHidden,
     togglePeriodHidden,
+    setColumnType,
     updatePeriodName,
     addPeriod,
     removePeriod,
@@ -674,6 +902,7 @@ export const useChartData = (chartType = 'funnel') => {
     hasData: data !== null && data.length > 0,
     stageCount: data?.length || 0,
     periodCount: periodNames.length,
+    metricPeriods: getMetricColumns(periodNames, columnSchema),
   };
 };
 
@@ -38,6 +38,12 @@ export const useStyleSettings = (initialTheme = theme) => {
   const [barWidth, setBarWidth] = useState(100);
   const [stageLabelPosition, setStageLabelPosition] = useState("bottom");
 
+  // Small multiples (any chart type)
+  const [smallMultiplesMode, setSmallMultiplesMode] = useState("off"); // "off", "metrics" or "column"
+  const [smallMultiplesColumn, setSmallMultiplesColumn] = useState(""); // Text column to split by in "column" mode
+  const [smallMultiplesGridColumns, setSmallMultiplesGridColumns] = useState(3);
+  const [smallMultiplesSharedScale, setSmallMultiplesSharedScale] = useState(true);
+
   // Visual
   const [axisLineWidth, setAxisLineWidth] = useState(3);
   const [backgroundOpacity, setBackgroundOpacity] = useState(100);
@@ -52,6 +58,8 @@ export const useStyleSettings = (initialTheme = theme) => {
   const [inStageLabelFontSize, setInStageLabelFontSize] = useState(13);
   const [showSparklines, setShowSparklines] = useState(false);
   const [sparklineType, setSparklineType] = useState("volume");
+  const [showSignificance, setShowSignificance] = useState(true); // Significance tests on comparison funnel brackets
+  const [significanceLevel, setSignificanceLevel] = useState(0.05); // p-value below which a difference counts as significant
   const [userTier, setUserTier] = useState("free"); // "free" or "pro"
 
   // Theme settings
@@ -87,13 +95,32 @@ export const useStyleSettings = (initialTheme = theme) => {
   const [slopeAxisLineStyle, setSlopeAxisLineStyle] = useState("solid"); // 'solid', 'dashed', 'dotted'
   const [axisEnds, setAxisEnds] = useState("none"); // 'none', 't-end'
 
+  // Dumbbell Chart specific (colors, lines and labels are shared with the slope chart above)
+  const [dumbbellSortBy, setDumbbellSortBy] = useState("gap"); // 'gap', 'change', 'end', or 'none'
+
+  // Bump Chart specific (colors, lines, labels and emphasis are shared with the slope chart above)
+  const [bumpRankOrder, setBumpRankOrder] = useState("highest"); // 'highest' or 'lowest' value ranks 1st
+  const [bumpSmoothLines, setBumpSmoothLines] = useState(true);
+
   // Bar Chart specific
-  const [barMode, setBarMode] = useState("grouped"); // 'grouped' or 'stacked'
+  const [barMode, setBarMode] = useState("grouped"); // 'grouped', 'stacked', 'waterfall', or 'diverging'
   const [labelMode, setLabelMode] = useState("direct"); // 'legend' or 'direct'
   const [directLabelContent, setDirectLabelContent] = useState("metrics"); // 'metrics', 'metrics-category', or 'category'
   const [emphasizedBars, setEmphasizedBars] = useState([]); // Array of bar identifiers to emphasize
   const [showTotalLabels, setShowTotalLabels] = useState(true); // Show total labels on stacked bars
   const [boldTotal, setBoldTotal] = useState(false); // Make total labels bold
+  const [waterfallSubtotals, setWaterfallSubtotals] = useState([]); // Categories drawn as running-total bars
+  const [showWaterfallTotal, setShowWaterfallTotal] = useState(true); // Append an end total bar to waterfalls
+  const [waterfallTotalLabel, setWaterfallTotalLabel] = useState("Total"); // Category name of the end total bar
+  const [showWaterfallConnectors, setShowWaterfallConnectors] = useState(true); // Dashed lines joining waterfall steps
+  const [divergingNegativeColumns, setDivergingNegativeColumns] = useState([]); // Columns stacked below the diverging midpoint
+  const [divergingNeutralColumns, setDivergingNeutralColumns] = useState([]); // Columns treated as neutral responses
+  const [divergingNeutralPosition, setDivergingNeutralPosition] = useState("center"); // 'center' or 'side'
+  const [divergingNeutralColor, setDivergingNeutralColor] = useState("#9ca3af"); // Color of neutral responses
+  const [showErrorBars, setShowErrorBars] = useState(false); // Whiskers on bars, shaded bands on lines
+  const [errorBarColumns, setErrorBarColumns] = useState({}); // Explicit series -> { lower, upper } or { margin }; unset series use detected columns
+  const [referenceLines, setReferenceLines] = useState([]); // Reference lines and bands on bar and line charts, see resolveReferences
+  const [annotations, setAnnotations] = useState([]); // Callouts anchored to data on bar and line charts; saved with the chart, not in style presets
   const [xAxisFontSize, setXAxisFontSize] = useState(12); // X-axis primary label font size
   const [xAxisSecondaryFontSize, setXAxisSecondaryFontSize] = useState(12); // X-axis secondary label font size
   const [yAxisFontSize, setYAxisFontSize] = useState(20); // Y-axis label font size
@@ -101,6 +128,138 @@ export const useStyleSettings = (initialTheme = theme) => {
   const [axisLabelFontSize, setAxisLabelFontSize] = useState(17); // Axis label font size
   const [xAxisLabelRotation, setXAxisLabelRotation] = useState(0); // X-axis label rotation angle (0-90 degrees)
 
+  // Pie Chart specific
+  const [donutMode, setDonutMode] = useState(false); // true = donut, false = pie
+  const [donutThickness, setDonutThickness] = useState(40); // Ring thickness as % of radius (10-90)
+  const [showDonutTotal, setShowDonutTotal] = useState(true); // Show total in the donut hole
+  const [pieStartAngle, setPieStartAngle] = useState(0); // Rotation of the first slice in degrees
+  const [sortSlices, setSortSlices] = useState(true); // Sort slices largest to smallest
+  const [otherThreshold, setOtherThreshold] = useState(0); // Group slices below this % into "Other" (0 = off)
+  const [otherLabel, setOtherLabel] = useState("Other"); // Label for the grouped slice
+  const [pieLabelPosition, setPieLabelPosition] = useState("outside"); // 'outside', 'inside', or 'none'
+  const [pieLabelFormat, setPieLabelFormat] = useState("percentage"); // 'percentage', 'value', or 'both'
+  const [emphasizedSlices, setEmphasizedSlices] = useState([]); // Array of slice ids (category names) to emphasize
+
+  // Sankey Chart specific
+  const [sankeyNodeWidth, setSankeyNodeWidth] = useState(20); // Node bar width in px
+  const [sankeyNodePadding, setSankeyNodePadding] = useState(16); // Vertical gap between nodes in px
+  const [sankeyNodeAlign, setSankeyNodeAlign] = useState("justify"); // 'justify' or 'left'
+  const [sankeyColorMode, setSankeyColorMode] = useState("depth"); // 'depth' (funnel shading) or 'palette'
+  const [sankeyLinkOpacity, setSankeyLinkOpacity] = useState(0.35); // Flow opacity (0-1)
+  const [sankeyLinkColorMode, setSankeyLinkColorMode] = useState("source"); // 'source', 'target', or 'neutral'
+  const [sankeyLabelFormat, setSankeyLabelFormat] = useState("both"); // 'value', 'percentage', or 'both'
+  const [showNodeValues, setShowNodeValues] = useState(true); // Show values under node labels
+  const [emphasizedNodes, setEmphasizedNodes] = useState([]); // Array of node names to emphasize
+
+  // Scatter Chart specific
+  const [scatterXColumn, setScatterXColumn] = useState(""); // Column for x position ('' = first numeric column)
+  const [scatterYColumn, setScatterYColumn] = useState(""); // Column for y position ('' = second numeric column)
+  const [scatterSizeColumn, setScatterSizeColumn] = useState(""); // Column for bubble size ('' = fixed size)
+  const [scatterColorColumn, setScatterColorColumn] = useState(""); // Column for point color ('' = single color)
+  const [scatterXScaleType, setScatterXScaleType] = useState("linear"); // 'linear' or 'log'
+  const [scatterYScaleType, setScatterYScaleType] = useState("linear"); // 'linear' or 'log'
+  const [scatterXAxisTitle, setScatterXAxisTitle] = useState(""); // X-axis title ('' = column name)
+  const [scatterYAxisTitle, setScatterYAxisTitle] = useState(""); // Y-axis title ('' = column name)
+  const [scatterXAxisPrefix, setScatterXAxisPrefix] = useState(""); // Prefix for x-axis values (y-axis uses axisValuePrefix)
+  const [scatterXAxisSuffix, setScatterXAxisSuffix] = useState(""); // Suffix for x-axis values (y-axis uses axisValueSuffix)
+  const [scatterPointRadius, setScatterPointRadius] = useState(6); // Point radius when no size column is mapped
+  const [bubbleMaxRadius, setBubbleMaxRadius] = useState(32); // Radius of the largest bubble
+  const [scatterPointOpacity, setScatterPointOpacity] = useState(0.75); // Point fill opacity (0-1)
+  const [showQuadrants, setShowQuadrants] = useState(false); // Show quadrant reference lines
+  const [quadrantXMode, setQuadrantXMode] = useState("median"); // 'mean', 'median', or 'custom'
+  const [quadrantXValue, setQuadrantXValue] = useState(0); // Vertical divider when quadrantXMode is 'custom'
+  const [quadrantYMode, setQuadrantYMode] = useState("median"); // 'mean', 'median', or 'custom'
+  const [quadrantYValue, setQuadrantYValue] = useState(0); // Horizontal divider when quadrantYMode is 'custom'
+  const [quadrantLabels, setQuadrantLabels] = useState(["", "", "", ""]); // Top right, top left, bottom left, bottom right
+  const [scatterLabelMode, setScatterLabelMode] = useState("emphasized"); // 'emphasized', 'all', or 'none'
+  const [emphasizedScatterPoints, setEmphasizedScatterPoints] = useState([]); // Array of point names to label (max 4)
+
+  // Heatmap Chart specific (row/column labels use showYAxisLabels/showXAxisLabels)
+  const [heatmapMode, setHeatmapMode] = useState("matrix"); // 'matrix' or 'calendar'
+  const [heatmapValueColumn, setHeatmapValueColumn] = useState(""); // Column plotted in calendar mode ('' = first column)
+  const [heatmapColorScale, setHeatmapColorScale] = useState("sequential"); // 'sequential' or 'diverging'
+  const [heatmapLowColor, setHeatmapLowColor] = useState("#eff6ff"); // Sequential low end
+  const [heatmapHighColor, setHeatmapHighColor] = useState("#1e3a8a"); // High end for both scales
+  const [heatmapMidColor, setHeatmapMidColor] = useState("#f9fafb"); // Diverging midpoint color
+  const [heatmapDivergingLowColor, setHeatmapDivergingLowColor] = useState("#b91c1c"); // Diverging low end
+  const [heatmapMidpointAuto, setHeatmapMidpointAuto] = useState(true); // Midpoint at 0 if the data crosses zero, otherwise the mean
+  const [heatmapMidpoint, setHeatmapMidpoint] = useState(0); // Diverging midpoint when not automatic
+  const [heatmapEmptyColor, setHeatmapEmptyColor] = useState("#f3f4f6"); // Cells without a value
+  const [heatmapCellGap, setHeatmapCellGap] = useState(2); // Gap between cells in px
+  const [heatmapCellRadius, setHeatmapCellRadius] = useState(2); // Cell corner radius in px
+  const [showHeatmapCellValues, setShowHeatmapCellValues] = useState(true); // Show values inside cells where they fit
+  const [heatmapLegendTitle, setHeatmapLegendTitle] = useState(""); // Legend title ('' = plotted column in calendar mode)
+
+  // Combo Chart specific (the left axis uses the axisMinimum/axisValuePrefix family below)
+  const [comboSeriesTypes, setComboSeriesTypes] = useState({}); // { column: 'bar' | 'line' } (unset = last column is a line)
+  const [comboSeriesAxes, setComboSeriesAxes] = useState({}); // { column: 'left' | 'right' } (unset = lines on the right)
+  const [comboLeftAxisTitle, setComboLeftAxisTitle] = useState(""); // Left axis title ('' = series names)
+  const [comboRightAxisTitle, setComboRightAxisTitle] = useState(""); // Right axis title ('' = series names)
+  const [secondaryAxisMinimum, setSecondaryAxisMinimum] = useState(0);
+  const [secondaryAxisMinimumAuto, setSecondaryAxisMinimumAuto] = useState(true);
+  const [secondaryAxisMaximum, setSecondaryAxisMaximum] = useState(100);
+  const [secondaryAxisMaximumAuto, setSecondaryAxisMaximumAuto] = useState(true);
+  const [secondaryAxisMajorUnit, setSecondaryAxisMajorUnit] = useState(10);
+  const [secondaryAxisMajorUnitAuto, setSecondaryAxisMajorUnitAuto] = useState(true);
+  const [secondaryAxisValuePrefix, setSecondaryAxisValuePrefix] = useState(""); // Prefix for right axis values
+  const [secondaryAxisValueSuffix, setSecondaryAxisValueSuffix] = useState(""); // Suffix for right axis values (e.g., "%")
+  const [secondaryAxisValueDecimalPlaces, setSecondaryAxisValueDecimalPlaces] = useState(0); // Decimal places for right axis values
+
+  // Distribution charts (histogram and box plot; colors and axis formatting reuse the shared settings)
+  const [distributionValueColumn, setDistributionValueColumn] = useState(""); // Column of numbers plotted ('' = first numeric column)
+  const [distributionGroupColumn, setDistributionGroupColumn] = useState(""); // Column to split rows by ('' = no grouping)
+  const [histogramBinMode, setHistogramBinMode] = useState("count"); // 'count' or 'width'
+  const [histogramBinCount, setHistogramBinCount] = useState(10); // Number of bins in 'count' mode
+  const [histogramBinWidth, setHistogramBinWidth] = useState(1); // Bin width in 'width' mode
+  const [boxPlotShowOutliers, setBoxPlotShowOutliers] = useState(true); // Dots beyond 1.5 × IQR
+  const [boxPlotShowMean, setBoxPlotShowMean] = useState(false); // Diamond at the mean
+
+  // Bullet Chart specific (orientation and number format reuse the bar chart settings)
+  const [bulletActualColumn, setBulletActualColumn] = useState(""); // '' = column named 'Actual', else the first column
+  const [bulletTargetColumn, setBulletTargetColumn] = useState(""); // '' = column named 'Target', else the next column
+  const [bulletRangeColumns, setBulletRangeColumns] = useState([]); // Up to 3 range thresholds ([] = remaining columns)
+  const [bulletSharedScale, setBulletSharedScale] = useState(false); // One scale for every bullet
+  const [bulletActualColor, setBulletActualColor] = useState("#1f2937");
+  const [bulletTargetColor, setBulletTargetColor] = useState("#000000");
+  const [bulletRangeColors, setBulletRangeColors] = useState(["#c7cbd1", "#dcdfe3", "#eef0f2"]); // Lowest band first
+  const [showBulletTargetLabels, setShowBulletTargetLabels] = useState(false); // Target value next to the value label
+
+  // KPI Chart specific (change colors and number format reuse the slope and bar chart settings)
+  const [kpiTilesPerRow, setKpiTilesPerRow] = useState(0); // 0 = all tiles in one row, up to 4
+  const [showKpiChange, setShowKpiChange] = useState(true); // Change vs. the previous period
+  const [kpiChangeFormat, setKpiChangeFormat] = useState("percent"); // 'percent', 'absolute' or 'both'
+  const [kpiLowerIsBetterColumns, setKpiLowerIsBetterColumns] = useState([]); // Metrics where a drop is good
+  const [showKpiSparklines, setShowKpiSparklines] = useState(true);
+  const [kpiSparklineColor, setKpiSparklineColor] = useState("#64748b");
+  const [kpiSparklineFill, setKpiSparklineFill] = useState(true); // Shade the area under the sparkline
+  const [showKpiTileBorders, setShowKpiTileBorders] = useState(true);
+  const [showKpiPeriodLabel, setShowKpiPeriodLabel] = useState(true); // Latest period next to the metric name
+  const [kpiLabelFontSize, setKpiLabelFontSize] = useState(16);
+  const [kpiValueFontSize, setKpiValueFontSize] = useState(56);
+  const [kpiChangeFontSize, setKpiChangeFontSize] = useState(16);
+
+  // Treemap Chart specific (palette, value labels and number format reuse the pie chart settings)
+  const [treemapHierarchyMode, setTreemapHierarchyMode] = useState("auto"); // 'auto', 'path' or 'parent'
+  const [treemapPathDelimiter, setTreemapPathDelimiter] = useState(">"); // Splits "Region > Country" paths
+  const [treemapParentColumn, setTreemapParentColumn] = useState(""); // '' = column named 'Parent'
+  const [treemapValueColumn, setTreemapValueColumn] = useState(""); // '' = first numeric column
+  const [treemapTiling, setTreemapTiling] = useState("squarify"); // 'squarify' or 'slice-dice'
+  const [treemapTilePadding, setTreemapTilePadding] = useState(2); // Gap between tiles in px
+  const [showTreemapGroupLabels, setShowTreemapGroupLabels] = useState(true); // Header strip on each group
+  const [treemapLabelFormat, setTreemapLabelFormat] = useState("value"); // 'value', 'percentage' or 'both'
+  const [treemapLabelFontSize, setTreemapLabelFontSize] = useState(14);
+  const [treemapValueFontSize, setTreemapValueFontSize] = useState(12);
+  const [treemapGroupLabelFontSize, setTreemapGroupLabelFontSize] = useState(13);
+
+  // Radar Chart specific (palette, area opacity, points and number format reuse the line and bar chart settings)
+  const [radarScaleMode, setRadarScaleMode] = useState("shared"); // 'shared' or 'per-axis'
+  const [radarGridLevels, setRadarGridLevels] = useState(5); // Number of rings
+  const [radarGridShape, setRadarGridShape] = useState("polygon"); // 'polygon' or 'circle'
+  const [showRadarGridLabels, setShowRadarGridLabels] = useState(true); // Ring values, or each axis range when scaled per axis
+  const [radarLineThickness, setRadarLineThickness] = useState(2);
+  const [radarAxisLabelFontSize, setRadarAxisLabelFontSize] = useState(14);
+  const [radarGridLabelFontSize, setRadarGridLabelFontSize] = useState(11);
+
   // Number Styling (Values)
   const [valuePrefix, setValuePrefix] = useState(""); // Prefix for values (e.g., "$")
   const [valueSuffix, setValueSuffix] = useState(""); // Suffix for values (e.g., "%")
@@ -170,6 +329,14 @@ export const useStyleSettings = (initialTheme = theme) => {
   const [areaGradient, setAreaGradient] = useState(true);
   const [stackAreas, setStackAreas] = useState(false);
   const [chartMode, setChartMode] = useState('line');
+  const [showTrendline, setShowTrendline] = useState(false);
+  const [showMovingAverage, setShowMovingAverage] = useState(false);
+  const [movingAveragePeriod, setMovingAveragePeriod] = useState(3);
+  const [showForecast, setShowForecast] = useState(false);
+  const [forecastMethod, setForecastMethod] = useState('naive'); // 'naive' or 'seasonal'
+  const [forecastPeriods, setForecastPeriods] = useState(6);
+  const [forecastSeasonLength, setForecastSeasonLength] = useState(12);
+  const [showForecastBand, setShowForecastBand] = useState(true);
   const [showXAxis, setShowXAxis] = useState(true);
   const [showYAxis, setShowYAxis] = useState(true);
   const [showGridLines, setShowGridLines] = useState(true);
@@ -273,11 +440,17 @@ export const useStyleSettings = (initialTheme = theme) => {
     setInStageLabelFontSize(13);
     setShowSparklines(false);
     setSparklineType("volume");
+    setShowSignificance(true);
+    setSignificanceLevel(0.05);
     setUserTier("pro");
     setBarMode("grouped");
     setLabelMode("direct");
     setDirectLabelContent("metrics");
     setEmphasizedBars([]);
+    setShowErrorBars(false);
+    setErrorBarColumns({});
+    setReferenceLines([]);
+    setAnnotations([]);
     setXAxisFontSize(20);
     setYAxisFontSize(20);
     setAxisLabel("");
@@ -347,6 +520,10 @@ export const useStyleSettings = (initialTheme = theme) => {
         stageGap,
         barWidth,
         stageLabelPosition,
+        smallMultiplesMode,
+        smallMultiplesColumn,
+        smallMultiplesGridColumns,
+        smallMultiplesSharedScale,
       },
       visual: {
         axisLineWidth,
@@ -363,6 +540,9 @@ export const useStyleSettings = (initialTheme = theme) => {
         legendPosition,
         showSparklines,
         sparklineType,
+        showSignificance,
+        significanceLevel,
+        referenceLines,
         userTier,
         percentChangeEnabled,
         percentChangeLabelFormat,
@@ -391,6 +571,9 @@ export const useStyleSettings = (initialTheme = theme) => {
           slopeAxisLineWidth,
           slopeAxisLineStyle,
           axisEnds,
+          dumbbellSortBy,
+          bumpRankOrder,
+          bumpSmoothLines,
         },
         bar: {
           barMode,
@@ -404,6 +587,16 @@ export const useStyleSettings = (initialTheme = theme) => {
           percentChangeBracketDistance,
           showTotalLabels,
           boldTotal,
+          increaseColor,
+          decreaseColor,
+          waterfallSubtotals,
+          showWaterfallTotal,
+          waterfallTotalLabel,
+          showWaterfallConnectors,
+          divergingNegativeColumns,
+          divergingNeutralColumns,
+          divergingNeutralPosition,
+          divergingNeutralColor,
           xAxisFontSize,
           xAxisSecondaryFontSize,
           yAxisFontSize,
@@ -440,6 +633,184 @@ export const useStyleSettings = (initialTheme = theme) => {
         funnel: {
           // Funnel-specific settings will be here
         },
+        pie: {
+          donutMode,
+          donutThickness,
+          showDonutTotal,
+          startAngle: pieStartAngle,
+          sortSlices,
+          otherThreshold,
+          otherLabel,
+          labelPosition: pieLabelPosition,
+          labelFormat: pieLabelFormat,
+          emphasizedSlices,
+          valuePrefix,
+          valueSuffix,
+          valueDecimalPlaces,
+        },
+        sankey: {
+          nodeWidth: sankeyNodeWidth,
+          nodePadding: sankeyNodePadding,
+          nodeAlign: sankeyNodeAlign,
+          colorMode: sankeyColorMode,
+          linkOpacity: sankeyLinkOpacity,
+          linkColorMode: sankeyLinkColorMode,
+          labelFormat: sankeyLabelFormat,
+          showNodeValues,
+          emphasizedNodes,
+          valuePrefix,
+          valueSuffix,
+          valueDecimalPlaces,
+        },
+        scatter: {
+          xColumn: scatterXColumn,
+          yColumn: scatterYColumn,
+          sizeColumn: scatterSizeColumn,
+          colorColumn: scatterColorColumn,
+          xScaleType: scatterXScaleType,
+          yScaleType: scatterYScaleType,
+          xAxisTitle: scatterXAxisTitle,
+          yAxisTitle: scatterYAxisTitle,
+          xAxisPrefix: scatterXAxisPrefix,
+          xAxisSuffix: scatterXAxisSuffix,
+          pointRadius: scatterPointRadius,
+          bubbleMaxRadius,
+          pointOpacity: scatterPointOpacity,
+          showQuadrants,
+          quadrantXMode,
+          quadrantXValue,
+          quadrantYMode,
+          quadrantYValue,
+          quadrantLabels,
+          labelMode: scatterLabelMode,
+          emphasizedScatterPoints,
+        },
+        heatmap: {
+          mode: heatmapMode,
+          valueColumn: heatmapValueColumn,
+          colorScale: heatmapColorScale,
+          lowColor: heatmapLowColor,
+          highColor: heatmapHighColor,
+          midColor: heatmapMidColor,
+          divergingLowColor: heatmapDivergingLowColor,
+          midpointAuto: heatmapMidpointAuto,
+          midpoint: heatmapMidpoint,
+          emptyCellColor: heatmapEmptyColor,
+          cellGap: heatmapCellGap,
+          cellRadius: heatmapCellRadius,
+          showCellValues: showHeatmapCellValues,
+          legendTitle: heatmapLegendTitle,
+        },
+        combo: {
+          seriesTypes: comboSeriesTypes,
+          seriesAxes: comboSeriesAxes,
+          leftAxisTitle: comboLeftAxisTitle,
+          rightAxisTitle: comboRightAxisTitle,
+          axisMinimum,
+          axisMinimumAuto,
+          axisMaximum,
+          axisMaximumAuto,
+          axisMajorUnit,
+          axisMajorUnitAuto,
+          axisValuePrefix,
+          axisValueSuffix,
+          axisValueDecimalPlaces,
+          secondaryAxisMinimum,
+          secondaryAxisMinimumAuto,
+          secondaryAxisMaximum,
+          secondaryAxisMaximumAuto,
+          secondaryAxisMajorUnit,
+          secondaryAxisMajorUnitAuto,
+          secondaryAxisValuePrefix,
+          secondaryAxisValueSuffix,
+          secondaryAxisValueDecimalPlaces,
+        },
+        distribution: {
+          valueColumn: distributionValueColumn,
+          groupColumn: distributionGroupColumn,
+          binMode: histogramBinMode,
+          binCount: histogramBinCount,
+          binWidth: histogramBinWidth,
+          showOutliers: boxPlotShowOutliers,
+          showMean: boxPlotShowMean,
+          axisValuePrefix,
+          axisValueSuffix,
+          axisValueDecimalPlaces,
+        },
+        bullet: {
+          orientation,
+          actualColumn: bulletActualColumn,
+          targetColumn: bulletTargetColumn,
+          rangeColumns: bulletRangeColumns,
+          sharedScale: bulletSharedScale,
+          actualColor: bulletActualColor,
+          targetColor: bulletTargetColor,
+          rangeColors: bulletRangeColors,
+          showTargetLabels: showBulletTargetLabels,
+          valuePrefix,
+          valueSuffix,
+          valueDecimalPlaces,
+          compactNumbers,
+        },
+        kpi: {
+          tilesPerRow: kpiTilesPerRow,
+          showChange: showKpiChange,
+          changeFormat: kpiChangeFormat,
+          lowerIsBetterColumns: kpiLowerIsBetterColumns,
+          showSparklines: showKpiSparklines,
+          sparklineColor: kpiSparklineColor,
+          sparklineFill: kpiSparklineFill,
+          showTileBorders: showKpiTileBorders,
+          showPeriodLabel: showKpiPeriodLabel,
+          increaseColor,
+          decreaseColor,
+          noChangeColor,
+          valuePrefix,
+          valueSuffix,
+          valueDecimalPlaces,
+          compactNumbers,
+          labelFontSize: kpiLabelFontSize,
+          valueFontSize: kpiValueFontSize,
+          changeFontSize: kpiChangeFontSize,
+        },
+        treemap: {
+          hierarchyMode: treemapHierarchyMode,
+          pathDelimiter: treemapPathDelimiter,
+          parentColumn: treemapParentColumn,
+          valueColumn: treemapValueColumn,
+          tiling: treemapTiling,
+          tilePadding: treemapTilePadding,
+          showGroupLabels: showTreemapGroupLabels,
+          labelFormat: treemapLabelFormat,
+          comparisonPalette,
+          userCustomColors,
+          showValueLabels,
+          valuePrefix,
+          valueSuffix,
+          valueDecimalPlaces,
+          compactNumbers,
+          labelFontSize: treemapLabelFontSize,
+          valueFontSize: treemapValueFontSize,
+          groupLabelFontSize: treemapGroupLabelFontSize,
+        },
+        radar: {
+          scaleMode: radarScaleMode,
+          gridLevels: radarGridLevels,
+          gridShape: radarGridShape,
+          showGridLabels: showRadarGridLabels,
+          lineThickness: radarLineThickness,
+          comparisonPalette,
+          userCustomColors,
+          areaOpacity,
+          showPoints,
+          pointSize,
+          valuePrefix,
+          valueSuffix,
+          valueDecimalPlaces,
+          compactNumbers,
+          axisLabelFontSize: radarAxisLabelFontSize,
+          gridLabelFontSize: radarGridLabelFontSize,
+        },
         line: {
           // Time settings
           timeScale,
@@ -472,6 +843,15 @@ export const useStyleSettings = (initialTheme = theme) => {
           areaGradient,
           stackAreas,
           chartMode,
+          // Trends and forecast
+          showTrendline,
+          showMovingAverage,
+          movingAveragePeriod,
+          showForecast,
+          forecastMethod,
+          forecastPeriods,
+          forecastSeasonLength,
+          showForecastBand,
           // Axis display
           showXAxis,
           showYAxis,
@@ -511,16 +891,19 @@ export const useStyleSettings = (initialTheme = theme) => {
     conversionLabelFontSize, inStageLabelFontSize,
     barColor, colorTransition, comparisonPalette, userCustomColors,
     orientation, aspectRatio, canvasWidth, canvasHeight, chartWidth, chartHeight, chartPadding, stageGap, barWidth, stageLabelPosition,
+    smallMultiplesMode, smallMultiplesColumn, smallMultiplesGridColumns, smallMultiplesSharedScale,
     axisLineWidth, backgroundOpacity, darkMode, backgroundColor,
     emphasis, metricEmphasis, normalizeToHundred, compactNumbers, showLegend, legendPosition,
-    showSparklines, sparklineType, userTier, percentChangeEnabled, percentChangeLabelFormat,
+    showSparklines, sparklineType, showSignificance, significanceLevel, referenceLines, userTier, percentChangeEnabled, percentChangeLabelFormat,
     colorMode, lineThickness, lineOpacity, lineSaturation, endpointSize, endpointStyle,
     labelPosition, showCategoryLabels, showValueLabels, labelFormat,
     increaseColor, decreaseColor, noChangeColor, startColor, endColor,
     periodSpacing, periodHeight, periodLabelPosition,
-    slopeAxisLineColor, slopeAxisLineWidth, slopeAxisLineStyle, axisEnds,
+    slopeAxisLineColor, slopeAxisLineWidth, slopeAxisLineStyle, axisEnds, dumbbellSortBy, bumpRankOrder, bumpSmoothLines,
     barMode, labelMode, directLabelContent, emphasizedBars, showMetricLabels, showPeriodLabels,
     metricLabelPosition, periodLabelDisplay, percentChangeBracketDistance, showTotalLabels, boldTotal,
+    waterfallSubtotals, showWaterfallTotal, waterfallTotalLabel, showWaterfallConnectors,
+    divergingNegativeColumns, divergingNeutralColumns, divergingNeutralPosition, divergingNeutralColor,
     xAxisFontSize, xAxisSecondaryFontSize, yAxisFontSize, axisLabel, axisLabelFontSize, xAxisLabelRotation,
     axisMinimum, axisMinimumAuto, axisMaximum, axisMaximumAuto,
     axisMajorUnit, axisMajorUnitAuto, axisMinorUnit, axisMinorUnitAuto,
@@ -529,11 +912,38 @@ export const useStyleSettings = (initialTheme = theme) => {
     axisValuePrefix, axisValueSuffix, axisValueDecimalPlaces, axisValueFormat,
     xAxisLineThickness, yAxisLineThickness, axisColorBrightness,
     showXAxisLabels, showYAxisLabels,
+    donutMode, donutThickness, showDonutTotal, pieStartAngle, sortSlices, otherThreshold, otherLabel,
+    pieLabelPosition, pieLabelFormat, emphasizedSlices,
+    sankeyNodeWidth, sankeyNodePadding, sankeyNodeAlign, sankeyColorMode, sankeyLinkOpacity,
+    sankeyLinkColorMode, sankeyLabelFormat, showNodeValues, emphasizedNodes,
+    scatterXColumn, scatterYColumn, scatterSizeColumn, scatterColorColumn, scatterXScaleType, scatterYScaleType,
+    scatterXAxisTitle, scatterYAxisTitle, scatterXAxisPrefix, scatterXAxisSuffix, scatterPointRadius, bubbleMaxRadius,
+    scatterPointOpacity, showQuadrants, quadrantXMode, quadrantXValue, quadrantYMode, quadrantYValue, quadrantLabels,
+    scatterLabelMode, emphasizedScatterPoints,
+    heatmapMode, heatmapValueColumn, heatmapColorScale, heatmapLowColor, heatmapHighColor, heatmapMidColor,
+    heatmapDivergingLowColor, heatmapMidpointAuto, heatmapMidpoint, heatmapEmptyColor, heatmapCellGap, heatmapCellRadius,
+    showHeatmapCellValues, heatmapLegendTitle,
+    comboSeriesTypes, comboSeriesAxes, comboLeftAxisTitle, comboRightAxisTitle,
+    secondaryAxisMinimum, secondaryAxisMinimumAuto, secondaryAxisMaximum, secondaryAxisMaximumAuto,
+    secondaryAxisMajorUnit, secondaryAxisMajorUnitAuto, secondaryAxisValuePrefix, secondaryAxisValueSuffix,
+    secondaryAxisValueDecimalPlaces,
+    distributionValueColumn, distributionGroupColumn, histogramBinMode, histogramBinCount, histogramBinWidth,
+    boxPlotShowOutliers, boxPlotShowMean,
+    bulletActualColumn, bulletTargetColumn, bulletRangeColumns, bulletSharedScale, bulletActualColor, bulletTargetColor,
+    bulletRangeColors, showBulletTargetLabels,
+    kpiTilesPerRow, showKpiChange, kpiChangeFormat, kpiLowerIsBetterColumns, showKpiSparklines, kpiSparklineColor, kpiSparklineFill,
+    showKpiTileBorders, showKpiPeriodLabel, kpiLabelFontSize, kpiValueFontSize, kpiChangeFontSize,
+    treemapHierarchyMode, treemapPathDelimiter, treemapParentColumn, treemapValueColumn, treemapTiling, treemapTilePadding,
+    showTreemapGroupLabels, treemapLabelFormat, treemapLabelFontSize, treemapValueFontSize, treemapGroupLabelFontSize,
+    radarScaleMode, radarGridLevels, radarGridShape, showRadarGridLabels, radarLineThickness, radarAxisLabelFontSize,
+    radarGridLabelFontSize,
     timeScale, aggregationLevel, aggregationMethod, fiscalYearStartMonth,
     xAxisTimeGrouping, xAxisLabelLevels, dateRangeFilter, xAxisPrimaryLabel, xAxisSecondaryLabel,
     dateFormatPreset, dateFormatCustom, lineStyle, lineChartLineThickness, lineChartLineOpacity, lineChartLineSaturation, smoothLines,
     showPoints, pointSize, pointStyle, pointBorderWidth, excludeZeroValues, showMostRecentPoint,
-    showAreaFill, areaOpacity, areaGradient, showXAxis, showYAxis, yAxisFormat,
+    showAreaFill, areaOpacity, areaGradient,
+    showTrendline, showMovingAverage, movingAveragePeriod, showForecast, forecastMethod,
+    forecastPeriods, forecastSeasonLength, showForecastBand, showXAxis, showYAxis, yAxisFormat,
     showGridLines, gridDirection, gridLineColor, gridLineStyle, gridLineOpacity,
     showDirectLabels, directLabelFontSize,
     showSumLabels, sumLabelPosition, sumLabelFontSize,
@@ -611,6 +1021,10 @@ export const useStyleSettings = (initialTheme = theme) => {
       if (settings.layout.stageGap !== undefined) setStageGap(settings.layout.stageGap);
       if (settings.layout.barWidth !== undefined) setBarWidth(settings.layout.barWidth);
       if (settings.layout.stageLabelPosition !== undefined) setStageLabelPosition(settings.layout.stageLabelPosition);
+      if (settings.layout.smallMultiplesMode !== undefined) setSmallMultiplesMode(settings.layout.smallMultiplesMode);
+      if (settings.layout.smallMultiplesColumn !== undefined) setSmallMultiplesColumn(settings.layout.smallMultiplesColumn);
+      if (settings.layout.smallMultiplesGridColumns !== undefined) setSmallMultiplesGridColumns(settings.layout.smallMultiplesGridColumns);
+      if (settings.layout.smallMultiplesSharedScale !== undefined) setSmallMultiplesSharedScale(settings.layout.smallMultiplesSharedScale);
     }
 
     // Visual (universal - applies to all charts)
@@ -635,6 +1049,9 @@ export const useStyleSettings = (initialTheme = theme) => {
       if (settings.display.legendPosition !== undefined) setLegendPosition(settings.display.legendPosition);
       if (settings.display.showSparklines !== undefined) setShowSparklines(settings.display.showSparklines);
       if (settings.display.sparklineType !== undefined) setSparklineType(settings.display.sparklineType);
+      if (settings.display.showSignificance !== undefined) setShowSignificance(settings.display.showSignificance);
+      if (settings.display.significanceLevel !== undefined) setSignificanceLevel(settings.display.significanceLevel);
+      if (settings.display.referenceLines !== undefined) setReferenceLines(settings.display.referenceLines);
       if (settings.display.userTier !== undefined) setUserTier(settings.display.userTier);
 
       if (settings.display.percentChangeEnabled !== undefined) {
@@ -647,8 +1064,8 @@ export const useStyleSettings = (initialTheme = theme) => {
 
     // Chart-specific settings (smart import based on current chart type)
     if (settings.chartSpecific) {
-      // Check for slope chart
-      if (currentChartType === 'slope' && settings.chartSpecific.slope) {
+      // Check for slope chart (dumbbell and bump charts share the slope settings)
+      if ((currentChartType === 'slope' || currentChartType === 'dumbbell' || currentChartType === 'bump') && settings.chartSpecific.slope) {
         const slopeSettings = settings.chartSpecific.slope;
         if (slopeSettings.colorMode !== undefined) setColorMode(slopeSettings.colorMode);
         if (slopeSettings.lineThickness !== undefined) setLineThickness(slopeSettings.lineThickness);
@@ -672,6 +1089,9 @@ export const useStyleSettings = (initialTheme = theme) => {
         if (slopeSettings.slopeAxisLineWidth !== undefined) setSlopeAxisLineWidth(slopeSettings.slopeAxisLineWidth);
         if (slopeSettings.slopeAxisLineStyle !== undefined) setSlopeAxisLineStyle(slopeSettings.slopeAxisLineStyle);
         if (slopeSettings.axisEnds !== undefined) setAxisEnds(slopeSettings.axisEnds);
+        if (slopeSettings.dumbbellSortBy !== undefined) setDumbbellSortBy(slopeSettings.dumbbellSortBy);
+        if (slopeSettings.bumpRankOrder !== undefined) setBumpRankOrder(slopeSettings.bumpRankOrder);
+        if (slopeSettings.bumpSmoothLines !== undefined) setBumpSmoothLines(slopeSettings.bumpSmoothLines);
       }
       // Check for bar charts (all variants: bar-horizontal, bar-vertical, bar-grouped-horizontal, bar-grouped-vertical)
       else if (currentChartType.startsWith('bar') && settings.chartSpecific.bar) {
@@ -725,6 +1145,16 @@ export const useStyleSettings = (initialTheme = theme) => {
 
         if (barSettings.showTotalLabels !== undefined) setShowTotalLabels(barSettings.showTotalLabels);
         if (barSettings.boldTotal !== undefined) setBoldTotal(barSettings.boldTotal);
+        if (barSettings.increaseColor !== undefined) setIncreaseColor(barSettings.increaseColor);
+        if (barSettings.decreaseColor !== undefined) setDecreaseColor(barSettings.decreaseColor);
+        if (barSettings.waterfallSubtotals !== undefined) setWaterfallSubtotals(barSettings.waterfallSubtotals);
+        if (barSettings.showWaterfallTotal !== undefined) setShowWaterfallTotal(barSettings.showWaterfallTotal);
+        if (barSettings.waterfallTotalLabel !== undefined) setWaterfallTotalLabel(barSettings.waterfallTotalLabel);
+        if (barSettings.showWaterfallConnectors !== undefined) setShowWaterfallConnectors(barSettings.showWaterfallConnectors);
+        if (barSettings.divergingNegativeColumns !== undefined) setDivergingNegativeColumns(barSettings.divergingNegativeColumns);
+        if (barSettings.divergingNeutralColumns !== undefined) setDivergingNeutralColumns(barSettings.divergingNeutralColumns);
+        if (barSettings.divergingNeutralPosition !== undefined) setDivergingNeutralPosition(barSettings.divergingNeutralPosition);
+        if (barSettings.divergingNeutralColor !== undefined) setDivergingNeutralColor(barSettings.divergingNeutralColor);
         if (barSettings.xAxisSecondaryFontSize !== undefined) setXAxisSecondaryFontSize(barSettings.xAxisSecondaryFontSize);
         if (barSettings.valuePrefix !== undefined) setValuePrefix(barSettings.valuePrefix);
         if (barSettings.valueSuffix !== undefined) setValueSuffix(barSettings.valueSuffix);
@@ -776,6 +1206,15 @@ export const useStyleSettings = (initialTheme = theme) => {
         if (lineSettings.areaGradient !== undefined) setAreaGradient(lineSettings.areaGradient);
         if (lineSettings.stackAreas !== undefined) setStackAreas(lineSettings.stackAreas);
         if (lineSettings.chartMode !== undefined) setChartMode(lineSettings.chartMode);
+        // Trends and forecast
+        if (lineSettings.showTrendline !== undefined) setShowTrendline(lineSettings.showTrendline);
+        if (lineSettings.showMovingAverage !== undefined) setShowMovingAverage(lineSettings.showMovingAverage);
+        if (lineSettings.movingAveragePeriod !== undefined) setMovingAveragePeriod(lineSettings.movingAveragePeriod);
+        if (lineSettings.showForecast !== undefined) setShowForecast(lineSettings.showForecast);
+        if (lineSettings.forecastMethod !== undefined) setForecastMethod(lineSettings.forecastMethod);
+        if (lineSettings.forecastPeriods !== undefined) setForecastPeriods(lineSettings.forecastPeriods);
+        if (lineSettings.forecastSeasonLength !== undefined) setForecastSeasonLength(lineSettings.forecastSeasonLength);
+        if (lineSettings.showForecastBand !== undefined) setShowForecastBand(lineSettings.showForecastBand);
         // Axis display
         if (lineSettings.showXAxis !== undefined) setShowXAxis(lineSettings.showXAxis);
         if (lineSettings.showYAxis !== undefined) setShowYAxis(lineSettings.showYAxis);
@@ -807,6 +1246,204 @@ export const useStyleSettings = (initialTheme = theme) => {
         if (lineSettings.emphasisDecimalPlaces !== undefined) setEmphasisDecimalPlaces(lineSettings.emphasisDecimalPlaces);
         if (lineSettings.showEmphasisVerticalLine !== undefined) setShowEmphasisVerticalLine(lineSettings.showEmphasisVerticalLine);
       }
+      // Check for pie chart
+      else if (currentChartType === 'pie' && settings.chartSpecific.pie) {
+        const pieSettings = settings.chartSpecific.pie;
+        if (pieSettings.donutMode !== undefined) setDonutMode(pieSettings.donutMode);
+        if (pieSettings.donutThickness !== undefined) setDonutThickness(pieSettings.donutThickness);
+        if (pieSettings.showDonutTotal !== undefined) setShowDonutTotal(pieSettings.showDonutTotal);
+        if (pieSettings.startAngle !== undefined) setPieStartAngle(pieSettings.startAngle);
+        if (pieSettings.sortSlices !== undefined) setSortSlices(pieSettings.sortSlices);
+        if (pieSettings.otherThreshold !== undefined) setOtherThreshold(pieSettings.otherThreshold);
+        if (pieSettings.otherLabel !== undefined) setOtherLabel(pieSettings.otherLabel);
+        if (pieSettings.labelPosition !== undefined) setPieLabelPosition(pieSettings.labelPosition);
+        if (pieSettings.labelFormat !== undefined) setPieLabelFormat(pieSettings.labelFormat);
+        if (pieSettings.emphasizedSlices !== undefined) setEmphasizedSlices(pieSettings.emphasizedSlices);
+        if (pieSettings.valuePrefix !== undefined) setValuePrefix(pieSettings.valuePrefix);
+        if (pieSettings.valueSuffix !== undefined) setValueSuffix(pieSettings.valueSuffix);
+        if (pieSettings.valueDecimalPlaces !== undefined) setValueDecimalPlaces(pieSettings.valueDecimalPlaces);
+      }
+      // Check for sankey chart
+      else if (currentChartType === 'sankey' && settings.chartSpecific.sankey) {
+        const sankeySettings = settings.chartSpecific.sankey;
+        if (sankeySettings.nodeWidth !== undefined) setSankeyNodeWidth(sankeySettings.nodeWidth);
+        if (sankeySettings.nodePadding !== undefined) setSankeyNodePadding(sankeySettings.nodePadding);
+        if (sankeySettings.nodeAlign !== undefined) setSankeyNodeAlign(sankeySettings.nodeAlign);
+        if (sankeySettings.colorMode !== undefined) setSankeyColorMode(sankeySettings.colorMode);
+        if (sankeySettings.linkOpacity !== undefined) setSankeyLinkOpacity(sankeySettings.linkOpacity);
+        if (sankeySettings.linkColorMode !== undefined) setSankeyLinkColorMode(sankeySettings.linkColorMode);
+        if (sankeySettings.labelFormat !== undefined) setSankeyLabelFormat(sankeySettings.labelFormat);
+        if (sankeySettings.showNodeValues !== undefined) setShowNodeValues(sankeySettings.showNodeValues);
+        if (sankeySettings.emphasizedNodes !== undefined) setEmphasizedNodes(sankeySettings.emphasizedNodes);
+        if (sankeySettings.valuePrefix !== undefined) setValuePrefix(sankeySettings.valuePrefix);
+        if (sankeySettings.valueSuffix !== undefined) setValueSuffix(sankeySettings.valueSuffix);
+        if (sankeySettings.valueDecimalPlaces !== undefined) setValueDecimalPlaces(sankeySettings.valueDecimalPlaces);
+      }
+      // Check for scatter chart
+      else if (currentChartType === 'scatter' && settings.chartSpecific.scatter) {
+        const scatterSettings = settings.chartSpecific.scatter;
+        if (scatterSettings.xColumn !== undefined) setScatterXColumn(scatterSettings.xColumn);
+        if (scatterSettings.yColumn !== undefined) setScatterYColumn(scatterSettings.yColumn);
+        if (scatterSettings.sizeColumn !== undefined) setScatterSizeColumn(scatterSettings.sizeColumn);
+        if (scatterSettings.colorColumn !== undefined) setScatterColorColumn(scatterSettings.colorColumn);
+        if (scatterSettings.xScaleType !== undefined) setScatterXScaleType(scatterSettings.xScaleType);
+        if (scatterSettings.yScaleType !== undefined) setScatterYScaleType(scatterSettings.yScaleType);
+        if (scatterSettings.xAxisTitle !== undefined) setScatterXAxisTitle(scatterSettings.xAxisTitle);
+        if (scatterSettings.yAxisTitle !== undefined) setScatterYAxisTitle(scatterSettings.yAxisTitle);
+        if (scatterSettings.xAxisPrefix !== undefined) setScatterXAxisPrefix(scatterSettings.xAxisPrefix);
+        if (scatterSettings.xAxisSuffix !== undefined) setScatterXAxisSuffix(scatterSettings.xAxisSuffix);
+        if (scatterSettings.pointRadius !== undefined) setScatterPointRadius(scatterSettings.pointRadius);
+        if (scatterSettings.bubbleMaxRadius !== undefined) setBubbleMaxRadius(scatterSettings.bubbleMaxRadius);
+        if (scatterSettings.pointOpacity !== undefined) setScatterPointOpacity(scatterSettings.pointOpacity);
+        if (scatterSettings.showQuadrants !== undefined) setShowQuadrants(scatterSettings.showQuadrants);
+        if (scatterSettings.quadrantXMode !== undefined) setQuadrantXMode(scatterSettings.quadrantXMode);
+        if (scatterSettings.quadrantXValue !== undefined) setQuadrantXValue(scatterSettings.quadrantXValue);
+        if (scatterSettings.quadrantYMode !== undefined) setQuadrantYMode(scatterSettings.quadrantYMode);
+        if (scatterSettings.quadrantYValue !== undefined) setQuadrantYValue(scatterSettings.quadrantYValue);
+        if (scatterSettings.quadrantLabels !== undefined) setQuadrantLabels(scatterSettings.quadrantLabels);
+        if (scatterSettings.labelMode !== undefined) setScatterLabelMode(scatterSettings.labelMode);
+        if (scatterSettings.emphasizedScatterPoints !== undefined) setEmphasizedScatterPoints(scatterSettings.emphasizedScatterPoints);
+      }
+      // Check for heatmap chart
+      else if (currentChartType === 'heatmap' && settings.chartSpecific.heatmap) {
+        const heatmapSettings = settings.chartSpecific.heatmap;
+        if (heatmapSettings.mode !== undefined) setHeatmapMode(heatmapSettings.mode);
+        if (heatmapSettings.valueColumn !== undefined) setHeatmapValueColumn(heatmapSettings.valueColumn);
+        if (heatmapSettings.colorScale !== undefined) setHeatmapColorScale(heatmapSettings.colorScale);
+        if (heatmapSettings.lowColor !== undefined) setHeatmapLowColor(heatmapSettings.lowColor);
+        if (heatmapSettings.highColor !== undefined) setHeatmapHighColor(heatmapSettings.highColor);
+        if (heatmapSettings.midColor !== undefined) setHeatmapMidColor(heatmapSettings.midColor);
+        if (heatmapSettings.divergingLowColor !== undefined) setHeatmapDivergingLowColor(heatmapSettings.divergingLowColor);
+        if (heatmapSettings.midpointAuto !== undefined) setHeatmapMidpointAuto(heatmapSettings.midpointAuto);
+        if (heatmapSettings.midpoint !== undefined) setHeatmapMidpoint(heatmapSettings.midpoint);
+        if (heatmapSettings.emptyCellColor !== undefined) setHeatmapEmptyColor(heatmapSettings.emptyCellColor);
+        if (heatmapSettings.cellGap !== undefined) setHeatmapCellGap(heatmapSettings.cellGap);
+        if (heatmapSettings.cellRadius !== undefined) setHeatmapCellRadius(heatmapSettings.cellRadius);
+        if (heatmapSettings.showCellValues !== undefined) setShowHeatmapCellValues(heatmapSettings.showCellValues);
+        if (heatmapSettings.legendTitle !== undefined) setHeatmapLegendTitle(heatmapSettings.legendTitle);
+      }
+      // Check for combo chart
+      else if (currentChartType === 'combo' && settings.chartSpecific.combo) {
+        const comboSettings = settings.chartSpecific.combo;
+        if (comboSettings.seriesTypes !== undefined) setComboSeriesTypes(comboSettings.seriesTypes);
+        if (comboSettings.seriesAxes !== undefined) setComboSeriesAxes(comboSettings.seriesAxes);
+        if (comboSettings.leftAxisTitle !== undefined) setComboLeftAxisTitle(comboSettings.leftAxisTitle);
+        if (comboSettings.rightAxisTitle !== undefined) setComboRightAxisTitle(comboSettings.rightAxisTitle);
+        if (comboSettings.axisMinimum !== undefined) setAxisMinimum(comboSettings.axisMinimum);
+        if (comboSettings.axisMinimumAuto !== undefined) setAxisMinimumAuto(comboSettings.axisMinimumAuto);
+        if (comboSettings.axisMaximum !== undefined) setAxisMaximum(comboSettings.axisMaximum);
+        if (comboSettings.axisMaximumAuto !== undefined) setAxisMaximumAuto(comboSettings.axisMaximumAuto);
+        if (comboSettings.axisMajorUnit !== undefined) setAxisMajorUnit(comboSettings.axisMajorUnit);
+        if (comboSettings.axisMajorUnitAuto !== undefined) setAxisMajorUnitAuto(comboSettings.axisMajorUnitAuto);
+        if (comboSettings.axisValuePrefix !== undefined) setAxisValuePrefix(comboSettings.axisValuePrefix);
+        if (comboSettings.axisValueSuffix !== undefined) setAxisValueSuffix(comboSettings.axisValueSuffix);
+        if (comboSettings.axisValueDecimalPlaces !== undefined) setAxisValueDecimalPlaces(comboSettings.axisValueDecimalPlaces);
+        if (comboSettings.secondaryAxisMinimum !== undefined) setSecondaryAxisMinimum(comboSettings.secondaryAxisMinimum);
+        if (comboSettings.secondaryAxisMinimumAuto !== undefined) setSecondaryAxisMinimumAuto(comboSettings.secondaryAxisMinimumAuto);
+        if (comboSettings.secondaryAxisMaximum !== undefined) setSecondaryAxisMaximum(comboSettings.secondaryAxisMaximum);
+        if (comboSettings.secondaryAxisMaximumAuto !== undefined) setSecondaryAxisMaximumAuto(comboSettings.secondaryAxisMaximumAuto);
+        if (comboSettings.secondaryAxisMajorUnit !== undefined) setSecondaryAxisMajorUnit(comboSettings.secondaryAxisMajorUnit);
+        if (comboSettings.secondaryAxisMajorUnitAuto !== undefined) setSecondaryAxisMajorUnitAuto(comboSettings.secondaryAxisMajorUnitAuto);
+        if (comboSettings.secondaryAxisValuePrefix !== undefined) setSecondaryAxisValuePrefix(comboSettings.secondaryAxisValuePrefix);
+        if (comboSettings.secondaryAxisValueSuffix !== undefined) setSecondaryAxisValueSuffix(comboSettings.secondaryAxisValueSuffix);
+        if (comboSettings.secondaryAxisValueDecimalPlaces !== undefined) setSecondaryAxisValueDecimalPlaces(comboSettings.secondaryAxisValueDecimalPlaces);
+      }
+      // Check for histogram and box plot
+      else if ((currentChartType === 'histogram' || currentChartType === 'boxplot') && settings.chartSpecific.distribution) {
+        const distributionSettings = settings.chartSpecific.distribution;
+        if (distributionSettings.valueColumn !== undefined) setDistributionValueColumn(distributionSettings.valueColumn);
+        if (distributionSettings.groupColumn !== undefined) setDistributionGroupColumn(distributionSettings.groupColumn);
+        if (distributionSettings.binMode !== undefined) setHistogramBinMode(distributionSettings.binMode);
+        if (distributionSettings.binCount !== undefined) setHistogramBinCount(distributionSettings.binCount);
+        if (distributionSettings.binWidth !== undefined) setHistogramBinWidth(distributionSettings.binWidth);
+        if (distributionSettings.showOutliers !== undefined) setBoxPlotShowOutliers(distributionSettings.showOutliers);
+        if (distributionSettings.showMean !== undefined) setBoxPlotShowMean(distributionSettings.showMean);
+        if (distributionSettings.axisValuePrefix !== undefined) setAxisValuePrefix(distributionSettings.axisValuePrefix);
+        if (distributionSettings.axisValueSuffix !== undefined) setAxisValueSuffix(distributionSettings.axisValueSuffix);
+        if (distributionSettings.axisValueDecimalPlaces !== undefined) setAxisValueDecimalPlaces(distributionSettings.axisValueDecimalPlaces);
+      }
+      // Check for bullet chart
+      else if (currentChartType === 'bullet' && settings.chartSpecific.bullet) {
+        const bulletSettings = settings.chartSpecific.bullet;
+        if (bulletSettings.orientation !== undefined) setOrientation(bulletSettings.orientation);
+        if (bulletSettings.actualColumn !== undefined) setBulletActualColumn(bulletSettings.actualColumn);
+        if (bulletSettings.targetColumn !== undefined) setBulletTargetColumn(bulletSettings.targetColumn);
+        if (bulletSettings.rangeColumns !== undefined) setBulletRangeColumns(bulletSettings.rangeColumns);
+        if (bulletSettings.sharedScale !== undefined) setBulletSharedScale(bulletSettings.sharedScale);
+        if (bulletSettings.actualColor !== undefined) setBulletActualColor(bulletSettings.actualColor);
+        if (bulletSettings.targetColor !== undefined) setBulletTargetColor(bulletSettings.targetColor);
+        if (bulletSettings.rangeColors !== undefined) setBulletRangeColors(bulletSettings.rangeColors);
+        if (bulletSettings.showTargetLabels !== undefined) setShowBulletTargetLabels(bulletSettings.showTargetLabels);
+        if (bulletSettings.valuePrefix !== undefined) setValuePrefix(bulletSettings.valuePrefix);
+        if (bulletSettings.valueSuffix !== undefined) setValueSuffix(bulletSettings.valueSuffix);
+        if (bulletSettings.valueDecimalPlaces !== undefined) setValueDecimalPlaces(bulletSettings.valueDecimalPlaces);
+        if (bulletSettings.compactNumbers !== undefined) setCompactNumbers(bulletSettings.compactNumbers);
+      }
+      // Check for KPI chart
+      else if (currentChartType === 'kpi' && settings.chartSpecific.kpi) {
+        const kpiSettings = settings.chartSpecific.kpi;
+        if (kpiSettings.tilesPerRow !== undefined) setKpiTilesPerRow(kpiSettings.tilesPerRow);
+        if (kpiSettings.showChange !== undefined) setShowKpiChange(kpiSettings.showChange);
+        if (kpiSettings.changeFormat !== undefined) setKpiChangeFormat(kpiSettings.changeFormat);
+        if (kpiSettings.lowerIsBetterColumns !== undefined) setKpiLowerIsBetterColumns(kpiSettings.lowerIsBetterColumns);
+        if (kpiSettings.showSparklines !== undefined) setShowKpiSparklines(kpiSettings.showSparklines);
+        if (kpiSettings.sparklineColor !== undefined) setKpiSparklineColor(kpiSettings.sparklineColor);
+        if (kpiSettings.sparklineFill !== undefined) setKpiSparklineFill(kpiSettings.sparklineFill);
+        if (kpiSettings.showTileBorders !== undefined) setShowKpiTileBorders(kpiSettings.showTileBorders);
+        if (kpiSettings.showPeriodLabel !== undefined) setShowKpiPeriodLabel(kpiSettings.showPeriodLabel);
+        if (kpiSettings.increaseColor !== undefined) setIncreaseColor(kpiSettings.increaseColor);
+        if (kpiSettings.decreaseColor !== undefined) setDecreaseColor(kpiSettings.decreaseColor);
+        if (kpiSettings.noChangeColor !== undefined) setNoChangeColor(kpiSettings.noChangeColor);
+        if (kpiSettings.valuePrefix !== undefined) setValuePrefix(kpiSettings.valuePrefix);
+        if (kpiSettings.valueSuffix !== undefined) setValueSuffix(kpiSettings.valueSuffix);
+        if (kpiSettings.valueDecimalPlaces !== undefined) setValueDecimalPlaces(kpiSettings.valueDecimalPlaces);
+        if (kpiSettings.compactNumbers !== undefined) setCompactNumbers(kpiSettings.compactNumbers);
+        if (kpiSettings.labelFontSize !== undefined) setKpiLabelFontSize(kpiSettings.labelFontSize);
+        if (kpiSettings.valueFontSize !== undefined) setKpiValueFontSize(kpiSettings.valueFontSize);
+        if (kpiSettings.changeFontSize !== undefined) setKpiChangeFontSize(kpiSettings.changeFontSize);
+      }
+      // Check for treemap chart
+      else if (currentChartType === 'treemap' && settings.chartSpecific.treemap) {
+        const treemapSettings = settings.chartSpecific.treemap;
+        if (treemapSettings.hierarchyMode !== undefined) setTreemapHierarchyMode(treemapSettings.hierarchyMode);
+        if (treemapSettings.pathDelimiter !== undefined) setTreemapPathDelimiter(treemapSettings.pathDelimiter);
+        if (treemapSettings.parentColumn !== undefined) setTreemapParentColumn(treemapSettings.parentColumn);
+        if (treemapSettings.valueColumn !== undefined) setTreemapValueColumn(treemapSettings.valueColumn);
+        if (treemapSettings.tiling !== undefined) setTreemapTiling(treemapSettings.tiling);
+        if (treemapSettings.tilePadding !== undefined) setTreemapTilePadding(treemapSettings.tilePadding);
+        if (treemapSettings.showGroupLabels !== undefined) setShowTreemapGroupLabels(treemapSettings.showGroupLabels);
+        if (treemapSettings.labelFormat !== undefined) setTreemapLabelFormat(treemapSettings.labelFormat);
+        if (treemapSettings.comparisonPalette !== undefined) setComparisonPalette(treemapSettings.comparisonPalette);
+        if (treemapSettings.userCustomColors !== undefined) setUserCustomColors(treemapSettings.userCustomColors);
+        if (treemapSettings.showValueLabels !== undefined) setShowValueLabels(treemapSettings.showValueLabels);
+        if (treemapSettings.valuePrefix !== undefined) setValuePrefix(treemapSettings.valuePrefix);
+        if (treemapSettings.valueSuffix !== undefined) setValueSuffix(treemapSettings.valueSuffix);
+        if (treemapSettings.valueDecimalPlaces !== undefined) setValueDecimalPlaces(treemapSettings.valueDecimalPlaces);
+        if (treemapSettings.compactNumbers !== undefined) setCompactNumbers(treemapSettings.compactNumbers);
+        if (treemapSettings.labelFontSize !== undefined) setTreemapLabelFontSize(treemapSettings.labelFontSize);
+        if (treemapSettings.valueFontSize !== undefined) setTreemapValueFontSize(treemapSettings.valueFontSize);
+        if (treemapSettings.groupLabelFontSize !== undefined) setTreemapGroupLabelFontSize(treemapSettings.groupLabelFontSize);
+      }
+      // Check for radar chart
+      else if (currentChartType === 'radar' && settings.chartSpecific.radar) {
+        const radarSettings = settings.chartSpecific.radar;
+        if (radarSettings.scaleMode !== undefined) setRadarScaleMode(radarSettings.scaleMode);
+        if (radarSettings.gridLevels !== undefined) setRadarGridLevels(radarSettings.gridLevels);
+        if (radarSettings.gridShape !== undefined) setRadarGridShape(radarSettings.gridShape);
+        if (radarSettings.showGridLabels !== undefined) setShowRadarGridLabels(radarSettings.showGridLabels);
+        if (radarSettings.lineThickness !== undefined) setRadarLineThickness(radarSettings.lineThickness);
+        if (radarSettings.comparisonPalette !== undefined) setComparisonPalette(radarSettings.comparisonPalette);
+        if (radarSettings.userCustomColors !== undefined) setUserCustomColors(radarSettings.userCustomColors);
+        if (radarSettings.areaOpacity !== undefined) setAreaOpacity(radarSettings.areaOpacity);
+        if (radarSettings.showPoints !== undefined) setShowPoints(radarSettings.showPoints);
+        if (radarSettings.pointSize !== undefined) setPointSize(radarSettings.pointSize);
+        if (radarSettings.valuePrefix !== undefined) setValuePrefix(radarSettings.valuePrefix);
+        if (radarSettings.valueSuffix !== undefined) setValueSuffix(radarSettings.valueSuffix);
+        if (radarSettings.valueDecimalPlaces !== undefined) setValueDecimalPlaces(radarSettings.valueDecimalPlaces);
+        if (radarSettings.compactNumbers !== undefined) setCompactNumbers(radarSettings.compactNumbers);
+        if (radarSettings.axisLabelFontSize !== undefined) setRadarAxisLabelFontSize(radarSettings.axisLabelFontSize);
+        if (radarSettings.gridLabelFontSize !== undefined) setRadarGridLabelFontSize(radarSettings.gridLabelFontSize);
+      }
       // Check for funnel chart
       else if (currentChartType === 'funnel' && settings.chartSpecific.funnel) {
         // Apply funnel-specific settings when importing to a funnel chart
@@ -871,6 +1508,14 @@ export const useStyleSettings = (initialTheme = theme) => {
     setBarWidth,
     stageLabelPosition,
     setStageLabelPosition,
+    smallMultiplesMode,
+    setSmallMultiplesMode,
+    smallMultiplesColumn,
+    setSmallMultiplesColumn,
+    smallMultiplesGridColumns,
+    setSmallMultiplesGridColumns,
+    smallMultiplesSharedScale,
+    setSmallMultiplesSharedScale,
 
     // Visual
     axisLineWidth,
@@ -897,6 +1542,10 @@ export const useStyleSettings = (initialTheme = theme) => {
     setShowSparklines,
     sparklineType,
     setSparklineType,
+    showSignificance,
+    setShowSignificance,
+    significanceLevel,
+    setSignificanceLevel,
     userTier,
     setUserTier,
     percentChangeEnabled,
@@ -968,6 +1617,16 @@ export const useStyleSettings = (initialTheme = theme) => {
     axisEnds,
     setAxisEnds,
 
+    // Dumbbell Chart
+    dumbbellSortBy,
+    setDumbbellSortBy,
+
+    // Bump Chart
+    bumpRankOrder,
+    setBumpRankOrder,
+    bumpSmoothLines,
+    setBumpSmoothLines,
+
     // Bar Chart specific
     barMode,
     setBarMode,
@@ -981,6 +1640,30 @@ export const useStyleSettings = (initialTheme = theme) => {
     setShowTotalLabels,
     boldTotal,
     setBoldTotal,
+    waterfallSubtotals,
+    setWaterfallSubtotals,
+    showWaterfallTotal,
+    setShowWaterfallTotal,
+    waterfallTotalLabel,
+    setWaterfallTotalLabel,
+    showWaterfallConnectors,
+    setShowWaterfallConnectors,
+    divergingNegativeColumns,
+    setDivergingNegativeColumns,
+    divergingNeutralColumns,
+    setDivergingNeutralColumns,
+    divergingNeutralPosition,
+    setDivergingNeutralPosition,
+    divergingNeutralColor,
+    setDivergingNeutralColor,
+    showErrorBars,
+    setShowErrorBars,
+    errorBarColumns,
+    setErrorBarColumns,
+    referenceLines,
+    setReferenceLines,
+    annotations,
+    setAnnotations,
     xAxisFontSize,
     setXAxisFontSize,
     xAxisSecondaryFontSize,
@@ -1083,6 +1766,22 @@ export const useStyleSettings = (initialTheme = theme) => {
     setStackAreas,
     chartMode,
     setChartMode,
+    showTrendline,
+    setShowTrendline,
+    showMovingAverage,
+    setShowMovingAverage,
+    movingAveragePeriod,
+    setMovingAveragePeriod,
+    showForecast,
+    setShowForecast,
+    forecastMethod,
+    setForecastMethod,
+    forecastPeriods,
+    setForecastPeriods,
+    forecastSeasonLength,
+    setForecastSeasonLength,
+    showForecastBand,
+    setShowForecastBand,
     showXAxis,
     setShowXAxis,
     showYAxis,
@@ -1158,6 +1857,250 @@ export const useStyleSettings = (initialTheme = theme) => {
     showEmphasisVerticalLine,
     setShowEmphasisVerticalLine,
 
+    // Pie Chart
+    donutMode,
+    setDonutMode,
+    donutThickness,
+    setDonutThickness,
+    showDonutTotal,
+    setShowDonutTotal,
+    pieStartAngle,
+    setPieStartAngle,
+    sortSlices,
+    setSortSlices,
+    otherThreshold,
+    setOtherThreshold,
+    otherLabel,
+    setOtherLabel,
+    pieLabelPosition,
+    setPieLabelPosition,
+    pieLabelFormat,
+    setPieLabelFormat,
+    emphasizedSlices,
+    setEmphasizedSlices,
+
+    // Sankey Chart
+    sankeyNodeWidth,
+    setSankeyNodeWidth,
+    sankeyNodePadding,
+    setSankeyNodePadding,
+    sankeyNodeAlign,
+    setSankeyNodeAlign,
+    sankeyColorMode,
+    setSankeyColorMode,
+    sankeyLinkOpacity,
+    setSankeyLinkOpacity,
+    sankeyLinkColorMode,
+    setSankeyLinkColorMode,
+    sankeyLabelFormat,
+    setSankeyLabelFormat,
+    showNodeValues,
+    setShowNodeValues,
+    emphasizedNodes,
+    setEmphasizedNodes,
+
+    // Scatter Chart
+    scatterXColumn,
+    setScatterXColumn,
+    scatterYColumn,
+    setScatterYColumn,
+    scatterSizeColumn,
+    setScatterSizeColumn,
+    scatterColorColumn,
+    setScatterColorColumn,
+    scatterXScaleType,
+    setScatterXScaleType,
+    scatterYScaleType,
+    setScatterYScaleType,
+    scatterXAxisTitle,
+    setScatterXAxisTitle,
+    scatterYAxisTitle,
+    setScatterYAxisTitle,
+    scatterXAxisPrefix,
+    setScatterXAxisPrefix,
+    scatterXAxisSuffix,
+    setScatterXAxisSuffix,
+    scatterPointRadius,
+    setScatterPointRadius,
+    bubbleMaxRadius,
+    setBubbleMaxRadius,
+    scatterPointOpacity,
+    setScatterPointOpacity,
+    showQuadrants,
+    setShowQuadrants,
+    quadrantXMode,
+    setQuadrantXMode,
+    quadrantXValue,
+    setQuadrantXValue,
+    quadrantYMode,
+    setQuadrantYMode,
+    quadrantYValue,
+    setQuadrantYValue,
+    quadrantLabels,
+    setQuadrantLabels,
+    scatterLabelMode,
+    setScatterLabelMode,
+    emphasizedScatterPoints,
+    setEmphasizedScatterPoints,
+
+    // Heatmap Chart
+    heatmapMode,
+    setHeatmapMode,
+    heatmapValueColumn,
+    setHeatmapValueColumn,
+    heatmapColorScale,
+    setHeatmapColorScale,
+    heatmapLowColor,
+    setHeatmapLowColor,
+    heatmapHighColor,
+    setHeatmapHighColor,
+    heatmapMidColor,
+    setHeatmapMidColor,
+    heatmapDivergingLowColor,
+    setHeatmapDivergingLowColor,
+    heatmapMidpointAuto,
+    setHeatmapMidpointAuto,
+    heatmapMidpoint,
+    setHeatmapMidpoint,
+    heatmapEmptyColor,
+    setHeatmapEmptyColor,
+    heatmapCellGap,
+    setHeatmapCellGap,
+    heatmapCellRadius,
+    setHeatmapCellRadius,
+    showHeatmapCellValues,
+    setShowHeatmapCellValues,
+    heatmapLegendTitle,
+    setHeatmapLegendTitle,
+
+    // Combo Chart
+    comboSeriesTypes,
+    setComboSeriesTypes,
+    comboSeriesAxes,
+    setComboSeriesAxes,
+    comboLeftAxisTitle,
+    setComboLeftAxisTitle,
+    comboRightAxisTitle,
+    setComboRightAxisTitle,
+    secondaryAxisMinimum,
+    setSecondaryAxisMinimum,
+    secondaryAxisMinimumAuto,
+    setSecondaryAxisMinimumAuto,
+    secondaryAxisMaximum,
+    setSecondaryAxisMaximum,
+    secondaryAxisMaximumAuto,
+    setSecondaryAxisMaximumAuto,
+    secondaryAxisMajorUnit,
+    setSecondaryAxisMajorUnit,
+    secondaryAxisMajorUnitAuto,
+    setSecondaryAxisMajorUnitAuto,
+    secondaryAxisValuePrefix,
+    setSecondaryAxisValuePrefix,
+    secondaryAxisValueSuffix,
+    setSecondaryAxisValueSuffix,
+    secondaryAxisValueDecimalPlaces,
+    setSecondaryAxisValueDecimalPlaces,
+
+    // Distribution Charts
+    distributionValueColumn,
+    setDistributionValueColumn,
+    distributionGroupColumn,
+    setDistributionGroupColumn,
+    histogramBinMode,
+    setHistogramBinMode,
+    histogramBinCount,
+    setHistogramBinCount,
+    histogramBinWidth,
+    setHistogramBinWidth,
+    boxPlotShowOutliers,
+    setBoxPlotShowOutliers,
+    boxPlotShowMean,
+    setBoxPlotShowMean,
+
+    // Bullet Chart
+    bulletActualColumn,
+    setBulletActualColumn,
+    bulletTargetColumn,
+    setBulletTargetColumn,
+    bulletRangeColumns,
+    setBulletRangeColumns,
+    bulletSharedScale,
+    setBulletSharedScale,
+    bulletActualColor,
+    setBulletActualColor,
+    bulletTargetColor,
+    setBulletTargetColor,
+    bulletRangeColors,
+    setBulletRangeColors,
+    showBulletTargetLabels,
+    setShowBulletTargetLabels,
+
+    // KPI Chart
+    kpiTilesPerRow,
+    setKpiTilesPerRow,
+    showKpiChange,
+    setShowKpiChange,
+    kpiChangeFormat,
+    setKpiChangeFormat,
+    kpiLowerIsBetterColumns,
+    setKpiLowerIsBetterColumns,
+    showKpiSparklines,
+    setShowKpiSparklines,
+    kpiSparklineColor,
+    setKpiSparklineColor,
+    kpiSparklineFill,
+    setKpiSparklineFill,
+    showKpiTileBorders,
+    setShowKpiTileBorders,
+    showKpiPeriodLabel,
+    setShowKpiPeriodLabel,
+    kpiLabelFontSize,
+    setKpiLabelFontSize,
+    kpiValueFontSize,
+    setKpiValueFontSize,
+    kpiChangeFontSize,
+    setKpiChangeFontSize,
+
+    // Treemap Chart
+    treemapHierarchyMode,
+    setTreemapHierarchyMode,
+    treemapPathDelimiter,
+    setTreemapPathDelimiter,
+    treemapParentColumn,
+    setTreemapParentColumn,
+    treemapValueColumn,
+    setTreemapValueColumn,
+    treemapTiling,
+    setTreemapTiling,
+    treemapTilePadding,
+    setTreemapTilePadding,
+    showTreemapGroupLabels,
+    setShowTreemapGroupLabels,
+    treemapLabelFormat,
+    setTreemapLabelFormat,
+    treemapLabelFontSize,
+    setTreemapLabelFontSize,
+    treemapValueFontSize,
+    setTreemapValueFontSize,
+    treemapGroupLabelFontSize,
+    setTreemapGroupLabelFontSize,
+
+    // Radar Chart
+    radarScaleMode,
+    setRadarScaleMode,
+    radarGridLevels,
+    setRadarGridLevels,
+    radarGridShape,
+    setRadarGridShape,
+    showRadarGridLabels,
+    setShowRadarGridLabels,
+    radarLineThickness,
+    setRadarLineThickness,
+    radarAxisLabelFontSize,
+    setRadarAxisLabelFontSize,
+    radarGridLabelFontSize,
+    setRadarGridLabelFontSize,
+
     // Actions
     updateAspectRatio,
     resetToDefaults,
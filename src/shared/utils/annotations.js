@@ -0,0 +1,187 @@
+/**
+ * Annotation utilities for bar and line charts
+ * An annotation is a callout anchored to a data coordinate - a date or category and a value -
+ * so it follows its point when the data, scales or canvas size change. The callout text sits
+ * at a pixel offset from the anchor and can be dragged there.
+ *
+ * Annotation shape: { type: 'text' | 'arrow' | 'circle', x, y, text, dx, dy, color, radius }
+ */
+
+import * as d3 from 'd3';
+import { estimateTextWidth } from './chartDecorations';
+
+export const ANNOTATION_TYPES = {
+  text: { label: 'Text', dx: 0, dy: -30 },
+  arrow: { label: 'Arrow', dx: 40, dy: -50 },
+  circle: { label: 'Circle', dx: 30, dy: -40 },
+};
+
+const BOX_PADDING_X = 6;
+const BOX_PADDING_Y = 4;
+const LINE_HEIGHT = 1.25;
+const ARROWHEAD_LENGTH = 8;
+const ARROWHEAD_HALF_WIDTH = 4;
+
+/**
+ * Create an annotation with the default callout offset of its type
+ * @param {string} type - Key of ANNOTATION_TYPES
+ * @param {Object} anchor - { x, y } data coordinate
+ * @returns {Object} New annotation
+ */
+export const createAnnotation = (type, { x = '', y = '' } = {}) => {
+  const defaults = ANNOTATION_TYPES[type] || ANNOTATION_TYPES.text;
+  return {
+    type: ANNOTATION_TYPES[type] ? type : 'text',
+    x,
+    y,
+    text: '',
+    dx: defaults.dx,
+    dy: defaults.dy,
+    color: '',
+    radius: 14,
+  };
+};
+
+/**
+ * Point where a segment from (x1, y1) toward (x2, y2) leaves a circle around (x2, y2)
+ */
+const stopShort = (x1, y1, x2, y2, distance) => {
+  const length = Math.hypot(x2 - x1, y2 - y1);
+  if (length <= distance) return { x: x1, y: y1 };
+  const ratio = (length - distance) / length;
+  return { x: x1 + (x2 - x1) * ratio, y: y1 + (y2 - y1) * ratio };
+};
+
+/**
+ * Draw annotations into a chart group
+ * Annotations whose anchor can't be placed (a date or category no longer in the data) are skipped.
+ *
+ * @param {Object} group - D3 selection to draw into
+ * @param {Array} annotations - Annotation definitions
+ * @param {Object} options - Drawing options
+ * @param {Function} options.getPosition - Maps an annotation to its anchor { x, y } in pixels, or null
+ * @param {Function} options.onDrag - Called with (index, dx, dy) when a callout is dragged to a new offset
+ */
+export const renderAnnotations = (group, annotations, {
+  getPosition,
+  onDrag,
+  fontFamily = 'Inter',
+  fontSize = 13,
+  defaultColor = '#111827',
+  backgroundColor = '#ffffff',
+}) => {
+  if (!annotations || annotations.length === 0) return;
+
+  const layer = group.append('g').attr('class', 'annotations');
+
+  annotations.forEach((annotation, index) => {
+    const anchor = getPosition(annotation);
+    if (!anchor || !isFinite(anchor.x) || !isFinite(anchor.y)) return;
+
+    const color = annotation.color || defaultColor;
+    const type = ANNOTATION_TYPES[annotation.type] ? annotation.type : 'text';
+    const lines = String(annotation.text || '').split('\n').filter(line => line.trim() !== '');
+    const dx = annotation.dx ?? ANNOTATION_TYPES[type].dx;
+    const dy = annotation.dy ?? ANNOTATION_TYPES[type].dy;
+    const radius = annotation.radius || 14;
+
+    const item = layer.append('g')
+      .attr('class', `annotation annotation-${type}`);
+
+    if (type === 'circle') {
+      item.append('circle')
+        .attr('class', 'annotation-ring')
+        .attr('cx', anchor.x)
+        .attr('cy', anchor.y)
+        .attr('r', radius)
+        .attr('fill', 'none')
+        .attr('stroke', color)
+        .attr('stroke-width', 2);
+    }
+
+    if (lines.length === 0 && type !== 'arrow') return;
+
+    // Connector from the callout to the anchor: an arrow, or a plain line to the edge of a circle
+    const connector = item.append('g').attr('class', 'annotation-connector');
+    const drawConnector = (offsetX, offsetY) => {
+      connector.selectAll('*').remove();
+      if (type === 'text') return;
+
+      const fromX = anchor.x + offsetX;
+      const fromY = anchor.y + offsetY;
+      const end = stopShort(fromX, fromY, anchor.x, anchor.y, type === 'circle' ? radius : 2);
+      connector.append('line')
+        .attr('x1', fromX)
+        .attr('y1', fromY)
+        .attr('x2', end.x)
+        .attr('y2', end.y)
+        .attr('stroke', color)
+        .attr('stroke-width', 1.5);
+
+      if (type === 'arrow') {
+        const angle = Math.atan2(end.y - fromY, end.x - fromX);
+        const baseX = end.x - ARROWHEAD_LENGTH * Math.cos(angle);
+        const baseY = end.y - ARROWHEAD_LENGTH * Math.sin(angle);
+        const offX = ARROWHEAD_HALF_WIDTH * Math.sin(angle);
+        const offY = ARROWHEAD_HALF_WIDTH * Math.cos(angle);
+        connector.append('path')
+          .attr('class', 'annotation-arrowhead')
+          .attr('d', `M${end.x},${end.y}L${baseX + offX},${baseY - offY}L${baseX - offX},${baseY + offY}Z`)
+          .attr('fill', color);
+      }
+    };
+    drawConnector(dx, dy);
+
+    if (lines.length === 0) return;
+
+    // Callout box centered on the offset point, drawn over its connector
+    const lineHeight = fontSize * LINE_HEIGHT;
+    const boxWidth = d3.max(lines, line => estimateTextWidth(line, fontSize)) + BOX_PADDING_X * 2;
+    const boxHeight = lines.length * lineHeight + BOX_PADDING_Y * 2;
+    const callout = item.append('g')
+      .attr('class', 'annotation-callout')
+      .attr('transform', `translate(${anchor.x + dx}, ${anchor.y + dy})`)
+      .style('cursor', onDrag ? 'move' : 'default');
+
+    callout.append('rect')
+      .attr('x', -boxWidth / 2)
+      .attr('y', -boxHeight / 2)
+      .attr('width', boxWidth)
+      .attr('height', boxHeight)
+      .attr('rx', 3)
+      .attr('fill', backgroundColor)
+      .attr('fill-opacity', 0.85)
+      .attr('stroke', type === 'text' ? 'none' : color)
+      .attr('stroke-width', 1);
+
+    const text = callout.append('text')
+      .attr('class', 'annotation-text')
+      .attr('text-anchor', 'middle')
+      .attr('font-family', fontFamily)
+      .attr('font-size', `${fontSize}px`)
+      .attr('fill', color);
+    lines.forEach((line, i) => {
+      text.append('tspan')
+        .attr('x', 0)
+        .attr('y', -boxHeight / 2 + BOX_PADDING_Y + lineHeight * (i + 0.8))
+        .text(line);
+    });
+
+    if (onDrag) {
+      callout.call(d3.drag()
+        // Drag from where the callout is, so it doesn't jump to center on the pointer
+        .subject(() => ({ x: anchor.x + dx, y: anchor.y + dy }))
+        .on('start', function() {
+          d3.select(this).raise().attr('opacity', 0.7);
+        })
+        .on('drag', function(event) {
+          d3.select(this).attr('transform', `translate(${event.x}, ${event.y})`);
+          drawConnector(event.x - anchor.x, event.y - anchor.y);
+        })
+        .on('end', function(event) {
+          d3.select(this).attr('opacity', 1);
+          onDrag(index, Math.round(event.x - anchor.x), Math.round(event.y - anchor.y));
+        }));
+    }
+  });
+};
@@ -0,0 +1,71 @@
+/**
+ * Unit tests for annotation utilities
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import * as d3 from 'd3';
+import { createAnnotation, renderAnnotations } from './annotations';
+
+describe('annotations', () => {
+  const draw = (annotations, options = {}) => {
+    const svg = d3.select(document.createElementNS('http://www.w3.org/2000/svg', 'svg'));
+    renderAnnotations(svg, annotations, {
+      getPosition: annotation => (annotation.x === 'missing' ? null : { x: 100, y: Number(annotation.y) }),
+      ...options,
+    });
+    return svg.node();
+  };
+
+  describe('createAnnotation', () => {
+    it('should start each type at its default callout offset', () => {
+      expect(createAnnotation('arrow', { x: '2024-03', y: 50 })).toMatchObject({ type: 'arrow', x: '2024-03', y: 50, dx: 40, dy: -50 });
+      expect(createAnnotation('unknown').type).toBe('text');
+    });
+  });
+
+  describe('renderAnnotations', () => {
+    it('should place the callout at its offset from the anchor', () => {
+      const node = draw([{ type: 'text', x: 'Q1', y: 200, text: 'Launch', dx: 10, dy: -20 }]);
+
+      expect(node.querySelector('.annotation-callout').getAttribute('transform')).toBe('translate(110, 180)');
+      expect(node.querySelector('.annotation-text').textContent).toBe('Launch');
+      expect(node.querySelectorAll('.annotation-connector *')).toHaveLength(0);
+    });
+
+    it('should point arrows at the anchor and ring circles around it', () => {
+      const node = draw([
+        { type: 'arrow', x: 'Q1', y: 200, text: 'Peak', dx: 0, dy: -60 },
+        { type: 'circle', x: 'Q2', y: 120, text: '', radius: 20 },
+      ]);
+
+      const arrowLine = node.querySelector('.annotation-arrow line');
+      expect(Number(arrowLine.getAttribute('y1'))).toBe(140);
+      expect(Number(arrowLine.getAttribute('y2'))).toBeCloseTo(198);
+      expect(node.querySelector('.annotation-arrowhead')).not.toBeNull();
+
+      const circle = node.querySelector('.annotation-ring');
+      expect(circle.getAttribute('cy')).toBe('120');
+      expect(circle.getAttribute('r')).toBe('20');
+      expect(node.querySelector('.annotation-ring + .annotation-connector')).toBeNull();
+    });
+
+    it('should split text into lines and skip anchors that cannot be placed', () => {
+      const node = draw([
+        { type: 'text', x: 'Q1', y: 100, text: 'Line one\nLine two' },
+        { type: 'text', x: 'missing', y: 100, text: 'Gone' },
+      ]);
+
+      expect(node.querySelectorAll('.annotation')).toHaveLength(1);
+      expect(node.querySelectorAll('.annotation-text tspan')).toHaveLength(2);
+    });
+
+    it('should only make callouts draggable with a drag handler', () => {
+      const onDrag = vi.fn();
+      const draggable = draw([{ type: 'text', x: 'Q1', y: 100, text: 'Note' }], { onDrag });
+      const fixed = draw([{ type: 'text', x: 'Q1', y: 100, text: 'Note' }]);
+
+      expect(draggable.querySelector('.annotation-callout').style.cursor).toBe('move');
+      expect(fixed.querySelector('.annotation-callout').style.cursor).toBe('default');
+    });
+  });
+});
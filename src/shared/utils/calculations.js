@@ -126,17 +126,30 @@ export const calculateStdDev = (values) => {
   return Math.sqrt(avgSquareDiff);
 };
 
+/**
+ * Calculate the first quartile, median and third quartile
+ * Interpolates between neighbouring values, so the median matches calculateMedian
+ */
+export const calculateQuartiles = (values) => {
+  if (!values || values.length === 0) return { q1: 0, median: 0, q3: 0 };
+  const sorted = [...values].sort((a, b) => a - b);
+  const quantile = (p) => {
+    const position = (sorted.length - 1) * p;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+  };
+  return { q1: quantile(0.25), median: quantile(0.5), q3: quantile(0.75) };
+};
+
 /**
  * Identify outliers using IQR method
+ * Values more than 1.5 × IQR below the first or above the third quartile
  */
 export const findOutliers = (values) => {
   if (!values || values.length < 4) return [];
-  
-  const sorted = [...values].sort((a, b) => a - b);
-  const q1Index = Math.floor(sorted.length * 0.25);
-  const q3Index = Math.floor(sorted.length * 0.75);
-  const q1 = sorted[q1Index];
-  const q3 = sorted[q3Index];
+
+  const { q1, q3 } = calculateQuartiles(values);
   const iqr = q3 - q1;
   const lowerBound = q1 - 1.5 * iqr;
   const upperBound = q3 + 1.5 * iqr;
@@ -153,3 +166,74 @@ export const calculateGrowthRate = (startValue, endValue, periods) => {
   if (!startValue || startValue === 0 || periods === 0) return 0;
   return (Math.pow(endValue / startValue, 1 / periods) - 1) * 100;
 };
+
+/**
+ * Standard normal cumulative distribution function
+ * Abramowitz and Stegun formula 7.1.26, accurate to about 1e-7
+ */
+const standardNormalCdf = (z) => {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))))
+    * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+};
+
+/**
+ * Two-proportion z-test: is the difference between two conversion rates bigger than chance?
+ * Uses the pooled rate for the standard error; the p-value is two-sided
+ * @returns {Object|null} { rateA, rateB, difference, z, pValue } with rates in percent,
+ *   or null when a group is empty or converts more than it started with
+ */
+export const calculateTwoProportionZTest = (successesA, totalA, successesB, totalB) => {
+  if (!(totalA > 0) || !(totalB > 0)) return null;
+  if (successesA < 0 || successesB < 0 || successesA > totalA || successesB > totalB) return null;
+
+  const rateA = successesA / totalA;
+  const rateB = successesB / totalB;
+  const pooled = (successesA + successesB) / (totalA + totalB);
+  const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / totalA + 1 / totalB));
+
+  // Every visitor converted (or none did) in both groups - no spread to test against
+  const z = standardError === 0 ? 0 : (rateB - rateA) / standardError;
+  const pValue = standardError === 0 ? 1 : 2 * (1 - standardNormalCdf(Math.abs(z)));
+
+  return {
+    rateA: rateA * 100,
+    rateB: rateB * 100,
+    difference: (rateB - rateA) * 100,
+    z,
+    pValue: Math.min(1, Math.max(0, pValue)),
+  };
+};
+
+/**
+ * Test whether the conversion from one stage to another differs between two periods
+ * @param {Array} stageValues - One array of period values per stage
+ * @param {number} fromStage - Index of the starting stage
+ * @param {number} toStage - Index of the later stage
+ * @param {number} baselinePeriod - Index of the period compared against (e.g. Control)
+ * @param {number} comparedPeriod - Index of the period being tested (e.g. Variant)
+ * @returns {Object|null} Result of calculateTwoProportionZTest
+ */
+export const calculateStageSignificance = (stageValues, fromStage, toStage, baselinePeriod, comparedPeriod) => {
+  const from = stageValues?.[fromStage];
+  const to = stageValues?.[toStage];
+  if (!from || !to) return null;
+  return calculateTwoProportionZTest(to[baselinePeriod], from[baselinePeriod], to[comparedPeriod], from[comparedPeriod]);
+};
+
+/**
+ * Significance marker for a p-value: *** below 0.001, ** below 0.01, * below the
+ * significance level, "n.s." (not significant) otherwise
+ */
+export const getSignificanceMarker = (pValue, significanceLevel = 0.05) => {
+  if (pValue === null || pValue === undefined || pValue >= significanceLevel) return 'n.s.';
+  if (pValue < 0.001) return '***';
+  if (pValue < 0.01) return '**';
+  return '*';
+};
+
+/**
+ * Format a p-value for a chart label
+ */
+export const formatPValue = (pValue) => (pValue < 0.001 ? 'p < 0.001' : `p = ${pValue.toFixed(3)}`);
@@ -0,0 +1,88 @@
+/**
+ * Unit tests for significance calculations
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  calculateTwoProportionZTest,
+  calculateStageSignificance,
+  getSignificanceMarker,
+  formatPValue,
+} from './calculations';
+
+describe('calculations', () => {
+  describe('calculateTwoProportionZTest', () => {
+    it('should match a hand-worked pooled z-test', () => {
+      // 2.0% vs 2.6% of 10,000 each: pooled 2.3%, SE 0.00212, z 2.83
+      const test = calculateTwoProportionZTest(200, 10000, 260, 10000);
+
+      expect(test.rateA).toBeCloseTo(2.0);
+      expect(test.rateB).toBeCloseTo(2.6);
+      expect(test.difference).toBeCloseTo(0.6);
+      expect(test.z).toBeCloseTo(2.830, 2);
+      expect(test.pValue).toBeCloseTo(0.00465, 4);
+    });
+
+    it('should be two-sided, so swapping the groups only flips the sign of z', () => {
+      const forward = calculateTwoProportionZTest(200, 10000, 260, 10000);
+      const reverse = calculateTwoProportionZTest(260, 10000, 200, 10000);
+
+      expect(reverse.z).toBeCloseTo(-forward.z);
+      expect(reverse.pValue).toBeCloseTo(forward.pValue);
+    });
+
+    it('should find no difference between identical rates', () => {
+      expect(calculateTwoProportionZTest(50, 1000, 100, 2000).pValue).toBeCloseTo(1);
+      expect(calculateTwoProportionZTest(10, 10, 20, 20)).toMatchObject({ z: 0, pValue: 1 });
+    });
+
+    it('should return null for empty groups or more conversions than visitors', () => {
+      expect(calculateTwoProportionZTest(0, 0, 5, 100)).toBeNull();
+      expect(calculateTwoProportionZTest(120, 100, 5, 100)).toBeNull();
+    });
+  });
+
+  describe('calculateStageSignificance', () => {
+    const stages = [
+      [10000, 10000], // Visitors: Control, Variant
+      [3000, 3400], // Sign Ups
+      [600, 620], // Purchases
+    ];
+
+    it('should test the conversion between two stages across periods', () => {
+      const test = calculateStageSignificance(stages, 0, 1, 0, 1);
+      expect(test.rateA).toBeCloseTo(30);
+      expect(test.rateB).toBeCloseTo(34);
+      expect(test.pValue).toBeLessThan(0.001);
+    });
+
+    it('should test non-adjacent stages', () => {
+      const test = calculateStageSignificance(stages, 0, 2, 0, 1);
+      expect(test.rateA).toBeCloseTo(6);
+      expect(test.rateB).toBeCloseTo(6.2);
+      expect(test.pValue).toBeGreaterThan(0.05);
+    });
+
+    it('should return null for stages that do not exist', () => {
+      expect(calculateStageSignificance(stages, 0, 5, 0, 1)).toBeNull();
+    });
+  });
+
+  describe('getSignificanceMarker', () => {
+    it('should grade p-values against the significance level', () => {
+      expect(getSignificanceMarker(0.0004)).toBe('***');
+      expect(getSignificanceMarker(0.004)).toBe('**');
+      expect(getSignificanceMarker(0.03)).toBe('*');
+      expect(getSignificanceMarker(0.03, 0.01)).toBe('n.s.');
+      expect(getSignificanceMarker(0.08, 0.1)).toBe('*');
+      expect(getSignificanceMarker(0.2)).toBe('n.s.');
+    });
+  });
+
+  describe('formatPValue', () => {
+    it('should floor tiny p-values instead of printing zero', () => {
+      expect(formatPValue(0.00001)).toBe('p < 0.001');
+      expect(formatPValue(0.0468)).toBe('p = 0.047');
+    });
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Chart decoration helpers
+ * Shared SVG rendering for the pieces every chart draws the same way:
+ * title/subtitle header, free-tier watermark and theme-aware text colors
+ */
+
+import * as d3 from 'd3';
+
+/**
+ * Extra canvas height reserved below the chart for the free-tier watermark
+ */
+export const WATERMARK_MARGIN_HEIGHT = 50;
+
+/**
+ * Get theme-aware text and line colors
+ * @param {boolean} darkMode - Whether dark mode is active
+ * @returns {Object} Theme colors
+ */
+export const getThemeColors = (darkMode = false) => ({
+  titleColor: darkMode ? '#f9fafb' : '#111827',
+  subtitleColor: darkMode ? '#d1d5db' : '#6b7280',
+  labelColor: darkMode ? '#e5e7eb' : '#374151',
+  mutedLabelColor: darkMode ? '#9ca3af' : '#6b7280',
+  axisLineColor: darkMode ? '#9ca3af' : '#374151',
+  gridlineColor: darkMode ? '#374151' : '#e5e7eb',
+  emphasisColor: darkMode ? '#ffffff' : '#000000',
+});
+
+/**
+ * Estimate text width based on font size and string length
+ * This is a rough approximation - actual width varies by font and characters
+ * @param {string|number} text - Text to measure
+ * @param {number} fontSize - Font size in px
+ * @param {number} fontWeight - Font weight (bold text takes ~10% more space)
+ * @returns {number} Estimated width in px
+ */
+export const estimateTextWidth = (text, fontSize, fontWeight = 400) => {
+  const charWidthMultiplier = fontWeight > 500 ? 0.65 : 0.6;
+  const textStr = text != null ? text.toString() : '';
+  return textStr.length * fontSize * charWidthMultiplier;
+};
+
+/**
+ * Render title and subtitle at the top of a chart SVG
+ * @param {Object} svg - D3 selection of the root SVG
+ * @param {Object} options - Header options
+ * @returns {number} Height taken by the header (including the gap before the chart)
+ */
+export const renderChartHeader = (svg, {
+  title = '',
+  subtitle = '',
+  titleFontSize = 28,
+  subtitleFontSize = 20,
+  titleAlignment = 'left',
+  fontFamily = 'Inter',
+  width,
+  marginLeft = 0,
+  darkMode = false,
+}) => {
+  const themeColors = getThemeColors(darkMode);
+  const titleHeight = title ? titleFontSize : 0;
+  const subtitleHeight = subtitle ? subtitleFontSize : 0;
+  const titleToSubtitleGap = title && subtitle ? 5 : 0;
+  const headerToChartGap = (title || subtitle) ? 20 : 0;
+
+  const textX = titleAlignment === 'center' ? width / 2 : marginLeft;
+  const textAnchor = titleAlignment === 'center' ? 'middle' : 'start';
+
+  if (title) {
+    svg
+      .append('text')
+      .attr('class', 'chart-title')
+      .attr('x', textX)
+      .attr('y', 30)
+      .attr('text-anchor', textAnchor)
+      .attr('font-family', fontFamily)
+      .attr('font-size', titleHeight + 'px')
+      .attr('font-weight', '700')
+      .attr('fill', themeColors.titleColor)
+      .text(title);
+  }
+
+  if (subtitle) {
+    svg
+      .append('text')
+      .attr('class', 'chart-subtitle')
+      .attr('x', textX)
+      .attr('y', 30 + titleHeight + titleToSubtitleGap)
+      .attr('text-anchor', textAnchor)
+      .attr('font-family', fontFamily)
+      .attr('font-size', subtitleHeight + 'px')
+      .attr('font-weight', '400')
+      .attr('fill', themeColors.subtitleColor)
+      .text(subtitle);
+  }
+
+  return titleHeight + titleToSubtitleGap + subtitleHeight + headerToChartGap;
+};
+
+/**
+ * Add watermark/attribution for free tier users
+ * Drawn in the dedicated margin area below the chart (see WATERMARK_MARGIN_HEIGHT)
+ * @param {Object} svg - D3 selection of the root SVG
+ * @param {Object} options - Watermark options
+ */
+export const renderWatermark = (svg, {
+  userTier,
+  width,
+  chartBottom,
+  fontFamily = 'Inter',
+  darkMode = false,
+}) => {
+  if (userTier === 'pro') return;
+
+  const watermarkText = 'Made with Find&Tell | Charts for Data Stories™ | FindandTell.co';
+  const watermarkFontSize = 14; // Match homepage text-sm
+  const watermarkY = chartBottom + (WATERMARK_MARGIN_HEIGHT / 2) + 5;
+  const watermarkColor = darkMode ? '#60a5fa' : '#1e3a8a'; // Blue-400 in dark mode, Blue-900 in light mode
+
+  const watermarkLink = svg
+    .append('a')
+    .attr('href', 'https://findandtell.co')
+    .attr('target', '_blank')
+    .attr('rel', 'noopener noreferrer');
+
+  watermarkLink
+    .append('text')
+    .attr('x', width / 2)
+    .attr('y', watermarkY)
+    .attr('text-anchor', 'middle')
+    .attr('font-family', fontFamily)
+    .attr('font-size', watermarkFontSize + 'px')
+    .attr('font-weight', '500')
+    .attr('fill', watermarkColor)
+    .attr('opacity', 1.0)
+    .style('cursor', 'pointer')
+    .text(watermarkText)
+    .on('mouseover', function() {
+      d3.select(this).attr('fill', '#0891b2'); // Cyan-600 on hover
+    })
+    .on('mouseout', function() {
+      d3.select(this).attr('fill', watermarkColor);
+    });
+};
@@ -4,7 +4,10 @@
  * for save/load functionality
  */
 
+import Papa from 'papaparse';
 import { debug } from './debug';
+import { PLAIN_IMPORT_LOCALE } from './importLocale';
+import { getLabelField } from './columnSchema';
 
 const CHART_STATE_VERSION = '1.0';
 
@@ -13,27 +16,37 @@ const CHART_STATE_VERSION = '1.0';
  * Preserves sorts, reorders, and manual edits
  * @param {Array} data - Array of data objects
  * @param {Array} periodNames - Array of period/column names
+ * @param {Object} columnSchema - Column types, which tell the label column apart
  * @returns {string} CSV string
  */
-const dataToCSV = (data, periodNames) => {
+const dataToCSV = (data, periodNames, columnSchema) => {
   if (!data || data.length === 0) return '';
 
-  // Create header row: Category + period names
-  const headers = ['Category', ...periodNames];
-  const csvRows = [headers.join(',')];
+  // States saved before the label column was typed fall back to the first column that isn't a value column
+  const labelField = getLabelField(data[0], columnSchema, periodNames)
+    || Object.keys(data[0]).find(field => !periodNames.includes(field) && field !== 'hidden' && field !== '_id');
 
-  // Add data rows
-  data.forEach(row => {
-    const values = [
-      row.Category || '',
-      ...periodNames.map(period => row[period] !== undefined ? row[period] : '')
-    ];
-    csvRows.push(values.join(','));
-  });
+  // Header row: label column + period names
+  const headers = [labelField, ...periodNames];
+  const rows = data.map(row => [
+    row[labelField] || '',
+    ...periodNames.map(period => row[period] !== undefined ? row[period] : '')
+  ]);
 
-  return csvRows.join('\n');
+  // Text columns (Sankey targets, scatter groups) can hold commas and quotes, so let Papa quote them
+  return Papa.unparse({ fields: headers, data: rows }, { newline: '\n' });
 };
 
+/**
+ * Get the source a saved chart's data came from (JSON, Excel, Google Sheets...)
+ * The data reloads from its CSV either way, but keeping the source keeps the source-specific UI
+ * matching it; charts saved without one reload as pasted CSV
+ *
+ * @param {Object} data - The data of a saved chart state
+ * @returns {string} Source for loadCSVText
+ */
+export const getSavedSource = (data) => (data?.source && data.source !== 'unknown' ? data.source : 'csv-paste');
+
 /**
  * Serialize chart state to JSON-compatible object
  * @param {Object} params - Chart state parameters
@@ -58,7 +71,7 @@ export const serializeChartState = ({
   // Convert editableData to CSV to preserve sorts, edits, and reorders
   // Falls back to rawCSV if editableData is not available
   const csvData = chartData.editableData && chartData.editableData.length > 0
-    ? dataToCSV(chartData.editableData, chartData.periodNames)
+    ? dataToCSV(chartData.editableData, chartData.periodNames, chartData.columnSchema)
     : chartData.rawCSV || '';
 
   const state = {
@@ -73,6 +86,10 @@ export const serializeChartState = ({
       csv: csvData,
       source: chartData.source || 'unknown',
       googleSheetsUrl: chartData.googleSheetsUrl || null,
+      // How JSON fields map to columns, so re-importing a fresh file reproduces the chart
+      fieldMapping: chartData.fieldMapping || null,
+      // Column types picked in the data table; the rest are inferred again on load
+      columnTypes: chartData.columnTypeOverrides || {},
       periodNames: chartData.periodNames || [],
       stageCount: chartData.editableData ? chartData.editableData.length : (chartData.stageCount || 0),
       periodCount: chartData.periodCount || 0,
@@ -84,6 +101,16 @@ export const serializeChartState = ({
       hiddenPeriods: chartData.hiddenPeriods ? Array.from(chartData.hiddenPeriods) : [],
       emphasizedBars: styleSettings.emphasizedBars || [],
       emphasizedLines: styleSettings.emphasizedLines || [],
+      emphasizedSlices: styleSettings.emphasizedSlices || [],
+      emphasizedNodes: styleSettings.emphasizedNodes || [],
+      emphasizedScatterPoints: styleSettings.emphasizedScatterPoints || [],
+      // Bound columns travel in the CSV; this keeps which columns bound which series
+      errorBars: {
+        show: styleSettings.showErrorBars || false,
+        columns: styleSettings.errorBarColumns || {},
+      },
+      // Annotations are anchored to this data, so they're saved with it rather than in the style
+      annotations: styleSettings.annotations || [],
     },
 
     // Style Settings - Use structured format from exportSettings (same format as style presets)
@@ -115,11 +142,26 @@ export const deserializeChartState = (stateObj) => {
     'bar-vertical',
     'bar-grouped-horizontal',
     'bar-grouped-vertical',
+    'bar-waterfall',
+    'bar-diverging',
     'line',
     'area',
     'area-stacked',
     'slope',
-    'funnel'
+    'dumbbell',
+    'bump',
+    'bullet',
+    'radar',
+    'kpi',
+    'treemap',
+    'funnel',
+    'pie',
+    'sankey',
+    'scatter',
+    'heatmap',
+    'histogram',
+    'boxplot',
+    'combo'
   ];
   if (!validChartTypes.includes(stateObj.chartType)) {
     throw new Error(`Invalid chart type: ${stateObj.chartType}`);
@@ -152,12 +194,21 @@ export const applyChartState = async (chartState, setChartType, chartData, style
 
     // 2. Load data
     if (chartState.data.csv) {
-      await chartData.loadCSVText(chartState.data.csv);
+      // Saved CSV holds plain numbers, whatever the user's import locale
+      await chartData.loadCSVText(chartState.data.csv, ',', getSavedSource(chartState.data), PLAIN_IMPORT_LOCALE);
 
       // Store Google Sheets URL if present
       if (chartState.data.googleSheetsUrl) {
         chartData.googleSheetsUrl = chartState.data.googleSheetsUrl;
       }
+
+      if (chartState.data.fieldMapping && chartData.setFieldMapping) {
+        chartData.setFieldMapping(chartState.data.fieldMapping);
+      }
+
+      if (chartState.data.columnTypes && chartData.setColumnTypeOverrides) {
+        chartData.setColumnTypeOverrides(chartState.data.columnTypes);
+      }
     }
 
     // 3. Restore hidden periods
@@ -180,6 +231,26 @@ export const applyChartState = async (chartState, setChartType, chartData, style
     if (chartState.state.emphasizedLines && styleSettings.setEmphasizedLines) {
       styleSettings.setEmphasizedLines(chartState.state.emphasizedLines);
     }
+    if (chartState.state.emphasizedSlices && styleSettings.setEmphasizedSlices) {
+      styleSettings.setEmphasizedSlices(chartState.state.emphasizedSlices);
+    }
+    if (chartState.state.emphasizedNodes && styleSettings.setEmphasizedNodes) {
+      styleSettings.setEmphasizedNodes(chartState.state.emphasizedNodes);
+    }
+    if (chartState.state.emphasizedScatterPoints && styleSettings.setEmphasizedScatterPoints) {
+      styleSettings.setEmphasizedScatterPoints(chartState.state.emphasizedScatterPoints);
+    }
+
+    // 6. Restore error bars
+    if (chartState.state.errorBars && styleSettings.setShowErrorBars) {
+      styleSettings.setShowErrorBars(chartState.state.errorBars.show || false);
+      styleSettings.setErrorBarColumns(chartState.state.errorBars.columns || {});
+    }
+
+    // 7. Restore annotations
+    if (chartState.state.annotations && styleSettings.setAnnotations) {
+      styleSettings.setAnnotations(chartState.state.annotations);
+    }
 
     return { success: true, message: 'Chart loaded successfully' };
   } catch (error) {
@@ -0,0 +1,64 @@
+/**
+ * Unit tests for chart state serialization
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import Papa from 'papaparse';
+import { serializeChartState, applyChartState } from './chartStateManager';
+import { PLAIN_IMPORT_LOCALE } from './importLocale';
+
+describe('chartStateManager', () => {
+  describe('serializeChartState', () => {
+    it('should quote saved text values that hold commas and quotes', () => {
+      const state = serializeChartState({
+        chartType: 'sankey',
+        chartData: {
+          editableData: [
+            { Source: 'Visitors, organic', Target: 'The "Pricing" page', Value: 1200 },
+            { Source: 'Visitors, paid', Target: 'Signup', Value: 300 },
+          ],
+          periodNames: ['Target', 'Value'],
+          columnSchema: { Source: 'category', Target: 'category', Value: 'number' },
+        },
+        styleSettings: {},
+      });
+
+      const parsed = Papa.parse(state.data.csv, { header: true });
+      expect(parsed.meta.fields).toEqual(['Source', 'Target', 'Value']);
+      expect(parsed.data[0]).toEqual({ Source: 'Visitors, organic', Target: 'The "Pricing" page', Value: '1200' });
+      expect(parsed.data[1].Source).toBe('Visitors, paid');
+    });
+
+    it('should save a label column of years under its own name', () => {
+      const state = serializeChartState({
+        chartType: 'bar-grouped',
+        chartData: {
+          editableData: [{ 2023: 10, 2024: 12, Year: '2023' }, { 2023: 8, 2024: 9, Year: '2024' }],
+          periodNames: ['2023', '2024'],
+          columnSchema: { Year: 'category', 2023: 'number', 2024: 'number' },
+        },
+        styleSettings: {},
+      });
+
+      expect(state.data.csv.split('\n')).toEqual(['Year,2023,2024', '2023,10,12', '2024,8,9']);
+    });
+  });
+
+  describe('applyChartState', () => {
+    const loadState = async (data) => {
+      const chartData = { loadCSVText: vi.fn(async () => true), setHiddenPeriods: vi.fn() };
+      await applyChartState({ chartType: 'bar-horizontal', data, state: {} }, vi.fn(), chartData, {});
+      return chartData.loadCSVText;
+    };
+
+    it('should reload saved data with the source it came from', async () => {
+      const loadCSVText = await loadState({ csv: 'Category,Sales\nA,1', source: 'json-upload' });
+      expect(loadCSVText).toHaveBeenCalledWith('Category,Sales\nA,1', ',', 'json-upload', PLAIN_IMPORT_LOCALE);
+    });
+
+    it('should reload charts saved without a source as pasted CSV', async () => {
+      const loadCSVText = await loadState({ csv: 'Category,Sales\nA,1', source: 'unknown' });
+      expect(loadCSVText).toHaveBeenCalledWith('Category,Sales\nA,1', ',', 'csv-paste', PLAIN_IMPORT_LOCALE);
+    });
+  });
+});
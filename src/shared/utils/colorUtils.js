@@ -110,6 +110,92 @@ export const calculateSegmentColor = (
   return darkenColor(baseColor, darkenAmount);
 };
 
+/**
+ * Desaturate a color by blending it with its grayscale value
+ * Used to de-emphasize marks when others are emphasized
+ */
+export const desaturateColor = (color, grayAmount = 0.7) => {
+  const rgb = hexToRgb(color);
+  if (!rgb) return color;
+
+  const gray = Math.round(0.299 * rgb.r + 0.587 * rgb.g + 0.114 * rgb.b);
+  return rgbToHex(
+    gray * grayAmount + rgb.r * (1 - grayAmount),
+    gray * grayAmount + rgb.g * (1 - grayAmount),
+    gray * grayAmount + rgb.b * (1 - grayAmount)
+  );
+};
+
+/**
+ * Apply saturation to a color
+ * @param {string} color - Hex color string
+ * @param {number} saturationPercent - 0-100%, where 100% = full color, 0% = grey
+ * @returns {string} - Adjusted hex color
+ */
+export const applySaturation = (color, saturationPercent) => {
+  // Parse the hex color
+  const hex = color.replace('#', '');
+  const r = parseInt(hex.substring(0, 2), 16);
+  const g = parseInt(hex.substring(2, 4), 16);
+  const b = parseInt(hex.substring(4, 6), 16);
+
+  // Convert to HSL
+  const rNorm = r / 255;
+  const gNorm = g / 255;
+  const bNorm = b / 255;
+
+  const max = Math.max(rNorm, gNorm, bNorm);
+  const min = Math.min(rNorm, gNorm, bNorm);
+  let h, s, l = (max + min) / 2;
+
+  if (max === min) {
+    h = s = 0; // achromatic
+  } else {
+    const d = max - min;
+    s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+
+    switch (max) {
+      case rNorm: h = ((gNorm - bNorm) / d + (gNorm < bNorm ? 6 : 0)) / 6; break;
+      case gNorm: h = ((bNorm - rNorm) / d + 2) / 6; break;
+      case bNorm: h = ((rNorm - gNorm) / d + 4) / 6; break;
+      default: h = 0;
+    }
+  }
+
+  // Apply saturation: 100% = full saturation, 0% = completely grey
+  const saturationFactor = saturationPercent / 100;
+  s = s * saturationFactor;
+
+  // Convert back to RGB
+  const hue2rgb = (p, q, t) => {
+    if (t < 0) t += 1;
+    if (t > 1) t -= 1;
+    if (t < 1/6) return p + (q - p) * 6 * t;
+    if (t < 1/2) return q;
+    if (t < 2/3) return p + (q - p) * (2/3 - t) * 6;
+    return p;
+  };
+
+  let rOut, gOut, bOut;
+  if (s === 0) {
+    rOut = gOut = bOut = l;
+  } else {
+    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+    const p = 2 * l - q;
+    rOut = hue2rgb(p, q, h + 1/3);
+    gOut = hue2rgb(p, q, h);
+    bOut = hue2rgb(p, q, h - 1/3);
+  }
+
+  // Convert back to hex
+  const toHex = (x) => {
+    const hex = Math.round(x * 255).toString(16);
+    return hex.length === 1 ? '0' + hex : hex;
+  };
+
+  return `#${toHex(rOut)}${toHex(gOut)}${toHex(bOut)}`;
+};
+
 /**
  * Get contrasting text color (black or white) for background
  */
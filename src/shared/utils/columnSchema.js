@@ -0,0 +1,203 @@
+/**
+ * Column schema utilities
+ * Every value column gets a type, inferred at import and overridable from the data table.
+ * Charts plot the numeric types (number, percent, currency) and can group or split by the
+ * others, so a column of years or ZIP codes can be told not to be plotted, and a column of
+ * text numbers can be told to be.
+ *
+ * Schema shape: { [column]: type } - columns without an entry are numbers. The label column is
+ * in the schema too, typed as a category (or date), so it is told apart by its type, not its name.
+ */
+
+import { parseLocaleNumber, PLAIN_IMPORT_LOCALE } from './importLocale';
+
+export const COLUMN_TYPES = {
+  category: { label: 'Category', numeric: false },
+  number: { label: 'Number', numeric: true },
+  percent: { label: 'Percent', numeric: true },
+  currency: { label: 'Currency', numeric: true },
+  date: { label: 'Date', numeric: false },
+  boolean: { label: 'Boolean', numeric: false },
+};
+
+const CURRENCY = /[$€£¥₹]/;
+const BOOLEAN_WORDS = ['true', 'false', 'yes', 'no'];
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}( \d{2}:\d{2})?$/;
+// Share of filled cells that must be numbers for a column to be numeric despite placeholders ("N/A", "-")
+const NUMERIC_MAJORITY = 2 / 3;
+
+const hasValue = (value) => value !== null && value !== undefined && String(value).trim() !== '';
+
+/**
+ * Check whether a column type is plotted as a number
+ * Unknown and missing types count as numbers, as columns added in the editor are
+ */
+export const isNumericType = (type) => COLUMN_TYPES[type]?.numeric ?? true;
+
+/**
+ * Get the label column of a chart data row: the first column typed as text that isn't a value column
+ * @param {Object} row - Chart data row
+ * @param {Object} schema - Column schema, label column included
+ * @param {Array} valueColumns - The chart's value columns (periodNames), which may hold text too
+ * @returns {string|undefined} The row's label field name
+ */
+export const getLabelField = (row, schema = {}, valueColumns = []) => (
+  row
+    ? Object.keys(row).find(field => field in schema && !isNumericType(schema[field]) && !valueColumns.includes(field))
+    : undefined
+);
+
+/**
+ * Infer the type of one column
+ * A column that is mostly numbers stays numeric when a few cells hold placeholders such as
+ * "N/A" or "-"; those cells are read as blanks (see clearUnreadableCells)
+ *
+ * @param {Array} rawValues - Values as written in the file (before the import locale read them)
+ * @param {Array} values - Values after import, with numbers and "YYYY-MM-DD" dates
+ * @returns {string} Column type
+ */
+export const inferColumnType = (rawValues, values) => {
+  const filled = values.filter(hasValue);
+  if (filled.length === 0) return 'number';
+
+  if (filled.every(value => BOOLEAN_WORDS.includes(String(value).trim().toLowerCase()))) return 'boolean';
+  const numbers = filled.filter(value => typeof value === 'number' || !isNaN(Number(value)));
+  if (numbers.length > 0 && numbers.length >= filled.length * NUMERIC_MAJORITY) {
+    const raw = rawValues.filter(hasValue).map(String);
+    if (raw.some(value => value.includes('%'))) return 'percent';
+    if (raw.some(value => CURRENCY.test(value))) return 'currency';
+    return 'number';
+  }
+  if (filled.every(value => ISO_DATE.test(String(value).trim()))) return 'date';
+  return 'category';
+};
+
+/**
+ * Infer the type of each column of imported rows
+ * @param {Array} rawRows - Rows as written in the file, keyed by field
+ * @param {Array} rows - The same rows after import
+ * @param {Array} fields - Columns to infer
+ * @returns {Object} Column schema
+ */
+export const inferColumnSchema = (rawRows, rows, fields) => {
+  const schema = {};
+  (fields || []).forEach(field => {
+    schema[field] = inferColumnType((rawRows || []).map(row => row[field]), (rows || []).map(row => row[field]));
+  });
+  return schema;
+};
+
+/**
+ * Add the label column to a schema
+ * Labels name rows rather than being plotted, so they are categories even when they hold years or
+ * codes - or dates, when every label is one
+ *
+ * @param {Object} schema - Schema of the value columns
+ * @param {string} labelField - Label column name
+ * @param {Array} labels - Label column values
+ * @returns {Object} Column schema
+ */
+export const withLabelColumn = (schema, labelField, labels = []) => ({
+  ...schema,
+  [labelField]: inferColumnType(labels, labels) === 'date' ? 'date' : 'category',
+});
+
+/**
+ * Get the columns charts should plot
+ * @param {Array} columns - Candidate columns, in order
+ * @param {Object} schema - Column schema
+ * @returns {Array} Columns with a numeric type
+ */
+export const getMetricColumns = (columns, schema = {}) => (
+  (columns || []).filter(column => isNumericType(schema[column]))
+);
+
+/**
+ * Clear the cells of numeric columns that hold text, such as "N/A" or "-" placeholders
+ * @param {Array} rows - Imported rows
+ * @param {Object} schema - Column schema
+ * @returns {Object} { rows, cleared: { [column]: [text] } } - copies of the changed rows, and the text cleared from each column
+ */
+export const clearUnreadableCells = (rows, schema = {}) => {
+  const cleared = {};
+  const fields = Object.keys(schema).filter(field => isNumericType(schema[field]));
+  const readableRows = (rows || []).map(row => {
+    let readable = row;
+    fields.forEach(field => {
+      const value = row[field];
+      if (!hasValue(value) || typeof value === 'number' || !isNaN(Number(value))) return;
+      if (readable === row) readable = { ...row };
+      readable[field] = '';
+      cleared[field] = [...(cleared[field] || []), String(value).trim()];
+    });
+    return readable;
+  });
+  return { rows: readableRows, cleared };
+};
+
+/**
+ * Map imported numbers back to the text they were read from
+ * A numeric column retyped as a category then shows "02134" or "$1,200" rather than 2134 or 1200
+ *
+ * @param {Array} rawRows - Rows as written in the file
+ * @param {Array} rows - The same rows after import
+ * @param {Object} schema - Column schema; only numeric columns are mapped
+ * @returns {Object} { [column]: { [value]: text } }, holding only the values whose text differs
+ */
+export const getImportedText = (rawRows, rows, schema = {}) => {
+  const importedText = {};
+  Object.keys(schema).filter(field => isNumericType(schema[field])).forEach(field => {
+    (rows || []).forEach((row, index) => {
+      const value = row[field];
+      const text = String(rawRows?.[index]?.[field] ?? '').trim();
+      if (!hasValue(value) || text === String(value)) return;
+      importedText[field] = importedText[field] || {};
+      if (!(value in importedText[field])) importedText[field][value] = text;
+    });
+  });
+  return importedText;
+};
+
+/**
+ * Convert a value to a column type
+ * Numeric types read text with the plain import locale, blank and unreadable values staying
+ * empty (null) as they do at import; other types keep the value as text
+ *
+ * @param {*} value - Cell value
+ * @param {string} type - Column type
+ * @returns {number|string|null} Converted value
+ */
+export const coerceColumnValue = (value, type) => {
+  if (!hasValue(value)) return isNumericType(type) ? null : '';
+  if (isNumericType(type)) {
+    if (typeof value === 'number') return value;
+    const lower = String(value).trim().toLowerCase();
+    if (lower === 'true' || lower === 'yes') return 1;
+    if (lower === 'false' || lower === 'no') return 0;
+    return parseLocaleNumber(value, PLAIN_IMPORT_LOCALE);
+  }
+  return String(value).trim();
+};
+
+/**
+ * Convert the overridden columns of chart data rows
+ * Columns retyped as text take back the text their numbers were imported from
+ *
+ * @param {Array} rows - Chart data rows
+ * @param {Object} overrides - Column types the user picked
+ * @param {Object} importedText - Text of imported numbers, from getImportedText
+ * @returns {Array} Copies of the rows with overridden columns converted (the same array when nothing is overridden)
+ */
+export const applyColumnTypes = (rows, overrides = {}, importedText = {}) => {
+  const fields = Object.keys(overrides);
+  if (fields.length === 0) return rows;
+  return rows.map(row => {
+    const converted = { ...row };
+    fields.forEach(field => {
+      if (!(field in row)) return;
+      const text = isNumericType(overrides[field]) ? undefined : importedText[field]?.[row[field]];
+      converted[field] = coerceColumnValue(text ?? row[field], overrides[field]);
+    });
+    return converted;
+  });
+};
@@ -0,0 +1,115 @@
+/**
+ * Unit tests for column schema utilities
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  inferColumnType,
+  inferColumnSchema,
+  getMetricColumns,
+  getLabelField,
+  withLabelColumn,
+  getImportedText,
+  clearUnreadableCells,
+  coerceColumnValue,
+  applyColumnTypes,
+} from './columnSchema';
+
+describe('columnSchema', () => {
+  describe('inferColumnType', () => {
+    it('should tell numbers, percents and currency apart by how they were written', () => {
+      expect(inferColumnType(['1,200', '980'], [1200, 980])).toBe('number');
+      expect(inferColumnType(['12.5%', '', '8%'], [12.5, '', 8])).toBe('percent');
+      expect(inferColumnType(['$1,200', '(£40)'], [1200, -40])).toBe('currency');
+    });
+
+    it('should recognise dates, booleans and text', () => {
+      expect(inferColumnType(['03/04/2024'], ['2024-03-04'])).toBe('date');
+      expect(inferColumnType(['Yes', 'no', 'TRUE'], ['Yes', 'no', 'TRUE'])).toBe('boolean');
+      expect(inferColumnType(['North', '12'], ['North', 12])).toBe('category');
+    });
+
+    it('should keep mostly numeric columns numeric despite placeholders', () => {
+      expect(inferColumnType(['10', 'N/A', '30'], [10, 'N/A', 30])).toBe('number');
+      expect(inferColumnType(['$10', '-', '$30', '$5'], [10, '-', 30, 5])).toBe('currency');
+      expect(inferColumnType(['North', 'N/A', '30'], ['North', 'N/A', 30])).toBe('category');
+    });
+
+    it('should treat empty columns as numbers', () => {
+      expect(inferColumnType([], [])).toBe('number');
+      expect(inferColumnType(['', null], ['', null])).toBe('number');
+    });
+  });
+
+  it('should infer every requested column', () => {
+    const raw = [{ Region: 'North', Revenue: '$10', Launch: '2024-01-05' }];
+    const rows = [{ Region: 'North', Revenue: 10, Launch: '2024-01-05' }];
+    expect(inferColumnSchema(raw, rows, ['Region', 'Revenue', 'Launch'])).toEqual({
+      Region: 'category',
+      Revenue: 'currency',
+      Launch: 'date',
+    });
+  });
+
+  it('should keep numeric and untyped columns as metrics', () => {
+    const schema = { Region: 'category', Revenue: 'currency', Year: 'category', Share: 'percent' };
+    expect(getMetricColumns(['Region', 'Revenue', 'Year', 'Share', 'Added'], schema)).toEqual(['Revenue', 'Share', 'Added']);
+  });
+
+  it('should find the label column by its type', () => {
+    const schema = { Category: 'category', Region: 'category', 2024: 'number' };
+    expect(getLabelField({ 2024: 3, Category: 'A', Region: 'North' }, schema, ['2024', 'Region'])).toBe('Category');
+    expect(getLabelField({ date: '2024-01-01', Sales: 3 }, { date: 'date', Sales: 'number' }, ['Sales'])).toBe('date');
+    expect(getLabelField({ Source: 'A', Target: 'B', Value: 1 }, { Source: 'category', Target: 'category' }, ['Target', 'Value'])).toBe('Source');
+    expect(getLabelField(undefined)).toBeUndefined();
+  });
+
+  it('should type the label column as a category unless it holds dates', () => {
+    expect(withLabelColumn({ Sales: 'number' }, 'Category', [2023, 2024])).toEqual({ Sales: 'number', Category: 'category' });
+    expect(withLabelColumn({}, 'date', ['2024-01-01', '2024-02-01'])).toEqual({ date: 'date' });
+  });
+
+  describe('coerceColumnValue', () => {
+    it('should read text as numbers for numeric types', () => {
+      expect(coerceColumnValue('1,250', 'number')).toBe(1250);
+      expect(coerceColumnValue('yes', 'number')).toBe(1);
+    });
+
+    it('should leave blank and unreadable values empty for numeric types', () => {
+      expect(coerceColumnValue('n/a', 'currency')).toBeNull();
+      expect(coerceColumnValue('', 'percent')).toBeNull();
+      expect(coerceColumnValue(null, 'number')).toBeNull();
+    });
+
+    it('should keep values as text for other types', () => {
+      expect(coerceColumnValue(2024, 'category')).toBe('2024');
+      expect(coerceColumnValue(null, 'date')).toBe('');
+    });
+  });
+
+  it('should convert only the overridden columns', () => {
+    const rows = [{ Category: 'A', Year: 2024, Units: '12' }];
+    expect(applyColumnTypes(rows, {})).toBe(rows);
+    expect(applyColumnTypes(rows, { Year: 'category', Units: 'number' })).toEqual([{ Category: 'A', Year: '2024', Units: 12 }]);
+    expect(rows[0].Year).toBe(2024);
+  });
+
+  it('should clear placeholder cells from numeric columns only', () => {
+    const rows = [{ Region: 'N/A', Sales: 10 }, { Region: 'East', Sales: 'N/A' }];
+    const { rows: readable, cleared } = clearUnreadableCells(rows, { Region: 'category', Sales: 'number' });
+
+    expect(readable).toEqual([{ Region: 'N/A', Sales: 10 }, { Region: 'East', Sales: '' }]);
+    expect(readable[0]).toBe(rows[0]);
+    expect(cleared).toEqual({ Sales: ['N/A'] });
+  });
+
+  it('should map imported numbers back to the text they were written as', () => {
+    const raw = [{ Zip: '02134', Sales: '$1,200' }, { Zip: '10001', Sales: '' }];
+    const rows = [{ Zip: 2134, Sales: 1200 }, { Zip: 10001, Sales: '' }];
+    const importedText = getImportedText(raw, rows, { Zip: 'number', Sales: 'currency' });
+
+    expect(importedText).toEqual({ Zip: { 2134: '02134' }, Sales: { 1200: '$1,200' } });
+    expect(applyColumnTypes([{ Zip: 2134 }, { Zip: 10001 }, { Zip: 555 }], { Zip: 'category' }, importedText))
+      .toEqual([{ Zip: '02134' }, { Zip: '10001' }, { Zip: '555' }]);
+  });
+});
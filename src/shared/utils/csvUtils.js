@@ -3,11 +3,15 @@
  */
 
 import Papa from "papaparse";
+import { applyImportLocale, DEFAULT_IMPORT_LOCALE } from "./importLocale";
 
 /**
  * Parse CSV file
+ * Numbers and dates are read with the import locale (see applyImportLocale); the results carry
+ * warnings for columns that could be read more than one way, and rawData - the rows as written,
+ * for inferring column types (see columnSchema)
  */
-export const parseCSV = (file) => {
+export const parseCSV = (file, locale = DEFAULT_IMPORT_LOCALE) => {
   return new Promise((resolve, reject) => {
     Papa.parse(file, {
       header: true,
@@ -19,35 +23,22 @@ export const parseCSV = (file) => {
           field.replace(/^\uFEFF/, '') // Remove UTF-8 BOM
         );
 
-        // Manually convert numeric values after parsing to avoid column ordering issues
-        const data = results.data.map(row => {
-          const converted = {};
+        const rows = results.data.map(row => {
+          const cleaned = {};
           results.meta.fields.forEach((field, index) => {
-            const cleanField = cleanedFields[index];
-            let value = row[field];
-
-            // Clean up value: trim whitespace and remove thousand separator commas
-            if (typeof value === 'string') {
-              value = value.trim();
-              // Remove commas (thousand separators) from numeric strings
-              const cleanedValue = value.replace(/,/g, '');
-              // Convert to number if it looks like a number after cleaning
-              converted[cleanField] = (cleanedValue !== '' && !isNaN(cleanedValue))
-                ? Number(cleanedValue)
-                : value; // Keep original if not a number
-            } else {
-              // Convert to number if it looks like a number
-              converted[cleanField] = (value !== null && value !== undefined && value !== '' && !isNaN(value))
-                ? Number(value)
-                : value;
-            }
+            cleaned[cleanedFields[index]] = row[field];
           });
-          return converted;
+          return cleaned;
         });
 
+        // Convert numbers and dates after parsing to avoid column ordering issues
+        const { data, warnings } = applyImportLocale(rows, cleanedFields, locale);
+
         resolve({
           ...results,
           data,
+          rawData: rows,
+          warnings,
           meta: {
             ...results.meta,
             fields: cleanedFields, // Use cleaned field names
@@ -104,8 +95,11 @@ const convertMonthToDate = (value, year = new Date().getFullYear()) => {
 
 /**
  * Convert CSV data to chart format
+ * Columns after the first are converted to numbers, except textColumns which are kept as strings
+ * (e.g. the Target column of a Sankey source/target/value CSV). Blank and unreadable cells are
+ * null, so charts can leave them out instead of drawing a 0
  */
-export const csvToChartData = (csvData, fieldOrder = null, stageFieldName = 'Stage') => {
+export const csvToChartData = (csvData, fieldOrder = null, stageFieldName = 'Stage', textColumns = []) => {
   if (!csvData || csvData.length === 0) {
     return { data: [], periods: [] };
   }
@@ -133,7 +127,12 @@ export const csvToChartData = (csvData, fieldOrder = null, stageFieldName = 'Sta
 
     const stage = { [stageFieldName]: stageValue };
     periodColumns.forEach((col) => {
-      stage[col] = Number(row[col]) || 0;
+      if (textColumns.includes(col)) {
+        stage[col] = row[col] !== null && row[col] !== undefined ? String(row[col]).trim() : '';
+      } else {
+        const value = row[col] === null || row[col] === undefined || String(row[col]).trim() === '' ? NaN : Number(row[col]);
+        stage[col] = isNaN(value) ? null : value;
+      }
     });
     return stage;
   });
@@ -146,8 +145,9 @@ export const csvToChartData = (csvData, fieldOrder = null, stageFieldName = 'Sta
 
 /**
  * Validate CSV structure for funnel chart
+ * textColumns are skipped by the numeric check (see csvToChartData)
  */
-export const validateCSVStructure = (csvData, fieldOrder = null) => {
+export const validateCSVStructure = (csvData, fieldOrder = null, textColumns = []) => {
   const errors = [];
 
   if (!csvData || csvData.length === 0) {
@@ -166,7 +166,7 @@ export const validateCSVStructure = (csvData, fieldOrder = null) => {
   }
 
   // Check if numeric columns contain valid numbers
-  const periodColumns = columns.slice(1);
+  const periodColumns = columns.slice(1).filter(col => !textColumns.includes(col));
   csvData.forEach((row, index) => {
     periodColumns.forEach((col) => {
       const value = row[col];
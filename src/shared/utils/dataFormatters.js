@@ -105,3 +105,33 @@ export const formatForSpace = (num, maxLength = 8) => {
   if (full.length <= maxLength) return full;
   return formatCompactNumber(num);
 };
+
+/**
+ * Format a chart value label with prefix, suffix, decimal places and optional compact notation
+ */
+export const formatValueLabel = (value, {
+  prefix = "",
+  suffix = "",
+  decimalPlaces = 0,
+  compact = false,
+} = {}) => {
+  if (value == null || isNaN(value)) return "";
+
+  let formattedValue;
+  const absValue = Math.abs(value);
+
+  if (compact && absValue >= 1000000000) {
+    formattedValue = (value / 1000000000).toFixed(decimalPlaces).replace(/\.0+$/, "") + "B";
+  } else if (compact && absValue >= 1000000) {
+    formattedValue = (value / 1000000).toFixed(decimalPlaces).replace(/\.0+$/, "") + "M";
+  } else if (compact && absValue >= 1000) {
+    formattedValue = (value / 1000).toFixed(decimalPlaces).replace(/\.0+$/, "") + "K";
+  } else {
+    formattedValue = Number(value.toFixed(decimalPlaces)).toLocaleString("en-US", {
+      minimumFractionDigits: decimalPlaces,
+      maximumFractionDigits: decimalPlaces,
+    });
+  }
+
+  return `${prefix}${formattedValue}${suffix}`;
+};
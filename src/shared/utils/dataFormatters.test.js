@@ -14,6 +14,7 @@ import {
   roundTo,
   getPrecision,
   formatForSpace,
+  formatValueLabel,
 } from './dataFormatters';
 
 describe('dataFormatters', () => {
@@ -261,6 +262,28 @@ describe('dataFormatters', () => {
     });
   });
 
+  describe('formatValueLabel', () => {
+    it('should format with thousands separators and decimal places', () => {
+      expect(formatValueLabel(1234.5)).toBe('1,235');
+      expect(formatValueLabel(1234.5, { decimalPlaces: 2 })).toBe('1,234.50');
+    });
+
+    it('should apply prefix and suffix', () => {
+      expect(formatValueLabel(42, { prefix: '$', suffix: 'M' })).toBe('$42M');
+    });
+
+    it('should use compact notation when enabled', () => {
+      expect(formatValueLabel(1500, { compact: true, decimalPlaces: 1 })).toBe('1.5K');
+      expect(formatValueLabel(2000000, { compact: true })).toBe('2M');
+      expect(formatValueLabel(-3000000000, { compact: true })).toBe('-3B');
+    });
+
+    it('should return empty string for missing values', () => {
+      expect(formatValueLabel(null)).toBe('');
+      expect(formatValueLabel(undefined)).toBe('');
+    });
+  });
+
   // Edge cases and integration tests
   describe('Edge Cases', () => {
     it('should handle very large numbers', () => {
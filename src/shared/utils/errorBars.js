@@ -0,0 +1,101 @@
+/**
+ * Error bar utilities for bar and line charts
+ * Uncertainty comes from extra columns next to each series: a pair of bound columns
+ * ("Conversion Lower" / "Conversion Upper") or a single ± column ("Conversion ±")
+ */
+
+// Column name suffixes recognized as bounds, checked in order
+const BOUND_SUFFIX_PAIRS = [
+  ['lower', 'upper'],
+  ['low', 'high'],
+];
+const MARGIN_SUFFIXES = ['±', '+/-'];
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const num = Number(value);
+  return isNaN(num) ? null : num;
+};
+
+/**
+ * Find bound columns named after each series
+ * @param {Array} columns - All value columns
+ * @returns {Object} Map of series column to { lower, upper } or { margin }
+ */
+export const detectErrorBarColumns = (columns = []) => {
+  const byName = new Map(columns.map(column => [column.trim().toLowerCase(), column]));
+  const findColumn = (series, suffix) => byName.get(`${series.trim().toLowerCase()} ${suffix}`);
+
+  const detected = {};
+  columns.forEach(series => {
+    for (const [lowerSuffix, upperSuffix] of BOUND_SUFFIX_PAIRS) {
+      const lower = findColumn(series, lowerSuffix);
+      const upper = findColumn(series, upperSuffix);
+      if (lower && upper) {
+        detected[series] = { lower, upper };
+        return;
+      }
+    }
+    const margin = MARGIN_SUFFIXES.map(suffix => findColumn(series, suffix)).find(Boolean);
+    if (margin) detected[series] = { margin };
+  });
+  return detected;
+};
+
+/**
+ * Split columns into plotted series and the bound columns behind their error bars
+ * Explicit entries override detected ones; an empty entry ({}) turns a series' error bars off.
+ * Bound columns are never plotted as series of their own.
+ *
+ * @param {Array} columns - All value columns
+ * @param {Object} errorBarColumns - Explicit map of series to { lower, upper } or { margin }
+ * @returns {Object} { series, errorBars } - series to plot, and the bounds of each series that has them
+ */
+export const resolveErrorBars = (columns = [], errorBarColumns = {}) => {
+  const hasColumn = (column) => Boolean(column) && columns.includes(column);
+  const candidates = { ...detectErrorBarColumns(columns), ...(errorBarColumns || {}) };
+
+  const errorBars = {};
+  Object.entries(candidates).forEach(([series, spec]) => {
+    if (!hasColumn(series) || !spec) return;
+    if (hasColumn(spec.lower) && hasColumn(spec.upper)) {
+      errorBars[series] = { lower: spec.lower, upper: spec.upper };
+    } else if (hasColumn(spec.margin)) {
+      errorBars[series] = { margin: spec.margin };
+    }
+  });
+
+  const boundColumns = new Set(Object.values(errorBars).flatMap(spec => Object.values(spec)));
+  Object.keys(errorBars).forEach(series => {
+    // A column can't both be plotted and bound another series
+    if (boundColumns.has(series)) delete errorBars[series];
+  });
+
+  return {
+    series: columns.filter(column => !boundColumns.has(column)),
+    errorBars,
+  };
+};
+
+/**
+ * Get the lower and upper bound of one value
+ * @param {Object} row - Data row
+ * @param {Object} spec - { lower, upper } or { margin } from resolveErrorBars
+ * @param {number} value - The plotted value, center of a ± margin
+ * @returns {Object|null} { lower, upper }, or null when the row has no bounds
+ */
+export const getErrorBounds = (row, spec, value) => {
+  if (!row || !spec) return null;
+
+  if (spec.margin) {
+    const margin = toNumber(row[spec.margin]);
+    const center = toNumber(value);
+    if (margin === null || center === null) return null;
+    return { lower: center - Math.abs(margin), upper: center + Math.abs(margin) };
+  }
+
+  const lower = toNumber(row[spec.lower]);
+  const upper = toNumber(row[spec.upper]);
+  if (lower === null || upper === null) return null;
+  return { lower: Math.min(lower, upper), upper: Math.max(lower, upper) };
+};
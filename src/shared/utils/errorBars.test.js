@@ -0,0 +1,66 @@
+/**
+ * Unit tests for error bar utilities
+ */
+
+import { describe, it, expect } from 'vitest';
+import { detectErrorBarColumns, resolveErrorBars, getErrorBounds } from './errorBars';
+
+describe('errorBars', () => {
+  const columns = ['Control', 'Control Lower', 'Control Upper', 'Variant', 'Variant ±'];
+
+  describe('detectErrorBarColumns', () => {
+    it('should find bound pairs and ± columns named after each series', () => {
+      expect(detectErrorBarColumns(columns)).toEqual({
+        Control: { lower: 'Control Lower', upper: 'Control Upper' },
+        Variant: { margin: 'Variant ±' },
+      });
+    });
+
+    it('should match names case-insensitively and accept Low/High and +/-', () => {
+      expect(detectErrorBarColumns(['CTR', 'ctr low', 'CTR High', 'CVR', 'CVR +/-'])).toEqual({
+        CTR: { lower: 'ctr low', upper: 'CTR High' },
+        CVR: { margin: 'CVR +/-' },
+      });
+    });
+  });
+
+  describe('resolveErrorBars', () => {
+    it('should keep bound columns out of the plotted series', () => {
+      const { series, errorBars } = resolveErrorBars(columns);
+
+      expect(series).toEqual(['Control', 'Variant']);
+      expect(Object.keys(errorBars)).toEqual(['Control', 'Variant']);
+    });
+
+    it('should let explicit columns override or turn off detected ones', () => {
+      const { series, errorBars } = resolveErrorBars(
+        ['Revenue', 'Spread', 'Cost', 'Cost ±'],
+        { Revenue: { margin: 'Spread' }, Cost: {} }
+      );
+
+      expect(errorBars).toEqual({ Revenue: { margin: 'Spread' } });
+      expect(series).toEqual(['Revenue', 'Cost', 'Cost ±']);
+    });
+
+    it('should ignore columns that are not in the data', () => {
+      const { errorBars } = resolveErrorBars(['Revenue'], { Revenue: { lower: 'Min', upper: 'Max' } });
+      expect(errorBars).toEqual({});
+    });
+  });
+
+  describe('getErrorBounds', () => {
+    it('should read bound columns, in either order', () => {
+      const row = { Control: 4.1, 'Control Lower': 4.6, 'Control Upper': 3.7 };
+      expect(getErrorBounds(row, { lower: 'Control Lower', upper: 'Control Upper' }, 4.1)).toEqual({ lower: 3.7, upper: 4.6 });
+    });
+
+    it('should center a ± margin on the value', () => {
+      expect(getErrorBounds({ 'Variant ±': '0.5' }, { margin: 'Variant ±' }, 5)).toEqual({ lower: 4.5, upper: 5.5 });
+    });
+
+    it('should return null for rows without bounds', () => {
+      expect(getErrorBounds({ 'Variant ±': '' }, { margin: 'Variant ±' }, 5)).toBe(null);
+      expect(getErrorBounds({ Lower: 1 }, { lower: 'Lower', upper: 'Upper' }, 2)).toBe(null);
+    });
+  });
+});
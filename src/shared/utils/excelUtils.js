@@ -0,0 +1,657 @@
+/**
+ * Excel utilities for importing workbooks
+ * Reads .xlsx workbooks, Excel 97-2003 .xls workbooks and .xls files saved as XML Spreadsheet
+ * 2003 into plain grids of cell values, so a picked sheet range or Excel table can go through
+ * the CSV import path
+ */
+
+import { unzipSync, strFromU8 } from 'fflate';
+import Papa from 'papaparse';
+
+const OLE_SIGNATURE = [0xd0, 0xcf, 0x11, 0xe0];
+const ZIP_SIGNATURE = [0x50, 0x4b, 0x03, 0x04];
+const SPREADSHEET_2003_NAMESPACE = 'urn:schemas-microsoft-com:office:spreadsheet';
+const RELATIONSHIP_NAMESPACE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+// BIFF8 record types read from .xls workbooks
+const BIFF = {
+  FORMULA: 0x0006,
+  EOF: 0x000a,
+  DATEMODE: 0x0022,
+  FILEPASS: 0x002f,
+  CONTINUE: 0x003c,
+  BOUNDSHEET: 0x0085,
+  MULRK: 0x00bd,
+  XF: 0x00e0,
+  SST: 0x00fc,
+  LABELSST: 0x00fd,
+  NUMBER: 0x0203,
+  LABEL: 0x0204,
+  BOOLERR: 0x0205,
+  STRING: 0x0207,
+  RK: 0x027e,
+  FORMAT: 0x041e,
+  BOF: 0x0809,
+};
+
+// Built-in number formats that display dates or times
+const BUILT_IN_DATE_FORMATS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+// Serial day 0 of each date system; the 1900 epoch absorbs Excel's phantom 29 Feb 1900
+const EPOCH_1900 = Date.UTC(1899, 11, 30);
+const EPOCH_1904 = Date.UTC(1904, 0, 1);
+
+const startsWith = (bytes, signature) => signature.every((byte, i) => bytes[i] === byte);
+
+const parseXml = (text) => new DOMParser().parseFromString(text, 'application/xml');
+
+const getElements = (node, localName) => (node ? Array.from(node.getElementsByTagNameNS('*', localName)) : []);
+
+/**
+ * Convert a column's letters to a zero-based index ("A" -> 0, "AA" -> 26)
+ */
+const columnToIndex = (letters) => letters.toUpperCase().split('')
+  .reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+
+/**
+ * Convert a zero-based column index to letters (0 -> "A", 26 -> "AA")
+ */
+export const indexToColumn = (index) => {
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+};
+
+/**
+ * Parse an A1-style cell range
+ * @param {string} range - Range such as "B2:E20", or a single cell such as "C3"
+ * @returns {Object|null} Zero-based { startRow, startCol, endRow, endCol }, or null if it isn't a range
+ */
+export const parseCellRange = (range) => {
+  const match = String(range || '').trim().replace(/\$/g, '')
+    .match(/^([A-Za-z]{1,3})(\d+)(?::([A-Za-z]{1,3})(\d+))?$/);
+  if (!match) return null;
+
+  const [, startLetters, startNumber, endLetters = startLetters, endNumber = startNumber] = match;
+  const rows = [Number(startNumber) - 1, Number(endNumber) - 1];
+  const cols = [columnToIndex(startLetters), columnToIndex(endLetters)];
+  if (rows[0] < 0 || rows[1] < 0) return null;
+  return {
+    startRow: Math.min(...rows),
+    startCol: Math.min(...cols),
+    endRow: Math.max(...rows),
+    endCol: Math.max(...cols),
+  };
+};
+
+/**
+ * Format zero-based bounds as an A1-style range
+ */
+const formatCellRange = ({ startRow, startCol, endRow, endCol }) => (
+  `${indexToColumn(startCol)}${startRow + 1}:${indexToColumn(endCol)}${endRow + 1}`
+);
+
+/**
+ * Get the range covering every non-empty cell of a grid
+ */
+const getUsedRange = (rows) => {
+  let endRow = -1;
+  let endCol = -1;
+  rows.forEach((row, r) => (row || []).forEach((value, c) => {
+    if (value === null || value === undefined || value === '') return;
+    endRow = Math.max(endRow, r);
+    endCol = Math.max(endCol, c);
+  }));
+  return endRow < 0 ? '' : formatCellRange({ startRow: 0, startCol: 0, endRow, endCol });
+};
+
+/**
+ * Convert an Excel serial date to text the chart date parsers understand
+ * Whole days become "2024-03-01"; anything with a time of day becomes "2024-03-01 14:30"
+ */
+export const excelSerialToDate = (serial, date1904 = false) => {
+  const timestamp = (date1904 ? EPOCH_1904 : EPOCH_1900) + Math.round(serial * MS_PER_DAY);
+  const iso = new Date(timestamp).toISOString();
+  return Number.isInteger(serial) ? iso.slice(0, 10) : `${iso.slice(0, 10)} ${iso.slice(11, 16)}`;
+};
+
+/**
+ * Check whether a custom number format code shows a date or time
+ * Quoted text, escaped characters and [color]/[condition] sections can't hold date codes
+ */
+const isDateFormatCode = (code) => {
+  const stripped = String(code).replace(/"[^"]*"|\\.|\[[^\]]*\]/g, '');
+  return /[dmyhs]/i.test(stripped) && !/^general$/i.test(stripped.trim());
+};
+
+/**
+ * Resolve a relationship target against the folder of the part that points to it
+ */
+const resolvePartPath = (basePath, target) => {
+  if (target.startsWith('/')) return target.slice(1);
+  const parts = basePath.split('/').slice(0, -1);
+  target.split('/').forEach(part => {
+    if (part === '..') parts.pop();
+    else if (part !== '.') parts.push(part);
+  });
+  return parts.join('/');
+};
+
+/**
+ * Get the Relationship elements of a part ('' for the package's own relationships)
+ */
+const getRelationshipElements = (files, partPath) => {
+  const folder = partPath.split('/').slice(0, -1).join('/');
+  const fileName = partPath.split('/').pop();
+  const relsPath = `${folder ? `${folder}/` : ''}_rels/${fileName}.rels`;
+  return files[relsPath] ? getElements(parseXml(strFromU8(files[relsPath])), 'Relationship') : [];
+};
+
+/**
+ * Read a part's relationships as a map of relationship id to part path
+ */
+const readRelationships = (files, partPath) => {
+  const relationships = {};
+  getRelationshipElements(files, partPath).forEach(rel => {
+    relationships[rel.getAttribute('Id')] = resolvePartPath(partPath, rel.getAttribute('Target'));
+  });
+  return relationships;
+};
+
+/**
+ * Find the part a relationship of a given type points to
+ * Types are matched on their last segment ('officeDocument', 'sharedStrings', 'styles'), which
+ * transitional and strict workbooks share
+ *
+ * @returns {string|undefined} Part path
+ */
+const findRelatedPart = (files, partPath, type) => {
+  const rel = getRelationshipElements(files, partPath)
+    .find(element => (element.getAttribute('Type') || '').endsWith(`/${type}`));
+  return rel ? resolvePartPath(partPath, rel.getAttribute('Target')) : undefined;
+};
+
+const getRelationshipId = (node) => (
+  node.getAttributeNS(RELATIONSHIP_NAMESPACE, 'id') || node.getAttribute('r:id')
+);
+
+/**
+ * Read the text of a shared or inline string, skipping phonetic guides
+ */
+const readStringItem = (item) => getElements(item, 't')
+  .filter(t => t.parentNode.localName !== 'rPh')
+  .map(t => t.textContent)
+  .join('');
+
+/**
+ * Read an .xlsx workbook from its zip bytes
+ */
+const readXlsx = (bytes) => {
+  const files = unzipSync(bytes, { filter: file => /\.(xml|rels)$/i.test(file.name) });
+  const read = (path) => (files[path] ? parseXml(strFromU8(files[path])) : null);
+
+  // The package relationships say where the workbook is; xl/workbook.xml is only where Excel puts it
+  const workbookPath = findRelatedPart(files, '', 'officeDocument') || 'xl/workbook.xml';
+  const workbookXml = read(workbookPath);
+  if (!workbookXml) throw new Error('The file is not an Excel workbook');
+
+  const workbookPr = getElements(workbookXml, 'workbookPr')[0];
+  const date1904 = ['1', 'true'].includes(workbookPr?.getAttribute('date1904'));
+  const workbookRels = readRelationships(files, workbookPath);
+
+  const sharedStrings = getElements(read(findRelatedPart(files, workbookPath, 'sharedStrings')), 'si').map(readStringItem);
+
+  // Which cell styles (by index) use a date format
+  const stylesXml = read(findRelatedPart(files, workbookPath, 'styles'));
+  const customFormats = {};
+  getElements(stylesXml, 'numFmt').forEach(format => {
+    customFormats[Number(format.getAttribute('numFmtId'))] = format.getAttribute('formatCode');
+  });
+  const cellXfs = getElements(stylesXml, 'cellXfs')[0];
+  const dateStyles = getElements(cellXfs, 'xf').map(xf => {
+    const formatId = Number(xf.getAttribute('numFmtId') || 0);
+    return BUILT_IN_DATE_FORMATS.has(formatId) || (customFormats[formatId] !== undefined && isDateFormatCode(customFormats[formatId]));
+  });
+
+  const readCell = (cell) => {
+    const type = cell.getAttribute('t') || 'n';
+    const valueNode = getElements(cell, 'v')[0];
+    const raw = valueNode ? valueNode.textContent : null;
+
+    if (type === 'inlineStr') return readStringItem(getElements(cell, 'is')[0]);
+    if (raw === null) return null;
+    if (type === 's') return sharedStrings[Number(raw)] ?? '';
+    if (type === 'str') return raw;
+    if (type === 'b') return raw === '1';
+    if (type === 'e') return null;
+
+    const number = Number(raw);
+    if (isNaN(number)) return raw;
+    return dateStyles[Number(cell.getAttribute('s') || 0)] ? excelSerialToDate(number, date1904) : number;
+  };
+
+  const sheets = [];
+  const tables = [];
+  getElements(workbookXml, 'sheet').forEach(sheet => {
+    const name = sheet.getAttribute('name');
+    const sheetPath = workbookRels[getRelationshipId(sheet)];
+    const sheetXml = sheetPath && read(sheetPath);
+    if (!sheetXml) return;
+
+    // Cells without an r attribute follow on from the previous cell or row
+    const rows = [];
+    let rowIndex = -1;
+    getElements(sheetXml, 'row').forEach(row => {
+      rowIndex = row.getAttribute('r') ? Number(row.getAttribute('r')) - 1 : rowIndex + 1;
+      let colIndex = -1;
+      getElements(row, 'c').forEach(cell => {
+        const ref = cell.getAttribute('r');
+        colIndex = ref ? columnToIndex(ref.match(/^[A-Za-z]+/)[0]) : colIndex + 1;
+        const value = readCell(cell);
+        if (value === null || value === '') return;
+        if (!rows[rowIndex]) rows[rowIndex] = [];
+        rows[rowIndex][colIndex] = value;
+      });
+    });
+    sheets.push({ name, rows, range: getUsedRange(rows) });
+
+    // Excel tables live in their own parts, linked from the sheet
+    const sheetRels = readRelationships(files, sheetPath);
+    getElements(sheetXml, 'tablePart').forEach(tablePart => {
+      const tableXml = read(sheetRels[getRelationshipId(tablePart)]);
+      const table = tableXml && getElements(tableXml, 'table')[0];
+      if (!table) return;
+      tables.push({
+        name: table.getAttribute('displayName') || table.getAttribute('name'),
+        sheet: name,
+        range: table.getAttribute('ref'),
+      });
+    });
+  });
+
+  return { sheets, tables };
+};
+
+/**
+ * Read an XML Spreadsheet 2003 workbook, the XML format Excel can save as .xls
+ */
+const readSpreadsheet2003 = (text) => {
+  const xml = parseXml(text);
+  const getAttribute = (node, name) => node.getAttributeNS(SPREADSHEET_2003_NAMESPACE, name) || node.getAttribute(`ss:${name}`);
+
+  const sheets = getElements(xml, 'Worksheet').map(worksheet => {
+    const rows = [];
+    let rowIndex = -1;
+    getElements(worksheet, 'Row').forEach(row => {
+      rowIndex = getAttribute(row, 'Index') ? Number(getAttribute(row, 'Index')) - 1 : rowIndex + 1;
+      let colIndex = -1;
+      getElements(row, 'Cell').forEach(cell => {
+        colIndex = getAttribute(cell, 'Index') ? Number(getAttribute(cell, 'Index')) - 1 : colIndex + 1;
+        const data = getElements(cell, 'Data')[0];
+        if (data && data.textContent !== '') {
+          const type = getAttribute(data, 'Type');
+          const raw = data.textContent;
+          if (!rows[rowIndex]) rows[rowIndex] = [];
+          rows[rowIndex][colIndex] = type === 'Number' ? Number(raw)
+            : type === 'Boolean' ? raw === '1'
+              : type === 'DateTime' ? (raw.slice(11, 19) === '00:00:00' ? raw.slice(0, 10) : `${raw.slice(0, 10)} ${raw.slice(11, 16)}`)
+                : raw;
+        }
+        // A merged cell covers the columns after it
+        colIndex += Number(getAttribute(cell, 'MergeAcross') || 0);
+      });
+    });
+    return { name: getAttribute(worksheet, 'Name'), rows, range: getUsedRange(rows) };
+  });
+
+  return { sheets, tables: [] };
+};
+
+/**
+ * Read the streams of a compound file (CFB), the container .xls workbooks are stored in
+ * A compound file is a small FAT file system: sectors chained through an allocation table,
+ * with streams under 4 KB kept in 64-byte mini sectors inside the root entry's stream
+ * @returns {Object} Stream contents keyed by name
+ */
+const readCompoundFile = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (bytes.length < 512) throw new Error('The workbook is damaged and cannot be read');
+  const sectorSize = 1 << view.getUint16(0x1e, true);
+  const miniSectorSize = 1 << view.getUint16(0x20, true);
+  const miniStreamCutoff = view.getUint32(0x38, true);
+  const sectorCount = Math.floor((bytes.length - sectorSize) / sectorSize);
+
+  const readSector = (id) => bytes.subarray((id + 1) * sectorSize, (id + 2) * sectorSize);
+  const readUint32s = (data) => {
+    const dataView = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const values = [];
+    for (let i = 0; i + 4 <= data.length; i += 4) values.push(dataView.getUint32(i, true));
+    return values;
+  };
+
+  // The allocation table's own sectors are listed in the header, then in a chain of DIFAT sectors
+  const fatSectors = [];
+  for (let i = 0; i < 109; i++) fatSectors.push(view.getUint32(0x4c + i * 4, true));
+  let difatSector = view.getUint32(0x44, true);
+  for (let i = 0; difatSector < sectorCount && i < sectorCount; i++) {
+    const entries = readUint32s(readSector(difatSector));
+    difatSector = entries.pop();
+    fatSectors.push(...entries);
+  }
+  const fat = fatSectors.filter(id => id < sectorCount).flatMap(id => readUint32s(readSector(id)));
+
+  // Follow a chain of sectors, stopping at the end marker or a loop in a damaged file
+  const readChain = (start, table, read, size) => {
+    const chunks = [];
+    const seen = new Set();
+    for (let id = start; id < table.length && !seen.has(id); id = table[id]) {
+      seen.add(id);
+      chunks.push(read(id));
+    }
+    const data = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+    let offset = 0;
+    chunks.forEach(chunk => {
+      data.set(chunk, offset);
+      offset += chunk.length;
+    });
+    return size === undefined ? data : data.subarray(0, size);
+  };
+
+  const directory = readChain(view.getUint32(0x30, true), fat, readSector);
+  const directoryView = new DataView(directory.buffer, directory.byteOffset, directory.byteLength);
+  const entries = [];
+  for (let offset = 0; offset + 128 <= directory.length; offset += 128) {
+    const nameLength = Math.max(0, directoryView.getUint16(offset + 0x40, true) - 2);
+    let name = '';
+    for (let i = 0; i < nameLength; i += 2) name += String.fromCharCode(directoryView.getUint16(offset + i, true));
+    entries.push({
+      name,
+      type: directory[offset + 0x42],
+      start: directoryView.getUint32(offset + 0x74, true),
+      size: directoryView.getUint32(offset + 0x78, true),
+    });
+  }
+
+  const root = entries.find(entry => entry.type === 5);
+  const miniStream = root ? readChain(root.start, fat, readSector, root.size) : new Uint8Array(0);
+  const miniFat = readUint32s(readChain(view.getUint32(0x3c, true), fat, readSector));
+  const readMiniSector = (id) => miniStream.subarray(id * miniSectorSize, (id + 1) * miniSectorSize);
+
+  const streams = {};
+  entries.filter(entry => entry.type === 2).forEach(entry => {
+    streams[entry.name] = entry.size < miniStreamCutoff
+      ? readChain(entry.start, miniFat, readMiniSector, entry.size)
+      : readChain(entry.start, fat, readSector, entry.size);
+  });
+  return streams;
+};
+
+/**
+ * Split a BIFF stream into records
+ * @returns {Array} [{ type, offset, data }] - offset is where the record starts in the stream
+ */
+const readBiffRecords = (stream, start = 0) => {
+  const records = [];
+  const view = new DataView(stream.buffer, stream.byteOffset, stream.byteLength);
+  for (let offset = start; offset + 4 <= stream.length;) {
+    const type = view.getUint16(offset, true);
+    const length = view.getUint16(offset + 2, true);
+    records.push({ type, offset, data: stream.subarray(offset + 4, offset + 4 + length) });
+    offset += 4 + length;
+    if (type === BIFF.EOF) break;
+  }
+  return records;
+};
+
+/**
+ * Read BIFF8 text stored over one or more records
+ * A string's characters can run on into the next CONTINUE record, which starts with a fresh
+ * flag byte saying whether the rest are one or two bytes wide
+ */
+const createBiffReader = (segments) => {
+  let index = 0;
+  let pos = 0;
+  const current = () => segments[index];
+  const nextSegment = () => {
+    index++;
+    pos = 0;
+  };
+  const byte = () => {
+    if (pos >= current().length) nextSegment();
+    if (!current()) throw new Error('The workbook is damaged and cannot be read');
+    return current()[pos++];
+  };
+  const uint16 = () => byte() | (byte() << 8);
+  const uint32 = () => (uint16() | (uint16() << 16)) >>> 0;
+  const skip = (count) => {
+    for (let i = 0; i < count; i++) byte();
+  };
+
+  const chars = (count, highByte) => {
+    let text = '';
+    let wide = highByte;
+    for (let i = 0; i < count; i++) {
+      if (pos >= current().length) {
+        nextSegment();
+        if (!current()) throw new Error('The workbook is damaged and cannot be read');
+        wide = (byte() & 0x01) === 1;
+      }
+      text += String.fromCharCode(wide ? byte() | (byte() << 8) : byte());
+    }
+    return text;
+  };
+
+  // XLUnicodeRichExtendedString: length, flags, optional run and extension sizes, characters, then the runs and extension
+  const string = (lengthBytes = 2) => {
+    const count = lengthBytes === 1 ? byte() : uint16();
+    const flags = byte();
+    const runs = flags & 0x08 ? uint16() : 0;
+    const extension = flags & 0x04 ? uint32() : 0;
+    const text = chars(count, (flags & 0x01) === 1);
+    skip(runs * 4 + extension);
+    return text;
+  };
+
+  return { uint16, uint32, string, done: () => index >= segments.length || (index === segments.length - 1 && pos >= current().length) };
+};
+
+/**
+ * Decode an RK number: a 30-bit integer or the top 30 bits of a double, optionally divided by 100
+ */
+const decodeRk = (rk) => {
+  let number;
+  if (rk & 0x02) {
+    number = rk >> 2;
+  } else {
+    const view = new DataView(new ArrayBuffer(8));
+    view.setUint32(4, rk & 0xfffffffc, true);
+    number = view.getFloat64(0, true);
+  }
+  return rk & 0x01 ? number / 100 : number;
+};
+
+/**
+ * Read an Excel 97-2003 (.xls) workbook from its compound file bytes
+ */
+const readXls = (bytes) => {
+  const streams = readCompoundFile(bytes);
+  const stream = streams.Workbook || streams.Book;
+  if (!stream) throw new Error('The file is not an Excel workbook');
+
+  const globals = readBiffRecords(stream);
+  const bofVersion = globals[0]?.type === BIFF.BOF ? globals[0].data[0] | (globals[0].data[1] << 8) : 0;
+  if (bofVersion !== 0x0600) {
+    throw new Error('Workbooks from Excel 95 and earlier cannot be read. Open the file in Excel and save it as .xlsx');
+  }
+  if (globals.some(record => record.type === BIFF.FILEPASS)) {
+    throw new Error('Password-protected workbooks cannot be read. Remove the password in Excel and try again');
+  }
+
+  let date1904 = false;
+  const customFormats = {};
+  const xfFormats = [];
+  const sheetEntries = [];
+  let sharedStrings = [];
+
+  globals.forEach((record, i) => {
+    const view = new DataView(record.data.buffer, record.data.byteOffset, record.data.byteLength);
+    if (record.type === BIFF.DATEMODE) {
+      date1904 = view.getUint16(0, true) === 1;
+    } else if (record.type === BIFF.FORMAT) {
+      const reader = createBiffReader([record.data]);
+      const id = reader.uint16();
+      customFormats[id] = reader.string();
+    } else if (record.type === BIFF.XF) {
+      xfFormats.push(view.getUint16(2, true));
+    } else if (record.type === BIFF.BOUNDSHEET) {
+      // Only worksheets hold cells; chart sheets and macro sheets are skipped
+      if (record.data[5] === 0) {
+        const reader = createBiffReader([record.data.subarray(6)]);
+        sheetEntries.push({ name: reader.string(1), offset: view.getUint32(0, true) });
+      }
+    } else if (record.type === BIFF.SST) {
+      const segments = [record.data];
+      for (let j = i + 1; globals[j]?.type === BIFF.CONTINUE; j++) segments.push(globals[j].data);
+      const reader = createBiffReader(segments);
+      reader.uint32();
+      const count = reader.uint32();
+      sharedStrings = [];
+      for (let k = 0; k < count && !reader.done(); k++) sharedStrings.push(reader.string());
+    }
+  });
+
+  const isDateStyle = (xfIndex) => {
+    const formatId = xfFormats[xfIndex] ?? 0;
+    return BUILT_IN_DATE_FORMATS.has(formatId) || (customFormats[formatId] !== undefined && isDateFormatCode(customFormats[formatId]));
+  };
+  const toValue = (number, xfIndex) => (isDateStyle(xfIndex) ? excelSerialToDate(number, date1904) : number);
+
+  const sheets = sheetEntries.map(({ name, offset }) => {
+    const rows = [];
+    const setCell = (row, col, value) => {
+      if (value === null || value === undefined || value === '') return;
+      if (!rows[row]) rows[row] = [];
+      rows[row][col] = value;
+    };
+
+    // A formula's text result comes in the STRING record after it
+    let pendingString = null;
+    readBiffRecords(stream, offset).forEach(record => {
+      const data = record.data;
+      if (record.type === BIFF.STRING) {
+        if (pendingString) setCell(pendingString.row, pendingString.col, createBiffReader([data]).string());
+        pendingString = null;
+        return;
+      }
+      if (data.length < 6) return;
+      const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+      const row = view.getUint16(0, true);
+      const col = view.getUint16(2, true);
+      const xfIndex = view.getUint16(4, true);
+
+      switch (record.type) {
+        case BIFF.LABELSST:
+          setCell(row, col, sharedStrings[view.getUint32(6, true)] ?? '');
+          break;
+        case BIFF.LABEL:
+          setCell(row, col, createBiffReader([data.subarray(6)]).string());
+          break;
+        case BIFF.NUMBER:
+          setCell(row, col, toValue(view.getFloat64(6, true), xfIndex));
+          break;
+        case BIFF.RK:
+          setCell(row, col, toValue(decodeRk(view.getUint32(6, true)), xfIndex));
+          break;
+        case BIFF.MULRK: {
+          // Row, first column, an (xf, rk) pair per column, then the last column
+          const count = (data.length - 6) / 6;
+          for (let c = 0; c < count; c++) {
+            const pairXf = view.getUint16(4 + c * 6, true);
+            setCell(row, col + c, toValue(decodeRk(view.getUint32(6 + c * 6, true)), pairXf));
+          }
+          break;
+        }
+        case BIFF.BOOLERR:
+          if (data[7] === 0) setCell(row, col, data[6] === 1);
+          break;
+        case BIFF.FORMULA:
+          // The cached result is a double unless its last two bytes are 0xFFFF
+          if (view.getUint16(12, true) !== 0xffff) {
+            setCell(row, col, toValue(view.getFloat64(6, true), xfIndex));
+          } else if (data[6] === 0) {
+            pendingString = { row, col };
+          } else if (data[6] === 1) {
+            setCell(row, col, data[8] === 1);
+          }
+          break;
+        default:
+          break;
+      }
+    });
+    return { name, rows, range: getUsedRange(rows) };
+  });
+
+  return { sheets, tables: [] };
+};
+
+/**
+ * Read a workbook's sheets and Excel tables
+ * @param {ArrayBuffer|Uint8Array} buffer - File contents
+ * @returns {Object} { sheets: [{ name, rows, range }], tables: [{ name, sheet, range }] }
+ *   rows is a grid of cell values from A1; range is the used range of the sheet
+ */
+export const readWorkbook = (buffer) => {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+
+  if (startsWith(bytes, OLE_SIGNATURE)) return readXls(bytes);
+  if (startsWith(bytes, ZIP_SIGNATURE)) return readXlsx(bytes);
+
+  const text = strFromU8(bytes.subarray(0, 4096));
+  if (text.includes(SPREADSHEET_2003_NAMESPACE)) return readSpreadsheet2003(strFromU8(bytes));
+
+  throw new Error('The file is not an Excel workbook');
+};
+
+/**
+ * Read a workbook from an uploaded file
+ * @param {File} file - .xlsx or .xls file
+ * @returns {Promise<Object>} Workbook from readWorkbook
+ */
+export const readExcelFile = async (file) => readWorkbook(await file.arrayBuffer());
+
+/**
+ * Get the cells of a sheet range, trimming empty rows
+ * @param {Object} workbook - Workbook from readWorkbook
+ * @param {Object} selection - { sheet, range } - range defaults to the sheet's used range
+ * @returns {Array} Rows of cell values, header row first
+ */
+export const getRangeRows = (workbook, { sheet, range } = {}) => {
+  const worksheet = workbook.sheets.find(s => s.name === sheet) || workbook.sheets[0];
+  if (!worksheet) throw new Error('The workbook has no sheets');
+
+  const bounds = parseCellRange(range || worksheet.range);
+  if (!bounds) {
+    throw new Error(range ? `"${range}" is not a cell range like A1:D20` : `Sheet "${worksheet.name}" is empty`);
+  }
+
+  const rows = [];
+  for (let r = bounds.startRow; r <= bounds.endRow; r++) {
+    const row = [];
+    for (let c = bounds.startCol; c <= bounds.endCol; c++) {
+      const value = worksheet.rows[r]?.[c];
+      row.push(value === undefined || value === null ? '' : value);
+    }
+    if (row.some(value => value !== '')) rows.push(row);
+  }
+  return rows;
+};
+
+/**
+ * Convert rows of cell values to CSV text for the CSV import path
+ * @param {Array} rows - Rows from getRangeRows
+ * @returns {string} CSV text
+ */
+export const rowsToCSV = (rows) => Papa.unparse(rows);
@@ -0,0 +1,310 @@
+/**
+ * Unit tests for Excel utilities
+ */
+
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { describe, it, expect } from 'vitest';
+import { zipSync, strToU8 } from 'fflate';
+import { readWorkbook, parseCellRange, getRangeRows, rowsToCSV, excelSerialToDate, indexToColumn } from './excelUtils';
+
+const MAIN = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const RELS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const R = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+// Excel keeps the workbook under xl/, but the package relationships may point anywhere
+const buildXlsx = (dir = 'xl') => zipSync({
+  '_rels/.rels': strToU8(`<?xml version="1.0"?>
+    <Relationships xmlns="${RELS}">
+      <Relationship Id="rId1" Type="${R}/officeDocument" Target="${dir}/workbook.xml"/>
+    </Relationships>`),
+  [`${dir}/workbook.xml`]: strToU8(`<?xml version="1.0"?>
+    <workbook xmlns="${MAIN}" xmlns:r="${R}">
+      <sheets>
+        <sheet name="Revenue" sheetId="1" r:id="rId1"/>
+        <sheet name="Empty" sheetId="2" r:id="rId2"/>
+      </sheets>
+    </workbook>`),
+  [`${dir}/_rels/workbook.xml.rels`]: strToU8(`<?xml version="1.0"?>
+    <Relationships xmlns="${RELS}">
+      <Relationship Id="rId1" Type="${R}/worksheet" Target="worksheets/sheet1.xml"/>
+      <Relationship Id="rId2" Type="${R}/worksheet" Target="/${dir}/worksheets/sheet2.xml"/>
+      <Relationship Id="rId3" Type="${R}/sharedStrings" Target="sharedStrings.xml"/>
+      <Relationship Id="rId4" Type="${R}/styles" Target="styles.xml"/>
+    </Relationships>`),
+  [`${dir}/sharedStrings.xml`]: strToU8(`<?xml version="1.0"?>
+    <sst xmlns="${MAIN}">
+      <si><t>Month</t></si>
+      <si><t>Sales</t></si>
+      <si><r><t>North, </t></r><r><t>East</t></r></si>
+    </sst>`),
+  [`${dir}/styles.xml`]: strToU8(`<?xml version="1.0"?>
+    <styleSheet xmlns="${MAIN}">
+      <numFmts><numFmt numFmtId="164" formatCode="mmm\\ yyyy"/><numFmt numFmtId="165" formatCode="&quot;$&quot;#,##0"/></numFmts>
+      <cellXfs><xf numFmtId="0"/><xf numFmtId="164"/><xf numFmtId="165"/><xf numFmtId="14"/></cellXfs>
+    </styleSheet>`),
+  [`${dir}/worksheets/sheet1.xml`]: strToU8(`<?xml version="1.0"?>
+    <worksheet xmlns="${MAIN}" xmlns:r="${R}">
+      <sheetData>
+        <row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c r="C1" t="inlineStr"><is><t>Region</t></is></c></row>
+        <row r="2"><c r="A2" s="1"><v>45352</v></c><c r="B2" s="2"><v>1200.5</v></c><c r="C2" t="s"><v>2</v></c></row>
+        <row r="4"><c r="A4" s="3"><v>45383</v></c><c r="B4" t="e"><v>#DIV/0!</v></c><c r="C4" t="b"><v>1</v></c></row>
+        <row r="6"><c r="E6" t="str"><v>Note</v></c></row>
+      </sheetData>
+      <tableParts count="1"><tablePart r:id="rId1"/></tableParts>
+    </worksheet>`),
+  [`${dir}/worksheets/_rels/sheet1.xml.rels`]: strToU8(`<?xml version="1.0"?>
+    <Relationships xmlns="${RELS}">
+      <Relationship Id="rId1" Type="${R}/table" Target="../tables/table1.xml"/>
+    </Relationships>`),
+  [`${dir}/tables/table1.xml`]: strToU8(`<?xml version="1.0"?>
+    <table xmlns="${MAIN}" id="1" name="Table1" displayName="SalesTable" ref="A1:B4"/>`),
+  [`${dir}/worksheets/sheet2.xml`]: strToU8(`<?xml version="1.0"?>
+    <worksheet xmlns="${MAIN}"><sheetData/></worksheet>`),
+});
+
+// Little-endian byte helpers for building BIFF8 records and compound files
+const u16 = (value) => [value & 0xff, (value >> 8) & 0xff];
+const u32 = (value) => [value & 0xff, (value >> 8) & 0xff, (value >> 16) & 0xff, (value >>> 24) & 0xff];
+const f64 = (value) => Array.from(new Uint8Array(new Float64Array([value]).buffer));
+const ascii = (text) => Array.from(text, char => char.charCodeAt(0));
+const wide = (text) => Array.from(text).flatMap(char => u16(char.charCodeAt(0)));
+const record = (type, bytes = []) => [...u16(type), ...u16(bytes.length), ...bytes];
+const cell = (row, col, xf) => [...u16(row), ...u16(col), ...u16(xf)];
+
+// The Workbook stream of a one-sheet .xls, with a chart sheet that should be skipped
+const buildBiffStream = () => {
+  const sheet = [
+    ...record(0x0809, [...u16(0x0600), ...u16(0x0010), ...new Array(12).fill(0)]),
+    ...record(0x00fd, [...cell(0, 0, 0), ...u32(0)]),
+    ...record(0x00fd, [...cell(0, 1, 0), ...u32(1)]),
+    ...record(0x00fd, [...cell(0, 2, 0), ...u32(2)]),
+    ...record(0x0203, [...cell(1, 0, 1), ...f64(45352)]),
+    ...record(0x027e, [...cell(1, 1, 0), ...u32((1200 << 2) | 2)]),
+    ...record(0x00fd, [...cell(1, 2, 0), ...u32(3)]),
+    ...record(0x0203, [...cell(2, 0, 2), ...f64(45383)]),
+    ...record(0x027e, [...cell(2, 1, 0), ...u32((1250 << 2) | 3)]),
+    ...record(0x0204, [...cell(2, 2, 0), ...u16(5), 0, ...ascii('South')]),
+    ...record(0x00bd, [...u16(3), ...u16(0), ...u16(0), ...u32((7 << 2) | 2), ...u16(0), ...u32(0x3ff80000), ...u16(1)]),
+    ...record(0x0006, [...cell(3, 2, 0), 0, 0, 0, 0, 0, 0, 0xff, 0xff, ...u16(0), ...u32(0), ...u16(0)]),
+    ...record(0x0207, [...u16(5), 0, ...ascii('Total')]),
+    ...record(0x0006, [...cell(4, 0, 0), ...f64(99.5), ...u16(0), ...u32(0), ...u16(0)]),
+    ...record(0x0205, [...cell(4, 1, 0), 1, 0]),
+    ...record(0x00fd, [...cell(4, 2, 0), ...u32(4)]),
+    ...record(0x000a),
+  ];
+
+  const globals = (sheetOffset) => [
+    ...record(0x0809, [...u16(0x0600), ...u16(0x0005), ...new Array(12).fill(0)]),
+    ...record(0x0022, u16(0)),
+    ...record(0x041e, [...u16(164), ...u16(10), 0, ...ascii('yyyy-mm-dd')]),
+    ...[0, 14, 164].flatMap(format => record(0x00e0, [...u16(0), ...u16(format), ...new Array(16).fill(0)])),
+    ...record(0x0085, [...u32(0), 0, 2, 6, 0, ...ascii('Chart1')]),
+    ...record(0x0085, [...u32(sheetOffset), 0, 0, 5, 0, ...ascii('Sales')]),
+    // "North, East" runs on into the CONTINUE record as two-byte characters; "Wide" has a formatting run
+    ...record(0x00fc, [
+      ...u32(5), ...u32(5),
+      ...u16(5), 0, ...ascii('Month'),
+      ...u16(5), 0, ...ascii('Sales'),
+      ...u16(6), 0, ...ascii('Region'),
+      ...u16(11), 0, ...ascii('North'),
+    ]),
+    ...record(0x003c, [1, ...wide(', East'), ...u16(4), 0x08, ...u16(1), ...ascii('Wide'), ...u16(0), ...u16(0)]),
+    ...record(0x000a),
+  ];
+
+  const globalsLength = globals(0).length;
+  return new Uint8Array([...globals(globalsLength), ...sheet]);
+};
+
+// Wrap a Workbook stream in a compound file: FAT in sector 0, directory in sector 1, then the data
+// Streams under 4096 bytes live in the root entry's mini stream, as Excel writes them
+const buildCompoundFile = (stream) => {
+  const SECTOR = 512;
+  const END = 0xfffffffe;
+  const FREE = 0xffffffff;
+  const sectorsFor = (length) => Math.max(1, Math.ceil(length / SECTOR));
+  const useMini = stream.length < 4096;
+
+  const miniLength = Math.ceil(stream.length / 64) * 64;
+  const dataLength = useMini ? miniLength : stream.length;
+  const dataSectors = sectorsFor(dataLength);
+  const dataStart = useMini ? 3 : 2;
+
+  const fat = new Array(SECTOR / 4).fill(FREE);
+  fat[0] = 0xfffffffd;
+  fat[1] = END;
+  if (useMini) fat[2] = END;
+  for (let i = 0; i < dataSectors; i++) fat[dataStart + i] = i === dataSectors - 1 ? END : dataStart + i + 1;
+
+  const entry = (name, type, start, size) => {
+    const bytes = new Array(128).fill(0);
+    const nameBytes = [...wide(name), 0, 0];
+    nameBytes.forEach((byte, i) => { bytes[i] = byte; });
+    [...u16(nameBytes.length)].forEach((byte, i) => { bytes[0x40 + i] = byte; });
+    bytes[0x42] = type;
+    [...u32(0xffffffff), ...u32(0xffffffff), ...u32(0xffffffff)].forEach((byte, i) => { bytes[0x44 + i] = byte; });
+    [...u32(start), ...u32(size)].forEach((byte, i) => { bytes[0x74 + i] = byte; });
+    return bytes;
+  };
+  const directory = [
+    ...entry('Root Entry', 5, useMini ? dataStart : END, useMini ? miniLength : 0),
+    ...entry('Workbook', 2, useMini ? 0 : dataStart, stream.length),
+    ...new Array(256).fill(0),
+  ];
+
+  const miniFat = new Array(SECTOR / 4).fill(FREE);
+  const miniSectors = Math.ceil(stream.length / 64);
+  for (let i = 0; i < miniSectors; i++) miniFat[i] = i === miniSectors - 1 ? END : i + 1;
+
+  const header = new Array(SECTOR).fill(0);
+  const put = (offset, bytes) => bytes.forEach((byte, i) => { header[offset + i] = byte; });
+  put(0, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+  put(0x18, [...u16(0x3e), ...u16(3), ...u16(0xfffe), ...u16(9), ...u16(6)]);
+  put(0x2c, [...u32(1), ...u32(1), ...u32(0), ...u32(4096), ...u32(useMini ? 2 : END), ...u32(useMini ? 1 : 0), ...u32(END), ...u32(0)]);
+  put(0x4c, [...u32(0), ...new Array(108 * 4).fill(0xff)]);
+
+  const data = new Array(dataSectors * SECTOR).fill(0);
+  stream.forEach((byte, i) => { data[i] = byte; });
+
+  return new Uint8Array([
+    ...header,
+    ...fat.flatMap(u32),
+    ...directory,
+    ...(useMini ? miniFat.flatMap(u32) : []),
+    ...data,
+  ]);
+};
+
+describe('excelUtils', () => {
+  describe('readWorkbook', () => {
+    const workbook = readWorkbook(buildXlsx());
+
+    it('should list sheets with their used range and Excel tables', () => {
+      expect(workbook.sheets.map(sheet => sheet.name)).toEqual(['Revenue', 'Empty']);
+      expect(workbook.sheets[0].range).toBe('A1:E6');
+      expect(workbook.sheets[1].range).toBe('');
+      expect(workbook.tables).toEqual([{ name: 'SalesTable', sheet: 'Revenue', range: 'A1:B4' }]);
+    });
+
+    it('should read strings, numbers, booleans and date-formatted serials', () => {
+      const [header, first, , third] = workbook.sheets[0].rows;
+
+      expect(header).toEqual(['Month', 'Sales', 'Region']);
+      expect(first).toEqual(['2024-03-01', 1200.5, 'North, East']);
+      expect(third[0]).toBe('2024-04-01');
+      expect(third[1]).toBeUndefined();
+      expect(third[2]).toBe(true);
+    });
+
+    it('should find the workbook through the package relationships', () => {
+      const moved = readWorkbook(buildXlsx('book'));
+
+      expect(moved.sheets.map(sheet => sheet.name)).toEqual(['Revenue', 'Empty']);
+      expect(moved.sheets[0].rows).toEqual(workbook.sheets[0].rows);
+      expect(moved.tables).toEqual(workbook.tables);
+    });
+
+    it('should reject files that are not workbooks', () => {
+      const truncated = new Uint8Array([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+      expect(() => readWorkbook(truncated)).toThrow(/damaged/);
+      expect(() => readWorkbook(strToU8('Month,Sales\nJan,10'))).toThrow(/not an Excel workbook/);
+    });
+
+    it('should read Excel 97-2003 workbooks', () => {
+      const stream = buildBiffStream();
+      const expected = [
+        ['Month', 'Sales', 'Region'],
+        ['2024-03-01', 1200, 'North, East'],
+        ['2024-04-01', 12.5, 'South'],
+        [7, 1.5, 'Total'],
+        [99.5, true, 'Wide'],
+      ];
+
+      // Small workbooks sit in the mini stream; larger ones in regular sectors
+      const padded = new Uint8Array(4096);
+      padded.set(stream);
+      [stream, padded].forEach(bytes => {
+        const legacy = readWorkbook(buildCompoundFile(bytes));
+        expect(legacy.sheets.map(sheet => sheet.name)).toEqual(['Sales']);
+        expect(legacy.sheets[0].range).toBe('A1:C5');
+        expect(legacy.sheets[0].rows).toEqual(expected);
+        expect(legacy.tables).toEqual([]);
+      });
+    });
+
+    it('should read a workbook saved by Excel 97-2003', () => {
+      // Saved by Excel 2011 for Mac; from the MIT-licensed xls-to-json-lc package's sample folder
+      const saved = readWorkbook(new Uint8Array(readFileSync(resolve(__dirname, 'fixtures/number-formats.xls'))));
+      const [header, general, fixed] = saved.sheets[0].rows;
+
+      expect(saved.sheets[0].name).toBe('Implied');
+      expect(saved.sheets[0].rows).toHaveLength(29);
+      expect(header).toEqual(['Format', 'Valuie', 'B Fmt', 'VBA Fmt', 'Fmt', 'Macro']);
+      expect(general).toEqual([0, 12345.6789, 'General']);
+      expect(fixed).toEqual([1, 12345.6789, '0', '12346', '0', 12345.6789]);
+    });
+
+    it('should read XML Spreadsheet 2003 workbooks', () => {
+      const xml = `<?xml version="1.0"?>
+        <Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet" xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">
+          <Worksheet ss:Name="Data">
+            <Table>
+              <Row><Cell><Data ss:Type="String">Date</Data></Cell><Cell><Data ss:Type="String">Value</Data></Cell></Row>
+              <Row><Cell><Data ss:Type="DateTime">2024-01-15T00:00:00.000</Data></Cell><Cell ss:Index="2"><Data ss:Type="Number">42</Data></Cell></Row>
+            </Table>
+          </Worksheet>
+        </Workbook>`;
+      const legacy = readWorkbook(strToU8(xml));
+
+      expect(legacy.sheets[0].name).toBe('Data');
+      expect(legacy.sheets[0].rows).toEqual([['Date', 'Value'], ['2024-01-15', 42]]);
+    });
+  });
+
+  describe('parseCellRange', () => {
+    it('should parse ranges, single cells and absolute references', () => {
+      expect(parseCellRange('B2:D10')).toEqual({ startRow: 1, startCol: 1, endRow: 9, endCol: 3 });
+      expect(parseCellRange('$AA$3')).toEqual({ startRow: 2, startCol: 26, endRow: 2, endCol: 26 });
+      expect(parseCellRange('d10:b2')).toEqual({ startRow: 1, startCol: 1, endRow: 9, endCol: 3 });
+      expect(parseCellRange('Sheet1')).toBeNull();
+      expect(parseCellRange('A0')).toBeNull();
+    });
+
+    it('should convert column indexes back to letters', () => {
+      expect([0, 25, 26, 701, 702].map(indexToColumn)).toEqual(['A', 'Z', 'AA', 'ZZ', 'AAA']);
+    });
+  });
+
+  describe('getRangeRows', () => {
+    const workbook = readWorkbook(buildXlsx());
+
+    it('should return the cells of a range without empty rows', () => {
+      expect(getRangeRows(workbook, { sheet: 'Revenue', range: 'A1:B4' })).toEqual([
+        ['Month', 'Sales'],
+        ['2024-03-01', 1200.5],
+        ['2024-04-01', ''],
+      ]);
+    });
+
+    it('should default to the used range and explain bad ranges', () => {
+      expect(getRangeRows(workbook, { sheet: 'Revenue' })).toHaveLength(4);
+      expect(() => getRangeRows(workbook, { sheet: 'Revenue', range: 'first rows' })).toThrow(/not a cell range/);
+      expect(() => getRangeRows(workbook, { sheet: 'Empty' })).toThrow(/is empty/);
+    });
+  });
+
+  describe('rowsToCSV', () => {
+    it('should quote values that contain delimiters', () => {
+      expect(rowsToCSV([['Region', 'Sales'], ['North, East', 10]])).toBe('Region,Sales\r\n"North, East",10');
+    });
+  });
+
+  describe('excelSerialToDate', () => {
+    it('should convert serials in both date systems', () => {
+      expect(excelSerialToDate(45352)).toBe('2024-03-01');
+      expect(excelSerialToDate(45352.5)).toBe('2024-03-01 12:00');
+      expect(excelSerialToDate(43890, true)).toBe('2024-03-01');
+    });
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * HTML table utilities for clipboard pastes
+ * Copying a range from Excel or Google Sheets, or a table from a web page, puts an HTML table on
+ * the clipboard. These read it into rows of cell values - merged header rows joined into one
+ * header and formatted numbers converted with the import locale, as an uploaded CSV's would be -
+ * so it can go through the CSV import path
+ */
+
+import { parseLocaleNumber, resolveNumberLocale, DEFAULT_IMPORT_LOCALE, PLAIN_IMPORT_LOCALE } from './importLocale';
+
+/**
+ * Parse a number as it's displayed in a spreadsheet or web page
+ * Handles currency symbols, thousands separators, accounting negatives ("(500)"), percent signs
+ * and typographic minus signs
+ *
+ * @param {string|number} text - Displayed value
+ * @param {Object} locale - Import locale with a concrete numberFormat
+ * @returns {number|null} The number, or null if the text isn't one
+ */
+export const parseFormattedNumber = (text, locale = PLAIN_IMPORT_LOCALE) => parseLocaleNumber(text, locale);
+
+/**
+ * Get the text of a cell, with line breaks as spaces and whitespace collapsed
+ */
+const getCellText = (cell) => {
+  cell.querySelectorAll('br').forEach(br => br.replaceWith(' '));
+  return cell.textContent.replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Lay a table's rows out on a grid, repeating merged cells over every position they cover
+ * @returns {Array} Grid of { text, value, isHeader, spansColumns } cells - value is the cell's unformatted number, when it has one
+ */
+const layoutTable = (rows) => {
+  const grid = [];
+  rows.forEach((row, r) => {
+    if (!grid[r]) grid[r] = [];
+    let c = 0;
+    Array.from(row.cells).forEach(cell => {
+      while (grid[r][c]) c++;
+      const colSpan = Math.max(1, Number(cell.getAttribute('colspan')) || 1);
+      const rowSpan = Math.max(1, Number(cell.getAttribute('rowspan')) || 1);
+      const text = getCellText(cell);
+      // Excel puts the unformatted value of number cells in x:num
+      const raw = cell.getAttribute('x:num');
+      const item = {
+        text,
+        value: raw !== null && raw !== '' && !isNaN(Number(raw)) ? Number(raw) : null,
+        isHeader: cell.tagName === 'TH' || row.parentNode?.tagName === 'THEAD',
+        spansColumns: colSpan > 1,
+      };
+      for (let dr = 0; dr < rowSpan; dr++) {
+        if (!grid[r + dr]) grid[r + dr] = [];
+        for (let dc = 0; dc < colSpan; dc++) grid[r + dr][c + dc] = item;
+      }
+      c += colSpan;
+    });
+  });
+  return grid;
+};
+
+/**
+ * Count the header rows at the top of a laid-out table
+ * Header rows are the <thead> or <th> rows; tables without them (like Excel ranges) have one
+ * header row, plus the row under each header row that has a cell merged across columns
+ */
+const countHeaderRows = (grid) => {
+  const marked = grid.findIndex(row => !row.every(cell => cell?.isHeader));
+  if (marked > 0) return marked;
+  if (marked === -1) return Math.min(1, grid.length);
+
+  let count = 1;
+  while (count < grid.length - 1 && grid[count - 1].some(cell => cell?.spansColumns)) count++;
+  return count;
+};
+
+/**
+ * Parse the first table of an HTML fragment
+ * @param {string} html - HTML from the clipboard
+ * @param {Object} locale - Import locale the displayed numbers are read with
+ * @returns {Array} Rows of cell values, header row first; empty if there's no table
+ */
+export const parseHTMLTable = (html, locale = DEFAULT_IMPORT_LOCALE) => {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  const table = doc.querySelector('table');
+  if (!table) return [];
+
+  // table.rows leaves out the rows of any nested tables
+  const grid = layoutTable(Array.from(table.rows));
+  const width = Math.max(0, ...grid.map(row => row.length));
+  const headerCount = countHeaderRows(grid);
+
+  // Merged header rows are joined top to bottom: "Revenue" over "2024" becomes "Revenue 2024"
+  const header = Array.from({ length: width }, (_, c) => {
+    const parts = [];
+    grid.slice(0, headerCount).forEach(row => {
+      const text = row[c]?.text;
+      if (text && parts[parts.length - 1] !== text) parts.push(text);
+    });
+    return parts.join(' ') || `Column ${c + 1}`;
+  });
+
+  // An 'auto' number format is settled across the table, like across a CSV file
+  const bodyGrid = grid.slice(headerCount);
+  const numberLocale = resolveNumberLocale(
+    bodyGrid.flatMap(row => row.slice(1).filter(cell => cell && cell.value === null).map(cell => cell.text)),
+    locale
+  );
+
+  // The first column holds labels, so it stays text; other columns are numbers where they parse
+  const body = bodyGrid
+    .map(row => Array.from({ length: width }, (_, c) => {
+      const cell = row[c];
+      if (!cell) return '';
+      const number = cell.value ?? parseFormattedNumber(cell.text, numberLocale);
+      return c > 0 && number !== null ? number : cell.text;
+    }))
+    .filter(row => row.some(value => value !== ''));
+
+  return [header, ...body];
+};
+
+/**
+ * Read an HTML table from a paste event's clipboard data
+ * @param {DataTransfer} clipboardData - event.clipboardData
+ * @param {Object} locale - Import locale the displayed numbers are read with
+ * @returns {Array|null} Rows from parseHTMLTable, or null when the paste isn't a table with data
+ */
+export const getClipboardTable = (clipboardData, locale = DEFAULT_IMPORT_LOCALE) => {
+  const html = clipboardData?.getData('text/html');
+  if (!html || !/<table[\s>]/i.test(html)) return null;
+  const rows = parseHTMLTable(html, locale);
+  return rows.length >= 2 ? rows : null;
+};
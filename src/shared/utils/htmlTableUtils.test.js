@@ -0,0 +1,105 @@
+/**
+ * Unit tests for HTML table utilities
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseFormattedNumber, parseHTMLTable, getClipboardTable } from './htmlTableUtils';
+import { PLAIN_IMPORT_LOCALE } from './importLocale';
+
+describe('htmlTableUtils', () => {
+  describe('parseFormattedNumber', () => {
+    it('should read currency, separators, percents and accounting negatives', () => {
+      expect(parseFormattedNumber('$1,234')).toBe(1234);
+      expect(parseFormattedNumber('(500)')).toBe(-500);
+      expect(parseFormattedNumber('($1,234.50)')).toBe(-1234.5);
+      expect(parseFormattedNumber('12.5%')).toBe(12.5);
+      expect(parseFormattedNumber('− 42')).toBe(-42);
+      expect(parseFormattedNumber('€ 1 000')).toBe(1000);
+      expect(parseFormattedNumber(7)).toBe(7);
+    });
+
+    it('should leave text that is not a number', () => {
+      expect(parseFormattedNumber('North')).toBeNull();
+      expect(parseFormattedNumber('1,2')).toBeNull();
+      expect(parseFormattedNumber('2024-01-15')).toBeNull();
+      expect(parseFormattedNumber('$')).toBeNull();
+      expect(parseFormattedNumber('')).toBeNull();
+    });
+  });
+
+  describe('parseHTMLTable', () => {
+    it('should join merged header rows and convert formatted numbers', () => {
+      const rows = parseHTMLTable(`
+        <table>
+          <thead>
+            <tr><th rowspan="2">Region</th><th colspan="2">Revenue</th><th rowspan="2">Change</th></tr>
+            <tr><th>2023</th><th>2024</th></tr>
+          </thead>
+          <tbody>
+            <tr><td>North</td><td>$1,234</td><td>$1,500</td><td>(5.2%)</td></tr>
+            <tr><td>South<br>East</td><td>(500)</td><td>n/a</td><td></td></tr>
+          </tbody>
+        </table>`);
+
+      expect(rows).toEqual([
+        ['Region', 'Revenue 2023', 'Revenue 2024', 'Change'],
+        ['North', 1234, 1500, -5.2],
+        ['South East', -500, 'n/a', ''],
+      ]);
+    });
+
+    it('should find merged header rows in Excel ranges without header cells', () => {
+      const rows = parseHTMLTable(`
+        <html><body><table>
+          <tr><td></td><td colspan="2">Units</td></tr>
+          <tr><td>Month</td><td>Online</td><td>Store</td></tr>
+          <tr><td>Jan</td><td x:num="1200.5">1,200.50</td><td>980</td></tr>
+          <tr><td></td><td></td><td></td></tr>
+        </table></body></html>`);
+
+      expect(rows).toEqual([
+        ['Month', 'Units Online', 'Units Store'],
+        ['Jan', 1200.5, 980],
+      ]);
+    });
+
+    it('should read displayed numbers with the import locale', () => {
+      const html = `
+        <table>
+          <tr><td>Region</td><td>Sales</td></tr>
+          <tr><td>North</td><td>1.234,5</td></tr>
+          <tr><td>South</td><td>980,25</td></tr>
+        </table>`;
+
+      expect(parseHTMLTable(html, { ...PLAIN_IMPORT_LOCALE, numberFormat: 'eu' })).toEqual([
+        ['Region', 'Sales'], ['North', 1234.5], ['South', 980.25],
+      ]);
+      // Auto-detect settles on the format the table is written in
+      expect(parseHTMLTable(html)).toEqual([['Region', 'Sales'], ['North', 1234.5], ['South', 980.25]]);
+      expect(parseHTMLTable(html, PLAIN_IMPORT_LOCALE)).toEqual([['Region', 'Sales'], ['North', '1.234,5'], ['South', '980,25']]);
+    });
+
+    it('should repeat row-spanning labels and name blank headers', () => {
+      const rows = parseHTMLTable(`
+        <table>
+          <tr><td></td><td>Q1</td></tr>
+          <tr><td rowspan="2">North</td><td>10</td></tr>
+          <tr><td>12</td></tr>
+        </table>`);
+
+      expect(rows).toEqual([['Column 1', 'Q1'], ['North', 10], ['North', 12]]);
+    });
+  });
+
+  describe('getClipboardTable', () => {
+    const clipboard = (data) => ({ getData: type => data[type] || '' });
+
+    it('should only read pastes that carry an HTML table with data', () => {
+      expect(getClipboardTable(clipboard({ 'text/html': '<table><tr><td>A</td></tr><tr><td>1</td></tr></table>' })))
+        .toEqual([['A'], ['1']]);
+      expect(getClipboardTable(clipboard({ 'text/html': '<table><tr><th>A</th></tr></table>' }))).toBeNull();
+      expect(getClipboardTable(clipboard({ 'text/html': '<p>Hello</p>', 'text/plain': 'Hello' }))).toBeNull();
+      expect(getClipboardTable(clipboard({ 'text/plain': 'a,b\n1,2' }))).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,293 @@
+/**
+ * Import locale utilities for reading numbers and dates from CSV files
+ * "1.234,56" is a number in Germany and "03/04/2024" is April in France, so imported text is
+ * read with an import locale: a number format, a date order, and how to treat percent signs and
+ * parentheses. Either can be detected from the file; columns that could be read both ways
+ * get a warning naming how they were read.
+ *
+ * Locale shape: { numberFormat, dateOrder, percentAsFraction, parenthesesNegative }
+ */
+
+export const NUMBER_FORMATS = {
+  auto: { label: 'Auto-detect' },
+  en: { label: '1,234.56', decimalSeparator: '.', thousandsSeparator: ',' },
+  eu: { label: '1.234,56', decimalSeparator: ',', thousandsSeparator: '.' },
+  fr: { label: '1 234,56', decimalSeparator: ',', thousandsSeparator: ' ' },
+  ch: { label: "1'234.56", decimalSeparator: '.', thousandsSeparator: "'" },
+};
+
+export const DATE_ORDERS = {
+  auto: { label: 'Auto-detect' },
+  mdy: { label: 'Month first (03/31/2024)' },
+  dmy: { label: 'Day first (31/03/2024)' },
+  ymd: { label: 'Year first (2024/03/31)' },
+};
+
+export const DEFAULT_IMPORT_LOCALE = {
+  numberFormat: 'auto',
+  dateOrder: 'auto',
+  percentAsFraction: false, // "12%" reads as 12, or 0.12 when true
+  parenthesesNegative: true, // "(500)" reads as -500
+};
+
+// Locale for text this app wrote itself (saved charts, Excel and JSON imports): plain JavaScript numbers
+export const PLAIN_IMPORT_LOCALE = {
+  ...DEFAULT_IMPORT_LOCALE,
+  numberFormat: 'en',
+};
+
+const MINUS_SIGNS = /[\u2212\u2012\u2013]/g;
+const CURRENCY_AND_SPACES = /[$€£¥₹\s\u00a0\u202f]/g;
+const SCIENTIFIC = /^[-+]?\d+(\.\d+)?e[-+]?\d+$/i;
+const NUMERIC_DATE = /^(\d{1,4})([/.-])(\d{1,2})\2(\d{1,4})(?:[ T](\d{1,2}):(\d{2})(?::\d{2})?)?$/;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const hasValue = (value) => value !== null && value !== undefined && String(value).trim() !== '';
+
+/**
+ * Strip what every number format shares - currency, spaces, sign, parentheses and percent sign
+ * @returns {Object|null} { body, sign, percent }, or null when the text can't be a number
+ */
+const splitNumber = (text, parenthesesNegative = true) => {
+  let body = String(text).replace(MINUS_SIGNS, '-').replace(CURRENCY_AND_SPACES, '');
+  let sign = 1;
+
+  const accounting = body.match(/^\((.*)\)$/);
+  if (accounting) {
+    if (!parenthesesNegative) return null;
+    sign = -1;
+    body = accounting[1];
+  }
+  if (/^[-+]/.test(body)) {
+    if (body[0] === '-') sign = -sign;
+    body = body.slice(1);
+  }
+  const percent = body.endsWith('%');
+  if (percent) body = body.slice(0, -1);
+
+  return /\d/.test(body) ? { body, sign, percent } : null;
+};
+
+/**
+ * Parse a number written in a given format
+ * @param {string|number} text - Value from the file
+ * @param {Object} locale - Import locale with a concrete numberFormat ('en', 'eu', 'fr' or 'ch')
+ * @returns {number|null} The number, or null if the text isn't one in this format
+ */
+export const parseLocaleNumber = (text, locale = PLAIN_IMPORT_LOCALE) => {
+  if (typeof text === 'number') return isFinite(text) ? text : null;
+  if (!hasValue(text)) return null;
+  if (SCIENTIFIC.test(String(text).trim())) return Number(text);
+
+  const { decimalSeparator, thousandsSeparator } = NUMBER_FORMATS[locale.numberFormat] || NUMBER_FORMATS.en;
+  const parts = splitNumber(text, locale.parenthesesNegative ?? true);
+  if (!parts) return null;
+
+  // Spaces were stripped with the currency symbols, so a space separator leaves plain digits
+  const grouped = thousandsSeparator === ' ' ? '' : `|\\d{1,3}(?:${escapeRegExp(thousandsSeparator)}\\d{3})+`;
+  const pattern = new RegExp(`^(?:\\d+${grouped})?(?:${escapeRegExp(decimalSeparator)}\\d+)?$`);
+  if (!pattern.test(parts.body)) return null;
+
+  const number = Number(parts.body.split(thousandsSeparator).join('').replace(decimalSeparator, '.'));
+  if (isNaN(number)) return null;
+  const value = parts.sign * number;
+  return parts.percent && locale.percentAsFraction ? value / 100 : value;
+};
+
+/**
+ * Work out which number formats a value could be written in
+ * @returns {string|null} 'en', 'eu' or 'ch' when only one fits, 'ambiguous' when "1,234" or
+ *   "1.234" could be either, 'plain' for digits only, or null when it isn't a number
+ */
+const classifyNumber = (text) => {
+  if (typeof text === 'number') return 'plain';
+  if (!hasValue(text)) return null;
+  if (SCIENTIFIC.test(String(text).trim())) return 'plain';
+  const parts = splitNumber(text);
+  if (!parts || !/^[\d.,']+$/.test(parts.body)) return null;
+
+  const { body } = parts;
+  if (body.includes("'")) return /^\d{1,3}('\d{3})+(\.\d+)?$/.test(body) ? 'ch' : null;
+
+  const lastComma = body.lastIndexOf(',');
+  const lastDot = body.lastIndexOf('.');
+  if (lastComma !== -1 && lastDot !== -1) {
+    // Whichever separator comes last is the decimal point
+    if (lastDot > lastComma) return /^\d{1,3}(,\d{3})+\.\d+$/.test(body) ? 'en' : null;
+    return /^\d{1,3}(\.\d{3})+,\d+$/.test(body) ? 'eu' : null;
+  }
+  if (lastComma === -1 && lastDot === -1) return 'plain';
+
+  const separator = lastComma !== -1 ? ',' : '.';
+  const groups = body.split(separator);
+  // "0,5" and "1,25" can only be decimals; "1,234,567" can only be grouped thousands
+  if (groups.length > 2) {
+    if (!groups.slice(1).every(group => group.length === 3) || groups[0].length > 3 || groups[0] === '') return null;
+    return separator === ',' ? 'en' : 'eu';
+  }
+  const [whole, fraction] = groups;
+  if (fraction.length === 3 && whole.length >= 1 && whole.length <= 3 && whole !== '0') return 'ambiguous';
+  return separator === ',' ? 'eu' : 'en';
+};
+
+/**
+ * Parse a numeric date such as "31/03/2024", "03-31-24" or "2024.03.31"
+ * @param {string} text - Value from the file
+ * @param {string} dateOrder - 'mdy', 'dmy' or 'ymd'
+ * @returns {string|null} "YYYY-MM-DD" (with " HH:MM" if it had a time), or null if it isn't a valid date
+ */
+export const parseLocaleDate = (text, dateOrder = 'mdy') => {
+  const match = String(text ?? '').trim().match(NUMERIC_DATE);
+  if (!match) return null;
+
+  const [, first, , second, third, hours, minutes] = match;
+  let year;
+  let month;
+  let day;
+  if (first.length === 4 || (dateOrder === 'ymd' && first.length === 2 && third.length <= 2)) {
+    [year, month, day] = [first, second, third];
+  } else if (third.length === 2 || third.length === 4) {
+    year = third;
+    [month, day] = dateOrder === 'dmy' ? [second, first] : [first, second];
+  } else {
+    return null;
+  }
+
+  // Two-digit years follow d3's %y: 00-68 are 20xx, 69-99 are 19xx
+  let fullYear = Number(year);
+  if (year.length === 2) fullYear += fullYear < 69 ? 2000 : 1900;
+
+  const date = new Date(Date.UTC(fullYear, Number(month) - 1, Number(day)));
+  if (date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) return null;
+
+  const iso = date.toISOString().slice(0, 10);
+  return hours !== undefined ? `${iso} ${hours.padStart(2, '0')}:${minutes}` : iso;
+};
+
+/**
+ * Work out which date orders a numeric date could be written in
+ * @returns {string|null} 'ymd', 'dmy' or 'mdy' when only one fits, 'iso' when it starts with a
+ *   four-digit year (read the same in any order), 'ambiguous', or null when it isn't a numeric date
+ */
+const classifyDate = (text) => {
+  const match = String(text ?? '').trim().match(NUMERIC_DATE);
+  if (!match) return null;
+  const [, first, separator, second, third] = match;
+  if (first.length === 4) return 'iso';
+  // Dotted values without a four-digit year are more likely version numbers than dates
+  if (separator === '.' && third.length !== 4) return null;
+  if (third.length !== 2 && third.length !== 4) return null;
+  // A two-digit first part over 31 can only be a year, as in "95/03/12"
+  if (first.length === 2 && third.length === 2 && Number(first) > 31 && Number(second) <= 12) return 'ymd';
+  if (Number(first) > 12 && Number(second) <= 12) return 'dmy';
+  if (Number(second) > 12 && Number(first) <= 12) return 'mdy';
+  return Number(first) <= 12 && Number(second) <= 12 ? 'ambiguous' : null;
+};
+
+/**
+ * Pick the format with the most unambiguous values
+ * @returns {string|null} The winning format, or null if no value settled it
+ */
+const pickFormat = (counts, candidates) => {
+  const best = candidates.reduce((winner, format) => ((counts[format] || 0) > (counts[winner] || 0) ? format : winner), candidates[0]);
+  return counts[best] ? best : null;
+};
+
+/**
+ * Settle the number format of a set of values
+ * A format picked in the locale is kept; 'auto' is detected from the values, as applyImportLocale does
+ *
+ * @param {Array} values - Values as written
+ * @param {Object} locale - Import locale
+ * @returns {Object} The locale with a concrete numberFormat
+ */
+export const resolveNumberLocale = (values, locale = DEFAULT_IMPORT_LOCALE) => {
+  if (NUMBER_FORMATS[locale.numberFormat] && locale.numberFormat !== 'auto') return locale;
+  const counts = {};
+  values.forEach(value => {
+    const kind = classifyNumber(value);
+    if (kind) counts[kind] = (counts[kind] || 0) + 1;
+  });
+  return { ...locale, numberFormat: pickFormat(counts, ['en', 'eu', 'ch']) || 'en' };
+};
+
+/**
+ * Read imported rows with an import locale
+ * Auto-detected formats are settled across the whole file, as a file is written in one locale;
+ * a column gets a warning when the file had nothing to settle how its values read.
+ *
+ * @param {Array} rows - Parsed rows of text values, keyed by field
+ * @param {Array} fields - Field names in column order
+ * @param {Object} locale - Import locale
+ * @returns {Object} { data, warnings, numberFormat, dateOrder } - rows with numbers and
+ *   "YYYY-MM-DD" dates, messages for ambiguous columns, and the formats used
+ */
+export const applyImportLocale = (rows, fields, locale = DEFAULT_IMPORT_LOCALE) => {
+  const numberCounts = {};
+  const dateCounts = {};
+  const dateColumns = new Set();
+  const ambiguousNumbers = {};
+  const ambiguousDates = {};
+
+  fields.forEach(field => {
+    const values = rows.map(row => row[field]).filter(hasValue);
+    if (values.length === 0) return;
+
+    const dateKinds = values.map(classifyDate);
+    if (dateKinds.every(Boolean)) {
+      dateColumns.add(field);
+      dateKinds.forEach(kind => { dateCounts[kind] = (dateCounts[kind] || 0) + 1; });
+      if (dateKinds.every(kind => kind === 'ambiguous')) ambiguousDates[field] = values[0];
+      return;
+    }
+
+    const numberKinds = values.map(classifyNumber);
+    numberKinds.forEach(kind => { if (kind) numberCounts[kind] = (numberCounts[kind] || 0) + 1; });
+    const example = values.find((value, i) => numberKinds[i] === 'ambiguous');
+    if (example !== undefined && numberKinds.every(kind => kind === 'ambiguous' || kind === 'plain' || kind === null)) {
+      ambiguousNumbers[field] = example;
+    }
+  });
+
+  const warnings = [];
+  let numberFormat = locale.numberFormat;
+  if (!NUMBER_FORMATS[numberFormat] || numberFormat === 'auto') {
+    const detected = pickFormat(numberCounts, ['en', 'eu', 'ch']);
+    numberFormat = detected || 'en';
+    if (!detected) {
+      Object.entries(ambiguousNumbers).forEach(([field, example]) => {
+        warnings.push(`Column "${field}": "${example}" could use a comma or a point as the decimal separator; read as ${parseLocaleNumber(example, { ...locale, numberFormat })}. Pick a number format under Import Locale if that's wrong.`);
+      });
+    }
+  }
+
+  let dateOrder = locale.dateOrder;
+  if (!DATE_ORDERS[dateOrder] || dateOrder === 'auto') {
+    const detected = pickFormat(dateCounts, ['dmy', 'mdy', 'ymd']);
+    dateOrder = detected || 'mdy';
+    if (!detected) {
+      Object.entries(ambiguousDates).forEach(([field, example]) => {
+        warnings.push(`Column "${field}": dates like "${example}" could be month first or day first; read as ${parseLocaleDate(example, dateOrder)}. Pick a date order under Import Locale if that's wrong.`);
+      });
+    }
+  }
+
+  const resolved = { ...locale, numberFormat, dateOrder };
+  const data = rows.map(row => {
+    const converted = { ...row };
+    fields.forEach(field => {
+      const value = typeof row[field] === 'string' ? row[field].trim() : row[field];
+      if (!hasValue(value)) {
+        converted[field] = value;
+      } else if (dateColumns.has(field)) {
+        converted[field] = parseLocaleDate(value, dateOrder) ?? value;
+      } else {
+        converted[field] = parseLocaleNumber(value, resolved) ?? value;
+      }
+    });
+    return converted;
+  });
+
+  return { data, warnings, numberFormat, dateOrder };
+};
@@ -0,0 +1,120 @@
+/**
+ * Unit tests for import locale utilities
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseLocaleNumber, parseLocaleDate, applyImportLocale, DEFAULT_IMPORT_LOCALE } from './importLocale';
+
+describe('importLocale', () => {
+  const locale = (numberFormat, options = {}) => ({ ...DEFAULT_IMPORT_LOCALE, numberFormat, ...options });
+
+  describe('parseLocaleNumber', () => {
+    it('should read each number format', () => {
+      expect(parseLocaleNumber('1,234.56', locale('en'))).toBe(1234.56);
+      expect(parseLocaleNumber('1.234,56', locale('eu'))).toBe(1234.56);
+      expect(parseLocaleNumber('1 234,56', locale('fr'))).toBe(1234.56);
+      expect(parseLocaleNumber("1'234.56", locale('ch'))).toBe(1234.56);
+      expect(parseLocaleNumber('1.234,56', locale('en'))).toBeNull();
+    });
+
+    it('should strip currency and read percents and parentheses', () => {
+      expect(parseLocaleNumber('€ 1.234,50', locale('eu'))).toBe(1234.5);
+      expect(parseLocaleNumber('($500)', locale('en'))).toBe(-500);
+      expect(parseLocaleNumber('(500)', locale('en', { parenthesesNegative: false }))).toBeNull();
+      expect(parseLocaleNumber('12,5%', locale('eu'))).toBe(12.5);
+      expect(parseLocaleNumber('12.5%', locale('en', { percentAsFraction: true }))).toBe(0.125);
+      expect(parseLocaleNumber('1e3', locale('eu'))).toBe(1000);
+    });
+  });
+
+  describe('parseLocaleDate', () => {
+    it('should read numeric dates in each order', () => {
+      expect(parseLocaleDate('03/04/2024', 'mdy')).toBe('2024-03-04');
+      expect(parseLocaleDate('03/04/2024', 'dmy')).toBe('2024-04-03');
+      expect(parseLocaleDate('2024.03.04')).toBe('2024-03-04');
+      expect(parseLocaleDate('31-12-99 08:15', 'dmy')).toBe('1999-12-31 08:15');
+    });
+
+    it('should read two-digit years first when the order is year first', () => {
+      expect(parseLocaleDate('12/03/24', 'ymd')).toBe('2012-03-24');
+      expect(parseLocaleDate('24/03/31', 'ymd')).toBe('2024-03-31');
+      expect(parseLocaleDate('12/03/24', 'mdy')).toBe('2024-12-03');
+    });
+
+    it('should reject impossible dates and other text', () => {
+      expect(parseLocaleDate('31/04/2024', 'dmy')).toBeNull();
+      expect(parseLocaleDate('13/01/2024', 'mdy')).toBeNull();
+      expect(parseLocaleDate('Q1 2024')).toBeNull();
+    });
+  });
+
+  describe('applyImportLocale', () => {
+    const fields = ['Region', 'Revenue', 'Margin'];
+
+    it('should detect European files from values only one format can read', () => {
+      const rows = [
+        { Region: 'North', Revenue: '1.234', Margin: '12,5%' },
+        { Region: 'South', Revenue: '2.500.000', Margin: '(3,2%)' },
+      ];
+      const result = applyImportLocale(rows, fields);
+
+      expect(result.numberFormat).toBe('eu');
+      expect(result.data).toEqual([
+        { Region: 'North', Revenue: 1234, Margin: 12.5 },
+        { Region: 'South', Revenue: 2500000, Margin: -3.2 },
+      ]);
+      expect(result.warnings).toEqual([]);
+    });
+
+    it('should warn about columns nothing in the file settles', () => {
+      const rows = [{ Region: 'North', Revenue: '1,234' }, { Region: 'South', Revenue: '980' }];
+      const result = applyImportLocale(rows, ['Region', 'Revenue']);
+
+      expect(result.data[0].Revenue).toBe(1234);
+      expect(result.warnings).toHaveLength(1);
+      expect(result.warnings[0]).toMatch(/Column "Revenue": "1,234".*read as 1234/);
+    });
+
+    it('should not warn when the user picked the format', () => {
+      const rows = [{ Region: 'North', Revenue: '1,234' }];
+      const result = applyImportLocale(rows, ['Region', 'Revenue'], locale('eu'));
+
+      expect(result.data[0].Revenue).toBe(1.234);
+      expect(result.warnings).toEqual([]);
+    });
+
+    it('should normalize date columns and detect day-first dates', () => {
+      const rows = [{ date: '05/03/2024', Sales: '10' }, { date: '25/03/2024', Sales: '12' }];
+      const result = applyImportLocale(rows, ['date', 'Sales']);
+
+      expect(result.dateOrder).toBe('dmy');
+      expect(result.data.map(row => row.date)).toEqual(['2024-03-05', '2024-03-25']);
+      expect(result.warnings).toEqual([]);
+    });
+
+    it('should detect year-first dates with two-digit years', () => {
+      const rows = [{ date: '95/03/12', Sales: '10' }, { date: '96/04/01', Sales: '12' }];
+      const result = applyImportLocale(rows, ['date', 'Sales']);
+
+      expect(result.dateOrder).toBe('ymd');
+      expect(result.data.map(row => row.date)).toEqual(['1995-03-12', '1996-04-01']);
+      expect(result.warnings).toEqual([]);
+    });
+
+    it('should warn when every date could be either order', () => {
+      const rows = [{ date: '01/02/2024', Sales: '10' }, { date: '02/03/2024', Sales: '12' }];
+      const result = applyImportLocale(rows, ['date', 'Sales']);
+
+      expect(result.data[0].date).toBe('2024-01-02');
+      expect(result.warnings[0]).toMatch(/Column "date": dates like "01\/02\/2024" could be month first or day first/);
+    });
+
+    it('should leave text, version numbers and blanks alone', () => {
+      const rows = [{ Region: 'North', Version: '1.2.3', Revenue: '' }, { Region: 'South', Version: '1.2.4', Revenue: '5' }];
+      const result = applyImportLocale(rows, ['Region', 'Version', 'Revenue']);
+
+      expect(result.data[0]).toEqual({ Region: 'North', Version: '1.2.3', Revenue: '' });
+      expect(result.data[1].Revenue).toBe(5);
+    });
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * JSON utilities for importing API responses
+ * Reads JSON arrays of objects (or NDJSON, one object per line), flattens nested keys into dot
+ * paths and maps the picked fields onto chart columns, so the rows can go through the CSV import path
+ *
+ * Field mapping shape: { recordsPath, labelField, valueFields }
+ *   recordsPath - dot path of the record array inside a JSON object ('' when the file is the array)
+ *   labelField - field for the first column (Stage, Category, date or Source)
+ *   valueFields - fields for the remaining columns, in column order
+ */
+
+/**
+ * Check whether a value is a plain object (not an array or null)
+ */
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const getAtPath = (value, path) => (
+  path ? path.split('.').reduce((node, key) => (node === null || node === undefined ? undefined : node[key]), value) : value
+);
+
+/**
+ * Find the first array of objects inside a JSON object, breadth first
+ * API responses usually wrap their records, as in { "data": { "items": [...] } }
+ * @returns {string|null} Dot path of the array, or null if there isn't one
+ */
+const findRecordsPath = (value) => {
+  const queue = [{ node: value, path: '' }];
+  while (queue.length > 0) {
+    const { node, path } = queue.shift();
+    for (const [key, child] of Object.entries(node)) {
+      const childPath = path ? `${path}.${key}` : key;
+      if (Array.isArray(child) && child.length > 0 && child.every(isPlainObject)) return childPath;
+      if (isPlainObject(child)) queue.push({ node: child, path: childPath });
+    }
+  }
+  return null;
+};
+
+/**
+ * Parse JSON or NDJSON text into records
+ * @param {string} text - A JSON array, a JSON object wrapping an array, or NDJSON
+ * @param {string} recordsPath - Dot path of the record array; found automatically when not given
+ * @returns {Object} { records, recordsPath, format } - format is 'json' or 'ndjson'
+ */
+export const parseJSONRecords = (text, recordsPath) => {
+  const trimmed = String(text || '').trim();
+  if (!trimmed) throw new Error('No JSON data found');
+
+  let parsed;
+  try {
+    parsed = JSON.parse(trimmed);
+  } catch (jsonError) {
+    // Not a single JSON value - try one value per line
+    const lines = trimmed.split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length < 2) throw new Error(`Invalid JSON: ${jsonError.message}`);
+    const records = lines.map((line, i) => {
+      try {
+        return JSON.parse(line);
+      } catch (lineError) {
+        throw new Error(`Invalid JSON on line ${i + 1}: ${lineError.message}`);
+      }
+    });
+    return { records: records.filter(isPlainObject), recordsPath: '', format: 'ndjson' };
+  }
+
+  if (Array.isArray(parsed)) {
+    return { records: parsed.filter(isPlainObject), recordsPath: '', format: 'json' };
+  }
+  if (!isPlainObject(parsed)) throw new Error('JSON data must be an array of objects');
+
+  const path = recordsPath ?? findRecordsPath(parsed);
+  const found = path ? getAtPath(parsed, path) : null;
+  if (Array.isArray(found)) {
+    return { records: found.filter(isPlainObject), recordsPath: path, format: 'json' };
+  }
+  if (path) throw new Error(`No array of records at "${path}"`);
+
+  // A lone object is a single record
+  return { records: [parsed], recordsPath: '', format: 'json' };
+};
+
+/**
+ * Flatten a nested record into dot-path keys
+ * { user: { region: 'EU' }, tags: ['a'] } becomes { 'user.region': 'EU', 'tags.0': 'a' }
+ * @param {Object} record - Record to flatten
+ * @returns {Object} Flat record
+ */
+export const flattenRecord = (record, prefix = '', result = {}) => {
+  Object.entries(record).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (value !== null && typeof value === 'object') {
+      flattenRecord(value, path, result);
+    } else {
+      result[path] = value;
+    }
+  });
+  return result;
+};
+
+/**
+ * Get every field path of the flattened records, in order of first appearance
+ * @param {Array} rows - Flattened records
+ * @returns {Array} Field paths
+ */
+export const getFieldPaths = (rows) => {
+  const fields = new Set();
+  rows.forEach(row => Object.keys(row).forEach(key => fields.add(key)));
+  return Array.from(fields);
+};
+
+const hasValue = (value) => value !== null && value !== undefined && value !== '';
+
+/**
+ * Check whether every value of a field is a number
+ */
+export const isNumericField = (rows, field) => {
+  const values = rows.map(row => row[field]).filter(hasValue);
+  return values.length > 0 && values.every(value => typeof value !== 'boolean' && !isNaN(Number(value)));
+};
+
+const isDateField = (rows, field) => {
+  const values = rows.map(row => row[field]).filter(hasValue);
+  return values.length > 0 && values.every(value => /^\d{4}-\d{1,2}(-\d{1,2})?([T ]|$)/.test(String(value)));
+};
+
+/**
+ * Suggest a field mapping for newly imported records
+ * The label is the first date field when the chart plots dates, otherwise the first text field;
+ * every numeric field becomes a column
+ *
+ * @param {Array} rows - Flattened records
+ * @param {Object} options - { recordsPath, preferDate }
+ * @returns {Object} Field mapping
+ */
+export const suggestFieldMapping = (rows, { recordsPath = '', preferDate = false } = {}) => {
+  const fields = getFieldPaths(rows);
+  const labelField = (preferDate && fields.find(field => isDateField(rows, field)))
+    || fields.find(field => !isNumericField(rows, field))
+    || fields[0]
+    || '';
+  return {
+    recordsPath,
+    labelField,
+    valueFields: fields.filter(field => field !== labelField && isNumericField(rows, field)),
+  };
+};
+
+/**
+ * Reuse a saved field mapping for a fresh import
+ * Columns whose fields are missing from the new file are dropped
+ *
+ * @param {Object} mapping - Saved field mapping
+ * @param {Array} fields - Field paths of the new file
+ * @returns {Object|null} Mapping that fits the new file, or null if its label field is missing
+ */
+export const resolveFieldMapping = (mapping, fields) => {
+  if (!mapping || !fields.includes(mapping.labelField)) return null;
+  const valueFields = (mapping.valueFields || []).filter(field => fields.includes(field));
+  return valueFields.length > 0 ? { ...mapping, valueFields } : null;
+};
+
+/**
+ * Get the column name for each mapped field
+ * Columns are named after the last part of their path ("stats.revenue" -> "revenue"), keeping
+ * the whole path when two fields would share a name
+ *
+ * @param {Array} fields - Field paths
+ * @returns {Array} Column names
+ */
+export const getColumnNames = (fields) => {
+  const shortNames = fields.map(field => field.split('.').pop());
+  return fields.map((field, i) => (
+    shortNames.filter(name => name === shortNames[i]).length > 1 ? field : shortNames[i]
+  ));
+};
+
+/**
+ * Build rows of cell values from mapped records, header row first
+ * @param {Array} rows - Flattened records
+ * @param {Object} mapping - Field mapping
+ * @returns {Array} Rows for rowsToCSV
+ */
+export const mapRecordsToRows = (rows, { labelField, valueFields = [] }) => {
+  const fields = [labelField, ...valueFields];
+  return [
+    getColumnNames(fields),
+    ...rows.map(row => fields.map(field => (hasValue(row[field]) ? row[field] : ''))),
+  ];
+};
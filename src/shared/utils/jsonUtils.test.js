@@ -0,0 +1,97 @@
+/**
+ * Unit tests for JSON import utilities
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  parseJSONRecords,
+  flattenRecord,
+  getFieldPaths,
+  suggestFieldMapping,
+  resolveFieldMapping,
+  getColumnNames,
+  mapRecordsToRows,
+} from './jsonUtils';
+
+describe('jsonUtils', () => {
+  const response = JSON.stringify({
+    meta: { page: 1 },
+    data: {
+      items: [
+        { month: '2024-01', region: { name: 'North' }, stats: { revenue: 1200, orders: 30 }, active: true },
+        { month: '2024-02', region: { name: 'South' }, stats: { revenue: 1500, orders: null } },
+      ],
+    },
+  });
+
+  describe('parseJSONRecords', () => {
+    it('should read arrays and find records wrapped in an object', () => {
+      expect(parseJSONRecords('[{"a":1},{"a":2},3]')).toEqual({ records: [{ a: 1 }, { a: 2 }], recordsPath: '', format: 'json' });
+
+      const wrapped = parseJSONRecords(response);
+      expect(wrapped.recordsPath).toBe('data.items');
+      expect(wrapped.records).toHaveLength(2);
+    });
+
+    it('should read NDJSON and point at the bad line', () => {
+      expect(parseJSONRecords('{"a":1}\n\n{"a":2}\n').format).toBe('ndjson');
+      expect(() => parseJSONRecords('{"a":1}\n{"a":}')).toThrow(/line 2/);
+      expect(() => parseJSONRecords('{"a":')).toThrow(/Invalid JSON/);
+    });
+
+    it('should follow a saved records path', () => {
+      expect(() => parseJSONRecords(response, 'data.rows')).toThrow(/No array of records at "data.rows"/);
+      expect(parseJSONRecords('{"total": 5}').records).toEqual([{ total: 5 }]);
+    });
+  });
+
+  describe('flattenRecord', () => {
+    it('should flatten nested objects and arrays into dot paths', () => {
+      expect(flattenRecord({ user: { region: 'EU', score: { value: 3 } }, tags: ['a', 'b'], empty: null })).toEqual({
+        'user.region': 'EU',
+        'user.score.value': 3,
+        'tags.0': 'a',
+        'tags.1': 'b',
+        empty: null,
+      });
+    });
+  });
+
+  describe('field mapping', () => {
+    const rows = parseJSONRecords(response).records.map(record => flattenRecord(record));
+
+    it('should list fields in order of first appearance', () => {
+      expect(getFieldPaths(rows)).toEqual(['month', 'region.name', 'stats.revenue', 'stats.orders', 'active']);
+    });
+
+    it('should suggest a text or date label and numeric columns', () => {
+      expect(suggestFieldMapping(rows, { recordsPath: 'data.items' })).toEqual({
+        recordsPath: 'data.items',
+        labelField: 'month',
+        valueFields: ['stats.revenue', 'stats.orders'],
+      });
+      const byRegion = suggestFieldMapping(rows.map(({ month, ...row }) => row));
+      expect(byRegion.labelField).toBe('region.name');
+    });
+
+    it('should reuse a saved mapping only when its fields are still there', () => {
+      const saved = { recordsPath: '', labelField: 'month', valueFields: ['stats.revenue', 'stats.units'] };
+      expect(resolveFieldMapping(saved, ['month', 'stats.revenue'])).toEqual({ ...saved, valueFields: ['stats.revenue'] });
+      expect(resolveFieldMapping(saved, ['date', 'stats.revenue'])).toBeNull();
+      expect(resolveFieldMapping(saved, ['month'])).toBeNull();
+    });
+
+    it('should name columns after the end of their path unless that is ambiguous', () => {
+      expect(getColumnNames(['month', 'stats.revenue', 'north.total', 'south.total']))
+        .toEqual(['month', 'revenue', 'north.total', 'south.total']);
+    });
+
+    it('should build rows in mapped column order with blanks for missing values', () => {
+      expect(mapRecordsToRows(rows, { labelField: 'region.name', valueFields: ['stats.orders', 'stats.revenue'] })).toEqual([
+        ['name', 'orders', 'revenue'],
+        ['North', 30, 1200],
+        ['South', '', 1500],
+      ]);
+    });
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Reference line and band utilities for bar and line charts
+ * A reference is a line ("Target = 50K") or a shaded band ("Recession") drawn across the plot
+ * at a position on the value axis or, on line charts, the time axis. Each end is either an
+ * absolute value or a statistic ('mean', 'median') computed from the plotted data.
+ *
+ * Reference shape: { type: 'line' | 'band', axis: 'value' | 'time', value, endValue, label, color, style }
+ */
+
+import * as d3 from 'd3';
+
+export const REFERENCE_STATISTICS = {
+  mean: { label: 'Mean', compute: values => d3.mean(values) },
+  median: { label: 'Median', compute: values => d3.median(values) },
+};
+
+// Same dash patterns as gridLineStyle, so a 'dashed' reference matches 'dashed' gridlines
+const DASH_ARRAYS = { solid: 'none', dashed: '5,5', dotted: '1,3' };
+
+const BAND_OPACITY = 0.12;
+const LABEL_PADDING = 4;
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const num = Number(value);
+  return isNaN(num) ? null : num;
+};
+
+/**
+ * Get the stroke-dasharray of a line style
+ * @param {string} style - 'solid', 'dashed' or 'dotted'
+ * @returns {string} Dash array for the stroke-dasharray attribute
+ */
+export const getReferenceDashArray = (style) => DASH_ARRAYS[style] || DASH_ARRAYS.solid;
+
+/**
+ * Resolve one reference end to a number
+ * @param {number|string} value - Absolute value, or a key of REFERENCE_STATISTICS
+ * @param {Array} values - Plotted values the statistics are computed from
+ * @param {Function} parse - Converts an absolute value to a number, e.g. a date string to a timestamp
+ * @returns {number|null} The position on the axis, or null when it can't be worked out
+ */
+export const resolveReferenceValue = (value, values = [], parse = toNumber) => {
+  const statistic = REFERENCE_STATISTICS[value];
+  if (statistic) {
+    const result = statistic.compute(values);
+    return result === undefined || isNaN(result) ? null : result;
+  }
+  const parsed = parse(value);
+  return parsed === null || parsed === undefined || isNaN(parsed) ? null : Number(parsed);
+};
+
+/**
+ * Resolve the references drawn on one axis
+ * Lines need a value and bands need both ends; anything else is left out.
+ *
+ * @param {Array} references - Reference definitions
+ * @param {Object} options - { axis, values, parse } - the axis to keep, its plotted values and its parser
+ * @returns {Array} References with numeric start and end, plus a statistic for labelling
+ */
+export const resolveReferences = (references = [], { axis = 'value', values = [], parse = toNumber } = {}) => (
+  (references || [])
+    .filter(reference => reference && (reference.axis || 'value') === axis)
+    .map(reference => {
+      const type = reference.type === 'band' ? 'band' : 'line';
+      const start = resolveReferenceValue(reference.value, values, parse);
+      const end = type === 'band' ? resolveReferenceValue(reference.endValue, values, parse) : start;
+      if (start === null || end === null) return null;
+      return {
+        ...reference,
+        type,
+        start: Math.min(start, end),
+        end: Math.max(start, end),
+        statistic: REFERENCE_STATISTICS[reference.value] && type === 'line' ? reference.value : null,
+      };
+    })
+    .filter(Boolean)
+);
+
+/**
+ * Get the numbers of resolved value-axis references, for widening the value axis to fit them
+ * @param {Array} resolved - References from resolveReferences
+ * @returns {Array} Start and end of each reference
+ */
+export const getReferenceExtent = (resolved = []) => resolved.flatMap(reference => [reference.start, reference.end]);
+
+/**
+ * Draw resolved references into a chart group
+ * Bands are clipped to the plot; lines outside the scale's domain are skipped.
+ *
+ * @param {Object} group - D3 selection to draw into
+ * @param {Array} resolved - References from resolveReferences
+ * @param {Object} options - Drawing options
+ * @param {Function} options.scale - Scale of the axis the references sit on
+ * @param {string} options.direction - 'horizontal' for value-axis lines on a vertical chart, 'vertical' otherwise
+ * @param {number} options.length - Length of the plot across the references
+ * @param {Function} options.formatValue - Formats a statistic's value for its default label
+ */
+export const renderReferences = (group, resolved, {
+  scale,
+  direction = 'horizontal',
+  length,
+  formatValue = value => value,
+  fontFamily = 'Inter',
+  fontSize = 12,
+  defaultColor = '#6b7280',
+}) => {
+  if (!resolved || resolved.length === 0) return;
+
+  const [rangeStart, rangeEnd] = d3.extent(scale.range());
+  const isHorizontal = direction === 'horizontal';
+  const layer = group.append('g')
+    .attr('class', 'reference-lines')
+    .style('pointer-events', 'none');
+
+  resolved.forEach(reference => {
+    const color = reference.color || defaultColor;
+    const from = Math.max(rangeStart, Math.min(scale(reference.start), scale(reference.end)));
+    const to = Math.min(rangeEnd, Math.max(scale(reference.start), scale(reference.end)));
+    if (reference.type === 'line' && (scale(reference.start) < rangeStart || scale(reference.start) > rangeEnd)) return;
+    if (reference.type === 'band' && to <= from) return;
+
+    const position = reference.type === 'line' ? scale(reference.start) : from;
+    if (reference.type === 'band') {
+      layer.append('rect')
+        .attr('class', 'reference-band')
+        .attr('x', isHorizontal ? 0 : from)
+        .attr('y', isHorizontal ? from : 0)
+        .attr('width', isHorizontal ? length : to - from)
+        .attr('height', isHorizontal ? to - from : length)
+        .attr('fill', color)
+        .attr('opacity', BAND_OPACITY);
+    } else {
+      layer.append('line')
+        .attr('class', 'reference-line')
+        .attr('x1', isHorizontal ? 0 : position)
+        .attr('x2', isHorizontal ? length : position)
+        .attr('y1', isHorizontal ? position : 0)
+        .attr('y2', isHorizontal ? position : length)
+        .attr('stroke', color)
+        .attr('stroke-width', 1.5)
+        .attr('stroke-dasharray', getReferenceDashArray(reference.style));
+    }
+
+    const label = reference.label
+      || (reference.statistic ? `${REFERENCE_STATISTICS[reference.statistic].label}: ${formatValue(reference.start)}` : '');
+    if (!label) return;
+
+    // Lines are labelled above their right end (or beside their top); bands inside their top-left corner
+    const text = layer.append('text')
+      .attr('class', 'reference-label')
+      .attr('font-family', fontFamily)
+      .attr('font-size', `${fontSize}px`)
+      .attr('font-weight', 500)
+      .attr('fill', color)
+      .text(label);
+    if (isHorizontal) {
+      const y = reference.type === 'line' ? position - LABEL_PADDING : from + fontSize + LABEL_PADDING;
+      text
+        .attr('x', reference.type === 'line' ? length - LABEL_PADDING : LABEL_PADDING)
+        .attr('y', y)
+        .attr('text-anchor', reference.type === 'line' ? 'end' : 'start');
+    } else {
+      text
+        .attr('x', position + LABEL_PADDING)
+        .attr('y', fontSize + LABEL_PADDING)
+        .attr('text-anchor', 'start');
+    }
+  });
+};
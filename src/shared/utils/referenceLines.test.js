@@ -0,0 +1,61 @@
+/**
+ * Unit tests for reference line utilities
+ */
+
+import { describe, it, expect } from 'vitest';
+import { getReferenceDashArray, resolveReferenceValue, resolveReferences, getReferenceExtent } from './referenceLines';
+
+describe('referenceLines', () => {
+  const values = [10, 20, 30, 100];
+
+  describe('resolveReferenceValue', () => {
+    it('should compute statistics from the plotted values', () => {
+      expect(resolveReferenceValue('mean', values)).toBe(40);
+      expect(resolveReferenceValue('median', values)).toBe(25);
+    });
+
+    it('should read absolute values and reject anything else', () => {
+      expect(resolveReferenceValue(50000, values)).toBe(50000);
+      expect(resolveReferenceValue('50000', values)).toBe(50000);
+      expect(resolveReferenceValue('', values)).toBeNull();
+      expect(resolveReferenceValue('target', values)).toBeNull();
+      expect(resolveReferenceValue('mean', [])).toBeNull();
+    });
+
+    it('should use the given parser for absolute values', () => {
+      const parse = value => new Date(`${value}-01T00:00:00`).getTime();
+      expect(resolveReferenceValue('2024-03', [], parse)).toBe(new Date(2024, 2, 1).getTime());
+    });
+  });
+
+  describe('resolveReferences', () => {
+    const references = [
+      { type: 'line', value: 'mean' },
+      { type: 'band', value: 60, endValue: 'median', label: 'Normal range' },
+      { type: 'band', value: 60 },
+      { type: 'line', axis: 'time', value: '2024-03' },
+    ];
+
+    it('should keep the references on one axis with both ends resolved', () => {
+      const resolved = resolveReferences(references, { axis: 'value', values });
+
+      expect(resolved).toHaveLength(2);
+      expect(resolved[0]).toMatchObject({ type: 'line', start: 40, end: 40, statistic: 'mean' });
+      expect(resolved[1]).toMatchObject({ type: 'band', start: 25, end: 60, statistic: null, label: 'Normal range' });
+      expect(getReferenceExtent(resolved)).toEqual([40, 40, 25, 60]);
+    });
+
+    it('should treat references without an axis as value-axis references', () => {
+      expect(resolveReferences(references, { axis: 'time', values: [], parse: () => 1 })).toHaveLength(1);
+    });
+  });
+
+  describe('getReferenceDashArray', () => {
+    it('should match the gridline dash patterns', () => {
+      expect(getReferenceDashArray('solid')).toBe('none');
+      expect(getReferenceDashArray('dashed')).toBe('5,5');
+      expect(getReferenceDashArray('dotted')).toBe('1,3');
+      expect(getReferenceDashArray(undefined)).toBe('none');
+    });
+  });
+});
@@ -5,6 +5,37 @@
  * with support for ISO week numbers and configurable fiscal years
  */
 
+import { parseLocaleDate } from './importLocale';
+
+/**
+ * Parse a date from chart data as a local date
+ * Imports write dates as YYYY-MM-DD, but sample or edited data may not: other numeric dates are
+ * read month first, and free text is only trusted when it names its month ("Mar 5, 2024")
+ * @param {string|Date} value - Date value from the data
+ * @returns {Date|null} The date, or null if it can't be read
+ */
+export function parseDateString(value) {
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+  const str = String(value ?? '').trim();
+
+  let date = null;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(str)) {
+    // Append a time so YYYY-MM-DD is read as local midnight, not UTC
+    date = new Date(str + 'T00:00:00');
+  } else if (/^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}/.test(str)) {
+    date = new Date(str.replace(' ', 'T'));
+  } else if (/^\d{4}(-\d{1,2})?$/.test(str)) {
+    const [year, month = 1] = str.split('-').map(Number);
+    date = new Date(year, month - 1, 1);
+  } else if (parseLocaleDate(str)) {
+    return parseDateString(parseLocaleDate(str));
+  } else if (/[a-z]{3}/i.test(str)) {
+    date = new Date(str);
+  }
+
+  return date && !isNaN(date.getTime()) ? date : null;
+}
+
 /**
  * Get ISO week number for a date (ISO 8601)
  * Week 1 is the first week with a Thursday (or the week containing Jan 4)
@@ -124,14 +155,9 @@ export function aggregateData(
     const dateStr = row[dateField];
     if (!dateStr) return;
 
-    // Parse date safely to avoid timezone issues
-    let date;
-    if (/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) {
-      // For YYYY-MM-DD format, append time to avoid timezone issues
-      date = new Date(dateStr + 'T00:00:00');
-    } else {
-      date = new Date(dateStr);
-    }
+    // Rows whose date can't be read are left out rather than grouped under an invalid date
+    const date = parseDateString(dateStr);
+    if (!date) return;
     let key, periodInfo, normalizedDate;
 
     switch (aggregationLevel) {
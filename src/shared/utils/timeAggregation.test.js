@@ -0,0 +1,42 @@
+/**
+ * Unit tests for time aggregation utilities
+ */
+
+import { describe, it, expect } from 'vitest';
+import { aggregateData, parseDateString } from './timeAggregation';
+
+describe('timeAggregation', () => {
+  describe('parseDateString', () => {
+    it('should read ISO dates, months and years as local dates', () => {
+      expect(parseDateString('2024-03-05')).toEqual(new Date(2024, 2, 5));
+      expect(parseDateString('2024-03')).toEqual(new Date(2024, 2, 1));
+      expect(parseDateString('2024')).toEqual(new Date(2024, 0, 1));
+      expect(parseDateString('2024-03-05 14:30')).toEqual(new Date(2024, 2, 5, 14, 30));
+    });
+
+    it('should read other numeric dates month first and named months as written', () => {
+      expect(parseDateString('03/05/2024')).toEqual(new Date(2024, 2, 5));
+      expect(parseDateString('Mar 5, 2024')).toEqual(new Date(2024, 2, 5));
+    });
+
+    it('should not guess at anything else', () => {
+      expect(parseDateString('31/31/2024')).toBeNull();
+      expect(parseDateString('12')).toBeNull();
+      expect(parseDateString('')).toBeNull();
+    });
+  });
+
+  describe('aggregateData', () => {
+    it('should leave out rows whose date cannot be read', () => {
+      const data = [
+        { date: '2024-01-05', Sales: 10 },
+        { date: '01/20/2024', Sales: 5 },
+        { date: 'not a date', Sales: 100 },
+        { date: '2024-02-01', Sales: 7 },
+      ];
+      const result = aggregateData(data, 'date', ['Sales'], 'month');
+
+      expect(result.map(row => [row.date, row.Sales])).toEqual([['2024-01-01', 15], ['2024-02-01', 7]]);
+    });
+  });
+});
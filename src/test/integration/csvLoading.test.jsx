@@ -16,6 +16,7 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { renderHook, act } from '@testing-library/react';
 import { useChartData } from '@shared/hooks/useChartData';
+import { PLAIN_IMPORT_LOCALE } from '@shared/utils/importLocale';
 
 describe('CSV Loading Flow', () => {
   describe('CSV Text Loading', () => {
@@ -167,6 +168,70 @@ Signups,500,400`;
       expect(result.current.data[0]).toHaveProperty('Stage');
       expect(result.current.periodNames).toEqual(['Current', 'Previous']);
     });
+
+    it('should keep the target column as text for sankey charts', async () => {
+      const { result } = renderHook(() => useChartData('sankey'));
+
+      const csvText = `Source,Target,Value
+Visitors,Sign Ups,4200
+Sign Ups,Trial,2600`;
+
+      await act(async () => {
+        await result.current.loadCSVText(csvText);
+      });
+
+      expect(result.current.error).toBeNull();
+      expect(result.current.data[0]).toEqual({ Source: 'Visitors', Target: 'Sign Ups', Value: 4200 });
+      expect(result.current.periodNames).toEqual(['Target', 'Value']);
+    });
+
+    it('should keep text columns as text for scatter charts', async () => {
+      const { result } = renderHook(() => useChartData('scatter'));
+
+      const csvText = `Category,Price,Units Sold,Segment
+Widget,49,9800,Budget
+Gadget,199,1900,Premium`;
+
+      await act(async () => {
+        await result.current.loadCSVText(csvText);
+      });
+
+      expect(result.current.error).toBeNull();
+      expect(result.current.data[1]).toEqual({ Category: 'Gadget', Price: 199, 'Units Sold': 1900, Segment: 'Premium' });
+      expect(result.current.importWarnings).toEqual([]);
+    });
+
+    it('should keep text columns hidden for other charts so they can split small multiples', async () => {
+      const { result } = renderHook(() => useChartData('line'));
+
+      const csvText = `Month,Region,Sales
+Jan,North,120
+Jan,South,60`;
+
+      await act(async () => {
+        await result.current.loadCSVText(csvText);
+      });
+
+      expect(result.current.error).toBeNull();
+      expect(result.current.data[1].Region).toBe('South');
+      expect(result.current.hiddenPeriods.has('Region')).toBe(true);
+      expect(result.current.hiddenPeriods.has('Sales')).toBe(false);
+      expect(result.current.importWarnings).toEqual([expect.stringContaining('Column "Region" holds text')]);
+    });
+
+    it('should use "date" for dated heatmap rows and "Category" otherwise', async () => {
+      const { result } = renderHook(() => useChartData('heatmap'));
+
+      await act(async () => {
+        await result.current.loadCSVText(`Day,Visits\n2024-10-01,120\n2024-10-02,135`);
+      });
+      expect(result.current.data[0]).toEqual({ date: '2024-10-01', Visits: 120 });
+
+      await act(async () => {
+        await result.current.loadCSVText(`Region,Jan,Feb\nNorth,4,6\nSouth,-2,1`);
+      });
+      expect(result.current.data[0]).toEqual({ Category: 'North', Jan: 4, Feb: 6 });
+    });
   });
 
   describe('Field Order Preservation', () => {
@@ -278,6 +343,117 @@ Purchase,200,250,300`;
       expect(result.current.data.length).toBeGreaterThan(0);
       // Actual value may vary based on how PapaParse handles it
     });
+
+    it('should read CSV the app wrote with plain numbers whatever the import locale', async () => {
+      const { result } = renderHook(() => useChartData('funnel'));
+
+      act(() => {
+        result.current.setImportLocale({ ...result.current.importLocale, numberFormat: 'eu' });
+      });
+
+      const savedCSV = `Stage,Q1
+Visitors,1.234
+Signups,0.5`;
+
+      await act(async () => {
+        await result.current.loadCSVText(savedCSV, ',', 'csv-paste', PLAIN_IMPORT_LOCALE);
+      });
+
+      expect(result.current.data[0].Q1).toBe(1.234);
+      expect(result.current.importWarnings).toEqual([]);
+
+      // The same text pasted by the user follows their locale
+      await act(async () => {
+        await result.current.loadCSVText(savedCSV);
+      });
+
+      expect(result.current.data[0].Q1).toBe(1234);
+    });
+
+    it('should infer column types and apply overrides', async () => {
+      const { result } = renderHook(() => useChartData('bar-horizontal'));
+
+      const csvText = `Category,Revenue,Margin,Year,Region
+North,"$1,200",12%,2023,East
+South,$980,9%,2024,West`;
+
+      await act(async () => {
+        await result.current.loadCSVText(csvText);
+      });
+
+      expect(result.current.columnSchema).toEqual({
+        Category: 'category',
+        Revenue: 'currency',
+        Margin: 'percent',
+        Year: 'number',
+        Region: 'category',
+      });
+      expect(result.current.labelField).toBe('Category');
+      expect(result.current.metricPeriods).toEqual(['Revenue', 'Margin', 'Year']);
+      expect(result.current.hiddenPeriods.has('Region')).toBe(true);
+
+      // Years are labels, not values to plot
+      act(() => {
+        result.current.setColumnType('Year', 'category');
+      });
+
+      expect(result.current.metricPeriods).toEqual(['Revenue', 'Margin']);
+      expect(result.current.hiddenPeriods.has('Year')).toBe(true);
+      expect(result.current.data[0].Year).toBe('2023');
+      expect(result.current.editableData[0].Year).toBe(2023);
+    });
+
+    it('should keep blank cells empty and the text of numbers retyped as categories', async () => {
+      const { result } = renderHook(() => useChartData('bar-horizontal'));
+
+      await act(async () => {
+        await result.current.loadCSVText('Store,Zip,Sales\nNorth,02134,10\nSouth,10001,');
+      });
+
+      expect(result.current.data[1].Sales).toBeNull();
+      expect(result.current.data[0].Zip).toBe(2134);
+
+      act(() => {
+        result.current.setColumnType('Zip', 'category');
+      });
+
+      expect(result.current.data.map(row => row.Zip)).toEqual(['02134', '10001']);
+    });
+
+    it('should read placeholder cells in a numeric column as blanks', async () => {
+      const { result } = renderHook(() => useChartData('bar-horizontal'));
+
+      await act(async () => {
+        await result.current.loadCSVText('Store,Sales\nNorth,10\nSouth,N/A\nWest,30');
+      });
+
+      expect(result.current.error).toBeNull();
+      expect(result.current.columnSchema.Sales).toBe('number');
+      expect(result.current.metricPeriods).toEqual(['Sales']);
+      expect(result.current.hiddenPeriods.has('Sales')).toBe(false);
+      expect(result.current.data.map(row => row.Sales)).toEqual([10, null, 30]);
+      expect(result.current.importWarnings).toEqual([expect.stringContaining('Column "Sales": "N/A" isn\'t a number')]);
+    });
+
+    it('should keep a label column of years as the label', async () => {
+      const { result } = renderHook(() => useChartData('bar-horizontal'));
+
+      await act(async () => {
+        await result.current.loadCSVText('Year,Sales\n2023,10\n2024,12');
+      });
+
+      expect(result.current.columnSchema).toEqual({ Category: 'category', Sales: 'number' });
+      expect(result.current.labelField).toBe('Category');
+
+      // Retyping the label column as a number would lose the label
+      act(() => {
+        result.current.setColumnType('Category', 'number');
+      });
+
+      expect(result.current.labelField).toBe('Category');
+      expect(result.current.data[0].Category).toBe(2023);
+      expect(result.current.getStageData(2024)).toEqual([{ period: 'Sales', value: 12 }]);
+    });
   });
 
   describe('Error Recovery', () => {